@@ -12,6 +12,20 @@ import swaggerUi from 'swagger-ui-express';
 import YAML from 'yamljs';
 import path from 'path';
 import WebSocketService from './services/WebSocketService.js';
+import { OpenFlowController } from './services/OpenFlowController.js';
+import { TopologyDiscoveryService } from './services/TopologyDiscoveryService.js';
+import { SnmpPoller } from './services/SnmpPoller.js';
+import { FlowCollector } from './services/FlowCollector.js';
+import { SyslogReceiver } from './services/SyslogReceiver.js';
+import { SnmpTrapReceiver } from './services/SnmpTrapReceiver.js';
+import { AlertManager } from './services/AlertManager.js';
+import { AlertCorrelator } from './services/AlertCorrelator.js';
+import { EscalationManager } from './services/EscalationManager.js';
+import { ConfigVersionService } from './services/ConfigVersionService.js';
+import { ConfigDeploymentService } from './services/ConfigDeploymentService.js';
+import { RolloutOrchestrator } from './services/RolloutOrchestrator.js';
+import { DeviceSessionPool } from './services/DeviceSessionPool.js';
+import { NetconfService } from './services/NetconfService.js';
 
 // ES module fix for __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -59,6 +73,54 @@ mongoose
     httpServer.listen(process.env.PORT || 5000, () => {
       logger.info(`Server is running on port ${process.env.PORT || 5000}`);
     });
+    // Resolve alerts whose AlertConfig has autoResolve enabled
+    AlertManager.start();
+    // Fold outages behind a failed upstream device under its alert
+    AlertCorrelator.start();
+    // Page on-call users about alerts nobody acknowledges
+    EscalationManager.start();
+    // Compare running configurations with their golden versions
+    ConfigVersionService.start();
+    // Roll back configuration deployments that were not confirmed in time
+    ConfigDeploymentService.start();
+    // Advance staged rollouts batch by batch
+    RolloutOrchestrator.start();
+    // Load the YANG models NETCONF configurations are checked against
+    NetconfService.start().catch(error => {
+      logger.error('NETCONF service failed to start:', error);
+    });
+    // Start the OpenFlow southbound channel
+    if (process.env.OPENFLOW_ENABLED === 'true') {
+      OpenFlowController.start()
+        .then(() => TopologyDiscoveryService.start())
+        .catch(error => {
+          logger.error('OpenFlow controller failed to start:', error);
+        });
+    }
+    // Poll SNMP-managed devices for interface and host metrics
+    if (process.env.SNMP_POLLING_ENABLED === 'true') {
+      SnmpPoller.start().catch(error => {
+        logger.error('SNMP poller failed to start:', error);
+      });
+    }
+    // Collect NetFlow/IPFIX exports
+    if (process.env.FLOW_COLLECTOR_ENABLED === 'true') {
+      FlowCollector.start().catch(error => {
+        logger.error('Flow collector failed to start:', error);
+      });
+    }
+    // Receive device syslog
+    if (process.env.SYSLOG_ENABLED === 'true') {
+      SyslogReceiver.start().catch(error => {
+        logger.error('Syslog receiver failed to start:', error);
+      });
+    }
+    // Receive SNMP traps and informs
+    if (process.env.SNMP_TRAP_ENABLED === 'true') {
+      SnmpTrapReceiver.start().catch(error => {
+        logger.error('SNMP trap receiver failed to start:', error);
+      });
+    }
   })
   .catch(error => {
     logger.error('MongoDB connection error:', error);
@@ -78,6 +140,19 @@ const shutdown = async () => {
   try {
     logger.info('Shutting down server...');
     await WebSocketService.cleanup();
+    TopologyDiscoveryService.stop();
+    SnmpPoller.stop();
+    await FlowCollector.stop();
+    await SyslogReceiver.stop();
+    await SnmpTrapReceiver.stop();
+    AlertManager.stop();
+    AlertCorrelator.stop();
+    EscalationManager.stop();
+    ConfigVersionService.stop();
+    ConfigDeploymentService.stop();
+    RolloutOrchestrator.stop();
+    DeviceSessionPool.stop();
+    await OpenFlowController.stop();
     await mongoose.disconnect();
     httpServer.close(() => {
       logger.info('Server shut down successfully');
@@ -30,6 +30,13 @@ const sanitizeValue = (value) => {
 };
 
 const sanitizeObject = (obj) => {
+  // Keep arrays as arrays so list payloads survive sanitization
+  if (Array.isArray(obj)) {
+    return obj.map(value =>
+      typeof value === 'object' && value !== null ? sanitizeObject(value) : sanitizeValue(value)
+    );
+  }
+
   const sanitized = {};
   
   for (let key in obj) {
@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+
+const commentSchema = new mongoose.Schema({
+    author: {
+        type: String,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true,
+        maxlength: 2000
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const alertSchema = new mongoose.Schema({
+    // Alerts with the same fingerprint are the same problem: repeats update the active alert
+    fingerprint: {
+        type: String,
+        required: true
+    },
+    alertConfigId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AlertConfig'
+    },
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NetworkDevice'
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    severity: {
+        type: String,
+        enum: ['critical', 'high', 'medium', 'low', 'info'],
+        required: true
+    },
+    source: String, // what raised it, e.g. 'syslog', 'snmp_trap' or 'monitor'
+    message: {
+        type: String,
+        required: true
+    },
+    details: mongoose.Schema.Types.Mixed,
+    status: {
+        type: String,
+        enum: ['open', 'acknowledged', 'resolved'],
+        default: 'open'
+    },
+    occurrences: {
+        type: Number,
+        default: 1
+    },
+    firstSeen: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeen: {
+        type: Date,
+        default: Date.now
+    },
+    acknowledgedBy: String,
+    acknowledgedAt: Date,
+    resolvedBy: String, // 'system' for automatic resolution
+    resolvedAt: Date,
+    resolution: {
+        type: String,
+        enum: ['manual', 'auto']
+    },
+    comments: [commentSchema],
+    // Nobody is notified: its device was under maintenance when it opened, or it is a symptom
+    // of an upstream outage
+    suppressed: {
+        type: Boolean,
+        default: false
+    },
+    suppressedBy: {
+        type: String,
+        enum: ['maintenance', 'correlation']
+    },
+    maintenanceWindowId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MaintenanceWindow'
+    },
+    // Set by topology correlation: a root is an outage that cuts other devices off, a symptom is
+    // the outage of a device behind it
+    correlation: {
+        role: {
+            type: String,
+            enum: ['root', 'symptom']
+        },
+        rootAlertId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Alert'
+        },
+        rootDeviceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'NetworkDevice'
+        },
+        correlatedAt: Date
+    },
+    // Last EscalationPolicy step notified while the alert was unacknowledged, counting from 1
+    escalationStep: Number,
+    escalatedAt: Date,
+    // The Incident the alert is handled in
+    incidentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Incident'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+alertSchema.index({ fingerprint: 1, status: 1 });
+// One unresolved alert per problem, however many raises race to open it
+alertSchema.index({ fingerprint: 1 }, { unique: true, partialFilterExpression: { status: { $in: ['open', 'acknowledged'] } } });
+alertSchema.index({ status: 1, severity: 1, lastSeen: -1 });
+alertSchema.index({ deviceId: 1, status: 1 });
+alertSchema.index({ alertConfigId: 1, status: 1 });
+alertSchema.index({ 'correlation.rootAlertId': 1 }, { sparse: true });
+
+// Methods
+alertSchema.methods.isActive = function() {
+    return this.status !== 'resolved';
+};
+
+// Statics
+alertSchema.statics.findActive = function(fingerprint) {
+    return this.findOne({ fingerprint, status: { $ne: 'resolved' } }).sort({ lastSeen: -1 });
+};
+
+const Alert = mongoose.model('Alert', alertSchema);
+
+export default Alert;
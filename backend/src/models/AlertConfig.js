@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { compileFilter } from '../utils/FilterExpression.js';
 
 const thresholdSchema = new mongoose.Schema({
     metric: {
@@ -49,6 +50,17 @@ const notificationChannelSchema = new mongoose.Schema({
         // SMS configuration
         phoneNumbers: [String]
     },
+    // MessageTemplate placeholders such as {{alert.message}}; defaults are used when unset
+    template: {
+        subject: {
+            type: String,
+            maxlength: 200
+        },
+        body: {
+            type: String,
+            maxlength: 4000
+        }
+    },
     enabled: {
         type: Boolean,
         default: true
@@ -84,13 +96,28 @@ const alertConfigSchema = new mongoose.Schema({
         }],
         deviceTypes: [String],
         networks: [String],
-        customFilter: mongoose.Schema.Types.Mixed
+        // FilterExpression over the device, e.g. 'type == "switch" && location.building == "HQ"'
+        customFilter: {
+            type: String,
+            validate: {
+                validator: function(value) {
+                    compileFilter(value);
+                    return true;
+                },
+                message: props => `Invalid custom filter: ${props.reason?.message || props.value}`
+            }
+        }
     },
     conditions: {
         type: [thresholdSchema],
         required: true
     },
     notifications: [notificationChannelSchema],
+    // Pages the on-call users of the policy's steps by email and SMS until the alert is acknowledged
+    escalationPolicyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EscalationPolicy'
+    },
     cooldown: {
         type: Number,
         default: 300, // 5 minutes in seconds
@@ -133,12 +160,16 @@ alertConfigSchema.methods.isApplicableToDevice = function(device) {
         case 'device_type':
             return deviceTypes.includes(device.type);
         case 'network':
-            return device.interfaces.some(iface => 
-                networks.some(network => iface.ipAddress.startsWith(network))
+            return (device.interfaces || []).some(iface =>
+                networks.some(network => iface.ipAddress?.startsWith(network))
             );
         case 'custom':
-            // Implement custom filter logic here
-            return true;
+            if (!this.scope.customFilter) return false;
+            // Compiled once per document
+            if (!this._filter) {
+                this._filter = compileFilter(this.scope.customFilter);
+            }
+            return this._filter.evaluate(typeof device.toObject === 'function' ? device.toObject() : device);
         default:
             return false;
     }
@@ -148,19 +179,25 @@ alertConfigSchema.methods.evaluateConditions = function(metrics) {
     return this.conditions.every(condition => {
         const value = metrics[condition.metric];
         if (value === undefined) return false;
-
-        switch (condition.operator) {
-            case 'gt': return value > condition.value;
-            case 'lt': return value < condition.value;
-            case 'gte': return value >= condition.value;
-            case 'lte': return value <= condition.value;
-            case 'eq': return value === condition.value;
-            case 'neq': return value !== condition.value;
-            default: return false;
-        }
+        return breaches(condition, value);
     });
 };
 
+// Statics
+alertConfigSchema.statics.breaches = breaches;
+
+function breaches(condition, value) {
+    switch (condition.operator) {
+        case 'gt': return value > condition.value;
+        case 'lt': return value < condition.value;
+        case 'gte': return value >= condition.value;
+        case 'lte': return value <= condition.value;
+        case 'eq': return value === condition.value;
+        case 'neq': return value !== condition.value;
+        default: return false;
+    }
+}
+
 const AlertConfig = mongoose.model('AlertConfig', alertConfigSchema);
 
 export default AlertConfig;
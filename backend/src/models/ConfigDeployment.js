@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+const historyEntrySchema = new mongoose.Schema({
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    status: String,
+    message: String
+}, { _id: false });
+
+// A configuration pushed to a device like a commit-confirmed: the running configuration is
+// snapshotted first and restored when the health checks fail or nobody confirms in time.
+const configDeploymentSchema = new mongoose.Schema({
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NetworkDevice',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['applying', 'verifying', 'awaiting_confirmation', 'confirmed', 'rolling_back', 'rolled_back', 'failed'],
+        required: true
+    },
+    // Set while the deployment is in progress; a device has one at a time
+    active: {
+        type: Boolean,
+        default: true
+    },
+    config: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    // Confirmed right after the health checks pass instead of waiting for a user
+    autoConfirm: {
+        type: Boolean,
+        default: false
+    },
+    confirmTimeout: Number, // in ms
+    confirmBy: Date,
+    // The running configuration before the deploy, restored on rollback
+    snapshot: mongoose.Schema.Types.Mixed,
+    snapshotVersion: Number,
+    deployedVersion: Number,
+    healthCheck: {
+        passed: Boolean,
+        failures: [String],
+        checkedAt: Date,
+        results: mongoose.Schema.Types.Mixed
+    },
+    rollbackReason: {
+        type: String,
+        enum: ['apply_failed', 'health_check_failed', 'confirm_timeout', 'interrupted', 'manual']
+    },
+    error: String,
+    requestedBy: {
+        type: String,
+        default: 'system'
+    },
+    confirmedBy: String,
+    confirmedAt: Date,
+    rolledBackBy: String,
+    rolledBackAt: Date,
+    finishedAt: Date,
+    // Refreshed, and updatedAt with it, while the deploy or rollback runs
+    heartbeatAt: Date,
+    history: [historyEntrySchema]
+}, {
+    timestamps: true
+});
+
+// Indexes
+configDeploymentSchema.index({ deviceId: 1, createdAt: -1 });
+configDeploymentSchema.index({ status: 1, confirmBy: 1 });
+configDeploymentSchema.index({ deviceId: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+const ConfigDeployment = mongoose.model('ConfigDeployment', configDeploymentSchema);
+
+export default ConfigDeployment;
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// One stored configuration of a device. A new version is only kept when the configuration
+// changed; the golden version is the approved baseline that drift is measured against.
+const deviceConfigVersionSchema = new mongoose.Schema({
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NetworkDevice',
+        required: true
+    },
+    // Counts up from 1 per device
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    format: {
+        type: String,
+        enum: ['text', 'json'],
+        required: true
+    },
+    // The configuration as text; JSON configurations with their keys sorted
+    content: {
+        type: String,
+        required: true
+    },
+    // Structured form of the configuration, for key-level diffs
+    data: mongoose.Schema.Types.Mixed,
+    // SHA-256 of the content without volatile lines, e.g. timestamps in comments
+    hash: {
+        type: String,
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['poll', 'upload', 'deploy'],
+        required: true
+    },
+    golden: {
+        type: Boolean,
+        default: false
+    },
+    tags: [{
+        type: String,
+        trim: true,
+        maxlength: 50
+    }],
+    capturedAt: {
+        type: Date,
+        default: Date.now
+    },
+    capturedBy: {
+        type: String,
+        default: 'system'
+    },
+    approvedBy: String,
+    approvedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+deviceConfigVersionSchema.index({ deviceId: 1, version: -1 }, { unique: true });
+deviceConfigVersionSchema.index({ deviceId: 1 }, { unique: true, partialFilterExpression: { golden: true } });
+
+// Statics
+deviceConfigVersionSchema.statics.findLatest = function(deviceId) {
+    return this.findOne({ deviceId }).sort({ version: -1 });
+};
+
+deviceConfigVersionSchema.statics.findGolden = function(deviceId) {
+    return this.findOne({ deviceId, golden: true });
+};
+
+const DeviceConfigVersion = mongoose.model('DeviceConfigVersion', deviceConfigVersionSchema);
+
+export default DeviceConfigVersion;
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const secretRef = {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VaultSecret'
+};
+
+// Settings shared by the devices that list the group name in NetworkDevice.groups: the vault
+// secrets they use where they have none of their own
+const deviceGroupSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: String,
+    credentials: {
+        login: secretRef, // ssh_password or ssh_key
+        enable: secretRef, // enable_secret
+        snmp: secretRef, // snmp_community or snmp_v3
+        api: secretRef // api_token
+    },
+    createdBy: String,
+    updatedBy: String
+}, {
+    timestamps: true
+});
+
+const DeviceGroup = mongoose.model('DeviceGroup', deviceGroupSchema);
+
+export default DeviceGroup;
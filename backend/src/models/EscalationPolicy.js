@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+const targetSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: ['user', 'schedule']
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function() {
+            return this.type === 'user';
+        }
+    },
+    // Whoever is on call in the schedule when the step is reached
+    scheduleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'OnCallSchedule',
+        required: function() {
+            return this.type === 'schedule';
+        }
+    }
+}, { _id: false });
+
+const stepSchema = new mongoose.Schema({
+    // Minutes after the alert opened without being acknowledged
+    delayMinutes: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    targets: {
+        type: [targetSchema],
+        validate: {
+            validator: targets => targets.length > 0,
+            message: 'An escalation step needs at least one target'
+        }
+    },
+    channels: {
+        type: [{ type: String, enum: ['email', 'sms'] }],
+        default: ['email']
+    }
+}, { _id: false });
+
+// Who to notify, and when, about an alert nobody acknowledges
+const escalationPolicySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: String,
+    steps: {
+        type: [stepSchema],
+        validate: [{
+            validator: steps => steps.length > 0,
+            message: 'An escalation policy needs at least one step'
+        }, {
+            validator: steps => steps.every((step, i) => i === 0 || step.delayMinutes > steps[i - 1].delayMinutes),
+            message: 'Escalation steps must have increasing delays'
+        }]
+    },
+    createdBy: String,
+    updatedBy: String
+}, {
+    timestamps: true
+});
+
+// Methods
+/**
+ * Index of the last step due after an alert has been unacknowledged for this long, or -1
+ */
+escalationPolicySchema.methods.dueStep = function(elapsedMs) {
+    let due = -1;
+    this.steps.forEach((step, i) => {
+        if (step.delayMinutes * 60000 <= elapsedMs) due = i;
+    });
+    return due;
+};
+
+const EscalationPolicy = mongoose.model('EscalationPolicy', escalationPolicySchema);
+
+export default EscalationPolicy;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const retentionDays = parseInt(process.env.FLOW_AGGREGATE_RETENTION_DAYS) || 90;
+
+// Per-minute roll-up of FlowRecord traffic. Ephemeral client ports are dropped in favour of
+// the service port so that top-talker and application queries stay cheap over long ranges.
+const flowAggregateSchema = new mongoose.Schema({
+    minute: {
+        type: Date,
+        required: true
+    },
+    exporter: {
+        type: String,
+        required: true
+    },
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NetworkDevice'
+    },
+    srcIp: {
+        type: String,
+        required: true
+    },
+    dstIp: {
+        type: String,
+        required: true
+    },
+    protocol: {
+        type: Number,
+        required: true
+    },
+    servicePort: {
+        type: Number,
+        default: 0
+    },
+    bytes: {
+        type: Number,
+        default: 0
+    },
+    packets: {
+        type: Number,
+        default: 0
+    },
+    flows: {
+        type: Number,
+        default: 0
+    }
+});
+
+// Indexes
+flowAggregateSchema.index(
+    { minute: 1, exporter: 1, srcIp: 1, dstIp: 1, protocol: 1, servicePort: 1 },
+    { unique: true }
+);
+flowAggregateSchema.index({ deviceId: 1, minute: -1 });
+flowAggregateSchema.index({ minute: 1 }, { expireAfterSeconds: retentionDays * 24 * 60 * 60 });
+
+const FlowAggregate = mongoose.model('FlowAggregate', flowAggregateSchema);
+
+export default FlowAggregate;
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { FlowMatch } from '../utils/FlowMatch.js';
+
+const actionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: ['output', 'set_queue', 'group', 'push_vlan', 'pop_vlan', 'set_field']
+    },
+    port: mongoose.Schema.Types.Mixed, // port number or reserved name (controller, normal, flood, ...)
+    maxLen: Number,
+    queueId: Number,
+    groupId: Number,
+    ethertype: Number,
+    field: mongoose.Schema.Types.Mixed // single { fieldName: value } pair for set_field
+}, { _id: false });
+
+const instructionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: ['goto_table', 'write_metadata', 'write_actions', 'apply_actions', 'clear_actions', 'meter']
+    },
+    tableId: Number,
+    metadata: String,
+    metadataMask: String,
+    meterId: Number,
+    actions: [actionSchema]
+}, { _id: false });
+
+const flowEntrySchema = new mongoose.Schema({
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NetworkDevice',
+        required: true
+    },
+    tableId: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 254
+    },
+    priority: {
+        type: Number,
+        default: 32768,
+        min: 0,
+        max: 65535
+    },
+    match: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+        validate: {
+            validator: match => FlowMatch.validate(match).length === 0,
+            message: props => FlowMatch.validate(props.value).join('; ')
+        }
+    },
+    instructions: [instructionSchema],
+    idleTimeout: {
+        type: Number,
+        default: 0, // seconds, 0 = never expires
+        min: 0,
+        max: 65535
+    },
+    hardTimeout: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 65535
+    },
+    cookie: {
+        type: String, // 64-bit value as 16 hex digits
+        default: () => crypto.randomBytes(8).toString('hex'),
+        match: /^[0-9a-f]{16}$/
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'installed', 'failed', 'removed'],
+        default: 'pending'
+    },
+    source: {
+        type: String,
+        enum: ['api', 'policy', 'controller'],
+        default: 'api'
+    },
+    installedAt: Date,
+    removedAt: Date,
+    removalReason: String,
+    lastError: String,
+    metadata: {
+        createdBy: String,
+        lastModifiedBy: String,
+        policyId: String,
+        notes: String
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+flowEntrySchema.index({ deviceId: 1, tableId: 1, priority: -1 });
+flowEntrySchema.index({ deviceId: 1, cookie: 1 }, { unique: true });
+flowEntrySchema.index({ status: 1 });
+
+flowEntrySchema.pre('validate', function(next) {
+    if (this.match && FlowMatch.validate(this.match).length === 0) {
+        this.match = FlowMatch.normalize(this.match);
+    }
+    next();
+});
+
+// Methods
+flowEntrySchema.methods.toFlowMod = function(command) {
+    return {
+        command,
+        cookie: BigInt(`0x${this.cookie}`),
+        cookieMask: 0xffffffffffffffffn,
+        tableId: this.tableId,
+        priority: this.priority,
+        idleTimeout: this.idleTimeout,
+        hardTimeout: this.hardTimeout,
+        flags: 1, // OFPFF_SEND_FLOW_REM so expiries are reported back
+        match: this.match,
+        instructions: this.instructions.map(instruction => instruction.toObject())
+    };
+};
+
+flowEntrySchema.methods.markRemoved = function(reason) {
+    this.status = 'removed';
+    this.removedAt = new Date();
+    this.removalReason = reason;
+    return this.save();
+};
+
+// Statics
+flowEntrySchema.statics.findActiveByDevice = function(deviceId, query = {}) {
+    return this.find({
+        ...query,
+        deviceId,
+        status: { $in: ['pending', 'installed'] }
+    }).sort({ tableId: 1, priority: -1 });
+};
+
+flowEntrySchema.statics.findOverlapping = async function(entry) {
+    const candidates = await this.find({
+        _id: { $ne: entry._id },
+        deviceId: entry.deviceId,
+        tableId: entry.tableId,
+        priority: entry.priority,
+        status: { $in: ['pending', 'installed'] }
+    });
+
+    return candidates.filter(candidate => FlowMatch.overlaps(candidate.match, entry.match));
+};
+
+const FlowEntry = mongoose.model('FlowEntry', flowEntrySchema);
+
+export default FlowEntry;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+const retentionDays = parseInt(process.env.FLOW_RECORD_RETENTION_DAYS) || 7;
+
+// One traffic flow as reported by a NetFlow/IPFIX exporter, or estimated from an sFlow packet sample
+const flowRecordSchema = new mongoose.Schema({
+    exporter: {
+        type: String,
+        required: true
+    },
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NetworkDevice'
+    },
+    exportProtocol: {
+        type: String,
+        enum: ['netflow', 'ipfix', 'sflow']
+    },
+    exportVersion: {
+        type: Number,
+        enum: [5, 9, 10]
+    },
+    srcIp: {
+        type: String,
+        required: true
+    },
+    dstIp: {
+        type: String,
+        required: true
+    },
+    srcPort: {
+        type: Number,
+        default: 0
+    },
+    dstPort: {
+        type: Number,
+        default: 0
+    },
+    protocol: {
+        type: Number,
+        required: true
+    },
+    bytes: {
+        type: Number,
+        default: 0
+    },
+    packets: {
+        type: Number,
+        default: 0
+    },
+    tcpFlags: Number,
+    tos: Number,
+    inputInterface: Number, // ifIndex on the exporter
+    outputInterface: Number,
+    nextHop: String,
+    srcAs: Number,
+    dstAs: Number,
+    samplingInterval: {
+        type: Number,
+        default: 1
+    },
+    start: {
+        type: Date,
+        required: true
+    },
+    end: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: 'receivedAt', updatedAt: false }
+});
+
+// Indexes
+flowRecordSchema.index({ end: -1 });
+flowRecordSchema.index({ deviceId: 1, end: -1 });
+flowRecordSchema.index({ srcIp: 1, end: -1 });
+flowRecordSchema.index({ dstIp: 1, end: -1 });
+flowRecordSchema.index({ receivedAt: 1 }, { expireAfterSeconds: retentionDays * 24 * 60 * 60 });
+
+const FlowRecord = mongoose.model('FlowRecord', flowRecordSchema);
+
+export default FlowRecord;
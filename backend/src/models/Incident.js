@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+
+const TIMELINE_TYPES = [
+    'opened',
+    'alert_added',
+    'alert_acknowledged',
+    'alert_resolved',
+    'note',
+    'action',
+    'recovery',
+    'merged',
+    'updated',
+    'closed'
+];
+
+const timelineEntrySchema = new mongoose.Schema({
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    type: {
+        type: String,
+        enum: TIMELINE_TYPES,
+        required: true
+    },
+    author: {
+        type: String,
+        default: 'system'
+    },
+    message: {
+        type: String,
+        required: true,
+        maxlength: 4000
+    },
+    alertId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Alert'
+    },
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NetworkDevice'
+    },
+    details: mongoose.Schema.Types.Mixed
+});
+
+const incidentSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    description: String,
+    severity: {
+        type: String,
+        enum: ['critical', 'high', 'medium', 'low', 'info'],
+        required: true
+    },
+    // merged incidents live on in the incident they were merged into
+    status: {
+        type: String,
+        enum: ['open', 'closed', 'merged'],
+        default: 'open'
+    },
+    alertIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Alert'
+    }],
+    deviceIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NetworkDevice'
+    }],
+    timeline: [timelineEntrySchema],
+    // Postmortem
+    rootCause: String,
+    resolution: String,
+    openedBy: {
+        type: String,
+        default: 'system'
+    },
+    openedAt: {
+        type: Date,
+        default: Date.now
+    },
+    closedBy: String,
+    closedAt: Date,
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Incident'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+incidentSchema.index({ status: 1, openedAt: -1 });
+incidentSchema.index({ alertIds: 1 });
+incidentSchema.index({ deviceIds: 1, status: 1 });
+
+// Methods
+incidentSchema.methods.isOpen = function() {
+    return this.status === 'open';
+};
+
+incidentSchema.methods.addEntry = function(entry) {
+    this.timeline.push(entry);
+    return this.timeline[this.timeline.length - 1];
+};
+
+const Incident = mongoose.model('Incident', incidentSchema);
+
+export default Incident;
@@ -0,0 +1,215 @@
+import mongoose from 'mongoose';
+import { isValidTimeZone, zonedParts, zonedToUtc, dayNumber, fromDayNumber, parseClock } from '../utils/ZonedTime.js';
+
+const CLOCK = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTE = 60000;
+
+// Repeats at a local time of day in the window's time zone
+const recurrenceSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly'],
+        required: true
+    },
+    // Weekdays (0 = Sunday) for weekly windows, days of the month for monthly ones
+    days: [{ type: Number, min: 0, max: 31 }],
+    time: {
+        type: String,
+        required: true,
+        match: CLOCK
+    },
+    durationMinutes: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 10080
+    }
+}, { _id: false });
+
+// A location matches devices whose location has every field that is set here
+const locationSchema = new mongoose.Schema({
+    building: String,
+    floor: String,
+    room: String
+}, { _id: false });
+
+// A device is in scope when it matches any of these
+const scopeSchema = new mongoose.Schema({
+    deviceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'NetworkDevice' }],
+    deviceTypes: [String],
+    locations: [locationSchema],
+    tags: [String]
+}, { _id: false });
+
+// An occurrence of a recurring window that was ended early or extended
+const adjustmentSchema = new mongoose.Schema({
+    occurrenceStart: {
+        type: Date,
+        required: true
+    },
+    end: {
+        type: Date,
+        required: true
+    }
+}, { _id: false });
+
+const maintenanceWindowSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+    type: {
+        type: String,
+        enum: ['one_off', 'recurring'],
+        default: 'one_off'
+    },
+    // One-off windows run from start to end. Recurring windows have occurrences starting from
+    // start, and until end when it is set.
+    start: {
+        type: Date,
+        required: true
+    },
+    end: {
+        type: Date,
+        required: function() {
+            return this.type === 'one_off';
+        },
+        validate: {
+            validator: function(value) {
+                return !value || !this.start || value > this.start;
+            },
+            message: 'Maintenance window end must be after its start'
+        }
+    },
+    recurrence: {
+        type: recurrenceSchema,
+        required: function() {
+            return this.type === 'recurring';
+        }
+    },
+    timeZone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+            validator: isValidTimeZone,
+            message: props => `${props.value} is not a known time zone`
+        }
+    },
+    scope: {
+        type: scopeSchema,
+        required: true,
+        validate: {
+            validator: scope => ['deviceIds', 'deviceTypes', 'locations', 'tags'].some(key => scope[key]?.length > 0),
+            message: 'A maintenance window needs at least one device, device type, location or tag'
+        }
+    },
+    adjustments: [adjustmentSchema],
+    // When the last occurrence is over, or null while a recurring window has no end
+    expiresAt: Date,
+    createdBy: String,
+    updatedBy: String
+}, {
+    timestamps: true
+});
+
+// Indexes
+maintenanceWindowSchema.index({ start: 1, expiresAt: 1 });
+maintenanceWindowSchema.index({ 'scope.deviceIds': 1 });
+
+maintenanceWindowSchema.pre('validate', function(next) {
+    const recurrence = this.recurrence;
+    if (this.type === 'recurring' && recurrence) {
+        if (recurrence.frequency === 'weekly' && (!recurrence.days.length || recurrence.days.some(day => day > 6))) {
+            this.invalidate('recurrence.days', 'Weekly maintenance windows need weekdays from 0 to 6');
+        }
+        if (recurrence.frequency === 'monthly' && (!recurrence.days.length || recurrence.days.some(day => day < 1))) {
+            this.invalidate('recurrence.days', 'Monthly maintenance windows need days of the month from 1 to 31');
+        }
+    }
+    this.expiresAt = expiry(this);
+    next();
+});
+
+// Methods
+/**
+ * Occurrences overlapping [from, to), in order
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+maintenanceWindowSchema.methods.occurrencesBetween = function(from, to) {
+    const rangeStart = new Date(from).getTime();
+    const rangeEnd = new Date(to).getTime();
+    const overlaps = (occurrence) => occurrence.end > rangeStart && occurrence.start < rangeEnd;
+
+    if (this.type !== 'recurring') {
+        const occurrence = { start: this.start, end: this.end };
+        return this.start && this.end && overlaps(occurrence) ? [occurrence] : [];
+    }
+
+    const { frequency, days, time, durationMinutes } = this.recurrence;
+    const clock = parseClock(time);
+    const longest = Math.max(durationMinutes * MINUTE, ...this.adjustments.map(a => a.end - a.occurrenceStart));
+
+    // Start a day early so occurrences that began before the range and still run are included
+    const firstDay = dayNumber(zonedParts(new Date(Math.max(rangeStart - longest, this.start.getTime())), this.timeZone)) - 1;
+    const lastDay = dayNumber(zonedParts(new Date(rangeEnd), this.timeZone));
+
+    const occurrences = [];
+    for (let day = firstDay; day <= lastDay; day++) {
+        const date = fromDayNumber(day);
+        if (frequency === 'weekly' && !days.includes((day + 4) % 7)) continue; // 1970-01-01 was a Thursday
+        if (frequency === 'monthly' && !days.includes(date.day)) continue;
+
+        const start = zonedToUtc({ ...date, hour: Math.floor(clock / 60), minute: clock % 60 }, this.timeZone);
+        if (start < this.start || (this.end && start >= this.end)) continue;
+
+        const adjustment = this.adjustments.find(a => a.occurrenceStart.getTime() === start.getTime());
+        const occurrence = {
+            start,
+            end: adjustment ? adjustment.end : new Date(start.getTime() + durationMinutes * MINUTE)
+        };
+        if (overlaps(occurrence)) occurrences.push(occurrence);
+    }
+    return occurrences;
+};
+
+/**
+ * The occurrence in progress at a moment, or null
+ */
+maintenanceWindowSchema.methods.occurrenceAt = function(date = new Date()) {
+    const at = new Date(date);
+    const active = this.occurrencesBetween(at, new Date(at.getTime() + 1)).filter(o => o.start <= at);
+    // Overlapping occurrences after an extension: report the one that lasts longest
+    return active.reduce((latest, occurrence) => (!latest || occurrence.end > latest.end ? occurrence : latest), null);
+};
+
+/**
+ * @param {object} device - NetworkDevice document or plain object with _id, type, location and tags
+ */
+maintenanceWindowSchema.methods.appliesTo = function(device) {
+    const scope = this.scope || {};
+    if (scope.deviceIds?.some(id => String(id) === String(device._id))) return true;
+    if (scope.deviceTypes?.includes(device.type)) return true;
+    if (scope.tags?.some(tag => device.tags?.includes(tag))) return true;
+    return Boolean(scope.locations?.some(location => {
+        const fields = ['building', 'floor', 'room'].filter(field => location[field]);
+        return fields.length > 0 && fields.every(field => device.location?.[field] === location[field]);
+    }));
+};
+
+function expiry(window) {
+    if (window.type !== 'recurring') {
+        return window.end;
+    }
+    if (!window.end || !window.recurrence) {
+        return null;
+    }
+    // The last occurrence starts before end and may run past it
+    const ends = window.adjustments.map(adjustment => adjustment.end.getTime());
+    return new Date(Math.max(window.end.getTime() + window.recurrence.durationMinutes * MINUTE, ...ends));
+}
+
+const MaintenanceWindow = mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
+
+export default MaintenanceWindow;
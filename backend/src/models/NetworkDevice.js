@@ -12,6 +12,7 @@ const locationSchema = new mongoose.Schema({
 
 const networkInterfaceSchema = new mongoose.Schema({
     name: String,
+    ifIndex: Number, // SNMP interface index, also used by sFlow counter samples
     type: {
         type: String,
         enum: ['ethernet', 'wifi', 'fiber', 'other']
@@ -29,6 +30,29 @@ const networkInterfaceSchema = new mongoose.Schema({
     }
 });
 
+// Neighbor advertisement learned over LLDP or CDP on one of the device's interfaces
+const neighborSchema = new mongoose.Schema({
+    localInterface: String,
+    protocol: {
+        type: String,
+        enum: ['lldp', 'cdp']
+    },
+    source: String, // what reported it, e.g. 'openflow', 'snmp' or 'api'
+    chassisId: String,
+    chassisIdSubtype: String,
+    portId: String,
+    portIdSubtype: String,
+    portDescription: String,
+    systemName: String,
+    managementAddress: String,
+    capabilities: [String],
+    ttl: Number, // in seconds
+    lastSeen: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const networkDeviceSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -46,6 +70,7 @@ const networkDeviceSchema = new mongoose.Schema({
     firmwareVersion: String,
     location: locationSchema,
     interfaces: [networkInterfaceSchema],
+    neighbors: [neighborSchema],
     status: {
         type: String,
         enum: ['active', 'inactive', 'maintenance', 'error'],
@@ -55,6 +80,13 @@ const networkDeviceSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
     },
+    lastConfigured: Date,
+    // Result of the last PolicyEnforcementService.checkCompliance run
+    complianceStatus: {
+        lastCheck: Date,
+        compliant: Boolean,
+        violations: [mongoose.Schema.Types.Mixed]
+    },
     uptime: Number, // in seconds
     metrics: {
         cpu: {
@@ -75,18 +107,41 @@ const networkDeviceSchema = new mongoose.Schema({
     connectionInfo: {
         protocol: {
             type: String,
-            enum: ['ssh', 'telnet', 'snmp', 'http', 'https']
+            enum: ['ssh', 'telnet', 'netconf', 'snmp', 'http', 'https']
         },
+        host: String, // management address; falls back to the first interface address
         port: Number,
+        hostKey: String, // SHA256 fingerprint of the SSH host key; SSH and NETCONF are refused without one
+        pollInterval: Number, // in seconds, overrides SNMP_POLL_INTERVAL
         credentials: {
             username: String,
-            // Password should be stored securely in a separate system
             authMethod: {
                 type: String,
                 enum: ['password', 'key', 'token']
-            }
+            },
+            // Secrets are kept in the credential vault; without a reference the device's groups
+            // are asked (see DeviceGroup)
+            login: { type: mongoose.Schema.Types.ObjectId, ref: 'VaultSecret' }, // ssh_password or ssh_key
+            enable: { type: mongoose.Schema.Types.ObjectId, ref: 'VaultSecret' }, // enable_secret
+            snmp: { type: mongoose.Schema.Types.ObjectId, ref: 'VaultSecret' }, // snmp_community or snmp_v3
+            api: { type: mongoose.Schema.Types.ObjectId, ref: 'VaultSecret' } // api_token
         }
     },
+    openflow: {
+        datapathId: String, // 16 hex digits, set when the switch connects to the controller
+        version: String,
+        nTables: Number,
+        nBuffers: Number,
+        capabilities: Number,
+        connected: {
+            type: Boolean,
+            default: false
+        },
+        remoteAddress: String,
+        lastConnected: Date,
+        lastDisconnected: Date
+    },
+    groups: [String], // matched against NetworkPolicy scope.deviceGroups
     tags: [String],
     notes: String,
     metadata: {
@@ -106,6 +161,7 @@ networkDeviceSchema.index({
     'location.building': 1,
     'location.floor': 1
 });
+networkDeviceSchema.index({ 'openflow.datapathId': 1 }, { sparse: true });
 
 // Virtual for device age
 networkDeviceSchema.virtual('deviceAge').get(function() {
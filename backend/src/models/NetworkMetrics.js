@@ -9,6 +9,12 @@ const metricValueSchema = {
     }
 };
 
+// For measurements only some collectors provide (an SNMP poll has no latency, for example)
+const optionalMetricValueSchema = {
+    ...metricValueSchema,
+    required: false
+};
+
 const metricDataPointSchema = {
     value: metricValueSchema,
     timestamp: {
@@ -78,7 +84,7 @@ const networkMetricsSchema = new mongoose.Schema({
                 }
             },
             utilization: {
-                value: metricValueSchema,
+                value: optionalMetricValueSchema,
                 unit: {
                     type: String,
                     default: '%'
@@ -86,21 +92,21 @@ const networkMetricsSchema = new mongoose.Schema({
             }
         },
         latency: {
-            value: metricValueSchema,
+            value: optionalMetricValueSchema,
             unit: {
                 type: String,
                 default: 'ms'
             }
         },
         packetLoss: {
-            value: metricValueSchema,
+            value: optionalMetricValueSchema,
             unit: {
                 type: String,
                 default: '%'
             }
         },
         jitter: {
-            value: metricValueSchema,
+            value: optionalMetricValueSchema,
             unit: {
                 type: String,
                 default: 'ms'
@@ -122,12 +128,52 @@ const networkMetricsSchema = new mongoose.Schema({
                 }
             }
         },
+        discards: {
+            inbound: {
+                value: optionalMetricValueSchema,
+                unit: {
+                    type: String,
+                    default: 'count'
+                }
+            },
+            outbound: {
+                value: optionalMetricValueSchema,
+                unit: {
+                    type: String,
+                    default: 'count'
+                }
+            }
+        },
         retransmission: {
-            value: metricValueSchema,
+            value: optionalMetricValueSchema,
             unit: {
                 type: String,
                 default: 'count'
             }
+        },
+        // Of the whole device, stored with each interface sample of the same poll
+        cpu: {
+            value: optionalMetricValueSchema,
+            unit: {
+                type: String,
+                default: '%'
+            }
+        },
+        memory: {
+            used: {
+                value: optionalMetricValueSchema,
+                unit: {
+                    type: String,
+                    default: 'bytes'
+                }
+            },
+            total: {
+                value: optionalMetricValueSchema,
+                unit: {
+                    type: String,
+                    default: 'bytes'
+                }
+            }
         }
     }
 }, {
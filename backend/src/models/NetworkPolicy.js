@@ -82,6 +82,12 @@ const networkPolicySchema = new mongoose.Schema({
         type: String,
         enum: ['draft', 'active', 'inactive', 'archived'],
         default: 'draft'
+    },
+    // Result of the conflict analysis run when the policy was last activated
+    validation: {
+        checkedAt: Date,
+        findings: [mongoose.Schema.Types.Mixed],
+        forced: Boolean
     }
 }, {
     timestamps: true
@@ -111,16 +117,32 @@ networkPolicySchema.statics.findActive = async function() {
     return this.find({ status: 'active' }).sort({ priority: -1 });
 };
 
-networkPolicySchema.statics.findByDevice = async function(deviceType, groups = []) {
+networkPolicySchema.statics.findByDevice = async function(deviceType, groups = [], location) {
+    const scopes = [
+        { 'scope.deviceTypes': deviceType },
+        { 'scope.deviceGroups': { $in: groups } }
+    ];
+    if (location) {
+        scopes.push({ 'scope.locations': location });
+    }
+
     return this.find({
         status: 'active',
-        $or: [
-            { 'scope.deviceTypes': deviceType },
-            { 'scope.deviceGroups': { $in: groups } }
-        ]
+        $or: scopes
     }).sort({ priority: -1 });
 };
 
+networkPolicySchema.statics.findActiveInScope = async function(scope = {}) {
+    const scopes = [];
+    if (scope.deviceTypes?.length) scopes.push({ 'scope.deviceTypes': { $in: scope.deviceTypes } });
+    if (scope.deviceGroups?.length) scopes.push({ 'scope.deviceGroups': { $in: scope.deviceGroups } });
+    if (scope.locations?.length) scopes.push({ 'scope.locations': { $in: scope.locations } });
+
+    // An empty scope analyzes every active policy
+    const query = scopes.length > 0 ? { status: 'active', $or: scopes } : { status: 'active' };
+    return this.find(query).sort({ priority: -1 });
+};
+
 const NetworkPolicy = mongoose.model('NetworkPolicy', networkPolicySchema);
 
 export default NetworkPolicy;
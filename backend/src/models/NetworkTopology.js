@@ -36,6 +36,18 @@ const connectionSchema = new mongoose.Schema({
     }
 });
 
+// Link changes between two topology versions
+const revisionSchema = new mongoose.Schema({
+    version: Number,
+    discoveredAt: {
+        type: Date,
+        default: Date.now
+    },
+    added: [mongoose.Schema.Types.Mixed],
+    removed: [mongoose.Schema.Types.Mixed],
+    changed: [mongoose.Schema.Types.Mixed]
+}, { _id: false });
+
 const networkTopologySchema = new mongoose.Schema({
     name: {
         type: String,
@@ -49,6 +61,7 @@ const networkTopologySchema = new mongoose.Schema({
         default: 1
     },
     connections: [connectionSchema],
+    revisions: [revisionSchema],
     metadata: {
         createdBy: String,
         lastModifiedBy: String,
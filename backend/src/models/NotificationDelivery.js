@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// One attempt to notify a channel about an alert, kept as the alert's delivery log
+const notificationDeliverySchema = new mongoose.Schema({
+    alertId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Alert'
+    },
+    alertConfigId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AlertConfig'
+    },
+    event: {
+        type: String,
+        required: true,
+        enum: ['opened', 'resolved', 'escalated', 'test']
+    },
+    // EscalationPolicy step of an escalation, counting from 1
+    escalationStep: Number,
+    channel: {
+        type: String,
+        required: true
+    },
+    // Addresses, numbers or the host a webhook was posted to; never full webhook URLs
+    recipients: [String],
+    subject: String,
+    status: {
+        type: String,
+        required: true,
+        enum: ['sent', 'failed']
+    },
+    attempts: {
+        type: Number,
+        default: 1
+    },
+    error: String,
+    response: String,
+    durationMs: Number
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+notificationDeliverySchema.index({ alertId: 1, createdAt: -1 });
+notificationDeliverySchema.index({ status: 1, createdAt: -1 });
+
+const NotificationDelivery = mongoose.model('NotificationDelivery', notificationDeliverySchema);
+
+export default NotificationDelivery;
@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+import { isValidTimeZone, zonedParts, zonedToUtc, dayNumber, fromDayNumber, parseClock } from '../utils/ZonedTime.js';
+
+const CLOCK = /^([01]\d|2[0-3]):[0-5]\d$/;
+const HOUR = 3600000;
+
+// Time-of-day window in the schedule's time zone; an end at or before the start runs past midnight
+const restrictionSchema = new mongoose.Schema({
+    days: {
+        type: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+        default: [0, 1, 2, 3, 4, 5, 6]
+    },
+    start: {
+        type: String,
+        required: true,
+        match: CLOCK
+    },
+    end: {
+        type: String,
+        required: true,
+        match: CLOCK
+    }
+}, { _id: false });
+
+const rotationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    participants: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        validate: {
+            validator: participants => participants.length > 0,
+            message: 'A rotation needs at least one participant'
+        }
+    },
+    // daily and weekly shifts hand off at handoffTime local time; custom shifts last shiftLength hours
+    type: {
+        type: String,
+        enum: ['daily', 'weekly', 'custom'],
+        default: 'weekly'
+    },
+    shiftLength: {
+        type: Number,
+        min: 1,
+        required: function() {
+            return this.type === 'custom';
+        }
+    },
+    handoffTime: {
+        type: String,
+        default: '09:00',
+        match: CLOCK
+    },
+    // The first participant's first shift starts at the first handoff at or after this
+    startDate: {
+        type: Date,
+        required: true
+    },
+    // Only on call within these windows when set, e.g. business hours
+    restrictions: [restrictionSchema]
+});
+
+const overrideSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    start: {
+        type: Date,
+        required: true
+    },
+    end: {
+        type: Date,
+        required: true,
+        validate: {
+            validator: function(value) {
+                return !this.start || value > this.start;
+            },
+            message: 'Override end must be after its start'
+        }
+    },
+    reason: String,
+    createdBy: String
+});
+
+const onCallScheduleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: String,
+    timeZone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+            validator: isValidTimeZone,
+            message: props => `${props.value} is not a known time zone`
+        }
+    },
+    // Later rotations take precedence over earlier ones while they are active
+    rotations: [rotationSchema],
+    overrides: [overrideSchema],
+    createdBy: String,
+    updatedBy: String
+}, {
+    timestamps: true
+});
+
+// Indexes
+onCallScheduleSchema.index({ 'overrides.end': 1 });
+
+// Methods
+/**
+ * Who is on call at a moment. Active overrides replace the rotations.
+ * @returns {Array<{ userId, rotation, shiftStart, shiftEnd, override }>}
+ */
+onCallScheduleSchema.methods.onCallAt = function(date = new Date()) {
+    const at = new Date(date);
+
+    const overrides = this.overrides.filter(override => override.start <= at && override.end > at);
+    if (overrides.length > 0) {
+        return overrides.map(override => ({
+            userId: override.userId,
+            rotation: null,
+            shiftStart: override.start,
+            shiftEnd: override.end,
+            override: true
+        }));
+    }
+
+    for (let i = this.rotations.length - 1; i >= 0; i--) {
+        const rotation = this.rotations[i];
+        if (!isWithinRestrictions(rotation, at, this.timeZone)) continue;
+
+        const shift = currentShift(rotation, at, this.timeZone);
+        if (shift) {
+            return [{
+                userId: rotation.participants[shift.index % rotation.participants.length],
+                rotation: rotation.name,
+                shiftStart: shift.start,
+                shiftEnd: shift.end,
+                override: false
+            }];
+        }
+    }
+    return [];
+};
+
+function currentShift(rotation, at, timeZone) {
+    const startDate = new Date(rotation.startDate);
+    if (rotation.type === 'custom') {
+        const length = rotation.shiftLength * HOUR;
+        if (at < startDate) return null;
+        const index = Math.floor((at - startDate) / length);
+        const start = startDate.getTime() + index * length;
+        return { index, start: new Date(start), end: new Date(start + length) };
+    }
+
+    // Count calendar days in the schedule's time zone so handoffs stay at the same local time over DST
+    const period = rotation.type === 'daily' ? 1 : 7;
+    const handoff = parseClock(rotation.handoffTime || '09:00');
+    const shiftDay = (date) => {
+        const local = zonedParts(date, timeZone);
+        return dayNumber(local) - (local.hour * 60 + local.minute < handoff ? 1 : 0);
+    };
+    const handoffAt = (day) => zonedToUtc({
+        ...fromDayNumber(day),
+        hour: Math.floor(handoff / 60),
+        minute: handoff % 60
+    }, timeZone);
+
+    // First handoff at or after startDate
+    let firstDay = shiftDay(startDate);
+    if (handoffAt(firstDay) < startDate) firstDay++;
+    if (at < handoffAt(firstDay)) return null;
+
+    const index = Math.floor((shiftDay(at) - firstDay) / period);
+    const startDay = firstDay + index * period;
+    return { index, start: handoffAt(startDay), end: handoffAt(startDay + period) };
+}
+
+function isWithinRestrictions(rotation, at, timeZone) {
+    if (!rotation.restrictions?.length) return true;
+
+    const local = zonedParts(at, timeZone);
+    const minutes = local.hour * 60 + local.minute;
+    const yesterday = (local.weekday + 6) % 7;
+
+    return rotation.restrictions.some(restriction => {
+        const start = parseClock(restriction.start);
+        const end = parseClock(restriction.end);
+        if (end > start) {
+            return restriction.days.includes(local.weekday) && minutes >= start && minutes < end;
+        }
+        // Overnight: the part after midnight belongs to the previous day's window
+        return (restriction.days.includes(local.weekday) && minutes >= start) ||
+            (restriction.days.includes(yesterday) && minutes < end);
+    });
+}
+
+const OnCallSchedule = mongoose.model('OnCallSchedule', onCallScheduleSchema);
+
+export default OnCallSchedule;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const policyDeploymentSchema = new mongoose.Schema({
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NetworkDevice',
+        required: true
+    },
+    policies: [{
+        policyId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'NetworkPolicy'
+        },
+        name: String,
+        version: Number
+    }],
+    // Compiled rule set as produced by PolicyCompiler.compile, kept for later diffs
+    ruleSet: {
+        rules: [mongoose.Schema.Types.Mixed],
+        warnings: [String]
+    },
+    flowCount: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['success', 'failed'],
+        required: true
+    },
+    error: String,
+    deployedBy: String
+}, {
+    timestamps: true
+});
+
+// Indexes
+policyDeploymentSchema.index({ deviceId: 1, createdAt: -1 });
+policyDeploymentSchema.index({ 'policies.policyId': 1 });
+
+// Statics
+policyDeploymentSchema.statics.findLatest = function(deviceId) {
+    return this.findOne({ deviceId, status: 'success' }).sort({ createdAt: -1 });
+};
+
+const PolicyDeployment = mongoose.model('PolicyDeployment', policyDeploymentSchema);
+
+export default PolicyDeployment;
@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+
+const rolloutDeviceSchema = new mongoose.Schema({
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NetworkDevice',
+        required: true
+    },
+    // ConfigDeployment that applied the rollout to the device
+    deploymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ConfigDeployment'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'deployed', 'failed', 'unhealthy', 'reverted', 'revert_failed'],
+        default: 'pending'
+    },
+    error: String,
+    revertDeploymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ConfigDeployment'
+    }
+}, { _id: false });
+
+const gateSchema = new mongoose.Schema({
+    passed: Boolean,
+    // Health gate: devices that failed the health check after the wait
+    unhealthy: Number,
+    // Error-rate gate: failed deploys over the devices attempted so far
+    rate: Number,
+    threshold: Number
+}, { _id: false });
+
+const batchSchema = new mongoose.Schema({
+    canary: {
+        type: Boolean,
+        default: false
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'deploying', 'waiting', 'passed', 'failed'],
+        default: 'pending'
+    },
+    devices: [rolloutDeviceSchema],
+    startedAt: Date,
+    deployedAt: Date,
+    waitUntil: Date,
+    checkedAt: Date,
+    gates: {
+        health: gateSchema,
+        errorRate: gateSchema
+    }
+}, { _id: false });
+
+// A configuration or policy deployment spread over many devices: a canary batch first, then
+// batches that each have to pass the health and error-rate gates before the next one starts.
+const rolloutSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    kind: {
+        type: String,
+        enum: ['config', 'policy'],
+        required: true
+    },
+    // Configuration deployed by a config rollout
+    config: mongoose.Schema.Types.Mixed,
+    // Policies a policy rollout was started for; every device gets its applicable active policies
+    policyIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NetworkPolicy'
+    }],
+    strategy: {
+        canarySize: {
+            type: Number,
+            min: 1
+        },
+        batchSize: {
+            type: Number,
+            min: 1
+        },
+        waitSeconds: {
+            type: Number,
+            min: 0
+        },
+        maxErrorRate: {
+            type: Number,
+            min: 0,
+            max: 1
+        }
+    },
+    status: {
+        type: String,
+        enum: ['running', 'paused', 'completed', 'rolling_back', 'rolled_back', 'failed'],
+        default: 'running'
+    },
+    // Pause or abort asked for through the API, applied by the orchestrator at its next step
+    requestedAction: {
+        type: String,
+        enum: ['pause', 'abort']
+    },
+    requestedBy: String,
+    currentBatch: {
+        type: Number,
+        default: 0
+    },
+    nextStepAt: Date,
+    batches: [batchSchema],
+    haltReason: {
+        gate: {
+            type: String,
+            enum: ['health', 'error_rate', 'aborted']
+        },
+        message: String
+    },
+    createdBy: {
+        type: String,
+        default: 'system'
+    },
+    finishedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+rolloutSchema.index({ status: 1, nextStepAt: 1 });
+rolloutSchema.index({ createdAt: -1 });
+rolloutSchema.index({ 'batches.devices.deviceId': 1 });
+
+const Rollout = mongoose.model('Rollout', rolloutSchema);
+
+export default Rollout;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { SyslogFacility } from '../utils/SyslogParser.js';
+
+const retentionDays = parseInt(process.env.SYSLOG_RETENTION_DAYS) || 30;
+
+// One syslog message received from a device
+const syslogMessageSchema = new mongoose.Schema({
+    source: {
+        type: String,
+        required: true // sender address
+    },
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NetworkDevice'
+    },
+    transport: {
+        type: String,
+        enum: ['udp', 'tcp']
+    },
+    format: {
+        type: String,
+        enum: ['rfc5424', 'rfc3164', 'unknown']
+    },
+    facility: {
+        type: String,
+        enum: SyslogFacility
+    },
+    severity: {
+        type: Number,
+        min: 0,
+        max: 7 // 0 emerg ... 7 debug
+    },
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    hostname: String,
+    appName: String,
+    procId: String,
+    msgId: String,
+    structuredData: mongoose.Schema.Types.Mixed,
+    message: {
+        type: String,
+        default: ''
+    },
+    matchedPatterns: [String]
+}, {
+    timestamps: { createdAt: 'receivedAt', updatedAt: false }
+});
+
+// Indexes
+syslogMessageSchema.index({ timestamp: -1 });
+syslogMessageSchema.index({ deviceId: 1, timestamp: -1 });
+syslogMessageSchema.index({ severity: 1, timestamp: -1 });
+syslogMessageSchema.index({ matchedPatterns: 1, timestamp: -1 });
+syslogMessageSchema.index({ message: 'text', hostname: 'text', appName: 'text', msgId: 'text' });
+syslogMessageSchema.index({ receivedAt: 1 }, { expireAfterSeconds: retentionDays * 24 * 60 * 60 });
+
+const SyslogMessage = mongoose.model('SyslogMessage', syslogMessageSchema);
+
+export default SyslogMessage;
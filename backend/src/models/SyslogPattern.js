@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import { SyslogFacility } from '../utils/SyslogParser.js';
+
+const MAX_PATTERN_LENGTH = 500;
+
+// User-defined rule that tags matching syslog messages with an event type and can raise an alert
+const syslogPatternSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: String,
+    pattern: {
+        type: String,
+        required: true,
+        maxlength: MAX_PATTERN_LENGTH,
+        validate: {
+            validator: (value) => {
+                try {
+                    new RegExp(value);
+                    return true;
+                } catch {
+                    return false;
+                }
+            },
+            message: 'pattern is not a valid regular expression'
+        }
+    },
+    caseSensitive: {
+        type: Boolean,
+        default: false
+    },
+    eventType: {
+        type: String,
+        trim: true // e.g. 'link_down' or 'config_changed'
+    },
+    // Optional filters, all of which must hold for a message to match
+    maxSeverity: {
+        type: Number,
+        min: 0,
+        max: 7,
+        default: 7
+    },
+    facilities: [{
+        type: String,
+        enum: SyslogFacility
+    }],
+    appName: String,
+    deviceIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NetworkDevice'
+    }],
+    // Alert raised on a match; severity, cooldown and notification channels come from the config
+    alertConfigId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AlertConfig'
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: String,
+    updatedBy: String
+}, {
+    timestamps: true
+});
+
+// Indexes
+syslogPatternSchema.index({ enabled: 1 });
+
+// Methods
+syslogPatternSchema.methods.matches = function(message) {
+    if (!this.enabled || message.severity > this.maxSeverity) return false;
+    if (this.facilities?.length > 0 && !this.facilities.includes(message.facility)) return false;
+    if (this.appName && this.appName !== message.appName) return false;
+    if (this.deviceIds?.length > 0 && !this.deviceIds.some(id => message.deviceId && id.equals(message.deviceId))) {
+        return false;
+    }
+
+    // Compiled once per document
+    if (!this._regex) {
+        this._regex = new RegExp(this.pattern, this.caseSensitive ? '' : 'i');
+    }
+    return this._regex.test(message.msgId ? `${message.msgId} ${message.message}` : message.message);
+};
+
+const SyslogPattern = mongoose.model('SyslogPattern', syslogPatternSchema);
+
+export default SyslogPattern;
@@ -30,6 +30,12 @@ const userSchema = new mongoose.Schema({
             return !this.oauth; // Password not required if using OAuth
         }
     },
+    // E.164, for SMS from escalation policies
+    phoneNumber: {
+        type: String,
+        trim: true,
+        match: /^\+[1-9]\d{6,14}$/
+    },
     role: {
         type: String,
         enum: ['user', 'admin'],
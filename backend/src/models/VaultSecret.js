@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Device secrets: SSH passwords and keys, enable secrets, SNMP communities and USM keys, API
+// tokens. Referenced from NetworkDevice.connectionInfo.credentials and DeviceGroup.credentials.
+// Secret values are only ever stored envelope-encrypted; see CredentialVault.
+const vaultSecretSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: String,
+    type: {
+        type: String,
+        enum: ['ssh_password', 'ssh_key', 'enable_secret', 'snmp_community', 'snmp_v3', 'api_token'],
+        required: true
+    },
+    // SSH login or SNMPv3 USM user and its protocols; none of them secret
+    username: String,
+    authProtocol: {
+        type: String,
+        enum: ['md5', 'sha', 'sha256']
+    },
+    privProtocol: {
+        type: String,
+        enum: ['aes']
+    },
+    // EncryptionService.envelopeEncrypt output for the secret fields of the type
+    envelope: {
+        keyId: { type: String, required: true }, // fingerprint of the master key that wrapped the data key
+        wrappedKey: {
+            encrypted: { type: String, required: true },
+            iv: { type: String, required: true },
+            authTag: { type: String, required: true },
+            salt: { type: String, required: true }
+        },
+        encrypted: { type: String, required: true },
+        iv: { type: String, required: true },
+        authTag: { type: String, required: true }
+    },
+    // Counts the values the secret had; raised by every rotation
+    version: {
+        type: Number,
+        default: 1
+    },
+    rotatedAt: Date,
+    lastAccessedAt: Date,
+    createdBy: String,
+    updatedBy: String
+}, {
+    timestamps: true
+});
+
+vaultSecretSchema.index({ type: 1, username: 1 });
+
+// Methods
+vaultSecretSchema.methods.toJSON = function() {
+    const obj = this.toObject();
+    obj.keyId = obj.envelope?.keyId;
+    delete obj.envelope;
+    delete obj.__v;
+    return obj;
+};
+
+const VaultSecret = mongoose.model('VaultSecret', vaultSecretSchema);
+
+export default VaultSecret;
@@ -2,6 +2,9 @@ import express from 'express';
 import { adminAuth, verifyToken } from '../middleware/auth.js';
 import Analytics from '../services/Analytics.js';
 import DataRetention from '../services/DataRetention.js';
+import FlowAnalytics from '../services/FlowAnalytics.js';
+import { FlowCollector } from '../services/FlowCollector.js';
+import { AppError, ErrorHandler } from '../utils/ErrorHandler.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -69,6 +72,69 @@ router.get('/capacity', verifyToken, async (req, res) => {
     }
 });
 
+const serviceErrorStatus = (error) => (error instanceof AppError ? ErrorHandler.getHttpStatus(error.code) : 500);
+
+// Device Availability (SLA)
+router.get('/availability/:deviceId', verifyToken, async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { start, end, severities } = req.query;
+        const availability = await Analytics.getDeviceAvailability(deviceId, {
+            start,
+            end,
+            severities: severities ? String(severities).split(',').filter(Boolean) : undefined
+        });
+        res.json(availability);
+    } catch (error) {
+        logger.error('Get device availability error:', error);
+        res.status(serviceErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// Flow Analytics (NetFlow/IPFIX/sFlow)
+
+router.get('/flows/top-talkers', verifyToken, async (req, res) => {
+    try {
+        const { start, end, limit, deviceId, direction } = req.query;
+        const talkers = await FlowAnalytics.getTopTalkers({ start, end, limit, deviceId, direction });
+        res.json(talkers);
+    } catch (error) {
+        logger.error('Get top talkers error:', error);
+        res.status(serviceErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+router.get('/flows/top-applications', verifyToken, async (req, res) => {
+    try {
+        const { start, end, limit, deviceId } = req.query;
+        const applications = await FlowAnalytics.getTopApplications({ start, end, limit, deviceId });
+        res.json(applications);
+    } catch (error) {
+        logger.error('Get top applications error:', error);
+        res.status(serviceErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+router.get('/flows/conversations', verifyToken, async (req, res) => {
+    try {
+        const { start, end, limit, deviceId } = req.query;
+        const conversations = await FlowAnalytics.getConversationMatrix({ start, end, limit, deviceId });
+        res.json(conversations);
+    } catch (error) {
+        logger.error('Get conversation matrix error:', error);
+        res.status(serviceErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+router.get('/flows/exporters', verifyToken, async (req, res) => {
+    try {
+        res.json({ exporters: FlowCollector.getExporterHealth() });
+    } catch (error) {
+        logger.error('Get flow exporter health error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Data Retention
 router.post('/retention/apply', adminAuth, async (req, res) => {
     try {
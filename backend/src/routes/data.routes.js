@@ -1,6 +1,7 @@
 import express from 'express';
 import { adminAuth, verifyToken } from '../middleware/auth.js';
 import DataManager from '../services/DataManager.js';
+import { NotificationDispatcher } from '../services/NotificationDispatcher.js';
 import logger from '../utils/logger.js';
 import NetworkDevice from '../models/NetworkDevice.js';
 
@@ -147,6 +148,17 @@ router.delete('/alerts/config/:id', adminAuth, async (req, res) => {
     }
 });
 
+// Sends a sample alert through a notification channel; failures come back in the delivery entry
+router.post('/alerts/config/channels/test', adminAuth, async (req, res) => {
+    try {
+        const delivery = await NotificationDispatcher.test(req.body);
+        res.json(delivery);
+    } catch (error) {
+        logger.error('Test notification channel error:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
 // Data Maintenance Routes
 router.post('/maintenance/cleanup', adminAuth, async (req, res) => {
     try {
@@ -1,14 +1,35 @@
 import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
 import auth, { adminAuth } from '../middleware/auth.js';
 import { sqlInjectionPrevention } from '../middleware/sqlInjectionPrevention.js';
 import { xssPrevention } from '../middleware/xssPrevention.js';
 import { fileUploadValidation } from '../middleware/fileUploadValidation.js';
 import { apiRateLimiter } from '../middleware/rateLimiter.js';
 import { NetworkMonitor } from '../services/NetworkMonitor.js';
+import { OpenFlowController } from '../services/OpenFlowController.js';
+import { FlowTableService } from '../services/FlowTableService.js';
+import { PolicyEnforcementService } from '../services/PolicyEnforcementService.js';
+import { TopologyDiscoveryService } from '../services/TopologyDiscoveryService.js';
+import { SnmpPoller } from '../services/SnmpPoller.js';
+import { CredentialVault, SECRET_TYPES, CREDENTIAL_PURPOSES } from '../services/CredentialVault.js';
+import { SnmpTrapReceiver } from '../services/SnmpTrapReceiver.js';
+import { SyslogReceiver } from '../services/SyslogReceiver.js';
+import { AlertManager } from '../services/AlertManager.js';
+import { AlertCorrelator } from '../services/AlertCorrelator.js';
+import { NotificationDispatcher } from '../services/NotificationDispatcher.js';
+import { EscalationManager } from '../services/EscalationManager.js';
+import { IncidentManager, POSTMORTEM_FORMATS } from '../services/IncidentManager.js';
+import { MaintenanceManager, MAINTENANCE_STATUSES } from '../services/MaintenanceManager.js';
+import { ConfigVersionService } from '../services/ConfigVersionService.js';
+import { ConfigRenderer } from '../services/ConfigRenderer.js';
+import { ConfigDeploymentService, DEPLOYMENT_STATUSES } from '../services/ConfigDeploymentService.js';
+import { RolloutOrchestrator, ROLLOUT_STATUSES } from '../services/RolloutOrchestrator.js';
+import { NetconfService } from '../services/NetconfService.js';
 import NetworkDevice from '../models/NetworkDevice.js';
 import NetworkTopology from '../models/NetworkTopology.js';
 import NetworkMetrics from '../models/NetworkMetrics.js';
 import logger from '../utils/logger.js';
+import { AppError, ErrorHandler } from '../utils/ErrorHandler.js';
 
 const router = express.Router();
 
@@ -34,11 +55,86 @@ const validateJsonInput = (req, res, next) => {
     }
 };
 
+// Map service errors onto the route error format
+const handleServiceError = (res, error, message) => {
+    if (error instanceof AppError) {
+        return res.status(ErrorHandler.getHttpStatus(error.code)).json({
+          error: error.code,
+          message: error.message,
+          details: error.details
+        });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: error.message
+        });
+    }
+    logger.error(`${message}:`, error);
+    res.status(500).json({
+      error: 'Server error',
+      message
+    });
+};
+
+const validateRequest = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'Request validation failed',
+          details: errors.array()
+        });
+    }
+    next();
+};
+
+// Identity recorded in the audit log for changes made through the API
+const auditActor = (req) => ({
+    id: req.user._id.toString(),
+    type: req.user.role || 'user',
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+});
+
+const flowValidators = [
+    param('id').isMongoId(),
+    body('tableId').optional().isInt({ min: 0, max: 254 }).toInt(),
+    body('priority').optional().isInt({ min: 0, max: 65535 }).toInt(),
+    body('match').optional().isObject(),
+    body('instructions').optional().isArray(),
+    body('idleTimeout').optional().isInt({ min: 0, max: 65535 }).toInt(),
+    body('hardTimeout').optional().isInt({ min: 0, max: 65535 }).toInt(),
+    body('cookie').optional().matches(/^[0-9a-f]{16}$/)
+];
+
+// Secret values written to the vault are kept out of the input filters, which would reject
+// quotes, -- and # and HTML-escape <, so the vault would store something else than was sent
+const VAULT_VALUE_FIELDS = ['password', 'privateKey', 'passphrase', 'secret', 'community', 'authPassword', 'privPassword', 'token'];
+const VAULT_WRITE = /^\/vault\/secrets(\/[^/]+(\/rotate)?)?$/;
+
+const exceptVaultValues = (middleware) => (req, res, next) => {
+    if (!['POST', 'PUT'].includes(req.method) || !VAULT_WRITE.test(req.path) || !req.body) {
+        return middleware(req, res, next);
+    }
+    const values = {};
+    for (const field of VAULT_VALUE_FIELDS) {
+        if (field in req.body) {
+            values[field] = req.body[field];
+            delete req.body[field];
+        }
+    }
+    return middleware(req, res, (error) => {
+        Object.assign(req.body, values);
+        next(error);
+    });
+};
+
 // Apply security middleware to all routes
 router.use(apiRateLimiter);
 router.use(validateJsonInput);
-router.use(sqlInjectionPrevention);
-router.use(xssPrevention);
+router.use(exceptVaultValues(sqlInjectionPrevention));
+router.use(exceptVaultValues(xssPrevention));
 
 // Protected routes
 router.use(auth.verifyToken);
@@ -57,6 +153,549 @@ router.get('/status', async (req, res) => {
     }
 });
 
+// Alert routes
+router.get('/alerts',
+    query('deviceId').optional().isMongoId(),
+    query('alertConfigId').optional().isMongoId(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 }),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { status, severity, deviceId, alertConfigId, type, page, limit } = req.query;
+            res.json(await AlertManager.list({ status, severity, deviceId, alertConfigId, type, page, limit }));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to list alerts');
+        }
+    }
+);
+
+router.post('/alerts/resolve',
+    adminAuth,
+    body('ids').optional().isArray({ min: 1 }),
+    body('ids.*').isMongoId(),
+    body('deviceId').optional().isMongoId(),
+    body('alertConfigId').optional().isMongoId(),
+    body('type').optional().isString(),
+    body('note').optional().isString().isLength({ max: 2000 }),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { ids, deviceId, alertConfigId, type, note } = req.body;
+            res.json(await AlertManager.bulkResolve({ ids, deviceId, alertConfigId, type }, auditActor(req), note));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to resolve alerts');
+        }
+    }
+);
+
+router.get('/alerts/:id', param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await AlertManager.getAlert(req.params.id));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to get alert');
+    }
+});
+
+router.get('/alerts/:id/notifications', param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await NotificationDispatcher.getDeliveries(req.params.id));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to get alert notifications');
+    }
+});
+
+router.get('/alerts/:id/correlation', param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await AlertCorrelator.getGroup(req.params.id));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to get alert correlation');
+    }
+});
+
+router.post('/alerts/:id/acknowledge',
+    param('id').isMongoId(),
+    body('note').optional().isString().isLength({ max: 2000 }),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await AlertManager.acknowledge(req.params.id, auditActor(req), req.body.note));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to acknowledge alert');
+        }
+    }
+);
+
+router.post('/alerts/:id/comments',
+    param('id').isMongoId(),
+    body('text').isString().trim().notEmpty().isLength({ max: 2000 }),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const alert = await AlertManager.comment(req.params.id, auditActor(req), req.body.text);
+            res.status(201).json(alert);
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to comment on alert');
+        }
+    }
+);
+
+router.post('/alerts/:id/resolve',
+    param('id').isMongoId(),
+    body('note').optional().isString().isLength({ max: 2000 }),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await AlertManager.resolve(req.params.id, auditActor(req), req.body.note));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to resolve alert');
+        }
+    }
+);
+
+// Incident routes
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+router.get('/incidents',
+    query('deviceId').optional().isMongoId(),
+    query('alertId').optional().isMongoId(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 }),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { status, deviceId, alertId, page, limit } = req.query;
+            res.json(await IncidentManager.list({ status, deviceId, alertId, page, limit }));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to list incidents');
+        }
+    }
+);
+
+router.post('/incidents',
+    adminAuth,
+    body('title').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+    body('description').optional().isString(),
+    body('severity').optional().isIn(SEVERITIES),
+    body('alertIds').optional().isArray(),
+    body('alertIds.*').isMongoId(),
+    body('deviceIds').optional().isArray(),
+    body('deviceIds.*').isMongoId(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { title, description, severity, alertIds, deviceIds } = req.body;
+            const incident = await IncidentManager.openIncident({ title, description, severity, alertIds, deviceIds }, auditActor(req));
+            res.status(201).json(incident);
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to open incident');
+        }
+    }
+);
+
+router.get('/incidents/:id', param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await IncidentManager.getIncident(req.params.id));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to get incident');
+    }
+});
+
+router.patch('/incidents/:id',
+    adminAuth,
+    param('id').isMongoId(),
+    body('title').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+    body('description').optional().isString(),
+    body('severity').optional().isIn(SEVERITIES),
+    body('rootCause').optional().isString(),
+    body('resolution').optional().isString(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { title, description, severity, rootCause, resolution } = req.body;
+            const incident = await IncidentManager.updateIncident(
+                req.params.id,
+                { title, description, severity, rootCause, resolution },
+                auditActor(req)
+            );
+            res.json(incident);
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to update incident');
+        }
+    }
+);
+
+router.post('/incidents/:id/alerts',
+    adminAuth,
+    param('id').isMongoId(),
+    body('alertIds').isArray({ min: 1 }),
+    body('alertIds.*').isMongoId(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await IncidentManager.addAlerts(req.params.id, req.body.alertIds, auditActor(req)));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to add alerts to incident');
+        }
+    }
+);
+
+router.post('/incidents/:id/timeline',
+    adminAuth,
+    param('id').isMongoId(),
+    body('type').isIn(['note', 'action']),
+    body('message').isString().trim().notEmpty().isLength({ max: 4000 }),
+    body('details').optional().isObject(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { type, message, details } = req.body;
+            const entry = await IncidentManager.addEntry(req.params.id, { type, message, details }, auditActor(req));
+            res.status(201).json(entry);
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to add incident timeline entry');
+        }
+    }
+);
+
+router.post('/incidents/:id/merge',
+    adminAuth,
+    param('id').isMongoId(),
+    body('incidentIds').isArray({ min: 1 }),
+    body('incidentIds.*').isMongoId(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await IncidentManager.mergeIncidents(req.params.id, req.body.incidentIds, auditActor(req)));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to merge incidents');
+        }
+    }
+);
+
+router.post('/incidents/:id/close',
+    adminAuth,
+    param('id').isMongoId(),
+    body('resolution').optional().isString(),
+    body('rootCause').optional().isString(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { resolution, rootCause } = req.body;
+            res.json(await IncidentManager.closeIncident(req.params.id, { resolution, rootCause }, auditActor(req)));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to close incident');
+        }
+    }
+);
+
+router.get('/incidents/:id/postmortem',
+    param('id').isMongoId(),
+    query('format').optional().isIn(POSTMORTEM_FORMATS),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { filename, contentType, content } = await IncidentManager.exportPostmortem(req.params.id, req.query.format);
+            res.set('Content-Type', contentType);
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            res.send(content);
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to export incident postmortem');
+        }
+    }
+);
+
+// On-call schedule and escalation policy routes
+const scheduleValidators = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name').isString().trim().notEmpty(),
+        body('description').optional().isString(),
+        body('timeZone').optional().isString(),
+        body('rotations').optional().isArray(),
+        body('rotations.*.participants').isArray({ min: 1 }),
+        body('rotations.*.participants.*').isMongoId(),
+        body('rotations.*.type').optional().isIn(['daily', 'weekly', 'custom']),
+        body('rotations.*.startDate').isISO8601(),
+        body('overrides').optional().isArray(),
+        body('overrides.*.userId').isMongoId()
+    ];
+};
+
+const overrideValidators = [
+    body('userId').isMongoId(),
+    body('start').isISO8601(),
+    body('end').isISO8601(),
+    body('reason').optional().isString().isLength({ max: 500 })
+];
+
+const policyValidators = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name').isString().trim().notEmpty(),
+        body('description').optional().isString(),
+        field('steps').isArray({ min: 1 }),
+        body('steps.*.delayMinutes').isInt({ min: 0 }).toInt(),
+        body('steps.*.targets').isArray({ min: 1 }),
+        body('steps.*.targets.*.type').isIn(['user', 'schedule']),
+        body('steps.*.targets.*.userId').optional().isMongoId(),
+        body('steps.*.targets.*.scheduleId').optional().isMongoId(),
+        body('steps.*.channels').optional().isArray(),
+        body('steps.*.channels.*').isIn(['email', 'sms'])
+    ];
+};
+
+router.get('/oncall/schedules', async (req, res) => {
+    try {
+        res.json(await EscalationManager.listSchedules());
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to list on-call schedules');
+    }
+});
+
+router.post('/oncall/schedules', adminAuth, scheduleValidators(false), validateRequest, async (req, res) => {
+    try {
+        const schedule = await EscalationManager.createSchedule(req.body, auditActor(req));
+        res.status(201).json(schedule);
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to create on-call schedule');
+    }
+});
+
+router.get('/oncall/schedules/:id', param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await EscalationManager.getSchedule(req.params.id));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to get on-call schedule');
+    }
+});
+
+router.put('/oncall/schedules/:id',
+    adminAuth,
+    param('id').isMongoId(),
+    scheduleValidators(true),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await EscalationManager.updateSchedule(req.params.id, req.body, auditActor(req)));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to update on-call schedule');
+        }
+    }
+);
+
+router.delete('/oncall/schedules/:id', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        await EscalationManager.deleteSchedule(req.params.id, auditActor(req));
+        res.status(204).send();
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to delete on-call schedule');
+    }
+});
+
+router.get('/oncall/schedules/:id/oncall',
+    param('id').isMongoId(),
+    query('at').optional().isISO8601(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const at = req.query.at ? new Date(req.query.at) : new Date();
+            res.json(await EscalationManager.getOnCall(req.params.id, at));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to get who is on call');
+        }
+    }
+);
+
+router.post('/oncall/schedules/:id/overrides',
+    adminAuth,
+    param('id').isMongoId(),
+    overrideValidators,
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { userId, start, end, reason } = req.body;
+            const schedule = await EscalationManager.addOverride(req.params.id, { userId, start, end, reason }, auditActor(req));
+            res.status(201).json(schedule);
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to add on-call override');
+        }
+    }
+);
+
+router.delete('/oncall/schedules/:id/overrides/:overrideId',
+    adminAuth,
+    param('id').isMongoId(),
+    param('overrideId').isMongoId(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await EscalationManager.removeOverride(req.params.id, req.params.overrideId, auditActor(req)));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to remove on-call override');
+        }
+    }
+);
+
+router.get('/escalation-policies', async (req, res) => {
+    try {
+        res.json(await EscalationManager.listPolicies());
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to list escalation policies');
+    }
+});
+
+router.post('/escalation-policies', adminAuth, policyValidators(false), validateRequest, async (req, res) => {
+    try {
+        const policy = await EscalationManager.createPolicy(req.body, auditActor(req));
+        res.status(201).json(policy);
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to create escalation policy');
+    }
+});
+
+router.get('/escalation-policies/:id', param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await EscalationManager.getPolicy(req.params.id));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to get escalation policy');
+    }
+});
+
+router.put('/escalation-policies/:id',
+    adminAuth,
+    param('id').isMongoId(),
+    policyValidators(true),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await EscalationManager.updatePolicy(req.params.id, req.body, auditActor(req)));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to update escalation policy');
+        }
+    }
+);
+
+router.delete('/escalation-policies/:id', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        await EscalationManager.deletePolicy(req.params.id, auditActor(req));
+        res.status(204).send();
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to delete escalation policy');
+    }
+});
+
+// Maintenance window routes
+const maintenanceWindowValidators = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name').isString().trim().notEmpty(),
+        body('description').optional().isString(),
+        body('type').optional().isIn(['one_off', 'recurring']),
+        field('start').isISO8601(),
+        body('end').optional({ nullable: true }).isISO8601(),
+        body('timeZone').optional().isString(),
+        body('recurrence').optional().isObject(),
+        body('recurrence.frequency').optional().isIn(['daily', 'weekly', 'monthly']),
+        body('recurrence.days').optional().isArray(),
+        body('recurrence.days.*').isInt({ min: 0, max: 31 }).toInt(),
+        body('recurrence.time').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+        body('recurrence.durationMinutes').optional().isInt({ min: 1, max: 10080 }).toInt(),
+        field('scope').isObject(),
+        body('scope.deviceIds').optional().isArray(),
+        body('scope.deviceIds.*').isMongoId(),
+        body('scope.deviceTypes').optional().isArray(),
+        body('scope.deviceTypes.*').isString(),
+        body('scope.locations').optional().isArray(),
+        body('scope.locations.*').isObject(),
+        body('scope.tags').optional().isArray(),
+        body('scope.tags.*').isString()
+    ];
+};
+
+router.get('/maintenance/windows',
+    query('status').optional().isIn(MAINTENANCE_STATUSES),
+    query('deviceId').optional().isMongoId(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { status, deviceId } = req.query;
+            res.json(await MaintenanceManager.list({ status, deviceId }));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to list maintenance windows');
+        }
+    }
+);
+
+router.post('/maintenance/windows', adminAuth, maintenanceWindowValidators(false), validateRequest, async (req, res) => {
+    try {
+        const window = await MaintenanceManager.createWindow(req.body, auditActor(req));
+        res.status(201).json(MaintenanceManager.describe(window));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to create maintenance window');
+    }
+});
+
+router.get('/maintenance/windows/:id', param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(MaintenanceManager.describe(await MaintenanceManager.getWindow(req.params.id)));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to get maintenance window');
+    }
+});
+
+router.put('/maintenance/windows/:id',
+    adminAuth,
+    param('id').isMongoId(),
+    maintenanceWindowValidators(true),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const window = await MaintenanceManager.updateWindow(req.params.id, req.body, auditActor(req));
+            res.json(MaintenanceManager.describe(window));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to update maintenance window');
+        }
+    }
+);
+
+router.delete('/maintenance/windows/:id', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        await MaintenanceManager.deleteWindow(req.params.id, auditActor(req));
+        res.status(204).send();
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to delete maintenance window');
+    }
+});
+
+router.post('/maintenance/windows/:id/extend',
+    adminAuth,
+    param('id').isMongoId(),
+    body('minutes').optional().isInt({ min: 1, max: 10080 }).toInt(),
+    body('until').optional().isISO8601(),
+    body().custom(value => (value.minutes === undefined) !== (value.until === undefined))
+        .withMessage('Provide either minutes or until'),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { minutes, until } = req.body;
+            const window = await MaintenanceManager.extendWindow(req.params.id, { minutes, until }, auditActor(req));
+            res.json(MaintenanceManager.describe(window));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to extend maintenance window');
+        }
+    }
+);
+
+router.post('/maintenance/windows/:id/end', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        const window = await MaintenanceManager.endWindow(req.params.id, auditActor(req));
+        res.json(MaintenanceManager.describe(window));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to end maintenance window');
+    }
+});
+
 // Network device routes
 router.get('/device/:id', async (req, res) => {
     try {
@@ -77,6 +716,115 @@ router.get('/device/:id', async (req, res) => {
     }
 });
 
+// OpenFlow switch routes
+router.get('/switches', async (req, res) => {
+    try {
+        res.json(OpenFlowController.getSwitches());
+    } catch (error) {
+        logger.error('Error listing OpenFlow switches:', error);
+        res.status(500).json({
+          error: 'Server error',
+          message: 'Failed to list OpenFlow switches'
+        });
+    }
+});
+
+// Flow table routes
+router.get('/devices/:id/flows', param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        const flows = await FlowTableService.listFlows(req.params.id, req.query);
+        res.json(flows);
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to list flow entries');
+    }
+});
+
+router.get('/devices/:id/flows/:flowId', param('id').isMongoId(), param('flowId').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        const flow = await FlowTableService.getFlow(req.params.id, req.params.flowId);
+        res.json(flow);
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to get flow entry');
+    }
+});
+
+router.post('/devices/:id/flows', adminAuth, flowValidators, validateRequest, async (req, res) => {
+    try {
+        const flow = await FlowTableService.createFlow(req.params.id, req.body, auditActor(req));
+        res.status(201).json(flow);
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to create flow entry');
+    }
+});
+
+router.put('/devices/:id/flows/:flowId', adminAuth, param('flowId').isMongoId(), flowValidators, validateRequest, async (req, res) => {
+    try {
+        const flow = await FlowTableService.updateFlow(req.params.id, req.params.flowId, req.body, auditActor(req));
+        res.json(flow);
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to update flow entry');
+    }
+});
+
+router.delete('/devices/:id/flows/:flowId', adminAuth, param('id').isMongoId(), param('flowId').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        await FlowTableService.deleteFlow(req.params.id, req.params.flowId, auditActor(req));
+        res.status(204).send();
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to delete flow entry');
+    }
+});
+
+// Policy routes
+const toList = (value) => (value === undefined ? [] : [].concat(value).flatMap(item => String(item).split(',')).filter(Boolean));
+
+router.get('/policies/analysis', async (req, res) => {
+    try {
+        const analysis = await PolicyEnforcementService.analyzeScope({
+            deviceTypes: toList(req.query.deviceTypes),
+            deviceGroups: toList(req.query.deviceGroups),
+            locations: toList(req.query.locations)
+        });
+        res.json(analysis);
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to analyze policies');
+    }
+});
+
+router.post('/policies/:id/activate',
+    adminAuth,
+    param('id').isMongoId(),
+    body('force').optional().isBoolean().toBoolean(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const policy = await PolicyEnforcementService.activatePolicy(req.params.id, {
+                force: req.body.force
+            }, auditActor(req));
+            res.json(policy);
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to activate policy');
+        }
+    }
+);
+
+router.post('/policies/:id/preview',
+    param('id').isMongoId(),
+    body('deviceIds').optional().isArray(),
+    body('deviceIds.*').isMongoId(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const preview = await PolicyEnforcementService.previewPolicy(req.params.id, {
+                deviceIds: req.body.deviceIds
+            });
+            res.json(preview);
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to preview policy');
+        }
+    }
+);
+
 // Network topology routes
 router.get('/topology', async (req, res) => {
     try {
@@ -91,6 +839,290 @@ router.get('/topology', async (req, res) => {
     }
 });
 
+router.post('/topology/discover', adminAuth, async (req, res) => {
+    try {
+        const { topology, diff, unresolved, errors } = await TopologyDiscoveryService.discover({
+            refresh: req.body.refresh !== false
+        });
+        res.json({
+          topologyId: topology._id,
+          version: topology.version,
+          connections: topology.connections.length,
+          diff,
+          unresolved,
+          errors
+        });
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to discover network topology');
+    }
+});
+
+router.put('/devices/:id/neighbors',
+    adminAuth,
+    param('id').isMongoId(),
+    body('neighbors').isArray(),
+    body('neighbors.*.localInterface').isString(),
+    body('neighbors.*.protocol').isIn(['lldp', 'cdp']),
+    body('neighbors.*.chassisId').optional().isString(),
+    body('neighbors.*.systemName').optional().isString(),
+    body('neighbors.*.portId').isString(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const neighbors = await TopologyDiscoveryService.recordNeighbors(req.params.id, req.body.neighbors, 'api');
+            res.json(neighbors);
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to record neighbors');
+        }
+    }
+);
+
+// SNMP polling routes
+router.post('/devices/:id/poll', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await SnmpPoller.pollDevice(req.params.id));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to poll device');
+    }
+});
+
+// Credential vault routes; secret values are accepted but never returned
+
+const vaultSecretValidators = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name').isString().trim().notEmpty(),
+        field('type').isIn(SECRET_TYPES),
+        body('description').optional().isString(),
+        body('username').optional().isString(),
+        body('authProtocol').optional().isIn(['md5', 'sha', 'sha256']),
+        body('privProtocol').optional().isIn(['aes']),
+        body('encoding').optional().isIn(['base64']),
+        ...VAULT_VALUE_FIELDS.map(name => body(name).optional().isString())
+    ];
+};
+
+const credentialReferenceValidators = (path) => Object.keys(CREDENTIAL_PURPOSES)
+    .map(purpose => body(`${path}${purpose}`).optional({ values: 'null' }).isMongoId());
+
+router.get('/vault/secrets', adminAuth, query('type').optional().isIn(SECRET_TYPES), validateRequest, async (req, res) => {
+    try {
+        res.json(await CredentialVault.listSecrets({ type: req.query.type }));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to list secrets');
+    }
+});
+
+router.post('/vault/secrets', adminAuth, vaultSecretValidators(false), validateRequest, async (req, res) => {
+    try {
+        const secret = await CredentialVault.createSecret(req.body, auditActor(req));
+        res.status(201).json(secret);
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to create secret');
+    }
+});
+
+router.get('/vault/secrets/:id', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await CredentialVault.getSecret(req.params.id));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to get secret');
+    }
+});
+
+router.put('/vault/secrets/:id',
+    adminAuth,
+    param('id').isMongoId(),
+    vaultSecretValidators(true),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await CredentialVault.updateSecret(req.params.id, req.body, auditActor(req)));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to update secret');
+        }
+    }
+);
+
+router.post('/vault/secrets/:id/rotate',
+    adminAuth,
+    param('id').isMongoId(),
+    vaultSecretValidators(true),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await CredentialVault.rotateSecret(req.params.id, req.body, auditActor(req)));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to rotate secret');
+        }
+    }
+);
+
+router.delete('/vault/secrets/:id', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        await CredentialVault.deleteSecret(req.params.id, auditActor(req));
+        res.status(204).send();
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to delete secret');
+    }
+});
+
+router.post('/vault/rotate', adminAuth, async (req, res) => {
+    try {
+        res.json(await CredentialVault.rotateMasterKey(auditActor(req)));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to rotate the vault master key');
+    }
+});
+
+router.get('/vault/groups', adminAuth, async (req, res) => {
+    try {
+        res.json(await CredentialVault.listGroups());
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to list device groups');
+    }
+});
+
+router.put('/vault/groups/:name',
+    adminAuth,
+    param('name').isString().trim().notEmpty(),
+    body('description').optional().isString(),
+    body('credentials').optional().isObject(),
+    credentialReferenceValidators('credentials.'),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { description, credentials } = req.body;
+            res.json(await CredentialVault.setGroup(req.params.name, { description, credentials }, auditActor(req)));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to update device group');
+        }
+    }
+);
+
+router.delete('/vault/groups/:name', adminAuth, param('name').isString().trim().notEmpty(), validateRequest, async (req, res) => {
+    try {
+        await CredentialVault.deleteGroup(req.params.name, auditActor(req));
+        res.status(204).send();
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to delete device group');
+    }
+});
+
+router.put('/devices/:id/credentials',
+    adminAuth,
+    param('id').isMongoId(),
+    body('username').optional({ values: 'null' }).isString(),
+    body('authMethod').optional({ values: 'null' }).isIn(['password', 'key', 'token']),
+    credentialReferenceValidators(''),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const device = await CredentialVault.setDeviceCredentials(req.params.id, req.body, auditActor(req));
+            res.json({ _id: device._id, name: device.name, credentials: device.connectionInfo.credentials });
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to update device credentials');
+        }
+    }
+);
+
+router.get('/snmp/traps',
+    query('deviceId').optional().isMongoId(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    validateRequest,
+    (req, res) => {
+        res.json(SnmpTrapReceiver.getRecentTraps({ deviceId: req.query.deviceId, limit: req.query.limit }));
+    }
+);
+
+router.get('/snmp/mibs', (req, res) => {
+    res.json(SnmpTrapReceiver.getMibs());
+});
+
+router.post('/snmp/mibs/reload', adminAuth, async (req, res) => {
+    try {
+        res.json(await SnmpTrapReceiver.loadMibs());
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to reload MIB files');
+    }
+});
+
+// Syslog routes
+const syslogPatternValidators = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name').isString().trim().notEmpty(),
+        field('pattern').isString().notEmpty().isLength({ max: 500 }),
+        body('description').optional().isString(),
+        body('caseSensitive').optional().isBoolean(),
+        body('eventType').optional().isString(),
+        body('maxSeverity').optional().isInt({ min: 0, max: 7 }).toInt(),
+        body('facilities').optional().isArray(),
+        body('appName').optional().isString(),
+        body('deviceIds').optional().isArray(),
+        body('deviceIds.*').isMongoId(),
+        body('alertConfigId').optional({ nullable: true }).isMongoId(),
+        body('enabled').optional().isBoolean()
+    ];
+};
+
+router.get('/syslog',
+    query('deviceId').optional().isMongoId(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 }),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { q, deviceId, severity, facility, hostname, appName, pattern, start, end, page, limit } = req.query;
+            res.json(await SyslogReceiver.search({
+                q, deviceId, severity, facility, hostname, appName, pattern, start, end, page, limit
+            }));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to search syslog messages');
+        }
+    }
+);
+
+router.get('/syslog/patterns', async (req, res) => {
+    try {
+        res.json(await SyslogReceiver.listPatterns());
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to list syslog patterns');
+    }
+});
+
+router.post('/syslog/patterns', adminAuth, syslogPatternValidators(false), validateRequest, async (req, res) => {
+    try {
+        const pattern = await SyslogReceiver.createPattern(req.body, auditActor(req));
+        res.status(201).json(pattern);
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to create syslog pattern');
+    }
+});
+
+router.put('/syslog/patterns/:id',
+    adminAuth,
+    param('id').isMongoId(),
+    syslogPatternValidators(true),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await SyslogReceiver.updatePattern(req.params.id, req.body, auditActor(req)));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to update syslog pattern');
+        }
+    }
+);
+
+router.delete('/syslog/patterns/:id', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        await SyslogReceiver.deletePattern(req.params.id, auditActor(req));
+        res.status(204).send();
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to delete syslog pattern');
+    }
+});
+
 // Network metrics routes
 router.get('/metrics/:id', async (req, res) => {
     try {
@@ -125,6 +1157,331 @@ router.post('/discover', adminAuth, async (req, res) => {
     }
 });
 
+// Configuration version and drift routes
+const versionRef = (field) => field.matches(/^([1-9][0-9]*|latest|golden)$/).withMessage('must be a version number, latest or golden');
+
+router.get('/devices/:id/config/versions',
+    param('id').isMongoId(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 }),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await ConfigVersionService.history(req.params.id, req.query));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to list configuration versions');
+        }
+    }
+);
+
+router.post('/devices/:id/config/versions',
+    adminAuth,
+    param('id').isMongoId(),
+    body('config').custom(value => (typeof value === 'string' && value.trim()) || (value !== null && typeof value === 'object'))
+        .withMessage('must be configuration text or an object'),
+    body('tags').optional().isArray({ max: 20 }),
+    body('tags.*').isString().trim().notEmpty().isLength({ max: 50 }),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { version, created } = await ConfigVersionService.record(
+                req.params.id,
+                req.body.config,
+                { source: 'upload', tags: req.body.tags },
+                auditActor(req)
+            );
+            res.status(created ? 201 : 200).json({ version, created });
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to store configuration version');
+        }
+    }
+);
+
+router.post('/devices/:id/config/capture', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        const { version, created } = await ConfigVersionService.capture(req.params.id, auditActor(req));
+        res.status(created ? 201 : 200).json({ version, created });
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to capture configuration');
+    }
+});
+
+router.get('/devices/:id/config/versions/:version',
+    param('id').isMongoId(),
+    versionRef(param('version')),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await ConfigVersionService.getVersion(req.params.id, req.params.version));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to get configuration version');
+        }
+    }
+);
+
+router.post('/devices/:id/config/versions/:version/golden',
+    adminAuth,
+    param('id').isMongoId(),
+    versionRef(param('version')),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await ConfigVersionService.setGolden(req.params.id, req.params.version, auditActor(req)));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to set golden configuration');
+        }
+    }
+);
+
+router.get('/devices/:id/config/diff',
+    param('id').isMongoId(),
+    versionRef(query('from').optional()),
+    versionRef(query('to').optional()),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await ConfigVersionService.diff(req.params.id, req.query.from, req.query.to));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to diff configuration versions');
+        }
+    }
+);
+
+router.get('/devices/:id/config/rendered',
+    adminAuth,
+    param('id').isMongoId(),
+    versionRef(query('version').optional()),
+    query('format').optional().isIn(['json', 'text']),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const rendered = await ConfigRenderer.renderDevice(req.params.id, req.query.version);
+            if (req.query.format === 'text') {
+                res.set('Content-Type', 'text/plain; charset=utf-8');
+                res.send(rendered.text);
+            } else {
+                res.json(rendered);
+            }
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to render configuration');
+        }
+    }
+);
+
+router.get('/devices/:id/config/drift', param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await ConfigVersionService.getDrift(req.params.id));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to get configuration drift');
+    }
+});
+
+router.post('/devices/:id/config/drift/check', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await ConfigVersionService.checkDrift(req.params.id, auditActor(req)));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to check configuration drift');
+    }
+});
+
+router.post('/devices/:id/config/drift/approve', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await ConfigVersionService.approveDrift(req.params.id, auditActor(req)));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to approve configuration drift');
+    }
+});
+
+// NETCONF and YANG model routes
+router.get('/yang/modules', (req, res) => {
+    res.json(NetconfService.getModels());
+});
+
+router.post('/yang/modules/reload', adminAuth, async (req, res) => {
+    try {
+        res.json(await NetconfService.loadModels());
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to reload YANG models');
+    }
+});
+
+router.post('/yang/validate',
+    body('config').custom(value => value !== null && typeof value === 'object' && !Array.isArray(value))
+        .withMessage('must be an object of module-qualified top-level nodes'),
+    validateRequest,
+    (req, res) => {
+        res.json(NetconfService.validate(req.body.config));
+    }
+);
+
+router.get('/devices/:id/netconf/capabilities', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        const device = await NetworkDevice.findById(req.params.id).select('name groups connectionInfo interfaces.ipAddress').lean();
+        if (!device) {
+            throw ErrorHandler.notFound('Device not found');
+        }
+        res.json(await NetconfService.capabilities(device, { actor: auditActor(req) }));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to read NETCONF capabilities');
+    }
+});
+
+// Configuration deployment routes
+router.get('/deployments',
+    query('deviceId').optional().isMongoId(),
+    query('status').optional().custom(value => String(value).split(',').every(status => DEPLOYMENT_STATUSES.includes(status.trim())))
+        .withMessage(`must be one of ${DEPLOYMENT_STATUSES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 }),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await ConfigDeploymentService.list(req.query));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to list deployments');
+        }
+    }
+);
+
+router.post('/devices/:id/config/deploy',
+    adminAuth,
+    param('id').isMongoId(),
+    body('config').custom(value => (typeof value === 'string' && value.trim()) || (value !== null && typeof value === 'object'))
+        .withMessage('must be configuration text or an object'),
+    body('comment').optional().isString().isLength({ max: 500 }),
+    body('confirmMinutes').optional().isInt({ min: 1, max: 1440 }).toInt(),
+    body('autoConfirm').optional().isBoolean().toBoolean(),
+    validateRequest,
+    async (req, res) => {
+        try {
+            const { config, comment, confirmMinutes, autoConfirm } = req.body;
+            const deployment = await ConfigDeploymentService.deploy(
+                req.params.id,
+                config,
+                { comment, confirmMinutes, autoConfirm },
+                auditActor(req)
+            );
+            res.status(201).json(deployment);
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to deploy configuration');
+        }
+    }
+);
+
+router.get('/deployments/:id', param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await ConfigDeploymentService.getDeployment(req.params.id));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to get deployment');
+    }
+});
+
+router.post('/deployments/:id/confirm', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await ConfigDeploymentService.confirm(req.params.id, auditActor(req)));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to confirm deployment');
+    }
+});
+
+router.post('/deployments/:id/rollback', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await ConfigDeploymentService.rollback(req.params.id, auditActor(req)));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to roll back deployment');
+    }
+});
+
+router.post('/deployments/:id/revert', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.status(201).json(await ConfigDeploymentService.revert(req.params.id, auditActor(req)));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to revert deployment');
+    }
+});
+
+// Rollout routes
+router.get('/rollouts',
+    query('status').optional().custom(value => String(value).split(',').every(status => ROLLOUT_STATUSES.includes(status.trim())))
+        .withMessage(`must be one of ${ROLLOUT_STATUSES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 }),
+    validateRequest,
+    async (req, res) => {
+        try {
+            res.json(await RolloutOrchestrator.list(req.query));
+        } catch (error) {
+            handleServiceError(res, error, 'Failed to list rollouts');
+        }
+    }
+);
+
+const rolloutValidators = [
+    body('name').isString().trim().notEmpty().isLength({ max: 200 }),
+    body('kind').isIn(['config', 'policy']),
+    body('config').custom((value, { req }) => req.body.kind !== 'config' ||
+        (typeof value === 'string' && value.trim()) || (value !== null && typeof value === 'object'))
+        .withMessage('must be configuration text or an object'),
+    body('policyIds').custom((value, { req }) => req.body.kind !== 'policy' || (Array.isArray(value) && value.length > 0))
+        .withMessage('must list the policies to roll out'),
+    body('policyIds.*').isMongoId(),
+    body('target').optional().isObject(),
+    body('target.deviceIds').optional().isArray(),
+    body('target.deviceIds.*').isMongoId(),
+    body('target.deviceTypes').optional().isArray(),
+    body('target.deviceTypes.*').isString(),
+    body('target.deviceGroups').optional().isArray(),
+    body('target.deviceGroups.*').isString(),
+    body('target.locations').optional().isArray(),
+    body('target.locations.*').isString(),
+    body('strategy').optional().isObject(),
+    body('strategy.canarySize').optional().isInt({ min: 1 }).toInt(),
+    body('strategy.batchSize').optional().isInt({ min: 1 }).toInt(),
+    body('strategy.waitSeconds').optional().isInt({ min: 0, max: 86400 }).toInt(),
+    body('strategy.maxErrorRate').optional().isFloat({ min: 0, max: 1 }).toFloat()
+];
+
+router.post('/rollouts', adminAuth, rolloutValidators, validateRequest, async (req, res) => {
+    try {
+        res.status(201).json(await RolloutOrchestrator.createRollout(req.body, auditActor(req)));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to create rollout');
+    }
+});
+
+router.get('/rollouts/:id', param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        const rollout = await RolloutOrchestrator.getRollout(req.params.id);
+        res.json({ ...rollout.toObject(), progress: RolloutOrchestrator.summarize(rollout) });
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to get rollout');
+    }
+});
+
+router.post('/rollouts/:id/pause', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await RolloutOrchestrator.pause(req.params.id, auditActor(req)));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to pause rollout');
+    }
+});
+
+router.post('/rollouts/:id/resume', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await RolloutOrchestrator.resume(req.params.id, auditActor(req)));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to resume rollout');
+    }
+});
+
+router.post('/rollouts/:id/abort', adminAuth, param('id').isMongoId(), validateRequest, async (req, res) => {
+    try {
+        res.json(await RolloutOrchestrator.abort(req.params.id, auditActor(req)));
+    } catch (error) {
+        handleServiceError(res, error, 'Failed to abort rollout');
+    }
+});
+
 // Network configuration upload (admin only)
 router.post('/config/upload', adminAuth, fileUploadValidation, async (req, res) => {
     try {
@@ -71,6 +71,49 @@ router.patch('/:userId/role',
     }
 );
 
+// Update the phone number used for SMS escalations (admin only)
+router.patch('/:userId/phone',
+    validateSession,
+    requireRole(['admin']),
+    async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { phoneNumber } = req.body;
+
+            if (phoneNumber !== null && !/^\+[1-9]\d{6,14}$/.test(phoneNumber || '')) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Phone number must be in E.164 format, or null to remove it'
+                });
+            }
+
+            const user = await User.findByIdAndUpdate(
+                userId,
+                phoneNumber === null ? { $unset: { phoneNumber: 1 } } : { phoneNumber },
+                { new: true }
+            ).select('-password');
+
+            if (!user) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'User not found'
+                });
+            }
+
+            res.json({
+                status: 'success',
+                data: user
+            });
+        } catch (error) {
+            logger.error('Update user phone number error:', error);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to update phone number'
+            });
+        }
+    }
+);
+
 // Delete user (admin only)
 router.delete('/:userId',
     validateSession,
@@ -0,0 +1,269 @@
+import Alert from '../models/Alert.js';
+import NetworkDevice from '../models/NetworkDevice.js';
+import NetworkTopology from '../models/NetworkTopology.js';
+import { IncidentManager } from './IncidentManager.js';
+import { NotificationDispatcher } from './NotificationDispatcher.js';
+import WebSocketService from './WebSocketService.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import { TopologyGraph } from '../utils/TopologyGraph.js';
+import logger from '../utils/logger.js';
+
+class AlertCorrelator {
+    constructor() {
+        this.enabled = process.env.ALERT_CORRELATION_ENABLED !== 'false';
+        // Alert types that mean a device cannot be reached
+        this.types = (process.env.ALERT_CORRELATION_TYPES || 'device_down,device_unreachable')
+            .split(',')
+            .map(type => type.trim())
+            .filter(Boolean);
+        // Devices with this tag are next to the monitoring system
+        this.anchorTag = process.env.ALERT_CORRELATION_ANCHOR_TAG || 'uplink';
+        this.interval = parseInt(process.env.ALERT_CORRELATION_INTERVAL) || 60000;
+        // Symptoms of a resolved outage get this long, in ms, to recover before they are notified on their own
+        this.releaseDelay = parseInt(process.env.ALERT_CORRELATION_RELEASE_DELAY) || 120000;
+        this.graphTtl = parseInt(process.env.ALERT_CORRELATION_CACHE_TTL) || 60000;
+
+        this.graph = null;
+        this.graphLoadedAt = 0;
+        this.running = Promise.resolve();
+        this.queued = null;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer || !this.enabled) return;
+        this.timer = setInterval(() => {
+            this.reconcile().catch(error => {
+                logger.error('Error correlating alerts:', error);
+            });
+        }, this.interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Whether an alert says its device is down and takes part in correlation
+     */
+    isOutage(alert) {
+        return this.enabled && Boolean(alert.deviceId) && this.types.includes(alert.type);
+    }
+
+    /**
+     * Reload the topology before the next correlation, e.g. after links changed
+     */
+    invalidate() {
+        this.graphLoadedAt = 0;
+    }
+
+    /**
+     * Fold the active outage alerts of devices cut off behind another outage under that outage's
+     * alert. Symptoms are suppressed; symptoms that are no longer cut off are notified as opened.
+     * Runs one at a time; calls made while a run is waiting share it.
+     * @returns {Promise<Array<{ alert: object, change: 'root'|'symptom'|'released'|'cleared' }>>}
+     */
+    reconcile() {
+        if (this.queued) return this.queued;
+
+        const run = this.running.then(() => {
+            this.queued = null;
+            return this._reconcile(new Date());
+        });
+        this.queued = run;
+        this.running = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * The outage an alert belongs to: its root alert and device, and the symptoms folded under it
+     */
+    async getGroup(alertId) {
+        const alert = await Alert.findById(alertId).lean();
+        if (!alert) {
+            throw ErrorHandler.notFound('Alert not found');
+        }
+
+        const rootId = alert.correlation?.rootAlertId || alert._id;
+        const [root, symptoms] = await Promise.all([
+            rootId.equals(alert._id) ? alert : Alert.findById(rootId).lean(),
+            Alert.find({ 'correlation.rootAlertId': rootId, 'correlation.role': 'symptom' }).sort({ firstSeen: 1 }).lean()
+        ]);
+        const deviceIds = [root?.deviceId, ...symptoms.map(symptom => symptom.deviceId)].filter(Boolean);
+        const devices = await NetworkDevice.find({ _id: { $in: deviceIds } }).select('name type status location').lean();
+
+        return {
+            root: root && {
+                alert: root,
+                device: devices.find(device => device._id.equals(root.deviceId)) || null
+            },
+            symptoms,
+            affectedDevices: devices
+        };
+    }
+
+    /**
+     * For each active outage, the outage that cuts its device off, if any
+     * @param {Array<object>} alerts - active outage alerts, earliest first
+     * @returns {Promise<Map<string, { root: string, path: Array<string> }>>} keyed by device id
+     */
+    async findRootCauses(alerts) {
+        const graph = await this._graph();
+        return graph.rootCauses(new Set(alerts.map(alert => String(alert.deviceId))));
+    }
+
+    /**
+     * Whether any NetworkTopology connection touches the device
+     */
+    async inTopology(deviceId) {
+        const graph = await this._graph();
+        return graph.has(deviceId);
+    }
+
+    // Private helper methods
+    async _reconcile(now) {
+        if (!this.enabled) return [];
+
+        const alerts = await Alert.find({
+            status: { $ne: 'resolved' },
+            type: { $in: this.types },
+            deviceId: { $ne: null }
+        }).sort({ firstSeen: 1 }).lean();
+
+        // The earliest outage alert of a device stands for the device
+        const byDevice = new Map();
+        for (const alert of alerts) {
+            const device = String(alert.deviceId);
+            if (!byDevice.has(device)) byDevice.set(device, alert);
+        }
+        const causes = await this.findRootCauses([...byDevice.values()]);
+        const roots = new Set([...causes.values()].map(cause => cause.root));
+        const recentlyResolved = await this._recentlyResolvedRoots(alerts, now);
+
+        const changes = [];
+        for (const alert of alerts) {
+            const device = String(alert.deviceId);
+            const cause = causes.get(device);
+
+            let wanted = null;
+            if (cause) {
+                const rootAlert = byDevice.get(cause.root);
+                wanted = { role: 'symptom', rootAlertId: rootAlert._id, rootDeviceId: rootAlert.deviceId };
+            } else if (roots.has(device)) {
+                wanted = { role: 'root', rootAlertId: byDevice.get(device)._id, rootDeviceId: alert.deviceId };
+            } else if (alert.correlation?.role === 'symptom' && recentlyResolved.has(String(alert.correlation.rootAlertId))) {
+                // The upstream device just came back; give this one time to recover too
+                continue;
+            }
+
+            const current = alert.correlation?.role ? alert.correlation : null;
+            if (sameCorrelation(current, wanted)) continue;
+
+            const change = await this._apply(alert, wanted, now);
+            changes.push(change);
+            if (change.change === 'symptom') {
+                logger.info(`Alert ${alert._id} folded under the outage of device ${wanted.rootDeviceId}`);
+                await this._joinIncident(alert, byDevice.get(cause.root));
+            }
+        }
+
+        for (const { alert, change } of changes) {
+            if (change === 'released') {
+                NotificationDispatcher.notify(alert, 'opened').catch(error => {
+                    logger.error('Error sending alert notifications:', error);
+                });
+            }
+            WebSocketService.emit('alert:update', {
+                alertId: alert._id,
+                status: alert.status,
+                correlation: alert.correlation || null,
+                updatedBy: 'system',
+                timestamp: now
+            });
+        }
+        return changes;
+    }
+
+    async _apply(alert, wanted, now) {
+        const next = { ...alert, correlation: wanted ? { ...wanted, correlatedAt: now } : undefined };
+        let change = wanted ? wanted.role : 'cleared';
+        if (wanted?.role === 'symptom') {
+            if (!alert.suppressed) {
+                next.suppressed = true;
+                next.suppressedBy = 'correlation';
+            }
+        } else if (alert.suppressedBy === 'correlation') {
+            next.suppressed = false;
+            next.suppressedBy = undefined;
+            change = 'released';
+        }
+
+        const $set = {};
+        const $unset = {};
+        for (const field of ['correlation', 'suppressed', 'suppressedBy']) {
+            if (next[field] === undefined) {
+                if (alert[field] !== undefined) $unset[field] = '';
+            } else {
+                $set[field] = next[field];
+            }
+        }
+        const update = { $set };
+        if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+        await Alert.updateOne({ _id: alert._id }, update);
+        return { alert: next, change };
+    }
+
+    // A symptom joins the incident its root alert is handled in
+    async _joinIncident(alert, rootAlert) {
+        if (!rootAlert.incidentId || alert.incidentId) return;
+        try {
+            await IncidentManager.addAlerts(rootAlert.incidentId, [alert._id]);
+        } catch (error) {
+            logger.debug(`Alert ${alert._id} not added to incident ${rootAlert.incidentId}: ${error.message}`);
+        }
+    }
+
+    // Roots of current symptoms that were resolved within the release delay
+    async _recentlyResolvedRoots(alerts, now) {
+        const active = new Set(alerts.map(alert => String(alert._id)));
+        const missing = [...new Set(alerts
+            .filter(alert => alert.correlation?.role === 'symptom' && !active.has(String(alert.correlation.rootAlertId)))
+            .map(alert => String(alert.correlation.rootAlertId)))];
+        if (missing.length === 0) return new Set();
+
+        const resolved = await Alert.find({
+            _id: { $in: missing },
+            resolvedAt: { $gt: new Date(now.getTime() - this.releaseDelay) }
+        }).select('_id').lean();
+        return new Set(resolved.map(alert => String(alert._id)));
+    }
+
+    async _graph() {
+        if (this.graph && Date.now() - this.graphLoadedAt < this.graphTtl) {
+            return this.graph;
+        }
+
+        const [topologies, anchors] = await Promise.all([
+            NetworkTopology.find({}).select('connections.sourceDevice connections.targetDevice').lean(),
+            NetworkDevice.find({ tags: this.anchorTag }).select('_id').lean()
+        ]);
+        this.graph = new TopologyGraph(
+            topologies.flatMap(topology => topology.connections || []),
+            anchors.map(device => device._id)
+        );
+        this.graphLoadedAt = Date.now();
+        return this.graph;
+    }
+}
+
+function sameCorrelation(current, wanted) {
+    if (!current || !wanted) return !current && !wanted;
+    return current.role === wanted.role && String(current.rootAlertId) === String(wanted.rootAlertId);
+}
+
+const alertCorrelator = new AlertCorrelator();
+export { alertCorrelator as AlertCorrelator };
@@ -0,0 +1,224 @@
+import mongoose from 'mongoose';
+import AlertConfig from '../models/AlertConfig.js';
+import NetworkDevice from '../models/NetworkDevice.js';
+import { AlertManager } from './AlertManager.js';
+import logger from '../utils/logger.js';
+
+// Metrics measured per interface; rules using any of them keep one state per interface
+const INTERFACE_METRICS = new Set(['bandwidth_usage', 'latency', 'packet_loss', 'error_rate']);
+const OPERATORS = { gt: '>', lt: '<', gte: '>=', lte: '<=', eq: '==', neq: '!=' };
+// Windows that have not seen a sample for this long are dropped unless they are firing
+const STALE_STATE = 3600000;
+
+class AlertEvaluator {
+    constructor() {
+        this.ruleRefreshInterval = parseInt(process.env.ALERT_RULE_REFRESH_INTERVAL) || 60000;
+        // Device-level metrics (CPU, memory, ...) come from the device document, cached this long
+        this.deviceCacheTtl = parseInt(process.env.ALERT_DEVICE_CACHE_TTL) || 30000;
+
+        this.rules = [];
+        this.rulesLoadedAt = 0;
+        this.loading = null;
+        this.devices = new Map(); // deviceId -> { device, loadedAt }
+        this.states = new Map(); // `${ruleId}/${deviceId}[/${interfaceName}]` -> { since, firing, updatedAt }
+    }
+
+    /**
+     * Reload the rules before the next evaluation, e.g. after an AlertConfig changed
+     */
+    invalidate() {
+        this.rulesLoadedAt = 0;
+    }
+
+    /**
+     * Run the enabled AlertConfigs against one stored NetworkMetrics sample. A rule fires once
+     * every condition has held for its `duration`, and its alert is resolved when one stops holding.
+     * @param {object} sample - NetworkMetrics document or plain object
+     * @returns {Promise<Array<{ alertConfigId, deviceId, interfaceName, state: 'firing'|'cleared' }>>}
+     */
+    async evaluate(sample) {
+        const rules = await this._rules();
+        if (rules.length === 0) return [];
+
+        const device = await this._device(sample.deviceId);
+        if (!device) return [];
+
+        const values = this.extractValues(sample, device);
+        const timestamp = new Date(sample.timestamp || Date.now()).getTime();
+        const context = { ...device, interface: sample.interfaceName };
+        const transitions = [];
+
+        for (const rule of rules) {
+            try {
+                if (!rule.isApplicableToDevice(context)) continue;
+
+                const state = await this._step(rule, device, sample.interfaceName, values, timestamp);
+                if (state) {
+                    transitions.push({
+                        alertConfigId: rule._id,
+                        deviceId: device._id,
+                        interfaceName: sample.interfaceName,
+                        state
+                    });
+                }
+            } catch (error) {
+                logger.error(`Error evaluating alert rule ${rule.name}:`, error);
+            }
+        }
+
+        return transitions;
+    }
+
+    /**
+     * Map a sample and its device onto the metric names AlertConfig conditions use
+     */
+    extractValues(sample, device) {
+        const metrics = sample.metrics || {};
+        const values = {
+            bandwidth_usage: metrics.bandwidth?.utilization?.value,
+            latency: metrics.latency?.value,
+            packet_loss: metrics.packetLoss?.value,
+            error_rate: metrics.errors
+                ? (metrics.errors.inbound?.value || 0) + (metrics.errors.outbound?.value || 0)
+                : undefined,
+            cpu_usage: device.metrics?.cpu?.usage,
+            temperature: device.metrics?.cpu?.temperature,
+            memory_usage: percentUsed(device.metrics?.memory),
+            disk_usage: percentUsed(device.metrics?.storage),
+            uptime: device.uptime
+        };
+
+        return Object.fromEntries(Object.entries(values).filter(([, value]) => Number.isFinite(value)));
+    }
+
+    // Private helper methods
+    async _step(rule, device, interfaceName, values, timestamp) {
+        const perInterface = rule.conditions.some(condition => INTERFACE_METRICS.has(condition.metric));
+        const key = [rule._id, device._id, perInterface ? interfaceName : null].filter(Boolean).join('/');
+
+        // Editing a rule restarts its windows
+        const version = rule.updatedAt?.getTime();
+        let state = this.states.get(key);
+        if (!state || state.version !== version) {
+            state = { since: rule.conditions.map(() => null), firing: Boolean(state?.firing), version };
+            this.states.set(key, state);
+        }
+
+        // A condition whose metric is not in this sample keeps its window as it is
+        let measured = false;
+        rule.conditions.forEach((condition, i) => {
+            const value = values[condition.metric];
+            if (value === undefined) return;
+            measured = true;
+            if (!AlertConfig.breaches(condition, value)) {
+                state.since[i] = null;
+            } else if (state.since[i] === null || state.since[i] === undefined) {
+                state.since[i] = timestamp;
+            }
+        });
+        if (!measured) return null;
+        state.updatedAt = Date.now();
+
+        const holding = rule.conditions.every((condition, i) =>
+            state.since[i] !== null && state.since[i] !== undefined &&
+            timestamp - state.since[i] >= (condition.duration || 0) * 1000
+        );
+        const alertKey = {
+            alertConfigId: rule._id,
+            deviceId: device._id,
+            type: 'threshold',
+            key: perInterface ? interfaceName : undefined
+        };
+
+        if (holding) {
+            // Repeats while firing keep the alert's lastSeen current, which holds off autoResolve
+            const alert = await AlertManager.raise({
+                ...alertKey,
+                severity: rule.severity,
+                source: 'alert_rule',
+                message: this._describe(rule, device, perInterface ? interfaceName : null, values),
+                details: {
+                    interfaceName: perInterface ? interfaceName : undefined,
+                    conditions: rule.conditions.map(condition => ({
+                        metric: condition.metric,
+                        operator: condition.operator,
+                        threshold: condition.value,
+                        value: values[condition.metric]
+                    })),
+                    metrics: { value: values[rule.conditions[0].metric], threshold: rule.conditions[0].value }
+                }
+            });
+            const wasFiring = state.firing;
+            // While in cooldown nothing is raised; the rule keeps trying on later samples
+            state.firing = Boolean(alert);
+            return state.firing && !wasFiring ? 'firing' : null;
+        }
+
+        if (state.firing) {
+            state.firing = false;
+            await AlertManager.clear(alertKey);
+            return 'cleared';
+        }
+        return null;
+    }
+
+    _describe(rule, device, interfaceName, values) {
+        const conditions = rule.conditions
+            .map(condition => `${condition.metric} ${values[condition.metric] ?? '?'} ${OPERATORS[condition.operator]} ${condition.value}`)
+            .join(', ');
+        const subject = interfaceName ? `${device.name} ${interfaceName}` : device.name;
+        return `${rule.name} on ${subject}: ${conditions}`;
+    }
+
+    async _rules() {
+        if (Date.now() - this.rulesLoadedAt > this.ruleRefreshInterval) {
+            this.loading = this.loading || this._loadRules().finally(() => {
+                this.loading = null;
+            });
+            await this.loading;
+        }
+        return this.rules;
+    }
+
+    async _loadRules() {
+        try {
+            const rules = await AlertConfig.find({ enabled: true });
+            this.rules = rules.filter(rule => rule.conditions.length > 0);
+        } catch (error) {
+            logger.error('Error loading alert rules:', error);
+        } finally {
+            this.rulesLoadedAt = Date.now();
+        }
+
+        const ruleIds = new Set(this.rules.map(rule => rule._id.toString()));
+        const now = Date.now();
+        for (const [key, state] of this.states) {
+            const removed = !ruleIds.has(key.split('/')[0]);
+            if (removed || (!state.firing && now - state.updatedAt > STALE_STATE)) {
+                this.states.delete(key);
+            }
+        }
+    }
+
+    async _device(deviceId) {
+        const key = deviceId?.toString();
+        if (!key || !mongoose.Types.ObjectId.isValid(key)) return null;
+
+        const cached = this.devices.get(key);
+        if (cached && Date.now() - cached.loadedAt < this.deviceCacheTtl) {
+            return cached.device;
+        }
+
+        const device = await NetworkDevice.findById(key).lean();
+        this.devices.set(key, { device, loadedAt: Date.now() });
+        return device;
+    }
+}
+
+function percentUsed(usage) {
+    if (!usage?.total) return undefined;
+    return (usage.used / usage.total) * 100;
+}
+
+const alertEvaluator = new AlertEvaluator();
+export { alertEvaluator as AlertEvaluator };
@@ -0,0 +1,392 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import AlertConfig from '../models/AlertConfig.js';
+import AuditLogger from './AuditLogger.js';
+import { AlertCorrelator } from './AlertCorrelator.js';
+import { IncidentManager } from './IncidentManager.js';
+import { MaintenanceManager } from './MaintenanceManager.js';
+import { NotificationDispatcher } from './NotificationDispatcher.js';
+import WebSocketService from './WebSocketService.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import logger from '../utils/logger.js';
+
+const MAX_LIMIT = 500;
+const SEVERITY_RANK = { info: 0, low: 1, medium: 2, high: 3, critical: 4 };
+
+class AlertManager {
+    constructor() {
+        // Cooldown for alerts that are not raised through an AlertConfig, in seconds
+        this.defaultCooldown = parseInt(process.env.ALERT_DEFAULT_COOLDOWN) || 300;
+        this.autoResolveInterval = parseInt(process.env.ALERT_AUTO_RESOLVE_INTERVAL) || 60000;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.autoResolve().catch(error => {
+                logger.error('Error auto-resolving alerts:', error);
+            });
+        }, this.autoResolveInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Record an occurrence of a problem. A repeat of an active alert (same config, device and
+     * type) updates that alert; a new alert is not opened within the cooldown after the last
+     * one was resolved.
+     * @param {object} data - { deviceId, type, severity, message, source, alertConfigId, key, details }
+     *   key optionally narrows the problem further, e.g. to one interface of the device
+     * @returns {Promise<object|null>} the alert, or null when the config is disabled or the cooldown applies
+     */
+    async raise(data) {
+        try {
+            const config = data.alertConfigId ? await AlertConfig.findById(data.alertConfigId) : null;
+            if (config && !config.enabled) return null;
+
+            const fingerprint = this._fingerprint(data);
+            const now = new Date();
+
+            const active = await Alert.findActive(fingerprint);
+            if (active) {
+                return this._repeat(active, data, now);
+            }
+
+            const cooldown = config ? config.cooldown : this.defaultCooldown;
+            const recent = await Alert.exists({
+                fingerprint,
+                status: 'resolved',
+                resolvedAt: { $gt: new Date(now.getTime() - cooldown * 1000) }
+            });
+            if (recent) {
+                logger.debug(`Alert ${fingerprint} suppressed by its ${cooldown}s cooldown`);
+                return null;
+            }
+
+            const maintenance = await this._maintenance(data.deviceId, now);
+            let alert;
+            try {
+                alert = await Alert.create({
+                    fingerprint,
+                    alertConfigId: config?._id,
+                    deviceId: data.deviceId,
+                    type: data.type,
+                    severity: data.severity,
+                    source: data.source,
+                    message: data.message,
+                    details: data.details,
+                    firstSeen: now,
+                    lastSeen: now,
+                    suppressed: Boolean(maintenance),
+                    suppressedBy: maintenance ? 'maintenance' : undefined,
+                    maintenanceWindowId: maintenance?.window?.id
+                });
+            } catch (error) {
+                // Another raise opened the alert since findActive; the unique index kept it to one
+                const opened = error.code === 11000 && await Alert.findActive(fingerprint);
+                if (!opened) throw error;
+                return this._repeat(opened, data, now);
+            }
+            await this._correlate(alert);
+
+            logger.warn(`Alert raised [${alert.severity}] ${alert.message}`);
+            WebSocketService.emit('alert:new', {
+                alertId: alert._id,
+                severity: alert.severity,
+                deviceId: alert.deviceId,
+                type: alert.type,
+                message: alert.message,
+                timestamp: now,
+                metrics: data.details?.metrics,
+                suppressed: alert.suppressed,
+                correlation: alert.correlation?.role ? alert.correlation : null
+            });
+            if (!alert.suppressed) {
+                this._dispatch(alert, 'opened');
+            }
+            return alert;
+        } catch (error) {
+            logger.error('Error raising alert:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Resolve the active alert for a problem that went away
+     * @param {object} data - The alertConfigId, deviceId, type and key the alert was raised with
+     * @returns {Promise<object|null>} the resolved alert, or null when none was active
+     */
+    async clear(data) {
+        const alert = await Alert.findActive(this._fingerprint(data));
+        if (!alert) return null;
+
+        Object.assign(alert, {
+            status: 'resolved',
+            resolvedBy: 'system',
+            resolvedAt: new Date(),
+            resolution: 'auto'
+        });
+        await alert.save();
+
+        this._notifyUpdate(alert);
+        this._resolved(alert);
+        return alert;
+    }
+
+    /**
+     * @param {object} options - { status, severity, deviceId, alertConfigId, type, page, limit }
+     *   status and severity may be comma-separated lists
+     */
+    async list(options = {}) {
+        try {
+            const query = {};
+            if (options.status) query.status = { $in: options.status.split(',') };
+            if (options.severity) query.severity = { $in: options.severity.split(',') };
+            if (options.type) query.type = options.type;
+            for (const field of ['deviceId', 'alertConfigId']) {
+                if (options[field]) {
+                    if (!mongoose.Types.ObjectId.isValid(options[field])) {
+                        throw ErrorHandler.badRequest(`${field} is not valid`);
+                    }
+                    query[field] = options[field];
+                }
+            }
+
+            const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), MAX_LIMIT);
+            const page = Math.max(parseInt(options.page) || 1, 1);
+
+            const [alerts, total] = await Promise.all([
+                Alert.find(query)
+                    .sort({ lastSeen: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                Alert.countDocuments(query)
+            ]);
+
+            return { alerts, total, page, limit };
+        } catch (error) {
+            logger.error('Error listing alerts:', error);
+            throw error;
+        }
+    }
+
+    async getAlert(id) {
+        const alert = await Alert.findById(id);
+        if (!alert) {
+            throw ErrorHandler.notFound('Alert not found');
+        }
+        return alert;
+    }
+
+    /**
+     * Open and acknowledged alerts, most recent first
+     */
+    async getActive(limit = 100) {
+        return Alert.find({ status: { $ne: 'resolved' } })
+            .sort({ lastSeen: -1 })
+            .limit(limit)
+            .lean();
+    }
+
+    async acknowledge(id, actor, note) {
+        const alert = await this.getAlert(id);
+        if (!alert.isActive()) {
+            throw ErrorHandler.conflict('Resolved alerts cannot be acknowledged');
+        }
+
+        alert.status = 'acknowledged';
+        alert.acknowledgedBy = actor?.id;
+        alert.acknowledgedAt = new Date();
+        if (note) alert.comments.push({ author: actor?.id || 'system', text: note });
+        await alert.save();
+
+        this._notifyUpdate(alert, actor);
+        await IncidentManager.recordAlertEvent(alert, 'acknowledged', actor);
+        await this._audit(actor, 'alert.acknowledge', alert);
+        return alert;
+    }
+
+    async comment(id, actor, text) {
+        const alert = await this.getAlert(id);
+        alert.comments.push({ author: actor?.id || 'system', text });
+        await alert.save();
+
+        await this._audit(actor, 'alert.comment', alert);
+        return alert;
+    }
+
+    async resolve(id, actor, note) {
+        const alert = await this.getAlert(id);
+        if (!alert.isActive()) {
+            throw ErrorHandler.conflict('Alert is already resolved');
+        }
+
+        Object.assign(alert, {
+            status: 'resolved',
+            resolvedBy: actor?.id,
+            resolvedAt: new Date(),
+            resolution: 'manual'
+        });
+        if (note) alert.comments.push({ author: actor?.id || 'system', text: note });
+        await alert.save();
+
+        this._notifyUpdate(alert, actor);
+        this._resolved(alert, actor);
+        await this._audit(actor, 'alert.resolve', alert);
+        return alert;
+    }
+
+    /**
+     * Resolve every active alert that matches
+     * @param {object} filter - { ids, deviceId, alertConfigId, type }; at least one is required
+     * @returns {Promise<{ resolved: number }>}
+     */
+    async bulkResolve(filter, actor, note) {
+        const query = { status: { $ne: 'resolved' } };
+        if (filter.ids?.length) query._id = { $in: filter.ids };
+        if (filter.deviceId) query.deviceId = filter.deviceId;
+        if (filter.alertConfigId) query.alertConfigId = filter.alertConfigId;
+        if (filter.type) query.type = filter.type;
+        if (Object.keys(query).length === 1) {
+            throw ErrorHandler.badRequest('Give ids, deviceId, alertConfigId or type to select alerts');
+        }
+
+        const update = {
+            $set: { status: 'resolved', resolvedBy: actor?.id, resolvedAt: new Date(), resolution: 'manual' }
+        };
+        if (note) update.$push = { comments: { author: actor?.id || 'system', text: note } };
+
+        const alerts = await Alert.find(query).lean();
+        const result = await Alert.updateMany({ _id: { $in: alerts.map(alert => alert._id) }, status: { $ne: 'resolved' } }, update);
+
+        for (const alert of alerts) {
+            this._notifyUpdate({ _id: alert._id, status: 'resolved' }, actor);
+            this._resolved({ ...alert, ...update.$set }, actor);
+            await this._audit(actor, 'alert.resolve', alert);
+        }
+        return { resolved: result.modifiedCount };
+    }
+
+    /**
+     * Resolve active alerts whose AlertConfig has autoResolve enabled and that have not
+     * recurred for autoResolve.duration seconds
+     * @returns {Promise<{ resolved: number }>}
+     */
+    async autoResolve() {
+        const configs = await AlertConfig.find({ 'autoResolve.enabled': true }).select('_id autoResolve').lean();
+        const now = new Date();
+        let resolved = 0;
+
+        for (const config of configs) {
+            const query = {
+                alertConfigId: config._id,
+                status: { $ne: 'resolved' },
+                lastSeen: { $lt: new Date(now.getTime() - config.autoResolve.duration * 1000) }
+            };
+            const alerts = await Alert.find(query).lean();
+            if (alerts.length === 0) continue;
+
+            const resolution = { status: 'resolved', resolvedBy: 'system', resolvedAt: now, resolution: 'auto' };
+            const result = await Alert.updateMany({ ...query, _id: { $in: alerts.map(alert => alert._id) } }, { $set: resolution });
+            resolved += result.modifiedCount;
+            for (const alert of alerts) {
+                this._notifyUpdate({ _id: alert._id, status: 'resolved' });
+                this._resolved({ ...alert, ...resolution });
+            }
+        }
+
+        if (resolved > 0) {
+            logger.info(`Auto-resolved ${resolved} alert(s)`);
+        }
+        return { resolved };
+    }
+
+    // Private helper methods
+    _fingerprint({ alertConfigId, deviceId, type, key }) {
+        const parts = [alertConfigId || '-', deviceId || '-', type];
+        if (key) parts.push(key);
+        return parts.join('/');
+    }
+
+    // Alerts of devices under maintenance are kept but not sent
+    async _maintenance(deviceId, at) {
+        try {
+            return await MaintenanceManager.getDeviceMaintenance(deviceId, at);
+        } catch (error) {
+            logger.error('Error checking maintenance windows:', error);
+            return null;
+        }
+    }
+
+    // Notifications go out in the background; failures end up in the delivery log
+    _dispatch(alert, event) {
+        NotificationDispatcher.notify(alert, event).catch(error => {
+            logger.error('Error sending alert notifications:', error);
+        });
+    }
+
+    // An outage behind another outage is kept as a symptom of it and not sent
+    async _correlate(alert) {
+        if (!AlertCorrelator.isOutage(alert)) return;
+        try {
+            const changes = await AlertCorrelator.reconcile();
+            const own = changes.find(({ alert: changed }) => changed._id.equals(alert._id));
+            if (own) {
+                alert.set({
+                    correlation: own.alert.correlation,
+                    suppressed: own.alert.suppressed,
+                    suppressedBy: own.alert.suppressedBy
+                });
+            }
+        } catch (error) {
+            logger.error('Error correlating alerts:', error);
+        }
+    }
+
+    // Resolving an outage can release the symptoms folded under it
+    _resolved(alert, actor) {
+        this._dispatch(alert, 'resolved');
+        IncidentManager.recordAlertEvent(alert, 'resolved', actor);
+        if (AlertCorrelator.isOutage(alert)) {
+            AlertCorrelator.reconcile().catch(error => {
+                logger.error('Error correlating alerts:', error);
+            });
+        }
+    }
+
+    _notifyUpdate(alert, actor) {
+        WebSocketService.emit('alert:update', {
+            alertId: alert._id,
+            status: alert.status,
+            updatedBy: actor?.id || 'system',
+            timestamp: new Date()
+        });
+    }
+
+    // A repeat of an active alert
+    _repeat(alert, data, now) {
+        alert.occurrences++;
+        alert.lastSeen = now;
+        alert.message = data.message;
+        alert.details = data.details;
+        if (SEVERITY_RANK[data.severity] > SEVERITY_RANK[alert.severity]) {
+            alert.severity = data.severity;
+        }
+        return alert.save();
+    }
+
+    _audit(actor, type, alert) {
+        return AuditLogger.record(actor, type, { type: 'Alert', id: alert._id, name: alert.type },
+            { severity: alert.severity, deviceId: alert.deviceId?.toString() });
+    }
+}
+
+const alertManager = new AlertManager();
+export { alertManager as AlertManager };
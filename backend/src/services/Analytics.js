@@ -1,8 +1,16 @@
+import mongoose from 'mongoose';
 import NetworkDevice from '../models/NetworkDevice.js';
 import NetworkMetrics from '../models/NetworkMetrics.js';
+import Alert from '../models/Alert.js';
 import AlertConfig from '../models/AlertConfig.js';
+import { MaintenanceManager } from './MaintenanceManager.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import { clipIntervals, subtractIntervals, totalDuration } from '../utils/TimeIntervals.js';
 import logger from '../utils/logger.js';
 
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_AVAILABILITY_RANGE = 366 * DAY;
+
 class Analytics {
     // Device Analytics
     static async getDeviceStatistics() {
@@ -347,6 +355,71 @@ class Analytics {
         }
     }
 
+    // SLA Availability
+    /**
+     * Share of a period a device was up, counting the time its alerts of the outage severities were
+     * unresolved as downtime. Maintenance windows are left out of both the period and the downtime.
+     * @param {object} options - { start, end, severities } defaulting to the last 30 days and ['critical']
+     */
+    static async getDeviceAvailability(deviceId, options = {}) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+                throw ErrorHandler.badRequest('deviceId is not valid');
+            }
+            const end = options.end ? new Date(options.end) : new Date();
+            const start = options.start ? new Date(options.start) : new Date(end.getTime() - 30 * DAY);
+            if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+                throw ErrorHandler.badRequest('start and end must be valid dates');
+            }
+            if (start >= end || end - start > MAX_AVAILABILITY_RANGE) {
+                throw ErrorHandler.badRequest('start must be before end and at most 366 days earlier');
+            }
+            const severities = options.severities?.length ? options.severities : ['critical'];
+
+            const device = await NetworkDevice.findById(deviceId).select('name type location tags').lean();
+            if (!device) {
+                throw ErrorHandler.notFound('Device not found');
+            }
+
+            const alerts = await Alert.find({
+                deviceId: device._id,
+                severity: { $in: severities },
+                firstSeen: { $lt: end },
+                $or: [{ resolvedAt: null }, { resolvedAt: { $gt: start } }]
+            }).select('firstSeen resolvedAt').lean();
+
+            const outages = clipIntervals(alerts.map(alert => ({
+                start: alert.firstSeen,
+                end: alert.resolvedAt || end
+            })), start, end);
+            const maintenance = await MaintenanceManager.getMaintenanceIntervals(device, start, end);
+
+            const periodMs = end - start;
+            const maintenanceMs = totalDuration(maintenance);
+            const measuredMs = periodMs - maintenanceMs;
+            const downtimeMs = totalDuration(subtractIntervals(outages, maintenance));
+            const availability = measuredMs > 0 ? ((measuredMs - downtimeMs) / measuredMs) * 100 : 100;
+
+            return {
+                deviceId: device._id,
+                deviceName: device.name,
+                start,
+                end,
+                severities,
+                periodMs,
+                maintenanceMs,
+                measuredMs,
+                downtimeMs,
+                availability: Number(availability.toFixed(3)),
+                outages: outages.length,
+                maintenance
+            };
+        } catch (error) {
+            logger.error('Error calculating device availability:', error);
+            throw error;
+        }
+    }
+
     // Helper Methods
     static _getIntervalMillis(interval) {
         const units = {
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 import logger from '../utils/logger.js';
 import EncryptionService from './EncryptionService.js';
 
@@ -71,6 +72,42 @@ class AuditLogger {
         }
     }
 
+    /**
+     * Record an action on behalf of an actor. A failure to write the entry is logged rather than
+     * thrown: the action it describes has already happened.
+     * @param {object} actor - { id, type, ip, userAgent }; the system when missing
+     * @param {string} type - the action, such as flow.create
+     * @param {object} target - { type, id, name }
+     * @param {object} details - optional
+     * @param {string} status - success or failure
+     * @returns {Promise<object|null>} the entry, or null when it could not be written
+     */
+    async record(actor, type, target, details, status = 'success') {
+        try {
+            return await this.log({
+                actor: {
+                    id: actor?.id || 'system',
+                    type: actor?.type || 'system',
+                    ip: actor?.ip,
+                    userAgent: actor?.userAgent
+                },
+                action: {
+                    type,
+                    target: {
+                        type: target.type,
+                        id: String(target.id),
+                        name: target.name
+                    },
+                    status,
+                    ...(details !== undefined ? { details } : {})
+                }
+            });
+        } catch (error) {
+            logger.error(`Failed to record audit entry for ${type}:`, error);
+            return null;
+        }
+    }
+
     async search(query) {
         try {
             const {
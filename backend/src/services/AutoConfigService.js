@@ -1,8 +1,16 @@
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import DeviceConfigVersion from '../models/DeviceConfigVersion.js';
 import NetworkDevice from '../models/NetworkDevice.js';
+import { ConfigRenderer } from './ConfigRenderer.js';
+import { CredentialVault } from './CredentialVault.js';
+import { DeviceSessionPool } from './DeviceSessionPool.js';
+import { NetconfService } from './NetconfService.js';
+import { CliDialects } from '../utils/CliDialects.js';
+import { maskCommunities, referToSnmpSecrets } from '../utils/ConfigIntent.js';
+import { AppError, ErrorHandler } from '../utils/ErrorHandler.js';
 import logger from '../utils/logger.js';
-import { readFile, writeFile } from 'fs/promises';
+import { mkdir, readFile, writeFile } from 'fs/promises';
 import path from 'path';
 
 const execAsync = promisify(exec);
@@ -63,9 +71,12 @@ class AutoConfigService {
     }
 
     /**
-     * Deploy configuration to a network device
+     * Deploy configuration to a network device, without verification or undo.
+     * ConfigDeploymentService.deploy wraps this with a snapshot, health checks and rollback.
      * @param {string} deviceId - Device ID
-     * @param {object} config - Configuration object
+     * @param {object} config - Configuration object; RFC 7951 JSON for the YANG models when the
+     *   device is configured over NETCONF
+     * @returns {Promise<{ success: boolean, message: string, method: 'netconf'|'cli', replaced: boolean }>}
      */
     async deployConfig(deviceId, config) {
         try {
@@ -75,38 +86,66 @@ class AutoConfigService {
             }
 
             // Save configuration template
-            const configPath = path.join(process.cwd(), 'configs', `${deviceId}.json`);
-            await writeFile(configPath, JSON.stringify(config, null, 2));
+            const configDir = path.join(process.cwd(), 'configs');
+            await mkdir(configDir, { recursive: true });
+            await writeFile(path.join(configDir, `${deviceId}.json`), JSON.stringify(config, null, 2));
 
             // Apply configuration based on device type
-            await this._applyConfig(device, config);
+            const { method, replaced } = await this._applyConfig(device, config);
 
             // Update device status
-            device.status = 'configured';
             device.lastConfigured = new Date();
             await device.save();
 
             logger.info(`Configuration deployed successfully to device ${device.name}`);
-            return { success: true, message: 'Configuration deployed successfully' };
+            return { success: true, message: 'Configuration deployed successfully', method, replaced };
         } catch (error) {
             logger.error(`Configuration deployment failed for device ${deviceId}:`, error);
-            throw new Error('Configuration deployment failed');
+            const message = `Configuration deployment failed: ${error.message}`;
+            throw error instanceof AppError ? new AppError(error.code, message, error.details) : new Error(message);
         }
     }
 
     /**
-     * Apply configuration to a device
+     * Apply configuration to a device: over NETCONF, or rendered for its platform and entered in
+     * configuration mode over SSH or Telnet, stopping at the first line the device rejects. Over
+     * the CLI, what the running configuration has and the intent does not is removed first, so
+     * the intent replaces what it describes; settings the intent has no place for stay as they are.
      * @private
+     * @returns {Promise<{ method: 'netconf'|'cli', replaced: boolean }>} replaced is false when
+     *   the renderer can only add to the running configuration
+     * @throws {AppError} BAD_REQUEST when the device cannot be configured or rejects a line
      */
     async _applyConfig(device, config) {
-        // TODO: Implement actual device configuration
-        // This is a placeholder for the actual implementation
-        logger.info(`Applying configuration to device ${device.name}`);
-        
-        // Simulate configuration application
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        return true;
+        if (NetconfService.supports(device)) {
+            await NetconfService.deploy(device, config);
+            return { method: 'netconf', replaced: true };
+        }
+        if (!DeviceSessionPool.supports(device)) {
+            throw ErrorHandler.badRequest(`${device.name} has no NETCONF, SSH or Telnet connection to configure it over`);
+        }
+
+        const dialect = CliDialects[DeviceSessionPool.dialect(device)];
+        if (!dialect.configure) {
+            throw ErrorHandler.badRequest(`${device.name} has no known configuration mode`);
+        }
+        const { replaces, removals, text } = await ConfigRenderer.renderReplacement(device, config,
+            () => this._readRunningConfig(device));
+        // Comment lines and the closing end of IOS-style text are not commands
+        const lines = [...removals, ...text.split('\n')]
+            .map(line => line.trimEnd())
+            .filter(line => line.trim() !== '' && line.trim() !== '!' && line !== 'end');
+
+        logger.info(`Applying ${lines.length} configuration lines, ${removals.length} of them removals, to device ${device.name}`);
+        const { results } = await DeviceSessionPool.run(device, [...dialect.configure, ...lines, ...dialect.commit]);
+        const rejected = results.find(result => result.error);
+        if (rejected) {
+            await DeviceSessionPool.run(device, dialect.abort, { stopOnError: false }).catch(error => {
+                logger.warn(`Leaving configuration mode on ${device.name} failed: ${error.message}`);
+            });
+            throw ErrorHandler.badRequest(`${device.name} rejected '${maskCommunities(rejected.command)}': ${rejected.error}`);
+        }
+        return { method: 'cli', replaced: replaces };
     }
 
     /**
@@ -122,7 +161,15 @@ class AutoConfigService {
 
             // Read current configuration
             const configPath = path.join(process.cwd(), 'configs', `${deviceId}.json`);
-            const config = JSON.parse(await readFile(configPath, 'utf8'));
+            let config;
+            try {
+                config = JSON.parse(await readFile(configPath, 'utf8'));
+            } catch (readError) {
+                if (readError.code === 'ENOENT') {
+                    return { success: true, message: 'No configuration has been deployed' };
+                }
+                throw readError;
+            }
 
             // Validate configuration
             const validationResult = this._validateConfigFormat(config);
@@ -174,25 +221,64 @@ class AutoConfigService {
             const config = await this._getDeviceConfig(device);
 
             // Save backup
+            await mkdir(backupPath, { recursive: true });
             await writeFile(path.join(backupPath, filename), JSON.stringify(config, null, 2));
 
             return { success: true, backupFile: filename };
         } catch (error) {
             logger.error('Configuration backup error:', error);
-            throw new Error('Configuration backup failed');
+            throw new Error(`Configuration backup failed: ${error.message}`);
         }
     }
 
     /**
-     * Get current configuration from device
+     * Get current configuration from device, as an intent when the platform has a parser
+     * (see utils/ConfigIntent.js) and as the device text when it has none. The intent refers to
+     * the vault secret of each community the vault holds instead of keeping the community.
      * @private
      */
     async _getDeviceConfig(device) {
-        // Implement device-specific configuration retrieval
-        // This would typically use SSH or SNMP to get the config
         logger.info(`Getting configuration from device: ${device.name}`);
-        // Implementation details would go here
-        return {};
+        const running = await this._readRunningConfig(device);
+        if (typeof running !== 'string') {
+            return running || {};
+        }
+
+        let intent;
+        try {
+            intent = ConfigRenderer.parse(device, running);
+        } catch (error) {
+            logger.warn(`Configuration of ${device.name} kept as text: ${error.message}`);
+            return running;
+        }
+        if (!intent.snmp) return intent;
+        const secrets = await CredentialVault.snmpCommunitySecrets();
+        return referToSnmpSecrets(intent, community => secrets.get(community));
+    }
+
+    /**
+     * The running configuration as the device shows it, read over SSH or Telnet, or as RFC 7951
+     * JSON over NETCONF. Devices without either get the latest stored version instead: 'show
+     * running-config' output that was uploaded, or the intent deployed last.
+     * @private
+     * @returns {Promise<string|object|null>}
+     */
+    async _readRunningConfig(device) {
+        if (NetconfService.supports(device)) {
+            return NetconfService.getConfig(device);
+        }
+        if (DeviceSessionPool.supports(device)) {
+            const command = CliDialects[DeviceSessionPool.dialect(device)].runningConfig;
+            const [result] = (await DeviceSessionPool.run(device, [command])).results;
+            if (result.error) {
+                throw new Error(`${device.name} rejected '${command}': ${result.error}`);
+            }
+            return result.output;
+        }
+
+        const latest = await DeviceConfigVersion.findLatest(device._id);
+        if (!latest) return null;
+        return latest.format === 'json' ? latest.data : latest.content;
     }
 }
 
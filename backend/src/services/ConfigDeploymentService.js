@@ -0,0 +1,443 @@
+import mongoose from 'mongoose';
+import ConfigDeployment from '../models/ConfigDeployment.js';
+import NetworkDevice from '../models/NetworkDevice.js';
+import { AlertManager } from './AlertManager.js';
+import AuditLogger from './AuditLogger.js';
+import { AutoConfigService } from './AutoConfigService.js';
+import { ConfigVersionService } from './ConfigVersionService.js';
+import { NetconfService } from './NetconfService.js';
+import { SelfHealingService } from './SelfHealingService.js';
+import WebSocketService from './WebSocketService.js';
+import { AppError, ErrorHandler } from '../utils/ErrorHandler.js';
+import logger from '../utils/logger.js';
+
+const DEPLOYMENT_STATUSES = ['applying', 'verifying', 'awaiting_confirmation', 'confirmed', 'rolling_back', 'rolled_back', 'failed'];
+const ACTIVE_STATUSES = ['applying', 'verifying', 'awaiting_confirmation', 'rolling_back'];
+const MAX_LIMIT = 500;
+// What reading and applying a configuration needs: the renderer, the connection and its credentials
+const DEVICE_FIELDS = 'name manufacturer model groups connectionInfo interfaces.ipAddress';
+
+class ConfigDeploymentService {
+    constructor() {
+        this.confirmTimeout = parseInt(process.env.CONFIG_DEPLOY_CONFIRM_TIMEOUT) || 600000;
+        this.checkInterval = parseInt(process.env.CONFIG_DEPLOY_CHECK_INTERVAL) || 15000;
+        // Deployments that stay applying or verifying this long were cut off, e.g. by a restart.
+        // A deploy or rollback in progress refreshes its deployment well within that time.
+        this.staleAfter = parseInt(process.env.CONFIG_DEPLOY_STALE_AFTER) || 600000;
+        this.heartbeatInterval = Math.floor(this.staleAfter / 4);
+        this.timer = null;
+        this.expiring = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.expire().catch(error => {
+                logger.error('Error rolling back unconfirmed deployments:', error);
+            });
+        }, this.checkInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * @param {object} options - { deviceId, status (comma-separated), page, limit }
+     * @returns {Promise<{ deployments: Array<object>, total: number, page: number, limit: number }>}
+     *   deployments without their configurations, newest first
+     */
+    async list(options = {}) {
+        const query = {};
+        if (options.status) {
+            const statuses = String(options.status).split(',').map(status => status.trim());
+            if (statuses.some(status => !DEPLOYMENT_STATUSES.includes(status))) {
+                throw ErrorHandler.badRequest(`status must be one of ${DEPLOYMENT_STATUSES.join(', ')}`);
+            }
+            query.status = { $in: statuses };
+        }
+        if (options.deviceId) query.deviceId = options.deviceId;
+
+        const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), MAX_LIMIT);
+        const page = Math.max(parseInt(options.page) || 1, 1);
+
+        const [deployments, total] = await Promise.all([
+            ConfigDeployment.find(query)
+                .select('-config -snapshot -healthCheck.results')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            ConfigDeployment.countDocuments(query)
+        ]);
+
+        return { deployments, total, page, limit };
+    }
+
+    async getDeployment(id) {
+        const deployment = await ConfigDeployment.findById(id);
+        if (!deployment) {
+            throw ErrorHandler.notFound('Deployment not found');
+        }
+        return deployment;
+    }
+
+    /**
+     * Deploy a configuration the way a commit-confirmed does: snapshot the running configuration,
+     * apply the new one and run the health checks. A deployment that fails them is rolled back;
+     * one that passes waits for confirm() and is rolled back when the confirmation does not come in time.
+     * @param {object} options - { comment, confirmMinutes, autoConfirm: confirm once the health
+     *   checks pass, for deploys nobody is watching }
+     * @returns {Promise<object>} the deployment as it stands when the deploy returns
+     */
+    async deploy(deviceId, config, options = {}, actor) {
+        const device = await this._getDevice(deviceId);
+        // A configuration that does not match the YANG models is turned away before the snapshot
+        if (NetconfService.supports(device)) {
+            NetconfService.check(config);
+        }
+        const confirmTimeout = options.confirmMinutes ? options.confirmMinutes * 60000 : this.confirmTimeout;
+
+        let deployment;
+        try {
+            deployment = await ConfigDeployment.create({
+                deviceId: device._id,
+                status: 'applying',
+                config,
+                comment: options.comment,
+                autoConfirm: Boolean(options.autoConfirm),
+                confirmTimeout,
+                requestedBy: actor?.id || 'system',
+                history: [{ at: new Date(), status: 'applying', message: 'Deployment started' }]
+            });
+        } catch (error) {
+            throw this._saveError(error);
+        }
+        await this._audit(actor, 'config_deployment.start', deployment, device);
+        this._notify(deployment);
+
+        return this._keepAlive(deployment, () => this._apply(deployment, device, config, actor));
+    }
+
+    // The steps of deploy after the deployment was created
+    async _apply(deployment, device, config, actor) {
+        // Without a snapshot there is nothing to roll back to, so nothing is applied
+        try {
+            const snapshot = await AutoConfigService._getDeviceConfig(device);
+            const { version } = await ConfigVersionService.record(device._id, snapshot, { source: 'poll' }, actor);
+            deployment = await this._transition(deployment, 'applying', {
+                status: 'applying',
+                snapshot,
+                snapshotVersion: version.version
+            }, `Running configuration saved as version ${version.version}`);
+        } catch (error) {
+            logger.error(`Failed to snapshot the configuration of ${device.name}:`, error);
+            return this._finish(deployment, 'applying', 'failed', { error: error.message },
+                'Could not snapshot the running configuration; nothing was applied', actor, device);
+        }
+
+        try {
+            await AutoConfigService.deployConfig(device._id, config);
+        } catch (error) {
+            return this._rollback(deployment, 'apply_failed', `Apply failed: ${error.message}`, actor, device);
+        }
+        deployment = await this._transition(deployment, 'applying', {
+            status: 'verifying',
+            deployedVersion: await this._recordVersion(device, config, [`deployment:${deployment._id}`], actor)
+        }, 'Configuration applied');
+
+        const healthCheck = await this.checkHealth(device._id);
+        if (!healthCheck.passed) {
+            return this._rollback(deployment, 'health_check_failed',
+                `Health check failed: ${healthCheck.failures.join('; ')}`, actor, device, { healthCheck });
+        }
+
+        if (deployment.autoConfirm) {
+            const confirmed = await this._finish(deployment, 'verifying', 'confirmed', {
+                healthCheck,
+                confirmedBy: actor?.id || 'system',
+                confirmedAt: new Date()
+            }, 'Health check passed; confirmed automatically', actor, device);
+            await this._approve(confirmed, actor);
+            return confirmed;
+        }
+        const confirmBy = new Date(Date.now() + deployment.confirmTimeout);
+        return this._transition(deployment, 'verifying', {
+            status: 'awaiting_confirmation',
+            healthCheck,
+            confirmBy
+        }, `Health check passed; rolled back unless confirmed by ${confirmBy.toISOString()}`);
+    }
+
+    /**
+     * Keep a deployment. Its configuration becomes the device's golden version.
+     */
+    async confirm(id, actor, now = new Date()) {
+        const deployment = await this.getDeployment(id);
+        if (deployment.status !== 'awaiting_confirmation') {
+            throw ErrorHandler.conflict(`Deployment is ${deployment.status.replace(/_/g, ' ')}`);
+        }
+        if (deployment.confirmBy <= now) {
+            throw ErrorHandler.conflict('The confirmation window has passed; the deployment is being rolled back');
+        }
+
+        const confirmed = await this._finish(deployment, 'awaiting_confirmation', 'confirmed', {
+            confirmedBy: actor?.id || 'system',
+            confirmedAt: now
+        }, 'Confirmed', actor, null, { confirmBy: { $gt: now } });
+        await this._approve(confirmed, actor);
+        return confirmed;
+    }
+
+    /**
+     * Restore the snapshot of a deployment that waits for confirmation
+     */
+    async rollback(id, actor) {
+        const deployment = await this.getDeployment(id);
+        if (deployment.status !== 'awaiting_confirmation') {
+            throw ErrorHandler.conflict(`Deployment is ${deployment.status.replace(/_/g, ' ')}`);
+        }
+        return this._rollback(deployment, 'manual', 'Rolled back on request', actor);
+    }
+
+    /**
+     * Run the self-healing health check. Connectivity failures and high severity issues fail it;
+     * configuration issues are kept but do not, as a deploy is meant to move the device away
+     * from its golden configuration.
+     * @returns {Promise<{ passed: boolean, failures: Array<string>, checkedAt: Date, results?: object }>}
+     */
+    async checkHealth(deviceId) {
+        const checkedAt = new Date();
+        try {
+            const results = await SelfHealingService.runHealthCheck(deviceId);
+            const failures = [];
+            if (!results.connectivity?.isConnected) {
+                failures.push(`Device is unreachable${results.connectivity?.error ? `: ${results.connectivity.error}` : ''}`);
+            }
+            for (const issue of [...(results.performance || []), ...(results.services || [])]) {
+                if (issue.severity === 'high') failures.push(issue.description);
+            }
+            return { passed: failures.length === 0, failures, checkedAt, results };
+        } catch (error) {
+            return { passed: false, failures: [`Health check could not run: ${error.message}`], checkedAt };
+        }
+    }
+
+    /**
+     * Undo a confirmed deployment by deploying its snapshot again. The revert is a deployment of
+     * its own and is confirmed once the device passes the health check.
+     * @returns {Promise<object>} the revert deployment
+     */
+    async revert(id, actor) {
+        const deployment = await this.getDeployment(id);
+        if (deployment.status !== 'confirmed') {
+            throw ErrorHandler.conflict(`Deployment is ${deployment.status.replace(/_/g, ' ')}`);
+        }
+        if (deployment.snapshot === undefined) {
+            throw ErrorHandler.badRequest('Deployment has no snapshot to revert to');
+        }
+        return this.deploy(deployment.deviceId, deployment.snapshot, {
+            autoConfirm: true,
+            comment: `Revert of deployment ${deployment._id}`
+        }, actor);
+    }
+
+    /**
+     * Roll back deployments whose confirmation window passed, and deployments cut off while
+     * they were applied, verified or rolled back
+     * @returns {Promise<number>} deployments rolled back
+     */
+    async expire(now = new Date()) {
+        if (this.expiring) return 0;
+        this.expiring = true;
+        try {
+            const deployments = await ConfigDeployment.find({
+                $or: [
+                    { status: 'awaiting_confirmation', confirmBy: { $lte: now } },
+                    { status: { $in: ['applying', 'verifying', 'rolling_back'] }, updatedAt: { $lte: new Date(now - this.staleAfter) } }
+                ]
+            });
+
+            let rolledBack = 0;
+            for (const deployment of deployments) {
+                const [reason, message] = deployment.status === 'awaiting_confirmation'
+                    ? ['confirm_timeout', 'Not confirmed in time']
+                    : ['interrupted', `Deployment stopped while ${deployment.status.replace(/_/g, ' ')}`];
+                try {
+                    await this._rollback(deployment, reason, message);
+                    rolledBack++;
+                } catch (error) {
+                    // Confirmed or rolled back in the meantime
+                    if (error instanceof AppError && error.code === 'CONFLICT') continue;
+                    logger.error(`Error rolling back deployment ${deployment._id}:`, error);
+                }
+            }
+            return rolledBack;
+        } finally {
+            this.expiring = false;
+        }
+    }
+
+    // Private helper methods
+    async _getDevice(deviceId) {
+        if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+            throw ErrorHandler.badRequest('deviceId is not valid');
+        }
+        const device = await NetworkDevice.findById(deviceId).select(DEVICE_FIELDS).lean();
+        if (!device) {
+            throw ErrorHandler.notFound('Device not found');
+        }
+        return device;
+    }
+
+    /**
+     * Move a deployment on only if it is still in one of the expected states, so a confirmation
+     * and a rollback cannot both win
+     * @param {string|Array<string>} from
+     */
+    async _transition(deployment, from, fields, message, condition = {}) {
+        const status = fields.status;
+        const updated = await ConfigDeployment.findOneAndUpdate(
+            { _id: deployment._id, status: { $in: [].concat(from) }, ...condition },
+            {
+                $set: { ...fields, active: ACTIVE_STATUSES.includes(status) },
+                $push: { history: { at: new Date(), status, message } }
+            },
+            { new: true }
+        );
+        if (!updated) {
+            throw ErrorHandler.conflict('Deployment changed at the same time');
+        }
+        if (status !== deployment.status) {
+            this._notify(updated);
+        }
+        return updated;
+    }
+
+    async _finish(deployment, from, status, fields, message, actor, device, condition) {
+        const finished = await this._transition(deployment, from, { status, ...fields, finishedAt: new Date() }, message, condition);
+        const action = { confirmed: 'confirm', rolled_back: 'rollback', failed: 'fail' }[status];
+        await this._audit(actor, `config_deployment.${action}`, finished, device);
+        return finished;
+    }
+
+    async _rollback(deployment, reason, message, actor, device, fields = {}) {
+        const rollingBack = await this._transition(deployment, ACTIVE_STATUSES, {
+            status: 'rolling_back',
+            rollbackReason: reason,
+            ...(reason === 'manual' ? {} : { error: message }),
+            ...fields
+        }, message);
+
+        let restored;
+        try {
+            if (rollingBack.snapshot === undefined) {
+                throw new Error('No snapshot of the previous configuration');
+            }
+            restored = await this._keepAlive(rollingBack,
+                () => AutoConfigService.deployConfig(rollingBack.deviceId, rollingBack.snapshot));
+        } catch (error) {
+            logger.error(`Rollback of deployment ${rollingBack._id} failed:`, error);
+            const failed = await this._finish(rollingBack, 'rolling_back', 'failed', {
+                error: [rollingBack.error, `rollback failed: ${error.message}`].filter(Boolean).join('; ')
+            }, `Rollback failed: ${error.message}`, actor, device);
+            await this._raiseRollbackFailure(failed, device);
+            return failed;
+        }
+
+        await this._recordVersion(device || { _id: rollingBack.deviceId }, rollingBack.snapshot, ['rollback'], actor);
+        return this._finish(rollingBack, 'rolling_back', 'rolled_back', {
+            rolledBackBy: actor?.id || 'system',
+            rolledBackAt: new Date()
+        }, restored?.replaced
+            ? `Restored version ${rollingBack.snapshotVersion}`
+            : `Applied version ${rollingBack.snapshotVersion} again; what the deployment added was not removed`, actor, device);
+    }
+
+    // Refresh the deployment while work on it runs, so that expire() does not take a slow apply
+    // or health check for one that was cut off
+    async _keepAlive(deployment, work) {
+        const timer = setInterval(() => {
+            ConfigDeployment.updateOne({ _id: deployment._id, active: true }, { $set: { heartbeatAt: new Date() } })
+                .catch(error => logger.warn(`Failed to refresh deployment ${deployment._id}: ${error.message}`));
+        }, this.heartbeatInterval);
+        try {
+            return await work();
+        } finally {
+            clearInterval(timer);
+        }
+    }
+
+    async _recordVersion(device, config, tags, actor) {
+        try {
+            const { version } = await ConfigVersionService.record(device._id, config, { source: 'deploy', tags }, actor);
+            return version.version;
+        } catch (error) {
+            logger.warn(`Failed to store the deployed configuration of device ${device._id}: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    async _approve(deployment, actor) {
+        if (!deployment.deployedVersion) return;
+        try {
+            await ConfigVersionService.setGolden(deployment.deviceId, deployment.deployedVersion, actor);
+        } catch (error) {
+            logger.warn(`Failed to make version ${deployment.deployedVersion} of device ${deployment.deviceId} golden: ${error.message}`);
+        }
+    }
+
+    async _raiseRollbackFailure(deployment, device) {
+        try {
+            await AlertManager.raise({
+                deviceId: deployment.deviceId,
+                type: 'config_rollback_failed',
+                severity: 'critical',
+                source: 'config',
+                message: `Rollback of a configuration deployment on ${device?.name || deployment.deviceId} failed`,
+                details: { deploymentId: deployment._id, rollbackReason: deployment.rollbackReason, error: deployment.error }
+            });
+        } catch (error) {
+            logger.error('Failed to raise rollback failure alert:', error);
+        }
+    }
+
+    _notify(deployment) {
+        WebSocketService.emit('deployment:update', {
+            deploymentId: deployment._id,
+            deviceId: deployment.deviceId,
+            status: deployment.status,
+            rollbackReason: deployment.rollbackReason,
+            confirmBy: deployment.confirmBy,
+            timestamp: new Date()
+        });
+    }
+
+    _saveError(error) {
+        if (error instanceof AppError) {
+            return error;
+        }
+        if (error instanceof mongoose.Error.ValidationError) {
+            return ErrorHandler.badRequest(error.message);
+        }
+        if (error.code === 11000) {
+            return ErrorHandler.conflict('The device already has a deployment in progress');
+        }
+        logger.error('Error saving deployment:', error);
+        return error;
+    }
+
+    _audit(actor, type, deployment, device) {
+        return AuditLogger.record(actor, type, {
+            type: 'ConfigDeployment',
+            id: deployment._id,
+            name: device?.name || deployment.deviceId.toString()
+        }, undefined, deployment.status === 'failed' ? 'failure' : 'success');
+    }
+}
+
+const configDeploymentService = new ConfigDeploymentService();
+export { configDeploymentService as ConfigDeploymentService, DEPLOYMENT_STATUSES };
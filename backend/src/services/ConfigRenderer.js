@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+import DeviceConfigVersion from '../models/DeviceConfigVersion.js';
+import NetworkDevice from '../models/NetworkDevice.js';
+import { ConfigVersionService } from './ConfigVersionService.js';
+import { CredentialVault } from './CredentialVault.js';
+import EosParser from './EosParser.js';
+import EosRenderer from './EosRenderer.js';
+import IosParser from './IosParser.js';
+import IosRenderer from './IosRenderer.js';
+import JunosParser from './JunosParser.js';
+import JunosRenderer from './JunosRenderer.js';
+import { defaultIntent, fillSnmpSecrets, normalizeIntent, snmpSecretIds } from '../utils/ConfigIntent.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+
+class ConfigRenderer {
+    constructor() {
+        this.renderers = new Map([
+            ['ios', new IosRenderer()],
+            ['junos', new JunosRenderer()],
+            ['eos', new EosRenderer()]
+        ]);
+        // Running-config text back to an intent, by renderer name
+        this.parsers = new Map([
+            ['ios', new IosParser()],
+            ['junos', new JunosParser()],
+            ['eos', new EosParser()]
+        ]);
+    }
+
+    /**
+     * Add or replace the renderer for a platform. Renderers are tried in the order they were
+     * first registered.
+     * @param {string} name - e.g. 'ios'
+     * @param {object} renderer - { matches(device), render(intent, device), remove?(current,
+     *   intent, device) }; render gets a normalized intent and returns the configuration text,
+     *   remove the lines that take away what current has and the intent does not
+     */
+    registerRenderer(name, renderer) {
+        this.renderers.set(name, renderer);
+    }
+
+    /**
+     * Add or replace the parser for a platform
+     * @param {string} name - the name of the renderer for the same platform
+     * @param {object} parser - { parse(text) }, returns an intent that is normalized afterwards
+     */
+    registerParser(name, parser) {
+        this.parsers.set(name, parser);
+    }
+
+    /**
+     * Pick the renderer from the device's manufacturer and model
+     * @returns {string} the renderer name
+     * @throws {AppError} BAD_REQUEST when no renderer supports the device
+     */
+    select(device) {
+        for (const [name, renderer] of this.renderers) {
+            if (renderer.matches(device)) return name;
+        }
+        const platform = [device.manufacturer, device.model].filter(Boolean).join(' ') || 'unknown platform';
+        throw ErrorHandler.badRequest(`No configuration renderer supports ${platform}`);
+    }
+
+    /**
+     * Render an intent to be read. Communities kept in the vault are shown as <vault:secret id>.
+     * @param {object} device - NetworkDevice document or plain object
+     * @param {object} intent - see utils/ConfigIntent.js
+     * @returns {{ renderer: string, text: string }}
+     */
+    render(device, intent) {
+        const name = this.select(device);
+        const target = fillSnmpSecrets(normalizeIntent(intent), secret => `<vault:${secret}>`);
+        return { renderer: name, text: this.renderers.get(name).render(target, device) };
+    }
+
+    /**
+     * Render an intent as the lines that make it replace the device's running configuration:
+     * first what the renderer's remove(current, intent) takes away from the parsed running
+     * configuration, then the intent in full. Renderers without remove only add to it. The
+     * communities of vault secrets are decrypted here, for the device and nothing else.
+     * @param {function(): Promise<string>} readRunning - reads the running configuration text,
+     *   only called when the renderer can remove
+     * @returns {Promise<{ renderer: string, replaces: boolean, removals: Array<string>, text: string }>}
+     */
+    async renderReplacement(device, intent, readRunning) {
+        const name = this.select(device);
+        const renderer = this.renderers.get(name);
+        const normalized = normalizeIntent(intent);
+        const communities = await CredentialVault.snmpCommunities(snmpSecretIds(normalized), { reason: 'config_deploy', device });
+        const target = fillSnmpSecrets(normalized, secret => communities.get(secret));
+        const removals = renderer.remove
+            ? renderer.remove(this.parse(device, await readRunning()), target, device)
+            : [];
+        return { renderer: name, replaces: Boolean(renderer.remove), removals, text: renderer.render(target, device) };
+    }
+
+    /**
+     * Read device configuration text, e.g. 'show running-config', back into an intent. What the
+     * intent cannot express is left out, and so are references to it: an interface keeps no ACL
+     * whose entries were all skipped.
+     * @returns {object} normalized intent
+     * @throws {AppError} BAD_REQUEST when no parser supports the device or the result is not valid
+     */
+    parse(device, text) {
+        const name = this.select(device);
+        const parser = this.parsers.get(name);
+        if (!parser) {
+            throw ErrorHandler.badRequest(`No configuration parser for ${name}`);
+        }
+        return normalizeIntent(dropDanglingReferences(parser.parse(text)));
+    }
+
+    /**
+     * Render a device's stored intent
+     * @param {string} ref - version number, 'latest' or 'golden'. Without one the golden version is
+     *   used, else the latest, else the default intent for the device type.
+     * @returns {Promise<{ deviceId, renderer, source: 'version'|'default', version?: number, text }>}
+     */
+    async renderDevice(deviceId, ref) {
+        if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+            throw ErrorHandler.badRequest('deviceId is not valid');
+        }
+        const device = await NetworkDevice.findById(deviceId).select('name type manufacturer model').lean();
+        if (!device) {
+            throw ErrorHandler.notFound('Device not found');
+        }
+
+        const version = ref
+            ? await ConfigVersionService.getVersion(deviceId, ref)
+            : await DeviceConfigVersion.findGolden(deviceId) || await DeviceConfigVersion.findLatest(deviceId);
+        if (version && version.format !== 'json') {
+            throw ErrorHandler.badRequest(`Configuration version ${version.version} is device text, not an intent`);
+        }
+
+        const { renderer, text } = this.render(device, version ? version.data : defaultIntent(device));
+        return {
+            deviceId: device._id,
+            renderer,
+            source: version ? 'version' : 'default',
+            version: version?.version,
+            text
+        };
+    }
+}
+
+function dropDanglingReferences(intent) {
+    const acls = new Set((intent.acls || []).map(acl => acl.name));
+    const policies = new Set((intent.qos?.policies || []).map(policy => policy.name));
+    for (const iface of intent.interfaces || []) {
+        for (const direction of ['in', 'out']) {
+            if (iface.acl?.[direction] && !acls.has(iface.acl[direction])) delete iface.acl[direction];
+        }
+        if (iface.qosPolicy && !policies.has(iface.qosPolicy)) delete iface.qosPolicy;
+    }
+    return intent;
+}
+
+const configRenderer = new ConfigRenderer();
+export { configRenderer as ConfigRenderer };
@@ -0,0 +1,364 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import DeviceConfigVersion from '../models/DeviceConfigVersion.js';
+import NetworkDevice from '../models/NetworkDevice.js';
+import { AlertManager } from './AlertManager.js';
+import AuditLogger from './AuditLogger.js';
+import { AutoConfigService } from './AutoConfigService.js';
+import { AppError, ErrorHandler } from '../utils/ErrorHandler.js';
+import { configTree, diffKeys, diffLines, splitLines } from '../utils/ConfigDiff.js';
+import logger from '../utils/logger.js';
+
+const MAX_LIMIT = 500;
+const SUMMARY_FIELDS = '-content -data';
+// What reading a configuration from the device needs: the parser, the connection and its credentials
+const DEVICE_FIELDS = 'name manufacturer model groups connectionInfo interfaces.ipAddress';
+// Lines that change without anyone changing the configuration
+const DEFAULT_IGNORE = '^(! Last configuration change at|! NVRAM config last updated at|! No configuration change since last restart|Building configuration|Current configuration :|ntp clock-period)';
+
+class ConfigVersionService {
+    constructor() {
+        this.checkInterval = parseInt(process.env.CONFIG_DRIFT_INTERVAL) || 3600000;
+        // Lines matching this are left out when deciding whether a configuration changed
+        this.ignore = new RegExp(process.env.CONFIG_DRIFT_IGNORE || DEFAULT_IGNORE);
+        // Past this many changed lines a diff shows the changed part as replaced as a whole
+        this.maxEdits = parseInt(process.env.CONFIG_DIFF_MAX_EDITS) || 2000;
+        this.timer = null;
+        this.checking = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.checkAll().catch(error => {
+                logger.error('Error checking configuration drift:', error);
+            });
+        }, this.checkInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * @param {object} options - { page, limit }
+     * @returns {Promise<{ versions: Array<object>, total: number, page: number, limit: number }>}
+     *   versions without their content, newest first
+     */
+    async history(deviceId, options = {}) {
+        await this._getDevice(deviceId);
+        const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), MAX_LIMIT);
+        const page = Math.max(parseInt(options.page) || 1, 1);
+
+        const [versions, total] = await Promise.all([
+            DeviceConfigVersion.find({ deviceId })
+                .select(SUMMARY_FIELDS)
+                .sort({ version: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            DeviceConfigVersion.countDocuments({ deviceId })
+        ]);
+
+        return { versions, total, page, limit };
+    }
+
+    /**
+     * @param {number|string} ref - a version number, 'latest' or 'golden'
+     */
+    async getVersion(deviceId, ref) {
+        let query;
+        if (ref === 'latest') {
+            query = DeviceConfigVersion.findLatest(deviceId);
+        } else if (ref === 'golden') {
+            query = DeviceConfigVersion.findGolden(deviceId);
+        } else if (Number.isInteger(Number(ref)) && Number(ref) > 0) {
+            query = DeviceConfigVersion.findOne({ deviceId, version: Number(ref) });
+        } else {
+            throw ErrorHandler.badRequest('A version is a positive number, latest or golden');
+        }
+
+        const version = await query;
+        if (!version) {
+            throw ErrorHandler.notFound(`Configuration version ${ref} not found`);
+        }
+        return version;
+    }
+
+    /**
+     * Store a configuration unless it is the same as the latest version
+     * @param {string|object} config - running-config text, or a structured configuration
+     * @param {object} options - { source: 'poll'|'upload'|'deploy', tags }
+     * @returns {Promise<{ version: object, created: boolean }>}
+     */
+    async record(deviceId, config, { source, tags = [] }, actor, now = new Date()) {
+        try {
+            await this._getDevice(deviceId);
+            const normalized = this._normalize(config);
+            const latest = await DeviceConfigVersion.findLatest(deviceId);
+            if (latest && latest.hash === normalized.hash) {
+                return { version: latest, created: false };
+            }
+
+            const version = await DeviceConfigVersion.create({
+                deviceId,
+                version: (latest?.version || 0) + 1,
+                ...normalized,
+                source,
+                tags,
+                capturedAt: now,
+                capturedBy: actor?.id || 'system'
+            });
+            await this._audit(actor, 'config_version.create', version);
+            return { version, created: true };
+        } catch (error) {
+            throw this._saveError(error);
+        }
+    }
+
+    /**
+     * Fetch the running configuration from the device and store it if it changed
+     */
+    async capture(deviceId, actor) {
+        const device = await this._getDevice(deviceId);
+        const config = await AutoConfigService._getDeviceConfig(device);
+        return this.record(device._id, config, { source: 'poll' }, actor);
+    }
+
+    /**
+     * Line- and key-level differences between two versions
+     * @param {number|string} from - a version number, 'latest' or 'golden'
+     * @param {number|string} to
+     */
+    async diff(deviceId, from = 'golden', to = 'latest') {
+        const [before, after] = await Promise.all([this.getVersion(deviceId, from), this.getVersion(deviceId, to)]);
+        return {
+            from: summarize(before),
+            to: summarize(after),
+            ...this._compare(before, after)
+        };
+    }
+
+    /**
+     * Approve a version as the baseline that drift is measured against
+     */
+    async setGolden(deviceId, ref, actor, now = new Date()) {
+        try {
+            const version = await this.getVersion(deviceId, ref);
+            if (!version.golden) {
+                await DeviceConfigVersion.updateMany(
+                    { deviceId: version.deviceId, golden: true },
+                    { $set: { golden: false } }
+                );
+                Object.assign(version, { golden: true, approvedBy: actor?.id || 'system', approvedAt: now });
+                await version.save();
+                await this._audit(actor, 'config_version.approve', version);
+            }
+
+            await this._updateDriftAlert(await this._getDevice(deviceId), version, await DeviceConfigVersion.findLatest(deviceId));
+            return version;
+        } catch (error) {
+            throw this._saveError(error);
+        }
+    }
+
+    /**
+     * Accept the drift: the latest version becomes the golden one
+     */
+    async approveDrift(deviceId, actor, now = new Date()) {
+        return this.setGolden(deviceId, 'latest', actor, now);
+    }
+
+    /**
+     * How the latest stored version differs from the golden one
+     * @returns {Promise<{ drifted: boolean, golden: object|null, current: object|null, lines?: object, keys?: Array }>}
+     */
+    async getDrift(deviceId) {
+        await this._getDevice(deviceId);
+        const [golden, current] = await Promise.all([
+            DeviceConfigVersion.findGolden(deviceId),
+            DeviceConfigVersion.findLatest(deviceId)
+        ]);
+        return this._drift(golden, current);
+    }
+
+    /**
+     * Capture the running configuration and compare it with the golden version. A drifted device
+     * gets a config_drift alert, which is resolved once it is back in line or the drift is approved.
+     */
+    async checkDrift(deviceId, actor) {
+        const device = await this._getDevice(deviceId);
+        const { version: current } = await this.capture(device._id, actor);
+        const golden = await DeviceConfigVersion.findGolden(device._id);
+
+        await this._updateDriftAlert(device, golden, current);
+        return this._drift(golden, current);
+    }
+
+    /**
+     * Check every device that has a golden version. Runs one at a time.
+     * @returns {Promise<{ checked: number, drifted: number, failed: number }>}
+     */
+    async checkAll() {
+        if (this.checking) return { checked: 0, drifted: 0, failed: 0 };
+        this.checking = true;
+        try {
+            const deviceIds = await DeviceConfigVersion.distinct('deviceId', { golden: true });
+            const result = { checked: 0, drifted: 0, failed: 0 };
+            for (const deviceId of deviceIds) {
+                try {
+                    const drift = await this.checkDrift(deviceId);
+                    result.checked++;
+                    if (drift.drifted) result.drifted++;
+                } catch (error) {
+                    result.failed++;
+                    logger.error(`Error checking configuration drift of device ${deviceId}:`, error);
+                }
+            }
+            if (result.drifted > 0) {
+                logger.warn(`Configuration drift on ${result.drifted} of ${result.checked} device(s)`);
+            }
+            return result;
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Compare a configuration with the golden version without storing it
+     * @returns {Promise<object|null>} { drifted, golden, added, removed }, or null without a golden version
+     */
+    async compareToGolden(deviceId, config) {
+        const golden = await DeviceConfigVersion.findGolden(deviceId);
+        if (!golden) return null;
+
+        const normalized = this._normalize(config);
+        if (normalized.hash === golden.hash) {
+            return { drifted: false, golden: summarize(golden), added: 0, removed: 0 };
+        }
+        const { added, removed } = diffLines(this._significant(golden.content), this._significant(normalized.content), {
+            context: 0,
+            maxEdits: this.maxEdits
+        });
+        return { drifted: true, golden: summarize(golden), added, removed };
+    }
+
+    /**
+     * The golden configuration as it was recorded, to restore a device with
+     * @returns {Promise<string|object|null>}
+     */
+    async getGoldenConfig(deviceId) {
+        const golden = await DeviceConfigVersion.findGolden(deviceId);
+        if (!golden) return null;
+        return golden.format === 'json' ? golden.data : golden.content;
+    }
+
+    // Private helper methods
+    async _getDevice(deviceId) {
+        if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+            throw ErrorHandler.badRequest('deviceId is not valid');
+        }
+        const device = await NetworkDevice.findById(deviceId).select(DEVICE_FIELDS).lean();
+        if (!device) {
+            throw ErrorHandler.notFound('Device not found');
+        }
+        return device;
+    }
+
+    _normalize(config) {
+        if (config === null || config === undefined) {
+            throw ErrorHandler.badRequest('The device returned no configuration');
+        }
+        const normalized = typeof config === 'string'
+            ? { format: 'text', content: splitLines(config).map(line => line.trimEnd()).join('\n') }
+            : { format: 'json', content: JSON.stringify(sortKeys(config), null, 2), data: config };
+        if (!normalized.content.trim()) {
+            throw ErrorHandler.badRequest('The configuration is empty');
+        }
+        normalized.hash = crypto.createHash('sha256').update(this._significant(normalized.content)).digest('hex');
+        return normalized;
+    }
+
+    // The content without volatile lines
+    _significant(content) {
+        return splitLines(content).filter(line => !this.ignore.test(line)).join('\n');
+    }
+
+    _compare(before, after) {
+        const lines = diffLines(before.content, after.content, { maxEdits: this.maxEdits });
+        const keys = before.format === 'json' && after.format === 'json'
+            ? diffKeys(before.data, after.data)
+            : diffKeys(configTree(this._significant(before.content)), configTree(this._significant(after.content)));
+        return { lines, keys };
+    }
+
+    _drift(golden, current) {
+        if (!golden || !current) {
+            return { drifted: false, golden: golden && summarize(golden), current: current && summarize(current) };
+        }
+        return {
+            drifted: golden.hash !== current.hash,
+            golden: summarize(golden),
+            current: summarize(current),
+            ...this._compare(golden, current)
+        };
+    }
+
+    async _updateDriftAlert(device, golden, current) {
+        const key = { deviceId: device._id, type: 'config_drift' };
+        if (golden && current && golden.hash !== current.hash) {
+            const { added, removed } = diffLines(this._significant(golden.content), this._significant(current.content), {
+                context: 0,
+                maxEdits: this.maxEdits
+            });
+            await AlertManager.raise({
+                ...key,
+                severity: 'medium',
+                source: 'config',
+                message: `Configuration of ${device.name} drifted from golden version ${golden.version}`,
+                details: { goldenVersion: golden.version, currentVersion: current.version, added, removed }
+            });
+        } else {
+            await AlertManager.clear(key);
+        }
+    }
+
+    _saveError(error) {
+        if (error instanceof AppError) {
+            return error;
+        }
+        if (error instanceof mongoose.Error.ValidationError) {
+            return ErrorHandler.badRequest(error.message);
+        }
+        if (error.code === 11000) {
+            return ErrorHandler.conflict('The configuration changed at the same time; try again');
+        }
+        logger.error('Error saving configuration version:', error);
+        return error;
+    }
+
+    _audit(actor, type, version) {
+        return AuditLogger.record(actor, type, {
+            type: 'DeviceConfigVersion',
+            id: version._id,
+            name: `${version.deviceId} v${version.version}`
+        });
+    }
+}
+
+function summarize(version) {
+    const { content, data, ...summary } = version.toObject ? version.toObject() : version;
+    return summary;
+}
+
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+const configVersionService = new ConfigVersionService();
+export { configVersionService as ConfigVersionService };
@@ -0,0 +1,535 @@
+import crypto from 'crypto';
+import VaultSecret from '../models/VaultSecret.js';
+import DeviceGroup from '../models/DeviceGroup.js';
+import NetworkDevice from '../models/NetworkDevice.js';
+import EncryptionService from './EncryptionService.js';
+import AuditLogger from './AuditLogger.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import logger from '../utils/logger.js';
+
+// The fields of each secret type that are encrypted, required ones first
+const SECRET_FIELDS = {
+    ssh_password: { required: ['password'], optional: [] },
+    ssh_key: { required: ['privateKey'], optional: ['passphrase'] },
+    enable_secret: { required: ['secret'], optional: [] },
+    snmp_community: { required: ['community'], optional: [] },
+    snmp_v3: { required: [], optional: ['authPassword', 'privPassword'] },
+    api_token: { required: ['token'], optional: [] }
+};
+
+export const SECRET_TYPES = Object.keys(SECRET_FIELDS);
+
+// What devices and device groups use secrets for, and the secret types that serve each
+export const CREDENTIAL_PURPOSES = {
+    login: ['ssh_password', 'ssh_key'],
+    enable: ['enable_secret'],
+    snmp: ['snmp_community', 'snmp_v3'],
+    api: ['api_token']
+};
+
+/**
+ * Device secrets, envelope-encrypted under a master key from the environment. Secret values never
+ * leave the vault through the API; services retrieve them for a device and a purpose, and every
+ * retrieval is recorded in the audit log.
+ */
+class CredentialVault {
+    constructor() {
+        this.masterKey = process.env.CREDENTIAL_VAULT_MASTER_KEY;
+        // Master keys being rotated out; secrets they wrapped can be read until rotateMasterKey
+        this.previousKeys = (process.env.CREDENTIAL_VAULT_PREVIOUS_KEYS || '')
+            .split(',')
+            .map(key => key.trim())
+            .filter(Boolean);
+        // Unwrapping a data key runs PBKDF2, so decrypted values are kept until the secret changes
+        this.cache = new Map();
+        // What the SNMP poller and trap receiver resolved, by device and purpose or by USM user,
+        // and the communities configurations read from devices are matched with, so that device
+        // traffic reaches the database and the audit log once per ttl at most
+        this.resolvedTtl = parseInt(process.env.CREDENTIAL_VAULT_CACHE_TTL) || 300000;
+        this.resolved = new Map();
+        // { expiresAt, ids: Map of USM user name -> secret id }
+        this.snmpUsers = null;
+    }
+
+    async listSecrets({ type } = {}) {
+        return VaultSecret.find(type ? { type } : {}).sort({ name: 1 });
+    }
+
+    /**
+     * A secret without its value, with the devices and groups that reference it
+     */
+    async getSecret(id) {
+        const secret = await this._getSecret(id);
+        const [devices, groups] = await Promise.all([
+            NetworkDevice.find(this._referenceFilter('connectionInfo.credentials', secret._id)).select('name'),
+            DeviceGroup.find(this._referenceFilter('credentials', secret._id)).select('name')
+        ]);
+        return {
+            ...secret.toJSON(),
+            usedBy: {
+                devices: devices.map(device => ({ _id: device._id, name: device.name })),
+                groups: groups.map(group => group.name)
+            }
+        };
+    }
+
+    /**
+     * Store a secret; the value is encrypted before it reaches the database
+     * @param {object} data - { name, description, type, username, authProtocol, privProtocol } and
+     *   the value: password | privateKey, passphrase | secret | community | authPassword,
+     *   privPassword | token. With encoding: 'base64' the value fields are base64-encoded.
+     * @param {object} actor - { id, type, ip, userAgent } recorded in the audit log
+     */
+    async createSecret(data, actor) {
+        try {
+            const described = this._describe(data);
+            const secret = new VaultSecret({
+                ...described,
+                envelope: await this._seal(this._secrets(described, data)),
+                createdBy: actor?.id
+            });
+            await secret.save();
+
+            this._forget();
+            await this._audit(actor, 'vault_secret.create', secret);
+            return secret;
+        } catch (error) {
+            if (error.code === 11000) {
+                throw ErrorHandler.conflict(`Secret ${data.name} already exists`);
+            }
+            logger.error('Error creating vault secret:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Change what describes a secret; its value only changes by rotateSecret
+     */
+    async updateSecret(id, data, actor) {
+        const secret = await this._getSecret(id);
+        if (data.type !== undefined && data.type !== secret.type) {
+            throw ErrorHandler.badRequest('The type of a secret cannot change');
+        }
+        if (this._valueFields(secret.type).some(field => data[field] !== undefined)) {
+            throw ErrorHandler.badRequest('Secret values are changed by rotating the secret');
+        }
+        const described = this._describe({ ...secret.toObject(), ...data, type: secret.type });
+        if (secret.type === 'snmp_v3') {
+            // The stored passwords must still fit the protocols
+            this._secrets(described, await this._open(secret), false);
+        }
+        Object.assign(secret, described, { updatedBy: actor?.id });
+        await secret.save();
+
+        this._forget(secret);
+        await this._audit(actor, 'vault_secret.update', secret);
+        return secret;
+    }
+
+    /**
+     * Replace the value of a secret, sealed with a new data key
+     * @param {object} data - the new value as for createSecret, and optionally username and the
+     *   SNMPv3 protocols
+     */
+    async rotateSecret(id, data, actor) {
+        const secret = await this._getSecret(id);
+        const described = this._describe({ ...secret.toObject(), ...data, type: secret.type });
+        const envelope = await this._seal(this._secrets(described, data));
+
+        Object.assign(secret, described, {
+            envelope,
+            version: secret.version + 1,
+            rotatedAt: new Date(),
+            updatedBy: actor?.id
+        });
+        await secret.save();
+
+        this._forget(secret);
+        await this._audit(actor, 'vault_secret.rotate', secret, { version: secret.version });
+        return secret;
+    }
+
+    async deleteSecret(id, actor) {
+        const secret = await this._getSecret(id);
+        const [devices, groups] = await Promise.all([
+            NetworkDevice.countDocuments(this._referenceFilter('connectionInfo.credentials', secret._id)),
+            DeviceGroup.countDocuments(this._referenceFilter('credentials', secret._id))
+        ]);
+        if (devices + groups > 0) {
+            throw ErrorHandler.conflict(`Secret is used by ${devices} device(s) and ${groups} device group(s)`);
+        }
+        await secret.deleteOne();
+
+        this._forget(secret);
+        await this._audit(actor, 'vault_secret.delete', secret);
+        return secret;
+    }
+
+    /**
+     * Wrap the data keys of all secrets with the current master key. Secrets wrapped by a key in
+     * CREDENTIAL_VAULT_PREVIOUS_KEYS are rewrapped; their values are not decrypted.
+     * @returns {Promise<{ keyId, rewrapped: number, current: number, failed: string[] }>} failed
+     *   names the secrets whose master key is not configured
+     */
+    async rotateMasterKey(actor) {
+        const keyId = this._keyId(this._key());
+        const previous = new Map(this.previousKeys.map(key => [this._keyId(key), key]));
+        const result = { keyId, rewrapped: 0, current: 0, failed: [] };
+
+        for (const secret of await VaultSecret.find({})) {
+            const envelopeKeyId = secret.envelope.keyId;
+            if (envelopeKeyId === keyId) {
+                result.current++;
+                continue;
+            }
+            const oldKey = previous.get(envelopeKeyId);
+            if (!oldKey) {
+                result.failed.push(secret.name);
+                continue;
+            }
+            const envelope = await EncryptionService.rewrapEnvelope(secret.envelope, oldKey, this.masterKey);
+            secret.envelope = { ...envelope, keyId };
+            await secret.save();
+            result.rewrapped++;
+        }
+
+        await AuditLogger.record(actor, 'vault.rotate_master_key', { type: 'CredentialVault', id: keyId }, result,
+            result.failed.length > 0 ? 'failure' : 'success');
+        return result;
+    }
+
+    async listGroups() {
+        return DeviceGroup.find({}).sort({ name: 1 });
+    }
+
+    /**
+     * Create or change the device group with this name
+     * @param {object} data - { description, credentials: { login, enable, snmp, api } } where
+     *   each credential is a secret id, or null to remove it
+     */
+    async setGroup(name, { description, credentials = {} }, actor) {
+        await this._checkReferences(credentials);
+        const group = await DeviceGroup.findOne({ name }) || new DeviceGroup({ name, createdBy: actor?.id });
+        if (description !== undefined) group.description = description;
+        for (const [purpose, id] of Object.entries(credentials)) {
+            group.set(`credentials.${purpose}`, id || undefined);
+        }
+        group.updatedBy = actor?.id;
+        await group.save();
+
+        this._forget();
+        await this._audit(actor, 'device_group.update', group, { credentials }, 'DeviceGroup');
+        return group;
+    }
+
+    async deleteGroup(name, actor) {
+        const group = await DeviceGroup.findOne({ name });
+        if (!group) {
+            throw ErrorHandler.notFound('Device group not found');
+        }
+        await group.deleteOne();
+
+        this._forget();
+        await this._audit(actor, 'device_group.delete', group, {}, 'DeviceGroup');
+        return group;
+    }
+
+    /**
+     * Point a device at vault secrets
+     * @param {object} data - { username, authMethod, login, enable, snmp, api } where each
+     *   credential is a secret id, or null to remove it
+     */
+    async setDeviceCredentials(deviceId, data, actor) {
+        const device = await NetworkDevice.findById(deviceId);
+        if (!device) {
+            throw ErrorHandler.notFound('Device not found');
+        }
+        const references = Object.fromEntries(Object.keys(CREDENTIAL_PURPOSES)
+            .filter(purpose => data[purpose] !== undefined)
+            .map(purpose => [purpose, data[purpose]]));
+        await this._checkReferences(references);
+
+        for (const field of ['username', 'authMethod']) {
+            if (data[field] !== undefined) device.set(`connectionInfo.credentials.${field}`, data[field] || undefined);
+        }
+        for (const [purpose, id] of Object.entries(references)) {
+            device.set(`connectionInfo.credentials.${purpose}`, id || undefined);
+        }
+        await device.save();
+
+        this._forget();
+        await this._audit(actor, 'device.credentials', device, { credentials: references }, 'NetworkDevice');
+        return device;
+    }
+
+    /**
+     * The secret a device uses for a purpose: its own reference, otherwise the first of its groups
+     * that has one
+     * @param {string} purpose - login, enable, snmp or api
+     * @param {object} options - { actor, reason } recorded in the audit log; cache: reuse what
+     *   was resolved for the device in the last resolvedTtl, for services that run on every poll
+     * @returns {Promise<object|null>} as retrieve, or null when nothing is referenced
+     */
+    async resolve(device, purpose, { actor, reason, cache = false } = {}) {
+        const load = async () => {
+            const id = await this._reference(device, purpose);
+            return id ? this.retrieve(id, { actor, reason, device }) : null;
+        };
+        return cache ? this._cached(`device:${device._id}:${purpose}`, load) : load();
+    }
+
+    /**
+     * The SNMPv3 secret of a USM user, for traps that only name their user. The user names of the
+     * snmp_v3 secrets are kept for resolvedTtl, so names that no secret has cost no query.
+     * @param {object} options - as resolve
+     * @returns {Promise<object|null>}
+     */
+    async resolveSnmpUser(userName, { actor, reason, cache = false } = {}) {
+        if (!cache) {
+            const secret = await VaultSecret.findOne({ type: 'snmp_v3', username: userName }).select('_id');
+            return secret ? this.retrieve(secret._id, { actor, reason }) : null;
+        }
+        if (!this.snmpUsers || this.snmpUsers.expiresAt <= Date.now()) {
+            const secrets = await VaultSecret.find({ type: 'snmp_v3' }).select('_id username');
+            this.snmpUsers = {
+                expiresAt: Date.now() + this.resolvedTtl,
+                ids: new Map(secrets.map(secret => [secret.username, secret._id]))
+            };
+        }
+        const id = this.snmpUsers.ids.get(userName);
+        return id ? this._cached(`snmp_user:${userName}`, () => this.retrieve(id, { actor, reason })) : null;
+    }
+
+    /**
+     * The communities of the snmp_community secrets a configuration refers to, when it is applied
+     * @param {string[]} ids
+     * @param {object} options - as retrieve
+     * @returns {Promise<Map<string, string>>} secret id -> community
+     * @throws {AppError} BAD_REQUEST when a secret is not an SNMP community
+     */
+    async snmpCommunities(ids, options = {}) {
+        const communities = new Map();
+        for (const id of ids) {
+            const secret = await this.retrieve(id, options);
+            if (secret.type !== 'snmp_community') {
+                throw ErrorHandler.badRequest(`Vault secret ${secret.name} is not an SNMP community`);
+            }
+            communities.set(id, secret.community);
+        }
+        return communities;
+    }
+
+    /**
+     * The snmp_community secret that holds each community, so that configurations read from
+     * devices can refer to it instead of keeping the community
+     * @returns {Promise<Map<string, string>>} community -> secret id
+     */
+    async snmpCommunitySecrets() {
+        return this._cached('snmp_communities', async () => {
+            const secrets = await VaultSecret.find({ type: 'snmp_community' }).select('_id');
+            const communities = new Map();
+            for (const { _id } of secrets) {
+                const secret = await this.retrieve(_id, { reason: 'config_capture' });
+                if (!communities.has(secret.community)) communities.set(secret.community, secret.id);
+            }
+            return communities;
+        });
+    }
+
+    /**
+     * Decrypt a secret for use by a service. Every retrieval is recorded in the audit log.
+     * @param {object} options - { actor, reason, device }
+     * @returns {Promise<object>} { id, name, type, username, authProtocol, privProtocol } and the
+     *   value fields of the type
+     */
+    async retrieve(id, { actor, reason, device } = {}) {
+        let secret;
+        let error;
+        try {
+            secret = await this._getSecret(id);
+            const cacheKey = secret._id.toString();
+            let value = this.cache.get(cacheKey);
+            if (!value || value.updatedAt !== secret.updatedAt.getTime()) {
+                value = { updatedAt: secret.updatedAt.getTime(), fields: await this._open(secret) };
+                this.cache.set(cacheKey, value);
+            }
+            await VaultSecret.updateOne({ _id: secret._id }, { lastAccessedAt: new Date() }, { timestamps: false });
+
+            return {
+                id: cacheKey,
+                name: secret.name,
+                type: secret.type,
+                username: secret.username,
+                authProtocol: secret.authProtocol,
+                privProtocol: secret.privProtocol,
+                ...value.fields
+            };
+        } catch (caught) {
+            error = caught;
+            throw caught;
+        } finally {
+            await this._audit(actor, 'vault_secret.retrieve', secret || { _id: id }, {
+                reason,
+                ...(device ? { device: { id: String(device._id), name: device.name } } : {}),
+                ...(error ? { error: error.message } : {})
+            }, 'VaultSecret', error ? 'failure' : 'success');
+        }
+    }
+
+    // Private helper methods
+
+    // One lookup per key and ttl; callers that ask while it runs share it, and failures are not kept
+    async _cached(key, load) {
+        const entry = this.resolved.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry.value;
+        }
+        const value = load();
+        this.resolved.set(key, { expiresAt: Date.now() + this.resolvedTtl, value });
+        try {
+            return await value;
+        } catch (error) {
+            if (this.resolved.get(key)?.value === value) this.resolved.delete(key);
+            throw error;
+        }
+    }
+
+    // A secret or a reference to one changed; what was resolved may be out of date
+    _forget(secret) {
+        if (secret) this.cache.delete(secret._id.toString());
+        this.resolved.clear();
+        this.snmpUsers = null;
+    }
+
+    async _getSecret(id) {
+        const secret = await VaultSecret.findById(id);
+        if (!secret) {
+            throw ErrorHandler.notFound('Secret not found');
+        }
+        return secret;
+    }
+
+    async _reference(device, purpose) {
+        if (!CREDENTIAL_PURPOSES[purpose]) {
+            throw ErrorHandler.badRequest(`Unknown credential purpose ${purpose}`);
+        }
+        const own = device.connectionInfo?.credentials?.[purpose];
+        if (own) return own;
+        if (!device.groups?.length) return null;
+
+        const groups = await DeviceGroup.find({ name: { $in: device.groups } }).select('name credentials');
+        // Groups are asked in the order the device lists them
+        for (const name of device.groups) {
+            const id = groups.find(group => group.name === name)?.credentials?.[purpose];
+            if (id) return id;
+        }
+        return null;
+    }
+
+    // Referenced secrets must exist and be of a type that serves the purpose
+    async _checkReferences(credentials) {
+        for (const [purpose, id] of Object.entries(credentials)) {
+            if (!CREDENTIAL_PURPOSES[purpose]) {
+                throw ErrorHandler.badRequest(`Unknown credential purpose ${purpose}`);
+            }
+            if (!id) continue;
+            const secret = await VaultSecret.findById(id).select('name type');
+            if (!secret) {
+                throw ErrorHandler.badRequest(`Secret ${id} does not exist`);
+            }
+            if (!CREDENTIAL_PURPOSES[purpose].includes(secret.type)) {
+                throw ErrorHandler.badRequest(`Secret ${secret.name} is a ${secret.type}, not a ${purpose} credential`);
+            }
+        }
+    }
+
+    _referenceFilter(path, id) {
+        return { $or: Object.keys(CREDENTIAL_PURPOSES).map(purpose => ({ [`${path}.${purpose}`]: id })) };
+    }
+
+    _describe({ name, description, type, username, authProtocol, privProtocol }) {
+        if (!SECRET_FIELDS[type]) {
+            throw ErrorHandler.badRequest(`Secret type must be one of ${SECRET_TYPES.join(', ')}`);
+        }
+        if (type === 'snmp_v3') {
+            if (!username) {
+                throw ErrorHandler.badRequest('SNMPv3 secrets require a username');
+            }
+            return { name, description, type, username, authProtocol, privProtocol };
+        }
+        const login = CREDENTIAL_PURPOSES.login.includes(type) ? username : undefined;
+        return { name, description, type, username: login, authProtocol: undefined, privProtocol: undefined };
+    }
+
+    _valueFields(type) {
+        const { required, optional } = SECRET_FIELDS[type];
+        return [...required, ...optional];
+    }
+
+    // The value fields of the data, decoded and checked against the type
+    _secrets({ type, authProtocol, privProtocol }, data, decode = true) {
+        const values = {};
+        for (const field of this._valueFields(type)) {
+            let value = data[field];
+            if (value === undefined || value === null || value === '') continue;
+            if (decode && data.encoding === 'base64') {
+                value = Buffer.from(String(value), 'base64').toString('utf8');
+            }
+            values[field] = String(value);
+        }
+        for (const field of SECRET_FIELDS[type].required) {
+            if (values[field] === undefined) {
+                throw ErrorHandler.badRequest(`A ${type} secret requires ${field}`);
+            }
+        }
+
+        if (type === 'snmp_v3') {
+            const { authPassword, privPassword } = values;
+            if (privPassword && !authPassword) {
+                throw ErrorHandler.badRequest('SNMPv3 privacy requires an auth password');
+            }
+            // RFC 3414 requires passwords of at least 8 characters
+            if ([authPassword, privPassword].some(password => password !== undefined && password.length < 8)) {
+                throw ErrorHandler.badRequest('SNMPv3 passwords must be at least 8 characters');
+            }
+            if ((authPassword && !authProtocol) || (privPassword && !privProtocol)) {
+                throw ErrorHandler.badRequest('SNMPv3 passwords require their protocol');
+            }
+        }
+        return values;
+    }
+
+    async _seal(values) {
+        const key = this._key();
+        return { ...await EncryptionService.envelopeEncrypt(values, key), keyId: this._keyId(key) };
+    }
+
+    async _open(secret) {
+        const { keyId } = secret.envelope;
+        const key = [this._key(), ...this.previousKeys].find(candidate => this._keyId(candidate) === keyId);
+        if (!key) {
+            throw ErrorHandler.serviceUnavailable(`The master key ${keyId} of secret ${secret.name} is not configured`);
+        }
+        return EncryptionService.envelopeDecrypt(secret.envelope, key);
+    }
+
+    _key() {
+        if (!this.masterKey) {
+            throw ErrorHandler.serviceUnavailable('CREDENTIAL_VAULT_MASTER_KEY is not configured');
+        }
+        return this.masterKey;
+    }
+
+    // Tells master keys apart without revealing them
+    _keyId(key) {
+        return crypto.createHash('sha256').update(`credential-vault:${key}`).digest('hex').slice(0, 16);
+    }
+
+    _audit(actor, type, target, details = {}, targetType = 'VaultSecret', status = 'success') {
+        return AuditLogger.record(actor, type, { type: targetType, id: target._id, name: target.name },
+            target.type && targetType === 'VaultSecret' ? { secretType: target.type, ...details } : details, status);
+    }
+}
+
+const credentialVault = new CredentialVault();
+export { credentialVault as CredentialVault };
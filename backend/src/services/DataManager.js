@@ -1,6 +1,9 @@
 import NetworkDevice from '../models/NetworkDevice.js';
 import NetworkMetrics from '../models/NetworkMetrics.js';
 import AlertConfig from '../models/AlertConfig.js';
+import EscalationPolicy from '../models/EscalationPolicy.js';
+import { AlertEvaluator } from './AlertEvaluator.js';
+import { NotificationDispatcher } from './NotificationDispatcher.js';
 import logger from '../utils/logger.js';
 
 class DataManager {
@@ -70,6 +73,11 @@ class DataManager {
             const metrics = new NetworkMetrics(metricsData);
             await metrics.save();
             logger.info(`Added metrics for device: ${metrics.deviceId}`);
+
+            // Alert rules see every stored sample; a failing rule must not fail the write
+            AlertEvaluator.evaluate(metrics).catch(error => {
+                logger.error('Error evaluating alert rules:', error);
+            });
             return metrics;
         } catch (error) {
             logger.error('Error adding metrics:', error);
@@ -103,8 +111,11 @@ class DataManager {
     static async createAlertConfig(configData) {
         try {
             const alertConfig = new AlertConfig(configData);
+            alertConfig.notifications.forEach(channel => NotificationDispatcher.validateChannel(channel));
+            await DataManager.checkEscalationPolicy(configData.escalationPolicyId);
             await alertConfig.save();
             logger.info(`Created new alert configuration: ${alertConfig.name}`);
+            AlertEvaluator.invalidate();
             return alertConfig;
         } catch (error) {
             logger.error('Error creating alert configuration:', error);
@@ -114,6 +125,8 @@ class DataManager {
 
     static async updateAlertConfig(configId, updateData) {
         try {
+            (updateData.notifications || []).forEach(channel => NotificationDispatcher.validateChannel(channel));
+            await DataManager.checkEscalationPolicy(updateData.escalationPolicyId);
             const alertConfig = await AlertConfig.findByIdAndUpdate(
                 configId,
                 updateData,
@@ -123,6 +136,7 @@ class DataManager {
                 throw new Error('Alert configuration not found');
             }
             logger.info(`Updated alert configuration: ${alertConfig.name}`);
+            AlertEvaluator.invalidate();
             return alertConfig;
         } catch (error) {
             logger.error('Error updating alert configuration:', error);
@@ -137,6 +151,7 @@ class DataManager {
                 throw new Error('Alert configuration not found');
             }
             logger.info(`Deleted alert configuration: ${alertConfig.name}`);
+            AlertEvaluator.invalidate();
             return alertConfig;
         } catch (error) {
             logger.error('Error deleting alert configuration:', error);
@@ -144,6 +159,12 @@ class DataManager {
         }
     }
 
+    static async checkEscalationPolicy(policyId) {
+        if (policyId && !(await EscalationPolicy.exists({ _id: policyId }))) {
+            throw new Error('Escalation policy not found');
+        }
+    }
+
     static async getAlertConfigs(query = {}, options = {}) {
         try {
             const alertConfigs = await AlertConfig.find(query)
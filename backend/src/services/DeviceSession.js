@@ -0,0 +1,196 @@
+import { CliDialects, LOGIN_PROMPT, PASSWORD_PROMPT } from '../utils/CliDialects.js';
+
+// Cursor movement and colours some CLIs send even to a vt100
+const ANSI = /\x1b\[[0-9;?]*[A-Za-z]|\x1b[()][A-Z0-9]/g;
+const BACKSPACE = /[^\n\x08]\x08/;
+const MASK = '********';
+
+/**
+ * An interactive CLI session on one device: logs in when asked to, enters privileged mode and
+ * turns paging off, then runs one command at a time and waits for the prompt after it. Everything
+ * sent and received is kept as a transcript; passwords are masked in it.
+ */
+class DeviceSession {
+    /**
+     * @param {object} stream - a connected stream from utils/CliTransport.js
+     * @param {object} options - { name, dialect, username, password, enableSecret, timeout }
+     *   dialect is a key of CliDialects; privileged mode is only entered with an enableSecret
+     */
+    constructor(stream, { name = 'device', dialect = 'generic', username, password, enableSecret, timeout = 30000 } = {}) {
+        this.stream = stream;
+        this.name = name;
+        this.dialect = CliDialects[dialect] || CliDialects.generic;
+        this.credentials = { username, password, enableSecret };
+        this.timeout = timeout;
+        this.prompt = this.dialect.prompt;
+        this.buffer = '';
+        this.transcript = [];
+        this.waiting = null;
+        // Set once the session can no longer be trusted to be at a prompt
+        this.broken = false;
+
+        stream.on('data', data => this._receive(data));
+        stream.on('error', error => this._fail(error));
+        stream.on('close', () => {
+            this.broken = true;
+            this._fail(Object.assign(new Error(`CLI session to ${this.name} closed`), { code: 'ECONNRESET' }));
+        });
+    }
+
+    /**
+     * Wait for the first prompt, logging in on the way, then prepare the session for commands
+     */
+    async open() {
+        const { prompt } = await this._read(this.timeout, { login: true });
+        this._learnPrompt(prompt);
+
+        if (this.dialect.userMode?.test(prompt) && this.dialect.enable && this.credentials.enableSecret) {
+            this._send(this.dialect.enable);
+            const enabled = await this._read(this.timeout, { secret: this.credentials.enableSecret });
+            if (this.dialect.userMode.test(enabled.prompt)) {
+                throw Object.assign(new Error(`${this.name} refused the enable secret`), { code: 'EAUTH' });
+            }
+        }
+
+        for (const command of this.dialect.paging) {
+            await this.command(command);
+        }
+    }
+
+    /**
+     * Run commands one after another
+     * @param {string[]} commands
+     * @param {object} options - { timeout per command, stopOnError: skip the rest once the device
+     *   rejects a command (default true) }
+     * @returns {Promise<Array<{ command, output, error? }>>} the commands that ran
+     */
+    async run(commands, { timeout = this.timeout, stopOnError = true } = {}) {
+        const results = [];
+        for (const command of commands) {
+            const result = await this.command(command, timeout);
+            results.push(result);
+            if (result.error && stopOnError) break;
+        }
+        return results;
+    }
+
+    /**
+     * @returns {Promise<{ command, output, error? }>} error is the line in which the device
+     *   rejected the command
+     */
+    async command(command, timeout = this.timeout) {
+        if (/[\r\n]/.test(command)) {
+            throw new Error('A command is a single line');
+        }
+        this._send(command);
+        const { output } = await this._read(timeout);
+
+        // The device echoes the command back before its output
+        const lines = output.split('\n');
+        if (lines[0].trim() === command.trim()) lines.shift();
+        const text = lines.join('\n').replace(/\n+$/, '');
+        const rejected = this.dialect.error.exec(text);
+        return rejected
+            ? { command, output: text, error: text.slice(rejected.index).split('\n')[0] }
+            : { command, output: text };
+    }
+
+    /**
+     * The transcript since the last call
+     * @returns {Array<{ at: Date, direction: 'sent'|'received', text: string }>}
+     */
+    takeTranscript() {
+        const transcript = this.transcript;
+        this.transcript = [];
+        return transcript;
+    }
+
+    close() {
+        this.broken = true;
+        this.stream.close();
+    }
+
+    // Private helper methods
+    _send(line, secret = false) {
+        this.transcript.push({ at: new Date(), direction: 'sent', text: secret ? MASK : line });
+        this.stream.write(`${line}\n`);
+    }
+
+    _receive(data) {
+        const text = String(data).replace(ANSI, '').replace(/\r/g, '');
+        this.transcript.push({ at: new Date(), direction: 'received', text });
+
+        this.buffer += text;
+        while (BACKSPACE.test(this.buffer)) {
+            this.buffer = this.buffer.replace(BACKSPACE, '');
+        }
+        this.buffer = this.buffer.replace(/\x08/g, '');
+        this._check();
+    }
+
+    // Answer what the device asks for, or hand the output to whoever waits for the prompt
+    _check() {
+        const waiting = this.waiting;
+        if (!waiting) return;
+        const lastLine = this.buffer.slice(this.buffer.lastIndexOf('\n') + 1);
+
+        if (this.dialect.more.test(lastLine)) {
+            this.buffer = this.buffer.slice(0, this.buffer.length - lastLine.length);
+            this.transcript.push({ at: new Date(), direction: 'sent', text: ' ' });
+            this.stream.write(' ');
+        } else if (waiting.login && LOGIN_PROMPT.test(lastLine)) {
+            if (waiting.answered.has('username') || !this.credentials.username) {
+                return this._fail(Object.assign(new Error(`${this.name} rejected the login`), { code: 'EAUTH' }));
+            }
+            waiting.answered.add('username');
+            this.buffer = '';
+            this._send(this.credentials.username);
+        } else if ((waiting.login || waiting.secret) && PASSWORD_PROMPT.test(lastLine)) {
+            const secret = waiting.secret ?? this.credentials.password;
+            if (waiting.answered.has('password') || secret === undefined) {
+                return this._fail(Object.assign(new Error(`${this.name} rejected the password`), { code: 'EAUTH' }));
+            }
+            waiting.answered.add('password');
+            this.buffer = '';
+            this._send(secret, true);
+        } else if (this.prompt.test(lastLine)) {
+            const output = this.buffer.slice(0, this.buffer.length - lastLine.length);
+            this.buffer = '';
+            this.waiting = null;
+            clearTimeout(waiting.timer);
+            waiting.resolve({ output, prompt: lastLine });
+        }
+    }
+
+    _read(timeout, { login = false, secret } = {}) {
+        if (this.broken) {
+            return Promise.reject(Object.assign(new Error(`CLI session to ${this.name} is closed`), { code: 'ECONNRESET' }));
+        }
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.broken = true;
+                this._fail(Object.assign(new Error(`${this.name} did not return to the prompt within ${timeout} ms`), { code: 'ETIMEDOUT' }));
+            }, timeout);
+            this.waiting = { resolve, reject, timer, login, secret, answered: new Set() };
+            this._check();
+        });
+    }
+
+    _fail(error) {
+        const waiting = this.waiting;
+        if (!waiting) return;
+        this.waiting = null;
+        this.broken = true;
+        clearTimeout(waiting.timer);
+        waiting.reject(error);
+    }
+
+    // From the first prompt on, only prompts with the same hostname end a command
+    _learnPrompt(prompt) {
+        const base = prompt.trimEnd().replace(/(?:\([^)]*\))?[>#$%]$/, '');
+        const escaped = base.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        this.prompt = new RegExp(`^${escaped}(?:\\([^)]*\\))?[>#$%] ?$`);
+    }
+}
+
+export default DeviceSession;
@@ -0,0 +1,287 @@
+import { readFile } from 'fs/promises';
+import AuditLogger from './AuditLogger.js';
+import { ConfigRenderer } from './ConfigRenderer.js';
+import { CredentialVault } from './CredentialVault.js';
+import DeviceSession from './DeviceSession.js';
+import { CliDialects } from '../utils/CliDialects.js';
+import { maskCommunities } from '../utils/ConfigIntent.js';
+import { connectSsh, connectTelnet } from '../utils/CliTransport.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * CLI sessions to devices over SSH or Telnet, kept open for a while and reused. A device gets at
+ * most maxPerDevice sessions and all devices together maxSessions; callers beyond that wait in
+ * order. Every batch of commands is recorded in the audit log with its transcript.
+ */
+class DeviceSessionPool {
+    constructor() {
+        this.maxPerDevice = parseInt(process.env.DEVICE_SESSION_MAX_PER_DEVICE) || 1;
+        this.maxSessions = parseInt(process.env.DEVICE_SESSION_MAX) || 20;
+        this.idleTimeout = parseInt(process.env.DEVICE_SESSION_IDLE_TIMEOUT) || 60000;
+        this.connectTimeout = parseInt(process.env.DEVICE_SESSION_CONNECT_TIMEOUT) || 15000;
+        this.commandTimeout = parseInt(process.env.DEVICE_COMMAND_TIMEOUT) || 60000;
+        this.maxTranscript = parseInt(process.env.DEVICE_TRANSCRIPT_MAX_LENGTH) || 65536;
+        // Accept any SSH host key from devices without connectionInfo.hostKey (insecure)
+        this.allowUnknownHostKeys = process.env.DEVICE_SSH_ALLOW_UNKNOWN_HOST_KEYS === 'true';
+        this.transports = new Map([
+            ['ssh', connectSsh],
+            ['telnet', connectTelnet]
+        ]);
+        // Per device: sessions open or connecting, and the idle ones among them
+        this.devices = new Map();
+        this.open = 0;
+        this.waiting = [];
+    }
+
+    /**
+     * Add or replace how a connectionInfo.protocol is connected
+     * @param {Function} connect - ({ host, port, timeout, username, password, privateKey,
+     *   passphrase, hostKey, allowUnknownHostKey }) => Promise of a stream as
+     *   utils/CliTransport.js returns them
+     */
+    registerTransport(protocol, connect) {
+        this.transports.set(protocol, connect);
+    }
+
+    /**
+     * @returns {boolean} whether the device has a CLI protocol to reach it with
+     */
+    supports(device) {
+        return this.transports.has(device.connectionInfo?.protocol) && Boolean(this._host(device));
+    }
+
+    /**
+     * The CLI dialect of a device, from the same manufacturer and model rules as the
+     * configuration renderers
+     */
+    dialect(device) {
+        try {
+            const name = ConfigRenderer.select(device);
+            return CliDialects[name] ? name : 'generic';
+        } catch (error) {
+            return 'generic';
+        }
+    }
+
+    /**
+     * Run a batch of commands on a device and record it with its transcript in the audit log
+     * @param {object} device - NetworkDevice with connectionInfo { protocol: ssh|telnet, host, port }
+     * @param {string[]} commands
+     * @param {object} options - { actor, timeout per command, stopOnError (default true) }
+     * @returns {Promise<{ results: Array<{ command, output, error? }>, transcript: Array }>}
+     */
+    async run(device, commands, { actor, timeout = this.commandTimeout, stopOnError = true } = {}) {
+        if (!Array.isArray(commands) || commands.length === 0 || commands.some(command => typeof command !== 'string')) {
+            throw ErrorHandler.badRequest('commands must be a non-empty array of strings');
+        }
+        if (!this.supports(device)) {
+            throw ErrorHandler.badRequest(`${device.name} has no SSH or Telnet connection configured`);
+        }
+
+        let session;
+        let results;
+        let error;
+        try {
+            session = await this._acquire(device, actor);
+            results = await session.run(commands, { timeout, stopOnError });
+        } catch (caught) {
+            error = caught;
+        }
+        const transcript = session ? session.takeTranscript() : [];
+        if (session) this._release(device, session);
+
+        await this._audit(actor, device, { commands, results, transcript, error });
+        if (error) {
+            logger.error(`CLI commands on ${device.name} failed:`, error);
+            throw error;
+        }
+        return { results, transcript };
+    }
+
+    /**
+     * Close idle sessions and turn away whoever still waits for one
+     */
+    stop() {
+        for (const [key, entry] of this.devices) {
+            for (const { session } of [...entry.idle]) {
+                this._discard(key, session);
+            }
+        }
+        for (const waiter of this.waiting.splice(0)) {
+            waiter.reject(new Error('Device session pool stopped'));
+        }
+    }
+
+    /**
+     * The login and enable secret from the credential vault; devices without them there use the
+     * logins from the environment
+     * @param {object} options - { actor, reason } for the vault audit log
+     * @returns {Promise<{ username, password, privateKey, passphrase, enableSecret }>}
+     */
+    async credentials(device, { actor, reason = 'cli_session' } = {}) {
+        const options = { actor, reason };
+        const [login, enable] = await Promise.all([
+            CredentialVault.resolve(device, 'login', options),
+            CredentialVault.resolve(device, 'enable', options)
+        ]);
+        const username = device.connectionInfo?.credentials?.username || login?.username || process.env.DEVICE_CLI_USERNAME;
+        if (login) {
+            return {
+                username,
+                password: login.password,
+                privateKey: login.privateKey,
+                passphrase: login.passphrase,
+                enableSecret: enable?.secret
+            };
+        }
+
+        const keyFile = process.env.DEVICE_CLI_KEY_FILE;
+        return {
+            username,
+            password: process.env.DEVICE_CLI_PASSWORD,
+            privateKey: keyFile ? await readFile(keyFile) : undefined,
+            passphrase: process.env.DEVICE_CLI_KEY_PASSPHRASE,
+            enableSecret: enable ? enable.secret : process.env.DEVICE_ENABLE_SECRET
+        };
+    }
+
+    // Private helper methods
+    _entry(key) {
+        if (!this.devices.has(key)) {
+            this.devices.set(key, { count: 0, idle: [] });
+        }
+        return this.devices.get(key);
+    }
+
+    async _acquire(device, actor) {
+        const key = String(device._id);
+        const session = await new Promise((resolve, reject) => {
+            this.waiting.push({ key, resolve, reject });
+            this._dispatch();
+        });
+        return session || this._connect(device, actor);
+    }
+
+    // Hand idle sessions and free slots to waiters, first come first served. A waiter that gets
+    // null holds a slot and connects a new session.
+    _dispatch() {
+        for (const waiter of [...this.waiting]) {
+            const entry = this._entry(waiter.key);
+            // Sessions the device closed while they were idle
+            for (const { session } of entry.idle.filter(idle => idle.session.broken)) {
+                this._discard(waiter.key, session);
+            }
+            let session = null;
+            if (entry.idle.length > 0) {
+                const idle = entry.idle.pop();
+                clearTimeout(idle.timer);
+                session = idle.session;
+            } else if (entry.count < this.maxPerDevice && (this.open < this.maxSessions || this._evictIdle())) {
+                entry.count++;
+                this.open++;
+            } else {
+                continue;
+            }
+            this.waiting.splice(this.waiting.indexOf(waiter), 1);
+            waiter.resolve(session);
+        }
+    }
+
+    // Make room by closing an idle session of any device
+    _evictIdle() {
+        for (const [key, entry] of this.devices) {
+            if (entry.idle.length > 0) {
+                this._discard(key, entry.idle[0].session);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    async _connect(device, actor) {
+        const key = String(device._id);
+        let session;
+        try {
+            const credentials = await this.credentials(device, { actor });
+            const stream = await this.transports.get(device.connectionInfo.protocol)({
+                host: this._host(device),
+                port: device.connectionInfo.port,
+                timeout: this.connectTimeout,
+                hostKey: device.connectionInfo.hostKey,
+                allowUnknownHostKey: this.allowUnknownHostKeys,
+                ...credentials
+            });
+            session = new DeviceSession(stream, {
+                name: device.name,
+                dialect: this.dialect(device),
+                timeout: this.connectTimeout,
+                ...credentials
+            });
+            await session.open();
+            return session;
+        } catch (error) {
+            if (session) session.close();
+            const entry = this._entry(key);
+            entry.count--;
+            this.open--;
+            this._dispatch();
+            throw error;
+        }
+    }
+
+    _release(device, session) {
+        const key = String(device._id);
+        if (session.broken) {
+            this._discard(key, session);
+        } else {
+            const idle = { session };
+            idle.timer = setTimeout(() => {
+                this._discard(key, session);
+                this._dispatch();
+            }, this.idleTimeout);
+            idle.timer.unref?.();
+            this._entry(key).idle.push(idle);
+        }
+        this._dispatch();
+    }
+
+    _discard(key, session) {
+        const entry = this._entry(key);
+        const index = entry.idle.findIndex(idle => idle.session === session);
+        if (index !== -1) {
+            clearTimeout(entry.idle[index].timer);
+            entry.idle.splice(index, 1);
+        }
+        entry.count--;
+        this.open--;
+        try {
+            session.close();
+        } catch (error) {
+            logger.warn(`Closing the CLI session to ${key} failed: ${error.message}`);
+        }
+    }
+
+    _host(device) {
+        return device.connectionInfo?.host || device.interfaces?.find(iface => iface.ipAddress)?.ipAddress;
+    }
+
+    // SNMP communities are masked: configuration lines and 'show' output carry them in clear
+    _audit(actor, device, { commands, results, transcript, error }) {
+        const rejected = results?.find(result => result.error);
+        let text = maskCommunities(transcript.map(entry => entry.text).join(''));
+        if (text.length > this.maxTranscript) {
+            text = `${text.slice(0, this.maxTranscript)}\n[transcript cut at ${this.maxTranscript} characters]`;
+        }
+        return AuditLogger.record(actor, 'device_session.run', { type: 'NetworkDevice', id: device._id, name: device.name }, {
+            protocol: device.connectionInfo.protocol,
+            commands: commands.map(maskCommunities),
+            ...(rejected ? { rejected: { command: maskCommunities(rejected.command), error: rejected.error } } : {}),
+            ...(error ? { error: error.message } : {}),
+            transcript: text
+        }, error || rejected ? 'failure' : 'success');
+    }
+}
+
+const deviceSessionPool = new DeviceSessionPool();
+export { deviceSessionPool as DeviceSessionPool };
@@ -0,0 +1,62 @@
+import { SmtpClient } from '../utils/SmtpClient.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+
+const ADDRESS = /^[^\s<>@",;]+@[^\s<>@",;]+$/;
+
+/**
+ * Email channel: config.emailAddresses, sent through the SMTP server from the environment
+ */
+class EmailNotifier {
+    constructor() {
+        this.host = process.env.SMTP_HOST;
+        this.port = parseInt(process.env.SMTP_PORT) || 587;
+        this.secure = process.env.SMTP_SECURE === 'true';
+        this.startTls = process.env.SMTP_STARTTLS !== 'false';
+        this.rejectUnauthorized = process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false';
+        this.username = process.env.SMTP_USER;
+        this.password = process.env.SMTP_PASSWORD;
+        this.from = process.env.SMTP_FROM || 'eyenet@localhost';
+        this.timeout = parseInt(process.env.NOTIFICATION_TIMEOUT) || 10000;
+    }
+
+    validate(config) {
+        const addresses = config?.emailAddresses || [];
+        if (addresses.length === 0) {
+            throw ErrorHandler.badRequest('Email channels need at least one address in emailAddresses');
+        }
+        const invalid = addresses.filter(address => !ADDRESS.test(address));
+        if (invalid.length > 0) {
+            throw ErrorHandler.badRequest(`Invalid email address: ${invalid.join(', ')}`);
+        }
+    }
+
+    recipients(config) {
+        return config.emailAddresses;
+    }
+
+    async send(config, message) {
+        if (!this.host) {
+            throw new Error('SMTP_HOST is not configured');
+        }
+
+        const client = new SmtpClient({
+            host: this.host,
+            port: this.port,
+            secure: this.secure,
+            startTls: this.startTls,
+            rejectUnauthorized: this.rejectUnauthorized,
+            username: this.username,
+            password: this.password,
+            timeout: this.timeout
+        });
+        const result = await client.send({
+            from: this.from,
+            to: config.emailAddresses,
+            subject: message.subject,
+            text: message.text
+        });
+        return { response: result.response };
+    }
+}
+
+export default EmailNotifier;
@@ -94,6 +94,52 @@ class EncryptionService {
         }
     }
 
+    /**
+     * Envelope encryption: the data is sealed with a fresh random data key and only that key is
+     * encrypted (wrapped) with the master key, so a new master key rewraps keys, not data
+     * @returns {Promise<{ encrypted, iv, authTag, wrappedKey }>} wrappedKey is encrypt() output
+     */
+    async envelopeEncrypt(data, masterKey) {
+        try {
+            const dataKey = crypto.randomBytes(this.keyLength);
+            return {
+                ...this._seal(data, dataKey),
+                wrappedKey: await this.encrypt(dataKey.toString('base64'), masterKey)
+            };
+        } catch (error) {
+            logger.error('Envelope encryption error:', error);
+            throw error;
+        }
+    }
+
+    async envelopeDecrypt(envelope, masterKey) {
+        try {
+            const dataKey = await this.decrypt(envelope.wrappedKey, masterKey);
+            return this._open(envelope, Buffer.from(dataKey, 'base64'));
+        } catch (error) {
+            logger.error('Envelope decryption error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Wrap the data key of an envelope with another master key; the sealed data stays as it is
+     */
+    async rewrapEnvelope(envelope, oldMasterKey, newMasterKey) {
+        try {
+            const dataKey = await this.decrypt(envelope.wrappedKey, oldMasterKey);
+            return {
+                encrypted: envelope.encrypted,
+                iv: envelope.iv,
+                authTag: envelope.authTag,
+                wrappedKey: await this.encrypt(dataKey, newMasterKey)
+            };
+        } catch (error) {
+            logger.error('Envelope rewrap error:', error);
+            throw error;
+        }
+    }
+
     async signRequest(data, privateKey) {
         try {
             const sign = crypto.createSign('SHA512');
@@ -175,6 +221,27 @@ class EncryptionService {
         });
     }
 
+    // AES-256-GCM with a random key as it is; no key derivation needed
+    _seal(data, key) {
+        const iv = crypto.randomBytes(this.ivLength);
+        const cipher = crypto.createCipheriv(this.algorithm, key, iv);
+        let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'base64');
+        encrypted += cipher.final('base64');
+        return {
+            encrypted,
+            iv: iv.toString('base64'),
+            authTag: cipher.getAuthTag().toString('base64')
+        };
+    }
+
+    _open({ encrypted, iv, authTag }, key) {
+        const decipher = crypto.createDecipheriv(this.algorithm, key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+        let decrypted = decipher.update(encrypted, 'base64', 'utf8');
+        decrypted += decipher.final('utf8');
+        return JSON.parse(decrypted);
+    }
+
     async _pbkdf2(password, salt, iterations, keylen, digest) {
         return new Promise((resolve, reject) => {
             crypto.pbkdf2(
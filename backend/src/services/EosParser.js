@@ -0,0 +1,70 @@
+import IosParser, { routeOptions } from './IosParser.js';
+
+const PREFIX = /^\d{1,3}(\.\d{1,3}){3}\/\d{1,2}$/;
+
+/**
+ * Arista EOS 'show running-config' text back to an intent. EOS has no QoS class names: the
+ * traffic classes of 'qos map dscp' become classes tc1-tc7, and the transmit queue settings of an
+ * interface become a policy named after the interface.
+ */
+class EosParser extends IosParser {
+    aclEndpoint(tokens, position) {
+        const token = tokens[position];
+        if (PREFIX.test(token || '')) return { prefix: token, next: position + 1 };
+        return super.aclEndpoint(tokens, position);
+    }
+
+    interfaceAddress(words) {
+        return words.length === 1 && PREFIX.test(words[0]) ? words[0] : null;
+    }
+
+    interfaceOther(line, words, iface, nested) {
+        const queue = /^tx-queue (\d)$/.exec(line);
+        if (!queue) return;
+
+        const settings = nested.map(child => child.line);
+        const shape = settings.map(setting => /^shape rate (\d+) percent$/.exec(setting)).find(Boolean);
+        const bandwidth = settings.map(setting => /^bandwidth (?:guaranteed )?percent (\d+)$/.exec(setting)).find(Boolean);
+        if (settings.includes('priority strict') && shape) {
+            iface.queues = [...(iface.queues || []), { queue: Number(queue[1]), priority: true, bandwidthPercent: Number(shape[1]) }];
+        } else if (settings.includes('no priority') && bandwidth) {
+            iface.queues = [...(iface.queues || []), { queue: Number(queue[1]), bandwidthPercent: Number(bandwidth[1]) }];
+        }
+    }
+
+    staticRoute(words) {
+        if (!PREFIX.test(words[0] || '')) return null;
+        return routeOptions({ prefix: words[0] }, words.slice(1));
+    }
+
+    other(line, words, children, { qos }) {
+        // qos map dscp 34 36 to traffic-class 2
+        const map = /^qos map dscp ([\d ]+) to traffic-class ([1-7])$/.exec(line);
+        if (!map) return;
+        const name = `tc${map[2]}`;
+        let item = qos.classes.find(existing => existing.name === name);
+        if (!item) {
+            item = { name, dscp: [] };
+            qos.classes.push(item);
+        }
+        item.dscp.push(...map[1].trim().split(/\s+/).map(Number));
+    }
+
+    finish(intent, { qos }) {
+        qos.classes.sort((a, b) => a.name.localeCompare(b.name));
+        for (const iface of intent.interfaces) {
+            if (!iface.queues) continue;
+            const classes = iface.queues
+                .filter(queue => qos.classes.some(item => item.name === `tc${queue.queue}`))
+                .map(({ queue, ...share }) => ({ class: `tc${queue}`, ...share }));
+            delete iface.queues;
+            if (classes.length === 0) continue;
+
+            const name = `${iface.name.replace(/[^\w.-]/g, '-')}-queues`;
+            qos.policies.push({ name, classes });
+            iface.qosPolicy = name;
+        }
+    }
+}
+
+export default EosParser;
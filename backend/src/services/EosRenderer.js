@@ -0,0 +1,82 @@
+import IosRenderer from './IosRenderer.js';
+import { dscpValue } from '../utils/ConfigIntent.js';
+
+/**
+ * Arista EOS: IOS-like running-config with three-space indentation and prefix-length notation.
+ * QoS classes map their DSCP values to traffic classes 1-7 (queue 0 stays best effort), and an
+ * interface's policy becomes the scheduling of its transmit queues.
+ */
+class EosRenderer extends IosRenderer {
+    constructor() {
+        super();
+        this.indent = '   ';
+    }
+
+    matches(device) {
+        return /arista/i.test(device.manufacturer || '');
+    }
+
+    acl(acl) {
+        return [
+            `ip access-list ${acl.name}`,
+            ...acl.entries.map((entry, i) => `${this.indent}${(i + 1) * 10} ${this.aclEntry(entry)}`)
+        ];
+    }
+
+    aclEndpoint(endpoint) {
+        if (endpoint === 'any') return 'any';
+        return endpoint.endsWith('/32') ? `host ${endpoint.slice(0, -3)}` : endpoint;
+    }
+
+    qos(qos) {
+        if (qos.classes.length === 0) return [];
+        return [qos.classes.map((item, i) =>
+            `qos map dscp ${item.dscp.map(dscpValue).join(' ')} to traffic-class ${i + 1}`)];
+    }
+
+    interface(iface, intent, device) {
+        // Every Ethernet port of an Arista switch is a switchport until told otherwise
+        return super.interface(iface, intent, { ...device, type: 'switch' });
+    }
+
+    interfaceAddress(address) {
+        return `ip address ${address}`;
+    }
+
+    interfaceQos(iface, intent) {
+        const policy = intent.qos.policies.find(item => item.name === iface.qosPolicy);
+        if (!policy) return [];
+
+        const nested = `${this.indent}${this.indent}`;
+        return policy.classes.flatMap(action => [
+            `${this.indent}tx-queue ${intent.qos.classes.findIndex(item => item.name === action.class) + 1}`,
+            ...(action.priority
+                ? [`${nested}priority strict`, `${nested}shape rate ${action.bandwidthPercent} percent`]
+                : [`${nested}no priority`, `${nested}bandwidth percent ${action.bandwidthPercent}`])
+        ]);
+    }
+
+    // Transmit queues the interface no longer schedules
+    removeInterfaceQos(iface, next, current, target) {
+        const queues = (item, intent) => this.interfaceQos(item, intent)
+            .map(line => line.trim())
+            .filter(line => line.startsWith('tx-queue '));
+        const kept = new Set(queues(next, target));
+        return queues(iface, current).filter(queue => !kept.has(queue)).map(queue => `${this.indent}no ${queue}`);
+    }
+
+    removeQos(current, target) {
+        const kept = new Set(this.qos(target).flat());
+        return this.qos(current).flat().filter(line => !kept.has(line)).map(line => `no ${line}`);
+    }
+
+    staticRoute(route) {
+        return `ip route ${route.prefix} ${route.nextHop}${this.routeOptions(route)}`;
+    }
+
+    snmpAccess(access) {
+        return access;
+    }
+}
+
+export default EosRenderer;
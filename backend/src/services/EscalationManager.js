@@ -0,0 +1,350 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import AlertConfig from '../models/AlertConfig.js';
+import EscalationPolicy from '../models/EscalationPolicy.js';
+import OnCallSchedule from '../models/OnCallSchedule.js';
+import User from '../models/User.js';
+import AuditLogger from './AuditLogger.js';
+import { MaintenanceManager } from './MaintenanceManager.js';
+import { NotificationDispatcher } from './NotificationDispatcher.js';
+import { AppError, ErrorHandler } from '../utils/ErrorHandler.js';
+import logger from '../utils/logger.js';
+
+class EscalationManager {
+    constructor() {
+        this.checkInterval = parseInt(process.env.ESCALATION_CHECK_INTERVAL) || 30000;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.check().catch(error => {
+                logger.error('Error escalating alerts:', error);
+            });
+        }, this.checkInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // On-call schedules
+    async listSchedules() {
+        return OnCallSchedule.find({}).sort({ name: 1 });
+    }
+
+    async getSchedule(id) {
+        const schedule = await OnCallSchedule.findById(id);
+        if (!schedule) {
+            throw ErrorHandler.notFound('On-call schedule not found');
+        }
+        return schedule;
+    }
+
+    /**
+     * @param {object} data - { name, description, timeZone, rotations, overrides }
+     * @param {object} actor - { id, type, ip, userAgent } recorded in the audit log
+     */
+    async createSchedule(data, actor) {
+        try {
+            await this._checkUsers(participantsOf(data));
+            const schedule = new OnCallSchedule({ ...data, createdBy: actor?.id });
+            await schedule.save();
+
+            await this._audit(actor, 'oncall_schedule.create', 'OnCallSchedule', schedule);
+            return schedule;
+        } catch (error) {
+            throw this._saveError(error, 'On-call schedule', data);
+        }
+    }
+
+    async updateSchedule(id, data, actor) {
+        try {
+            const schedule = await this.getSchedule(id);
+            await this._checkUsers(participantsOf(data));
+            Object.assign(schedule, data, { updatedBy: actor?.id });
+            await schedule.save();
+
+            await this._audit(actor, 'oncall_schedule.update', 'OnCallSchedule', schedule);
+            return schedule;
+        } catch (error) {
+            throw this._saveError(error, 'On-call schedule', data);
+        }
+    }
+
+    async deleteSchedule(id, actor) {
+        const schedule = await this.getSchedule(id);
+        const policy = await EscalationPolicy.findOne({ 'steps.targets.scheduleId': schedule._id }).select('name');
+        if (policy) {
+            throw ErrorHandler.conflict(`On-call schedule is used by escalation policy ${policy.name}`);
+        }
+        await schedule.deleteOne();
+
+        await this._audit(actor, 'oncall_schedule.delete', 'OnCallSchedule', schedule);
+        return schedule;
+    }
+
+    /**
+     * Put someone on call in place of the rotations for a while
+     * @param {object} data - { userId, start, end, reason }
+     */
+    async addOverride(id, data, actor) {
+        try {
+            const schedule = await this.getSchedule(id);
+            await this._checkUsers([data.userId]);
+            schedule.overrides.push({ ...data, createdBy: actor?.id });
+            // Expired overrides are dropped as new ones are added
+            schedule.overrides = schedule.overrides.filter(override => override.end > new Date());
+            await schedule.save();
+
+            await this._audit(actor, 'oncall_schedule.override', 'OnCallSchedule', schedule);
+            return schedule;
+        } catch (error) {
+            throw this._saveError(error, 'On-call schedule', data);
+        }
+    }
+
+    async removeOverride(id, overrideId, actor) {
+        const schedule = await this.getSchedule(id);
+        const override = schedule.overrides.id(overrideId);
+        if (!override) {
+            throw ErrorHandler.notFound('Override not found');
+        }
+        override.deleteOne();
+        await schedule.save();
+
+        await this._audit(actor, 'oncall_schedule.override_remove', 'OnCallSchedule', schedule);
+        return schedule;
+    }
+
+    /**
+     * @param {Date} [at] - defaults to now
+     * @returns {Promise<{ schedule, at, onCall: Array<{ user, rotation, shiftStart, shiftEnd, override }> }>}
+     */
+    async getOnCall(id, at = new Date()) {
+        const schedule = await this.getSchedule(id);
+        const entries = schedule.onCallAt(at);
+        const users = await this._users(entries.map(entry => entry.userId));
+
+        return {
+            schedule: { id: schedule._id, name: schedule.name, timeZone: schedule.timeZone },
+            at,
+            onCall: entries.map(({ userId, ...entry }) => ({
+                ...entry,
+                user: users.get(userId.toString()) || { id: userId }
+            }))
+        };
+    }
+
+    // Escalation policies
+    async listPolicies() {
+        return EscalationPolicy.find({}).sort({ name: 1 });
+    }
+
+    async getPolicy(id) {
+        const policy = await EscalationPolicy.findById(id);
+        if (!policy) {
+            throw ErrorHandler.notFound('Escalation policy not found');
+        }
+        return policy;
+    }
+
+    /**
+     * @param {object} data - { name, description, steps: [{ delayMinutes, targets: [{ type, userId, scheduleId }], channels }] }
+     */
+    async createPolicy(data, actor) {
+        try {
+            await this._checkTargets(data.steps);
+            const policy = new EscalationPolicy({ ...data, createdBy: actor?.id });
+            await policy.save();
+
+            await this._audit(actor, 'escalation_policy.create', 'EscalationPolicy', policy);
+            return policy;
+        } catch (error) {
+            throw this._saveError(error, 'Escalation policy', data);
+        }
+    }
+
+    async updatePolicy(id, data, actor) {
+        try {
+            const policy = await this.getPolicy(id);
+            await this._checkTargets(data.steps);
+            Object.assign(policy, data, { updatedBy: actor?.id });
+            await policy.save();
+
+            await this._audit(actor, 'escalation_policy.update', 'EscalationPolicy', policy);
+            return policy;
+        } catch (error) {
+            throw this._saveError(error, 'Escalation policy', data);
+        }
+    }
+
+    async deletePolicy(id, actor) {
+        const policy = await this.getPolicy(id);
+        const config = await AlertConfig.findOne({ escalationPolicyId: policy._id }).select('name');
+        if (config) {
+            throw ErrorHandler.conflict(`Escalation policy is used by alert config ${config.name}`);
+        }
+        await policy.deleteOne();
+
+        await this._audit(actor, 'escalation_policy.delete', 'EscalationPolicy', policy);
+        return policy;
+    }
+
+    /**
+     * Notify the next due step for every open (unacknowledged) alert whose AlertConfig has an
+     * escalation policy. Each step is sent once per alert, even with several instances running.
+     * Alerts of devices under maintenance are skipped until the maintenance ends, and symptoms of
+     * an upstream outage are not paged for at all.
+     * @returns {Promise<{ escalated: number }>}
+     */
+    async check(now = new Date()) {
+        const configs = await AlertConfig.find({ enabled: true, escalationPolicyId: { $ne: null } }).lean();
+        let escalated = 0;
+
+        for (const config of configs) {
+            try {
+                const policy = await EscalationPolicy.findById(config.escalationPolicyId);
+                if (!policy) continue;
+
+                const alerts = await Alert.find({
+                    alertConfigId: config._id,
+                    status: 'open',
+                    suppressedBy: { $ne: 'correlation' }
+                }).lean();
+                for (const alert of alerts) {
+                    const due = policy.dueStep(now - new Date(alert.firstSeen));
+                    const step = due + 1;
+                    if (due === -1 || (alert.escalationStep || 0) >= step) continue;
+                    // Paging waits until the maintenance is over
+                    if (await MaintenanceManager.getDeviceMaintenance(alert.deviceId, now)) continue;
+
+                    // Claim the step so it is sent once
+                    const claimed = await Alert.updateOne(
+                        { _id: alert._id, status: 'open', escalationStep: { $not: { $gte: step } } },
+                        { $set: { escalationStep: step, escalatedAt: now } }
+                    );
+                    if (claimed.modifiedCount === 0) continue;
+
+                    await this._notifyStep({ ...alert, escalationStep: step, escalatedAt: now }, config, policy, due, now);
+                    escalated++;
+                }
+            } catch (error) {
+                logger.error(`Error escalating alerts of ${config.name}:`, error);
+            }
+        }
+
+        return { escalated };
+    }
+
+    // Private helper methods
+    async _notifyStep(alert, config, policy, index, now) {
+        const step = policy.steps[index];
+        const userIds = await this._resolveTargets(step.targets, now);
+        const users = [...(await this._users(userIds)).values()].filter(user => user.status === 'active');
+
+        const addresses = {
+            email: users.map(user => user.email).filter(Boolean),
+            sms: users.map(user => user.phoneNumber).filter(Boolean)
+        };
+        const channels = step.channels
+            .filter(type => addresses[type].length > 0)
+            .map(type => ({
+                type,
+                config: type === 'email' ? { emailAddresses: addresses.email } : { phoneNumbers: addresses.sms }
+            }));
+
+        if (channels.length === 0) {
+            logger.warn(`Escalation step ${index + 1} of ${policy.name} has nobody to notify for alert ${alert._id}`);
+            return [];
+        }
+
+        logger.info(`Escalating alert ${alert._id} to step ${index + 1} of ${policy.name}: ${users.map(user => user.username).join(', ')}`);
+        return NotificationDispatcher.notifyChannels(alert, config, channels, 'escalated', {
+            step: index + 1,
+            policy: policy.name,
+            delayMinutes: step.delayMinutes,
+            users: users.map(user => user.username)
+        });
+    }
+
+    async _resolveTargets(targets, now) {
+        const userIds = targets.filter(target => target.type === 'user').map(target => target.userId);
+
+        const scheduleIds = targets.filter(target => target.type === 'schedule').map(target => target.scheduleId);
+        if (scheduleIds.length > 0) {
+            const schedules = await OnCallSchedule.find({ _id: { $in: scheduleIds } });
+            for (const schedule of schedules) {
+                userIds.push(...schedule.onCallAt(now).map(entry => entry.userId));
+            }
+        }
+
+        return [...new Set(userIds.map(String))];
+    }
+
+    async _users(ids) {
+        const users = await User.find({ _id: { $in: ids } }).select('username email phoneNumber status').lean();
+        return new Map(users.map(user => [user._id.toString(), {
+            id: user._id,
+            username: user.username,
+            email: user.email,
+            phoneNumber: user.phoneNumber,
+            status: user.status
+        }]));
+    }
+
+    async _checkUsers(ids) {
+        const unique = [...new Set(ids.filter(Boolean).map(String))];
+        if (unique.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            throw ErrorHandler.badRequest('User id is not valid');
+        }
+        if (unique.length > 0 && await User.countDocuments({ _id: { $in: unique } }) !== unique.length) {
+            throw ErrorHandler.badRequest('User not found');
+        }
+    }
+
+    async _checkTargets(steps = []) {
+        const targets = steps.flatMap(step => step.targets || []);
+        await this._checkUsers(targets.filter(target => target.type === 'user').map(target => target.userId));
+
+        const scheduleIds = [...new Set(targets.filter(target => target.type === 'schedule').map(target => String(target.scheduleId)))];
+        if (scheduleIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            throw ErrorHandler.badRequest('Schedule id is not valid');
+        }
+        if (scheduleIds.length > 0 && await OnCallSchedule.countDocuments({ _id: { $in: scheduleIds } }) !== scheduleIds.length) {
+            throw ErrorHandler.badRequest('On-call schedule not found');
+        }
+    }
+
+    _saveError(error, kind, data) {
+        if (error instanceof AppError) {
+            return error;
+        }
+        if (error.code === 11000) {
+            return ErrorHandler.conflict(`${kind} ${data.name} already exists`);
+        }
+        if (error instanceof mongoose.Error.ValidationError) {
+            return ErrorHandler.badRequest(error.message);
+        }
+        logger.error(`Error saving ${kind.toLowerCase()}:`, error);
+        return error;
+    }
+
+    _audit(actor, type, targetType, doc) {
+        return AuditLogger.record(actor, type, { type: targetType, id: doc._id, name: doc.name });
+    }
+}
+
+function participantsOf(data) {
+    return [
+        ...(data.rotations || []).flatMap(rotation => rotation.participants || []),
+        ...(data.overrides || []).map(override => override.userId)
+    ];
+}
+
+const escalationManager = new EscalationManager();
+export { escalationManager as EscalationManager };
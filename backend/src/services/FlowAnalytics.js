@@ -0,0 +1,185 @@
+import mongoose from 'mongoose';
+import FlowAggregate from '../models/FlowAggregate.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_RANGE = 60 * 60 * 1000; // 1 hour
+const MAX_LIMIT = 100;
+
+const PROTOCOL_NAMES = { 1: 'icmp', 6: 'tcp', 17: 'udp', 47: 'gre', 50: 'esp', 58: 'ipv6-icmp', 132: 'sctp' };
+
+const APPLICATIONS = {
+    20: 'ftp-data', 21: 'ftp', 22: 'ssh', 23: 'telnet', 25: 'smtp', 53: 'dns', 67: 'dhcp', 68: 'dhcp',
+    69: 'tftp', 80: 'http', 110: 'pop3', 123: 'ntp', 143: 'imap', 161: 'snmp', 162: 'snmp-trap',
+    179: 'bgp', 389: 'ldap', 443: 'https', 445: 'smb', 514: 'syslog', 587: 'submission', 636: 'ldaps',
+    853: 'dns-over-tls', 993: 'imaps', 995: 'pop3s', 1433: 'mssql', 1812: 'radius', 3306: 'mysql',
+    3389: 'rdp', 5060: 'sip', 5432: 'postgresql', 6379: 'redis', 6653: 'openflow', 8080: 'http-alt',
+    8443: 'https-alt', 27017: 'mongodb'
+};
+
+// Top-N queries over the per-minute flow aggregates written by FlowCollector
+class FlowAnalytics {
+    /**
+     * Hosts sending (or receiving) the most traffic
+     * @param {object} options - { start, end, limit, deviceId, direction: 'src'|'dst'|'both' }
+     */
+    static async getTopTalkers(options = {}) {
+        try {
+            const range = this._range(options);
+            const direction = options.direction || 'src';
+            if (!['src', 'dst', 'both'].includes(direction)) {
+                throw ErrorHandler.badRequest('direction must be src, dst or both');
+            }
+
+            const hostStages = direction === 'both'
+                ? [{ $project: { bytes: 1, packets: 1, flows: 1, ip: ['$srcIp', '$dstIp'] } }, { $unwind: '$ip' }]
+                : [{ $project: { bytes: 1, packets: 1, flows: 1, ip: `$${direction}Ip` } }];
+
+            const talkers = await FlowAggregate.aggregate([
+                { $match: this._match(range, options) },
+                ...hostStages,
+                {
+                    $group: {
+                        _id: '$ip',
+                        bytes: { $sum: '$bytes' },
+                        packets: { $sum: '$packets' },
+                        flows: { $sum: '$flows' }
+                    }
+                },
+                { $sort: { bytes: -1 } },
+                { $limit: this._limit(options.limit) }
+            ]);
+
+            return {
+                ...range,
+                direction,
+                talkers: talkers.map(({ _id, ...totals }) => ({ ip: _id, ...totals, bps: this._bps(totals.bytes, range) }))
+            };
+        } catch (error) {
+            logger.error('Error getting top talkers:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Traffic per application, identified by protocol and service port
+     * @param {object} options - { start, end, limit, deviceId }
+     */
+    static async getTopApplications(options = {}) {
+        try {
+            const range = this._range(options);
+
+            const applications = await FlowAggregate.aggregate([
+                { $match: this._match(range, options) },
+                {
+                    $group: {
+                        _id: { protocol: '$protocol', port: '$servicePort' },
+                        bytes: { $sum: '$bytes' },
+                        packets: { $sum: '$packets' },
+                        flows: { $sum: '$flows' }
+                    }
+                },
+                { $sort: { bytes: -1 } },
+                { $limit: this._limit(options.limit) }
+            ]);
+
+            return {
+                ...range,
+                applications: applications.map(({ _id, ...totals }) => ({
+                    application: this._applicationName(_id.protocol, _id.port),
+                    protocol: PROTOCOL_NAMES[_id.protocol] || String(_id.protocol),
+                    port: _id.port,
+                    ...totals,
+                    bps: this._bps(totals.bytes, range)
+                }))
+            };
+        } catch (error) {
+            logger.error('Error getting top applications:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Largest source/destination conversations, also laid out as a host-by-host byte matrix
+     * @param {object} options - { start, end, limit, deviceId }
+     * @returns {Promise<{ hosts: string[], matrix: number[][], conversations: Array }>}
+     *   matrix[i][j] holds the bytes sent from hosts[i] to hosts[j]
+     */
+    static async getConversationMatrix(options = {}) {
+        try {
+            const range = this._range(options);
+
+            const conversations = await FlowAggregate.aggregate([
+                { $match: this._match(range, options) },
+                {
+                    $group: {
+                        _id: { srcIp: '$srcIp', dstIp: '$dstIp' },
+                        bytes: { $sum: '$bytes' },
+                        packets: { $sum: '$packets' },
+                        flows: { $sum: '$flows' }
+                    }
+                },
+                { $sort: { bytes: -1 } },
+                { $limit: this._limit(options.limit) }
+            ]);
+
+            const hosts = [...new Set(conversations.flatMap(({ _id }) => [_id.srcIp, _id.dstIp]))].sort();
+            const index = new Map(hosts.map((host, position) => [host, position]));
+            const matrix = hosts.map(() => hosts.map(() => 0));
+            conversations.forEach(({ _id, bytes }) => {
+                matrix[index.get(_id.srcIp)][index.get(_id.dstIp)] = bytes;
+            });
+
+            return {
+                ...range,
+                hosts,
+                matrix,
+                conversations: conversations.map(({ _id, ...totals }) => ({ ..._id, ...totals }))
+            };
+        } catch (error) {
+            logger.error('Error getting conversation matrix:', error);
+            throw error;
+        }
+    }
+
+    // Private helper methods
+    static _range({ start, end }) {
+        const endDate = end ? new Date(end) : new Date();
+        const startDate = start ? new Date(start) : new Date(endDate.getTime() - DEFAULT_RANGE);
+
+        if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+            throw ErrorHandler.badRequest('start and end must be valid dates');
+        }
+        if (startDate >= endDate) {
+            throw ErrorHandler.badRequest('start must be before end');
+        }
+        return { start: startDate, end: endDate };
+    }
+
+    static _match(range, { deviceId }) {
+        const match = { minute: { $gte: range.start, $lt: range.end } };
+        if (deviceId) {
+            if (!mongoose.Types.ObjectId.isValid(deviceId)) {
+                throw ErrorHandler.badRequest('deviceId is not valid');
+            }
+            match.deviceId = new mongoose.Types.ObjectId(deviceId);
+        }
+        return match;
+    }
+
+    static _limit(limit) {
+        const value = parseInt(limit) || 10;
+        return Math.min(Math.max(value, 1), MAX_LIMIT);
+    }
+
+    static _bps(bytes, range) {
+        return bytes * 8 / ((range.end - range.start) / 1000);
+    }
+
+    static _applicationName(protocol, port) {
+        if (!port) return PROTOCOL_NAMES[protocol] || `ip-proto-${protocol}`;
+        return APPLICATIONS[port] || `${PROTOCOL_NAMES[protocol] || protocol}/${port}`;
+    }
+}
+
+export default FlowAnalytics;
@@ -0,0 +1,433 @@
+import dgram from 'dgram';
+import FlowRecord from '../models/FlowRecord.js';
+import FlowAggregate from '../models/FlowAggregate.js';
+import NetworkDevice from '../models/NetworkDevice.js';
+import DataManager from './DataManager.js';
+import { SnmpPoller } from './SnmpPoller.js';
+import { NetFlowDecoder } from '../utils/NetFlowCodec.js';
+import { SFlowCodec, SFLOW_VERSION } from '../utils/SFlowCodec.js';
+import logger from '../utils/logger.js';
+
+const PORT_PROTOCOLS = [6, 17, 132]; // tcp, udp, sctp
+const EPHEMERAL_PORT_START = 1024;
+const DEVICE_REFRESH_INTERVAL = 300000;
+
+class FlowCollector {
+    constructor() {
+        this.host = process.env.FLOW_COLLECTOR_HOST || '0.0.0.0';
+        this.ports = (process.env.FLOW_COLLECTOR_PORTS || '2055,4739,6343')
+            .split(',')
+            .map(port => parseInt(port))
+            .filter(Boolean);
+        this.flushInterval = parseInt(process.env.FLOW_FLUSH_INTERVAL) || 10000;
+        this.maxBuffer = parseInt(process.env.FLOW_MAX_BUFFER) || 5000;
+
+        this.decoder = new NetFlowDecoder();
+        this.sockets = [];
+        this.flushTimer = null;
+        this.records = [];
+        this.aggregates = new Map();
+        this.devicesByAddress = new Map();
+        this.interfaceNames = new Map();
+        this.devicesRefreshedAt = 0;
+        this.exporters = new Map();
+        this.counterSamples = new Map();
+    }
+
+    /**
+     * Listen for NetFlow v5/v9, IPFIX and sFlow v5 datagrams on every configured UDP port
+     */
+    async start() {
+        if (this.sockets.length > 0) return;
+
+        await this._refreshDevices();
+
+        for (const port of this.ports) {
+            const socket = dgram.createSocket('udp4');
+            socket.on('message', (buffer, rinfo) => this.handlePacket(buffer, rinfo));
+            socket.on('error', error => {
+                logger.error(`Flow collector socket error on port ${port}:`, error);
+            });
+
+            await new Promise((resolve, reject) => {
+                socket.once('error', reject);
+                socket.bind(port, this.host, () => {
+                    socket.removeListener('error', reject);
+                    resolve();
+                });
+            });
+            this.sockets.push(socket);
+        }
+
+        this.flushTimer = setInterval(() => {
+            this.flush().catch(error => {
+                logger.error('Error flushing flow records:', error);
+            });
+        }, this.flushInterval);
+
+        logger.info(`Flow collector listening on ${this.host} port(s) ${this.ports.join(', ')}`);
+    }
+
+    async stop() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+        for (const socket of this.sockets) {
+            socket.close();
+        }
+        this.sockets = [];
+        await this.flush();
+    }
+
+    /**
+     * Decode one export packet and buffer its records until the next flush
+     * @param {Buffer} buffer - UDP payload
+     * @param {object} rinfo - { address } of the exporter
+     * @returns {number} records accepted
+     */
+    handlePacket(buffer, rinfo) {
+        // sFlow opens with a 32-bit version, NetFlow and IPFIX with a 16-bit one
+        if (buffer.length >= 4 && buffer.readUInt32BE(0) === SFLOW_VERSION) {
+            return this._handleSFlow(buffer, rinfo);
+        }
+
+        let packet;
+        try {
+            packet = this.decoder.decode(buffer, rinfo.address);
+        } catch (error) {
+            logger.warn(`Dropping flow export packet from ${rinfo.address}: ${error.message}`);
+            this._exporterHealth(rinfo.address).decodeErrors++;
+            return 0;
+        }
+
+        const deviceId = this.devicesByAddress.get(rinfo.address);
+        const health = this._exporterHealth(rinfo.address, packet.version === 10 ? 'ipfix' : 'netflow');
+        health.deviceId = deviceId;
+        health.packets++;
+        health.records += packet.records.length;
+
+        for (const record of packet.records) {
+            this._buffer({
+                ...record,
+                exporter: rinfo.address,
+                deviceId,
+                exportProtocol: health.protocol,
+                exportVersion: packet.version
+            });
+        }
+
+        this._flushIfFull();
+        return packet.records.length;
+    }
+
+    /**
+     * Per-exporter counters. For sFlow agents this includes datagrams lost to sequence
+     * gaps, samples missing from per-source sequences and samples the agent dropped itself.
+     * @returns {Array}
+     */
+    getExporterHealth() {
+        return [...this.exporters.values()]
+            .map(({ sources, ...health }) => ({
+                ...health,
+                ...(health.lostDatagrams !== undefined && {
+                    lossRate: health.lostDatagrams / ((health.packets + health.lostDatagrams) || 1)
+                })
+            }))
+            .sort((a, b) => a.exporter.localeCompare(b.exporter));
+    }
+
+    /**
+     * Write buffered records and add them to their per-minute aggregates
+     */
+    async flush() {
+        const records = this.records;
+        const aggregates = [...this.aggregates.values()];
+        this.records = [];
+        this.aggregates = new Map();
+
+        if (Date.now() - this.devicesRefreshedAt > DEVICE_REFRESH_INTERVAL) {
+            await this._refreshDevices();
+        }
+
+        if (records.length > 0) {
+            await FlowRecord.insertMany(records, { ordered: false });
+        }
+
+        if (aggregates.length > 0) {
+            await FlowAggregate.bulkWrite(aggregates.map(({ key, deviceId, bytes, packets, flows }) => ({
+                updateOne: {
+                    filter: key,
+                    update: {
+                        $inc: { bytes, packets, flows },
+                        $set: { deviceId }
+                    },
+                    upsert: true
+                }
+            })), { ordered: false });
+        }
+
+        return { records: records.length, aggregates: aggregates.length };
+    }
+
+    /**
+     * The port that identifies the application of a flow: the well-known side of the
+     * conversation, or the lower port when neither or both are well known
+     */
+    servicePort({ protocol, srcPort, dstPort }) {
+        if (!PORT_PROTOCOLS.includes(protocol)) return 0;
+
+        const srcWellKnown = srcPort > 0 && srcPort < EPHEMERAL_PORT_START;
+        const dstWellKnown = dstPort > 0 && dstPort < EPHEMERAL_PORT_START;
+        if (dstWellKnown && !srcWellKnown) return dstPort;
+        if (srcWellKnown && !dstWellKnown) return srcPort;
+        return Math.min(srcPort, dstPort) || Math.max(srcPort, dstPort);
+    }
+
+    // Private helper methods
+    _buffer(flow) {
+        this.records.push(flow);
+        this._aggregate(flow);
+    }
+
+    _flushIfFull() {
+        if (this.records.length >= this.maxBuffer) {
+            this.flush().catch(error => {
+                logger.error('Error flushing flow records:', error);
+            });
+        }
+    }
+
+    _handleSFlow(buffer, rinfo) {
+        let datagram;
+        try {
+            datagram = SFlowCodec.decode(buffer);
+        } catch (error) {
+            logger.warn(`Dropping sFlow datagram from ${rinfo.address}: ${error.message}`);
+            this._exporterHealth(rinfo.address).decodeErrors++;
+            return 0;
+        }
+
+        // The agent address identifies the switch even when datagrams leave through another interface
+        const agent = datagram.agentAddress;
+        const deviceId = this.devicesByAddress.get(agent) || this.devicesByAddress.get(rinfo.address);
+        const health = this._exporterHealth(agent, 'sflow', datagram.subAgentId);
+        health.deviceId = deviceId;
+        this._trackSequence(health, datagram);
+
+        const receivedAt = new Date();
+        let accepted = 0;
+        for (const sample of datagram.flowSamples) {
+            this._trackSource(health, 'flow', sample);
+            if (!sample.packet) continue;
+
+            // Each sample stands for samplingRate packets of the same size
+            const samplingRate = sample.samplingRate || 1;
+            this._buffer({
+                ...sample.packet,
+                exporter: agent,
+                deviceId,
+                exportProtocol: 'sflow',
+                exportVersion: SFLOW_VERSION,
+                inputInterface: sample.inputInterface,
+                outputInterface: sample.outputInterface,
+                bytes: (sample.frameLength || 0) * samplingRate,
+                packets: samplingRate,
+                samplingInterval: samplingRate,
+                start: receivedAt,
+                end: receivedAt
+            });
+            accepted++;
+        }
+        health.records += accepted;
+
+        for (const sample of datagram.counterSamples) {
+            this._trackSource(health, 'counter', sample);
+        }
+        if (deviceId) {
+            this._recordCounters(agent, deviceId, datagram, receivedAt).catch(error => {
+                logger.error(`Error recording sFlow counters from ${agent}:`, error);
+            });
+        }
+
+        this._flushIfFull();
+        return accepted;
+    }
+
+    _exporterHealth(exporter, protocol, subAgentId) {
+        const key = subAgentId === undefined ? exporter : `${exporter}/${subAgentId}`;
+        let health = this.exporters.get(key);
+        if (!health) {
+            health = { exporter, packets: 0, records: 0, decodeErrors: 0, firstSeen: new Date() };
+            if (subAgentId !== undefined) {
+                Object.assign(health, {
+                    subAgentId,
+                    lostDatagrams: 0,
+                    restarts: 0,
+                    lostSamples: 0,
+                    droppedSamples: 0,
+                    sources: new Map()
+                });
+            }
+            this.exporters.set(key, health);
+        }
+        if (protocol) health.protocol = protocol;
+        health.lastSeen = new Date();
+        return health;
+    }
+
+    _trackSequence(health, datagram) {
+        const { sequence, uptime } = datagram;
+
+        if (uptime < health.uptime) {
+            // Sequence numbers and sample counters start over when the agent restarts
+            health.restarts++;
+            health.sources.clear();
+        } else if (sequence > health.sequence + 1) {
+            health.lostDatagrams += sequence - health.sequence - 1;
+        }
+
+        health.packets++;
+        health.sequence = sequence;
+        health.uptime = uptime;
+    }
+
+    _trackSource(health, kind, sample) {
+        const key = `${kind}/${sample.sourceIdType}:${sample.sourceIdIndex}`;
+        const previous = health.sources.get(key);
+
+        if (previous && sample.sequence > previous.sequence) {
+            health.lostSamples += sample.sequence - previous.sequence - 1;
+        }
+        if (sample.drops !== undefined && previous && sample.drops >= previous.drops) {
+            health.droppedSamples += sample.drops - previous.drops;
+        }
+
+        health.sources.set(key, { sequence: sample.sequence, drops: sample.drops });
+    }
+
+    async _recordCounters(agent, deviceId, datagram, receivedAt) {
+        for (const { interface: counters } of datagram.counterSamples) {
+            if (!counters) continue;
+
+            // Rates are timed with the agent's own uptime, which is when the counters were read
+            const ifIndex = counters.ifIndex;
+            const name = this.interfaceNames.get(`${deviceId}/${ifIndex}`) || `ifIndex ${ifIndex}`;
+            const sample = {
+                timestamp: datagram.uptime,
+                uptime: datagram.uptime / 1000,
+                interfaces: {
+                    [ifIndex]: {
+                        name,
+                        status: counters.ifStatus & 2 ? 'up' : 'down',
+                        speed: Number(counters.ifSpeed),
+                        counterBits: 64,
+                        inOctets: counters.ifInOctets,
+                        outOctets: counters.ifOutOctets,
+                        inErrors: counters.ifInErrors,
+                        outErrors: counters.ifOutErrors,
+                        inDiscards: counters.ifInDiscards,
+                        outDiscards: counters.ifOutDiscards
+                    }
+                }
+            };
+
+            const key = `${agent}/${ifIndex}`;
+            const previous = this.counterSamples.get(key);
+            this.counterSamples.set(key, sample);
+            if (!previous) continue;
+
+            for (const rate of SnmpPoller.computeRates(previous, sample) || []) {
+                await DataManager.addMetrics(this._toMetrics(agent, deviceId, rate, receivedAt));
+            }
+        }
+    }
+
+    _toMetrics(agent, deviceId, rate, timestamp) {
+        const bandwidth = {
+            inbound: { value: rate.inbound },
+            outbound: { value: rate.outbound },
+            total: { value: rate.inbound + rate.outbound }
+        };
+        if (rate.utilization !== undefined) {
+            bandwidth.utilization = { value: rate.utilization };
+        }
+
+        return {
+            deviceId: deviceId.toString(),
+            interfaceName: rate.interfaceName,
+            timestamp,
+            metadata: {
+                collectionMethod: 'sflow',
+                source: agent
+            },
+            metrics: {
+                bandwidth,
+                errors: {
+                    inbound: { value: rate.inErrors },
+                    outbound: { value: rate.outErrors }
+                },
+                discards: {
+                    inbound: { value: rate.inDiscards },
+                    outbound: { value: rate.outDiscards }
+                }
+            }
+        };
+    }
+
+    _aggregate(flow) {
+        const minute = new Date(Math.floor(flow.end.getTime() / 60000) * 60000);
+        const key = {
+            minute,
+            exporter: flow.exporter,
+            srcIp: flow.srcIp,
+            dstIp: flow.dstIp,
+            protocol: flow.protocol,
+            servicePort: this.servicePort(flow)
+        };
+        const id = `${minute.getTime()}|${key.exporter}|${key.srcIp}|${key.dstIp}|${key.protocol}|${key.servicePort}`;
+
+        const aggregate = this.aggregates.get(id) || { key, deviceId: flow.deviceId, bytes: 0, packets: 0, flows: 0 };
+        aggregate.bytes += flow.bytes;
+        aggregate.packets += flow.packets;
+        aggregate.flows++;
+        this.aggregates.set(id, aggregate);
+    }
+
+    async _refreshDevices() {
+        try {
+            const devices = await NetworkDevice.find({})
+                .select('_id connectionInfo.host interfaces.name interfaces.ifIndex interfaces.ipAddress openflow.remoteAddress')
+                .lean();
+
+            const byAddress = new Map();
+            const interfaceNames = new Map();
+            for (const device of devices) {
+                for (const iface of device.interfaces || []) {
+                    if (iface.ifIndex !== undefined && iface.name) {
+                        interfaceNames.set(`${device._id}/${iface.ifIndex}`, iface.name);
+                    }
+                }
+
+                const addresses = [
+                    device.connectionInfo?.host,
+                    device.openflow?.remoteAddress,
+                    ...(device.interfaces || []).map(iface => iface.ipAddress)
+                ];
+                for (const address of addresses.filter(Boolean)) {
+                    if (!byAddress.has(address)) byAddress.set(address, device._id);
+                }
+            }
+
+            this.devicesByAddress = byAddress;
+            this.interfaceNames = interfaceNames;
+        } catch (error) {
+            logger.error('Error loading exporter devices:', error);
+        } finally {
+            this.devicesRefreshedAt = Date.now();
+        }
+    }
+}
+
+const flowCollector = new FlowCollector();
+export { flowCollector as FlowCollector };
@@ -0,0 +1,327 @@
+import FlowEntry from '../models/FlowEntry.js';
+import NetworkDevice from '../models/NetworkDevice.js';
+import { OpenFlowController } from './OpenFlowController.js';
+import AuditLogger from './AuditLogger.js';
+import { FlowMatch } from '../utils/FlowMatch.js';
+import { FlowModCommand, FlowModFlags } from '../utils/OpenFlowCodec.js';
+import { AppError, ErrorHandler } from '../utils/ErrorHandler.js';
+import logger from '../utils/logger.js';
+
+const EDITABLE_FIELDS = ['tableId', 'priority', 'match', 'instructions', 'idleTimeout', 'hardTimeout'];
+
+class FlowTableService {
+    constructor() {
+        OpenFlowController.on('switch:connected', event => {
+            this.syncDevice(event.deviceId).catch(error => {
+                logger.error(`Flow sync failed for switch ${event.datapathId}:`, error);
+            });
+        });
+
+        OpenFlowController.on('flow_removed', event => {
+            this._handleFlowRemoved(event).catch(error => {
+                logger.error('Error handling flow removal:', error);
+            });
+        });
+    }
+
+    /**
+     * List flow entries installed (or waiting to be installed) on a device
+     * @param {string} deviceId - Device ID
+     * @param {object} filter - Optional { tableId, status }
+     */
+    async listFlows(deviceId, filter = {}) {
+        await this._getDevice(deviceId);
+
+        const query = { deviceId };
+        if (filter.tableId !== undefined) query.tableId = Number(filter.tableId);
+        if (filter.status) query.status = filter.status;
+
+        return FlowEntry.find(query).sort({ tableId: 1, priority: -1 });
+    }
+
+    async getFlow(deviceId, flowId) {
+        const flow = await FlowEntry.findOne({ _id: flowId, deviceId });
+        if (!flow) {
+            throw ErrorHandler.notFound('Flow entry not found');
+        }
+        return flow;
+    }
+
+    /**
+     * Create a flow entry and push it to the switch if it is connected
+     * @param {string} deviceId - Device ID
+     * @param {object} flowData - Flow entry fields
+     * @param {object} actor - { id, type, ip, userAgent } recorded in the audit log
+     */
+    async createFlow(deviceId, flowData, actor) {
+        const device = await this._getDevice(deviceId);
+
+        const flow = new FlowEntry({
+            ...this._pick(flowData, [...EDITABLE_FIELDS, 'cookie']),
+            deviceId: device._id,
+            source: flowData.source || 'api',
+            metadata: { ...flowData.metadata, createdBy: actor?.id }
+        });
+
+        await this._validateFlow(flow);
+        try {
+            await flow.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                throw ErrorHandler.conflict(`Flow entry with cookie ${flow.cookie} already exists on this device`);
+            }
+            throw error;
+        }
+
+        await this._install(device, flow, FlowModCommand.ADD);
+        await AuditLogger.record(actor, 'flow.create', this._flowTarget(flow), { match: flow.match, priority: flow.priority });
+
+        return flow;
+    }
+
+    async updateFlow(deviceId, flowId, updates, actor) {
+        const device = await this._getDevice(deviceId);
+        const flow = await this.getFlow(deviceId, flowId);
+        const previous = flow.toObject();
+
+        Object.assign(flow, this._pick(updates, EDITABLE_FIELDS));
+        flow.metadata.lastModifiedBy = actor?.id;
+
+        await this._validateFlow(flow);
+
+        // Match, table or priority changes replace the flow; anything else is a strict modify
+        const identityChanged = flow.tableId !== previous.tableId ||
+            flow.priority !== previous.priority ||
+            !FlowMatch.isIdentical(flow.match, previous.match);
+
+        if (identityChanged) {
+            this._sendToSwitch(device, {
+                ...flow.toFlowMod(FlowModCommand.DELETE_STRICT),
+                tableId: previous.tableId,
+                priority: previous.priority,
+                match: previous.match
+            });
+        }
+
+        await flow.save();
+        await this._install(device, flow, identityChanged ? FlowModCommand.ADD : FlowModCommand.MODIFY_STRICT);
+        await AuditLogger.record(actor, 'flow.update', this._flowTarget(flow), {
+            before: this._pick(previous, EDITABLE_FIELDS),
+            after: this._pick(flow.toObject(), EDITABLE_FIELDS)
+        });
+
+        return flow;
+    }
+
+    async deleteFlow(deviceId, flowId, actor) {
+        const device = await this._getDevice(deviceId);
+        const flow = await this.getFlow(deviceId, flowId);
+
+        this._sendToSwitch(device, flow.toFlowMod(FlowModCommand.DELETE_STRICT));
+        await FlowEntry.deleteOne({ _id: flow._id });
+        await AuditLogger.record(actor, 'flow.delete', this._flowTarget(flow), { match: flow.match, priority: flow.priority });
+
+        return flow;
+    }
+
+    /**
+     * Push every pending or installed flow of a device to its switch (used after reconnects)
+     * @param {string} deviceId - Device ID
+     */
+    async syncDevice(deviceId) {
+        if (!deviceId) return { synced: 0 };
+
+        const device = await this._getDevice(deviceId);
+        const flows = await FlowEntry.findActiveByDevice(device._id);
+
+        for (const flow of flows) {
+            await this._install(device, flow, FlowModCommand.ADD, { checkOverlap: flow.source !== 'policy' });
+        }
+
+        logger.info(`Synced ${flows.length} flow entries to device ${device.name}`);
+        return { synced: flows.length };
+    }
+
+    /**
+     * Replace the policy-generated flows of a device with a freshly compiled set
+     * @param {string} deviceId - Device ID
+     * @param {Array} flows - Flows produced by PolicyCompiler.compile
+     * @param {object} actor - { id, type, ip, userAgent } recorded in the audit log
+     */
+    async replacePolicyFlows(deviceId, flows, actor) {
+        const device = await this._getDevice(deviceId);
+        const previous = await FlowEntry.findActiveByDevice(device._id, { source: 'policy' });
+
+        const entries = flows.map(flowData => new FlowEntry({
+            ...this._pick(flowData, EDITABLE_FIELDS),
+            deviceId: device._id,
+            source: 'policy',
+            metadata: { ...flowData.metadata, createdBy: actor?.id }
+        }));
+
+        // Validate everything before touching the switch; variants of one rule may share
+        // a priority and overlap, so the compiler's ordering is trusted instead
+        for (const entry of entries) {
+            await this._validateFlow(entry, { checkOverlap: false });
+        }
+
+        for (const flow of previous) {
+            this._sendToSwitch(device, flow.toFlowMod(FlowModCommand.DELETE_STRICT));
+        }
+        await FlowEntry.deleteMany({ _id: { $in: previous.map(flow => flow._id) } });
+
+        for (const entry of entries) {
+            await entry.save();
+            await this._install(device, entry, FlowModCommand.ADD, { checkOverlap: false });
+        }
+
+        await AuditLogger.record(actor, 'flow.replace_policy', {
+            type: 'NetworkDevice',
+            id: device._id.toString(),
+            name: device.name
+        }, {
+            removed: previous.length,
+            installed: entries.length
+        });
+
+        return { removed: previous.length, installed: entries.length, flows: entries };
+    }
+
+    // Private helper methods
+    async _validateFlow(flow, { checkOverlap = true } = {}) {
+        const matchErrors = FlowMatch.validate(flow.match || {});
+        const instructionErrors = this._validateInstructions(flow);
+        const errors = [...matchErrors, ...instructionErrors];
+
+        if (errors.length > 0) {
+            throw new AppError('VALIDATION_ERROR', 'Invalid flow entry', { errors });
+        }
+
+        flow.match = FlowMatch.normalize(flow.match || {});
+        if (!checkOverlap) return;
+
+        const overlapping = await FlowEntry.findOverlapping(flow);
+        if (overlapping.length > 0) {
+            throw ErrorHandler.conflict('Flow entry overlaps existing entries with the same priority', {
+                overlapping: overlapping.map(entry => ({
+                    id: entry._id,
+                    tableId: entry.tableId,
+                    priority: entry.priority,
+                    match: entry.match
+                }))
+            });
+        }
+    }
+
+    _validateInstructions(flow) {
+        const errors = [];
+        const seen = new Set();
+
+        for (const instruction of flow.instructions || []) {
+            if (seen.has(instruction.type)) {
+                errors.push(`Instruction ${instruction.type} may only appear once`);
+            }
+            seen.add(instruction.type);
+
+            if (instruction.type === 'goto_table' &&
+                (!Number.isInteger(instruction.tableId) || instruction.tableId <= flow.tableId || instruction.tableId > 254)) {
+                errors.push('goto_table must reference a later table');
+            }
+            if (instruction.type === 'meter' && !Number.isInteger(instruction.meterId)) {
+                errors.push('meter instruction requires a meterId');
+            }
+
+            for (const action of instruction.actions || []) {
+                if (action.type === 'output' && (action.port === undefined || action.port === null)) {
+                    errors.push('output action requires a port');
+                }
+                if (action.type === 'set_field') {
+                    const fields = Object.keys(action.field || {});
+                    if (fields.length !== 1) {
+                        errors.push('set_field action requires exactly one field');
+                    } else {
+                        errors.push(...FlowMatch.validate(action.field).filter(error => !error.includes('requires')));
+                    }
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    async _install(device, flow, command, { checkOverlap = true } = {}) {
+        if (!this._isConnected(device)) {
+            // Stays pending until the switch (re)connects and syncDevice runs
+            if (flow.status !== 'pending') {
+                flow.status = 'pending';
+                await flow.save();
+            }
+            return flow;
+        }
+
+        try {
+            const flowMod = flow.toFlowMod(command);
+            if (checkOverlap) flowMod.flags |= FlowModFlags.CHECK_OVERLAP;
+            this._sendToSwitch(device, flowMod);
+            await OpenFlowController.barrier(device.openflow.datapathId);
+
+            flow.status = 'installed';
+            flow.installedAt = new Date();
+            flow.lastError = undefined;
+        } catch (error) {
+            logger.error(`Failed to install flow ${flow._id} on ${device.name}:`, error);
+            flow.status = 'failed';
+            flow.lastError = error.message;
+        }
+
+        await flow.save();
+        return flow;
+    }
+
+    _sendToSwitch(device, flowMod) {
+        if (!this._isConnected(device)) return false;
+        OpenFlowController.sendFlowMod(device.openflow.datapathId, flowMod);
+        return true;
+    }
+
+    _isConnected(device) {
+        const datapathId = device.openflow?.datapathId;
+        return Boolean(datapathId) && OpenFlowController.isConnected(datapathId);
+    }
+
+    async _handleFlowRemoved(event) {
+        if (!event.deviceId) return;
+
+        const cookie = event.cookie.toString(16).padStart(16, '0');
+        const flow = await FlowEntry.findOne({ deviceId: event.deviceId, cookie });
+        if (flow && flow.status !== 'removed') {
+            await flow.markRemoved(event.reason);
+        }
+    }
+
+    async _getDevice(deviceId) {
+        const device = await NetworkDevice.findById(deviceId);
+        if (!device) {
+            throw ErrorHandler.notFound('Device not found');
+        }
+        return device;
+    }
+
+    _flowTarget(flow) {
+        return {
+            type: 'FlowEntry',
+            id: flow._id.toString(),
+            name: `${flow.deviceId}/table${flow.tableId}/${flow.cookie}`
+        };
+    }
+
+    _pick(source, fields) {
+        return fields.reduce((picked, field) => {
+            if (source[field] !== undefined) picked[field] = source[field];
+            return picked;
+        }, {});
+    }
+}
+
+const flowTableService = new FlowTableService();
+export { flowTableService as FlowTableService };
@@ -0,0 +1,414 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import Incident from '../models/Incident.js';
+import NetworkDevice from '../models/NetworkDevice.js';
+import AuditLogger from './AuditLogger.js';
+import WebSocketService from './WebSocketService.js';
+import { AppError, ErrorHandler } from '../utils/ErrorHandler.js';
+import { markdownToPdf } from '../utils/MarkdownPdf.js';
+import { renderPostmortem } from '../utils/PostmortemReport.js';
+import logger from '../utils/logger.js';
+
+const MAX_LIMIT = 500;
+const SEVERITY_RANK = { info: 0, low: 1, medium: 2, high: 3, critical: 4 };
+const INCIDENT_STATUSES = ['open', 'closed', 'merged'];
+const POSTMORTEM_FORMATS = ['markdown', 'pdf'];
+
+class IncidentManager {
+    /**
+     * @param {object} options - { status, deviceId, alertId, page, limit }; status may be a comma-separated list
+     * @returns {Promise<{ incidents: Array<object>, total: number, page: number, limit: number }>}
+     *   incidents without their timeline, most recent first
+     */
+    async list(options = {}) {
+        const query = {};
+        if (options.status) {
+            const statuses = String(options.status).split(',').map(status => status.trim());
+            if (statuses.some(status => !INCIDENT_STATUSES.includes(status))) {
+                throw ErrorHandler.badRequest(`status must be one of ${INCIDENT_STATUSES.join(', ')}`);
+            }
+            query.status = { $in: statuses };
+        }
+        if (options.deviceId) query.deviceIds = options.deviceId;
+        if (options.alertId) query.alertIds = options.alertId;
+
+        const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), MAX_LIMIT);
+        const page = Math.max(parseInt(options.page) || 1, 1);
+
+        const [incidents, total] = await Promise.all([
+            Incident.find(query)
+                .select('-timeline')
+                .sort({ openedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Incident.countDocuments(query)
+        ]);
+
+        return { incidents, total, page, limit };
+    }
+
+    async getIncident(id) {
+        const incident = await Incident.findById(id);
+        if (!incident) {
+            throw ErrorHandler.notFound('Incident not found');
+        }
+        return incident;
+    }
+
+    /**
+     * Open an incident for a set of alerts. The symptoms folded under a root alert come with it.
+     * @param {object} data - { title, description, severity, alertIds, deviceIds }; the title
+     *   defaults to the first alert's message and the severity to the highest alert severity
+     * @param {object} actor - { id, type, ip, userAgent } recorded in the audit log
+     */
+    async openIncident(data, actor, now = new Date()) {
+        try {
+            const alerts = await this._loadAlerts(data.alertIds || [], null);
+            const title = data.title || alerts[0]?.message;
+            if (!title) {
+                throw ErrorHandler.badRequest('Give a title or at least one alert');
+            }
+            await this._checkDevices(data.deviceIds);
+
+            const author = actor?.id || 'system';
+            const incident = new Incident({
+                title,
+                description: data.description,
+                severity: data.severity || highestSeverity(alerts) || 'medium',
+                deviceIds: data.deviceIds || [],
+                openedBy: author,
+                openedAt: now
+            });
+            incident.addEntry({ at: now, type: 'opened', author, message: 'Incident opened' });
+            this._addAlerts(incident, alerts, author, now);
+            await incident.save();
+            await this._linkAlerts(incident, alerts);
+
+            this._notifyUpdate(incident, actor);
+            await this._audit(actor, 'incident.open', incident);
+            return incident;
+        } catch (error) {
+            throw this._saveError(error);
+        }
+    }
+
+    /**
+     * Add alerts, and the symptoms folded under them, to an open incident
+     */
+    async addAlerts(id, alertIds, actor, now = new Date()) {
+        try {
+            const incident = await this._getOpen(id);
+            const alerts = await this._loadAlerts(alertIds, incident._id);
+            const added = this._addAlerts(incident, alerts, actor?.id || 'system', now);
+            if (added.length === 0) return incident;
+
+            await incident.save();
+            await this._linkAlerts(incident, added);
+
+            this._notifyUpdate(incident, actor);
+            await this._audit(actor, 'incident.add_alerts', incident);
+            return incident;
+        } catch (error) {
+            throw this._saveError(error);
+        }
+    }
+
+    /**
+     * Append a note or an action taken to the timeline. Closed incidents still take entries for
+     * their postmortem.
+     * @param {object} entry - { type: 'note'|'action', message, details }
+     */
+    async addEntry(id, { type, message, details }, actor, now = new Date()) {
+        try {
+            const incident = await this.getIncident(id);
+            if (incident.status === 'merged') {
+                throw ErrorHandler.conflict('The incident was merged into another incident');
+            }
+
+            const entry = incident.addEntry({ at: now, type, author: actor?.id || 'system', message, details });
+            await incident.save();
+
+            this._notifyUpdate(incident, actor);
+            return entry;
+        } catch (error) {
+            throw this._saveError(error);
+        }
+    }
+
+    /**
+     * @param {object} data - { title, description, severity, rootCause, resolution }
+     */
+    async updateIncident(id, data, actor, now = new Date()) {
+        try {
+            const incident = await this.getIncident(id);
+            if (incident.status === 'merged') {
+                throw ErrorHandler.conflict('The incident was merged into another incident');
+            }
+
+            const fields = ['title', 'description', 'severity', 'rootCause', 'resolution']
+                .filter(field => data[field] !== undefined && data[field] !== incident[field]);
+            if (fields.length === 0) return incident;
+
+            fields.forEach(field => {
+                incident[field] = data[field];
+            });
+            incident.addEntry({
+                at: now,
+                type: 'updated',
+                author: actor?.id || 'system',
+                message: `Updated ${fields.join(', ')}`
+            });
+            await incident.save();
+
+            this._notifyUpdate(incident, actor);
+            await this._audit(actor, 'incident.update', incident);
+            return incident;
+        } catch (error) {
+            throw this._saveError(error);
+        }
+    }
+
+    /**
+     * Fold other open incidents into this one: their alerts, devices and timeline move over and
+     * they are left with status merged
+     */
+    async mergeIncidents(id, sourceIds, actor, now = new Date()) {
+        try {
+            const incident = await this._getOpen(id);
+            const ids = [...new Set(sourceIds.map(String))];
+            if (ids.includes(incident._id.toString())) {
+                throw ErrorHandler.badRequest('An incident cannot be merged into itself');
+            }
+            const sources = await Incident.find({ _id: { $in: ids } });
+            if (sources.length !== ids.length) {
+                throw ErrorHandler.notFound('Incident not found');
+            }
+            const closed = sources.find(source => !source.isOpen());
+            if (closed) {
+                throw ErrorHandler.conflict(`Incident ${closed._id} is ${closed.status}`);
+            }
+
+            const author = actor?.id || 'system';
+            for (const source of sources) {
+                incident.alertIds.addToSet(...source.alertIds);
+                incident.deviceIds.addToSet(...source.deviceIds);
+                if (SEVERITY_RANK[source.severity] > SEVERITY_RANK[incident.severity]) {
+                    incident.severity = source.severity;
+                }
+                source.timeline.forEach(entry => {
+                    const { _id, ...copy } = entry.toObject();
+                    incident.timeline.push(copy);
+                });
+                incident.addEntry({ at: now, type: 'merged', author, message: `Merged incident "${source.title}"`, details: { incidentId: source._id } });
+
+                Object.assign(source, { status: 'merged', mergedInto: incident._id, closedAt: now, closedBy: author });
+                source.addEntry({ at: now, type: 'merged', author, message: `Merged into incident "${incident.title}"`, details: { incidentId: incident._id } });
+            }
+            incident.timeline.sort((a, b) => a.at - b.at);
+
+            await incident.save();
+            await Promise.all(sources.map(source => source.save()));
+            await Alert.updateMany({ incidentId: { $in: ids } }, { $set: { incidentId: incident._id } });
+
+            this._notifyUpdate(incident, actor);
+            sources.forEach(source => this._notifyUpdate(source, actor));
+            await this._audit(actor, 'incident.merge', incident);
+            return incident;
+        } catch (error) {
+            throw this._saveError(error);
+        }
+    }
+
+    /**
+     * @param {object} data - { resolution, rootCause } kept for the postmortem
+     */
+    async closeIncident(id, { resolution, rootCause } = {}, actor, now = new Date()) {
+        try {
+            const incident = await this._getOpen(id);
+            const author = actor?.id || 'system';
+
+            Object.assign(incident, { status: 'closed', closedAt: now, closedBy: author });
+            if (resolution !== undefined) incident.resolution = resolution;
+            if (rootCause !== undefined) incident.rootCause = rootCause;
+            incident.addEntry({ at: now, type: 'closed', author, message: 'Incident closed' });
+            await incident.save();
+
+            this._notifyUpdate(incident, actor);
+            await this._audit(actor, 'incident.close', incident);
+            return incident;
+        } catch (error) {
+            throw this._saveError(error);
+        }
+    }
+
+    /**
+     * @param {string} format - 'markdown' or 'pdf'
+     * @returns {Promise<{ filename: string, contentType: string, content: string|Buffer }>}
+     */
+    async exportPostmortem(id, format = 'markdown') {
+        if (!POSTMORTEM_FORMATS.includes(format)) {
+            throw ErrorHandler.badRequest(`format must be one of ${POSTMORTEM_FORMATS.join(', ')}`);
+        }
+        const incident = await this.getIncident(id);
+        const [alerts, devices] = await Promise.all([
+            Alert.find({ _id: { $in: incident.alertIds } }).sort({ firstSeen: 1 }).lean(),
+            NetworkDevice.find({ _id: { $in: incident.deviceIds } }).select('name type location').lean()
+        ]);
+        const markdown = renderPostmortem(incident, { alerts, devices });
+        const filename = `incident-${incident._id}-postmortem`;
+
+        if (format === 'pdf') {
+            return {
+                filename: `${filename}.pdf`,
+                contentType: 'application/pdf',
+                content: await markdownToPdf(markdown, { title: `Postmortem: ${incident.title}` })
+            };
+        }
+        return { filename: `${filename}.md`, contentType: 'text/markdown; charset=utf-8', content: markdown };
+    }
+
+    /**
+     * Note an acknowledgement or resolution of an alert on the timeline of its open incident
+     * @param {string} event - 'acknowledged' or 'resolved'
+     */
+    async recordAlertEvent(alert, event, actor, now = new Date()) {
+        if (!alert.incidentId) return;
+        try {
+            await Incident.updateOne({ _id: alert.incidentId, status: 'open' }, {
+                $push: {
+                    timeline: {
+                        at: now,
+                        type: `alert_${event}`,
+                        author: actor?.id || 'system',
+                        message: `Alert ${event}: ${alert.message}`,
+                        alertId: alert._id,
+                        deviceId: alert.deviceId
+                    }
+                }
+            });
+        } catch (error) {
+            logger.error(`Failed to record alert ${event} on incident ${alert.incidentId}:`, error);
+        }
+    }
+
+    /**
+     * Note SelfHealingService recovery attempts on the timeline of the device's open incidents
+     * @param {Array<object>} results - { fault, success, actions, error } per fault
+     */
+    async recordRecovery(deviceId, results, now = new Date()) {
+        if (results.length === 0) return;
+        try {
+            const entries = results.map(result => ({
+                at: now,
+                type: 'recovery',
+                author: 'self-healing',
+                message: `${result.success ? 'Recovered' : 'Failed to recover'} from ${result.fault.type} fault` +
+                    (result.actions.length ? ` (${result.actions.map(action => action.action).join(', ')})` : '') +
+                    (result.error ? `: ${result.error}` : ''),
+                deviceId,
+                details: { fault: result.fault, actions: result.actions }
+            }));
+            await Incident.updateMany({ deviceIds: deviceId, status: 'open' }, { $push: { timeline: { $each: entries } } });
+        } catch (error) {
+            logger.error(`Failed to record recovery of device ${deviceId} on its incidents:`, error);
+        }
+    }
+
+    // Private helper methods
+    async _getOpen(id) {
+        const incident = await this.getIncident(id);
+        if (!incident.isOpen()) {
+            throw ErrorHandler.conflict(`The incident is ${incident.status}`);
+        }
+        return incident;
+    }
+
+    // The alerts asked for, then the symptoms folded under them that are not in another incident
+    async _loadAlerts(ids, incidentId) {
+        if (ids.length === 0) return [];
+        const unique = [...new Set(ids.map(String))];
+        const alerts = await Alert.find({ _id: { $in: unique } }).sort({ firstSeen: 1 }).lean();
+        if (alerts.length !== unique.length) {
+            throw ErrorHandler.notFound('Alert not found');
+        }
+        const taken = alerts.find(alert => alert.incidentId && !alert.incidentId.equals(incidentId));
+        if (taken) {
+            throw ErrorHandler.conflict(`Alert ${taken._id} already belongs to incident ${taken.incidentId}`);
+        }
+
+        const symptoms = await Alert.find({
+            'correlation.rootAlertId': { $in: alerts.map(alert => alert._id) },
+            'correlation.role': 'symptom',
+            _id: { $nin: unique },
+            incidentId: null
+        }).sort({ firstSeen: 1 }).lean();
+        return [...alerts, ...symptoms];
+    }
+
+    // Adds the alerts the incident does not have yet and returns them
+    _addAlerts(incident, alerts, author, now) {
+        const known = new Set(incident.alertIds.map(String));
+        const added = alerts.filter(alert => !known.has(String(alert._id)));
+        for (const alert of added) {
+            incident.alertIds.push(alert._id);
+            if (alert.deviceId) incident.deviceIds.addToSet(alert.deviceId);
+            incident.addEntry({
+                at: now,
+                type: 'alert_added',
+                author,
+                message: `[${alert.severity}] ${alert.message}`,
+                alertId: alert._id,
+                deviceId: alert.deviceId
+            });
+        }
+        return added;
+    }
+
+    async _linkAlerts(incident, alerts) {
+        if (alerts.length === 0) return;
+        await Alert.updateMany({ _id: { $in: alerts.map(alert => alert._id) } }, { $set: { incidentId: incident._id } });
+    }
+
+    async _checkDevices(ids) {
+        if (!ids?.length) return;
+        const found = await NetworkDevice.countDocuments({ _id: { $in: ids } });
+        if (found !== new Set(ids.map(String)).size) {
+            throw ErrorHandler.badRequest('Unknown device in deviceIds');
+        }
+    }
+
+    _saveError(error) {
+        if (error instanceof AppError) {
+            return error;
+        }
+        if (error instanceof mongoose.Error.ValidationError) {
+            return ErrorHandler.badRequest(error.message);
+        }
+        logger.error('Error saving incident:', error);
+        return error;
+    }
+
+    _notifyUpdate(incident, actor) {
+        WebSocketService.emit('incident:update', {
+            incidentId: incident._id,
+            status: incident.status,
+            severity: incident.severity,
+            title: incident.title,
+            updatedBy: actor?.id || 'system',
+            timestamp: new Date()
+        });
+    }
+
+    _audit(actor, type, incident) {
+        return AuditLogger.record(actor, type, { type: 'Incident', id: incident._id, name: incident.title });
+    }
+}
+
+function highestSeverity(alerts) {
+    return alerts.reduce((highest, alert) =>
+        (!highest || SEVERITY_RANK[alert.severity] > SEVERITY_RANK[highest] ? alert.severity : highest), null);
+}
+
+const incidentManager = new IncidentManager();
+export { incidentManager as IncidentManager, POSTMORTEM_FORMATS };
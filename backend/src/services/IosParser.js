@@ -0,0 +1,387 @@
+import { splitLines } from '../utils/ConfigDiff.js';
+
+// IOS logging levels as syslog severities (SyslogParser names), by keyword and by number
+const LOGGING_LEVELS = {
+    emergencies: 'emerg',
+    alerts: 'alert',
+    critical: 'crit',
+    errors: 'err',
+    warnings: 'warning',
+    notifications: 'notice',
+    informational: 'info',
+    debugging: 'debug'
+};
+const LOGGING_LEVEL_NUMBERS = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+
+// Port keywords the CLI shows instead of numbers
+export const PORT_NAMES = {
+    bgp: 179,
+    bootpc: 68,
+    bootps: 67,
+    domain: 53,
+    ftp: 21,
+    'ftp-data': 20,
+    http: 80,
+    https: 443,
+    isakmp: 500,
+    ldap: 389,
+    ntp: 123,
+    pop3: 110,
+    smtp: 25,
+    snmp: 161,
+    snmptrap: 162,
+    ssh: 22,
+    syslog: 514,
+    tacacs: 49,
+    telnet: 23,
+    tftp: 69,
+    www: 80
+};
+
+const ADDRESS = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+/**
+ * Cisco IOS and IOS XE 'show running-config' text back to an intent. What the intent has no
+ * place for is skipped: banners, unknown sections, VRF routes, ACL entries with port ranges or
+ * object groups, and so on.
+ */
+class IosParser {
+    /**
+     * @param {string} text - running-config
+     * @returns {object} intent, not yet normalized
+     */
+    parse(text) {
+        const intent = { vlans: [], acls: [], interfaces: [], staticRoutes: [] };
+        const qos = { classes: [], policies: [] };
+        const snmp = { communities: [], trapHosts: [] };
+        const logging = { hosts: [] };
+
+        for (const { line, children } of this.blocks(text)) {
+            const words = line.split(/\s+/);
+            if (words[0] === 'hostname') {
+                intent.hostname = words[1];
+            } else if (words[0] === 'vlan' && /^[\d,-]+$/.test(words[1] || '')) {
+                const name = this.childValue(children, 'name');
+                intent.vlans.push(...vlanList(words[1]).map(id => ({ id, ...(name ? { name } : {}) })));
+            } else if (line.startsWith('ip access-list ')) {
+                const acl = this.acl(words, children);
+                if (acl) intent.acls.push(acl);
+            } else if (words[0] === 'class-map') {
+                this.classMap(words, children, qos);
+            } else if (words[0] === 'policy-map') {
+                this.policyMap(words, children, qos);
+            } else if (words[0] === 'interface') {
+                intent.interfaces.push(this.interface(words.slice(1).join(''), children));
+            } else if (words[0] === 'ip' && words[1] === 'route') {
+                const route = this.staticRoute(words.slice(2));
+                if (route) intent.staticRoutes.push(route);
+            } else if (words[0] === 'snmp-server') {
+                this.snmp(line, words, snmp);
+            } else if (words[0] === 'logging') {
+                this.logging(words, logging);
+            } else {
+                this.other(line, words, children, { intent, qos, snmp, logging });
+            }
+        }
+
+        this.finish(intent, { qos, snmp, logging });
+        if (qos.classes.length || qos.policies.length) intent.qos = qos;
+        if (snmp.location || snmp.contact || snmp.communities.length || snmp.trapHosts.length) intent.snmp = snmp;
+        if (logging.level || logging.facility || logging.buffered || logging.hosts.length) intent.logging = logging;
+        return intent;
+    }
+
+    /**
+     * Top-level lines with the lines indented under them, in order. Banners and comments are dropped.
+     * @returns {Array<{ line: string, children: Array }>}
+     */
+    blocks(text) {
+        const root = [];
+        const stack = [{ indent: -1, children: root }];
+        let bannerEnd = null;
+
+        for (const raw of splitLines(text)) {
+            if (bannerEnd !== null) {
+                if (raw.includes(bannerEnd)) bannerEnd = null;
+                continue;
+            }
+            const line = raw.trimEnd();
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('!')) continue;
+
+            // banner motd ^C ... ^C, where the delimiter is the first character after the type
+            const banner = /^banner \S+ (\^C|\S)(.*)$/.exec(trimmed);
+            if (banner) {
+                if (!banner[2].includes(banner[1])) bannerEnd = banner[1];
+                continue;
+            }
+
+            const indent = line.length - line.trimStart().length;
+            while (stack[stack.length - 1].indent >= indent) stack.pop();
+            const block = { line: trimmed, children: [] };
+            stack[stack.length - 1].children.push(block);
+            stack.push({ indent, children: block.children });
+        }
+        return root;
+    }
+
+    childValue(children, keyword) {
+        const child = children.find(item => item.line.startsWith(`${keyword} `));
+        return child ? child.line.slice(keyword.length + 1).trim() : undefined;
+    }
+
+    acl(words, children) {
+        // ip access-list [extended|standard] NAME
+        const standard = words[2] === 'standard';
+        const name = ['extended', 'standard'].includes(words[2]) ? words[3] : words[2];
+        if (!name) return null;
+
+        const entries = [];
+        for (const { line } of children) {
+            const tokens = line.split(/\s+/);
+            if (/^\d+$/.test(tokens[0])) tokens.shift();
+            if (tokens[0] !== 'permit' && tokens[0] !== 'deny') continue;
+            const entry = standard ? this.standardEntry(tokens) : this.aclEntry(tokens);
+            if (entry) entries.push(entry);
+        }
+        return entries.length ? { name, entries } : null;
+    }
+
+    // permit|deny protocol source [eq port] destination [eq port] [log]
+    aclEntry(tokens) {
+        const entry = { action: tokens[0], protocol: tokens[1] };
+        if (!['ip', 'tcp', 'udp', 'icmp'].includes(entry.protocol)) return null;
+
+        let position = 2;
+        for (const side of ['source', 'destination']) {
+            const endpoint = this.aclEndpoint(tokens, position);
+            if (!endpoint) return null;
+            if (endpoint.prefix !== 'any') entry[side] = endpoint.prefix;
+            position = endpoint.next;
+            if (tokens[position] === 'eq') {
+                const port = portNumber(tokens[position + 1]);
+                if (!port) return null;
+                entry[`${side}Port`] = port;
+                position += 2;
+            }
+        }
+
+        const rest = tokens.slice(position);
+        if (rest.length === 1 && rest[0] === 'log') {
+            entry.log = true;
+        } else if (rest.length > 0) {
+            return null;
+        }
+        return entry;
+    }
+
+    standardEntry(tokens) {
+        const endpoint = this.aclEndpoint(tokens, 1);
+        if (!endpoint) return null;
+        const entry = { action: tokens[0], protocol: 'ip' };
+        if (endpoint.prefix !== 'any') entry.source = endpoint.prefix;
+        const rest = tokens.slice(endpoint.next);
+        if (rest.length === 1 && rest[0] === 'log') {
+            entry.log = true;
+        } else if (rest.length > 0) {
+            return null;
+        }
+        return entry;
+    }
+
+    // any | host A | A wildcard, standard ACLs also a bare A
+    aclEndpoint(tokens, position) {
+        const token = tokens[position];
+        if (token === 'any') return { prefix: 'any', next: position + 1 };
+        if (token === 'host' && ADDRESS.test(tokens[position + 1] || '')) {
+            return { prefix: `${tokens[position + 1]}/32`, next: position + 2 };
+        }
+        if (ADDRESS.test(token || '')) {
+            if (!ADDRESS.test(tokens[position + 1] || '')) {
+                return { prefix: `${token}/32`, next: position + 1 };
+            }
+            const length = maskLength(tokens[position + 1], true);
+            return length === null ? null : { prefix: `${token}/${length}`, next: position + 2 };
+        }
+        return null;
+    }
+
+    classMap(words, children, qos) {
+        // class-map [type qos] match-any|match-all NAME
+        const name = words[words.length - 1];
+        const dscp = children
+            .map(({ line }) => /^match (?:ip )?dscp (.+)$/.exec(line))
+            .filter(Boolean)
+            .flatMap(match => match[1].split(/\s+/).map(value => (/^\d+$/.test(value) ? Number(value) : value)));
+        if (dscp.length) qos.classes.push({ name, dscp });
+    }
+
+    policyMap(words, children, qos) {
+        const classes = [];
+        for (const { line, children: actions } of children) {
+            const match = /^class (\S+)$/.exec(line);
+            if (!match || match[1] === 'class-default') continue;
+            for (const { line: action } of actions) {
+                const share = /^(priority|bandwidth) percent (\d+)$/.exec(action);
+                if (share) {
+                    classes.push({
+                        class: match[1],
+                        ...(share[1] === 'priority' ? { priority: true } : {}),
+                        bandwidthPercent: Number(share[2])
+                    });
+                }
+            }
+        }
+        qos.policies.push({ name: words[words.length - 1], classes });
+    }
+
+    interface(name, children) {
+        const iface = { name };
+        let mode;
+        for (const { line, children: nested } of children) {
+            const words = line.split(/\s+/);
+            if (words[0] === 'description') {
+                iface.description = line.slice('description '.length).trim();
+            } else if (words[0] === 'mtu') {
+                iface.mtu = Number(words[1]);
+            } else if (line === 'shutdown') {
+                iface.enabled = false;
+            } else if (line === 'no switchport') {
+                mode = 'routed';
+            } else if (words[0] === 'ip' && words[1] === 'address' && words.length >= 3) {
+                const address = this.interfaceAddress(words.slice(2));
+                if (address) {
+                    iface.address = address;
+                    mode = 'routed';
+                }
+            } else if (line.startsWith('switchport mode ')) {
+                if (words[2] === 'access' || words[2] === 'trunk') mode = words[2];
+            } else if (line.startsWith('switchport access vlan ')) {
+                iface.accessVlan = Number(words[3]);
+            } else if (line.startsWith('switchport trunk native vlan ')) {
+                iface.nativeVlan = Number(words[4]);
+            } else if (line.startsWith('switchport trunk allowed vlan ')) {
+                // 'add' continues the list on the next line
+                const list = words[4] === 'add' ? words[5] : words[4];
+                if (/^[\d,-]+$/.test(list || '')) {
+                    iface.allowedVlans = [...(words[4] === 'add' ? iface.allowedVlans || [] : []), ...vlanList(list)];
+                }
+            } else if (words[0] === 'ip' && words[1] === 'access-group' && (words[3] === 'in' || words[3] === 'out')) {
+                iface.acl = { ...iface.acl, [words[3]]: words[2] };
+            } else {
+                this.interfaceOther(line, words, iface, nested);
+            }
+        }
+
+        if (mode) iface.mode = mode;
+        if (mode !== 'access') delete iface.accessVlan;
+        if (mode !== 'trunk') {
+            delete iface.allowedVlans;
+            delete iface.nativeVlan;
+        }
+        if (mode === 'access' || mode === 'trunk') delete iface.acl;
+        return iface;
+    }
+
+    interfaceAddress(words) {
+        // A.B.C.D M.M.M.M; secondary addresses are not part of the intent
+        if (words.length !== 2 || !ADDRESS.test(words[0])) return null;
+        const length = maskLength(words[1]);
+        return length === null ? null : `${words[0]}/${length}`;
+    }
+
+    interfaceOther(line, words, iface) {
+        const policy = /^service-policy output (\S+)$/.exec(line);
+        if (policy) iface.qosPolicy = policy[1];
+    }
+
+    // A.B.C.D M.M.M.M NEXT-HOP [distance] [name NAME]
+    staticRoute(words) {
+        if (!ADDRESS.test(words[0] || '') || !ADDRESS.test(words[1] || '')) return null;
+        const length = maskLength(words[1]);
+        if (length === null) return null;
+        return routeOptions({ prefix: `${words[0]}/${length}` }, words.slice(2));
+    }
+
+    snmp(line, words, snmp) {
+        if (words[1] === 'community' && words[2]) {
+            snmp.communities.push({ name: words[2], access: words[3]?.toLowerCase() === 'rw' ? 'rw' : 'ro' });
+        } else if (words[1] === 'location' || words[1] === 'contact') {
+            snmp[words[1]] = line.slice(`snmp-server ${words[1]} `.length).trim();
+        } else if (words[1] === 'host' && ADDRESS.test(words[2] || '')) {
+            // snmp-server host A [informs|traps] [version 1|2c|3 [auth]] COMMUNITY [notification types]
+            let position = 3;
+            if (words[position] === 'traps' || words[position] === 'informs') position++;
+            let version = '1';
+            if (words[position] === 'version') {
+                version = words[position + 1];
+                position += 2;
+            }
+            if ((version === '1' || version === '2c') && words[position]) {
+                snmp.trapHosts.push({ host: words[2], community: words[position], version });
+            }
+        }
+    }
+
+    logging(words, logging) {
+        if (words[1] === 'host' && ADDRESS.test(words[2] || '')) {
+            logging.hosts.push(words[2]);
+        } else if (ADDRESS.test(words[1] || '')) {
+            // Older releases: logging A.B.C.D
+            logging.hosts.push(words[1]);
+        } else if (words[1] === 'trap' && words[2]) {
+            logging.level = loggingLevel(words[2]);
+        } else if (words[1] === 'facility' && words[2]) {
+            logging.facility = words[2];
+        } else if (words[1] === 'buffered' && /^\d+$/.test(words[2] || '') && Number(words[2]) > 7) {
+            logging.buffered = Number(words[2]);
+        }
+    }
+
+    // Top-level lines other platforms understand; IOS has none left
+    other() {}
+
+    // Called once every line was read, for what depends on more than one section
+    finish() {}
+}
+
+export function routeOptions(route, words) {
+    const [nextHop, ...options] = words;
+    if (!ADDRESS.test(nextHop || '')) return null;
+    const result = { ...route, nextHop };
+    for (let i = 0; i < options.length; i++) {
+        if (/^\d+$/.test(options[i])) {
+            result.distance = Number(options[i]);
+        } else if (options[i] === 'name' && options[i + 1]) {
+            result.name = options[++i];
+        }
+    }
+    return result;
+}
+
+export function vlanList(list) {
+    return list.split(',').filter(Boolean).flatMap(part => {
+        const [start, end = start] = part.split('-').map(Number);
+        return end >= start && end - start < 4094 ? Array.from({ length: end - start + 1 }, (_, i) => start + i) : [];
+    });
+}
+
+export function portNumber(value) {
+    if (/^\d+$/.test(value || '')) return Number(value);
+    return PORT_NAMES[value] || null;
+}
+
+export function loggingLevel(value) {
+    return /^[0-7]$/.test(value) ? LOGGING_LEVEL_NUMBERS[value] : LOGGING_LEVELS[value] || value;
+}
+
+// Prefix length of a dotted netmask, or of a wildcard mask; null when the bits are not contiguous
+function maskLength(mask, inverse = false) {
+    const value = mask.split('.').reduce((result, octet) => result * 256 + Number(octet), 0);
+    const bits = inverse ? ~value >>> 0 : value;
+    const length = bits.toString(2).replace(/0+$/, '').length;
+    const expected = length === 0 ? 0 : (0xffffffff << (32 - length)) >>> 0;
+    return bits === 0 ? 0 : (bits === expected ? length : null);
+}
+
+export default IosParser;
@@ -0,0 +1,253 @@
+import { isDeepStrictEqual } from 'util';
+import { netmask, splitPrefix, wildcard } from '../utils/ConfigIntent.js';
+
+// Syslog severities (SyslogParser names) as IOS logging levels
+const LOGGING_LEVELS = {
+    emerg: 'emergencies',
+    alert: 'alerts',
+    crit: 'critical',
+    err: 'errors',
+    warning: 'warnings',
+    notice: 'notifications',
+    info: 'informational',
+    debug: 'debugging'
+};
+
+// Platforms from Cisco that do not run IOS or IOS XE
+const NOT_IOS = /nexus|^n\d+k|^ncs|^asr\s*9|^xrv|^crs|^asa|^ftd|^firepower|^meraki|^m[rsx]\d/i;
+
+/**
+ * Cisco IOS and IOS XE: the intent as running-config text, sections separated by '!'
+ */
+class IosRenderer {
+    constructor() {
+        this.indent = ' ';
+    }
+
+    matches(device) {
+        return /cisco/i.test(device.manufacturer || '') && !NOT_IOS.test(device.model || '');
+    }
+
+    /**
+     * @param {object} intent - normalized intent
+     * @param {object} device - NetworkDevice, for what depends on the platform
+     * @returns {string}
+     */
+    render(intent, device = {}) {
+        const sections = [
+            intent.hostname ? [`hostname ${intent.hostname}`] : [],
+            ...intent.vlans.map(vlan => this.vlan(vlan)),
+            ...intent.acls.map(acl => this.acl(acl)),
+            ...this.qos(intent.qos),
+            ...intent.interfaces.map(iface => this.interface(iface, intent, device)),
+            intent.staticRoutes.map(route => this.staticRoute(route)),
+            intent.snmp ? this.snmp(intent.snmp) : [],
+            intent.logging ? this.logging(intent.logging) : []
+        ].filter(lines => lines.length > 0);
+
+        return [...sections.flatMap(lines => [...lines, '!']), 'end', ''].join('\n');
+    }
+
+    /**
+     * The lines that take away what the running configuration has and the intent does not, to be
+     * entered before render(target) so that the result replaces the running configuration
+     * instead of adding to it. Settings both have are left to render, which overwrites them;
+     * ACLs are replaced as a whole, as their numbered entries cannot be entered twice.
+     * @param {object} current - normalized intent read from the running configuration
+     * @param {object} target - normalized intent
+     * @returns {Array<string>}
+     */
+    remove(current, target) {
+        const targetLines = new Set(this.globalLines(target));
+        return [
+            ...current.interfaces.flatMap(iface =>
+                this.removeFromInterface(iface, target.interfaces.find(item => item.name === iface.name), current, target)),
+            ...this.globalLines(current).filter(line => !targetLines.has(line)).map(line => `no ${line}`),
+            ...this.removeQos(current.qos, target.qos),
+            ...current.acls
+                .filter(acl => !isDeepStrictEqual(acl, target.acls.find(item => item.name === acl.name)))
+                .map(acl => `no ${this.acl(acl)[0]}`),
+            ...current.vlans.flatMap(vlan => {
+                const kept = target.vlans.find(item => item.id === vlan.id);
+                if (!kept) return [`no vlan ${vlan.id}`];
+                return vlan.name && !kept.name ? [`vlan ${vlan.id}`, `${this.indent}no name`] : [];
+            })
+        ];
+    }
+
+    // Settings of one line each outside any section
+    globalLines(intent) {
+        return [
+            ...intent.staticRoutes.map(route => this.staticRoute(route)),
+            ...(intent.snmp ? this.snmp(intent.snmp) : []),
+            ...(intent.logging ? this.logging(intent.logging) : [])
+        ];
+    }
+
+    // What the interface loses; next is the interface in the target intent, if it is there
+    removeFromInterface(iface, next = { acl: {} }, current, target) {
+        const lines = [];
+        const add = (line) => lines.push(`${this.indent}${line}`);
+
+        if (iface.description && !next.description) add('no description');
+        if (iface.mtu && !next.mtu) add('no mtu');
+        if (iface.address && !next.address) add('no ip address');
+        for (const direction of ['in', 'out']) {
+            if (iface.acl[direction] && !next.acl[direction]) add(`no ip access-group ${iface.acl[direction]} ${direction}`);
+        }
+        if (iface.nativeVlan && !next.nativeVlan) add('no switchport trunk native vlan');
+        lines.push(...this.removeInterfaceQos(iface, next, current, target));
+
+        return lines.length > 0 ? [`interface ${iface.name}`, ...lines] : [];
+    }
+
+    // A policy is detached before another one is attached
+    removeInterfaceQos(iface, next) {
+        return iface.qosPolicy && iface.qosPolicy !== next.qosPolicy
+            ? [`${this.indent}no service-policy output ${iface.qosPolicy}`]
+            : [];
+    }
+
+    // Policies before the classes they use
+    removeQos(current, target) {
+        const lines = [];
+        for (const policy of current.policies) {
+            const kept = target.policies.find(item => item.name === policy.name);
+            if (!kept) {
+                lines.push(`no policy-map ${policy.name}`);
+                continue;
+            }
+            // A class keeps either priority or bandwidth, so the one it had goes when it switches
+            const changes = policy.classes.flatMap(action => {
+                const next = kept.classes.find(item => item.class === action.class);
+                if (!next) return [`${this.indent}no class ${action.class}`];
+                if (next.priority === action.priority) return [];
+                return [
+                    `${this.indent}class ${action.class}`,
+                    `${this.indent}${this.indent}no ${action.priority ? 'priority' : 'bandwidth'} percent ${action.bandwidthPercent}`
+                ];
+            });
+            if (changes.length > 0) {
+                lines.push(`policy-map ${policy.name}`, ...changes);
+            }
+        }
+        for (const item of current.classes) {
+            const kept = target.classes.find(existing => existing.name === item.name);
+            if (!kept) {
+                lines.push(`no class-map match-any ${item.name}`);
+            } else if (!isDeepStrictEqual(item.dscp, kept.dscp)) {
+                lines.push(`class-map match-any ${item.name}`, `${this.indent}no match dscp ${item.dscp.join(' ')}`);
+            }
+        }
+        return lines;
+    }
+
+    vlan(vlan) {
+        return [`vlan ${vlan.id}`, ...(vlan.name ? [`${this.indent}name ${vlan.name}`] : [])];
+    }
+
+    acl(acl) {
+        return [
+            `ip access-list extended ${acl.name}`,
+            ...acl.entries.map((entry, i) => `${this.indent}${(i + 1) * 10} ${this.aclEntry(entry)}`)
+        ];
+    }
+
+    aclEntry(entry) {
+        const port = (value) => (value ? ` eq ${value}` : '');
+        return `${entry.action} ${entry.protocol} ` +
+            `${this.aclEndpoint(entry.source)}${port(entry.sourcePort)} ` +
+            `${this.aclEndpoint(entry.destination)}${port(entry.destinationPort)}` +
+            (entry.log ? ' log' : '');
+    }
+
+    aclEndpoint(endpoint) {
+        if (endpoint === 'any') return 'any';
+        const { address, length } = splitPrefix(endpoint);
+        return length === 32 ? `host ${address}` : `${address} ${wildcard(length)}`;
+    }
+
+    // class-maps and policy-maps; the policies are applied outbound on the interfaces
+    qos(qos) {
+        const classMaps = qos.classes.map(item => [
+            `class-map match-any ${item.name}`,
+            `${this.indent}match dscp ${item.dscp.join(' ')}`
+        ]);
+        const policyMaps = qos.policies.map(policy => [
+            `policy-map ${policy.name}`,
+            ...policy.classes.flatMap(action => [
+                `${this.indent}class ${action.class}`,
+                `${this.indent}${this.indent}${action.priority ? 'priority' : 'bandwidth'} percent ${action.bandwidthPercent}`
+            ])
+        ]);
+        return [...classMaps, ...policyMaps];
+    }
+
+    interface(iface, intent, device) {
+        const lines = [];
+        const add = (line) => lines.push(`${this.indent}${line}`);
+
+        if (iface.description) add(`description ${iface.description}`);
+        if (iface.mtu) add(`mtu ${iface.mtu}`);
+        if (iface.mode === 'routed') {
+            if (device.type === 'switch') add('no switchport');
+            if (iface.address) add(this.interfaceAddress(iface.address));
+        } else if (iface.mode === 'access') {
+            add('switchport mode access');
+            add(`switchport access vlan ${iface.accessVlan}`);
+        } else if (iface.mode === 'trunk') {
+            add('switchport mode trunk');
+            if (iface.nativeVlan) add(`switchport trunk native vlan ${iface.nativeVlan}`);
+            if (iface.allowedVlans.length) add(`switchport trunk allowed vlan ${iface.allowedVlans.join(',')}`);
+        }
+        if (iface.acl.in) add(`ip access-group ${iface.acl.in} in`);
+        if (iface.acl.out) add(`ip access-group ${iface.acl.out} out`);
+        lines.push(...this.interfaceQos(iface, intent));
+        add(iface.enabled ? 'no shutdown' : 'shutdown');
+
+        return [`interface ${iface.name}`, ...lines];
+    }
+
+    interfaceAddress(address) {
+        const { address: host, length } = splitPrefix(address);
+        return `ip address ${host} ${netmask(length)}`;
+    }
+
+    interfaceQos(iface) {
+        return iface.qosPolicy ? [`${this.indent}service-policy output ${iface.qosPolicy}`] : [];
+    }
+
+    staticRoute(route) {
+        const { address, length } = splitPrefix(route.prefix);
+        return `ip route ${address} ${netmask(length)} ${route.nextHop}${this.routeOptions(route)}`;
+    }
+
+    routeOptions(route) {
+        return (route.distance ? ` ${route.distance}` : '') + (route.name ? ` name ${route.name}` : '');
+    }
+
+    snmp(snmp) {
+        return [
+            ...snmp.communities.map(community => `snmp-server community ${community.name} ${this.snmpAccess(community.access)}`),
+            ...(snmp.location ? [`snmp-server location ${snmp.location}`] : []),
+            ...(snmp.contact ? [`snmp-server contact ${snmp.contact}`] : []),
+            ...snmp.trapHosts.map(trapHost => `snmp-server host ${trapHost.host} version ${trapHost.version} ${trapHost.community}`),
+            ...(snmp.trapHosts.length ? ['snmp-server enable traps'] : [])
+        ];
+    }
+
+    snmpAccess(access) {
+        return access.toUpperCase();
+    }
+
+    logging(logging) {
+        return [
+            `logging facility ${logging.facility}`,
+            `logging trap ${LOGGING_LEVELS[logging.level]}`,
+            ...(logging.buffered ? [`logging buffered ${logging.buffered}`] : []),
+            ...logging.hosts.map(host => `logging host ${host}`)
+        ];
+    }
+}
+
+export default IosRenderer;
@@ -0,0 +1,288 @@
+import { portNumber } from './IosParser.js';
+import { splitLines } from '../utils/ConfigDiff.js';
+
+// Junos syslog levels as syslog severities (SyslogParser names)
+const LOGGING_LEVELS = {
+    emergency: 'emerg',
+    alert: 'alert',
+    critical: 'crit',
+    error: 'err',
+    warning: 'warning',
+    notice: 'notice',
+    info: 'info',
+    any: 'debug'
+};
+
+// Code-point aliases the neutral names do not use
+const DSCP_ALIASES = { be: 'default' };
+
+/**
+ * Juniper 'show configuration | display set' output back to an intent. Only unit 0 of an
+ * interface is read, and firewall terms with several addresses become one entry per address pair.
+ */
+class JunosParser {
+    /**
+     * @param {string} text - set commands; comments, deactivated statements and anything other
+     *   than 'set' are skipped
+     * @returns {object} intent, not yet normalized
+     */
+    parse(text) {
+        const statements = splitLines(text)
+            .map(line => line.trim())
+            .filter(line => line.startsWith('set '))
+            .map(line => tokenize(line).slice(1));
+        const config = {
+            system: {},
+            syslog: { hosts: new Map() },
+            snmp: { communities: [], trapGroups: new Map() },
+            vlans: [],
+            filters: new Map(),
+            cos: { classes: new Map(), schedulers: new Map(), maps: new Map(), interfaces: new Map() },
+            interfaces: new Map(),
+            routes: new Map()
+        };
+
+        for (const words of statements) {
+            const handler = {
+                system: () => this.system(words.slice(1), config),
+                snmp: () => this.snmp(words.slice(1), config.snmp),
+                vlans: () => this.vlan(words.slice(1), config),
+                firewall: () => this.firewall(words.slice(1), config.filters),
+                'class-of-service': () => this.classOfService(words.slice(1), config.cos),
+                interfaces: () => this.interface(words.slice(1), config.interfaces),
+                'routing-options': () => this.route(words.slice(1), config.routes)
+            }[words[0]];
+            if (handler) handler();
+        }
+
+        return this.intent(config);
+    }
+
+    system(words, config) {
+        if (words[0] === 'host-name') {
+            config.system.hostname = words[1];
+        } else if (words[0] === 'syslog' && words[1] === 'host') {
+            const host = config.syslog.hosts.get(words[2]) || {};
+            if (words[3] === 'any') host.level = LOGGING_LEVELS[words[4]];
+            if (words[3] === 'facility-override') host.facility = words[4];
+            config.syslog.hosts.set(words[2], host);
+        } else if (words[0] === 'syslog' && words[1] === 'file' && words[3] === 'any') {
+            config.syslog.fileLevel = config.syslog.fileLevel || LOGGING_LEVELS[words[4]];
+        }
+    }
+
+    snmp(words, snmp) {
+        if (words[0] === 'location' || words[0] === 'contact') {
+            snmp[words[0]] = words[1];
+        } else if (words[0] === 'community' && words[2] === 'authorization') {
+            snmp.communities.push({ name: words[1], access: words[3] === 'read-write' ? 'rw' : 'ro' });
+        } else if (words[0] === 'trap-group') {
+            const group = snmp.trapGroups.get(words[1]) || { targets: [] };
+            if (words[2] === 'version') group.version = words[3];
+            if (words[2] === 'targets') group.targets.push(words[3]);
+            snmp.trapGroups.set(words[1], group);
+        }
+    }
+
+    vlan(words, config) {
+        if (words[1] === 'vlan-id' && /^\d+$/.test(words[2])) {
+            config.vlans.push({ name: words[0], id: Number(words[2]) });
+        }
+    }
+
+    // firewall family inet filter NAME term TERM from|then ...
+    firewall(words, filters) {
+        if (words[0] !== 'family' || words[1] !== 'inet' || words[2] !== 'filter' || words[4] !== 'term') return;
+        const filter = filters.get(words[3]) || new Map();
+        const term = filter.get(words[5]) || { sources: [], destinations: [], then: [] };
+        const [keyword, field, value] = words.slice(6);
+        if (keyword === 'from') {
+            if (field === 'source-address') term.sources.push(value);
+            else if (field === 'destination-address') term.destinations.push(value);
+            else if (field === 'protocol') term.protocol = value;
+            else if (field === 'source-port') term.sourcePort = value;
+            else if (field === 'destination-port') term.destinationPort = value;
+            else term.unsupported = true;
+        } else if (keyword === 'then') {
+            term.then.push(field);
+        }
+        filter.set(words[5], term);
+        filters.set(words[3], filter);
+    }
+
+    classOfService(words, cos) {
+        if (words[0] === 'forwarding-classes' && words[1] === 'class' && words[3] === 'queue-num') {
+            cos.classes.set(words[2], { ...cos.classes.get(words[2]), queue: Number(words[4]) });
+        } else if (words[0] === 'classifiers' && words[1] === 'dscp' && words[3] === 'forwarding-class') {
+            const codePoints = words.slice(words.indexOf('code-points') + 1).flat();
+            const item = cos.classes.get(words[4]) || {};
+            item.dscp = [...(item.dscp || []), ...codePoints.map(dscp)];
+            cos.classes.set(words[4], item);
+        } else if (words[0] === 'schedulers') {
+            const scheduler = cos.schedulers.get(words[1]) || {};
+            if (words[2] === 'transmit-rate' && words[3] === 'percent') scheduler.bandwidthPercent = Number(words[4]);
+            if (words[2] === 'priority' && words[3] === 'strict-high') scheduler.priority = true;
+            cos.schedulers.set(words[1], scheduler);
+        } else if (words[0] === 'scheduler-maps' && words[2] === 'forwarding-class' && words[4] === 'scheduler') {
+            const map = cos.maps.get(words[1]) || [];
+            map.push({ class: words[3], scheduler: words[5] });
+            cos.maps.set(words[1], map);
+        } else if (words[0] === 'interfaces' && words[2] === 'scheduler-map') {
+            cos.interfaces.set(words[1], words[3]);
+        }
+    }
+
+    interface(words, interfaces) {
+        const iface = interfaces.get(words[0]) || { name: words[0] };
+        interfaces.set(words[0], iface);
+        const [setting, ...rest] = words.slice(1);
+
+        if (setting === 'description') {
+            iface.description = rest[0];
+        } else if (setting === 'mtu') {
+            iface.mtu = Number(rest[0]);
+        } else if (setting === 'disable') {
+            iface.enabled = false;
+        } else if (setting === 'native-vlan-id') {
+            iface.nativeVlan = Number(rest[0]);
+        } else if (setting === 'unit' && rest[0] === '0' && rest[1] === 'family') {
+            this.family(rest.slice(2), iface);
+        }
+    }
+
+    family([family, setting, ...rest], iface) {
+        if (family === 'inet') {
+            iface.mode = 'routed';
+            if (setting === 'address') iface.address = rest[0];
+            if (setting === 'filter' && (rest[0] === 'input' || rest[0] === 'output')) {
+                iface.acl = { ...iface.acl, [rest[0] === 'input' ? 'in' : 'out']: rest[1] };
+            }
+        } else if (family === 'ethernet-switching') {
+            if ((setting === 'interface-mode' || setting === 'port-mode') && (rest[0] === 'access' || rest[0] === 'trunk')) {
+                iface.mode = rest[0];
+            } else if (setting === 'vlan' && rest[0] === 'members') {
+                iface.vlanMembers = [...(iface.vlanMembers || []), ...[rest[1]].flat()];
+            }
+        }
+    }
+
+    route(words, routes) {
+        if (words[0] !== 'static' || words[1] !== 'route') return;
+        const route = routes.get(words[2]) || { prefix: words[2] };
+        if (words[3] === 'next-hop') route.nextHop = route.nextHop || words[4];
+        if (words[3] === 'preference') route.distance = Number(words[4]);
+        routes.set(words[2], route);
+    }
+
+    intent(config) {
+        const intent = {
+            vlans: config.vlans.map(vlan => (vlan.name === `vlan${vlan.id}` ? { id: vlan.id } : vlan)),
+            acls: [...config.filters].map(([name, terms]) => ({ name, entries: [...terms.values()].flatMap(aclEntries) }))
+                .filter(acl => acl.entries.length > 0),
+            interfaces: [...config.interfaces.values()].map(iface => this.interfaceIntent(iface, config)),
+            staticRoutes: [...config.routes.values()].filter(route => route.nextHop)
+        };
+        if (config.system.hostname) intent.hostname = config.system.hostname;
+
+        const classes = [...config.cos.classes]
+            .filter(([, item]) => item.dscp?.length)
+            .sort(([, a], [, b]) => (a.queue ?? 8) - (b.queue ?? 8))
+            .map(([name, item]) => ({ name, dscp: item.dscp }));
+        const policies = [...config.cos.maps].map(([name, entries]) => ({
+            name,
+            classes: entries
+                .map(entry => ({ class: entry.class, ...config.cos.schedulers.get(entry.scheduler) }))
+                .filter(entry => entry.bandwidthPercent)
+                .map(({ class: className, priority, bandwidthPercent }) => ({
+                    class: className,
+                    ...(priority ? { priority } : {}),
+                    bandwidthPercent
+                }))
+        }));
+        if (classes.length || policies.length) intent.qos = { classes, policies };
+
+        const { snmp } = config;
+        const trapHosts = [...snmp.trapGroups].flatMap(([community, group]) =>
+            group.targets.map(host => ({ host, community, version: group.version === 'v1' ? '1' : '2c' })));
+        if (snmp.location || snmp.contact || snmp.communities.length || trapHosts.length) {
+            intent.snmp = { location: snmp.location, contact: snmp.contact, communities: snmp.communities, trapHosts };
+        }
+
+        const hosts = [...config.syslog.hosts];
+        if (hosts.length || config.syslog.fileLevel) {
+            const [, first = {}] = hosts[0] || [];
+            intent.logging = {
+                hosts: hosts.map(([host]) => host),
+                level: first.level || config.syslog.fileLevel,
+                facility: first.facility
+            };
+        }
+        return intent;
+    }
+
+    interfaceIntent(iface, config) {
+        const { vlanMembers, ...result } = iface;
+        const vlanId = (member) => (/^\d+$/.test(member)
+            ? Number(member)
+            : config.vlans.find(vlan => vlan.name === member)?.id);
+        if (result.mode === 'access' && vlanMembers?.length) {
+            result.accessVlan = vlanId(vlanMembers[0]);
+        }
+        if (result.mode === 'trunk') {
+            result.allowedVlans = (vlanMembers || []).map(vlanId).filter(Boolean);
+        } else {
+            delete result.nativeVlan;
+        }
+        const policy = config.cos.interfaces.get(iface.name);
+        if (policy) result.qosPolicy = policy;
+        return result;
+    }
+}
+
+// One entry per source and destination pair of a firewall term
+function aclEntries(term) {
+    const action = term.then.includes('accept') ? 'permit' : (term.then.some(then => then === 'discard' || then === 'reject') ? 'deny' : null);
+    if (!action || term.unsupported) return [];
+    const protocol = term.protocol || 'ip';
+    const sourcePort = term.sourcePort && portNumber(term.sourcePort);
+    const destinationPort = term.destinationPort && portNumber(term.destinationPort);
+
+    return (term.sources.length ? term.sources : [undefined]).flatMap(source =>
+        (term.destinations.length ? term.destinations : [undefined]).map(destination => ({
+            action,
+            protocol,
+            ...(source ? { source } : {}),
+            ...(sourcePort ? { sourcePort } : {}),
+            ...(destination ? { destination } : {}),
+            ...(destinationPort ? { destinationPort } : {}),
+            ...(term.then.includes('syslog') || term.then.includes('log') ? { log: true } : {})
+        })));
+}
+
+// ef and af41 as they are, be as default and six-bit patterns as numbers
+function dscp(codePoint) {
+    if (/^[01]{6}$/.test(codePoint)) return parseInt(codePoint, 2);
+    return DSCP_ALIASES[codePoint] || codePoint;
+}
+
+// Words of a set command; "quoted strings" are one word and [ lists ] one array
+function tokenize(line) {
+    const words = [];
+    let list = null;
+    for (const match of line.matchAll(/"((?:[^"\\]|\\.)*)"|(\S+)/g)) {
+        const word = match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2];
+        if (match[2] === '[') {
+            list = [];
+        } else if (match[2] === ']' && list) {
+            words.push(list);
+            list = null;
+        } else if (list) {
+            list.push(word);
+        } else {
+            words.push(word);
+        }
+    }
+    return words;
+}
+
+export default JunosParser;
@@ -0,0 +1,286 @@
+import { isDeepStrictEqual } from 'util';
+import { dscpValue } from '../utils/ConfigIntent.js';
+
+// Syslog severities (SyslogParser names) as Junos syslog levels
+const LOGGING_LEVELS = {
+    emerg: 'emergency',
+    alert: 'alert',
+    crit: 'critical',
+    err: 'error',
+    warning: 'warning',
+    notice: 'notice',
+    info: 'info',
+    debug: 'any'
+};
+
+// Junos code-point aliases that differ from the neutral names
+const DSCP_ALIASES = { default: 'be' };
+
+const CLASSIFIER = 'intent-dscp';
+
+/**
+ * Juniper Junos: the intent as 'set' commands, for 'load set' or pasting in configuration mode.
+ * Interfaces are configured on unit 0. QoS classes become forwarding classes on queues 1-7
+ * (queue 0 stays best effort), classified on the interfaces that carry a QoS policy.
+ */
+class JunosRenderer {
+    matches(device) {
+        return /juniper/i.test(device.manufacturer || '');
+    }
+
+    /**
+     * @param {object} intent - normalized intent
+     * @returns {string}
+     */
+    render(intent) {
+        return [
+            ...(intent.hostname ? [`set system host-name ${intent.hostname}`] : []),
+            ...(intent.logging ? this.logging(intent.logging) : []),
+            ...(intent.snmp ? this.snmp(intent.snmp) : []),
+            ...intent.vlans.map(vlan => `set vlans ${this.vlanName(vlan)} vlan-id ${vlan.id}`),
+            ...intent.acls.flatMap(acl => this.filter(acl)),
+            ...this.classOfService(intent),
+            ...intent.interfaces.flatMap(iface => this.interface(iface, intent)),
+            ...intent.staticRoutes.flatMap(route => this.staticRoute(route)),
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * The 'delete' commands that take away what the running configuration has and the intent
+     * does not, to be entered before render(target) in the same candidate so that the commit
+     * replaces the running configuration instead of adding to it. Firewall filters are replaced
+     * as a whole, as a shorter filter would keep the terms after its last one.
+     * @param {object} current - normalized intent read from the running configuration
+     * @param {object} target - normalized intent
+     * @returns {Array<string>}
+     */
+    remove(current, target) {
+        const vlanNames = new Set(target.vlans.map(vlan => this.vlanName(vlan)));
+        const routes = new Map(target.staticRoutes.map(route => [route.prefix, route]));
+        return [
+            ...(current.logging ? this.removeLogging(current.logging, target.logging) : []),
+            ...(current.snmp ? this.removeSnmp(current.snmp, target.snmp) : []),
+            ...current.vlans
+                .filter(vlan => !vlanNames.has(this.vlanName(vlan)))
+                .map(vlan => `delete vlans ${this.vlanName(vlan)}`),
+            ...current.acls
+                .filter(acl => !isDeepStrictEqual(acl, target.acls.find(item => item.name === acl.name)))
+                .map(acl => `delete firewall family inet filter ${acl.name}`),
+            ...this.removeClassOfService(current, target),
+            ...current.interfaces.flatMap(iface =>
+                this.removeFromInterface(iface, target.interfaces.find(item => item.name === iface.name))),
+            ...current.staticRoutes.flatMap(route => {
+                const prefix = `delete routing-options static route ${route.prefix}`;
+                const kept = routes.get(route.prefix);
+                if (!kept) return [prefix];
+                return [
+                    ...(kept.nextHop !== route.nextHop ? [`${prefix} next-hop ${route.nextHop}`] : []),
+                    ...(route.distance && !kept.distance ? [`${prefix} preference`] : [])
+                ];
+            })
+        ];
+    }
+
+    removeLogging(logging, target) {
+        const hosts = new Set(target?.hosts || []);
+        return logging.hosts.filter(host => !hosts.has(host)).map(host => `delete system syslog host ${host}`);
+    }
+
+    removeSnmp(snmp, target) {
+        const kept = target || { communities: [], trapHosts: [] };
+        const communities = new Set(kept.communities.map(community => community.name));
+        const trapGroups = new Set(kept.trapHosts.map(trapHost => trapHost.community));
+        const trapTargets = new Set(kept.trapHosts.map(trapHost => `${trapHost.community} ${trapHost.host}`));
+        return [
+            ...(snmp.location && !kept.location ? ['delete snmp location'] : []),
+            ...(snmp.contact && !kept.contact ? ['delete snmp contact'] : []),
+            ...snmp.communities
+                .filter(community => !communities.has(community.name))
+                .map(community => `delete snmp community ${community.name}`),
+            ...[...new Set(snmp.trapHosts.map(trapHost => trapHost.community))]
+                .filter(group => !trapGroups.has(group))
+                .map(group => `delete snmp trap-group ${group}`),
+            ...snmp.trapHosts
+                .filter(trapHost => trapGroups.has(trapHost.community) && !trapTargets.has(`${trapHost.community} ${trapHost.host}`))
+                .map(trapHost => `delete snmp trap-group ${trapHost.community} targets ${trapHost.host}`)
+        ];
+    }
+
+    removeClassOfService(current, target) {
+        const cos = 'delete class-of-service';
+        const lines = [];
+        for (const item of current.qos.classes) {
+            const kept = target.qos.classes.find(existing => existing.name === item.name);
+            if (!kept) lines.push(`${cos} forwarding-classes class ${item.name}`);
+            if (!kept || !isDeepStrictEqual(kept.dscp, item.dscp)) {
+                lines.push(`${cos} classifiers dscp ${CLASSIFIER} forwarding-class ${item.name}`);
+            }
+        }
+        for (const policy of current.qos.policies) {
+            const kept = target.qos.policies.find(item => item.name === policy.name);
+            if (!kept) lines.push(`${cos} scheduler-maps ${policy.name}`);
+            for (const action of policy.classes) {
+                const keptAction = kept?.classes.find(item => item.class === action.class);
+                const scheduler = `${policy.name}-${action.class}`;
+                if (!keptAction) {
+                    if (kept) lines.push(`${cos} scheduler-maps ${policy.name} forwarding-class ${action.class}`);
+                    lines.push(`${cos} schedulers ${scheduler}`);
+                } else if (action.priority && !keptAction.priority) {
+                    lines.push(`${cos} schedulers ${scheduler} priority`);
+                }
+            }
+        }
+        for (const iface of current.interfaces.filter(item => item.qosPolicy)) {
+            if (!target.interfaces.some(item => item.name === iface.name && item.qosPolicy)) {
+                lines.push(`${cos} interfaces ${iface.name}`);
+            }
+        }
+        return lines;
+    }
+
+    // What the interface loses; next is the interface in the target intent, if it is there
+    removeFromInterface(iface, next = { acl: {}, allowedVlans: [] }) {
+        const prefix = `delete interfaces ${iface.name}`;
+        const inet = `${prefix} unit 0 family inet`;
+        const switching = `${prefix} unit 0 family ethernet-switching`;
+        const lines = [];
+        if (iface.description && !next.description) lines.push(`${prefix} description`);
+        if (iface.mtu && !next.mtu) lines.push(`${prefix} mtu`);
+        // Without a target interface its state is left as it is
+        if (!iface.enabled && next.enabled) lines.push(`${prefix} disable`);
+
+        if (iface.mode !== next.mode) {
+            if (iface.mode === 'routed') lines.push(inet);
+            if (iface.mode === 'access' || iface.mode === 'trunk') lines.push(switching);
+        } else if (iface.mode === 'routed') {
+            if (iface.address && iface.address !== next.address) lines.push(`${inet} address ${iface.address}`);
+            if (iface.acl.in && !next.acl.in) lines.push(`${inet} filter input`);
+            if (iface.acl.out && !next.acl.out) lines.push(`${inet} filter output`);
+        } else if (iface.mode === 'access' ? iface.accessVlan !== next.accessVlan : !isDeepStrictEqual(iface.allowedVlans, next.allowedVlans)) {
+            // vlan members is a list; what render sets would be added to it
+            lines.push(`${switching} vlan members`);
+        }
+        if (iface.nativeVlan && !next.nativeVlan) lines.push(`${prefix} native-vlan-id`);
+        return lines;
+    }
+
+    logging(logging) {
+        const level = LOGGING_LEVELS[logging.level];
+        if (logging.hosts.length === 0) {
+            return [`set system syslog file messages any ${level}`];
+        }
+        return logging.hosts.flatMap(host => [
+            `set system syslog host ${host} any ${level}`,
+            `set system syslog host ${host} facility-override ${logging.facility}`
+        ]);
+    }
+
+    snmp(snmp) {
+        return [
+            ...(snmp.location ? [`set snmp location "${snmp.location}"`] : []),
+            ...(snmp.contact ? [`set snmp contact "${snmp.contact}"`] : []),
+            ...snmp.communities.map(community =>
+                `set snmp community ${community.name} authorization ${community.access === 'rw' ? 'read-write' : 'read-only'}`),
+            // A trap group's name is the community its traps are sent with
+            ...snmp.trapHosts.flatMap(trapHost => [
+                `set snmp trap-group ${trapHost.community} version ${trapHost.version === '1' ? 'v1' : 'v2'}`,
+                `set snmp trap-group ${trapHost.community} targets ${trapHost.host}`
+            ])
+        ];
+    }
+
+    filter(acl) {
+        return acl.entries.flatMap((entry, i) => {
+            const term = `set firewall family inet filter ${acl.name} term ${(i + 1) * 10}`;
+            return [
+                ...(entry.source !== 'any' ? [`${term} from source-address ${entry.source}`] : []),
+                ...(entry.destination !== 'any' ? [`${term} from destination-address ${entry.destination}`] : []),
+                ...(entry.protocol !== 'ip' ? [`${term} from protocol ${entry.protocol}`] : []),
+                ...(entry.sourcePort ? [`${term} from source-port ${entry.sourcePort}`] : []),
+                ...(entry.destinationPort ? [`${term} from destination-port ${entry.destinationPort}`] : []),
+                ...(entry.log ? [`${term} then syslog`] : []),
+                `${term} then ${entry.action === 'permit' ? 'accept' : 'discard'}`
+            ];
+        });
+    }
+
+    classOfService({ qos, interfaces }) {
+        const cos = 'set class-of-service';
+        const lines = [
+            ...(qos.classes.length ? [`${cos} forwarding-classes class best-effort queue-num 0`] : []),
+            ...qos.classes.map((item, i) => `${cos} forwarding-classes class ${item.name} queue-num ${i + 1}`),
+            ...qos.classes.map(item =>
+                `${cos} classifiers dscp ${CLASSIFIER} forwarding-class ${item.name} loss-priority low code-points [ ${item.dscp.map(codePoint).join(' ')} ]`)
+        ];
+
+        for (const policy of qos.policies) {
+            for (const action of policy.classes) {
+                const scheduler = `${policy.name}-${action.class}`;
+                lines.push(`${cos} schedulers ${scheduler} transmit-rate percent ${action.bandwidthPercent}`);
+                if (action.priority) lines.push(`${cos} schedulers ${scheduler} priority strict-high`);
+                lines.push(`${cos} scheduler-maps ${policy.name} forwarding-class ${action.class} scheduler ${scheduler}`);
+            }
+        }
+
+        for (const iface of interfaces.filter(item => item.qosPolicy)) {
+            lines.push(`${cos} interfaces ${iface.name} scheduler-map ${iface.qosPolicy}`);
+            lines.push(`${cos} interfaces ${iface.name} unit 0 classifiers dscp ${CLASSIFIER}`);
+        }
+        return lines;
+    }
+
+    interface(iface, intent) {
+        const prefix = `set interfaces ${iface.name}`;
+        const lines = [];
+        if (iface.description) lines.push(`${prefix} description "${iface.description}"`);
+        if (iface.mtu) lines.push(`${prefix} mtu ${iface.mtu}`);
+        if (!iface.enabled) lines.push(`${prefix} disable`);
+
+        const inet = `${prefix} unit 0 family inet`;
+        const switching = `${prefix} unit 0 family ethernet-switching`;
+        if (iface.mode === 'routed') {
+            lines.push(iface.address ? `${inet} address ${iface.address}` : `${prefix} unit 0 family inet`);
+        } else if (iface.mode === 'access') {
+            lines.push(`${switching} interface-mode access`);
+            lines.push(`${switching} vlan members ${this.vlanMember(iface.accessVlan, intent)}`);
+        } else if (iface.mode === 'trunk') {
+            lines.push(`${switching} interface-mode trunk`);
+            if (iface.allowedVlans.length) {
+                lines.push(`${switching} vlan members [ ${iface.allowedVlans.map(id => this.vlanMember(id, intent)).join(' ')} ]`);
+            }
+            if (iface.nativeVlan) lines.push(`${prefix} native-vlan-id ${iface.nativeVlan}`);
+        }
+        if (iface.acl.in) lines.push(`${inet} filter input ${iface.acl.in}`);
+        if (iface.acl.out) lines.push(`${inet} filter output ${iface.acl.out}`);
+        return lines;
+    }
+
+    staticRoute(route) {
+        const prefix = `set routing-options static route ${route.prefix}`;
+        return [
+            `${prefix} next-hop ${route.nextHop}`,
+            ...(route.distance ? [`${prefix} preference ${route.distance}`] : [])
+        ];
+    }
+
+    vlanName(vlan) {
+        return vlan.name || `vlan${vlan.id}`;
+    }
+
+    // VLANs of the intent by name, others by their ID
+    vlanMember(id, intent) {
+        const vlan = intent.vlans.find(item => item.id === id);
+        return vlan ? this.vlanName(vlan) : String(id);
+    }
+}
+
+// Names as Junos aliases, numbers as six-bit patterns
+function codePoint(dscp) {
+    if (typeof dscp === 'number') {
+        return dscpValue(dscp).toString(2).padStart(6, '0');
+    }
+    return DSCP_ALIASES[dscp] || dscp;
+}
+
+export default JunosRenderer;
@@ -0,0 +1,287 @@
+import mongoose from 'mongoose';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import NetworkDevice from '../models/NetworkDevice.js';
+import AuditLogger from './AuditLogger.js';
+import { AppError, ErrorHandler } from '../utils/ErrorHandler.js';
+import { mergeIntervals } from '../utils/TimeIntervals.js';
+import logger from '../utils/logger.js';
+
+const DAY = 86400000;
+const MINUTE = 60000;
+const MAINTENANCE_STATUSES = ['scheduled', 'active', 'completed'];
+
+class MaintenanceManager {
+    constructor() {
+        // How long the windows that may be active are reused for maintenance checks, in ms
+        this.cacheTtl = parseInt(process.env.MAINTENANCE_CACHE_TTL) || 15000;
+        this.cache = null;
+    }
+
+    /**
+     * @param {object} options - { status: 'scheduled'|'active'|'completed', deviceId }
+     * @returns {Promise<Array<object>>} windows with their status and current or next occurrence
+     */
+    async list(options = {}, now = new Date()) {
+        let device = null;
+        if (options.deviceId) {
+            device = await NetworkDevice.findById(options.deviceId).select('type location tags').lean();
+            if (!device) {
+                throw ErrorHandler.notFound('Device not found');
+            }
+        }
+        const windows = await MaintenanceWindow.find({}).sort({ start: -1 });
+
+        return windows
+            .filter(window => !device || window.appliesTo(device))
+            .map(window => this.describe(window, now))
+            .filter(window => !options.status || window.status === options.status);
+    }
+
+    async getWindow(id) {
+        const window = await MaintenanceWindow.findById(id);
+        if (!window) {
+            throw ErrorHandler.notFound('Maintenance window not found');
+        }
+        return window;
+    }
+
+    /**
+     * @param {object} data - { name, description, type, start, end, recurrence, timeZone, scope }
+     * @param {object} actor - { id, type, ip, userAgent } recorded in the audit log
+     */
+    async createWindow(data, actor) {
+        try {
+            await this._checkDevices(data.scope?.deviceIds);
+            const window = new MaintenanceWindow({ ...data, adjustments: [], createdBy: actor?.id });
+            await window.save();
+
+            this.cache = null;
+            await this._audit(actor, 'maintenance_window.create', window);
+            return window;
+        } catch (error) {
+            throw this._saveError(error);
+        }
+    }
+
+    async updateWindow(id, data, actor) {
+        try {
+            const window = await this.getWindow(id);
+            await this._checkDevices(data.scope?.deviceIds);
+            const { adjustments, ...changes } = data;
+            Object.assign(window, changes, { updatedBy: actor?.id });
+            await window.save();
+
+            this.cache = null;
+            await this._audit(actor, 'maintenance_window.update', window);
+            return window;
+        } catch (error) {
+            throw this._saveError(error);
+        }
+    }
+
+    async deleteWindow(id, actor) {
+        const window = await this.getWindow(id);
+        await window.deleteOne();
+
+        this.cache = null;
+        await this._audit(actor, 'maintenance_window.delete', window);
+        return window;
+    }
+
+    /**
+     * Make the current occurrence last longer. One-off windows can also be extended before they start.
+     * @param {object} options - { minutes } to add, or { until } for a new end
+     */
+    async extendWindow(id, { minutes, until }, actor, now = new Date()) {
+        try {
+            const window = await this.getWindow(id);
+            const occurrence = this._adjustable(window, now);
+            const end = until ? new Date(until) : new Date(occurrence.end.getTime() + minutes * MINUTE);
+            if (!(end > occurrence.end)) {
+                throw ErrorHandler.badRequest('An extension must end after the current end of the maintenance window');
+            }
+
+            this._setEnd(window, occurrence, end);
+            window.updatedBy = actor?.id;
+            await window.save();
+
+            this.cache = null;
+            logger.info(`Maintenance window ${window.name} extended until ${end.toISOString()}`);
+            await this._audit(actor, 'maintenance_window.extend', window);
+            return window;
+        } catch (error) {
+            throw this._saveError(error);
+        }
+    }
+
+    /**
+     * End the occurrence in progress now. Later occurrences of a recurring window still happen.
+     */
+    async endWindow(id, actor, now = new Date()) {
+        try {
+            const window = await this.getWindow(id);
+            const occurrence = window.occurrenceAt(now);
+            if (!occurrence) {
+                throw ErrorHandler.badRequest('Maintenance window is not active');
+            }
+
+            this._setEnd(window, occurrence, now);
+            window.updatedBy = actor?.id;
+            await window.save();
+
+            this.cache = null;
+            logger.info(`Maintenance window ${window.name} ended early`);
+            await this._audit(actor, 'maintenance_window.end', window);
+            return window;
+        } catch (error) {
+            throw this._saveError(error);
+        }
+    }
+
+    /**
+     * @returns {object} the window as JSON with status and occurrence: the one in progress, or the next
+     */
+    describe(window, now = new Date()) {
+        const active = window.occurrenceAt(now);
+        const occurrence = active || window.occurrencesBetween(now, new Date(now.getTime() + 366 * DAY))[0] || null;
+        let status = 'scheduled';
+        if (active) {
+            status = 'active';
+        } else if ((window.expiresAt && window.expiresAt <= now) || (!occurrence && window.end && window.end <= now)) {
+            status = 'completed';
+        }
+
+        return { ...window.toJSON(), status, occurrence };
+    }
+
+    /**
+     * Whether a device is under maintenance: its status is 'maintenance' or a window covering it is active
+     * @param {object} device - NetworkDevice document or plain object with _id, status, type, location and tags
+     * @returns {Promise<object|null>} { reason: 'status' } or { reason: 'window', window: { id, name }, end }
+     */
+    async getMaintenance(device, at = new Date()) {
+        if (device.status === 'maintenance') {
+            return { reason: 'status' };
+        }
+
+        for (const window of await this._windowsAt(at)) {
+            if (!window.appliesTo(device)) continue;
+            const occurrence = window.occurrenceAt(at);
+            if (occurrence) {
+                return { reason: 'window', window: { id: window._id, name: window.name }, end: occurrence.end };
+            }
+        }
+        return null;
+    }
+
+    async getDeviceMaintenance(deviceId, at = new Date()) {
+        if (!deviceId || !mongoose.Types.ObjectId.isValid(deviceId)) return null;
+
+        const device = await NetworkDevice.findById(deviceId).select('status type location tags').lean();
+        return device ? this.getMaintenance(device, at) : null;
+    }
+
+    /**
+     * Merged maintenance time of a device within [from, to), e.g. to leave it out of SLA reports.
+     * Windows count; a manually set 'maintenance' status has no history and does not.
+     * @returns {Promise<Array<{ start: Date, end: Date, windows: Array<string> }>>}
+     */
+    async getMaintenanceIntervals(device, from, to) {
+        const windows = await MaintenanceWindow.find({
+            start: { $lt: to },
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: from } }]
+        });
+
+        const occurrences = windows
+            .filter(window => window.appliesTo(device))
+            .flatMap(window => window.occurrencesBetween(from, to).map(occurrence => ({ ...occurrence, name: window.name })));
+
+        return mergeIntervals(occurrences.map(o => ({
+            start: Math.max(o.start, from),
+            end: Math.min(o.end, to)
+        }))).map(interval => ({
+            ...interval,
+            windows: [...new Set(occurrences.filter(o => o.start < interval.end && o.end > interval.start).map(o => o.name))]
+        }));
+    }
+
+    // Private helper methods
+    async _windowsAt(at) {
+        const now = Date.now();
+        const time = at.getTime();
+        if (this.cache && now - this.cache.loadedAt < this.cacheTtl && Math.abs(time - this.cache.loadedAt) < this.cacheTtl) {
+            return this.cache.windows;
+        }
+
+        if (Math.abs(time - now) < this.cacheTtl) {
+            // Every window that may be active while the cache is used
+            const windows = await MaintenanceWindow.find({
+                start: { $lte: new Date(now + this.cacheTtl) },
+                $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date(now - this.cacheTtl) } }]
+            });
+            this.cache = { loadedAt: now, windows };
+            return windows;
+        }
+
+        return MaintenanceWindow.find({
+            start: { $lte: at },
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: at } }]
+        });
+    }
+
+    // The occurrence an extension applies to
+    _adjustable(window, now) {
+        const active = window.occurrenceAt(now);
+        if (active) return active;
+
+        if (window.type === 'one_off' && window.start > now) {
+            return { start: window.start, end: window.end };
+        }
+        throw ErrorHandler.badRequest(window.type === 'one_off'
+            ? 'Maintenance window has already ended'
+            : 'Only the occurrence in progress of a recurring maintenance window can be extended');
+    }
+
+    _setEnd(window, occurrence, end) {
+        if (window.type === 'one_off') {
+            window.end = end;
+            return;
+        }
+        const adjustment = window.adjustments.find(a => a.occurrenceStart.getTime() === occurrence.start.getTime());
+        if (adjustment) {
+            adjustment.end = end;
+        } else {
+            window.adjustments.push({ occurrenceStart: occurrence.start, end });
+        }
+        // Keep the adjustments of occurrences that may still be reported
+        window.adjustments = window.adjustments.filter(a => a.end > new Date(Date.now() - 400 * DAY));
+    }
+
+    async _checkDevices(ids) {
+        const unique = [...new Set((ids || []).map(String))];
+        if (unique.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            throw ErrorHandler.badRequest('Device id is not valid');
+        }
+        if (unique.length > 0 && await NetworkDevice.countDocuments({ _id: { $in: unique } }) !== unique.length) {
+            throw ErrorHandler.badRequest('Device not found');
+        }
+    }
+
+    _saveError(error) {
+        if (error instanceof AppError) {
+            return error;
+        }
+        if (error instanceof mongoose.Error.ValidationError) {
+            return ErrorHandler.badRequest(error.message);
+        }
+        logger.error('Error saving maintenance window:', error);
+        return error;
+    }
+
+    _audit(actor, type, window) {
+        return AuditLogger.record(actor, type, { type: 'MaintenanceWindow', id: window._id, name: window.name });
+    }
+}
+
+const maintenanceManager = new MaintenanceManager();
+export { maintenanceManager as MaintenanceManager, MAINTENANCE_STATUSES };
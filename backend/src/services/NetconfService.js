@@ -0,0 +1,264 @@
+import fs from 'fs/promises';
+import path from 'path';
+import AuditLogger from './AuditLogger.js';
+import { DeviceSessionPool } from './DeviceSessionPool.js';
+import NetconfSession from './NetconfSession.js';
+import { connectNetconf } from '../utils/CliTransport.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import logger from '../utils/logger.js';
+import { YangRegistry } from '../utils/YangRegistry.js';
+
+// Errors listed in a validation failure message; the rest are in its details
+const ERRORS_IN_MESSAGE = 3;
+
+/**
+ * Configuration of devices whose connectionInfo.protocol is netconf. Configurations are RFC 7951
+ * JSON for the YANG modules in the model directory and are checked against them before they are
+ * sent. A deployment goes through the candidate datastore: lock, edit-config, validate, commit,
+ * unlock; a failure on the way discards the candidate changes.
+ */
+class NetconfService {
+    constructor() {
+        this.modelDirectory = process.env.YANG_MODEL_DIR || 'yang';
+        this.connectTimeout = parseInt(process.env.NETCONF_CONNECT_TIMEOUT) || 15000;
+        this.rpcTimeout = parseInt(process.env.NETCONF_RPC_TIMEOUT) || 60000;
+        // Accept any SSH host key from devices without connectionInfo.hostKey (insecure)
+        this.allowUnknownHostKeys = process.env.DEVICE_SSH_ALLOW_UNKNOWN_HOST_KEYS === 'true';
+        this.connect = connectNetconf;
+        this.models = new YangRegistry();
+        this.modelFiles = [];
+        this.modelErrors = [];
+        // One NETCONF operation per device at a time: device id -> the last one queued
+        this.queues = new Map();
+    }
+
+    async start() {
+        const { modules } = await this.loadModels();
+        logger.info(`NETCONF service loaded ${modules.length} YANG module(s) from ${this.modelDirectory}`);
+    }
+
+    /**
+     * Read every .yang file in the model directory. Modules may import each other in any order.
+     * @returns {Promise<object>} the same summary as getModels()
+     */
+    async loadModels() {
+        this.models.clear();
+        this.modelFiles = [];
+        this.modelErrors = [];
+
+        let files = [];
+        try {
+            files = (await fs.readdir(this.modelDirectory, { withFileTypes: true }))
+                .filter(entry => entry.isFile() && entry.name.endsWith('.yang'))
+                .map(entry => entry.name)
+                .sort();
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Error reading YANG model directory ${this.modelDirectory}:`, error);
+                this.modelErrors.push({ file: this.modelDirectory, error: error.message });
+            }
+        }
+
+        for (const file of files) {
+            try {
+                const text = await fs.readFile(path.join(this.modelDirectory, file), 'utf8');
+                const { module, revision } = this.models.load(text);
+                this.modelFiles.push({ file, module, revision });
+            } catch (error) {
+                logger.warn(`Skipping YANG file ${file}: ${error.message}`);
+                this.modelErrors.push({ file, error: error.message });
+            }
+        }
+
+        return this.getModels();
+    }
+
+    getModels() {
+        const { modules, unresolved } = this.models.getModules();
+        return {
+            directory: this.modelDirectory,
+            files: this.modelFiles,
+            modules,
+            topLevel: this.models.topLevel().map(node => `${node.module}:${node.name}`),
+            errors: this.modelErrors,
+            unresolved
+        };
+    }
+
+    /**
+     * @returns {boolean} whether the device is configured over NETCONF
+     */
+    supports(device) {
+        return device?.connectionInfo?.protocol === 'netconf' && Boolean(this._host(device));
+    }
+
+    /**
+     * Check a configuration against the loaded YANG models
+     * @param {object} config - RFC 7951 JSON
+     * @returns {{ valid: boolean, errors: Array<{ path, message }> }}
+     */
+    validate(config) {
+        const errors = this.models.topLevel().length === 0
+            ? [{ path: '/', message: `no YANG models are loaded from ${this.modelDirectory}` }]
+            : this.models.validate(config);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * The same check, as an error for the caller
+     * @throws {AppError} BAD_REQUEST listing what does not match the models
+     */
+    check(config) {
+        const { valid, errors } = this.validate(config);
+        if (!valid) {
+            const listed = errors.slice(0, ERRORS_IN_MESSAGE).map(error => `${error.path} ${error.message}`).join('; ');
+            const more = errors.length > ERRORS_IN_MESSAGE ? ` and ${errors.length - ERRORS_IN_MESSAGE} more` : '';
+            throw ErrorHandler.badRequest(`Configuration does not match the YANG models: ${listed}${more}`, { errors });
+        }
+    }
+
+    /**
+     * What the device announced in its hello
+     * @returns {Promise<{ sessionId, capabilities: string[] }>}
+     */
+    capabilities(device, { actor } = {}) {
+        return this._withSession(device, actor, async (session) => ({
+            sessionId: session.sessionId,
+            capabilities: session.capabilities
+        }));
+    }
+
+    /**
+     * The running configuration of the nodes the loaded models define
+     * @returns {Promise<object>} RFC 7951 JSON
+     */
+    async getConfig(device, { actor } = {}) {
+        const topLevel = this.models.topLevel();
+        if (topLevel.length === 0) {
+            throw ErrorHandler.serviceUnavailable(`No YANG models are loaded from ${this.modelDirectory}`);
+        }
+        const filter = topLevel.map(node => `<${node.name} xmlns="${node.namespace}"/>`).join('');
+
+        let error;
+        let config;
+        try {
+            config = await this._withSession(device, actor, async (session) =>
+                this.models.fromXml(await session.getConfig('running', filter)));
+        } catch (caught) {
+            error = caught;
+        }
+        await this._audit(actor, device, 'netconf.get_config', {
+            nodes: topLevel.map(node => `${node.module}:${node.name}`),
+            error
+        });
+        if (error) throw error;
+        return config;
+    }
+
+    /**
+     * Replace the top-level nodes in the configuration on the device, through the candidate
+     * datastore
+     * @param {object} config - RFC 7951 JSON, checked against the models first
+     * @returns {Promise<{ sessionId, nodes: string[], validated: boolean }>}
+     */
+    async deploy(device, config, { actor } = {}) {
+        this.check(config);
+        const xml = this.models.toXml(config, { operation: 'replace' });
+        const nodes = Object.keys(config);
+
+        let error;
+        let result;
+        try {
+            result = await this._withSession(device, actor, session => this._commit(session, xml));
+        } catch (caught) {
+            error = caught;
+        }
+        await this._audit(actor, device, 'netconf.deploy', { nodes, ...result, error });
+        if (error) {
+            logger.error(`NETCONF deployment to ${device.name} failed:`, error);
+            throw error;
+        }
+        return { nodes, ...result };
+    }
+
+    // Private helper methods
+    async _commit(session, xml) {
+        if (!session.has('candidate')) {
+            throw ErrorHandler.badRequest(`${session.name} does not support the candidate datastore`);
+        }
+
+        await session.lock('candidate');
+        try {
+            // Start from the running configuration, not from someone else's uncommitted changes
+            await session.discardChanges();
+            await session.editConfig('candidate', xml, { defaultOperation: 'merge' });
+            const validated = session.has('validate');
+            if (validated) {
+                await session.validate('candidate');
+            }
+            await session.commit();
+            return { sessionId: session.sessionId, validated };
+        } catch (error) {
+            await session.discardChanges().catch(discardError => {
+                logger.warn(`Discarding candidate changes on ${session.name} failed: ${discardError.message}`);
+            });
+            throw error;
+        } finally {
+            await session.unlock('candidate').catch(unlockError => {
+                logger.warn(`Unlocking the candidate on ${session.name} failed: ${unlockError.message}`);
+            });
+        }
+    }
+
+    async _withSession(device, actor, operation) {
+        if (!this.supports(device)) {
+            throw ErrorHandler.badRequest(`${device.name} has no NETCONF connection configured`);
+        }
+
+        const key = String(device._id);
+        const previous = this.queues.get(key) || Promise.resolve();
+        const run = previous.catch(() => {}).then(async () => {
+            const credentials = await DeviceSessionPool.credentials(device, { actor, reason: 'netconf_session' });
+            const stream = await this.connect({
+                host: this._host(device),
+                port: device.connectionInfo.port,
+                timeout: this.connectTimeout,
+                hostKey: device.connectionInfo.hostKey,
+                allowUnknownHostKey: this.allowUnknownHostKeys,
+                username: credentials.username,
+                password: credentials.password,
+                privateKey: credentials.privateKey,
+                passphrase: credentials.passphrase
+            });
+            const session = new NetconfSession(stream, { name: device.name, timeout: this.rpcTimeout });
+            try {
+                await session.hello(this.connectTimeout);
+                return await operation(session);
+            } finally {
+                await session.close();
+            }
+        });
+        this.queues.set(key, run);
+        try {
+            return await run;
+        } finally {
+            if (this.queues.get(key) === run) this.queues.delete(key);
+        }
+    }
+
+    _host(device) {
+        return device.connectionInfo?.host || device.interfaces?.find(iface => iface.ipAddress)?.ipAddress;
+    }
+
+    _audit(actor, device, type, { nodes, sessionId, validated, error }) {
+        return AuditLogger.record(actor, type, { type: 'NetworkDevice', id: device._id, name: device.name }, {
+            nodes,
+            ...(sessionId ? { sessionId } : {}),
+            ...(validated !== undefined ? { validated } : {}),
+            ...(error ? { error: error.message, ...(error.errors ? { rpcErrors: error.errors } : {}) } : {})
+        }, error ? 'failure' : 'success');
+    }
+}
+
+const netconfService = new NetconfService();
+export { netconfService as NetconfService };
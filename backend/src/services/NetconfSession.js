@@ -0,0 +1,284 @@
+import { childrenNamed, escapeXml, parseXml } from '../utils/XmlTree.js';
+
+export const NETCONF_NAMESPACE = 'urn:ietf:params:xml:ns:netconf:base:1.0';
+
+const BASE_1_0 = 'urn:ietf:params:netconf:base:1.0';
+const BASE_1_1 = 'urn:ietf:params:netconf:base:1.1';
+const END_OF_MESSAGE = ']]>]]>';
+const CHUNK_HEADER = /^\n#([1-9]\d{0,9})\n/;
+const END_OF_CHUNKS = '\n##\n';
+
+// Capabilities by name, as prefixes: the device may add a version or parameters
+export const CAPABILITIES = {
+    candidate: 'urn:ietf:params:netconf:capability:candidate:',
+    validate: 'urn:ietf:params:netconf:capability:validate:',
+    confirmedCommit: 'urn:ietf:params:netconf:capability:confirmed-commit:',
+    writableRunning: 'urn:ietf:params:netconf:capability:writable-running:'
+};
+
+/**
+ * A NETCONF session (RFC 6241) over a stream from utils/CliTransport.js connectNetconf. After the
+ * hello exchange, messages are framed in chunks when both sides speak base:1.1 and end in
+ * ]]>]]> otherwise (RFC 6242). RPCs may overlap; replies are matched by message-id.
+ */
+class NetconfSession {
+    /**
+     * @param {object} stream - emits 'data' (Buffer), 'error' and 'close'; has write() and close()
+     * @param {object} options - { name, timeout per RPC }
+     */
+    constructor(stream, { name = 'device', timeout = 60000 } = {}) {
+        this.stream = stream;
+        this.name = name;
+        this.timeout = timeout;
+        this.buffer = Buffer.alloc(0);
+        this.chunks = [];
+        this.chunked = false;
+        this.messageId = 0;
+        this.pending = new Map();
+        this.sessionId = null;
+        this.capabilities = [];
+        this.broken = false;
+
+        this.greeting = new Promise((resolve, reject) => {
+            this.greeted = { resolve, reject };
+        });
+        // Seen by hello(); a session that fails before then has nobody to tell
+        this.greeting.catch(() => {});
+
+        stream.on('data', data => this._receive(Buffer.isBuffer(data) ? data : Buffer.from(data)));
+        stream.on('error', error => this._fail(error));
+        stream.on('close', () => this._fail(Object.assign(new Error(`NETCONF session to ${this.name} closed`), { code: 'ECONNRESET' })));
+    }
+
+    /**
+     * Exchange hello messages
+     * @returns {Promise<{ sessionId, capabilities: string[] }>} what the device sent
+     */
+    async hello(timeout = this.timeout) {
+        this._write(`<hello xmlns="${NETCONF_NAMESPACE}"><capabilities>`
+            + `<capability>${BASE_1_0}</capability><capability>${BASE_1_1}</capability>`
+            + `</capabilities></hello>${END_OF_MESSAGE}`);
+
+        let timer;
+        try {
+            await Promise.race([
+                this.greeting,
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(Object.assign(
+                        new Error(`${this.name} sent no NETCONF hello within ${timeout} ms`), { code: 'ETIMEDOUT' })), timeout);
+                })
+            ]);
+        } catch (error) {
+            this.broken = true;
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+        return { sessionId: this.sessionId, capabilities: this.capabilities };
+    }
+
+    /**
+     * @param {string} name - a key of CAPABILITIES, or a capability URI
+     */
+    has(name) {
+        const prefix = CAPABILITIES[name] || name;
+        return this.capabilities.some(capability => capability.startsWith(prefix));
+    }
+
+    /**
+     * Send an RPC and wait for its reply
+     * @param {string} body - the operation element
+     * @returns {Promise<object>} the rpc-reply element; an error when the reply holds rpc-errors
+     *   of severity error, with code ENETCONF and the errors in error.errors
+     */
+    rpc(body, timeout = this.timeout) {
+        if (this.broken) {
+            return Promise.reject(Object.assign(new Error(`NETCONF session to ${this.name} is closed`), { code: 'ECONNRESET' }));
+        }
+        const id = String(++this.messageId);
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                this.broken = true;
+                reject(Object.assign(new Error(`${this.name} did not answer NETCONF request ${id} within ${timeout} ms`), { code: 'ETIMEDOUT' }));
+            }, timeout);
+            this.pending.set(id, { resolve, reject, timer });
+            this._send(`<rpc message-id="${id}" xmlns="${NETCONF_NAMESPACE}">${body}</rpc>`);
+        });
+    }
+
+    /**
+     * @param {string} source - running, candidate or startup
+     * @param {string} filter - subtree filter content, optional
+     * @returns {Promise<object[]>} the elements inside <data>
+     */
+    async getConfig(source = 'running', filter) {
+        const reply = await this.rpc(`<get-config><source><${source}/></source>`
+            + `${filter ? `<filter type="subtree">${filter}</filter>` : ''}</get-config>`);
+        return childrenNamed(reply, 'data')[0]?.children || [];
+    }
+
+    /**
+     * @param {string} target - candidate or running
+     * @param {string} config - the content of <config>; nc:operation attributes may use the nc prefix
+     * @param {object} options - { defaultOperation: merge|replace|none, testOption, errorOption }
+     */
+    editConfig(target, config, { defaultOperation, testOption, errorOption } = {}) {
+        const options = [
+            defaultOperation && `<default-operation>${escapeXml(defaultOperation)}</default-operation>`,
+            testOption && `<test-option>${escapeXml(testOption)}</test-option>`,
+            errorOption && `<error-option>${escapeXml(errorOption)}</error-option>`
+        ].filter(Boolean).join('');
+        return this.rpc(`<edit-config><target><${target}/></target>${options}`
+            + `<config xmlns:nc="${NETCONF_NAMESPACE}">${config}</config></edit-config>`);
+    }
+
+    validate(source = 'candidate') {
+        return this.rpc(`<validate><source><${source}/></source></validate>`);
+    }
+
+    commit() {
+        return this.rpc('<commit/>');
+    }
+
+    discardChanges() {
+        return this.rpc('<discard-changes/>');
+    }
+
+    lock(target = 'candidate') {
+        return this.rpc(`<lock><target><${target}/></target></lock>`);
+    }
+
+    unlock(target = 'candidate') {
+        return this.rpc(`<unlock><target><${target}/></target></unlock>`);
+    }
+
+    /**
+     * End the session politely when it is still usable, then close the stream
+     */
+    async close() {
+        if (!this.broken && this.sessionId !== null) {
+            try {
+                await this.rpc('<close-session/>', Math.min(this.timeout, 5000));
+            } catch (error) {
+                // The stream is closed below either way
+            }
+        }
+        this.broken = true;
+        this.stream.close();
+    }
+
+    // Private helper methods
+    _send(xml) {
+        if (this.chunked) {
+            this._write(`\n#${Buffer.byteLength(xml)}\n${xml}${END_OF_CHUNKS}`);
+        } else {
+            this._write(`${xml}${END_OF_MESSAGE}`);
+        }
+    }
+
+    _write(text) {
+        this.stream.write(Buffer.from(text, 'utf8'));
+    }
+
+    _receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (!this.broken) {
+            const message = this.chunked ? this._readChunks() : this._readToEndMarker();
+            if (message === null) return;
+            this._handle(message);
+        }
+    }
+
+    _readToEndMarker() {
+        const end = this.buffer.indexOf(END_OF_MESSAGE);
+        if (end === -1) return null;
+        const message = this.buffer.subarray(0, end).toString('utf8');
+        this.buffer = this.buffer.subarray(end + END_OF_MESSAGE.length);
+        return message;
+    }
+
+    // Chunk sizes count octets, so the message is only decoded once it is complete
+    _readChunks() {
+        while (this.buffer.length > 0) {
+            const head = this.buffer.subarray(0, 14).toString('latin1');
+            if (head.startsWith(END_OF_CHUNKS)) {
+                this.buffer = this.buffer.subarray(END_OF_CHUNKS.length);
+                const message = Buffer.concat(this.chunks).toString('utf8');
+                this.chunks = [];
+                return message;
+            }
+            const header = CHUNK_HEADER.exec(head);
+            if (!header) {
+                // A header is at most 13 octets; anything longer that does not match is garbage
+                if (head.length >= 14 || !/^\n(#(\d*|#)?)?$/.test(head)) {
+                    this._fail(Object.assign(new Error(`${this.name} sent a malformed NETCONF chunk`), { code: 'EPROTO' }));
+                }
+                return null;
+            }
+            const size = parseInt(header[1]);
+            const start = header[0].length;
+            if (this.buffer.length < start + size) return null;
+            this.chunks.push(this.buffer.subarray(start, start + size));
+            this.buffer = this.buffer.subarray(start + size);
+        }
+        return null;
+    }
+
+    _handle(text) {
+        let root;
+        try {
+            root = parseXml(text);
+        } catch (error) {
+            this._fail(Object.assign(new Error(`${this.name} sent malformed NETCONF XML: ${error.message}`), { code: 'EPROTO' }));
+            return;
+        }
+
+        if (root.name === 'hello') {
+            this.capabilities = childrenNamed(root, 'capabilities').flatMap(capabilities =>
+                childrenNamed(capabilities, 'capability').map(capability => capability.text));
+            this.sessionId = childrenNamed(root, 'session-id')[0]?.text || null;
+            // Both sides have sent their hello by now; what follows is framed in chunks
+            this.chunked = this.capabilities.includes(BASE_1_1);
+            this.greeted.resolve();
+            return;
+        }
+        if (root.name !== 'rpc-reply') return;
+
+        const id = root.attributes['message-id'];
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+        clearTimeout(request.timer);
+
+        const errors = childrenNamed(root, 'rpc-error').map(error => {
+            const field = (name) => childrenNamed(error, name)[0]?.text || undefined;
+            return {
+                type: field('error-type'),
+                tag: field('error-tag'),
+                severity: field('error-severity'),
+                path: field('error-path'),
+                message: field('error-message')
+            };
+        }).filter(error => error.severity !== 'warning');
+        if (errors.length > 0) {
+            const summary = errors.map(error => [error.message || error.tag, error.path].filter(Boolean).join(' at ')).join('; ');
+            request.reject(Object.assign(new Error(`${this.name} rejected the NETCONF request: ${summary}`), { code: 'ENETCONF', errors }));
+        } else {
+            request.resolve(root);
+        }
+    }
+
+    _fail(error) {
+        if (this.broken && this.pending.size === 0) return;
+        this.broken = true;
+        this.greeted.reject(error);
+        for (const [id, request] of this.pending) {
+            clearTimeout(request.timer);
+            this.pending.delete(id);
+            request.reject(error);
+        }
+    }
+}
+
+export default NetconfSession;
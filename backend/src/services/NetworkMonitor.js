@@ -2,8 +2,14 @@ import NetworkDevice from '../models/NetworkDevice.js';
 import NetworkTopology from '../models/NetworkTopology.js';
 import NetworkMetrics from '../models/NetworkMetrics.js';
 import { AutoConfigService } from './AutoConfigService.js';
+import { ConfigDeploymentService } from './ConfigDeploymentService.js';
 import { SelfHealingService } from './SelfHealingService.js';
 import { PolicyEnforcementService } from './PolicyEnforcementService.js';
+import { TopologyDiscoveryService } from './TopologyDiscoveryService.js';
+import { SnmpPoller } from './SnmpPoller.js';
+import { AlertManager } from './AlertManager.js';
+import { defaultIntent } from '../utils/ConfigIntent.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
 import logger from '../utils/logger.js';
 
 class NetworkMonitor {
@@ -45,8 +51,13 @@ class NetworkMonitor {
             for (const device of savedDevices) {
                 if (device.status === 'discovered') {
                     try {
-                        const defaultConfig = this._getDefaultConfig(device.type);
-                        await AutoConfigService.deployConfig(device._id, defaultConfig);
+                        const deployment = await ConfigDeploymentService.deploy(device._id, defaultIntent(device), {
+                            autoConfirm: true,
+                            comment: 'Default configuration'
+                        });
+                        if (deployment.status !== 'confirmed') {
+                            logger.warn(`Auto-configuration of device ${device.name} ${deployment.status.replace(/_/g, ' ')}: ${deployment.error}`);
+                        }
                     } catch (configError) {
                         logger.error(`Auto-configuration failed for device ${device.name}:`, configError);
                     }
@@ -195,81 +206,14 @@ class NetworkMonitor {
     }
 
     async _getActiveAlerts() {
-        // TODO: Implement actual alert retrieval
-        return [];
-    }
-
-    // Helper method to get default config based on device type
-    _getDefaultConfig(deviceType) {
-        // Default configurations for different device types
-        const configs = {
-            router: {
-                snmp: {
-                    enabled: true,
-                    community: 'public',
-                    version: '2c'
-                },
-                logging: {
-                    level: 'info',
-                    facility: 'local7'
-                },
-                qos: {
-                    enabled: true,
-                    defaultPolicy: 'balanced'
-                }
-            },
-            switch: {
-                snmp: {
-                    enabled: true,
-                    community: 'public',
-                    version: '2c'
-                },
-                vlan: {
-                    default: 1,
-                    management: 100
-                },
-                spanning_tree: {
-                    mode: 'rapid-pvst',
-                    priority: 32768
-                }
-            },
-            firewall: {
-                logging: {
-                    level: 'warning',
-                    facility: 'local6'
-                },
-                default_policy: 'deny',
-                inspection: {
-                    enabled: true,
-                    level: 'moderate'
-                }
-            }
-        };
-
-        return configs[deviceType] || {};
+        return AlertManager.getActive();
     }
 
     // Topology Mapping
     async mapTopology() {
         try {
-            const devices = await NetworkDevice.find({ status: 'active' });
-            const topology = new NetworkTopology({
-                name: `Network-Topology-${Date.now()}`,
-                description: 'Auto-generated topology map'
-            });
-
-            // TODO: Implement actual topology discovery
-            // This is a placeholder for the actual implementation
-            for (let i = 0; i < devices.length - 1; i++) {
-                topology.connections.push({
-                    sourceDevice: devices[i]._id,
-                    targetDevice: devices[i + 1]._id,
-                    linkType: 'ethernet',
-                    bandwidth: 1000 // 1Gbps
-                });
-            }
-
-            await topology.save();
+            // Links come from LLDP/CDP neighbor tables; re-runs update the same topology document
+            const { topology } = await TopologyDiscoveryService.discover();
             return topology;
         } catch (error) {
             logger.error('Topology mapping error:', error);
@@ -280,22 +224,15 @@ class NetworkMonitor {
     // Bandwidth Monitoring
     async monitorBandwidth(deviceId, interfaceName) {
         try {
-            // TODO: Implement actual bandwidth monitoring
-            // This is a placeholder for the actual implementation
-            const metrics = new NetworkMetrics({
-                deviceId,
-                interfaceName,
-                metrics: {
-                    bandwidth: {
-                        inbound: { value: Math.random() * 1000 }, // Mock value
-                        outbound: { value: Math.random() * 1000 }, // Mock value
-                        total: { value: Math.random() * 2000 } // Mock value
-                    }
-                }
-            });
+            // Rates come from SNMP counter deltas, so the first poll of a device only sets a baseline
+            const poll = await SnmpPoller.pollDevice(deviceId);
+            const rate = poll.interfaces.find(iface => iface.interfaceName === interfaceName);
+            if (!poll.baseline && !rate) {
+                throw ErrorHandler.notFound(`Interface ${interfaceName} not found on device`);
+            }
 
-            await metrics.save();
-            return metrics;
+            return NetworkMetrics.findOne({ deviceId: poll.deviceId, interfaceName })
+                .sort({ timestamp: -1 });
         } catch (error) {
             logger.error('Bandwidth monitoring error:', error);
             throw error;
@@ -370,24 +307,24 @@ class NetworkMonitor {
     }
 
     // Alert Generation
-    async generateAlert(deviceId, type, severity, message) {
+    /**
+     * Raise an alert, or update the active alert for the same config, device and type
+     * @param {object} details - Stored with the alert; `source` and `alertConfigId` are taken out
+     *   and link the alert to what raised it
+     * @returns {Promise<object|null>} null when the AlertConfig is disabled or in its cooldown
+     */
+    async generateAlert(deviceId, type, severity, message, details = {}) {
         try {
-            // TODO: Implement actual alert system
-            // This is a placeholder for the actual implementation
-            const alert = {
+            const { source, alertConfigId, ...rest } = details;
+            return await AlertManager.raise({
                 deviceId,
                 type,
                 severity,
                 message,
-                timestamp: new Date()
-            };
-
-            // Log the alert
-            logger.warn('Network alert:', alert);
-
-            // TODO: Implement alert notification system
-            // For now, just return the alert
-            return alert;
+                source,
+                alertConfigId,
+                details: rest
+            });
         } catch (error) {
             logger.error('Alert generation error:', error);
             throw error;
@@ -415,8 +352,8 @@ class NetworkMonitor {
                 // Generate alert for inactive device
                 await this.generateAlert(
                     deviceId,
-                    'status_change',
-                    'warning',
+                    'device_unreachable',
+                    'medium',
                     `Device ${device.name} is inactive`
                 );
 
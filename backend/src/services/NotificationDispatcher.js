@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import AlertConfig from '../models/AlertConfig.js';
+import NetworkDevice from '../models/NetworkDevice.js';
+import NotificationDelivery from '../models/NotificationDelivery.js';
+import EmailNotifier from './EmailNotifier.js';
+import SlackNotifier from './SlackNotifier.js';
+import WebhookNotifier from './WebhookNotifier.js';
+import SmsNotifier from './SmsNotifier.js';
+import { MaintenanceManager } from './MaintenanceManager.js';
+import RetryHandler from '../utils/RetryHandler.js';
+import { renderTemplate } from '../utils/MessageTemplate.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_TEMPLATES = {
+    opened: {
+        subject: '[{{alert.severity}}] {{alert.message}}',
+        body: [
+            '{{alert.message}}',
+            '',
+            'Severity: {{alert.severity}}',
+            'Device: {{device.name}} {{device.ipAddress}}',
+            'Rule: {{config.name}}',
+            'Type: {{alert.type}}',
+            'First seen: {{alert.firstSeen}}',
+            'Alert: {{alert.id}}'
+        ].join('\n')
+    },
+    resolved: {
+        subject: '[resolved] {{alert.message}}',
+        body: [
+            'Resolved: {{alert.message}}',
+            '',
+            'Severity: {{alert.severity}}',
+            'Device: {{device.name}} {{device.ipAddress}}',
+            'Rule: {{config.name}}',
+            'Resolved at: {{alert.resolvedAt}} by {{alert.resolvedBy}}',
+            'Occurrences: {{alert.occurrences}}',
+            'Alert: {{alert.id}}'
+        ].join('\n')
+    }
+};
+DEFAULT_TEMPLATES.escalated = {
+    subject: '[{{alert.severity}}] Unacknowledged: {{alert.message}}',
+    body: [
+        'Not acknowledged after {{escalation.delayMinutes}} minutes; step {{escalation.step}} of {{escalation.policy}}.',
+        '',
+        DEFAULT_TEMPLATES.opened.body
+    ].join('\n')
+};
+DEFAULT_TEMPLATES.test = DEFAULT_TEMPLATES.opened;
+
+class NotificationDispatcher {
+    constructor() {
+        this.maxRetries = parseInt(process.env.NOTIFICATION_MAX_RETRIES) || 3;
+        this.retryDelay = parseInt(process.env.NOTIFICATION_RETRY_DELAY) || 1000;
+        // Per attempt; the channels use the same value for their own connection timeouts
+        this.timeout = parseInt(process.env.NOTIFICATION_TIMEOUT) || 10000;
+
+        this.notifiers = new Map([
+            ['email', new EmailNotifier()],
+            ['slack', new SlackNotifier()],
+            ['webhook', new WebhookNotifier()],
+            ['sms', new SmsNotifier()]
+        ]);
+    }
+
+    /**
+     * Add or replace the sender for a channel type
+     * @param {string} type - AlertConfig notification type
+     * @param {object} notifier - { validate(config), recipients(config), send(config, message) }
+     */
+    registerChannel(type, notifier) {
+        this.notifiers.set(type, notifier);
+    }
+
+    /**
+     * Check a channel before it is saved or tested
+     * @throws {AppError} BAD_REQUEST when the type is unknown or the config incomplete
+     */
+    validateChannel(channel) {
+        this._notifier(channel?.type).validate(channel.config || {});
+    }
+
+    /**
+     * Send an alert to the enabled channels of its AlertConfig. Failures are recorded in the
+     * delivery log, not thrown. Nothing is sent while the alert's device is under maintenance, or
+     * when the alert was opened during maintenance.
+     * @param {object} alert - Alert document or plain object
+     * @param {'opened'|'resolved'} event
+     * @returns {Promise<Array<object>>} the delivery log entries
+     */
+    async notify(alert, event) {
+        if (!alert.alertConfigId) return [];
+        if (alert.suppressed || await MaintenanceManager.getDeviceMaintenance(alert.deviceId)) {
+            logger.debug(`Notifications for alert ${alert._id} suppressed by maintenance`);
+            return [];
+        }
+
+        const config = await AlertConfig.findById(alert.alertConfigId).lean();
+        const channels = (config?.notifications || []).filter(channel => channel.enabled);
+        if (!config?.enabled || channels.length === 0) return [];
+
+        return this.notifyChannels(alert, config, channels, event);
+    }
+
+    /**
+     * Send an alert to given channels, e.g. to the on-call users of an escalation step
+     * @param {object} config - the alert's AlertConfig
+     * @param {object} [escalation] - { step, policy, delayMinutes } for 'escalated' events
+     */
+    async notifyChannels(alert, config, channels, event, escalation) {
+        const device = alert.deviceId && mongoose.Types.ObjectId.isValid(alert.deviceId)
+            ? await NetworkDevice.findById(alert.deviceId).select('name ipAddress type location').lean()
+            : null;
+        const context = buildContext(event, alert, device, config);
+        if (escalation) context.escalation = escalation;
+
+        return Promise.all(channels.map(channel => this._deliver(channel, context, {
+            alertId: alert._id,
+            alertConfigId: config._id,
+            escalationStep: escalation?.step
+        })));
+    }
+
+    /**
+     * Send a sample alert to a channel so admins can check its config
+     * @param {object} channel - { type, config, template }
+     * @returns {Promise<object>} the delivery log entry; status tells whether it arrived
+     */
+    async test(channel) {
+        this.validateChannel(channel);
+        return this._deliver(channel, sampleContext('test'), {});
+    }
+
+    /**
+     * Delivery log of an alert, most recent first
+     */
+    async getDeliveries(alertId) {
+        return NotificationDelivery.find({ alertId }).sort({ createdAt: -1 }).lean();
+    }
+
+    // Private helper methods
+    _notifier(type) {
+        const notifier = this.notifiers.get(type);
+        if (!notifier) {
+            throw ErrorHandler.badRequest(`Unknown notification channel type: ${type}`);
+        }
+        return notifier;
+    }
+
+    async _deliver(channel, context, record) {
+        const started = Date.now();
+        const templates = DEFAULT_TEMPLATES[context.event];
+        const message = {
+            deliveryId: crypto.randomUUID(),
+            subject: renderTemplate(channel.template?.subject || templates.subject, context).trim(),
+            text: renderTemplate(channel.template?.body || templates.body, context),
+            payload: null
+        };
+        message.payload = { ...context, subject: message.subject, text: message.text };
+
+        const entry = {
+            ...record,
+            event: context.event,
+            channel: channel.type,
+            subject: message.subject,
+            attempts: 0
+        };
+
+        try {
+            const notifier = this._notifier(channel.type);
+            const config = channel.config || {};
+            entry.recipients = notifier.recipients(config);
+
+            const retryHandler = new RetryHandler({
+                maxRetries: this.maxRetries,
+                baseDelay: this.retryDelay,
+                timeout: this.timeout + 1000
+            });
+            const result = await retryHandler.execute(async () => {
+                entry.attempts++;
+                return notifier.send(config, message);
+            }, { channel: channel.type, alertId: record.alertId?.toString(), event: context.event });
+
+            entry.status = 'sent';
+            entry.response = result?.response?.slice(0, 500);
+        } catch (error) {
+            logger.warn(`Notification via ${channel.type} failed: ${error.message}`);
+            entry.status = 'failed';
+            entry.error = error.message;
+        }
+        entry.durationMs = Date.now() - started;
+
+        try {
+            return (await NotificationDelivery.create(entry)).toObject();
+        } catch (error) {
+            logger.error('Error recording notification delivery:', error);
+            return entry;
+        }
+    }
+}
+
+function buildContext(event, alert, device, config) {
+    return {
+        event,
+        timestamp: new Date(),
+        alert: {
+            id: alert._id?.toString(),
+            type: alert.type,
+            severity: alert.severity,
+            status: alert.status,
+            message: alert.message,
+            source: alert.source,
+            occurrences: alert.occurrences,
+            firstSeen: alert.firstSeen,
+            lastSeen: alert.lastSeen,
+            resolvedAt: alert.resolvedAt,
+            resolvedBy: alert.resolvedBy,
+            details: alert.details
+        },
+        device: device
+            ? { id: device._id.toString(), name: device.name, ipAddress: device.ipAddress, type: device.type, location: device.location }
+            : { id: alert.deviceId?.toString() },
+        config: { id: config._id.toString(), name: config.name }
+    };
+}
+
+// Realistic values for test sends
+function sampleContext(event) {
+    const now = new Date();
+    return buildContext(event, {
+        _id: 'test',
+        type: 'threshold',
+        severity: 'high',
+        status: 'open',
+        message: 'Test notification from EyeNet',
+        source: 'test',
+        occurrences: 1,
+        firstSeen: now,
+        lastSeen: now,
+        resolvedAt: now,
+        resolvedBy: 'system',
+        details: {}
+    }, {
+        _id: 'test-device',
+        name: 'test-device',
+        ipAddress: '192.0.2.1',
+        type: 'router',
+        location: { building: 'HQ' }
+    }, { _id: 'test', name: 'Test channel' });
+}
+
+const notificationDispatcher = new NotificationDispatcher();
+export { notificationDispatcher as NotificationDispatcher };
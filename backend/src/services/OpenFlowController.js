@@ -0,0 +1,478 @@
+import net from 'net';
+import { EventEmitter } from 'events';
+import NetworkDevice from '../models/NetworkDevice.js';
+import logger from '../utils/logger.js';
+import {
+    OFP_VERSION,
+    OFP_HEADER_LEN,
+    MessageType,
+    MultipartType,
+    OpenFlowCodec
+} from '../utils/OpenFlowCodec.js';
+
+class OpenFlowController extends EventEmitter {
+    constructor() {
+        super();
+        this.server = null;
+        this.port = parseInt(process.env.OPENFLOW_PORT) || 6653;
+        this.host = process.env.OPENFLOW_HOST || '0.0.0.0';
+        this.echoInterval = parseInt(process.env.OPENFLOW_ECHO_INTERVAL) || 15000;
+        this.echoTimeout = this.echoInterval * 3;
+        this.connections = new Map(); // datapathId -> connection
+        this.pendingConnections = new Set();
+        this.nextXid = 1;
+    }
+
+    /**
+     * Start listening for switch connections
+     * @param {object} options - Optional { port, host } overrides
+     */
+    async start(options = {}) {
+        if (this.server) {
+            return this.server.address();
+        }
+
+        const port = options.port ?? this.port;
+        const host = options.host ?? this.host;
+
+        this.server = net.createServer(socket => this._handleSocket(socket));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        const address = this.server.address();
+        logger.info(`OpenFlow controller listening on ${address.address}:${address.port}`);
+        return address;
+    }
+
+    /**
+     * Close all switch connections and stop listening
+     */
+    async stop() {
+        const open = [...this.connections.values(), ...this.pendingConnections];
+        for (const connection of open) {
+            this._closeConnection(connection, 'controller shutdown');
+        }
+        // Resolve only once every switch has been marked disconnected
+        await Promise.all(open.map(connection => connection.closed));
+
+        if (this.server) {
+            await new Promise(resolve => this.server.close(() => resolve()));
+            this.server = null;
+            logger.info('OpenFlow controller stopped');
+        }
+    }
+
+    /**
+     * List connected switches
+     */
+    getSwitches() {
+        return [...this.connections.values()].map(connection => ({
+            datapathId: connection.datapathId,
+            deviceId: connection.deviceId,
+            remoteAddress: connection.socket.remoteAddress,
+            features: connection.features,
+            ports: connection.ports,
+            connectedAt: connection.connectedAt,
+            lastEcho: connection.lastEcho
+        }));
+    }
+
+    isConnected(datapathId) {
+        return this.connections.has(datapathId);
+    }
+
+    /**
+     * Send a flow modification to a connected switch
+     * @param {string} datapathId - Target datapath ID
+     * @param {object} flowMod - Flow mod definition understood by OpenFlowCodec.encodeFlowMod
+     */
+    sendFlowMod(datapathId, flowMod) {
+        const connection = this._getConnection(datapathId);
+        const xid = this._allocateXid();
+
+        this._write(connection, OpenFlowCodec.encodeFlowMod(xid, flowMod));
+        this.emit('flow_mod', {
+            datapathId,
+            deviceId: connection.deviceId,
+            xid,
+            flowMod
+        });
+
+        return xid;
+    }
+
+    /**
+     * Inject a frame into the data plane of a connected switch
+     */
+    sendPacketOut(datapathId, packetOut) {
+        const connection = this._getConnection(datapathId);
+        const xid = this._allocateXid();
+        this._write(connection, OpenFlowCodec.encodePacketOut(xid, packetOut));
+        return xid;
+    }
+
+    /**
+     * Send a barrier request and resolve once the switch has processed everything before it
+     */
+    barrier(datapathId, timeout = 5000) {
+        const connection = this._getConnection(datapathId);
+        const xid = this._allocateXid();
+
+        const reply = this._awaitReply(connection, xid, timeout);
+        this._write(connection, OpenFlowCodec.encodeBarrierRequest(xid));
+        return reply;
+    }
+
+    // Private helper methods
+    _handleSocket(socket) {
+        const connection = {
+            socket,
+            buffer: Buffer.alloc(0),
+            datapathId: null,
+            deviceId: null,
+            features: null,
+            ports: [],
+            connectedAt: new Date(),
+            lastEcho: Date.now(),
+            pending: new Map(),
+            echoTimer: null
+        };
+
+        this.pendingConnections.add(connection);
+        socket.setNoDelay(true);
+
+        logger.info(`OpenFlow connection from ${socket.remoteAddress}:${socket.remotePort}`);
+
+        socket.on('data', chunk => this._handleData(connection, chunk));
+        socket.on('error', error => {
+            logger.error(`OpenFlow socket error (${connection.datapathId || socket.remoteAddress}):`, error);
+        });
+        connection.closed = new Promise(resolve => {
+            socket.on('close', () => resolve(this._handleClose(connection)));
+        });
+
+        this._write(connection, OpenFlowCodec.encodeHello(this._allocateXid()));
+    }
+
+    _handleData(connection, chunk) {
+        connection.buffer = Buffer.concat([connection.buffer, chunk]);
+
+        while (connection.buffer.length >= OFP_HEADER_LEN) {
+            const header = OpenFlowCodec.decodeHeader(connection.buffer);
+            if (header.length < OFP_HEADER_LEN) {
+                this._closeConnection(connection, `invalid message length ${header.length}`);
+                return;
+            }
+            if (connection.buffer.length < header.length) break;
+
+            const message = connection.buffer.subarray(0, header.length);
+            connection.buffer = connection.buffer.subarray(header.length);
+
+            this._handleMessage(connection, header, message).catch(error => {
+                logger.error(`Error handling OpenFlow message type ${header.type}:`, error);
+            });
+        }
+    }
+
+    async _handleMessage(connection, header, message) {
+        connection.lastEcho = Date.now();
+
+        if (header.type !== MessageType.HELLO && header.version !== OFP_VERSION) {
+            logger.warn(`Ignoring OpenFlow message with version ${header.version}`);
+            return;
+        }
+
+        const body = OpenFlowCodec.decodeBody(header, message);
+
+        const waiter = connection.pending.get(header.xid);
+        if (waiter && header.type !== MessageType.ECHO_REQUEST) {
+            connection.pending.delete(header.xid);
+            waiter.resolve({ header, body });
+        }
+
+        switch (header.type) {
+            case MessageType.HELLO:
+                if (header.version < OFP_VERSION && !body.versions.includes(OFP_VERSION)) {
+                    this._closeConnection(connection, `unsupported OpenFlow version ${header.version}`);
+                    return;
+                }
+                this._write(connection, OpenFlowCodec.encodeFeaturesRequest(this._allocateXid()));
+                break;
+            case MessageType.ECHO_REQUEST:
+                this._write(connection, OpenFlowCodec.encodeEchoReply(header.xid, body.data));
+                break;
+            case MessageType.ECHO_REPLY:
+                break;
+            case MessageType.FEATURES_REPLY:
+                await this._handleFeaturesReply(connection, body);
+                break;
+            case MessageType.MULTIPART_REPLY:
+                if (body.multipartType === MultipartType.PORT_DESC) {
+                    await this._handlePortDescription(connection, body.ports);
+                }
+                break;
+            case MessageType.PACKET_IN:
+                this.emit('packet_in', this._eventPayload(connection, body));
+                break;
+            case MessageType.PORT_STATUS:
+                this._updatePort(connection, body.port, body.reason);
+                this.emit('port_status', this._eventPayload(connection, body));
+                break;
+            case MessageType.FLOW_REMOVED:
+                this.emit('flow_removed', this._eventPayload(connection, body));
+                break;
+            case MessageType.ERROR:
+                logger.warn(`OpenFlow error from ${connection.datapathId}: type=${body.errorType} code=${body.code}`);
+                this.emit('switch_error', this._eventPayload(connection, { ...body, xid: header.xid }));
+                break;
+            default:
+                logger.debug(`Unhandled OpenFlow message type ${header.type}`);
+        }
+    }
+
+    async _handleFeaturesReply(connection, features) {
+        // Auxiliary connections share the main connection's datapath and are not tracked separately
+        if (features.auxiliaryId !== 0) {
+            return;
+        }
+
+        const existing = this.connections.get(features.datapathId);
+        if (existing && existing !== connection) {
+            this._closeConnection(existing, 'replaced by new connection');
+        }
+
+        connection.datapathId = features.datapathId;
+        connection.features = features;
+        this.pendingConnections.delete(connection);
+        this.connections.set(features.datapathId, connection);
+
+        const device = await this._linkDevice(connection);
+        connection.deviceId = device?._id?.toString() ?? null;
+
+        this._startEcho(connection);
+        this._write(connection, OpenFlowCodec.encodeMultipartRequest(this._allocateXid(), MultipartType.PORT_DESC));
+
+        logger.info(`Switch ${features.datapathId} connected (${features.nTables} tables)`);
+        this.emit('switch:connected', {
+            datapathId: features.datapathId,
+            deviceId: connection.deviceId,
+            features
+        });
+    }
+
+    async _handlePortDescription(connection, ports) {
+        connection.ports = ports;
+
+        if (!connection.deviceId) return;
+
+        try {
+            const device = await NetworkDevice.findById(connection.deviceId);
+            if (!device) return;
+
+            for (const port of ports) {
+                this._mergeInterface(device, port);
+            }
+            device.lastSeen = new Date();
+            await device.save();
+        } catch (error) {
+            logger.error(`Failed to store port description for switch ${connection.datapathId}:`, error);
+        }
+    }
+
+    _updatePort(connection, port, reason) {
+        const index = connection.ports.findIndex(p => p.portNo === port.portNo);
+        if (reason === 'delete') {
+            if (index !== -1) connection.ports.splice(index, 1);
+        } else if (index === -1) {
+            connection.ports.push(port);
+        } else {
+            connection.ports[index] = port;
+        }
+
+        if (!connection.deviceId || reason === 'delete') return;
+
+        NetworkDevice.findById(connection.deviceId)
+            .then(device => {
+                if (!device) return null;
+                this._mergeInterface(device, port);
+                return device.save();
+            })
+            .catch(error => {
+                logger.error(`Failed to update port ${port.name} on switch ${connection.datapathId}:`, error);
+            });
+    }
+
+    _mergeInterface(device, port) {
+        // Reserved ports (LOCAL, CONTROLLER, ...) are not physical interfaces
+        if (port.portNo > 0xffffff00) return;
+
+        const status = port.linkDown || port.adminDown ? 'down' : 'up';
+        const existing = device.interfaces.find(iface => iface.name === port.name);
+
+        if (existing) {
+            existing.macAddress = port.hwAddr;
+            existing.speed = Math.round(port.currSpeed / 1000);
+            existing.status = status;
+        } else {
+            device.interfaces.push({
+                name: port.name,
+                type: 'ethernet',
+                macAddress: port.hwAddr,
+                speed: Math.round(port.currSpeed / 1000),
+                status
+            });
+        }
+    }
+
+    /**
+     * Find the NetworkDevice for a datapath, creating a switch record for unknown datapaths
+     * @private
+     */
+    async _linkDevice(connection) {
+        const { datapathId, features } = connection;
+
+        try {
+            let device = await NetworkDevice.findOne({ 'openflow.datapathId': datapathId });
+
+            if (!device) {
+                device = new NetworkDevice({
+                    name: `of-switch-${datapathId}`,
+                    type: 'switch',
+                    status: 'active'
+                });
+                logger.info(`Registering new OpenFlow switch ${datapathId}`);
+            }
+
+            device.openflow = {
+                datapathId,
+                version: '1.3',
+                nTables: features.nTables,
+                nBuffers: features.nBuffers,
+                capabilities: features.capabilities,
+                connected: true,
+                remoteAddress: connection.socket.remoteAddress,
+                lastConnected: new Date()
+            };
+            device.lastSeen = new Date();
+            if (device.status === 'inactive') {
+                device.status = 'active';
+            }
+
+            return await device.save();
+        } catch (error) {
+            logger.error(`Failed to link switch ${datapathId} to a device:`, error);
+            return null;
+        }
+    }
+
+    async _markDisconnected(connection) {
+        if (!connection.deviceId) return;
+
+        try {
+            await NetworkDevice.updateOne(
+                { _id: connection.deviceId },
+                { $set: { 'openflow.connected': false, 'openflow.lastDisconnected': new Date() } }
+            );
+        } catch (error) {
+            logger.error(`Failed to mark switch ${connection.datapathId} as disconnected:`, error);
+        }
+    }
+
+    _startEcho(connection) {
+        clearInterval(connection.echoTimer);
+        connection.echoTimer = setInterval(() => {
+            if (Date.now() - connection.lastEcho > this.echoTimeout) {
+                this._closeConnection(connection, 'echo timeout');
+                return;
+            }
+            this._write(connection, OpenFlowCodec.encodeEchoRequest(this._allocateXid()));
+        }, this.echoInterval);
+        connection.echoTimer.unref?.();
+    }
+
+    _handleClose(connection) {
+        clearInterval(connection.echoTimer);
+        this.pendingConnections.delete(connection);
+
+        for (const waiter of connection.pending.values()) {
+            waiter.reject(new Error('Switch disconnected'));
+        }
+        connection.pending.clear();
+
+        if (connection.datapathId && this.connections.get(connection.datapathId) === connection) {
+            this.connections.delete(connection.datapathId);
+            const marked = this._markDisconnected(connection);
+
+            logger.info(`Switch ${connection.datapathId} disconnected`);
+            this.emit('switch:disconnected', {
+                datapathId: connection.datapathId,
+                deviceId: connection.deviceId
+            });
+            return marked;
+        }
+        return undefined;
+    }
+
+    _closeConnection(connection, reason) {
+        logger.warn(`Closing OpenFlow connection ${connection.datapathId || connection.socket.remoteAddress}: ${reason}`);
+        connection.socket.destroy();
+    }
+
+    _awaitReply(connection, xid, timeout) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                connection.pending.delete(xid);
+                reject(new Error(`OpenFlow request ${xid} timed out`));
+            }, timeout);
+
+            connection.pending.set(xid, {
+                resolve: value => {
+                    clearTimeout(timer);
+                    resolve(value);
+                },
+                reject: error => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    _getConnection(datapathId) {
+        const connection = this.connections.get(datapathId);
+        if (!connection) {
+            throw new Error(`Switch ${datapathId} is not connected`);
+        }
+        return connection;
+    }
+
+    _eventPayload(connection, body) {
+        return {
+            datapathId: connection.datapathId,
+            deviceId: connection.deviceId,
+            timestamp: new Date(),
+            ...body
+        };
+    }
+
+    _write(connection, message) {
+        if (!connection.socket.destroyed) {
+            connection.socket.write(message);
+        }
+    }
+
+    _allocateXid() {
+        const xid = this.nextXid;
+        this.nextXid = (this.nextXid % 0xffffffff) + 1;
+        return xid;
+    }
+}
+
+const openFlowController = new OpenFlowController();
+export { openFlowController as OpenFlowController };
@@ -0,0 +1,261 @@
+import { PolicyCompiler } from './PolicyCompiler.js';
+import { FlowMatch } from '../utils/FlowMatch.js';
+
+const ALL_PROTOCOLS = null;
+const PORT_PROTOCOLS = [6, 17];
+const FULL_PORT_RANGE = { from: 0, to: 65535 };
+
+class PolicyAnalyzer {
+    /**
+     * Find shadowed, redundant, conflicting and unreachable rules across a set of policies.
+     * Policies are evaluated in the same order PolicyCompiler deploys them.
+     * @param {Array} policies - NetworkPolicy documents sharing a scope
+     * @returns {{ analyzedAt: Date, policies: Array, findings: Array, skipped: Array, summary: object }}
+     */
+    analyze(policies) {
+        const ordered = [...policies].sort((a, b) =>
+            b.priority - a.priority || String(a._id).localeCompare(String(b._id))
+        );
+
+        const findings = [];
+        const skipped = [];
+        const rules = [];
+
+        for (const policy of ordered) {
+            policy.rules.forEach((rule, ruleIndex) => {
+                const ref = this._ruleRef(policy, rule, ruleIndex);
+                let variants;
+
+                try {
+                    variants = PolicyCompiler.compileRule(policy, rule, ruleIndex);
+                } catch (error) {
+                    findings.push(this._finding('unreachable', ref, [], `Rule can never match: ${error.message}`));
+                    return;
+                }
+
+                if (variants.some(variant => variant.negate)) {
+                    skipped.push({ ...ref, reason: 'negated conditions are not analyzed' });
+                    return;
+                }
+
+                const impossible = variants.find(variant => this._protocols(variant.match)?.length === 0);
+                if (impossible) {
+                    findings.push(this._finding('unreachable', ref, [], 'Rule can never match: port conditions require tcp or udp'));
+                    return;
+                }
+
+                rules.push({
+                    ref,
+                    policy,
+                    variants,
+                    action: rule.action.type,
+                    parameters: rule.action.parameters || {},
+                    terminal: variants[0].terminal
+                });
+            });
+        }
+
+        // Rules that can never be reached are left out of the conflict and redundancy checks
+        const dead = new Set();
+        rules.forEach((rule, position) => {
+            const coverage = this._checkCoverage(rule, rules.slice(0, position));
+            if (coverage.length > 0) dead.add(rule);
+            findings.push(...coverage);
+        });
+
+        const live = rules.filter(rule => !dead.has(rule));
+        live.forEach((rule, position) => {
+            findings.push(...this._checkConflicts(rule, live.slice(0, position)));
+        });
+        findings.push(...this._checkRedundantBeforeGeneral(live));
+
+        const summary = { shadowed: 0, redundant: 0, conflicting: 0, unreachable: 0 };
+        findings.forEach(finding => summary[finding.type]++);
+
+        return {
+            analyzedAt: new Date(),
+            policies: ordered.map(policy => ({
+                id: String(policy._id),
+                name: policy.name,
+                priority: policy.priority,
+                status: policy.status
+            })),
+            findings,
+            skipped,
+            summary
+        };
+    }
+
+    /**
+     * Whether the outer rule variant matches every packet the inner one does
+     */
+    covers(outer, inner) {
+        if (!this._isUnconditional(outer)) return false;
+
+        const outerProtocols = this._protocols(outer.match);
+        const innerProtocols = this._protocols(inner.match);
+        if (outerProtocols !== ALL_PROTOCOLS &&
+            (innerProtocols === ALL_PROTOCOLS || innerProtocols.some(protocol => !outerProtocols.includes(protocol)))) {
+            return false;
+        }
+
+        return FlowMatch.covers(this._ipMatch(outer.match), this._ipMatch(inner.match)) &&
+            this._rangeContains(outer.match.srcPort, inner.match.srcPort) &&
+            this._rangeContains(outer.match.dstPort, inner.match.dstPort);
+    }
+
+    /**
+     * Whether two rule variants match at least one common packet
+     */
+    overlaps(a, b) {
+        const left = this._protocols(a.match);
+        const right = this._protocols(b.match);
+        if (left !== ALL_PROTOCOLS && right !== ALL_PROTOCOLS && !left.some(protocol => right.includes(protocol))) {
+            return false;
+        }
+
+        return FlowMatch.overlaps(this._ipMatch(a.match), this._ipMatch(b.match)) &&
+            this._rangesIntersect(a.match.srcPort, b.match.srcPort) &&
+            this._rangesIntersect(a.match.dstPort, b.match.dstPort);
+    }
+
+    // Private helper methods
+    _checkCoverage(rule, earlier) {
+        // Order between different policies at the same priority is arbitrary, which is a conflict rather than shadowing
+        const terminal = earlier.filter(candidate => candidate.terminal &&
+            (candidate.policy.priority !== rule.policy.priority ||
+                String(candidate.policy._id) === String(rule.policy._id) ||
+                this._sameEffect(candidate, rule)));
+        const coveringByVariant = rule.variants.map(variant =>
+            terminal.filter(candidate => candidate.variants.some(other => this.covers(other, variant)))
+        );
+
+        if (coveringByVariant.some(covering => covering.length === 0)) return [];
+
+        // Rules are never reached once an earlier rule covers them; the label says whether that defeats their intent
+        const single = coveringByVariant[0].find(candidate =>
+            coveringByVariant.every(covering => covering.includes(candidate))
+        );
+
+        if (single) {
+            const type = this._sameEffect(single, rule) ? 'redundant' : 'shadowed';
+            const message = type === 'redundant'
+                ? `Rule is fully covered by ${this._describe(single.ref)} with the same action`
+                : `Rule is fully shadowed by ${this._describe(single.ref)} (${single.action})`;
+            return [this._finding(type, rule.ref, [single.ref], message)];
+        }
+
+        const related = [...new Set(coveringByVariant.map(covering => covering[0]))];
+        return [this._finding('unreachable', rule.ref, related.map(candidate => candidate.ref),
+            'Rule is covered by a combination of earlier rules and can never match')];
+    }
+
+    _checkConflicts(rule, earlier) {
+        if (!rule.terminal) return [];
+
+        return earlier
+            .filter(candidate => candidate.terminal &&
+                candidate.policy.priority === rule.policy.priority &&
+                String(candidate.policy._id) !== String(rule.policy._id) &&
+                !this._sameEffect(candidate, rule) &&
+                candidate.variants.some(other => rule.variants.some(variant => this.overlaps(other, variant))))
+            .map(candidate => this._finding('conflicting', rule.ref, [candidate.ref],
+                `Rule contradicts ${this._describe(candidate.ref)} at the same priority; evaluation order between them is arbitrary`));
+    }
+
+    /**
+     * A rule is also redundant when a later, more general rule with the same action would
+     * catch the same traffic and nothing in between matches it differently
+     * @private
+     */
+    _checkRedundantBeforeGeneral(rules) {
+        const findings = [];
+
+        rules.forEach((rule, position) => {
+            if (!rule.terminal) return;
+
+            for (let next = position + 1; next < rules.length; next++) {
+                const candidate = rules[next];
+                const overlapsVariant = candidate.variants.some(other =>
+                    rule.variants.some(variant => this.overlaps(other, variant))
+                );
+                if (!overlapsVariant) continue;
+
+                const coversAll = candidate.terminal &&
+                    rule.variants.every(variant => candidate.variants.some(other => this.covers(other, variant)));
+
+                if (coversAll && this._sameEffect(candidate, rule)) {
+                    findings.push(this._finding('redundant', rule.ref, [candidate.ref],
+                        `Rule can be removed; ${this._describe(candidate.ref)} has the same effect`));
+                }
+                if (candidate.terminal && (coversAll || !this._sameEffect(candidate, rule))) break;
+            }
+        });
+
+        return findings;
+    }
+
+    _sameEffect(a, b) {
+        return a.action === b.action && JSON.stringify(a.parameters) === JSON.stringify(b.parameters);
+    }
+
+    _protocols(match) {
+        if (match.protocol !== undefined) {
+            const hasPorts = match.srcPort !== undefined || match.dstPort !== undefined;
+            return hasPorts && !PORT_PROTOCOLS.includes(match.protocol) ? [] : [match.protocol];
+        }
+        if (match.srcPort !== undefined || match.dstPort !== undefined) return PORT_PROTOCOLS;
+        return ALL_PROTOCOLS;
+    }
+
+    _ipMatch(match) {
+        const ipMatch = {};
+        if (match.srcIp) ipMatch.ipv4Src = match.srcIp;
+        if (match.dstIp) ipMatch.ipv4Dst = match.dstIp;
+        return ipMatch;
+    }
+
+    _range(port) {
+        if (port === undefined) return FULL_PORT_RANGE;
+        if (typeof port === 'number') return { from: port, to: port };
+        return port;
+    }
+
+    _rangeContains(outer, inner) {
+        const a = this._range(outer);
+        const b = this._range(inner);
+        return a.from <= b.from && a.to >= b.to;
+    }
+
+    _rangesIntersect(left, right) {
+        const a = this._range(left);
+        const b = this._range(right);
+        return a.from <= b.to && b.from <= a.to;
+    }
+
+    // Time windows and bandwidth thresholds only apply part of the time, so they never fully cover
+    _isUnconditional(variant) {
+        return !variant.timeRange && !variant.bandwidthThreshold;
+    }
+
+    _ruleRef(policy, rule, ruleIndex) {
+        return {
+            policyId: String(policy._id),
+            policyName: policy.name,
+            priority: policy.priority,
+            ruleIndex,
+            ruleName: rule.name
+        };
+    }
+
+    _describe(ref) {
+        return `${ref.policyName} rule ${ref.ruleIndex}`;
+    }
+
+    _finding(type, rule, related, message) {
+        return { type, rule, related, message };
+    }
+}
+
+const policyAnalyzer = new PolicyAnalyzer();
+export { policyAnalyzer as PolicyAnalyzer };
@@ -0,0 +1,583 @@
+import { FlowMatch } from '../utils/FlowMatch.js';
+import logger from '../utils/logger.js';
+
+const PROTOCOLS = {
+    icmp: 1,
+    igmp: 2,
+    tcp: 6,
+    udp: 17,
+    gre: 47,
+    esp: 50,
+    ah: 51,
+    ospf: 89,
+    sctp: 132
+};
+
+const ETH_TYPE_IPV4 = 0x0800;
+const PORT_PROTOCOLS = [PROTOCOLS.tcp, PROTOCOLS.udp];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Terminal actions end evaluation; log/alert mirror traffic and let later rules decide
+const TERMINAL_ACTIONS = ['allow', 'deny', 'limit', 'redirect'];
+
+// Each policy priority (1-1000) owns a band of 64 flow priorities, one per rule position
+const RULES_PER_POLICY = 64;
+
+class PolicyCompiler {
+    constructor() {
+        this.maxExpandedEntries = 256;
+        this.policyTable = 0;
+    }
+
+    /**
+     * Compile policies into an ordered rule set for a device
+     * @param {object} device - NetworkDevice document
+     * @param {Array} policies - NetworkPolicy documents applicable to the device
+     * @param {object} options - { at: Date } evaluation time for schedules and time windows
+     */
+    compile(device, policies, options = {}) {
+        const at = options.at || new Date();
+        const warnings = [];
+        const inactivePolicies = [];
+
+        const ordered = [...policies].sort((a, b) =>
+            b.priority - a.priority || String(a._id).localeCompare(String(b._id))
+        );
+
+        const rules = [];
+        for (const policy of ordered) {
+            if (!this.isScheduleActive(policy, at)) {
+                inactivePolicies.push({ policyId: String(policy._id), name: policy.name });
+                continue;
+            }
+
+            if (policy.rules.length > RULES_PER_POLICY) {
+                warnings.push(`Policy ${policy.name} has more than ${RULES_PER_POLICY} rules; later rules share a priority`);
+            }
+
+            policy.rules.forEach((rule, ruleIndex) => {
+                try {
+                    rules.push(...this.compileRule(policy, rule, ruleIndex));
+                } catch (error) {
+                    warnings.push(`Policy ${policy.name} rule ${ruleIndex}: ${error.message}`);
+                }
+            });
+        }
+
+        rules.forEach((rule, sequence) => {
+            rule.sequence = sequence;
+        });
+
+        const flows = this._buildFlows(rules, at, warnings);
+
+        return {
+            deviceId: device?._id ? String(device._id) : undefined,
+            generatedAt: at,
+            policies: ordered
+                .filter(policy => !inactivePolicies.some(inactive => inactive.policyId === String(policy._id)))
+                .map(policy => ({
+                    id: String(policy._id),
+                    name: policy.name,
+                    type: policy.type,
+                    priority: policy.priority,
+                    version: policy.metadata?.version
+                })),
+            inactivePolicies,
+            rules,
+            security: {
+                acls: rules.filter(rule => ['security', 'access', 'compliance'].includes(rule.policyType))
+            },
+            qos: {
+                policies: rules.filter(rule => rule.policyType === 'qos' || rule.action === 'limit')
+            },
+            routing: {
+                policies: rules.filter(rule => rule.policyType === 'routing' || rule.action === 'redirect')
+            },
+            flows,
+            warnings
+        };
+    }
+
+    /**
+     * Compile a single policy rule into one or more neutral rule entries
+     */
+    compileRule(policy, rule, ruleIndex) {
+        const { condition, action } = rule;
+        const base = {
+            policyId: String(policy._id),
+            policyName: policy.name,
+            policyType: policy.type,
+            policyPriority: policy.priority,
+            ruleIndex,
+            ruleName: rule.name,
+            priority: this.flowPriority(policy.priority, ruleIndex),
+            action: action.type,
+            parameters: action.parameters || {},
+            terminal: TERMINAL_ACTIONS.includes(action.type),
+            negate: ['not_equals', 'not_contains'].includes(condition.operator)
+        };
+
+        if (action.type === 'redirect' && !action.parameters?.port && !action.parameters?.ip) {
+            throw new Error('redirect action requires parameters.port or parameters.ip');
+        }
+
+        const variants = this._compileCondition(condition);
+
+        return variants.map((variant, index) => ({
+            id: `${base.policyId}/${ruleIndex}/${index}`,
+            ...base,
+            ...variant,
+            ...(action.type === 'limit' ? { rateLimit: this._rateLimit(action.parameters, variant) } : {})
+        }));
+    }
+
+    flowPriority(policyPriority, ruleIndex) {
+        return policyPriority * RULES_PER_POLICY + Math.max(0, RULES_PER_POLICY - 1 - ruleIndex);
+    }
+
+    /**
+     * Whether a policy schedule is in effect; recurring schedules repeat the startTime-endTime window
+     */
+    isScheduleActive(policy, at = new Date()) {
+        const schedule = policy.schedule;
+        if (!schedule) return true;
+        if (schedule.active === false) return false;
+        if (!schedule.startTime) return true;
+
+        const start = new Date(schedule.startTime);
+        if (at < start) return false;
+        if (!schedule.endTime) return true;
+
+        const end = new Date(schedule.endTime);
+        const duration = end - start;
+
+        switch (schedule.recurrence) {
+            case 'daily':
+                return (at - start) % (24 * 3600 * 1000) < duration;
+            case 'weekly':
+                return (at - start) % (7 * 24 * 3600 * 1000) < duration;
+            case 'monthly': {
+                const occurrence = new Date(start);
+                occurrence.setFullYear(at.getFullYear(), at.getMonth());
+                if (occurrence > at) occurrence.setMonth(occurrence.getMonth() - 1);
+                return at - occurrence < duration;
+            }
+            default:
+                return at <= end;
+        }
+    }
+
+    /**
+     * Seconds until a time range closes, 0 if it is closed at `at`
+     */
+    timeRangeRemaining(timeRange, at = new Date()) {
+        if (!timeRange) return Infinity;
+
+        const day = DAYS[at.getDay()];
+        if (timeRange.days && !timeRange.days.includes(day)) return 0;
+
+        const minutes = at.getHours() * 60 + at.getMinutes();
+        const start = this._parseClock(timeRange.start);
+        const end = this._parseClock(timeRange.end);
+
+        const inside = start <= end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+        if (!inside) return 0;
+
+        const remainingMinutes = end > minutes ? end - minutes : 24 * 60 - minutes + end;
+        return remainingMinutes * 60 - at.getSeconds();
+    }
+
+    /**
+     * Compare two compiled rule sets by rule id
+     * @returns {{ added: Array, removed: Array, changed: Array, unchanged: number }}
+     */
+    diff(previous, next) {
+        const before = new Map((previous?.rules || []).map(rule => [rule.id, rule]));
+        const after = new Map((next?.rules || []).map(rule => [rule.id, rule]));
+        const result = { added: [], removed: [], changed: [], unchanged: 0 };
+
+        for (const [id, rule] of after) {
+            const old = before.get(id);
+            if (!old) {
+                result.added.push(rule);
+                continue;
+            }
+
+            const changes = this._ruleChanges(old, rule);
+            if (changes.length > 0) {
+                result.changed.push({ id, changes, before: old, after: rule });
+            } else {
+                result.unchanged++;
+            }
+        }
+
+        for (const [id, rule] of before) {
+            if (!after.has(id)) {
+                result.removed.push(rule);
+            }
+        }
+
+        return result;
+    }
+
+    // Private helper methods
+    _compileCondition(condition) {
+        const { type, operator, value, valueEnd } = condition;
+
+        switch (type) {
+            case 'ip':
+                return this._compileIpCondition(operator, value);
+            case 'port':
+                return this._compilePortCondition(operator, value, valueEnd);
+            case 'protocol':
+                return [{ match: { protocol: this._resolveProtocol(value) } }];
+            case 'bandwidth':
+                return [{ match: {}, bandwidthThreshold: this._bandwidthThreshold(operator, value, valueEnd) }];
+            case 'time':
+                return [{ match: {}, timeRange: this._timeRange(operator, value, valueEnd) }];
+            case 'custom':
+                return [{ match: this._customMatch(value) }];
+            default:
+                throw new Error(`Unsupported condition type: ${type}`);
+        }
+    }
+
+    _compileIpCondition(operator, value) {
+        if (!['equals', 'not_equals', 'contains', 'not_contains'].includes(operator)) {
+            throw new Error(`Operator ${operator} is not supported for ip conditions`);
+        }
+
+        // { src, dst } pins the direction; a bare address matches traffic to or from it
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            const match = {};
+            if (value.src) match.srcIp = this._normalizeIp(value.src);
+            if (value.dst) match.dstIp = this._normalizeIp(value.dst);
+            if (!match.srcIp && !match.dstIp) {
+                throw new Error('ip condition object needs src or dst');
+            }
+            return [{ match }];
+        }
+
+        const addresses = Array.isArray(value) ? value : [value];
+        return addresses.flatMap(address => {
+            const ip = this._normalizeIp(address);
+            return [{ match: { srcIp: ip } }, { match: { dstIp: ip } }];
+        });
+    }
+
+    _compilePortCondition(operator, value, valueEnd) {
+        const spec = this._parsePortValue(value);
+        let range;
+
+        switch (operator) {
+            case 'equals':
+            case 'not_equals':
+            case 'contains':
+            case 'not_contains':
+                range = spec.port;
+                break;
+            case 'between':
+                range = { from: spec.port, to: this._parsePortValue(valueEnd).port };
+                break;
+            case 'greater_than':
+                range = { from: spec.port + 1, to: 65535 };
+                break;
+            case 'less_than':
+                range = { from: 0, to: spec.port - 1 };
+                break;
+            default:
+                throw new Error(`Operator ${operator} is not supported for port conditions`);
+        }
+
+        if (typeof range === 'object' && (range.from > range.to || range.from < 0 || range.to > 65535)) {
+            throw new Error(`Invalid port range ${range.from}-${range.to}`);
+        }
+        if (typeof range === 'object' && range.from === range.to) {
+            range = range.from;
+        }
+
+        const match = { [spec.direction === 'src' ? 'srcPort' : 'dstPort']: range };
+        if (spec.protocol !== undefined) match.protocol = spec.protocol;
+
+        return [{ match }];
+    }
+
+    _parsePortValue(value) {
+        if (value && typeof value === 'object') {
+            const port = Number(value.port);
+            this._assertPort(port);
+            return {
+                port,
+                protocol: value.protocol !== undefined ? this._resolveProtocol(value.protocol) : undefined,
+                direction: value.direction === 'src' ? 'src' : 'dst'
+            };
+        }
+
+        // Accept "443", "tcp/443" or "udp/53"
+        const [first, second] = String(value).toLowerCase().split('/');
+        const port = Number(second ?? first);
+        this._assertPort(port);
+
+        return {
+            port,
+            protocol: second !== undefined ? this._resolveProtocol(first) : undefined,
+            direction: 'dst'
+        };
+    }
+
+    _assertPort(port) {
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+            throw new Error(`Invalid port ${port}`);
+        }
+    }
+
+    _resolveProtocol(value) {
+        if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+            const number = Number(value);
+            if (number < 0 || number > 255) {
+                throw new Error(`Invalid protocol number ${value}`);
+            }
+            return number;
+        }
+
+        const number = PROTOCOLS[String(value).toLowerCase()];
+        if (number === undefined) {
+            throw new Error(`Unknown protocol ${value}`);
+        }
+        return number;
+    }
+
+    _normalizeIp(value) {
+        const normalized = FlowMatch.normalize({ ipv4Src: value }).ipv4Src;
+        if (FlowMatch.validate({ ethType: ETH_TYPE_IPV4, ipv4Src: value }).length > 0) {
+            throw new Error(`Invalid IPv4 address or prefix ${value}`);
+        }
+        return normalized;
+    }
+
+    _bandwidthThreshold(operator, value, valueEnd) {
+        const kbps = Number(value);
+        if (!Number.isFinite(kbps) || kbps <= 0) {
+            throw new Error('bandwidth condition value must be a positive rate in kbps');
+        }
+
+        switch (operator) {
+            case 'greater_than':
+                return { aboveKbps: kbps };
+            case 'less_than':
+                return { belowKbps: kbps };
+            case 'between':
+                return { aboveKbps: kbps, belowKbps: Number(valueEnd) };
+            default:
+                throw new Error(`Operator ${operator} is not supported for bandwidth conditions`);
+        }
+    }
+
+    _rateLimit(parameters = {}, variant) {
+        const kbps = Number(parameters.rate ?? parameters.rateKbps ?? variant.bandwidthThreshold?.aboveKbps);
+        if (!Number.isFinite(kbps) || kbps <= 0) {
+            throw new Error('limit action requires parameters.rate (kbps) or a bandwidth condition');
+        }
+
+        return {
+            kbps,
+            burstKb: Number(parameters.burst ?? parameters.burstKb) || undefined,
+            meterId: parameters.meterId !== undefined ? Number(parameters.meterId) : undefined
+        };
+    }
+
+    _timeRange(operator, value, valueEnd) {
+        const spec = value && typeof value === 'object' ? value : { start: value, end: valueEnd };
+        let { start, end } = spec;
+
+        if (operator === 'greater_than') {
+            end = '24:00';
+        } else if (operator === 'less_than') {
+            end = start;
+            start = '00:00';
+        } else if (operator !== 'between') {
+            throw new Error(`Operator ${operator} is not supported for time conditions`);
+        }
+
+        this._parseClock(start);
+        this._parseClock(end);
+
+        const days = spec.days?.map(day => String(day).slice(0, 3).toLowerCase());
+        if (days?.some(day => !DAYS.includes(day))) {
+            throw new Error(`Invalid days in time condition: ${spec.days.join(', ')}`);
+        }
+
+        return { start, end, ...(days ? { days } : {}) };
+    }
+
+    _parseClock(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+        if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+            throw new Error(`Invalid time of day ${value}`);
+        }
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    _customMatch(value) {
+        if (!value || typeof value !== 'object') {
+            throw new Error('custom condition value must be a match object');
+        }
+
+        const match = {};
+        for (const [key, fieldValue] of Object.entries(value)) {
+            if (['srcIp', 'dstIp'].includes(key)) match[key] = this._normalizeIp(fieldValue);
+            else if (['srcPort', 'dstPort'].includes(key)) match[key] = fieldValue;
+            else if (key === 'protocol') match.protocol = this._resolveProtocol(fieldValue);
+            else throw new Error(`Unsupported custom match field ${key}`);
+        }
+        return match;
+    }
+
+    /**
+     * Derive OpenFlow table entries from the neutral rule set
+     * @private
+     */
+    _buildFlows(rules, at, warnings) {
+        const flows = [];
+
+        for (const rule of rules) {
+            if (rule.negate) {
+                warnings.push(`Rule ${rule.id} uses a negated condition and is only rendered as an ACL entry`);
+                continue;
+            }
+
+            const remaining = this.timeRangeRemaining(rule.timeRange, at);
+            if (remaining === 0) continue;
+
+            let matches;
+            try {
+                matches = this._toOpenFlowMatches(rule.match);
+            } catch (error) {
+                warnings.push(`Rule ${rule.id}: ${error.message}`);
+                continue;
+            }
+
+            let instructions;
+            try {
+                instructions = this._toInstructions(rule);
+            } catch (error) {
+                warnings.push(`Rule ${rule.id}: ${error.message}`);
+                continue;
+            }
+
+            matches.forEach((match, index) => {
+                flows.push({
+                    ruleId: rule.id,
+                    tableId: this.policyTable,
+                    priority: rule.priority,
+                    match,
+                    instructions,
+                    idleTimeout: 0,
+                    hardTimeout: Number.isFinite(remaining) ? Math.min(remaining, 65535) : 0,
+                    metadata: { policyId: rule.policyId, notes: `${rule.policyName} rule ${rule.ruleIndex}.${index}` }
+                });
+            });
+        }
+
+        return flows;
+    }
+
+    _toOpenFlowMatches(match) {
+        const base = { ethType: ETH_TYPE_IPV4 };
+        if (match.srcIp) base.ipv4Src = match.srcIp;
+        if (match.dstIp) base.ipv4Dst = match.dstIp;
+
+        const hasPorts = match.srcPort !== undefined || match.dstPort !== undefined;
+        if (!hasPorts) {
+            if (match.protocol !== undefined) base.ipProto = match.protocol;
+            return [base];
+        }
+
+        const protocols = match.protocol !== undefined ? [match.protocol] : PORT_PROTOCOLS;
+        if (protocols.some(protocol => !PORT_PROTOCOLS.includes(protocol))) {
+            throw new Error('port conditions require tcp or udp');
+        }
+
+        const total = protocols.length * this._portCount(match.srcPort) * this._portCount(match.dstPort);
+        if (total > this.maxExpandedEntries) {
+            throw new Error(`port range expands to ${total} flow entries (limit ${this.maxExpandedEntries})`);
+        }
+
+        const srcPorts = this._expandPorts(match.srcPort);
+        const dstPorts = this._expandPorts(match.dstPort);
+
+        const matches = [];
+        for (const protocol of protocols) {
+            const prefix = protocol === PROTOCOLS.tcp ? 'tcp' : 'udp';
+            for (const srcPort of srcPorts) {
+                for (const dstPort of dstPorts) {
+                    const entry = { ...base, ipProto: protocol };
+                    if (srcPort !== undefined) entry[`${prefix}Src`] = srcPort;
+                    if (dstPort !== undefined) entry[`${prefix}Dst`] = dstPort;
+                    matches.push(entry);
+                }
+            }
+        }
+        return matches;
+    }
+
+    _portCount(port) {
+        return typeof port === 'object' ? port.to - port.from + 1 : 1;
+    }
+
+    _expandPorts(port) {
+        if (port === undefined) return [undefined];
+        if (typeof port === 'number') return [port];
+
+        const ports = [];
+        for (let value = port.from; value <= port.to; value++) {
+            ports.push(value);
+        }
+        return ports;
+    }
+
+    _toInstructions(rule) {
+        const normal = { type: 'output', port: 'normal' };
+        const controller = { type: 'output', port: 'controller' };
+
+        switch (rule.action) {
+            case 'allow':
+                return [{ type: 'apply_actions', actions: [rule.parameters.port !== undefined ? { type: 'output', port: rule.parameters.port } : normal] }];
+            case 'deny':
+                return [];
+            case 'limit': {
+                if (rule.rateLimit.meterId === undefined) {
+                    throw new Error('limit action needs parameters.meterId to be enforced on OpenFlow switches');
+                }
+                return [
+                    { type: 'meter', meterId: rule.rateLimit.meterId },
+                    { type: 'apply_actions', actions: [normal] }
+                ];
+            }
+            case 'redirect': {
+                const actions = [];
+                if (rule.parameters.ip) {
+                    actions.push({ type: 'set_field', field: { ipv4Dst: rule.parameters.ip } });
+                }
+                actions.push(rule.parameters.port !== undefined ? { type: 'output', port: rule.parameters.port } : normal);
+                return [{ type: 'apply_actions', actions }];
+            }
+            case 'log':
+            case 'alert':
+                return [{ type: 'apply_actions', actions: [controller, normal] }];
+            default:
+                logger.warn(`Unknown policy action ${rule.action}`);
+                throw new Error(`Unsupported action ${rule.action}`);
+        }
+    }
+
+    _ruleChanges(before, after) {
+        const fields = ['priority', 'action', 'terminal', 'negate', 'match', 'parameters', 'rateLimit', 'timeRange', 'bandwidthThreshold'];
+        return fields.filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+    }
+}
+
+const policyCompiler = new PolicyCompiler();
+export { policyCompiler as PolicyCompiler };
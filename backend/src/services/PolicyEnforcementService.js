@@ -1,8 +1,19 @@
 import NetworkPolicy from '../models/NetworkPolicy.js';
 import NetworkDevice from '../models/NetworkDevice.js';
+import PolicyDeployment from '../models/PolicyDeployment.js';
 import { AutoConfigService } from './AutoConfigService.js';
+import { ConfigDeploymentService } from './ConfigDeploymentService.js';
+import { FlowTableService } from './FlowTableService.js';
+import { MaintenanceManager } from './MaintenanceManager.js';
+import { PolicyCompiler } from './PolicyCompiler.js';
+import { PolicyAnalyzer } from './PolicyAnalyzer.js';
+import { AppError, ErrorHandler } from '../utils/ErrorHandler.js';
 import logger from '../utils/logger.js';
 
+// Policy actions an ACL entry enforces, and the protocol numbers an intent ACL can name
+const ACL_ACTIONS = { allow: 'permit', deny: 'deny' };
+const ACL_PROTOCOL_NAMES = { 1: 'icmp', 6: 'tcp', 17: 'udp' };
+
 class PolicyEnforcementService {
     constructor() {
         // Initialize any required properties
@@ -12,8 +23,9 @@ class PolicyEnforcementService {
      * Deploy policies to a device
      * @param {string} deviceId - Target device ID
      * @param {Array} policyIds - List of policy IDs to deploy (optional)
+     * @param {object} actor - { id, type, ip, userAgent } of whoever triggered the deployment
      */
-    async deployPolicies(deviceId, policyIds = null) {
+    async deployPolicies(deviceId, policyIds = null, actor = null) {
         try {
             const device = await NetworkDevice.findById(deviceId);
             if (!device) {
@@ -23,20 +35,42 @@ class PolicyEnforcementService {
             // Get applicable policies
             const policies = policyIds 
                 ? await NetworkPolicy.find({ _id: { $in: policyIds }, status: 'active' })
-                : await NetworkPolicy.findByDevice(device.type, device.groups);
+                : await this._findApplicablePolicies(device);
 
             // Convert policies to device configuration
-            const policyConfig = await this._convertPoliciesToConfig(device, policies);
+            const ruleSet = PolicyCompiler.compile(device, policies);
+            const policyConfig = await this._convertPoliciesToConfig(device, policies, ruleSet);
+
+            let deployment;
+            try {
+                // Deploy configuration; rolled back when the device fails its health check
+                deployment = await ConfigDeploymentService.deploy(deviceId, policyConfig, {
+                    autoConfirm: true,
+                    comment: `Policies: ${policies.map(policy => policy.name).join(', ')}`.slice(0, 500)
+                }, actor);
+                if (deployment.status !== 'confirmed') {
+                    throw ErrorHandler.conflict(`Configuration deployment ${deployment.status.replace(/_/g, ' ')}: ${deployment.error}`, {
+                        deploymentId: deployment._id
+                    });
+                }
 
-            // Deploy configuration
-            await AutoConfigService.deployConfig(deviceId, policyConfig);
+                if (device.openflow?.datapathId) {
+                    await FlowTableService.replacePolicyFlows(deviceId, ruleSet.flows, actor);
+                }
+            } catch (error) {
+                await this._recordPolicyDeployment(device, policies, ruleSet, actor, error);
+                throw error;
+            }
 
             // Record policy deployment
-            await this._recordPolicyDeployment(device, policies);
+            await this._recordPolicyDeployment(device, policies, ruleSet, actor);
 
             return {
                 success: true,
                 deployedPolicies: policies.length,
+                deployedRules: ruleSet.rules.length,
+                warnings: ruleSet.warnings,
+                deploymentId: deployment._id,
                 deviceId
             };
         } catch (error) {
@@ -45,6 +79,100 @@ class PolicyEnforcementService {
         }
     }
 
+    /**
+     * Compile a policy against every device in its scope and diff the result with
+     * what was last deployed, without deploying anything
+     * @param {string} policyId - Policy to preview, in any status but archived
+     * @param {object} options - { deviceIds } to limit the preview to specific devices
+     */
+    async previewPolicy(policyId, options = {}) {
+        try {
+            const policy = await NetworkPolicy.findById(policyId);
+            if (!policy) {
+                throw ErrorHandler.notFound('Policy not found');
+            }
+            if (policy.status === 'archived') {
+                throw ErrorHandler.badRequest('Archived policies cannot be previewed');
+            }
+
+            const devices = await this._findScopedDevices(policy, options.deviceIds);
+
+            const results = await Promise.all(devices.map(async device => {
+                const applicable = await this._findApplicablePolicies(device);
+                const candidate = [
+                    ...applicable.filter(existing => !existing._id.equals(policy._id)),
+                    policy
+                ];
+
+                const ruleSet = PolicyCompiler.compile(device, candidate);
+                const deployment = await PolicyDeployment.findLatest(device._id);
+
+                return {
+                    deviceId: device._id,
+                    deviceName: device.name,
+                    lastDeployedAt: deployment?.createdAt,
+                    ruleCount: ruleSet.rules.length,
+                    flowCount: ruleSet.flows.length,
+                    diff: PolicyCompiler.diff(deployment?.ruleSet, ruleSet),
+                    warnings: ruleSet.warnings
+                };
+            }));
+
+            return {
+                policyId: policy._id,
+                policyName: policy.name,
+                status: policy.status,
+                devices: results
+            };
+        } catch (error) {
+            logger.error('Policy preview error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Report shadowed, redundant, conflicting and unreachable rules among active policies
+     * @param {object} scope - { deviceTypes, deviceGroups, locations }; empty means every active policy
+     */
+    async analyzeScope(scope = {}) {
+        try {
+            const policies = await NetworkPolicy.findActiveInScope(scope);
+            return { scope, ...PolicyAnalyzer.analyze(policies) };
+        } catch (error) {
+            logger.error('Policy analysis error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Activate a policy; draft policies are validated against active policies in their scope first
+     * @param {string} policyId - Policy ID
+     * @param {object} options - { force } activates despite blocking findings
+     * @param {object} actor - { id } recorded as the last modifier
+     */
+    async activatePolicy(policyId, options = {}, actor = null) {
+        try {
+            const policy = await NetworkPolicy.findById(policyId);
+            if (!policy) {
+                throw ErrorHandler.notFound('Policy not found');
+            }
+            if (policy.status === 'archived') {
+                throw ErrorHandler.badRequest('Archived policies cannot be activated');
+            }
+
+            if (policy.status === 'draft') {
+                policy.validation = await this._validateActivation(policy, options);
+            }
+            if (actor?.id) {
+                policy.metadata.lastModifiedBy = actor.id;
+            }
+            return await policy.activate();
+        } catch (error) {
+            logger.error('Policy activation error:', error);
+            throw error;
+        }
+    }
+
     /**
      * Check policy compliance for a device
      * @param {string} deviceId - Device ID to check
@@ -60,7 +188,7 @@ class PolicyEnforcementService {
             const currentConfig = await AutoConfigService._getDeviceConfig(device);
 
             // Get applicable policies
-            const policies = await NetworkPolicy.findByDevice(device.type, device.groups);
+            const policies = await this._findApplicablePolicies(device);
 
             // Check each policy
             const complianceResults = await Promise.all(
@@ -83,7 +211,8 @@ class PolicyEnforcementService {
     }
 
     /**
-     * Handle policy violations
+     * Handle policy violations. Nothing is done for devices under maintenance; the violations are
+     * returned with status 'skipped'.
      * @param {string} deviceId - Device ID
      * @param {Array} violations - List of violations
      */
@@ -94,6 +223,17 @@ class PolicyEnforcementService {
                 throw new Error('Device not found');
             }
 
+            const maintenance = await MaintenanceManager.getMaintenance(device);
+            if (maintenance) {
+                logger.info(`Skipping policy violations of ${device.name}: device is under maintenance`);
+                return violations.map(violation => ({
+                    violationId: violation.id,
+                    status: 'skipped',
+                    maintenance,
+                    actions: []
+                }));
+            }
+
             const handledViolations = await Promise.all(
                 violations.map(violation => this._handleViolation(device, violation))
             );
@@ -141,38 +281,86 @@ class PolicyEnforcementService {
      * Convert policies to device configuration
      * @private
      */
-    async _convertPoliciesToConfig(device, policies) {
-        const config = {
+    async _convertPoliciesToConfig(device, policies, ruleSet = PolicyCompiler.compile(device, policies)) {
+        return {
+            name: device.name,
+            type: device.type,
+            settings: {
+                policies: ruleSet.policies,
+                generatedAt: ruleSet.generatedAt
+            },
             security: {
-                acls: [],
-                firewallRules: []
+                acls: ruleSet.security.acls
             },
             qos: {
-                policies: [],
-                classifiers: []
+                policies: ruleSet.qos.policies
             },
             routing: {
-                policies: [],
-                filters: []
+                policies: ruleSet.routing.policies
             }
         };
+    }
 
-        for (const policy of policies) {
-            switch (policy.type) {
-                case 'security':
-                    config.security = this._convertSecurityPolicy(policy);
-                    break;
-                case 'qos':
-                    config.qos = this._convertQoSPolicy(policy);
-                    break;
-                case 'routing':
-                    config.routing = this._convertRoutingPolicy(policy);
-                    break;
-                // Add more policy types as needed
-            }
+    /**
+     * Active policies whose scope covers the device
+     * @private
+     */
+    async _findApplicablePolicies(device) {
+        return NetworkPolicy.findByDevice(device.type, device.groups, device.location?.building);
+    }
+
+    /**
+     * Analyze a draft policy with the active policies in its scope
+     * @private
+     * @returns {Promise<{ checkedAt, findings, forced }>} the findings that involve the policy
+     * @throws {AppError} VALIDATION_ERROR when a finding changes what the policy does, unless options.force
+     */
+    async _validateActivation(policy, options = {}) {
+        const active = await NetworkPolicy.findActiveInScope(policy.scope);
+        const analysis = PolicyAnalyzer.analyze([
+            ...active.filter(existing => !existing._id.equals(policy._id)),
+            policy
+        ]);
+
+        const id = policy._id.toString();
+        const findings = analysis.findings.filter(finding =>
+            finding.rule.policyId === id || finding.related.some(related => related.policyId === id)
+        );
+
+        // Redundant rules are harmless; anything that changes what the policy does blocks activation
+        const blocking = findings.filter(finding => finding.type !== 'redundant' &&
+            (finding.rule.policyId === id || finding.type === 'conflicting'));
+
+        if (blocking.length > 0 && !options.force) {
+            throw new AppError('VALIDATION_ERROR', 'Policy conflicts with active policies in its scope', {
+                findings: blocking
+            });
         }
 
-        return config;
+        return {
+            checkedAt: analysis.analyzedAt,
+            findings,
+            forced: blocking.length > 0
+        };
+    }
+
+    /**
+     * Devices covered by a policy scope
+     * @private
+     */
+    async _findScopedDevices(policy, deviceIds) {
+        const scope = policy.scope || {};
+        const scopes = [];
+        if (scope.deviceTypes?.length) scopes.push({ type: { $in: scope.deviceTypes } });
+        if (scope.deviceGroups?.length) scopes.push({ groups: { $in: scope.deviceGroups } });
+        if (scope.locations?.length) scopes.push({ 'location.building': { $in: scope.locations } });
+
+        if (scopes.length === 0) return [];
+
+        const query = { $or: scopes };
+        if (deviceIds?.length) query._id = { $in: deviceIds };
+
+        return NetworkDevice.find(query);
     }
 
     /**
@@ -187,17 +375,78 @@ class PolicyEnforcementService {
             violations: []
         };
 
-        for (const rule of policy.rules) {
-            const ruleCompliance = await this._checkRuleCompliance(rule, currentConfig);
+        policy.rules.forEach((rule, index) => {
+            const ruleCompliance = this._checkRuleCompliance(policy, rule, index, currentConfig);
             if (!ruleCompliance.compliant) {
                 result.compliant = false;
                 result.violations.push(ruleCompliance);
             }
-        }
+        });
 
         return result;
     }
 
+    /**
+     * Check that the device's ACLs carry an entry for each match of an allow or deny rule. Other
+     * actions, negated conditions and port ranges have no ACL entry to look for, and neither
+     * does a configuration that could not be parsed into an intent: those rules are reported
+     * with checked false.
+     * @private
+     * @param {object} currentConfig - intent from AutoConfigService._getDeviceConfig
+     */
+    _checkRuleCompliance(policy, rule, index, currentConfig) {
+        const result = { ruleIndex: index, ruleName: rule.name, compliant: true, checked: false };
+        const action = ACL_ACTIONS[rule.action?.type];
+        if (!action || !Array.isArray(currentConfig?.acls)) {
+            return result;
+        }
+
+        let entries;
+        try {
+            entries = PolicyCompiler.compileRule(policy, rule, index)
+                .map(compiled => this._aclEntryFor(action, compiled));
+        } catch (error) {
+            return { ...result, compliant: false, checked: true, message: `Rule cannot be compiled: ${error.message}` };
+        }
+        if (entries.some(entry => entry === null)) {
+            return result;
+        }
+
+        const configured = currentConfig.acls.flatMap(acl => acl.entries);
+        const missing = entries.filter(entry => !configured.some(existing =>
+            Object.keys(entry).every(key => existing[key] === entry[key])));
+        return {
+            ...result,
+            checked: true,
+            compliant: missing.length === 0,
+            ...(missing.length > 0 ? { message: `${missing.length} ACL entries are missing`, missing } : {})
+        };
+    }
+
+    /**
+     * The intent ACL entry a compiled rule becomes, or null when no entry can express it
+     * @private
+     */
+    _aclEntryFor(action, compiled) {
+        const { match = {} } = compiled;
+        const ports = [match.srcPort, match.dstPort];
+        if (compiled.negate || compiled.timeRange || compiled.bandwidthThreshold || ports.some(port => typeof port === 'object')) {
+            return null;
+        }
+        const protocol = match.protocol === undefined ? 'ip' : ACL_PROTOCOL_NAMES[match.protocol];
+        if (!protocol) return null;
+
+        const prefix = (ip) => (ip === undefined ? 'any' : (ip.includes('/') ? ip : `${ip}/32`));
+        return {
+            action,
+            protocol,
+            source: prefix(match.srcIp),
+            sourcePort: match.srcPort,
+            destination: prefix(match.dstIp),
+            destinationPort: match.dstPort
+        };
+    }
+
     /**
      * Handle a specific violation
      * @private
@@ -259,19 +508,26 @@ class PolicyEnforcementService {
      * Record policy deployment details
      * @private
      */
-    async _recordPolicyDeployment(device, policies) {
-        const deployment = {
-            timestamp: new Date(),
+    async _recordPolicyDeployment(device, policies, ruleSet, actor, error = null) {
+        const deployment = await PolicyDeployment.create({
             deviceId: device._id,
             policies: policies.map(p => ({
-                id: p._id,
+                policyId: p._id,
                 name: p.name,
-                version: p.metadata.version
-            }))
-        };
-
-        // Store deployment record (implement as needed)
-        logger.info('Policy deployment recorded:', deployment);
+                version: p.metadata?.version
+            })),
+            ruleSet: {
+                rules: ruleSet.rules,
+                warnings: ruleSet.warnings
+            },
+            flowCount: ruleSet.flows.length,
+            status: error ? 'failed' : 'success',
+            error: error?.message,
+            deployedBy: actor?.id
+        });
+
+        logger.info(`Policy deployment recorded for device ${device.name}: ${deployment.status}`);
+        return deployment;
     }
 }
 
@@ -1,10 +1,15 @@
 import logger from '../utils/logger.js';
+import Alert from '../models/Alert.js';
 import AlertConfig from '../models/AlertConfig.js';
+import NetworkDevice from '../models/NetworkDevice.js';
 import NetworkMetrics from '../models/NetworkMetrics.js';
+import { AlertCorrelator } from './AlertCorrelator.js';
 import { TimeSeriesAnalysis } from '../utils/TimeSeriesUtils.js';
 import RealTimeAnalytics from './RealTimeAnalytics.js';
 import HistoricalAnalytics from './HistoricalAnalytics.js';
 
+const SEVERITY_RANK = { info: 0, low: 1, medium: 2, high: 3, critical: 4 };
+
 class PredictiveAlerts {
     constructor() {
         this.updateInterval = 5 * 60 * 1000; // 5 minutes
@@ -50,18 +55,26 @@ class PredictiveAlerts {
         }
     }
 
+    /**
+     * Group related alerts. Outages folded under the same upstream outage form one group; other
+     * alerts group by type and rule within the grouping window.
+     */
     async groupAlerts(alerts) {
         try {
             const groups = new Map();
             
             // Sort alerts by timestamp
-            const sortedAlerts = [...alerts].sort((a, b) => a.timestamp - b.timestamp);
+            const sortedAlerts = [...alerts].sort((a, b) => alertTime(a) - alertTime(b));
             
             for (const alert of sortedAlerts) {
-                const existingGroup = this._findMatchingGroup(groups, alert);
+                const rootAlertId = alert.correlation?.rootAlertId;
+                const existingGroup = rootAlertId
+                    ? groups.get(outageGroupId(rootAlertId))
+                    : this._findMatchingGroup(groups, alert);
                 
                 if (existingGroup) {
                     existingGroup.alerts.push(alert);
+                    existingGroup.lastUpdate = alertTime(alert);
                     existingGroup.summary = this._updateGroupSummary(existingGroup);
                 } else {
                     const newGroup = this._createAlertGroup(alert);
@@ -76,25 +89,59 @@ class PredictiveAlerts {
         }
     }
 
+    /**
+     * The probable cause of a device outage: the outage closest to the monitoring system that
+     * cuts the device off, found by walking NetworkTopology connections
+     */
     async predictRootCause(alert) {
         try {
-            // Gather context data
-            const context = await this._gatherAlertContext(alert);
-            
-            // Analyze related metrics
-            const relatedMetrics = await this._analyzeRelatedMetrics(context);
-            
-            // Identify potential causes
-            const causes = this._identifyPotentialCauses(relatedMetrics);
-            
-            // Rank causes by probability
-            const rankedCauses = this._rankCausesByProbability(causes);
-            
+            if (!AlertCorrelator.isOutage(alert)) {
+                return {
+                    alert,
+                    causes: [],
+                    confidence: 'low',
+                    recommendations: ['Root cause analysis covers device outages; check the metrics of the device']
+                };
+            }
+
+            const outages = await Alert.find({
+                status: { $ne: 'resolved' },
+                type: { $in: AlertCorrelator.types },
+                deviceId: { $ne: null }
+            }).sort({ firstSeen: 1 }).lean();
+            const rootCauses = await AlertCorrelator.findRootCauses(outages);
+            const deviceId = String(alert.deviceId);
+            const cause = rootCauses.get(deviceId);
+
+            if (cause) {
+                const devices = await this._deviceNames(cause.path);
+                const rootAlert = outages.find(outage => String(outage.deviceId) === cause.root);
+                return {
+                    alert,
+                    causes: [{
+                        type: 'upstream_outage',
+                        deviceId: cause.root,
+                        deviceName: devices.get(cause.root),
+                        alertId: rootAlert?._id,
+                        path: cause.path.map(id => ({ deviceId: id, name: devices.get(id) }))
+                    }],
+                    confidence: 'high',
+                    recommendations: [
+                        `Restore ${devices.get(cause.root) || cause.root} first; this device is only cut off behind it`
+                    ]
+                };
+            }
+
+            const affected = [...rootCauses.values()].filter(other => other.root === deviceId).length;
+            const inTopology = await AlertCorrelator.inTopology(deviceId);
             return {
                 alert,
-                causes: rankedCauses,
-                confidence: this._calculateCauseConfidence(rankedCauses),
-                recommendations: this._generateCauseRecommendations(rankedCauses)
+                causes: [{ type: 'device_failure', deviceId, affectedDevices: affected }],
+                // Without links we cannot rule out a failure further up
+                confidence: inTopology ? 'medium' : 'low',
+                recommendations: inTopology
+                    ? ['Check power, hardware and the links towards the device']
+                    : ['Add the links of the device to the topology so its outages can be correlated']
             };
         } catch (error) {
             logger.error('Root cause prediction error:', error);
@@ -230,24 +277,66 @@ class PredictiveAlerts {
 
     _alertMatchesGroup(group, alert) {
         return (
-            alert.timestamp - group.lastUpdate <= this.groupingTimeWindow &&
+            !group.rootAlertId &&
+            alertTime(alert) - group.lastUpdate <= this.groupingTimeWindow &&
             alert.type === group.type &&
             this._haveSimilarAttributes(alert, group.attributes)
         );
     }
 
     _createAlertGroup(alert) {
+        const rootAlertId = alert.correlation?.rootAlertId;
         return {
-            id: this._generateGroupId(),
+            id: rootAlertId ? outageGroupId(rootAlertId) : this._generateGroupId(alert),
             type: alert.type,
+            rootAlertId: rootAlertId || null,
+            rootDeviceId: alert.correlation?.rootDeviceId || null,
             attributes: this._extractAlertAttributes(alert),
             alerts: [alert],
-            created: alert.timestamp,
-            lastUpdate: alert.timestamp,
+            created: alertTime(alert),
+            lastUpdate: alertTime(alert),
             summary: this._createGroupSummary(alert)
         };
     }
 
+    _haveSimilarAttributes(alert, attributes) {
+        const own = this._extractAlertAttributes(alert);
+        return own.alertConfigId === attributes.alertConfigId && own.source === attributes.source;
+    }
+
+    _extractAlertAttributes(alert) {
+        return {
+            alertConfigId: alert.alertConfigId ? String(alert.alertConfigId) : null,
+            source: alert.source || null
+        };
+    }
+
+    _generateGroupId(alert) {
+        return `${alert.type}:${alert._id || alertTime(alert).getTime()}`;
+    }
+
+    _createGroupSummary(alert) {
+        return this._updateGroupSummary({ alerts: [alert] });
+    }
+
+    _updateGroupSummary(group) {
+        const severity = group.alerts.reduce((highest, alert) =>
+            (SEVERITY_RANK[alert.severity] > SEVERITY_RANK[highest] ? alert.severity : highest), 'info');
+        const devices = new Set(group.alerts.filter(alert => alert.deviceId).map(alert => String(alert.deviceId)));
+        return {
+            count: group.alerts.length,
+            severity,
+            devices: devices.size,
+            firstSeen: alertTime(group.alerts[0]),
+            lastSeen: alertTime(group.alerts[group.alerts.length - 1])
+        };
+    }
+
+    async _deviceNames(ids) {
+        const devices = await NetworkDevice.find({ _id: { $in: ids } }).select('name').lean();
+        return new Map(devices.map(device => [String(device._id), device.name]));
+    }
+
     async _analyzeAlertSeverity(alert) {
         const metrics = await this._getRelatedMetrics(alert);
         const baseline = await this._getBaselineMetrics(alert.type);
@@ -280,4 +369,13 @@ class PredictiveAlerts {
     }
 }
 
+// Stored alerts carry firstSeen; alerts built elsewhere may only have a timestamp
+function alertTime(alert) {
+    return new Date(alert.timestamp || alert.firstSeen);
+}
+
+function outageGroupId(rootAlertId) {
+    return `outage:${rootAlertId}`;
+}
+
 export default new PredictiveAlerts();
@@ -0,0 +1,480 @@
+import mongoose from 'mongoose';
+import NetworkDevice from '../models/NetworkDevice.js';
+import NetworkPolicy from '../models/NetworkPolicy.js';
+import Rollout from '../models/Rollout.js';
+import AuditLogger from './AuditLogger.js';
+import { ConfigDeploymentService } from './ConfigDeploymentService.js';
+import { PolicyEnforcementService } from './PolicyEnforcementService.js';
+import WebSocketService from './WebSocketService.js';
+import { AppError, ErrorHandler } from '../utils/ErrorHandler.js';
+import logger from '../utils/logger.js';
+
+const ROLLOUT_STATUSES = ['running', 'paused', 'completed', 'rolling_back', 'rolled_back', 'failed'];
+const MAX_LIMIT = 500;
+
+class RolloutOrchestrator {
+    constructor() {
+        this.checkInterval = parseInt(process.env.ROLLOUT_CHECK_INTERVAL) || 10000;
+        this.canarySize = parseInt(process.env.ROLLOUT_CANARY_SIZE) || 1;
+        this.batchSize = parseInt(process.env.ROLLOUT_BATCH_SIZE) || 10;
+        this.wait = parseInt(process.env.ROLLOUT_WAIT) || 300000;
+        this.maxErrorRate = process.env.ROLLOUT_MAX_ERROR_RATE ? parseFloat(process.env.ROLLOUT_MAX_ERROR_RATE) : 0.1;
+        this.timer = null;
+        this.ticking = false;
+        this.queued = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this._kick(), this.checkInterval);
+        this._kick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * @param {object} options - { status (comma-separated), page, limit }
+     * @returns {Promise<{ rollouts: Array<object>, total: number, page: number, limit: number }>}
+     *   rollouts with their progress instead of their batches, newest first
+     */
+    async list(options = {}) {
+        const query = {};
+        if (options.status) {
+            const statuses = String(options.status).split(',').map(status => status.trim());
+            if (statuses.some(status => !ROLLOUT_STATUSES.includes(status))) {
+                throw ErrorHandler.badRequest(`status must be one of ${ROLLOUT_STATUSES.join(', ')}`);
+            }
+            query.status = { $in: statuses };
+        }
+
+        const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), MAX_LIMIT);
+        const page = Math.max(parseInt(options.page) || 1, 1);
+
+        const [rollouts, total] = await Promise.all([
+            Rollout.find(query)
+                .select('-config')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Rollout.countDocuments(query)
+        ]);
+
+        return {
+            rollouts: rollouts.map(({ batches, ...rollout }) => ({ ...rollout, progress: this.summarize({ ...rollout, batches }) })),
+            total,
+            page,
+            limit
+        };
+    }
+
+    async getRollout(id) {
+        const rollout = await Rollout.findById(id);
+        if (!rollout) {
+            throw ErrorHandler.notFound('Rollout not found');
+        }
+        return rollout;
+    }
+
+    /**
+     * Plan a rollout and start it. Devices are taken in name order: the first canarySize make
+     * the canary batch, the rest are split into batches of batchSize.
+     * @param {object} data - { name, kind: 'config'|'policy', config, policyIds,
+     *   target: { deviceIds, deviceTypes, deviceGroups, locations },
+     *   strategy: { canarySize, batchSize, waitSeconds, maxErrorRate } }. A policy rollout
+     *   without target criteria covers the scopes of its policies.
+     */
+    async createRollout(data, actor, now = new Date()) {
+        try {
+            if (data.kind === 'config' && (data.config === undefined || data.config === null)) {
+                throw ErrorHandler.badRequest('A config rollout needs a config');
+            }
+            const policies = data.kind === 'policy' ? await this._loadPolicies(data.policyIds) : [];
+            const devices = await this._resolveTargets(data.target || {}, policies);
+            if (devices.length === 0) {
+                throw ErrorHandler.badRequest('The rollout target matches no devices');
+            }
+
+            const strategy = {
+                canarySize: data.strategy?.canarySize ?? this.canarySize,
+                batchSize: data.strategy?.batchSize ?? this.batchSize,
+                waitSeconds: data.strategy?.waitSeconds ?? Math.round(this.wait / 1000),
+                maxErrorRate: data.strategy?.maxErrorRate ?? this.maxErrorRate
+            };
+            const rollout = await Rollout.create({
+                name: data.name,
+                kind: data.kind,
+                config: data.kind === 'config' ? data.config : undefined,
+                policyIds: policies.map(policy => policy._id),
+                strategy,
+                status: 'running',
+                nextStepAt: now,
+                batches: planBatches(devices.map(device => device._id), strategy),
+                createdBy: actor?.id || 'system'
+            });
+
+            await this._audit(actor, 'rollout.create', rollout);
+            this._notify(rollout);
+            this._kick();
+            return rollout;
+        } catch (error) {
+            throw this._saveError(error);
+        }
+    }
+
+    async pause(id, actor) {
+        return this._request(id, 'pause', ['running'], actor);
+    }
+
+    /**
+     * Stop the rollout and revert every device it was deployed to
+     */
+    async abort(id, actor) {
+        return this._request(id, 'abort', ['running', 'paused'], actor);
+    }
+
+    async resume(id, actor) {
+        const rollout = await Rollout.findOneAndUpdate(
+            { _id: id, status: 'paused', requestedAction: { $exists: false } },
+            { $set: { status: 'running', nextStepAt: new Date() } },
+            { new: true }
+        );
+        if (!rollout) {
+            const current = await this.getRollout(id);
+            throw ErrorHandler.conflict(`Rollout is ${current.requestedAction ? 'being aborted' : current.status.replace(/_/g, ' ')}`);
+        }
+        await this._audit(actor, 'rollout.resume', rollout);
+        this._notify(rollout);
+        this._kick();
+        return rollout;
+    }
+
+    /**
+     * Advance every rollout that is due, one step each. Calls while a tick runs are folded into
+     * one more pass.
+     */
+    async tick() {
+        if (this.ticking) {
+            this.queued = true;
+            return;
+        }
+        this.ticking = true;
+        try {
+            do {
+                this.queued = false;
+                const rollouts = await Rollout.find({
+                    $or: [
+                        { status: { $in: ['running', 'rolling_back'] }, nextStepAt: { $lte: new Date() } },
+                        { status: { $in: ['running', 'paused'] }, requestedAction: { $exists: true } }
+                    ]
+                }).sort({ createdAt: 1 });
+
+                for (const rollout of rollouts) {
+                    try {
+                        await this._step(rollout);
+                    } catch (error) {
+                        logger.error(`Error advancing rollout ${rollout._id}:`, error);
+                    }
+                }
+            } while (this.queued);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * @returns {{ batch: number, batches: number, total: number, pending: number, deployed: number,
+     *   failed: number, unhealthy: number, reverted: number, revertFailed: number }}
+     */
+    summarize(rollout) {
+        const devices = (rollout.batches || []).flatMap(batch => batch.devices);
+        const count = (status) => devices.filter(device => device.status === status).length;
+        return {
+            batch: Math.min((rollout.currentBatch || 0) + 1, rollout.batches?.length || 0),
+            batches: rollout.batches?.length || 0,
+            total: devices.length,
+            pending: count('pending'),
+            deployed: count('deployed'),
+            failed: count('failed'),
+            unhealthy: count('unhealthy'),
+            reverted: count('reverted'),
+            revertFailed: count('revert_failed')
+        };
+    }
+
+    // Private helper methods
+    _kick() {
+        if (!this.timer) return;
+        this.tick().catch(error => {
+            logger.error('Error advancing rollouts:', error);
+        });
+    }
+
+    async _request(id, action, from, actor) {
+        const rollout = await Rollout.findOneAndUpdate(
+            { _id: id, status: { $in: from }, requestedAction: { $exists: false } },
+            { $set: { requestedAction: action, requestedBy: actor?.id || 'system' } },
+            { new: true }
+        );
+        if (!rollout) {
+            const current = await this.getRollout(id);
+            throw ErrorHandler.conflict(current.requestedAction
+                ? `A ${current.requestedAction} of the rollout is already pending`
+                : `Rollout is ${current.status.replace(/_/g, ' ')}`);
+        }
+        await this._audit(actor, `rollout.${action}`, rollout);
+        this._kick();
+        return rollout;
+    }
+
+    async _step(rollout) {
+        if (rollout.requestedAction === 'abort') {
+            return this._halt(rollout, 'aborted', `Aborted by ${rollout.requestedBy}`);
+        }
+        if (rollout.requestedAction === 'pause') {
+            rollout.status = 'paused';
+            rollout.requestedAction = undefined;
+            await rollout.save();
+            this._notify(rollout);
+            return rollout;
+        }
+        if (rollout.status === 'rolling_back') {
+            return this._revertAll(rollout);
+        }
+
+        const batch = rollout.batches[rollout.currentBatch];
+        if (batch.status === 'waiting') {
+            return this._checkBatch(rollout, batch);
+        }
+        return this._deployBatch(rollout, batch);
+    }
+
+    async _deployBatch(rollout, batch) {
+        batch.status = 'deploying';
+        batch.startedAt = batch.startedAt || new Date();
+        await rollout.save();
+        this._notify(rollout);
+
+        for (const entry of batch.devices) {
+            if (entry.status !== 'pending') continue;
+
+            // A pause or abort stops the batch between two devices
+            const { requestedAction } = await Rollout.findById(rollout._id).select('requestedAction').lean() || {};
+            if (requestedAction) {
+                rollout.requestedAction = requestedAction;
+                return this._step(rollout);
+            }
+
+            await this._deployDevice(rollout, entry);
+            await rollout.save();
+            this._notify(rollout);
+        }
+
+        batch.deployedAt = new Date();
+        batch.gates = { errorRate: this._errorRate(rollout, batch) };
+        if (!batch.gates.errorRate.passed) {
+            const { rate, threshold } = batch.gates.errorRate;
+            return this._halt(rollout, 'error_rate',
+                `${Math.round(rate * 100)}% of deploys failed, more than the ${Math.round(threshold * 100)}% allowed`);
+        }
+
+        batch.status = 'waiting';
+        batch.waitUntil = new Date(Date.now() + rollout.strategy.waitSeconds * 1000);
+        rollout.nextStepAt = batch.waitUntil;
+        await rollout.save();
+        this._notify(rollout);
+        if (rollout.strategy.waitSeconds === 0) this.queued = true;
+        return rollout;
+    }
+
+    async _checkBatch(rollout, batch) {
+        let unhealthy = 0;
+        for (const entry of batch.devices) {
+            if (entry.status !== 'deployed') continue;
+            const health = await ConfigDeploymentService.checkHealth(entry.deviceId);
+            if (!health.passed) {
+                entry.status = 'unhealthy';
+                entry.error = health.failures.join('; ');
+                unhealthy++;
+            }
+        }
+
+        batch.checkedAt = new Date();
+        batch.gates.health = { passed: unhealthy === 0, unhealthy };
+        if (unhealthy > 0) {
+            return this._halt(rollout, 'health',
+                `${unhealthy} device(s) of batch ${rollout.currentBatch + 1} failed the health check`);
+        }
+
+        batch.status = 'passed';
+        if (rollout.currentBatch === rollout.batches.length - 1) {
+            rollout.status = 'completed';
+            rollout.nextStepAt = undefined;
+            rollout.finishedAt = new Date();
+            logger.info(`Rollout ${rollout.name} completed`);
+        } else {
+            rollout.currentBatch++;
+            rollout.nextStepAt = new Date();
+            this.queued = true;
+        }
+        await rollout.save();
+        this._notify(rollout);
+        return rollout;
+    }
+
+    async _deployDevice(rollout, entry) {
+        const actor = { id: rollout.createdBy };
+        try {
+            if (rollout.kind === 'policy') {
+                const result = await PolicyEnforcementService.deployPolicies(entry.deviceId, null, actor);
+                entry.deploymentId = result.deploymentId;
+                entry.status = 'deployed';
+            } else {
+                const deployment = await ConfigDeploymentService.deploy(entry.deviceId, rollout.config, {
+                    autoConfirm: true,
+                    comment: `Rollout ${rollout.name}`
+                }, actor);
+                entry.deploymentId = deployment._id;
+                entry.status = deployment.status === 'confirmed' ? 'deployed' : 'failed';
+                entry.error = deployment.error;
+            }
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+            entry.deploymentId = error.details?.deploymentId;
+        }
+    }
+
+    // Failed deploys over the devices attempted so far; the canary batch allows none
+    _errorRate(rollout, batch) {
+        const attempted = rollout.batches.flatMap(item => item.devices).filter(device => device.status !== 'pending');
+        const failed = attempted.filter(device => device.status === 'failed').length;
+        const rate = attempted.length ? failed / attempted.length : 0;
+        const threshold = batch.canary ? 0 : rollout.strategy.maxErrorRate;
+        return { passed: rate <= threshold, rate, threshold };
+    }
+
+    async _halt(rollout, gate, message) {
+        const batch = rollout.batches[rollout.currentBatch];
+        if (batch && batch.status !== 'passed') batch.status = 'failed';
+        rollout.status = 'rolling_back';
+        rollout.haltReason = { gate, message };
+        rollout.requestedAction = undefined;
+        rollout.nextStepAt = new Date();
+        await rollout.save();
+        this._notify(rollout);
+        logger.warn(`Rollout ${rollout.name} halted: ${message}`);
+        await this._audit(gate === 'aborted' ? { id: rollout.requestedBy } : null, 'rollout.halt', rollout);
+        return this._revertAll(rollout);
+    }
+
+    // Revert the devices the rollout was deployed to, latest first
+    async _revertAll(rollout) {
+        const actor = { id: rollout.createdBy };
+        const entries = rollout.batches
+            .flatMap(batch => batch.devices)
+            .filter(entry => entry.status === 'deployed' || entry.status === 'unhealthy')
+            .reverse();
+
+        for (const entry of entries) {
+            try {
+                if (!entry.deploymentId) {
+                    throw new Error('No deployment to revert');
+                }
+                const revert = await ConfigDeploymentService.revert(entry.deploymentId, actor);
+                entry.revertDeploymentId = revert._id;
+                entry.status = revert.status === 'confirmed' ? 'reverted' : 'revert_failed';
+                if (revert.status !== 'confirmed') entry.error = revert.error;
+            } catch (error) {
+                entry.status = 'revert_failed';
+                entry.error = error.message;
+            }
+            await rollout.save();
+            this._notify(rollout);
+        }
+
+        const revertFailed = rollout.batches.some(batch => batch.devices.some(entry => entry.status === 'revert_failed'));
+        rollout.status = revertFailed ? 'failed' : 'rolled_back';
+        rollout.nextStepAt = undefined;
+        rollout.finishedAt = new Date();
+        await rollout.save();
+        this._notify(rollout);
+        return rollout;
+    }
+
+    async _loadPolicies(policyIds = []) {
+        if (!policyIds.length) {
+            throw ErrorHandler.badRequest('A policy rollout needs policyIds');
+        }
+        const policies = await NetworkPolicy.find({ _id: { $in: policyIds } });
+        if (policies.length !== new Set(policyIds.map(String)).size) {
+            throw ErrorHandler.notFound('Policy not found');
+        }
+        const inactive = policies.filter(policy => policy.status !== 'active');
+        if (inactive.length) {
+            throw ErrorHandler.badRequest(`Policies have to be active to be rolled out: ${inactive.map(policy => policy.name).join(', ')}`);
+        }
+        return policies;
+    }
+
+    async _resolveTargets(target, policies) {
+        const scopes = [];
+        const addScope = (scope = {}) => {
+            if (scope.deviceTypes?.length) scopes.push({ type: { $in: scope.deviceTypes } });
+            if (scope.deviceGroups?.length) scopes.push({ groups: { $in: scope.deviceGroups } });
+            if (scope.locations?.length) scopes.push({ 'location.building': { $in: scope.locations } });
+        };
+
+        addScope(target);
+        if (scopes.length === 0 && !target.deviceIds?.length) {
+            policies.forEach(policy => addScope(policy.scope));
+        }
+        if (target.deviceIds?.length) scopes.push({ _id: { $in: target.deviceIds } });
+        if (scopes.length === 0) return [];
+
+        return NetworkDevice.find({ $or: scopes }).select('_id name').sort({ name: 1 }).lean();
+    }
+
+    _notify(rollout) {
+        WebSocketService.emit('rollout:progress', {
+            rolloutId: rollout._id,
+            name: rollout.name,
+            status: rollout.status,
+            haltReason: rollout.haltReason?.gate ? rollout.haltReason : undefined,
+            progress: this.summarize(rollout),
+            timestamp: new Date()
+        });
+    }
+
+    _saveError(error) {
+        if (error instanceof AppError) {
+            return error;
+        }
+        if (error instanceof mongoose.Error.ValidationError) {
+            return ErrorHandler.badRequest(error.message);
+        }
+        logger.error('Error saving rollout:', error);
+        return error;
+    }
+
+    _audit(actor, type, rollout) {
+        return AuditLogger.record(actor, type, { type: 'Rollout', id: rollout._id, name: rollout.name });
+    }
+}
+
+// The first canarySize devices, then batches of batchSize
+function planBatches(deviceIds, { canarySize, batchSize }) {
+    const batches = [{ canary: true, devices: deviceIds.slice(0, canarySize).map(deviceId => ({ deviceId })) }];
+    for (let i = canarySize; i < deviceIds.length; i += batchSize) {
+        batches.push({ devices: deviceIds.slice(i, i + batchSize).map(deviceId => ({ deviceId })) });
+    }
+    return batches;
+}
+
+const rolloutOrchestrator = new RolloutOrchestrator();
+export { rolloutOrchestrator as RolloutOrchestrator, ROLLOUT_STATUSES };
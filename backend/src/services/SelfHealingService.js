@@ -1,11 +1,20 @@
 import NetworkDevice from '../models/NetworkDevice.js';
 import NetworkMetrics from '../models/NetworkMetrics.js';
 import { AutoConfigService } from './AutoConfigService.js';
+import { ConfigVersionService } from './ConfigVersionService.js';
+import { IncidentManager } from './IncidentManager.js';
+import { MaintenanceManager } from './MaintenanceManager.js';
 import logger from '../utils/logger.js';
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
+import net from 'net';
 import { promisify } from 'util';
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+const PING_TIMEOUT = 5000;
+const SERVICE_TIMEOUT = 5000;
+const MANAGEMENT_PORTS = { ssh: 22, telnet: 23, http: 80, https: 443 };
+// RFC 1123 host names: dot-separated labels of letters, digits and inner hyphens
+const HOSTNAME = /^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/i;
 
 class SelfHealingService {
     constructor() {
@@ -51,7 +60,8 @@ class SelfHealingService {
     }
 
     /**
-     * Attempt to recover from detected faults
+     * Attempt to recover from detected faults. Devices under maintenance are left alone and every
+     * fault is reported as skipped. Attempts are noted on the device's open incidents.
      * @param {string} deviceId - Device ID
      * @param {Array} faults - Detected faults
      */
@@ -62,6 +72,18 @@ class SelfHealingService {
                 throw new Error('Device not found');
             }
 
+            const maintenance = await MaintenanceManager.getMaintenance(device);
+            if (maintenance) {
+                logger.info(`Skipping recovery of ${device.name}: device is under maintenance`);
+                return faults.map(fault => ({
+                    fault,
+                    success: false,
+                    skipped: true,
+                    maintenance,
+                    actions: []
+                }));
+            }
+
             const recoveryResults = [];
 
             for (const fault of faults) {
@@ -69,6 +91,7 @@ class SelfHealingService {
                 recoveryResults.push(result);
             }
 
+            await IncidentManager.recordRecovery(device._id, recoveryResults);
             return recoveryResults;
         } catch (error) {
             logger.error('Recovery attempt error:', error);
@@ -150,8 +173,18 @@ class SelfHealingService {
      * @private
      */
     async _checkConnectivity(device) {
+        const host = this._managementAddress(device);
+        if (!host) {
+            return { isConnected: false, error: 'Device has no management address' };
+        }
+        // The address is handed to ping as an argument, so it must not look like an option either
+        if (!net.isIP(host) && !HOSTNAME.test(host)) {
+            return { isConnected: false, error: `${host} is not an IP address or host name` };
+        }
+
         try {
-            const { stdout } = await execAsync(`ping -n 1 ${device.ipAddress}`);
+            const count = process.platform === 'win32' ? '-n' : '-c';
+            const { stdout } = await execFileAsync('ping', [count, '1', host], { timeout: PING_TIMEOUT });
             return {
                 isConnected: !stdout.includes('Request timed out'),
                 latency: this._extractPingLatency(stdout)
@@ -224,9 +257,9 @@ class SelfHealingService {
             // Get current config
             const currentConfig = await AutoConfigService._getDeviceConfig(device);
             
-            // Validate current configuration
+            // Validate the configuration template last deployed to the device
             try {
-                AutoConfigService.validateConfig(currentConfig, device.type);
+                await AutoConfigService.validateConfig(device._id);
             } catch (validationError) {
                 issues.push({
                     type: 'configuration',
@@ -235,13 +268,13 @@ class SelfHealingService {
                 });
             }
 
-            // Check for configuration drift
-            const lastBackup = await this._getLastConfigBackup(device);
-            if (lastBackup && JSON.stringify(currentConfig) !== JSON.stringify(lastBackup)) {
+            // Check for configuration drift from the golden version
+            const drift = await ConfigVersionService.compareToGolden(device._id, currentConfig);
+            if (drift?.drifted) {
                 issues.push({
                     type: 'configuration',
                     severity: 'medium',
-                    description: 'Configuration drift detected'
+                    description: `Configuration drifted from golden version ${drift.golden.version}: +${drift.added}/-${drift.removed} lines`
                 });
             }
         } catch (error) {
@@ -255,6 +288,37 @@ class SelfHealingService {
         return issues;
     }
 
+    /**
+     * Check that the management service of the device accepts connections. SNMP runs over UDP
+     * and has nothing to connect to.
+     * @private
+     */
+    async _checkServices(device) {
+        const protocol = device.connectionInfo?.protocol;
+        const port = device.connectionInfo?.port || MANAGEMENT_PORTS[protocol];
+        const host = this._managementAddress(device);
+        if (!port || !host) return [];
+
+        const error = await new Promise(resolve => {
+            const socket = net.connect({ host, port, timeout: SERVICE_TIMEOUT });
+            socket.once('connect', () => {
+                socket.destroy();
+                resolve(null);
+            });
+            socket.once('timeout', () => {
+                socket.destroy();
+                resolve(new Error('timed out'));
+            });
+            socket.once('error', resolve);
+        });
+
+        return error ? [{
+            type: 'service',
+            severity: 'high',
+            description: `${protocol.toUpperCase()} on ${host}:${port} is not reachable: ${error.message}`
+        }] : [];
+    }
+
     /**
      * Handle specific fault
      * @private
@@ -330,13 +394,29 @@ class SelfHealingService {
         }
     }
 
+    /**
+     * Get the golden configuration of the device, null without one
+     * @private
+     */
+    async _getLastConfigBackup(device) {
+        return ConfigVersionService.getGoldenConfig(device._id);
+    }
+
+    /**
+     * Management address, falling back to the first interface address
+     * @private
+     */
+    _managementAddress(device) {
+        return device.connectionInfo?.host || device.interfaces?.find(iface => iface.ipAddress)?.ipAddress;
+    }
+
     /**
      * Extract ping latency from output
      * @private
      */
     _extractPingLatency(pingOutput) {
-        const match = pingOutput.match(/time[=<](\d+)ms/);
-        return match ? parseInt(match[1]) : null;
+        const match = pingOutput.match(/time[=<]([\d.]+) ?ms/);
+        return match ? parseFloat(match[1]) : null;
     }
 }
 
@@ -0,0 +1,67 @@
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+
+const SEVERITY_COLORS = {
+    critical: '#d50200',
+    high: '#f2711c',
+    medium: '#fbbd08',
+    low: '#2185d0',
+    info: '#767676'
+};
+
+/**
+ * Slack channel: posts to an incoming webhook (config.slackWebhook), optionally to config.slackChannel
+ */
+class SlackNotifier {
+    constructor() {
+        this.timeout = parseInt(process.env.NOTIFICATION_TIMEOUT) || 10000;
+    }
+
+    validate(config) {
+        if (!isHttpUrl(config?.slackWebhook)) {
+            throw ErrorHandler.badRequest('Slack channels need an http(s) slackWebhook URL');
+        }
+    }
+
+    recipients(config) {
+        const host = new URL(config.slackWebhook).host;
+        return [config.slackChannel ? `${host} ${config.slackChannel}` : host];
+    }
+
+    async send(config, message) {
+        const alert = message.payload.alert;
+        const body = {
+            text: message.subject,
+            attachments: [{
+                color: message.payload.event === 'resolved' ? '#21ba45' : SEVERITY_COLORS[alert.severity],
+                text: message.text,
+                ts: Math.floor(new Date(message.payload.timestamp).getTime() / 1000)
+            }]
+        };
+        if (config.slackChannel) body.channel = config.slackChannel;
+
+        const response = await fetch(config.slackWebhook, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+        const text = await response.text();
+        if (!response.ok) {
+            const error = new Error(`Slack responded ${response.status}: ${text}`);
+            error.status = response.status;
+            throw error;
+        }
+        return { response: text };
+    }
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+export { isHttpUrl };
+export default SlackNotifier;
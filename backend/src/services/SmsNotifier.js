@@ -0,0 +1,83 @@
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import logger from '../utils/logger.js';
+
+// E.164, e.g. +15551234567
+const PHONE_NUMBER = /^\+[1-9]\d{6,14}$/;
+// One SMS segment; longer texts are cut
+const MAX_LENGTH = 160;
+
+/**
+ * SMS providers implement send(to, text) and resolve with { id }
+ */
+class SmsProvider {
+    async send() {
+        throw new Error('SMS provider does not implement send');
+    }
+}
+
+/**
+ * Keeps messages in memory and logs them instead of sending; for development and tests
+ */
+class StubSmsProvider extends SmsProvider {
+    constructor() {
+        super();
+        this.sent = [];
+    }
+
+    async send(to, text) {
+        const message = { id: `stub-${this.sent.length + 1}`, to, text, sentAt: new Date() };
+        this.sent.push(message);
+        if (this.sent.length > 100) this.sent.shift();
+        logger.info(`SMS to ${to}: ${text}`);
+        return { id: message.id };
+    }
+}
+
+/**
+ * SMS channel: one message per number in config.phoneNumbers
+ */
+class SmsNotifier {
+    constructor(provider) {
+        this.provider = provider || createProvider(process.env.SMS_PROVIDER || 'stub');
+    }
+
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    validate(config) {
+        const numbers = config?.phoneNumbers || [];
+        if (numbers.length === 0) {
+            throw ErrorHandler.badRequest('SMS channels need at least one number in phoneNumbers');
+        }
+        const invalid = numbers.filter(number => !PHONE_NUMBER.test(number));
+        if (invalid.length > 0) {
+            throw ErrorHandler.badRequest(`Phone numbers must be in E.164 format: ${invalid.join(', ')}`);
+        }
+    }
+
+    recipients(config) {
+        return config.phoneNumbers;
+    }
+
+    async send(config, message) {
+        const text = message.subject.length > MAX_LENGTH ? `${message.subject.slice(0, MAX_LENGTH - 3)}...` : message.subject;
+        const ids = [];
+        for (const number of config.phoneNumbers) {
+            ids.push((await this.provider.send(number, text)).id);
+        }
+        return { response: ids.join(', ') };
+    }
+}
+
+function createProvider(name) {
+    switch (name) {
+        case 'stub':
+            return new StubSmsProvider();
+        default:
+            throw new Error(`Unknown SMS provider: ${name}`);
+    }
+}
+
+export { SmsProvider, StubSmsProvider };
+export default SmsNotifier;
@@ -0,0 +1,421 @@
+import NetworkDevice from '../models/NetworkDevice.js';
+import DataManager from './DataManager.js';
+import { CredentialVault } from './CredentialVault.js';
+import { SnmpClient } from '../utils/SnmpClient.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import logger from '../utils/logger.js';
+
+const Oids = {
+    sysUpTime: '1.3.6.1.2.1.1.3.0',
+    // IF-MIB ifTable
+    ifDescr: '1.3.6.1.2.1.2.2.1.2',
+    ifSpeed: '1.3.6.1.2.1.2.2.1.5',
+    ifOperStatus: '1.3.6.1.2.1.2.2.1.8',
+    ifInOctets: '1.3.6.1.2.1.2.2.1.10',
+    ifInDiscards: '1.3.6.1.2.1.2.2.1.13',
+    ifInErrors: '1.3.6.1.2.1.2.2.1.14',
+    ifOutOctets: '1.3.6.1.2.1.2.2.1.16',
+    ifOutDiscards: '1.3.6.1.2.1.2.2.1.19',
+    ifOutErrors: '1.3.6.1.2.1.2.2.1.20',
+    // IF-MIB ifXTable
+    ifName: '1.3.6.1.2.1.31.1.1.1.1',
+    ifHCInOctets: '1.3.6.1.2.1.31.1.1.1.6',
+    ifHCOutOctets: '1.3.6.1.2.1.31.1.1.1.10',
+    ifHighSpeed: '1.3.6.1.2.1.31.1.1.1.15',
+    // HOST-RESOURCES-MIB
+    hrStorageType: '1.3.6.1.2.1.25.2.3.1.2',
+    hrStorageAllocationUnits: '1.3.6.1.2.1.25.2.3.1.4',
+    hrStorageSize: '1.3.6.1.2.1.25.2.3.1.5',
+    hrStorageUsed: '1.3.6.1.2.1.25.2.3.1.6',
+    hrProcessorLoad: '1.3.6.1.2.1.25.3.3.1.2'
+};
+
+const HR_STORAGE_RAM = '1.3.6.1.2.1.25.2.1.2';
+const IF_OPER_STATUS = { 1: 'up', 2: 'down' };
+
+class SnmpPoller {
+    constructor() {
+        this.defaultInterval = parseInt(process.env.SNMP_POLL_INTERVAL) || 60000;
+        this.refreshInterval = parseInt(process.env.SNMP_DEVICE_REFRESH_INTERVAL) || 300000;
+        this.timeout = parseInt(process.env.SNMP_TIMEOUT) || 5000;
+        this.retries = parseInt(process.env.SNMP_RETRIES) || 1;
+
+        this.schedules = new Map(); // deviceId -> { interval, timer }
+        this.samples = new Map(); // deviceId -> last counter sample
+        this.inFlight = new Set();
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Poll every device whose connectionInfo.protocol is snmp on its own interval
+     */
+    async start() {
+        if (this.refreshTimer) return;
+
+        this.refreshTimer = setInterval(() => {
+            this.refresh().catch(error => {
+                logger.error('Error refreshing SNMP poll schedule:', error);
+            });
+        }, this.refreshInterval);
+
+        await this.refresh();
+        logger.info(`SNMP polling started for ${this.schedules.size} device(s)`);
+    }
+
+    stop() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        for (const deviceId of [...this.schedules.keys()]) {
+            this._unschedule(deviceId);
+        }
+    }
+
+    /**
+     * Pick up added, removed and re-timed SNMP devices
+     */
+    async refresh() {
+        const devices = await NetworkDevice.find({ 'connectionInfo.protocol': 'snmp' })
+            .select('_id connectionInfo.pollInterval');
+        const current = new Set();
+
+        for (const device of devices) {
+            const deviceId = device._id.toString();
+            const interval = (device.connectionInfo.pollInterval || 0) * 1000 || this.defaultInterval;
+            current.add(deviceId);
+
+            if (this.schedules.get(deviceId)?.interval !== interval) {
+                this._schedule(deviceId, interval);
+            }
+        }
+
+        for (const deviceId of [...this.schedules.keys()]) {
+            if (!current.has(deviceId)) {
+                this._unschedule(deviceId);
+            }
+        }
+    }
+
+    /**
+     * Poll a device once. The first poll (and the first after a reboot) only records a
+     * baseline, since rates need two counter samples.
+     * @param {string} deviceId - Device ID
+     * @returns {Promise<{ deviceId, polledAt, baseline, uptime, cpu, memory, interfaces }>}
+     */
+    async pollDevice(deviceId) {
+        const device = await NetworkDevice.findById(deviceId);
+        if (!device) {
+            throw ErrorHandler.notFound('Device not found');
+        }
+        if (device.connectionInfo?.protocol !== 'snmp') {
+            throw ErrorHandler.badRequest('Device is not managed over SNMP');
+        }
+
+        const host = this._host(device);
+        const options = await this._clientOptions(device);
+        if (!options) {
+            throw ErrorHandler.badRequest(`${device.name} has no SNMP credential in the vault`);
+        }
+        const client = new SnmpClient({
+            host,
+            port: device.connectionInfo.port || 161,
+            timeout: this.timeout,
+            retries: this.retries,
+            ...options
+        });
+
+        let sample;
+        try {
+            sample = await this._collect(client);
+        } finally {
+            client.close();
+        }
+
+        const key = device._id.toString();
+        const previous = this.samples.get(key);
+        this.samples.set(key, sample);
+
+        const rates = previous ? this.computeRates(previous, sample) : null;
+        const polledAt = new Date(sample.timestamp);
+
+        if (rates) {
+            for (const rate of rates) {
+                await DataManager.addMetrics(this._toMetrics(device, host, rate, sample, polledAt));
+            }
+        }
+
+        await this._updateDevice(device, sample, polledAt);
+
+        return {
+            deviceId: key,
+            polledAt,
+            baseline: !rates,
+            uptime: sample.uptime,
+            cpu: sample.cpu,
+            memory: sample.memory,
+            interfaces: rates || []
+        };
+    }
+
+    /**
+     * Turn two counter samples into per-interface rates
+     * @returns {Array|null} null when the device restarted in between and counters reset
+     */
+    computeRates(previous, current) {
+        const elapsed = (current.timestamp - previous.timestamp) / 1000;
+        if (elapsed <= 0) return null;
+
+        // sysUpTime going backwards, or younger than our previous sample, means the agent restarted
+        if (current.uptime < previous.uptime || current.uptime < elapsed) {
+            return null;
+        }
+
+        const rates = [];
+        for (const [ifIndex, counters] of Object.entries(current.interfaces)) {
+            const before = previous.interfaces[ifIndex];
+            if (!before || before.counterBits !== counters.counterBits) continue;
+
+            const inbound = this.counterDelta(before.inOctets, counters.inOctets, counters.counterBits) * 8 / elapsed;
+            const outbound = this.counterDelta(before.outOctets, counters.outOctets, counters.counterBits) * 8 / elapsed;
+
+            rates.push({
+                ifIndex: Number(ifIndex),
+                interfaceName: counters.name,
+                status: counters.status,
+                speed: counters.speed,
+                inbound,
+                outbound,
+                utilization: counters.speed > 0 ? Math.max(inbound, outbound) / counters.speed * 100 : undefined,
+                inErrors: this.counterDelta(before.inErrors, counters.inErrors, 32),
+                outErrors: this.counterDelta(before.outErrors, counters.outErrors, 32),
+                inDiscards: this.counterDelta(before.inDiscards, counters.inDiscards, 32),
+                outDiscards: this.counterDelta(before.outDiscards, counters.outDiscards, 32)
+            });
+        }
+        return rates;
+    }
+
+    /**
+     * Difference between two readings of a counter that wraps at 2^bits
+     */
+    counterDelta(previous, current, bits) {
+        const before = BigInt(previous ?? 0);
+        const after = BigInt(current ?? 0);
+        const delta = after >= before ? after - before : after + (1n << BigInt(bits)) - before;
+        return Number(delta);
+    }
+
+    // Private helper methods
+    _schedule(deviceId, interval) {
+        this._unschedule(deviceId);
+
+        const timer = setInterval(() => this._pollScheduled(deviceId), interval);
+        this.schedules.set(deviceId, { interval, timer });
+        this._pollScheduled(deviceId);
+    }
+
+    _unschedule(deviceId) {
+        const schedule = this.schedules.get(deviceId);
+        if (schedule) {
+            clearInterval(schedule.timer);
+            this.schedules.delete(deviceId);
+        }
+        this.samples.delete(deviceId);
+    }
+
+    async _pollScheduled(deviceId) {
+        // A slow agent must not stack up overlapping polls
+        if (this.inFlight.has(deviceId)) return;
+        this.inFlight.add(deviceId);
+
+        try {
+            await this.pollDevice(deviceId);
+        } catch (error) {
+            logger.warn(`SNMP poll failed for device ${deviceId}: ${error.message}`);
+        } finally {
+            this.inFlight.delete(deviceId);
+        }
+    }
+
+    _host(device) {
+        const host = device.connectionInfo.host ||
+            device.interfaces.find(iface => iface.ipAddress)?.ipAddress;
+        if (!host) {
+            throw ErrorHandler.badRequest('Device has no management address');
+        }
+        return host;
+    }
+
+    // The vault secret of the device or its groups; null when neither has one
+    async _clientOptions(device) {
+        const secret = await CredentialVault.resolve(device, 'snmp', { reason: 'snmp_poll', cache: true });
+        if (secret?.type === 'snmp_v3') {
+            return { version: '3', user: this._usmUser(secret) };
+        }
+        if (secret) {
+            return { version: '2c', community: secret.community };
+        }
+        return null;
+    }
+
+    _usmUser(secret) {
+        return {
+            name: secret.username,
+            authProtocol: secret.authProtocol,
+            authPassword: secret.authPassword,
+            privProtocol: secret.privProtocol,
+            privPassword: secret.privPassword
+        };
+    }
+
+    async _collect(client) {
+        const [uptime] = await client.get([Oids.sysUpTime]);
+        const timestamp = Date.now();
+
+        const columns = {};
+        for (const name of ['ifDescr', 'ifName', 'ifOperStatus', 'ifHighSpeed', 'ifHCInOctets', 'ifHCOutOctets',
+            'ifInErrors', 'ifOutErrors', 'ifInDiscards', 'ifOutDiscards']) {
+            columns[name] = await this._walkColumn(client, Oids[name]);
+        }
+
+        // Agents without the ifXTable only have 32-bit octet counters
+        const highCapacity = columns.ifHCInOctets.size > 0;
+        if (!highCapacity) {
+            for (const name of ['ifSpeed', 'ifInOctets', 'ifOutOctets']) {
+                columns[name] = await this._walkColumn(client, Oids[name]);
+            }
+        }
+
+        const interfaces = {};
+        for (const [ifIndex, descr] of columns.ifDescr) {
+            interfaces[ifIndex] = {
+                name: this._text(columns.ifName.get(ifIndex)) || this._text(descr) || `ifIndex ${ifIndex}`,
+                status: IF_OPER_STATUS[columns.ifOperStatus.get(ifIndex)] || 'unknown',
+                speed: highCapacity
+                    ? (columns.ifHighSpeed.get(ifIndex) || 0) * 1e6
+                    : columns.ifSpeed.get(ifIndex) || 0,
+                counterBits: highCapacity ? 64 : 32,
+                inOctets: (highCapacity ? columns.ifHCInOctets : columns.ifInOctets).get(ifIndex),
+                outOctets: (highCapacity ? columns.ifHCOutOctets : columns.ifOutOctets).get(ifIndex),
+                inErrors: columns.ifInErrors.get(ifIndex),
+                outErrors: columns.ifOutErrors.get(ifIndex),
+                inDiscards: columns.ifInDiscards.get(ifIndex),
+                outDiscards: columns.ifOutDiscards.get(ifIndex)
+            };
+        }
+
+        return {
+            timestamp,
+            uptime: (uptime?.value || 0) / 100,
+            interfaces,
+            ...(await this._collectHostResources(client))
+        };
+    }
+
+    async _collectHostResources(client) {
+        const loads = [...(await this._walkColumn(client, Oids.hrProcessorLoad)).values()];
+        const types = await this._walkColumn(client, Oids.hrStorageType);
+
+        let memory;
+        const ramIndex = [...types].find(([, type]) => type === HR_STORAGE_RAM)?.[0];
+        if (ramIndex !== undefined) {
+            const [units, size, used] = await client.get([
+                `${Oids.hrStorageAllocationUnits}.${ramIndex}`,
+                `${Oids.hrStorageSize}.${ramIndex}`,
+                `${Oids.hrStorageUsed}.${ramIndex}`
+            ]);
+            if (typeof units.value === 'number' && typeof size.value === 'number' && typeof used.value === 'number') {
+                memory = {
+                    total: size.value * units.value,
+                    used: used.value * units.value,
+                    free: (size.value - used.value) * units.value
+                };
+            }
+        }
+
+        return {
+            cpu: loads.length > 0 ? loads.reduce((sum, load) => sum + load, 0) / loads.length : undefined,
+            memory
+        };
+    }
+
+    async _walkColumn(client, column) {
+        const values = new Map();
+        for (const varbind of await client.walk(column)) {
+            values.set(varbind.oid.slice(column.length + 1), varbind.value);
+        }
+        return values;
+    }
+
+    _text(value) {
+        return Buffer.isBuffer(value) ? value.toString('utf8').replace(/\0+$/, '') : value;
+    }
+
+    _toMetrics(device, host, rate, sample, timestamp) {
+        const bandwidth = {
+            inbound: { value: rate.inbound },
+            outbound: { value: rate.outbound },
+            total: { value: rate.inbound + rate.outbound }
+        };
+        if (rate.utilization !== undefined) {
+            bandwidth.utilization = { value: rate.utilization };
+        }
+
+        return {
+            deviceId: device._id.toString(),
+            interfaceName: rate.interfaceName,
+            timestamp,
+            metadata: {
+                collectionMethod: 'snmp',
+                source: host
+            },
+            metrics: {
+                bandwidth,
+                errors: {
+                    inbound: { value: rate.inErrors },
+                    outbound: { value: rate.outErrors }
+                },
+                discards: {
+                    inbound: { value: rate.inDiscards },
+                    outbound: { value: rate.outDiscards }
+                },
+                ...(sample.cpu !== undefined ? { cpu: { value: sample.cpu } } : {}),
+                ...(sample.memory ? {
+                    memory: {
+                        used: { value: sample.memory.used },
+                        total: { value: sample.memory.total }
+                    }
+                } : {})
+            }
+        };
+    }
+
+    async _updateDevice(device, sample, polledAt) {
+        const update = {
+            lastSeen: polledAt,
+            uptime: Math.floor(sample.uptime)
+        };
+        if (sample.cpu !== undefined) update['metrics.cpu.usage'] = sample.cpu;
+        if (sample.memory) {
+            update['metrics.memory.total'] = sample.memory.total;
+            update['metrics.memory.used'] = sample.memory.used;
+            update['metrics.memory.free'] = sample.memory.free;
+        }
+
+        const polled = Object.entries(sample.interfaces);
+        device.interfaces.forEach((iface, index) => {
+            const [ifIndex, match] = polled.find(([, counters]) => counters.name === iface.name) || [];
+            if (match) {
+                update[`interfaces.${index}.ifIndex`] = Number(ifIndex);
+                update[`interfaces.${index}.status`] = match.status;
+                if (match.speed > 0) update[`interfaces.${index}.speed`] = match.speed / 1e6;
+            }
+        });
+
+        await NetworkDevice.updateOne({ _id: device._id }, { $set: update });
+    }
+}
+
+const snmpPoller = new SnmpPoller();
+export { snmpPoller as SnmpPoller };
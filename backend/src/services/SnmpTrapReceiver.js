@@ -0,0 +1,553 @@
+import dgram from 'dgram';
+import net from 'net';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+import NetworkDevice from '../models/NetworkDevice.js';
+import WebSocketService from './WebSocketService.js';
+import { NetworkMonitor } from './NetworkMonitor.js';
+import { CredentialVault } from './CredentialVault.js';
+import { SnmpMessage, SnmpUsm, MsgFlags, PduType } from '../utils/SnmpClient.js';
+import { MibRegistry } from '../utils/MibRegistry.js';
+import logger from '../utils/logger.js';
+
+const DEVICE_REFRESH_INTERVAL = 300000;
+const RECENT_TRAPS = 100;
+// RFC 3414 section 3.2 step 7: messages more than 150 seconds off are outside the time window
+const TIME_WINDOW = 150;
+
+const SYS_UPTIME = '1.3.6.1.2.1.1.3.0';
+const SNMP_TRAP_OID = '1.3.6.1.6.3.1.1.4.1.0';
+const SNMP_TRAPS = '1.3.6.1.6.3.1.1.5';
+const USM_UNKNOWN_ENGINE_IDS = '1.3.6.1.6.3.15.1.1.4.0';
+const USM_NOT_IN_TIME_WINDOWS = '1.3.6.1.6.3.15.1.1.2.0';
+
+const Trap = {
+    COLD_START: `${SNMP_TRAPS}.1`,
+    WARM_START: `${SNMP_TRAPS}.2`,
+    LINK_DOWN: `${SNMP_TRAPS}.3`,
+    LINK_UP: `${SNMP_TRAPS}.4`,
+    AUTHENTICATION_FAILURE: `${SNMP_TRAPS}.5`
+};
+
+// ifOperStatus values that mean the link cannot pass traffic
+const LINK_DOWN_STATES = ['down', 'notPresent', 'lowerLayerDown'];
+
+class SnmpTrapReceiver extends EventEmitter {
+    constructor() {
+        super();
+        this.host = process.env.SNMP_TRAP_HOST || '0.0.0.0';
+        this.port = parseInt(process.env.SNMP_TRAP_PORT) || 162;
+        this.communities = new Set((process.env.SNMP_TRAP_COMMUNITIES || 'public')
+            .split(',').map(community => community.trim()).filter(Boolean));
+        this.mibDirectory = process.env.SNMP_MIB_DIR || 'mibs';
+        // Authoritative engine for informs (RFC 3411 format 5: enterprise 0 with random octets)
+        this.engineId = process.env.SNMP_TRAP_ENGINE_ID
+            ? Buffer.from(process.env.SNMP_TRAP_ENGINE_ID, 'hex')
+            : Buffer.concat([Buffer.from([0x80, 0x00, 0x00, 0x00, 0x05]), crypto.randomBytes(8)]);
+        this.engineBoots = 1;
+        this.startedAt = Date.now();
+
+        this.socket = null;
+        this.refreshTimer = null;
+        this.mibs = new MibRegistry();
+        this.mibFiles = [];
+        this.mibErrors = [];
+        this.keys = new Map(); // `${userName}/${engineId}` -> localized keys
+        this.stats = { unknownEngineIds: 0, notInTimeWindows: 0 };
+        this.recent = [];
+        this.devicesByAddress = new Map();
+    }
+
+    /**
+     * Load the MIB directory and listen for traps and informs
+     * @param {object} options - Optional { host, port } overrides; a port of 0 picks a free one
+     * @returns {Promise<object>} bound address
+     */
+    async start(options = {}) {
+        if (this.socket) {
+            return this.socket.address();
+        }
+
+        const host = options.host ?? this.host;
+        await this.loadMibs();
+        await this.refresh();
+
+        this.socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+        this.socket.on('message', (buffer, rinfo) => {
+            this.handleMessage(buffer, rinfo).catch(error => {
+                logger.error(`Error handling SNMP trap from ${rinfo.address}:`, error);
+            });
+        });
+        this.socket.on('error', error => {
+            logger.error('SNMP trap socket error:', error);
+        });
+        await new Promise((resolve, reject) => {
+            this.socket.once('error', reject);
+            this.socket.bind(options.port ?? this.port, host, () => {
+                this.socket.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        this.refreshTimer = setInterval(() => this.refresh(), DEVICE_REFRESH_INTERVAL);
+
+        const address = this.socket.address();
+        logger.info(`SNMP trap receiver listening on udp/${address.port}`);
+        return address;
+    }
+
+    async stop() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    /**
+     * Read every file in the MIB directory. Modules may import each other in any order.
+     * @returns {Promise<object>} the same summary as getMibs()
+     */
+    async loadMibs() {
+        this.mibs.clear();
+        this.mibFiles = [];
+        this.mibErrors = [];
+
+        let files = [];
+        try {
+            files = (await fs.readdir(this.mibDirectory, { withFileTypes: true }))
+                .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+                .map(entry => entry.name)
+                .sort();
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Error reading MIB directory ${this.mibDirectory}:`, error);
+                this.mibErrors.push({ file: this.mibDirectory, error: error.message });
+            }
+        }
+
+        for (const file of files) {
+            try {
+                const text = await fs.readFile(path.join(this.mibDirectory, file), 'utf8');
+                const { module, definitions } = this.mibs.load(text);
+                this.mibFiles.push({ file, module, definitions });
+            } catch (error) {
+                logger.warn(`Skipping MIB file ${file}: ${error.message}`);
+                this.mibErrors.push({ file, error: error.message });
+            }
+        }
+
+        return this.getMibs();
+    }
+
+    getMibs() {
+        return {
+            directory: this.mibDirectory,
+            modules: this.mibFiles,
+            errors: this.mibErrors,
+            unresolved: this.mibs.unresolved
+        };
+    }
+
+    /**
+     * Most recent traps, newest first
+     */
+    getRecentTraps({ deviceId, limit = RECENT_TRAPS } = {}) {
+        const traps = deviceId
+            ? this.recent.filter(trap => trap.deviceId?.toString() === deviceId)
+            : this.recent;
+        return traps.slice(0, limit);
+    }
+
+    /**
+     * Reload the device address map
+     */
+    async refresh() {
+        try {
+            const devices = await NetworkDevice.find({})
+                .select('_id connectionInfo.host interfaces.ipAddress openflow.remoteAddress')
+                .lean();
+
+            const byAddress = new Map();
+            for (const device of devices) {
+                const addresses = [
+                    device.connectionInfo?.host,
+                    device.openflow?.remoteAddress,
+                    ...(device.interfaces || []).map(iface => iface.ipAddress)
+                ];
+                for (const address of addresses.filter(Boolean)) {
+                    if (!byAddress.has(address)) byAddress.set(address, device._id);
+                }
+            }
+            this.devicesByAddress = byAddress;
+        } catch (error) {
+            logger.error('Error loading devices for the SNMP trap receiver:', error);
+        }
+    }
+
+    /**
+     * Authenticate and decode one datagram, acknowledge informs and apply the trap
+     * @param {Buffer} buffer - The received datagram
+     * @param {object} rinfo - { address, port } of the sender
+     * @returns {Promise<object|null>} the decoded trap, or null when the datagram was dropped
+     */
+    async handleMessage(buffer, rinfo) {
+        const source = rinfo.address.replace(/^::ffff:/, '');
+
+        let message;
+        try {
+            message = SnmpMessage.decode(buffer);
+        } catch (error) {
+            logger.debug(`Dropping malformed SNMP datagram from ${source}: ${error.message}`);
+            return null;
+        }
+
+        if (message.version === '3') {
+            message = await this._acceptV3(message, buffer, rinfo);
+            if (!message) return null;
+        } else {
+            if (!this.communities.has(message.community)) {
+                logger.warn(`Dropping SNMP trap from ${source} with an unknown community`);
+                return null;
+            }
+            if (message.pdu.type === PduType.INFORM_REQUEST) {
+                this._send(SnmpMessage.encodeCommunity({
+                    version: message.version,
+                    community: message.community,
+                    pdu: { type: PduType.RESPONSE, requestId: message.pdu.requestId, varbinds: message.pdu.varbinds }
+                }), rinfo);
+            }
+        }
+
+        if (![PduType.TRAP_V1, PduType.TRAP_V2, PduType.INFORM_REQUEST].includes(message.pdu.type)) {
+            return null;
+        }
+
+        const trap = this.decodeTrap(message, source);
+        trap.deviceId = this.devicesByAddress.get(trap.agentAddress) || this.devicesByAddress.get(source);
+
+        this.recent.unshift(trap);
+        this.recent.length = Math.min(this.recent.length, RECENT_TRAPS);
+        this.emit('trap', trap);
+
+        try {
+            await this.applyTrap(trap);
+        } catch (error) {
+            logger.error(`Error applying ${trap.trapName} trap from ${source}:`, error);
+        }
+        return trap;
+    }
+
+    /**
+     * Normalize a decoded v1, v2c or v3 notification. v1 traps are translated to their
+     * v2 form (RFC 3584 section 3.1) so that both share the same trap OIDs.
+     * @returns {{ version, source, agentAddress, inform, trapOid, trapName, uptime, varbinds, receivedAt }}
+     *   uptime is in hundredths of a second; varbinds carry { oid, name, type, value, label }
+     */
+    decodeTrap(message, source) {
+        const { pdu } = message;
+        let { varbinds } = pdu;
+        let trapOid;
+        let uptime;
+        let agentAddress = source;
+
+        if (pdu.type === PduType.TRAP_V1) {
+            trapOid = pdu.genericTrap === 6
+                ? `${pdu.enterprise}.0.${pdu.specificTrap}`
+                : `${SNMP_TRAPS}.${pdu.genericTrap + 1}`;
+            uptime = pdu.timestamp;
+            if (pdu.agentAddress && pdu.agentAddress !== '0.0.0.0') {
+                agentAddress = pdu.agentAddress;
+            }
+        } else {
+            trapOid = varbinds.find(varbind => varbind.oid === SNMP_TRAP_OID)?.value;
+            uptime = varbinds.find(varbind => varbind.oid === SYS_UPTIME)?.value;
+            varbinds = varbinds.filter(varbind => varbind.oid !== SNMP_TRAP_OID && varbind.oid !== SYS_UPTIME);
+        }
+
+        return {
+            version: message.version,
+            source,
+            agentAddress,
+            community: message.community,
+            userName: message.security?.userName,
+            inform: pdu.type === PduType.INFORM_REQUEST,
+            trapOid,
+            trapName: trapOid ? this.mibs.nameOf(trapOid) : undefined,
+            uptime,
+            varbinds: varbinds.map(varbind => this._describe(varbind)),
+            receivedAt: new Date()
+        };
+    }
+
+    /**
+     * React to the standard traps: interface and device status for linkDown/linkUp and
+     * coldStart/warmStart, an alert for authenticationFailure
+     */
+    async applyTrap(trap) {
+        if (!trap.deviceId) return null;
+
+        switch (trap.trapOid) {
+            case Trap.LINK_DOWN:
+            case Trap.LINK_UP:
+                return this._updateInterface(trap);
+            case Trap.COLD_START:
+            case Trap.WARM_START:
+                return this._restarted(trap);
+            case Trap.AUTHENTICATION_FAILURE:
+                return NetworkMonitor.generateAlert(trap.deviceId, 'snmp_auth_failure', 'medium',
+                    `SNMP authentication failure reported by ${trap.agentAddress}`,
+                    { source: 'snmp_trap', trapOid: trap.trapOid });
+            default:
+                await NetworkDevice.updateOne({ _id: trap.deviceId }, { $set: { lastSeen: trap.receivedAt } });
+                return null;
+        }
+    }
+
+    // Private helper methods
+    async _updateInterface(trap) {
+        const device = await NetworkDevice.findById(trap.deviceId).select('name status interfaces');
+        if (!device) return null;
+
+        const byName = name => trap.varbinds.find(varbind => varbind.name?.split('.')[0] === name);
+        const operStatus = byName('ifOperStatus');
+        const ifIndexVarbind = byName('ifIndex');
+        const ifIndex = Number(ifIndexVarbind?.value ?? (operStatus || byName('ifDescr') || byName('ifName'))
+            ?.name.split('.')[1]);
+        const ifName = byName('ifName')?.value || byName('ifDescr')?.value;
+
+        let status = trap.trapOid === Trap.LINK_UP ? 'up' : 'down';
+        if (operStatus?.label) {
+            status = LINK_DOWN_STATES.includes(operStatus.label) ? 'down' : operStatus.label === 'up' ? 'up' : status;
+        }
+
+        let index = device.interfaces.findIndex(iface => iface.ifIndex !== undefined && iface.ifIndex === ifIndex);
+        if (index === -1 && ifName) {
+            index = device.interfaces.findIndex(iface => iface.name === ifName);
+        }
+
+        const update = { lastSeen: trap.receivedAt };
+        if (index !== -1) {
+            update[`interfaces.${index}.status`] = status;
+        } else {
+            logger.debug(`${trap.trapName} from ${device.name} names an unknown interface (ifIndex ${ifIndex})`);
+        }
+
+        const states = device.interfaces
+            .map((iface, i) => (i === index ? status : iface.status))
+            .filter(state => state === 'up' || state === 'down');
+        const down = states.filter(state => state === 'down').length;
+        let linkStatus = 'up';
+        if (states.length > 0 && down === states.length) {
+            linkStatus = 'down';
+        } else if (down > 0) {
+            linkStatus = 'degraded';
+        }
+        if (device.status !== 'maintenance') {
+            update.status = linkStatus === 'down' ? 'error' : 'active';
+        }
+
+        await NetworkDevice.updateOne({ _id: device._id }, { $set: update });
+
+        return this._emitStatus(trap, linkStatus, {
+            interface: {
+                ifIndex: Number.isNaN(ifIndex) ? undefined : ifIndex,
+                name: index !== -1 ? device.interfaces[index].name : ifName,
+                status
+            }
+        });
+    }
+
+    async _restarted(trap) {
+        const update = { lastSeen: trap.receivedAt, uptime: Math.floor((trap.uptime || 0) / 100) };
+        const device = await NetworkDevice.findById(trap.deviceId).select('status');
+        if (!device) return null;
+        if (device.status !== 'maintenance') update.status = 'active';
+
+        await NetworkDevice.updateOne({ _id: device._id }, { $set: update });
+        return this._emitStatus(trap, 'up');
+    }
+
+    // device:status as documented in documentation/websocket-events.md
+    _emitStatus(trap, status, extra = {}) {
+        const event = {
+            deviceId: trap.deviceId,
+            status,
+            timestamp: trap.receivedAt,
+            metrics: {
+                uptime: trap.uptime !== undefined ? Math.floor(trap.uptime / 100) : undefined,
+                lastSeen: trap.receivedAt
+            },
+            trap: trap.trapName,
+            ...extra
+        };
+        WebSocketService.emit('device:status', event);
+        return event;
+    }
+
+    _describe({ oid, type, value }) {
+        const node = this.mibs.resolve(oid);
+        const described = { oid, name: this.mibs.nameOf(oid), type, value };
+
+        if (Buffer.isBuffer(value)) {
+            // Display strings are shown as text, anything else (MAC addresses, engine IDs) as hex
+            described.value = /^[\x20-\x7e\t\r\n]*$/.test(value.toString('latin1'))
+                ? value.toString('latin1')
+                : value.toString('hex');
+        } else if (typeof value === 'bigint') {
+            described.value = value.toString();
+        }
+
+        const label = node && this.mibs.enumLabel(node.name, value);
+        if (label) described.label = label;
+        return described;
+    }
+
+    /**
+     * USM processing for a received v3 notification (RFC 3414 section 3.2). Informs are
+     * authoritative on our engine, so senders first discover it; traps use the sender's engine.
+     * @returns {Promise<object|null>} the decrypted message, or null when it was dropped or answered with a report
+     */
+    async _acceptV3(message, buffer, rinfo) {
+        const { security } = message;
+
+        if (!security.engineId?.length) {
+            this.stats.unknownEngineIds++;
+            this._report(message, rinfo, USM_UNKNOWN_ENGINE_IDS, this.stats.unknownEngineIds);
+            return null;
+        }
+
+        let options = null;
+        try {
+            const secret = await CredentialVault.resolveSnmpUser(security.userName, { reason: 'snmp_trap', cache: true });
+            options = secret && {
+                version: '3',
+                user: {
+                    name: secret.username,
+                    authProtocol: secret.authProtocol,
+                    authPassword: secret.authPassword,
+                    privProtocol: secret.privProtocol,
+                    privPassword: secret.privPassword
+                }
+            };
+        } catch (error) {
+            logger.error(`Error resolving SNMPv3 user ${security.userName}:`, error);
+        }
+        if (!options) {
+            logger.warn(`Dropping SNMPv3 trap from ${rinfo.address} for unknown user ${security.userName}`);
+            return null;
+        }
+
+        const keys = this._keys(options.user, security.engineId);
+        const authenticated = Boolean(message.flags & MsgFlags.AUTH);
+        if (keys.authKey && !authenticated) {
+            logger.warn(`Dropping unauthenticated SNMPv3 trap from ${rinfo.address} for user ${security.userName}`);
+            return null;
+        }
+        if (authenticated && (!keys.authKey || !SnmpMessage.verifyV3(buffer, keys.authProtocol, keys.authKey))) {
+            logger.warn(`Dropping SNMPv3 trap from ${rinfo.address} with a wrong digest`);
+            return null;
+        }
+
+        if (message.encryptedPdu) {
+            if (!keys.privKey) {
+                logger.warn(`Dropping encrypted SNMPv3 trap from ${rinfo.address}: user ${security.userName} has no privacy key`);
+                return null;
+            }
+            try {
+                SnmpMessage.decryptV3(message, keys.privKey);
+            } catch (error) {
+                logger.warn(`Dropping SNMPv3 trap from ${rinfo.address}: ${error.message}`);
+                return null;
+            }
+        }
+
+        if (message.pdu.type !== PduType.INFORM_REQUEST) {
+            return message;
+        }
+
+        if (!security.engineId.equals(this.engineId)) {
+            this.stats.unknownEngineIds++;
+            this._report(message, rinfo, USM_UNKNOWN_ENGINE_IDS, this.stats.unknownEngineIds);
+            return null;
+        }
+        if (authenticated && (security.engineBoots !== this.engineBoots ||
+            Math.abs(security.engineTime - this._engineTime()) > TIME_WINDOW)) {
+            this.stats.notInTimeWindows++;
+            this._report(message, rinfo, USM_NOT_IN_TIME_WINDOWS, this.stats.notInTimeWindows, keys);
+            return null;
+        }
+
+        this._send(SnmpMessage.encodeV3({
+            msgId: message.msgId,
+            flags: message.flags & (MsgFlags.AUTH | MsgFlags.PRIV),
+            security: this._security(security.userName),
+            contextEngineId: message.contextEngineId,
+            contextName: message.contextName,
+            pdu: { type: PduType.RESPONSE, requestId: message.pdu.requestId, varbinds: message.pdu.varbinds },
+            user: keys
+        }), rinfo);
+        return message;
+    }
+
+    // REPORT PDU telling the sender about our engine; authenticated only when keys are given
+    _report(message, rinfo, oid, count, keys = null) {
+        this._send(SnmpMessage.encodeV3({
+            msgId: message.msgId,
+            flags: keys ? MsgFlags.AUTH : 0,
+            security: this._security(message.security.userName),
+            contextEngineId: this.engineId,
+            pdu: {
+                type: PduType.REPORT,
+                requestId: message.pdu?.requestId ?? 0,
+                varbinds: [{ oid, type: 'COUNTER32', value: count }]
+            },
+            user: keys || {}
+        }), rinfo);
+    }
+
+    _security(userName) {
+        return {
+            engineId: this.engineId,
+            engineBoots: this.engineBoots,
+            engineTime: this._engineTime(),
+            userName: userName || ''
+        };
+    }
+
+    _engineTime() {
+        return Math.floor((Date.now() - this.startedAt) / 1000);
+    }
+
+    // Keys are localized per engine, which costs a megabyte of hashing, so they are cached
+    _keys(user, engineId) {
+        const cacheKey = `${user.name}/${engineId.toString('hex')}`;
+        const cached = this.keys.get(cacheKey);
+        if (cached && cached.user === user) return cached;
+
+        const authProtocol = user.authProtocol || 'sha';
+        const keys = {
+            user,
+            authProtocol,
+            authKey: user.authPassword ? SnmpUsm.localizeKey(authProtocol, user.authPassword, engineId) : null,
+            privKey: user.privPassword ? SnmpUsm.localizeKey(authProtocol, user.privPassword, engineId) : null
+        };
+        this.keys.set(cacheKey, keys);
+        return keys;
+    }
+
+    _send(buffer, rinfo) {
+        if (!this.socket) return;
+        this.socket.send(buffer, rinfo.port, rinfo.address, error => {
+            if (error) logger.error(`Error answering SNMP notification from ${rinfo.address}:`, error);
+        });
+    }
+}
+
+const snmpTrapReceiver = new SnmpTrapReceiver();
+export { snmpTrapReceiver as SnmpTrapReceiver };
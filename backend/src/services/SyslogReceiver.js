@@ -0,0 +1,413 @@
+import dgram from 'dgram';
+import net from 'net';
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import SyslogMessage from '../models/SyslogMessage.js';
+import SyslogPattern from '../models/SyslogPattern.js';
+import AlertConfig from '../models/AlertConfig.js';
+import NetworkDevice from '../models/NetworkDevice.js';
+import AuditLogger from './AuditLogger.js';
+import { NetworkMonitor } from './NetworkMonitor.js';
+import { parseSyslog, SyslogFramer, SyslogFacility, SyslogSeverity } from '../utils/SyslogParser.js';
+import { AppError, ErrorHandler } from '../utils/ErrorHandler.js';
+import logger from '../utils/logger.js';
+
+const DEVICE_REFRESH_INTERVAL = 300000;
+const MAX_LIMIT = 500;
+
+class SyslogReceiver extends EventEmitter {
+    constructor() {
+        super();
+        this.host = process.env.SYSLOG_HOST || '0.0.0.0';
+        this.udpPort = parseInt(process.env.SYSLOG_UDP_PORT) || 514;
+        this.tcpPort = parseInt(process.env.SYSLOG_TCP_PORT) || 514;
+        this.flushInterval = parseInt(process.env.SYSLOG_FLUSH_INTERVAL) || 5000;
+        this.maxBuffer = parseInt(process.env.SYSLOG_MAX_BUFFER) || 1000;
+        // Longer messages are truncated, which also bounds the cost of pattern matching
+        this.maxMessageSize = parseInt(process.env.SYSLOG_MAX_MESSAGE_SIZE) || 8192;
+
+        this.udpSocket = null;
+        this.tcpServer = null;
+        this.connections = new Set();
+        this.flushTimer = null;
+        this.messages = [];
+        this.patterns = [];
+        this.alertConfigs = new Map();
+        this.lastAlerts = new Map(); // `${patternId}/${device or source}` -> time of the last alert
+        this.devicesByAddress = new Map();
+        this.devicesByHostname = new Map();
+        this.refreshedAt = 0;
+    }
+
+    /**
+     * Listen for syslog over UDP and TCP
+     * @param {object} options - Optional { host, udpPort, tcpPort } overrides; a port of 0 picks a free one
+     * @returns {Promise<{ udp, tcp }>} bound addresses
+     */
+    async start(options = {}) {
+        if (this.udpSocket || this.tcpServer) {
+            return this._addresses();
+        }
+
+        const host = options.host ?? this.host;
+        await this.refresh();
+
+        this.udpSocket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+        this.udpSocket.on('message', (buffer, rinfo) => {
+            this.handleMessage(buffer.subarray(0, this.maxMessageSize), { address: rinfo.address, transport: 'udp' });
+        });
+        this.udpSocket.on('error', error => {
+            logger.error('Syslog UDP socket error:', error);
+        });
+        await new Promise((resolve, reject) => {
+            this.udpSocket.once('error', reject);
+            this.udpSocket.bind(options.udpPort ?? this.udpPort, host, () => {
+                this.udpSocket.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        this.tcpServer = net.createServer(socket => this._handleConnection(socket));
+        await new Promise((resolve, reject) => {
+            this.tcpServer.once('error', reject);
+            this.tcpServer.listen(options.tcpPort ?? this.tcpPort, host, () => {
+                this.tcpServer.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.flushTimer = setInterval(() => {
+            this._refreshIfStale();
+            this.flush().catch(error => {
+                logger.error('Error flushing syslog messages:', error);
+            });
+        }, this.flushInterval);
+
+        const addresses = this._addresses();
+        logger.info(`Syslog receiver listening on udp/${addresses.udp.port} and tcp/${addresses.tcp.port}`);
+        return addresses;
+    }
+
+    async stop() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+        for (const socket of this.connections) {
+            socket.destroy();
+        }
+        this.connections.clear();
+
+        if (this.udpSocket) {
+            this.udpSocket.close();
+            this.udpSocket = null;
+        }
+        if (this.tcpServer) {
+            await new Promise(resolve => this.tcpServer.close(() => resolve()));
+            this.tcpServer = null;
+        }
+        await this.flush();
+    }
+
+    /**
+     * Parse one message, match it against the enabled patterns and buffer it until the next flush
+     * @param {Buffer|string} raw - The message without transport framing
+     * @param {object} origin - { address, transport: 'udp'|'tcp' } of the sender
+     * @returns {object} the stored message
+     */
+    handleMessage(raw, origin) {
+        const parsed = parseSyslog(raw);
+        const source = origin.address.replace(/^::ffff:/, '');
+        const message = {
+            ...parsed,
+            source,
+            transport: origin.transport,
+            deviceId: this.devicesByAddress.get(source) ||
+                (parsed.hostname && this.devicesByHostname.get(parsed.hostname.toLowerCase()))
+        };
+
+        const matched = this.patterns.filter(pattern => pattern.matches(message));
+        message.matchedPatterns = matched.map(pattern => pattern.name);
+        this.messages.push(message);
+
+        for (const pattern of matched) {
+            this.emit('syslog:match', { pattern: pattern.name, eventType: pattern.eventType, message });
+            this._raiseAlert(pattern, message).catch(error => {
+                logger.error(`Error raising alert for syslog pattern ${pattern.name}:`, error);
+            });
+        }
+
+        if (this.messages.length >= this.maxBuffer) {
+            this.flush().catch(error => {
+                logger.error('Error flushing syslog messages:', error);
+            });
+        }
+        return message;
+    }
+
+    async flush() {
+        const messages = this.messages;
+        this.messages = [];
+        if (messages.length > 0) {
+            await SyslogMessage.insertMany(messages, { ordered: false });
+        }
+        return { messages: messages.length };
+    }
+
+    /**
+     * Reload the device address map, the enabled patterns and their alert configs
+     */
+    async refresh() {
+        try {
+            const [devices, patterns] = await Promise.all([
+                NetworkDevice.find({})
+                    .select('_id name connectionInfo.host interfaces.ipAddress openflow.remoteAddress')
+                    .lean(),
+                SyslogPattern.find({ enabled: true })
+            ]);
+
+            const byAddress = new Map();
+            const byHostname = new Map();
+            for (const device of devices) {
+                const addresses = [
+                    device.connectionInfo?.host,
+                    device.openflow?.remoteAddress,
+                    ...(device.interfaces || []).map(iface => iface.ipAddress)
+                ];
+                for (const address of addresses.filter(Boolean)) {
+                    if (!byAddress.has(address)) byAddress.set(address, device._id);
+                }
+                if (device.name) byHostname.set(device.name.toLowerCase(), device._id);
+            }
+
+            const configIds = patterns.map(pattern => pattern.alertConfigId).filter(Boolean);
+            const configs = configIds.length > 0 ? await AlertConfig.find({ _id: { $in: configIds } }) : [];
+
+            this.devicesByAddress = byAddress;
+            this.devicesByHostname = byHostname;
+            this.patterns = patterns;
+            this.alertConfigs = new Map(configs.map(config => [config._id.toString(), config]));
+        } catch (error) {
+            logger.error('Error loading syslog devices and patterns:', error);
+        } finally {
+            this.refreshedAt = Date.now();
+        }
+    }
+
+    /**
+     * Search stored messages
+     * @param {object} options - { q, deviceId, severity, facility, hostname, appName, pattern, start, end, page, limit }
+     *   severity is the least urgent level to include, as a number or a name such as 'warning'
+     */
+    async search(options = {}) {
+        try {
+            const query = {};
+            if (options.q) query.$text = { $search: options.q };
+            if (options.deviceId) {
+                if (!mongoose.Types.ObjectId.isValid(options.deviceId)) {
+                    throw ErrorHandler.badRequest('deviceId is not valid');
+                }
+                query.deviceId = options.deviceId;
+            }
+            if (options.severity !== undefined) query.severity = { $lte: this._severity(options.severity) };
+            if (options.facility) {
+                if (!SyslogFacility.includes(options.facility)) {
+                    throw ErrorHandler.badRequest(`Unknown syslog facility: ${options.facility}`);
+                }
+                query.facility = options.facility;
+            }
+            if (options.hostname) query.hostname = options.hostname;
+            if (options.appName) query.appName = options.appName;
+            if (options.pattern) query.matchedPatterns = options.pattern;
+            if (options.start || options.end) {
+                query.timestamp = {};
+                if (options.start) query.timestamp.$gte = this._date(options.start, 'start');
+                if (options.end) query.timestamp.$lt = this._date(options.end, 'end');
+            }
+
+            const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), MAX_LIMIT);
+            const page = Math.max(parseInt(options.page) || 1, 1);
+
+            const [messages, total] = await Promise.all([
+                SyslogMessage.find(query)
+                    .sort({ timestamp: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                SyslogMessage.countDocuments(query)
+            ]);
+
+            return { messages, total, page, limit };
+        } catch (error) {
+            logger.error('Error searching syslog messages:', error);
+            throw error;
+        }
+    }
+
+    async listPatterns() {
+        return SyslogPattern.find({}).sort({ name: 1 });
+    }
+
+    /**
+     * @param {object} data - { name, pattern, caseSensitive, eventType, maxSeverity, facilities, appName,
+     *   deviceIds, alertConfigId, enabled, description }
+     * @param {object} actor - { id, type, ip, userAgent } recorded in the audit log
+     */
+    async createPattern(data, actor) {
+        try {
+            await this._checkAlertConfig(data.alertConfigId);
+            const pattern = new SyslogPattern({ ...data, createdBy: actor?.id });
+            await pattern.save();
+
+            await this._audit(actor, 'syslog_pattern.create', pattern);
+            await this.refresh();
+            return pattern;
+        } catch (error) {
+            throw this._patternError(error, data);
+        }
+    }
+
+    async updatePattern(id, data, actor) {
+        try {
+            const pattern = await this._getPattern(id);
+            await this._checkAlertConfig(data.alertConfigId);
+            Object.assign(pattern, data, { updatedBy: actor?.id });
+            await pattern.save();
+
+            await this._audit(actor, 'syslog_pattern.update', pattern);
+            await this.refresh();
+            return pattern;
+        } catch (error) {
+            throw this._patternError(error, data);
+        }
+    }
+
+    async deletePattern(id, actor) {
+        const pattern = await this._getPattern(id);
+        await pattern.deleteOne();
+
+        await this._audit(actor, 'syslog_pattern.delete', pattern);
+        await this.refresh();
+        return pattern;
+    }
+
+    // Private helper methods
+    _handleConnection(socket) {
+        const framer = new SyslogFramer({ maxMessageSize: this.maxMessageSize });
+        const origin = { address: socket.remoteAddress, transport: 'tcp' };
+        this.connections.add(socket);
+
+        socket.on('data', chunk => {
+            try {
+                for (const raw of framer.push(chunk)) {
+                    this.handleMessage(raw, origin);
+                }
+            } catch (error) {
+                logger.warn(`Closing syslog connection from ${origin.address}: ${error.message}`);
+                socket.destroy();
+            }
+        });
+        socket.on('error', error => {
+            logger.warn(`Syslog connection error from ${origin.address}: ${error.message}`);
+        });
+        socket.on('close', () => this.connections.delete(socket));
+    }
+
+    _addresses() {
+        return {
+            udp: this.udpSocket?.address(),
+            tcp: this.tcpServer?.address()
+        };
+    }
+
+    _refreshIfStale() {
+        if (Date.now() - this.refreshedAt > DEVICE_REFRESH_INTERVAL) {
+            this.refresh();
+        }
+    }
+
+    async _raiseAlert(pattern, message) {
+        if (!pattern.alertConfigId) return null;
+        const config = this.alertConfigs.get(pattern.alertConfigId.toString());
+        if (!config || !config.enabled) return null;
+
+        // One alert per pattern and device within the config's cooldown
+        const key = `${pattern._id}/${message.deviceId || message.source}`;
+        const now = Date.now();
+        if (now - (this.lastAlerts.get(key) || 0) < config.cooldown * 1000) return null;
+        this.lastAlerts.set(key, now);
+
+        return NetworkMonitor.generateAlert(
+            message.deviceId,
+            pattern.eventType || 'syslog',
+            config.severity,
+            `${pattern.name}: ${message.message}`,
+            {
+                source: 'syslog',
+                alertConfigId: config._id,
+                alertConfigName: config.name,
+                channels: config.notifications.filter(channel => channel.enabled),
+                syslog: {
+                    source: message.source,
+                    hostname: message.hostname,
+                    facility: message.facility,
+                    severity: SyslogSeverity[message.severity],
+                    timestamp: message.timestamp
+                }
+            }
+        );
+    }
+
+    async _checkAlertConfig(alertConfigId) {
+        if (!alertConfigId) return;
+        if (!mongoose.Types.ObjectId.isValid(alertConfigId) || !(await AlertConfig.exists({ _id: alertConfigId }))) {
+            throw ErrorHandler.badRequest('Alert config not found');
+        }
+    }
+
+    async _getPattern(id) {
+        const pattern = await SyslogPattern.findById(id);
+        if (!pattern) {
+            throw ErrorHandler.notFound('Syslog pattern not found');
+        }
+        return pattern;
+    }
+
+    _patternError(error, data) {
+        if (error instanceof AppError) {
+            return error;
+        }
+        if (error.code === 11000) {
+            return ErrorHandler.conflict(`Syslog pattern ${data.name} already exists`);
+        }
+        if (error instanceof mongoose.Error.ValidationError) {
+            return ErrorHandler.badRequest(error.message);
+        }
+        logger.error('Error saving syslog pattern:', error);
+        return error;
+    }
+
+    _severity(value) {
+        const level = SyslogSeverity.includes(value) ? SyslogSeverity.indexOf(value) : Number(value);
+        if (!Number.isInteger(level) || level < 0 || level > 7) {
+            throw ErrorHandler.badRequest(`Unknown syslog severity: ${value}`);
+        }
+        return level;
+    }
+
+    _date(value, name) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw ErrorHandler.badRequest(`${name} must be a valid date`);
+        }
+        return date;
+    }
+
+    _audit(actor, type, pattern) {
+        return AuditLogger.record(actor, type, { type: 'SyslogPattern', id: pattern._id, name: pattern.name },
+            { pattern: pattern.pattern, eventType: pattern.eventType });
+    }
+}
+
+const syslogReceiver = new SyslogReceiver();
+export { syslogReceiver as SyslogReceiver };
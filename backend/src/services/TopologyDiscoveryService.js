@@ -0,0 +1,421 @@
+import NetworkDevice from '../models/NetworkDevice.js';
+import NetworkTopology from '../models/NetworkTopology.js';
+import { OpenFlowController } from './OpenFlowController.js';
+import WebSocketService from './WebSocketService.js';
+import { LldpCodec, LLDP_ETH_TYPE, decodeDiscoveryFrame } from '../utils/DiscoveryCodec.js';
+import { FlowModCommand } from '../utils/OpenFlowCodec.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import logger from '../utils/logger.js';
+
+const LINK_FIELDS = ['linkType', 'bandwidth', 'status'];
+
+class TopologyDiscoveryService {
+    constructor() {
+        this.topologyName = process.env.TOPOLOGY_NAME || 'Discovered-Network-Topology';
+        this.probeInterval = parseInt(process.env.TOPOLOGY_LLDP_INTERVAL) || 30000;
+        this.neighborTtl = parseInt(process.env.TOPOLOGY_NEIGHBOR_TTL) || 120;
+        this.maxRevisions = parseInt(process.env.TOPOLOGY_MAX_REVISIONS) || 50;
+        this.neighborSources = new Map();
+        this.probeTimer = null;
+
+        OpenFlowController.on('switch:connected', event => {
+            this._prepareSwitch(event.datapathId);
+        });
+
+        OpenFlowController.on('packet_in', event => {
+            this._handlePacketIn(event).catch(error => {
+                logger.error(`Error handling discovery frame from switch ${event.datapathId}:`, error);
+            });
+        });
+    }
+
+    /**
+     * Start sending LLDP probes out of every port of connected OpenFlow switches
+     */
+    start() {
+        if (this.probeTimer) return;
+        this.probeTimer = setInterval(() => this.probeSwitches(), this.probeInterval);
+        logger.info(`LLDP probing started (every ${this.probeInterval}ms)`);
+    }
+
+    stop() {
+        if (this.probeTimer) {
+            clearInterval(this.probeTimer);
+            this.probeTimer = null;
+        }
+    }
+
+    /**
+     * Register a way of fetching a device's LLDP/CDP neighbor table (e.g. over SNMP)
+     * @param {string} name - Source name stored on the learned neighbors
+     * @param {Function} fetcher - async (device) => neighbors[], or null when the source does not apply
+     */
+    registerNeighborSource(name, fetcher) {
+        this.neighborSources.set(name, fetcher);
+    }
+
+    /**
+     * Replace the neighbors a source reported for a device
+     * @param {string} deviceId - Device ID
+     * @param {Array} neighbors - [{ localInterface, protocol, chassisId, portId, systemName, ... }]
+     * @param {string} source - Reporting source
+     */
+    async recordNeighbors(deviceId, neighbors, source = 'api') {
+        const device = await NetworkDevice.findById(deviceId);
+        if (!device) {
+            throw ErrorHandler.notFound('Device not found');
+        }
+
+        const now = new Date();
+        device.neighbors = [
+            ...device.neighbors.filter(neighbor => neighbor.source !== source),
+            ...neighbors.map(neighbor => ({ ttl: this.neighborTtl, ...neighbor, source, lastSeen: now }))
+        ];
+        await device.save();
+        return device.neighbors;
+    }
+
+    /**
+     * Send one LLDP probe out of each live port of every connected switch
+     */
+    probeSwitches() {
+        for (const sw of OpenFlowController.getSwitches()) {
+            for (const port of sw.ports) {
+                // Reserved ports (LOCAL, CONTROLLER, ...) and ports without link are skipped
+                if (port.portNo > 0xffffff00 || port.linkDown) continue;
+
+                try {
+                    OpenFlowController.sendPacketOut(sw.datapathId, {
+                        actions: [{ type: 'output', port: port.portNo }],
+                        data: LldpCodec.encodeFrame({
+                            srcMac: port.hwAddr,
+                            chassisId: `dpid:${sw.datapathId}`,
+                            portId: String(port.portNo),
+                            portDescription: port.name,
+                            systemName: `of-switch-${sw.datapathId}`,
+                            ttl: this.neighborTtl
+                        })
+                    });
+                } catch (error) {
+                    logger.warn(`LLDP probe failed on switch ${sw.datapathId} port ${port.portNo}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Build topology links from neighbor tables and merge them into the discovered topology
+     * @param {object} options - { refresh } polls registered neighbor sources first (default true)
+     * @returns {{ topology, diff: { added, removed, changed }, unresolved: Array, errors: Array }}
+     */
+    async discover(options = {}) {
+        try {
+            const { refresh = true } = options;
+            const errors = [];
+            const polled = new Set();
+
+            let devices = await NetworkDevice.find({ status: { $in: ['active', 'maintenance'] } });
+
+            if (refresh && this.neighborSources.size > 0) {
+                for (const device of devices) {
+                    for (const [source, fetcher] of this.neighborSources) {
+                        try {
+                            const neighbors = await fetcher(device);
+                            if (neighbors === null || neighbors === undefined) continue;
+                            await this.recordNeighbors(device._id, neighbors, source);
+                            polled.add(device._id.toString());
+                        } catch (error) {
+                            errors.push({ deviceId: device._id, source, error: error.message });
+                        }
+                    }
+                }
+                devices = await NetworkDevice.find({ status: { $in: ['active', 'maintenance'] } });
+            }
+
+            const { links, unresolved, observed } = this.buildLinks(devices);
+            polled.forEach(deviceId => observed.add(deviceId));
+            // Connected switches are probed continuously, so missing neighbors there mean the link is gone
+            devices
+                .filter(device => device.openflow?.datapathId && OpenFlowController.isConnected(device.openflow.datapathId))
+                .forEach(device => observed.add(device._id.toString()));
+
+            const { topology, diff } = await this._mergeLinks(links, observed);
+
+            if (diff.added.length || diff.removed.length || diff.changed.length) {
+                this._notify(topology, diff);
+            }
+
+            logger.info(`Topology discovery: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed (version ${topology.version})`);
+
+            return { topology, diff, unresolved, errors };
+        } catch (error) {
+            logger.error('Topology discovery error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Turn fresh neighbor entries into de-duplicated links between known devices
+     * @param {Array} devices - NetworkDevice documents
+     */
+    buildLinks(devices, now = new Date()) {
+        const resolver = this._buildResolver(devices);
+        const links = new Map();
+        const unresolved = [];
+        const observed = new Set();
+
+        for (const device of devices) {
+            for (const neighbor of device.neighbors || []) {
+                const ttl = (neighbor.ttl || this.neighborTtl) * 1000;
+                if (now - new Date(neighbor.lastSeen) > ttl) continue;
+
+                observed.add(device._id.toString());
+
+                const target = this._resolveDevice(resolver, neighbor);
+                if (!target) {
+                    unresolved.push({
+                        deviceId: device._id,
+                        localInterface: neighbor.localInterface,
+                        chassisId: neighbor.chassisId,
+                        systemName: neighbor.systemName,
+                        portId: neighbor.portId
+                    });
+                    continue;
+                }
+                if (target._id.equals(device._id)) continue;
+
+                const link = this._buildLink(device, neighbor.localInterface, target, this._resolveInterface(target, neighbor));
+                const key = this.linkKey(link);
+
+                // Both ends usually advertise the same link; keep the first and fill gaps from the second
+                const existing = links.get(key);
+                if (existing) {
+                    existing.bandwidth = existing.bandwidth ?? link.bandwidth;
+                } else {
+                    links.set(key, link);
+                }
+            }
+        }
+
+        return { links: [...links.values()], unresolved, observed };
+    }
+
+    /**
+     * Direction-independent identity of a link
+     */
+    linkKey(link) {
+        const ends = [
+            `${link.sourceDevice}:${link.sourceInterface || ''}`,
+            `${link.targetDevice}:${link.targetInterface || ''}`
+        ].sort();
+        return ends.join('|');
+    }
+
+    // Private helper methods
+    _prepareSwitch(datapathId) {
+        try {
+            // Send LLDP to the controller regardless of the rest of the pipeline
+            OpenFlowController.sendFlowMod(datapathId, {
+                command: FlowModCommand.ADD,
+                tableId: 0,
+                priority: 65535,
+                match: { ethType: LLDP_ETH_TYPE },
+                instructions: [{ type: 'apply_actions', actions: [{ type: 'output', port: 'controller' }] }]
+            });
+            setImmediate(() => this.probeSwitches());
+        } catch (error) {
+            logger.error(`Failed to prepare switch ${datapathId} for LLDP discovery:`, error);
+        }
+    }
+
+    async _handlePacketIn(event) {
+        if (!event.deviceId || !event.data) return;
+
+        const neighbor = decodeDiscoveryFrame(event.data);
+        if (!neighbor) return;
+
+        const sw = OpenFlowController.getSwitches().find(entry => entry.datapathId === event.datapathId);
+        const port = sw?.ports.find(entry => entry.portNo === event.match?.inPort);
+        const localInterface = port?.name || String(event.match?.inPort);
+
+        // Probes arrive for many ports at once, so update atomically instead of load-and-save
+        await NetworkDevice.updateOne(
+            { _id: event.deviceId },
+            { $pull: { neighbors: { source: 'openflow', localInterface } } }
+        );
+        await NetworkDevice.updateOne(
+            { _id: event.deviceId },
+            { $push: { neighbors: { ...neighbor, localInterface, source: 'openflow', lastSeen: new Date() } } }
+        );
+    }
+
+    _buildResolver(devices) {
+        const resolver = {
+            byDatapath: new Map(),
+            byName: new Map(),
+            byMac: new Map(),
+            byIp: new Map()
+        };
+
+        for (const device of devices) {
+            if (device.openflow?.datapathId) {
+                resolver.byDatapath.set(`dpid:${device.openflow.datapathId}`, device);
+            }
+            resolver.byName.set(device.name.toLowerCase(), device);
+            for (const iface of device.interfaces || []) {
+                if (iface.macAddress) resolver.byMac.set(iface.macAddress.toLowerCase(), device);
+                if (iface.ipAddress) resolver.byIp.set(iface.ipAddress, device);
+            }
+        }
+
+        return resolver;
+    }
+
+    _resolveDevice(resolver, neighbor) {
+        const chassisId = String(neighbor.chassisId || '').toLowerCase();
+        const systemName = String(neighbor.systemName || '').toLowerCase();
+
+        return resolver.byDatapath.get(chassisId) ||
+            (neighbor.chassisIdSubtype === 'macAddress' && resolver.byMac.get(chassisId)) ||
+            (neighbor.chassisIdSubtype === 'networkAddress' && resolver.byIp.get(chassisId)) ||
+            (neighbor.managementAddress && resolver.byIp.get(neighbor.managementAddress)) ||
+            resolver.byName.get(systemName) ||
+            resolver.byName.get(systemName.split('.')[0]) ||
+            resolver.byName.get(chassisId) ||
+            null;
+    }
+
+    _resolveInterface(device, neighbor) {
+        const interfaces = device.interfaces || [];
+        const byName = value => value && interfaces.find(iface => iface.name?.toLowerCase() === String(value).toLowerCase());
+
+        const match = (neighbor.portIdSubtype === 'macAddress' &&
+                interfaces.find(iface => iface.macAddress?.toLowerCase() === String(neighbor.portId).toLowerCase())) ||
+            byName(neighbor.portId) ||
+            byName(neighbor.portDescription);
+
+        if (match) return match.name;
+        return neighbor.portDescription || neighbor.portId;
+    }
+
+    _buildLink(source, sourceInterface, target, targetInterface) {
+        const sourcePort = (source.interfaces || []).find(iface => iface.name === sourceInterface);
+        const targetPort = (target.interfaces || []).find(iface => iface.name === targetInterface);
+
+        // The slower end bounds the link
+        const speeds = [sourcePort?.speed, targetPort?.speed].filter(speed => speed > 0);
+        const types = [sourcePort?.type, targetPort?.type];
+
+        return {
+            sourceDevice: source._id,
+            sourceInterface,
+            targetDevice: target._id,
+            targetInterface,
+            linkType: types.includes('fiber') ? 'fiber' : types.includes('wifi') ? 'wireless' : 'ethernet',
+            bandwidth: speeds.length > 0 ? Math.min(...speeds) : undefined,
+            status: sourcePort?.status === 'down' || targetPort?.status === 'down' ? 'inactive' : 'active'
+        };
+    }
+
+    async _mergeLinks(links, observed) {
+        let topology = await NetworkTopology.findOne({ name: this.topologyName });
+        const isNew = !topology;
+        if (isNew) {
+            topology = new NetworkTopology({
+                name: this.topologyName,
+                description: 'Topology discovered from LLDP/CDP neighbor tables',
+                version: 0
+            });
+        }
+
+        const diff = { added: [], removed: [], changed: [] };
+        const discovered = new Map(links.map(link => [this.linkKey(link), link]));
+        const now = new Date();
+
+        for (const connection of [...topology.connections]) {
+            const key = this.linkKey(connection);
+            const link = discovered.get(key);
+
+            if (!link) {
+                // Only drop links when at least one end was actually observed in this run
+                const seen = observed.has(connection.sourceDevice.toString()) ||
+                    observed.has(connection.targetDevice.toString());
+                if (seen) {
+                    diff.removed.push(this._summarize(connection));
+                    topology.connections.pull(connection._id);
+                }
+                continue;
+            }
+
+            discovered.delete(key);
+
+            const changes = {};
+            for (const field of LINK_FIELDS) {
+                if (link[field] !== undefined && link[field] !== connection[field]) {
+                    changes[field] = { from: connection[field], to: link[field] };
+                    connection[field] = link[field];
+                }
+            }
+            connection.lastUpdated = now;
+
+            if (Object.keys(changes).length > 0) {
+                diff.changed.push({ ...this._summarize(connection), changes });
+            }
+        }
+
+        for (const link of discovered.values()) {
+            topology.connections.push({ ...link, lastUpdated: now });
+            diff.added.push(this._summarize(link));
+        }
+
+        if (isNew || diff.added.length || diff.removed.length || diff.changed.length) {
+            topology.version += 1;
+            topology.revisions.push({ version: topology.version, discoveredAt: now, ...diff });
+            if (topology.revisions.length > this.maxRevisions) {
+                topology.revisions = topology.revisions.slice(-this.maxRevisions);
+            }
+        }
+
+        await topology.save();
+        return { topology, diff };
+    }
+
+    _summarize(link) {
+        return {
+            sourceDevice: link.sourceDevice,
+            sourceInterface: link.sourceInterface,
+            targetDevice: link.targetDevice,
+            targetInterface: link.targetInterface,
+            linkType: link.linkType,
+            bandwidth: link.bandwidth
+        };
+    }
+
+    _notify(topology, diff) {
+        const affected = new Set();
+        for (const link of [...diff.added, ...diff.removed, ...diff.changed]) {
+            affected.add(link.sourceDevice.toString());
+            affected.add(link.targetDevice.toString());
+        }
+
+        WebSocketService.emit('topology:update', {
+            changeType: 'link_change',
+            version: topology.version,
+            devices: [...affected].map(id => ({
+                id,
+                connections: topology.getDeviceConnections(id).map(conn =>
+                    (conn.sourceDevice.toString() === id ? conn.targetDevice : conn.sourceDevice).toString()
+                )
+            })),
+            diff: {
+                added: diff.added.length,
+                removed: diff.removed.length,
+                changed: diff.changed.length
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+const topologyDiscoveryService = new TopologyDiscoveryService();
+export { topologyDiscoveryService as TopologyDiscoveryService };
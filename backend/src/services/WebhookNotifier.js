@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import { isHttpUrl } from './SlackNotifier.js';
+
+/**
+ * Generic webhook channel: posts the alert as JSON to config.webhookUrl. When
+ * NOTIFICATION_WEBHOOK_SECRET is set the request carries
+ *   X-EyeNet-Timestamp: <unix seconds>
+ *   X-EyeNet-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ * so receivers can check it came from here and reject replays.
+ */
+class WebhookNotifier {
+    constructor() {
+        this.secret = process.env.NOTIFICATION_WEBHOOK_SECRET;
+        this.timeout = parseInt(process.env.NOTIFICATION_TIMEOUT) || 10000;
+    }
+
+    validate(config) {
+        if (!isHttpUrl(config?.webhookUrl)) {
+            throw ErrorHandler.badRequest('Webhook channels need an http(s) webhookUrl');
+        }
+    }
+
+    recipients(config) {
+        return [new URL(config.webhookUrl).host];
+    }
+
+    async send(config, message) {
+        const body = JSON.stringify(message.payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'EyeNet-Notifier',
+            'X-EyeNet-Event': message.payload.event,
+            'X-EyeNet-Delivery': message.deliveryId
+        };
+        if (this.secret) {
+            headers['X-EyeNet-Timestamp'] = timestamp;
+            headers['X-EyeNet-Signature'] = `sha256=${sign(this.secret, timestamp, body)}`;
+        }
+
+        const response = await fetch(config.webhookUrl, {
+            method: 'POST',
+            headers,
+            body,
+            signal: AbortSignal.timeout(this.timeout)
+        });
+        const text = await response.text();
+        if (!response.ok) {
+            const error = new Error(`Webhook responded ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return { response: text.slice(0, 500) };
+    }
+}
+
+export function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export default WebhookNotifier;
@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+import MaintenanceWindow from '../../models/MaintenanceWindow.js';
+
+const deviceId = new mongoose.Types.ObjectId();
+
+const window = (data) => new MaintenanceWindow({
+    name: 'Core upgrade',
+    start: new Date('2026-03-02T00:00:00Z'),
+    scope: { deviceIds: [deviceId] },
+    ...data
+});
+
+describe('MaintenanceWindow', () => {
+    describe('occurrences', () => {
+        // Sundays 01:00-03:00 in New York; DST starts on Sunday 2026-03-08
+        const weekly = {
+            type: 'recurring',
+            timeZone: 'America/New_York',
+            recurrence: { frequency: 'weekly', days: [0], time: '01:00', durationMinutes: 120 }
+        };
+
+        it('should run a one-off window from start to end', () => {
+            const doc = window({ end: new Date('2026-03-02T04:00:00Z') });
+
+            expect(doc.occurrenceAt(new Date('2026-03-02T03:59:00Z'))).toEqual({
+                start: new Date('2026-03-02T00:00:00Z'),
+                end: new Date('2026-03-02T04:00:00Z')
+            });
+            expect(doc.occurrenceAt(new Date('2026-03-02T04:00:00Z'))).toBeNull();
+        });
+
+        it('should repeat weekly at the same local time across DST', () => {
+            const doc = window(weekly);
+
+            expect(doc.occurrencesBetween(new Date('2026-03-01T00:00:00Z'), new Date('2026-03-16T00:00:00Z'))).toEqual([
+                { start: new Date('2026-03-08T06:00:00Z'), end: new Date('2026-03-08T08:00:00Z') },
+                { start: new Date('2026-03-15T05:00:00Z'), end: new Date('2026-03-15T07:00:00Z') }
+            ]);
+            expect(doc.occurrenceAt(new Date('2026-03-15T06:59:00Z')).start).toEqual(new Date('2026-03-15T05:00:00Z'));
+            expect(doc.occurrenceAt(new Date('2026-03-16T06:00:00Z'))).toBeNull();
+        });
+
+        it('should include occurrences that began before the range and stop at the end date', () => {
+            const doc = window({
+                ...weekly,
+                recurrence: { frequency: 'daily', time: '23:00', durationMinutes: 180 },
+                timeZone: 'UTC',
+                end: new Date('2026-03-04T00:00:00Z')
+            });
+
+            expect(doc.occurrencesBetween(new Date('2026-03-03T01:00:00Z'), new Date('2026-03-10T00:00:00Z'))).toEqual([
+                { start: new Date('2026-03-02T23:00:00Z'), end: new Date('2026-03-03T02:00:00Z') },
+                { start: new Date('2026-03-03T23:00:00Z'), end: new Date('2026-03-04T02:00:00Z') }
+            ]);
+        });
+
+        it('should apply adjustments to single occurrences', () => {
+            const doc = window({
+                ...weekly,
+                adjustments: [{ occurrenceStart: new Date('2026-03-08T06:00:00Z'), end: new Date('2026-03-08T10:30:00Z') }]
+            });
+
+            expect(doc.occurrenceAt(new Date('2026-03-08T10:00:00Z')).end).toEqual(new Date('2026-03-08T10:30:00Z'));
+            expect(doc.occurrenceAt(new Date('2026-03-15T07:30:00Z'))).toBeNull();
+        });
+
+        it('should repeat monthly on days of the month', () => {
+            const doc = window({
+                type: 'recurring',
+                recurrence: { frequency: 'monthly', days: [1, 15], time: '02:00', durationMinutes: 60 }
+            });
+
+            const starts = doc.occurrencesBetween(new Date('2026-03-01T00:00:00Z'), new Date('2026-05-01T00:00:00Z'))
+                .map(occurrence => occurrence.start.toISOString());
+            expect(starts).toEqual([
+                '2026-03-15T02:00:00.000Z',
+                '2026-04-01T02:00:00.000Z',
+                '2026-04-15T02:00:00.000Z'
+            ]);
+        });
+    });
+
+    describe('appliesTo', () => {
+        const device = {
+            _id: new mongoose.Types.ObjectId(),
+            type: 'switch',
+            location: { building: 'HQ', floor: '2' },
+            tags: ['access']
+        };
+
+        it('should match devices by id, type, tag or location', () => {
+            expect(window({ scope: { deviceIds: [device._id] } }).appliesTo(device)).toBe(true);
+            expect(window({ scope: { deviceTypes: ['switch'] } }).appliesTo(device)).toBe(true);
+            expect(window({ scope: { tags: ['core', 'access'] } }).appliesTo(device)).toBe(true);
+            expect(window({ scope: { locations: [{ building: 'HQ' }] } }).appliesTo(device)).toBe(true);
+            expect(window({ scope: { locations: [{ building: 'HQ', floor: '3' }] } }).appliesTo(device)).toBe(false);
+            expect(window({ scope: { deviceTypes: ['router'], tags: ['core'] } }).appliesTo(device)).toBe(false);
+        });
+    });
+
+    describe('validation', () => {
+        it('should require a scope, an end for one-off windows and weekdays for weekly ones', async () => {
+            const error = await window({ scope: {} }).validate().catch(e => e);
+            expect(Object.keys(error.errors)).toEqual(expect.arrayContaining(['scope', 'end']));
+
+            const weekly = await window({
+                type: 'recurring',
+                recurrence: { frequency: 'weekly', days: [7], time: '01:00', durationMinutes: 60 }
+            }).validate().catch(e => e);
+            expect(weekly.errors['recurrence.days'].message).toContain('weekdays');
+        });
+
+        it('should expire recurring windows after the last occurrence', async () => {
+            const doc = window({
+                type: 'recurring',
+                end: new Date('2026-04-01T00:00:00Z'),
+                recurrence: { frequency: 'daily', time: '23:00', durationMinutes: 120 }
+            });
+            await doc.validate();
+            expect(doc.expiresAt).toEqual(new Date('2026-04-01T02:00:00Z'));
+
+            const open = window({ type: 'recurring', recurrence: { frequency: 'daily', time: '23:00', durationMinutes: 60 } });
+            await open.validate();
+            expect(open.expiresAt).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import OnCallSchedule from '../../models/OnCallSchedule.js';
+
+const [alice, bob, carol] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+
+const schedule = (data) => new OnCallSchedule({ name: 'NOC', timeZone: 'America/New_York', ...data });
+const onCall = (doc, at) => doc.onCallAt(new Date(at));
+
+describe('OnCallSchedule', () => {
+    describe('onCallAt', () => {
+        // Monday 2026-03-02 09:00 EST; DST starts on Sunday 2026-03-08
+        const weekly = {
+            name: 'Primary',
+            type: 'weekly',
+            participants: [alice, bob, carol],
+            handoffTime: '09:00',
+            startDate: new Date('2026-03-02T14:00:00Z')
+        };
+
+        it('should hand weekly shifts off at the same local time across DST', () => {
+            const doc = schedule({ rotations: [weekly] });
+
+            expect(onCall(doc, '2026-03-04T12:00:00Z')).toEqual([{
+                userId: alice,
+                rotation: 'Primary',
+                shiftStart: new Date('2026-03-02T14:00:00Z'),
+                shiftEnd: new Date('2026-03-09T13:00:00Z'),
+                override: false
+            }]);
+            expect(onCall(doc, '2026-03-09T12:59:00Z')[0].userId).toBe(alice);
+            expect(onCall(doc, '2026-03-09T13:00:00Z')[0].userId).toBe(bob);
+            expect(onCall(doc, '2026-03-23T13:00:00Z')[0].userId).toBe(alice);
+            expect(onCall(doc, '2026-03-02T13:59:00Z')).toEqual([]);
+        });
+
+        it('should start at the first handoff after the start date', () => {
+            const doc = schedule({
+                rotations: [{ ...weekly, type: 'daily', startDate: new Date('2026-03-02T15:00:00Z') }]
+            });
+
+            expect(onCall(doc, '2026-03-02T20:00:00Z')).toEqual([]);
+            expect(onCall(doc, '2026-03-03T14:00:00Z')[0]).toMatchObject({
+                userId: alice,
+                shiftEnd: new Date('2026-03-04T14:00:00Z')
+            });
+            expect(onCall(doc, '2026-03-04T14:00:00Z')[0].userId).toBe(bob);
+        });
+
+        it('should let restricted later rotations cover their windows only', () => {
+            const doc = schedule({
+                rotations: [
+                    { ...weekly, participants: [alice] },
+                    {
+                        name: 'Nights',
+                        type: 'daily',
+                        participants: [bob],
+                        startDate: new Date('2026-01-01T00:00:00Z'),
+                        restrictions: [{ days: [1, 2, 3, 4, 5], start: '18:00', end: '08:00' }]
+                    }
+                ]
+            });
+
+            // Local times (EDT, UTC-4): Tue 20:00, Wed 07:00, Tue 12:00, Sat 07:00, Sun 07:00
+            expect(onCall(doc, '2026-04-08T00:00:00Z')[0].rotation).toBe('Nights');
+            expect(onCall(doc, '2026-04-08T11:00:00Z')[0].rotation).toBe('Nights');
+            expect(onCall(doc, '2026-04-07T16:00:00Z')[0].rotation).toBe('Primary');
+            expect(onCall(doc, '2026-04-11T11:00:00Z')[0].rotation).toBe('Nights');
+            expect(onCall(doc, '2026-04-12T11:00:00Z')[0].rotation).toBe('Primary');
+        });
+
+        it('should run custom shifts of a fixed length', () => {
+            const doc = schedule({
+                rotations: [{
+                    name: 'Follow the sun',
+                    type: 'custom',
+                    shiftLength: 12,
+                    participants: [alice, bob],
+                    startDate: new Date('2026-03-08T00:00:00Z')
+                }]
+            });
+
+            expect(onCall(doc, '2026-03-08T11:59:00Z')[0].userId).toBe(alice);
+            expect(onCall(doc, '2026-03-08T12:00:00Z')[0]).toMatchObject({
+                userId: bob,
+                shiftStart: new Date('2026-03-08T12:00:00Z'),
+                shiftEnd: new Date('2026-03-09T00:00:00Z')
+            });
+        });
+
+        it('should put overrides ahead of every rotation', () => {
+            const doc = schedule({
+                rotations: [weekly],
+                overrides: [{ userId: carol, start: new Date('2026-03-04T00:00:00Z'), end: new Date('2026-03-05T00:00:00Z') }]
+            });
+
+            expect(onCall(doc, '2026-03-04T12:00:00Z')).toEqual([expect.objectContaining({ userId: carol, override: true })]);
+            expect(onCall(doc, '2026-03-05T00:00:00Z')[0].userId).toBe(alice);
+        });
+    });
+
+    describe('validation', () => {
+        it('should reject unknown time zones, backwards overrides and custom shifts without a length', () => {
+            const error = schedule({
+                timeZone: 'Mars/Olympus_Mons',
+                rotations: [{ name: 'R', type: 'custom', participants: [alice], startDate: new Date() }],
+                overrides: [{ userId: bob, start: new Date('2026-03-05'), end: new Date('2026-03-04') }]
+            }).validateSync();
+
+            expect(Object.keys(error.errors)).toEqual(expect.arrayContaining([
+                'timeZone',
+                'rotations.0.shiftLength',
+                'overrides.0.end'
+            ]));
+        });
+
+        it('should require participants', () => {
+            const error = schedule({ rotations: [{ name: 'R', participants: [], startDate: new Date() }] }).validateSync();
+
+            expect(error.errors['rotations.0.participants'].message).toBe('A rotation needs at least one participant');
+        });
+    });
+});
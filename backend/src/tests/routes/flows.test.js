@@ -0,0 +1,99 @@
+import express from 'express';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import User from '../../models/User.js';
+import networkRoutes from '../../routes/network.routes.js';
+import { FlowTableService } from '../../services/FlowTableService.js';
+import { ErrorHandler } from '../../utils/ErrorHandler.js';
+import { generateTestToken, mockQuery, objectId } from '../testHelper.js';
+
+const deviceId = String(objectId());
+const flowId = String(objectId());
+
+describe('Flow table routes', () => {
+    const env = { ...process.env };
+    let app;
+    let user;
+    let token;
+
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        app = express();
+        app.use(express.json());
+        app.use('/api/network', networkRoutes);
+
+        user = { _id: objectId(), role: 'admin' };
+        token = generateTestToken(user);
+        jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+        jest.restoreAllMocks();
+    });
+
+    const send = (method, path, body = {}) => request(app)[method](`/api/network${path}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    it('should create a flow as the calling admin', async () => {
+        const createFlow = jest.spyOn(FlowTableService, 'createFlow').mockImplementation(async (id, data) => ({ _id: flowId, ...data }));
+
+        const response = await send('post', `/devices/${deviceId}/flows`, { tableId: '1', priority: 10, match: { inPort: 1 } });
+
+        expect(response.status).toBe(201);
+        expect(createFlow).toHaveBeenCalledWith(deviceId, { tableId: 1, priority: 10, match: { inPort: 1 } },
+            expect.objectContaining({ id: String(user._id), type: 'admin' }));
+    });
+
+    it('should reject malformed ids and flow fields before reaching the service', async () => {
+        const getFlow = jest.spyOn(FlowTableService, 'getFlow');
+        const createFlow = jest.spyOn(FlowTableService, 'createFlow');
+
+        const responses = [
+            await send('get', `/devices/not-a-device/flows/${flowId}`),
+            await send('get', `/devices/${deviceId}/flows/not-a-flow`),
+            await send('post', `/devices/${deviceId}/flows`, { tableId: 255 }),
+            await send('post', `/devices/${deviceId}/flows`, { cookie: 'xyz' }),
+            await send('delete', `/devices/not-a-device/flows/${flowId}`)
+        ];
+
+        expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400, 400]);
+        expect(responses[0].body.details[0]).toMatchObject({ path: 'id', location: 'params' });
+        expect(getFlow).not.toHaveBeenCalled();
+        expect(createFlow).not.toHaveBeenCalled();
+    });
+
+    it('should answer an overlapping flow with 409 and the entries it overlaps', async () => {
+        jest.spyOn(FlowTableService, 'updateFlow').mockRejectedValue(ErrorHandler.conflict(
+            'Flow entry overlaps existing entries with the same priority', { overlapping: [{ id: flowId, priority: 10 }] }));
+
+        const response = await send('put', `/devices/${deviceId}/flows/${flowId}`, { priority: 10 });
+
+        expect(response.status).toBe(409);
+        expect(response.body).toEqual({
+            error: 'CONFLICT',
+            message: 'Flow entry overlaps existing entries with the same priority',
+            details: { overlapping: [{ id: flowId, priority: 10 }] }
+        });
+    });
+
+    it('should leave changes to admins', async () => {
+        user.role = 'user';
+        const deleteFlow = jest.spyOn(FlowTableService, 'deleteFlow');
+
+        const response = await send('delete', `/devices/${deviceId}/flows/${flowId}`);
+
+        expect(response.status).toBe(403);
+        expect(deleteFlow).not.toHaveBeenCalled();
+    });
+
+    it('should delete a flow', async () => {
+        const deleteFlow = jest.spyOn(FlowTableService, 'deleteFlow').mockResolvedValue({});
+
+        const response = await send('delete', `/devices/${deviceId}/flows/${flowId}`);
+
+        expect(response.status).toBe(204);
+        expect(deleteFlow).toHaveBeenCalledWith(deviceId, flowId, expect.objectContaining({ id: String(user._id) }));
+    });
+});
@@ -0,0 +1,61 @@
+import express from 'express';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import User from '../../models/User.js';
+import networkRoutes from '../../routes/network.routes.js';
+import { CredentialVault } from '../../services/CredentialVault.js';
+import { generateTestToken, mockQuery, objectId } from '../testHelper.js';
+
+const secretId = String(objectId());
+
+describe('Credential vault routes', () => {
+    const env = { ...process.env };
+    let app;
+    let user;
+    let token;
+
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        app = express();
+        app.use(express.json());
+        app.use('/api/network', networkRoutes);
+
+        user = { _id: objectId(), role: 'admin' };
+        token = generateTestToken(user);
+        jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+        jest.restoreAllMocks();
+    });
+
+    const send = (method, path, body = {}) => request(app)[method](`/api/network${path}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    it('should store secret values exactly as they were sent', async () => {
+        const createSecret = jest.spyOn(CredentialVault, 'createSecret').mockImplementation(async data => ({ _id: secretId, name: data.name }));
+        const rotateSecret = jest.spyOn(CredentialVault, 'rotateSecret').mockImplementation(async () => ({ _id: secretId }));
+
+        const created = await send('post', '/vault/secrets', { name: 'core-login', type: 'ssh_password', password: "p'a--ss#<w>rd" });
+        const rotated = await send('post', `/vault/secrets/${secretId}/rotate`, { community: "c0mm'<un>ity; --" });
+
+        expect(created.status).toBe(201);
+        expect(createSecret.mock.calls[0][0]).toEqual({ name: 'core-login', type: 'ssh_password', password: "p'a--ss#<w>rd" });
+        expect(rotated.status).toBe(200);
+        expect(rotateSecret.mock.calls[0][1]).toEqual({ community: "c0mm'<un>ity; --" });
+    });
+
+    it('should still filter the other fields of a secret', async () => {
+        const createSecret = jest.spyOn(CredentialVault, 'createSecret');
+
+        const responses = [
+            await send('post', '/vault/secrets', { name: "core' OR '1'='1", type: 'ssh_password', password: 'p4ss' }),
+            await send('post', '/vault/secrets', { name: 'core-login', type: 'ssh_password', description: '<script>alert(1)</script>', password: 'p4ss' })
+        ];
+
+        expect(responses.map(response => response.status)).toEqual([400, 400]);
+        expect(createSecret).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,129 @@
+import { jest } from '@jest/globals';
+import Alert from '../../models/Alert.js';
+import NetworkDevice from '../../models/NetworkDevice.js';
+import NetworkTopology from '../../models/NetworkTopology.js';
+import WebSocketService from '../../services/WebSocketService.js';
+import { AlertCorrelator } from '../../services/AlertCorrelator.js';
+import { NotificationDispatcher } from '../../services/NotificationDispatcher.js';
+import { mockQuery, objectId } from '../testHelper.js';
+
+const router = objectId();
+const switches = [objectId(), objectId()];
+const firewall = objectId();
+const now = Date.now();
+
+// firewall (uplink) -> router -> both switches
+const topology = {
+    connections: [
+        { sourceDevice: firewall, targetDevice: router },
+        { sourceDevice: router, targetDevice: switches[0] },
+        { sourceDevice: router, targetDevice: switches[1] }
+    ]
+};
+
+const outage = (deviceId, minutesAgo, data = {}) => ({
+    _id: objectId(),
+    deviceId,
+    type: 'device_unreachable',
+    severity: 'medium',
+    status: 'open',
+    suppressed: false,
+    firstSeen: new Date(now - minutesAgo * 60000),
+    ...data
+});
+
+describe('AlertCorrelator', () => {
+    let updateOne;
+    let notify;
+
+    const useAlerts = (active, resolved = []) => {
+        jest.spyOn(Alert, 'find').mockImplementation(filter => mockQuery(filter.resolvedAt ? resolved : active));
+    };
+
+    beforeEach(() => {
+        AlertCorrelator.invalidate();
+        jest.spyOn(NetworkTopology, 'find').mockReturnValue(mockQuery([topology]));
+        jest.spyOn(NetworkDevice, 'find').mockReturnValue(mockQuery([{ _id: firewall }]));
+        jest.spyOn(WebSocketService, 'emit').mockImplementation(() => {});
+        updateOne = jest.spyOn(Alert, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+        notify = jest.spyOn(NotificationDispatcher, 'notify').mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should fold the outages behind a failed router under its alert and suppress them', async () => {
+        const root = outage(router, 5);
+        const symptom = outage(switches[0], 4);
+        const unrelated = outage(objectId(), 3);
+        useAlerts([root, symptom, unrelated]);
+
+        const changes = await AlertCorrelator.reconcile();
+
+        expect(changes.map(({ alert, change }) => [alert._id, change])).toEqual([
+            [root._id, 'root'],
+            [symptom._id, 'symptom']
+        ]);
+        expect(updateOne).toHaveBeenCalledWith({ _id: symptom._id }, {
+            $set: {
+                correlation: expect.objectContaining({ role: 'symptom', rootAlertId: root._id, rootDeviceId: router }),
+                suppressed: true,
+                suppressedBy: 'correlation'
+            }
+        });
+        expect(notify).not.toHaveBeenCalled();
+    });
+
+    it('should leave correlated alerts alone until something changes', async () => {
+        const root = outage(router, 5);
+        root.correlation = { role: 'root', rootAlertId: root._id, rootDeviceId: router };
+        const symptom = outage(switches[0], 4, {
+            suppressed: true,
+            suppressedBy: 'correlation',
+            correlation: { role: 'symptom', rootAlertId: root._id, rootDeviceId: router }
+        });
+        useAlerts([root, symptom]);
+
+        expect(await AlertCorrelator.reconcile()).toEqual([]);
+        expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should release symptoms that are still down once their root has had time to recover', async () => {
+        const rootAlertId = objectId();
+        const symptom = outage(switches[1], 10, {
+            suppressed: true,
+            suppressedBy: 'correlation',
+            correlation: { role: 'symptom', rootAlertId, rootDeviceId: router }
+        });
+
+        // The router came back a moment ago
+        useAlerts([symptom], [{ _id: rootAlertId }]);
+        expect(await AlertCorrelator.reconcile()).toEqual([]);
+
+        useAlerts([symptom], []);
+        const [released] = await AlertCorrelator.reconcile();
+
+        expect(released.change).toBe('released');
+        expect(updateOne).toHaveBeenCalledWith(
+            { _id: symptom._id },
+            { $set: { suppressed: false }, $unset: { correlation: '', suppressedBy: '' } }
+        );
+        await new Promise(resolve => setImmediate(resolve));
+        expect(notify).toHaveBeenCalledWith(expect.objectContaining({ _id: symptom._id, suppressed: false }), 'opened');
+    });
+
+    it('should keep the maintenance suppression of a folded alert', async () => {
+        const root = outage(router, 5);
+        const symptom = outage(switches[0], 4, { suppressed: true, suppressedBy: 'maintenance' });
+        useAlerts([root, symptom]);
+
+        await AlertCorrelator.reconcile();
+
+        expect(updateOne.mock.calls[1][1].$set).toEqual({
+            correlation: expect.objectContaining({ role: 'symptom' }),
+            suppressed: true,
+            suppressedBy: 'maintenance'
+        });
+    });
+});
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import AlertConfig from '../../models/AlertConfig.js';
+import NetworkDevice from '../../models/NetworkDevice.js';
+import { AlertManager } from '../../services/AlertManager.js';
+import { AlertEvaluator } from '../../services/AlertEvaluator.js';
+
+const device = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'core-sw-01',
+    type: 'switch',
+    location: { building: 'HQ' },
+    metrics: { cpu: { usage: 95 }, memory: { used: 3, total: 4 } }
+};
+
+const rule = (overrides = {}) => new AlertConfig({
+    name: 'High utilization',
+    severity: 'high',
+    scope: { type: 'device_type', deviceTypes: ['switch'] },
+    conditions: [{ metric: 'bandwidth_usage', operator: 'gt', value: 80, duration: 60 }],
+    ...overrides
+});
+
+const sample = (utilization, seconds, interfaceName = 'Gi0/1') => ({
+    deviceId: device._id,
+    interfaceName,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, seconds)),
+    metrics: { bandwidth: { utilization: { value: utilization, unit: '%' } } }
+});
+
+describe('AlertEvaluator', () => {
+    let raise;
+    let clear;
+
+    const useRules = (...rules) => {
+        jest.spyOn(AlertConfig, 'find').mockResolvedValue(rules);
+        AlertEvaluator.invalidate();
+    };
+
+    beforeEach(() => {
+        AlertEvaluator.states.clear();
+        AlertEvaluator.devices.clear();
+        jest.spyOn(NetworkDevice, 'findById').mockReturnValue({ lean: () => Promise.resolve(device) });
+        raise = jest.spyOn(AlertManager, 'raise').mockImplementation(async data => ({ _id: 'alert', ...data }));
+        clear = jest.spyOn(AlertManager, 'clear').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should fire only after the condition held for its duration', async () => {
+        const config = rule();
+        useRules(config);
+
+        expect(await AlertEvaluator.evaluate(sample(90, 0))).toEqual([]);
+        expect(await AlertEvaluator.evaluate(sample(92, 30))).toEqual([]);
+        expect(raise).not.toHaveBeenCalled();
+
+        const transitions = await AlertEvaluator.evaluate(sample(95, 60));
+
+        expect(transitions).toEqual([
+            { alertConfigId: config._id, deviceId: device._id, interfaceName: 'Gi0/1', state: 'firing' }
+        ]);
+        expect(raise).toHaveBeenCalledWith(expect.objectContaining({
+            alertConfigId: config._id,
+            deviceId: device._id,
+            type: 'threshold',
+            key: 'Gi0/1',
+            severity: 'high',
+            source: 'alert_rule',
+            message: 'High utilization on core-sw-01 Gi0/1: bandwidth_usage 95 > 80'
+        }));
+    });
+
+    it('should restart the window when the condition stops holding', async () => {
+        useRules(rule());
+
+        await AlertEvaluator.evaluate(sample(90, 0));
+        await AlertEvaluator.evaluate(sample(50, 30));
+        await AlertEvaluator.evaluate(sample(90, 60));
+
+        expect(raise).not.toHaveBeenCalled();
+    });
+
+    it('should clear the alert once the metric recovers', async () => {
+        useRules(rule({ conditions: [{ metric: 'bandwidth_usage', operator: 'gt', value: 80 }] }));
+
+        await AlertEvaluator.evaluate(sample(90, 0));
+        await AlertEvaluator.evaluate(sample(91, 10));
+        const transitions = await AlertEvaluator.evaluate(sample(40, 20));
+
+        expect(raise).toHaveBeenCalledTimes(2);
+        expect(transitions[0].state).toBe('cleared');
+        expect(clear).toHaveBeenCalledWith(expect.objectContaining({ type: 'threshold', key: 'Gi0/1' }));
+    });
+
+    it('should keep separate windows per interface', async () => {
+        useRules(rule({ conditions: [{ metric: 'bandwidth_usage', operator: 'gt', value: 80 }] }));
+
+        await AlertEvaluator.evaluate(sample(90, 0, 'Gi0/1'));
+        await AlertEvaluator.evaluate(sample(10, 0, 'Gi0/2'));
+
+        expect(raise).toHaveBeenCalledTimes(1);
+        expect(clear).not.toHaveBeenCalled();
+    });
+
+    it('should keep one window per device for device metrics', async () => {
+        useRules(rule({ conditions: [{ metric: 'cpu_usage', operator: 'gte', value: 90 }] }));
+
+        await AlertEvaluator.evaluate(sample(10, 0, 'Gi0/1'));
+        await AlertEvaluator.evaluate(sample(10, 0, 'Gi0/2'));
+
+        expect(raise).toHaveBeenCalledTimes(2);
+        expect(raise.mock.calls[0][0].key).toBeUndefined();
+        expect(AlertEvaluator.states.size).toBe(1);
+    });
+
+    it('should not report firing while the cooldown suppresses the alert', async () => {
+        useRules(rule({ conditions: [{ metric: 'bandwidth_usage', operator: 'gt', value: 80 }] }));
+        raise.mockResolvedValue(null);
+
+        expect(await AlertEvaluator.evaluate(sample(90, 0))).toEqual([]);
+        await AlertEvaluator.evaluate(sample(10, 10));
+
+        expect(clear).not.toHaveBeenCalled();
+    });
+
+    it('should apply custom filters and skip devices out of scope', async () => {
+        useRules(
+            rule({ scope: { type: 'custom', customFilter: 'location.building == "HQ" && interface =~ "^Gi"' } }),
+            rule({ scope: { type: 'device_type', deviceTypes: ['router'] } })
+        );
+
+        await AlertEvaluator.evaluate(sample(90, 0));
+        await AlertEvaluator.evaluate(sample(90, 120));
+        await AlertEvaluator.evaluate(sample(90, 120, 'Te1/1'));
+
+        expect(raise).toHaveBeenCalledTimes(1);
+    });
+
+    it('should map samples and devices onto condition metrics', () => {
+        const values = AlertEvaluator.extractValues({
+            metrics: {
+                latency: { value: 12 },
+                errors: { inbound: { value: 3 }, outbound: { value: 2 } }
+            }
+        }, device);
+
+        expect(values).toEqual({ latency: 12, error_rate: 5, cpu_usage: 95, memory_usage: 75 });
+    });
+
+    it('should reject custom filters that do not parse', () => {
+        const error = rule({ scope: { type: 'custom', customFilter: 'type ==' } }).validateSync();
+
+        expect(error.errors['scope.customFilter'].message).toContain('Unexpected end of the expression');
+    });
+});
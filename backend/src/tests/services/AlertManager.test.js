@@ -0,0 +1,203 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import Alert from '../../models/Alert.js';
+import AlertConfig from '../../models/AlertConfig.js';
+import AuditLogger from '../../services/AuditLogger.js';
+import WebSocketService from '../../services/WebSocketService.js';
+import { AlertManager } from '../../services/AlertManager.js';
+import { AlertCorrelator } from '../../services/AlertCorrelator.js';
+import { MaintenanceManager } from '../../services/MaintenanceManager.js';
+import { NotificationDispatcher } from '../../services/NotificationDispatcher.js';
+import { testActor as actor } from '../testHelper.js';
+
+const deviceId = new mongoose.Types.ObjectId();
+
+const config = new AlertConfig({
+    name: 'Link state',
+    severity: 'high',
+    scope: { type: 'network' },
+    conditions: [],
+    cooldown: 600
+});
+
+const raise = (overrides = {}) => AlertManager.raise({
+    deviceId,
+    type: 'link_down',
+    severity: 'high',
+    message: 'Gi0/1 is down',
+    source: 'syslog',
+    alertConfigId: config._id,
+    ...overrides
+});
+
+describe('AlertManager', () => {
+    let emit;
+
+    beforeEach(() => {
+        emit = jest.spyOn(WebSocketService, 'emit').mockImplementation(() => {});
+        jest.spyOn(AlertConfig, 'findById').mockResolvedValue(config);
+        jest.spyOn(AuditLogger, 'log').mockResolvedValue({});
+        jest.spyOn(MaintenanceManager, 'getDeviceMaintenance').mockResolvedValue(null);
+        jest.spyOn(Alert.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+    });
+
+    afterEach(() => {
+        config.enabled = true;
+        jest.restoreAllMocks();
+    });
+
+    describe('raise', () => {
+        it('should open a new alert and announce it', async () => {
+            jest.spyOn(Alert, 'findActive').mockResolvedValue(null);
+            jest.spyOn(Alert, 'exists').mockResolvedValue(null);
+            const create = jest.spyOn(Alert, 'create').mockImplementation(async data => new Alert(data));
+
+            const alert = await raise();
+
+            expect(create.mock.calls[0][0]).toMatchObject({
+                fingerprint: `${config._id}/${deviceId}/link_down`,
+                alertConfigId: config._id,
+                severity: 'high',
+                source: 'syslog'
+            });
+            expect(alert.status).toBe('open');
+            expect(emit).toHaveBeenCalledWith('alert:new', expect.objectContaining({ alertId: alert._id, deviceId }));
+        });
+
+        it('should fold repeats into the active alert and keep the highest severity', async () => {
+            const active = new Alert({
+                fingerprint: `${config._id}/${deviceId}/link_down`,
+                type: 'link_down',
+                severity: 'medium',
+                message: 'Gi0/1 is down'
+            });
+            jest.spyOn(Alert, 'findActive').mockResolvedValue(active);
+            const create = jest.spyOn(Alert, 'create');
+
+            const alert = await raise({ severity: 'critical', message: 'Gi0/1 is still down' });
+
+            expect(alert).toBe(active);
+            expect(alert).toMatchObject({ occurrences: 2, severity: 'critical', message: 'Gi0/1 is still down' });
+            expect(create).not.toHaveBeenCalled();
+            expect(emit).not.toHaveBeenCalled();
+        });
+
+        it('should fold a raise that lost the race to open the alert into the one that won', async () => {
+            const opened = new Alert({
+                fingerprint: `${config._id}/${deviceId}/link_down`,
+                type: 'link_down',
+                severity: 'high',
+                message: 'Gi0/1 is down'
+            });
+            jest.spyOn(Alert, 'findActive').mockResolvedValueOnce(null).mockResolvedValueOnce(opened);
+            jest.spyOn(Alert, 'exists').mockResolvedValue(null);
+            jest.spyOn(Alert, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+            const alert = await raise({ message: 'Gi0/1 is still down' });
+
+            expect(alert).toBe(opened);
+            expect(alert).toMatchObject({ occurrences: 2, message: 'Gi0/1 is still down' });
+            expect(emit).not.toHaveBeenCalled();
+        });
+
+        it('should not reopen a problem within the cooldown after it was resolved', async () => {
+            jest.spyOn(Alert, 'findActive').mockResolvedValue(null);
+            const exists = jest.spyOn(Alert, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+            const create = jest.spyOn(Alert, 'create');
+
+            expect(await raise()).toBeNull();
+            const since = exists.mock.calls[0][0].resolvedAt.$gt;
+            expect(Date.now() - since.getTime()).toBeGreaterThanOrEqual(600000);
+            expect(create).not.toHaveBeenCalled();
+        });
+
+        it('should keep alerts of devices under maintenance without notifying anyone', async () => {
+            const windowId = new mongoose.Types.ObjectId();
+            MaintenanceManager.getDeviceMaintenance.mockResolvedValue({ reason: 'window', window: { id: windowId, name: 'Core upgrade' } });
+            jest.spyOn(Alert, 'findActive').mockResolvedValue(null);
+            jest.spyOn(Alert, 'exists').mockResolvedValue(null);
+            jest.spyOn(Alert, 'create').mockImplementation(async data => new Alert(data));
+            const notify = jest.spyOn(NotificationDispatcher, 'notify').mockResolvedValue([]);
+
+            const alert = await raise();
+
+            expect(alert).toMatchObject({ status: 'open', suppressed: true, maintenanceWindowId: windowId });
+            expect(emit).toHaveBeenCalledWith('alert:new', expect.objectContaining({ suppressed: true }));
+            expect(notify).not.toHaveBeenCalled();
+        });
+
+        it('should not notify about outages behind an upstream outage', async () => {
+            const rootAlertId = new mongoose.Types.ObjectId();
+            jest.spyOn(Alert, 'findActive').mockResolvedValue(null);
+            jest.spyOn(Alert, 'exists').mockResolvedValue(null);
+            let created;
+            jest.spyOn(Alert, 'create').mockImplementation(async data => (created = new Alert(data)));
+            const reconcile = jest.spyOn(AlertCorrelator, 'reconcile').mockImplementation(async () => [{
+                alert: {
+                    _id: created._id,
+                    correlation: { role: 'symptom', rootAlertId },
+                    suppressed: true,
+                    suppressedBy: 'correlation'
+                },
+                change: 'symptom'
+            }]);
+            const notify = jest.spyOn(NotificationDispatcher, 'notify').mockResolvedValue([]);
+
+            const alert = await raise({ type: 'device_unreachable', message: 'sw-2 is unreachable' });
+
+            expect(reconcile).toHaveBeenCalled();
+            expect(alert).toMatchObject({ suppressed: true, suppressedBy: 'correlation', correlation: { role: 'symptom', rootAlertId } });
+            expect(emit).toHaveBeenCalledWith('alert:new', expect.objectContaining({ suppressed: true }));
+            expect(notify).not.toHaveBeenCalled();
+        });
+
+        it('should ignore disabled alert configs', async () => {
+            config.enabled = false;
+            const findActive = jest.spyOn(Alert, 'findActive');
+
+            expect(await raise()).toBeNull();
+            expect(findActive).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('lifecycle', () => {
+        const mockAlert = (data) => {
+            const alert = new Alert({ fingerprint: 'x', type: 'link_down', severity: 'high', message: 'down', ...data });
+            jest.spyOn(Alert, 'findById').mockResolvedValue(alert);
+            return alert;
+        };
+
+        it('should acknowledge with a note and record who did it', async () => {
+            const alert = mockAlert();
+
+            await AlertManager.acknowledge(alert._id, actor, 'Looking into it');
+
+            expect(alert).toMatchObject({ status: 'acknowledged', acknowledgedBy: 'user-1' });
+            expect(alert.comments[0]).toMatchObject({ author: 'user-1', text: 'Looking into it' });
+            expect(emit).toHaveBeenCalledWith('alert:update', expect.objectContaining({ status: 'acknowledged', updatedBy: 'user-1' }));
+            expect(AuditLogger.log.mock.calls[0][0].action).toMatchObject({ type: 'alert.acknowledge' });
+        });
+
+        it('should record comments in the audit log', async () => {
+            const alert = mockAlert();
+
+            await AlertManager.comment(alert._id, actor, 'Carrier confirmed a fibre cut');
+
+            expect(alert.comments[0]).toMatchObject({ author: 'user-1', text: 'Carrier confirmed a fibre cut' });
+            expect(AuditLogger.log.mock.calls[0][0].action).toMatchObject({ type: 'alert.comment', target: { type: 'Alert', id: String(alert._id) } });
+        });
+
+        it('should refuse to acknowledge or resolve a resolved alert', async () => {
+            const alert = mockAlert({ status: 'resolved' });
+
+            await expect(AlertManager.acknowledge(alert._id, actor)).rejects.toMatchObject({ code: 'CONFLICT' });
+            await expect(AlertManager.resolve(alert._id, actor)).rejects.toMatchObject({ code: 'CONFLICT' });
+        });
+
+        it('should require a filter for bulk resolution', async () => {
+            await expect(AlertManager.bulkResolve({}, actor)).rejects.toMatchObject({ code: 'BAD_REQUEST' });
+        });
+    });
+});
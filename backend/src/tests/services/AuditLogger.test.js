@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import AuditLogger from '../../services/AuditLogger.js';
+
+describe('AuditLogger.record', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should fill in the system as actor and stringify the target id', async () => {
+        const log = jest.spyOn(AuditLogger, 'log').mockImplementation(async entry => entry);
+        const id = new mongoose.Types.ObjectId();
+
+        await AuditLogger.record(undefined, 'flow.create', { type: 'FlowEntry', id, name: 'table0/1' }, { priority: 10 });
+        await AuditLogger.record({ id: 'user-1', type: 'admin', ip: '10.0.0.1' }, 'flow.delete',
+            { type: 'FlowEntry', id, name: 'table0/1' }, undefined, 'failure');
+
+        expect(log.mock.calls[0][0]).toEqual({
+            actor: { id: 'system', type: 'system' },
+            action: {
+                type: 'flow.create',
+                target: { type: 'FlowEntry', id: String(id), name: 'table0/1' },
+                status: 'success',
+                details: { priority: 10 }
+            }
+        });
+        expect(log.mock.calls[1][0].actor).toMatchObject({ id: 'user-1', type: 'admin', ip: '10.0.0.1' });
+        expect(log.mock.calls[1][0].action).not.toHaveProperty('details');
+        expect(log.mock.calls[1][0].action.status).toBe('failure');
+    });
+
+    it('should not throw when the entry cannot be written', async () => {
+        jest.spyOn(AuditLogger, 'log').mockRejectedValue(new Error('database unavailable'));
+
+        await expect(AuditLogger.record(null, 'flow.create', { type: 'FlowEntry', id: 'f1' })).resolves.toBeNull();
+    });
+});
@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+import ConfigDeployment from '../../models/ConfigDeployment.js';
+import NetworkDevice from '../../models/NetworkDevice.js';
+import { AlertManager } from '../../services/AlertManager.js';
+import AuditLogger from '../../services/AuditLogger.js';
+import { AutoConfigService } from '../../services/AutoConfigService.js';
+import { ConfigDeploymentService } from '../../services/ConfigDeploymentService.js';
+import { ConfigVersionService } from '../../services/ConfigVersionService.js';
+import { SelfHealingService } from '../../services/SelfHealingService.js';
+import WebSocketService from '../../services/WebSocketService.js';
+import { mockQuery, objectId, testActor as actor } from '../testHelper.js';
+
+const device = { _id: objectId(), name: 'core-1' };
+const running = { name: 'core-1', type: 'router', settings: { ntp: '10.0.0.5' } };
+const candidate = { name: 'core-1', type: 'router', settings: { ntp: '10.0.0.6' } };
+const healthy = { connectivity: { isConnected: true, latency: 1 }, performance: [], configuration: [], services: [] };
+
+describe('ConfigDeploymentService', () => {
+    let deployments;
+    let applied;
+    let nextVersion;
+
+    const statuses = (deployment) => deployment.history.map(entry => entry.status);
+
+    beforeEach(() => {
+        deployments = new Map();
+        applied = [];
+        nextVersion = 1;
+        jest.spyOn(NetworkDevice, 'findById').mockImplementation(() => mockQuery(device));
+        jest.spyOn(ConfigDeployment, 'create').mockImplementation(async data => {
+            const deployment = new ConfigDeployment(data);
+            await deployment.validate();
+            deployments.set(String(deployment._id), deployment);
+            return deployment;
+        });
+        jest.spyOn(ConfigDeployment, 'findById').mockImplementation(async deploymentId =>
+            deployments.get(String(deploymentId)) || null);
+        jest.spyOn(ConfigDeployment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+            const deployment = deployments.get(String(filter._id));
+            if (!deployment || !filter.status.$in.includes(deployment.status)) return null;
+            if (filter.confirmBy && !(deployment.confirmBy > filter.confirmBy.$gt)) return null;
+            deployment.set(update.$set);
+            deployment.history.push(update.$push.history);
+            return deployment;
+        });
+        jest.spyOn(AutoConfigService, '_getDeviceConfig').mockResolvedValue(running);
+        jest.spyOn(AutoConfigService, 'deployConfig').mockImplementation(async (deviceId, config) => {
+            applied.push(config);
+            return { success: true, method: 'cli', replaced: true };
+        });
+        jest.spyOn(ConfigVersionService, 'record').mockImplementation(async () => ({ version: { version: nextVersion++ }, created: true }));
+        jest.spyOn(ConfigVersionService, 'setGolden').mockResolvedValue({});
+        jest.spyOn(SelfHealingService, 'runHealthCheck').mockResolvedValue(healthy);
+        jest.spyOn(AlertManager, 'raise').mockResolvedValue({});
+        jest.spyOn(AuditLogger, 'log').mockResolvedValue({});
+        jest.spyOn(WebSocketService, 'emit').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('deploy', () => {
+        it('should wait for confirmation after the health check passes and make the confirmed version golden', async () => {
+            const started = Date.now();
+            const deployment = await ConfigDeploymentService.deploy(device._id, candidate, { confirmMinutes: 5 }, actor);
+
+            expect(deployment).toMatchObject({ status: 'awaiting_confirmation', active: true, snapshotVersion: 1, deployedVersion: 2 });
+            expect(deployment.snapshot).toEqual(running);
+            expect(deployment.healthCheck).toMatchObject({ passed: true, failures: [] });
+            expect(deployment.confirmBy.getTime()).toBeGreaterThanOrEqual(started + 5 * 60000);
+            expect(applied).toEqual([candidate]);
+
+            const confirmed = await ConfigDeploymentService.confirm(deployment._id, actor);
+
+            expect(confirmed).toMatchObject({ status: 'confirmed', active: false, confirmedBy: 'user-1' });
+            expect(statuses(confirmed)).toEqual(['applying', 'applying', 'verifying', 'awaiting_confirmation', 'confirmed']);
+            expect(ConfigVersionService.setGolden).toHaveBeenCalledWith(device._id, 2, actor);
+            expect(AuditLogger.log.mock.calls.map(call => call[0].action.type))
+                .toEqual(['config_deployment.start', 'config_deployment.confirm']);
+            await expect(ConfigDeploymentService.rollback(deployment._id, actor)).rejects.toMatchObject({ code: 'CONFLICT' });
+        });
+
+        it('should restore the snapshot when the health check fails', async () => {
+            SelfHealingService.runHealthCheck.mockResolvedValue({
+                ...healthy,
+                services: [{ type: 'service', severity: 'high', description: 'SSH on 10.0.0.1:22 is not reachable: timed out' }],
+                configuration: [{ type: 'configuration', severity: 'medium', description: 'Configuration drifted from golden version 1: +1/-1 lines' }]
+            });
+
+            const deployment = await ConfigDeploymentService.deploy(device._id, candidate, { autoConfirm: true }, actor);
+
+            expect(deployment).toMatchObject({
+                status: 'rolled_back',
+                active: false,
+                rollbackReason: 'health_check_failed',
+                error: 'Health check failed: SSH on 10.0.0.1:22 is not reachable: timed out',
+                rolledBackBy: 'user-1'
+            });
+            expect(applied).toEqual([candidate, running]);
+            expect(deployment.history.at(-1).message).toBe('Restored version 1');
+            expect(ConfigVersionService.record).toHaveBeenLastCalledWith(device._id, running, { source: 'deploy', tags: ['rollback'] }, actor);
+            expect(ConfigVersionService.setGolden).not.toHaveBeenCalled();
+        });
+
+        it('should not report a snapshot that could only be added to the device as restored', async () => {
+            AutoConfigService.deployConfig.mockImplementation(async (deviceId, config) => {
+                applied.push(config);
+                return { success: true, method: 'cli', replaced: false };
+            });
+            SelfHealingService.runHealthCheck.mockResolvedValue({ ...healthy, connectivity: { isConnected: false } });
+
+            const deployment = await ConfigDeploymentService.deploy(device._id, candidate, {}, actor);
+
+            expect(deployment.status).toBe('rolled_back');
+            expect(deployment.history.at(-1).message).toBe('Applied version 1 again; what the deployment added was not removed');
+        });
+
+        it('should apply nothing without a snapshot and alert when a rollback fails', async () => {
+            AutoConfigService._getDeviceConfig.mockRejectedValue(new Error('SSH session refused'));
+            const unsnapshotted = await ConfigDeploymentService.deploy(device._id, candidate, {}, actor);
+            expect(unsnapshotted).toMatchObject({ status: 'failed', error: 'SSH session refused' });
+            expect(applied).toEqual([]);
+
+            AutoConfigService._getDeviceConfig.mockResolvedValue(running);
+            AutoConfigService.deployConfig.mockRejectedValue(new Error('Configuration deployment failed'));
+            const failed = await ConfigDeploymentService.deploy(device._id, candidate, {}, actor);
+
+            expect(failed).toMatchObject({
+                status: 'failed',
+                rollbackReason: 'apply_failed',
+                error: 'Apply failed: Configuration deployment failed; rollback failed: Configuration deployment failed'
+            });
+            expect(AlertManager.raise).toHaveBeenCalledWith(expect.objectContaining({
+                deviceId: device._id,
+                type: 'config_rollback_failed',
+                severity: 'critical'
+            }));
+        });
+    });
+
+    describe('expire', () => {
+        it('should keep a deployment that is still being applied from looking cut off', async () => {
+            const heartbeatInterval = ConfigDeploymentService.heartbeatInterval;
+            ConfigDeploymentService.heartbeatInterval = 10;
+            jest.spyOn(ConfigDeployment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+            AutoConfigService.deployConfig.mockImplementation(() => new Promise(resolve =>
+                setTimeout(() => resolve({ success: true, method: 'cli', replaced: true }), 50)));
+
+            try {
+                const deployment = await ConfigDeploymentService.deploy(device._id, candidate, { autoConfirm: true }, actor);
+
+                expect(deployment.status).toBe('confirmed');
+                expect(ConfigDeployment.updateOne).toHaveBeenCalledWith(
+                    { _id: deployment._id, active: true }, { $set: { heartbeatAt: expect.any(Date) } });
+                const beats = ConfigDeployment.updateOne.mock.calls.length;
+                await new Promise(resolve => setTimeout(resolve, 30));
+                expect(ConfigDeployment.updateOne).toHaveBeenCalledTimes(beats);
+            } finally {
+                ConfigDeploymentService.heartbeatInterval = heartbeatInterval;
+            }
+        });
+
+        it('should roll back deployments that were not confirmed in time', async () => {
+            const deployment = await ConfigDeploymentService.deploy(device._id, candidate, {}, actor);
+            const late = new Date(deployment.confirmBy.getTime() + 1000);
+            jest.spyOn(ConfigDeployment, 'find').mockResolvedValue([deployment]);
+
+            await expect(ConfigDeploymentService.confirm(deployment._id, actor, late)).rejects.toMatchObject({ code: 'CONFLICT' });
+            expect(await ConfigDeploymentService.expire(late)).toBe(1);
+
+            expect(deployment).toMatchObject({ status: 'rolled_back', rollbackReason: 'confirm_timeout', rolledBackBy: 'system' });
+            expect(applied).toEqual([candidate, running]);
+            expect(ConfigDeployment.find.mock.calls[0][0].$or[0]).toEqual({ status: 'awaiting_confirmation', confirmBy: { $lte: late } });
+        });
+    });
+});
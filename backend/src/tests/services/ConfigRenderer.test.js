@@ -0,0 +1,415 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { jest } from '@jest/globals';
+import { ConfigRenderer } from '../../services/ConfigRenderer.js';
+import { CredentialVault } from '../../services/CredentialVault.js';
+import { normalizeIntent } from '../../utils/ConfigIntent.js';
+
+// Set UPDATE_GOLDEN=true to rewrite the expected files after an intended change, then review the diff
+const golden = (file, text) => {
+    const url = new URL(`../fixtures/config-renderers/${file}`, import.meta.url);
+    if (process.env.UPDATE_GOLDEN === 'true') {
+        writeFileSync(url, text);
+    }
+    return readFileSync(url, 'utf8');
+};
+
+const intentFor = ([uplink, access, trunk, spare]) => ({
+    hostname: 'core-1',
+    vlans: [
+        { id: 10, name: 'users' },
+        { id: 20, name: 'voice' },
+        { id: 100 }
+    ],
+    acls: [{
+        name: 'MGMT-IN',
+        entries: [
+            { action: 'permit', protocol: 'tcp', source: '10.0.0.0/24', destinationPort: 22, log: true },
+            { action: 'permit', protocol: 'udp', source: '10.0.0.9', sourcePort: 161 },
+            { action: 'permit', protocol: 'icmp', destination: '10.255.0.0/30' },
+            { action: 'deny', log: true }
+        ]
+    }],
+    qos: {
+        classes: [
+            { name: 'VOICE', dscp: ['ef'] },
+            { name: 'VIDEO', dscp: ['af41', 'CS4', 8] }
+        ],
+        policies: [{
+            name: 'WAN-EDGE',
+            classes: [
+                { class: 'VOICE', priority: true, bandwidthPercent: 20 },
+                { class: 'VIDEO', bandwidthPercent: 30 }
+            ]
+        }]
+    },
+    interfaces: [
+        {
+            name: uplink,
+            description: 'Uplink to isp-1',
+            mtu: 9000,
+            address: '10.255.0.1/30',
+            acl: { in: 'MGMT-IN' },
+            qosPolicy: 'WAN-EDGE'
+        },
+        { name: access, mode: 'access', accessVlan: 10 },
+        { name: trunk, description: 'To access-2', mode: 'trunk', allowedVlans: [10, 20, 100], nativeVlan: 100 },
+        { name: spare, enabled: false }
+    ],
+    staticRoutes: [
+        { prefix: '0.0.0.0/0', nextHop: '10.255.0.2', name: 'default' },
+        { prefix: '192.168.50.0/24', nextHop: '10.255.0.2', distance: 200 }
+    ],
+    snmp: {
+        location: 'DC1 row 4',
+        contact: 'noc@example.com',
+        communities: [{ name: 'monitor' }, { name: 'provision', access: 'rw' }],
+        trapHosts: [{ host: '10.0.0.9', community: 'traps' }]
+    },
+    logging: {
+        hosts: ['10.0.0.50'],
+        level: 'warning',
+        facility: 'local6',
+        buffered: 16384
+    }
+});
+
+describe('ConfigRenderer', () => {
+    describe('render', () => {
+        it('should render IOS running-config text', () => {
+            const device = { type: 'switch', manufacturer: 'Cisco Systems', model: 'C9300-48P' };
+            const intent = intentFor(['GigabitEthernet1/0/1', 'GigabitEthernet1/0/2', 'GigabitEthernet1/0/3', 'GigabitEthernet1/0/4']);
+
+            const { renderer, text } = ConfigRenderer.render(device, intent);
+
+            expect(renderer).toBe('ios');
+            expect(text).toBe(golden('ios.cfg', text));
+        });
+
+        it('should render Junos set commands', () => {
+            const device = { type: 'router', manufacturer: 'Juniper Networks', model: 'MX204' };
+            const intent = intentFor(['xe-0/0/0', 'ge-0/0/1', 'ge-0/0/2', 'ge-0/0/3']);
+
+            const { renderer, text } = ConfigRenderer.render(device, intent);
+
+            expect(renderer).toBe('junos');
+            expect(text).toBe(golden('junos.set', text));
+        });
+
+        it('should render EOS running-config text', () => {
+            const device = { type: 'switch', manufacturer: 'Arista Networks', model: 'DCS-7050SX3-48YC8' };
+            const intent = intentFor(['Ethernet1', 'Ethernet2', 'Ethernet3', 'Ethernet4']);
+
+            const { renderer, text } = ConfigRenderer.render(device, intent);
+
+            expect(renderer).toBe('eos');
+            expect(text).toBe(golden('eos.cfg', text));
+        });
+
+        it('should reject an intent that is not valid before rendering', () => {
+            const device = { manufacturer: 'Cisco', model: 'ISR4331' };
+            const intent = { interfaces: [{ name: 'GigabitEthernet0/0/0', description: 'uplink\nusername admin privilege 15' }] };
+
+            expect(() => ConfigRenderer.render(device, intent))
+                .toThrow('Invalid intent: interfaces[0].description must be one line without quotes');
+        });
+    });
+
+    describe('parse', () => {
+        const fixture = (file) => readFileSync(new URL(`../fixtures/config-renderers/${file}`, import.meta.url), 'utf8');
+
+        it('should read rendered IOS text back into the same intent', () => {
+            const device = { manufacturer: 'Cisco Systems', model: 'C9300-48P' };
+            const names = ['GigabitEthernet1/0/1', 'GigabitEthernet1/0/2', 'GigabitEthernet1/0/3', 'GigabitEthernet1/0/4'];
+
+            expect(ConfigRenderer.parse(device, fixture('ios.cfg'))).toEqual(normalizeIntent(intentFor(names)));
+        });
+
+        it('should read Junos set commands back into the intent they were rendered from', () => {
+            const device = { manufacturer: 'Juniper Networks', model: 'MX204' };
+            const expected = normalizeIntent(intentFor(['xe-0/0/0', 'ge-0/0/1', 'ge-0/0/2', 'ge-0/0/3']));
+
+            const intent = ConfigRenderer.parse(device, fixture('junos.set'));
+
+            // Junos has no route names or logging buffer in the rendered set
+            expect(intent).toEqual({
+                ...expected,
+                staticRoutes: expected.staticRoutes.map(route => ({ ...route, name: undefined })),
+                logging: { ...expected.logging, buffered: undefined }
+            });
+        });
+
+        it('should read EOS traffic classes and transmit queues as classes and a policy', () => {
+            const device = { manufacturer: 'Arista Networks', model: 'DCS-7050SX3-48YC8' };
+            const expected = normalizeIntent(intentFor(['Ethernet1', 'Ethernet2', 'Ethernet3', 'Ethernet4']));
+
+            const intent = ConfigRenderer.parse(device, fixture('eos.cfg'));
+
+            expect(intent.qos).toEqual({
+                classes: [{ name: 'tc1', dscp: [46] }, { name: 'tc2', dscp: [34, 32, 8] }],
+                policies: [{
+                    name: 'Ethernet1-queues',
+                    classes: [
+                        { class: 'tc1', priority: true, bandwidthPercent: 20 },
+                        { class: 'tc2', priority: false, bandwidthPercent: 30 }
+                    ]
+                }]
+            });
+            expect(intent.interfaces[0].qosPolicy).toBe('Ethernet1-queues');
+            expect({ ...intent, qos: undefined, interfaces: intent.interfaces.slice(1) })
+                .toEqual({ ...expected, qos: undefined, interfaces: expected.interfaces.slice(1) });
+        });
+
+        it('should skip what the intent cannot express in device output', () => {
+            const device = { manufacturer: 'Cisco', model: 'ISR4331' };
+            const text = [
+                'Building configuration...',
+                '',
+                'Current configuration : 1024 bytes',
+                '! Last configuration change at 10:15:02 UTC Mon Oct 5 2026',
+                'version 17.3',
+                'hostname edge-2',
+                'banner motd ^C',
+                'interface GigabitEthernet0/0/9',
+                '^C',
+                'ip access-list standard SNMP-HOSTS',
+                ' 10 permit 10.0.0.9',
+                ' 20 permit 10.1.0.0 0.0.255.255 log',
+                ' 30 deny   any',
+                'ip access-list extended EDGE-IN',
+                ' 10 permit tcp any host 10.0.0.5 eq www',
+                ' 20 permit tcp any host 10.0.0.5 range 8000 8080',
+                ' 30 permit udp any any eq domain',
+                ' 40 permit ospf any any',
+                'ip access-list extended OBJECTS',
+                ' 10 permit tcp object-group ADMINS any eq 22',
+                'interface GigabitEthernet0/0/0',
+                ' description WAN',
+                ' ip address 203.0.113.2 255.255.255.252',
+                ' ip address 203.0.113.6 255.255.255.252 secondary',
+                ' ip access-group EDGE-IN in',
+                ' ip access-group OBJECTS out',
+                ' service-policy output MISSING',
+                ' negotiation auto',
+                'router ospf 1',
+                ' network 10.0.0.0 0.0.0.255 area 0',
+                'ip route vrf MGMT 0.0.0.0 0.0.0.0 10.9.0.1',
+                'ip route 10.20.0.0 255.255.0.0 203.0.113.1 250',
+                'snmp-server community s3cret RO SNMP-HOSTS',
+                'snmp-server host 10.0.0.9 version 3 priv admin',
+                'logging trap 4',
+                'logging 10.0.0.50',
+                'end'
+            ].join('\n');
+
+            const intent = ConfigRenderer.parse(device, text);
+
+            expect(intent.hostname).toBe('edge-2');
+            expect(intent.interfaces).toMatchObject([{
+                name: 'GigabitEthernet0/0/0',
+                description: 'WAN',
+                enabled: true,
+                mode: 'routed',
+                address: '203.0.113.2/30',
+                allowedVlans: [],
+                acl: { in: 'EDGE-IN' }
+            }]);
+            expect(intent.acls.map(acl => acl.name)).toEqual(['SNMP-HOSTS', 'EDGE-IN']);
+            expect(intent.acls[0].entries.map(entry => `${entry.action} ${entry.source}${entry.log ? ' log' : ''}`))
+                .toEqual(['permit 10.0.0.9/32', 'permit 10.1.0.0/16 log', 'deny any']);
+            expect(intent.acls[1].entries.map(entry => `${entry.protocol} ${entry.destination} ${entry.destinationPort}`))
+                .toEqual(['tcp 10.0.0.5/32 80', 'udp any 53']);
+            expect(intent.staticRoutes).toMatchObject([{ prefix: '10.20.0.0/16', nextHop: '203.0.113.1', distance: 250 }]);
+            expect(intent.snmp).toEqual({
+                location: undefined,
+                contact: undefined,
+                communities: [{ name: 's3cret', access: 'ro' }],
+                trapHosts: []
+            });
+            expect(intent.logging).toEqual({ hosts: ['10.0.0.50'], level: 'warning', facility: 'local7', buffered: undefined });
+        });
+
+        it('should read a Junos firewall term with several addresses as one entry per address pair', () => {
+            const device = { manufacturer: 'Juniper Networks', model: 'SRX345' };
+            const text = [
+                '## Last commit: 2026-10-05 10:15:02 UTC by admin',
+                'set version 21.4R3',
+                'set firewall family inet filter EDGE term web from source-address 10.0.0.0/24',
+                'set firewall family inet filter EDGE term web from source-address 10.1.0.0/24',
+                'set firewall family inet filter EDGE term web from protocol tcp',
+                'set firewall family inet filter EDGE term web from destination-port http',
+                'set firewall family inet filter EDGE term web then accept',
+                'set firewall family inet filter EDGE term marked from dscp ef',
+                'set firewall family inet filter EDGE term marked then accept',
+                'set interfaces ge-0/0/0 unit 0 family inet address 198.51.100.2/30',
+                'set interfaces ge-0/0/0 unit 0 family inet filter input EDGE',
+                'set interfaces ge-0/0/0 unit 10 family inet address 192.0.2.1/24'
+            ].join('\n');
+
+            const intent = ConfigRenderer.parse(device, text);
+
+            expect(intent.acls[0].entries.map(entry => `${entry.source} ${entry.destinationPort}`))
+                .toEqual(['10.0.0.0/24 80', '10.1.0.0/24 80']);
+            expect(intent.interfaces[0]).toMatchObject({ address: '198.51.100.2/30', acl: { in: 'EDGE' } });
+        });
+    });
+
+    describe('renderReplacement', () => {
+        const fixture = (file) => readFileSync(new URL(`../fixtures/config-renderers/${file}`, import.meta.url), 'utf8');
+
+        // intentFor with a VLAN, ACL entries, a QoS class, SNMP and logging settings and interface settings taken away
+        const reducedFor = ([uplink, access, trunk, spare]) => ({
+            hostname: 'core-1',
+            vlans: [{ id: 10, name: 'users' }, { id: 100 }],
+            acls: [{
+                name: 'MGMT-IN',
+                entries: [
+                    { action: 'permit', protocol: 'tcp', source: '10.0.0.0/24', destinationPort: 22, log: true },
+                    { action: 'deny', log: true }
+                ]
+            }],
+            qos: {
+                classes: [{ name: 'VOICE', dscp: ['ef'] }],
+                policies: [{ name: 'WAN-EDGE', classes: [{ class: 'VOICE', bandwidthPercent: 20 }] }]
+            },
+            interfaces: [
+                { name: uplink, mtu: 9000, address: '10.255.0.1/30', qosPolicy: 'WAN-EDGE' },
+                { name: access, mode: 'access', accessVlan: 100 },
+                { name: trunk, description: 'To access-2', mode: 'trunk', allowedVlans: [10, 100] },
+                { name: spare }
+            ],
+            staticRoutes: [{ prefix: '0.0.0.0/0', nextHop: '10.255.0.2', name: 'default' }],
+            snmp: { communities: [{ name: 'monitor' }] },
+            logging: { level: 'warning', facility: 'local6' }
+        });
+
+        it('should remove from IOS what the running configuration has beyond the intent', async () => {
+            const device = { type: 'switch', manufacturer: 'Cisco Systems', model: 'C9300-48P' };
+            const names = ['GigabitEthernet1/0/1', 'GigabitEthernet1/0/2', 'GigabitEthernet1/0/3', 'GigabitEthernet1/0/4'];
+
+            const { replaces, removals, text } = await ConfigRenderer.renderReplacement(device, reducedFor(names), async () => fixture('ios.cfg'));
+
+            expect(replaces).toBe(true);
+            expect(removals).toEqual([
+                'interface GigabitEthernet1/0/1',
+                ' no description',
+                ' no ip access-group MGMT-IN in',
+                'interface GigabitEthernet1/0/3',
+                ' no switchport trunk native vlan',
+                'no ip route 192.168.50.0 255.255.255.0 10.255.0.2 200',
+                'no snmp-server community provision RW',
+                'no snmp-server location DC1 row 4',
+                'no snmp-server contact noc@example.com',
+                'no snmp-server host 10.0.0.9 version 2c traps',
+                'no snmp-server enable traps',
+                'no logging buffered 16384',
+                'no logging host 10.0.0.50',
+                'policy-map WAN-EDGE',
+                ' class VOICE',
+                '  no priority percent 20',
+                ' no class VIDEO',
+                'no class-map match-any VIDEO',
+                'no ip access-list extended MGMT-IN',
+                'no vlan 20'
+            ]);
+            expect(text).toBe(ConfigRenderer.render(device, reducedFor(names)).text);
+        });
+
+        it('should delete from the Junos candidate what the running configuration has beyond the intent', async () => {
+            const device = { type: 'router', manufacturer: 'Juniper Networks', model: 'MX204' };
+            const names = ['xe-0/0/0', 'ge-0/0/1', 'ge-0/0/2', 'ge-0/0/3'];
+
+            const { removals } = await ConfigRenderer.renderReplacement(device, reducedFor(names), async () => fixture('junos.set'));
+
+            expect(removals).toEqual([
+                'delete system syslog host 10.0.0.50',
+                'delete snmp location',
+                'delete snmp contact',
+                'delete snmp community provision',
+                'delete snmp trap-group traps',
+                'delete vlans voice',
+                'delete firewall family inet filter MGMT-IN',
+                'delete class-of-service forwarding-classes class VIDEO',
+                'delete class-of-service classifiers dscp intent-dscp forwarding-class VIDEO',
+                'delete class-of-service schedulers WAN-EDGE-VOICE priority',
+                'delete class-of-service scheduler-maps WAN-EDGE forwarding-class VIDEO',
+                'delete class-of-service schedulers WAN-EDGE-VIDEO',
+                'delete interfaces xe-0/0/0 description',
+                'delete interfaces xe-0/0/0 unit 0 family inet filter input',
+                'delete interfaces ge-0/0/1 unit 0 family ethernet-switching vlan members',
+                'delete interfaces ge-0/0/2 unit 0 family ethernet-switching vlan members',
+                'delete interfaces ge-0/0/2 native-vlan-id',
+                'delete interfaces ge-0/0/3 disable',
+                'delete routing-options static route 192.168.50.0/24'
+            ]);
+        });
+
+        it('should remove EOS traffic class maps and transmit queues the intent no longer has', async () => {
+            const device = { type: 'switch', manufacturer: 'Arista Networks', model: 'DCS-7050SX3-48YC8' };
+            const names = ['Ethernet1', 'Ethernet2', 'Ethernet3', 'Ethernet4'];
+
+            const { removals } = await ConfigRenderer.renderReplacement(device, reducedFor(names), async () => fixture('eos.cfg'));
+
+            expect(removals).toEqual(expect.arrayContaining([
+                'no ip access-list MGMT-IN',
+                'no qos map dscp 34 32 8 to traffic-class 2',
+                '   no tx-queue 2'
+            ]));
+        });
+
+        it('should remove nothing when the intent matches the running configuration', async () => {
+            for (const [device, file] of [
+                [{ manufacturer: 'Cisco Systems', model: 'C9300-48P' }, 'ios.cfg'],
+                [{ manufacturer: 'Juniper Networks', model: 'MX204' }, 'junos.set'],
+                [{ manufacturer: 'Arista Networks', model: 'DCS-7280SR' }, 'eos.cfg']
+            ]) {
+                const running = ConfigRenderer.parse(device, fixture(file));
+
+                expect((await ConfigRenderer.renderReplacement(device, running, async () => fixture(file))).removals).toEqual([]);
+            }
+        });
+
+        it('should decrypt communities kept in the vault for the device, and show only the reference otherwise', async () => {
+            const device = { name: 'core-1', manufacturer: 'Cisco Systems', model: 'C9300-48P' };
+            const intent = { snmp: { communities: [{ secret: '65f0c0ffee0000000000a001' }] } };
+            const communities = jest.spyOn(CredentialVault, 'snmpCommunities')
+                .mockResolvedValue(new Map([['65f0c0ffee0000000000a001', 'monitor']]));
+
+            try {
+                const { removals, text } = await ConfigRenderer.renderReplacement(device, intent,
+                    async () => 'snmp-server community monitor RO\nsnmp-server community public RO\n');
+
+                expect(communities).toHaveBeenCalledWith(['65f0c0ffee0000000000a001'], { reason: 'config_deploy', device });
+                expect(removals).toEqual(['no snmp-server community public RO']);
+                expect(text).toContain('snmp-server community monitor RO');
+                expect(ConfigRenderer.render(device, intent).text).toContain('snmp-server community <vault:65f0c0ffee0000000000a001> RO');
+            } finally {
+                communities.mockRestore();
+            }
+        });
+
+        it('should only add with renderers that cannot remove, without reading the running configuration', async () => {
+            const readRunning = jest.fn();
+            ConfigRenderer.registerRenderer('acme', { matches: device => device.manufacturer === 'Acme', render: () => 'hostname core-1\n' });
+
+            try {
+                expect(await ConfigRenderer.renderReplacement({ manufacturer: 'Acme' }, { hostname: 'core-1' }, readRunning))
+                    .toEqual({ renderer: 'acme', replaces: false, removals: [], text: 'hostname core-1\n' });
+                expect(readRunning).not.toHaveBeenCalled();
+            } finally {
+                ConfigRenderer.renderers.delete('acme');
+            }
+        });
+    });
+
+    describe('select', () => {
+        it('should pick the renderer from the manufacturer and model', () => {
+            expect(ConfigRenderer.select({ manufacturer: 'Cisco', model: 'ISR4331' })).toBe('ios');
+            expect(ConfigRenderer.select({ manufacturer: 'cisco', model: 'WS-C2960X-24TS-L' })).toBe('ios');
+            expect(ConfigRenderer.select({ manufacturer: 'Juniper Networks', model: 'EX4300-48T' })).toBe('junos');
+            expect(ConfigRenderer.select({ manufacturer: 'Arista', model: 'DCS-7280SR' })).toBe('eos');
+            expect(() => ConfigRenderer.select({ manufacturer: 'Cisco', model: 'Nexus 9300' }))
+                .toThrow('No configuration renderer supports Cisco Nexus 9300');
+            expect(() => ConfigRenderer.select({})).toThrow('No configuration renderer supports unknown platform');
+        });
+    });
+});
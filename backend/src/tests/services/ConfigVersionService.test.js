@@ -0,0 +1,145 @@
+import { jest } from '@jest/globals';
+import DeviceConfigVersion from '../../models/DeviceConfigVersion.js';
+import NetworkDevice from '../../models/NetworkDevice.js';
+import { AlertManager } from '../../services/AlertManager.js';
+import AuditLogger from '../../services/AuditLogger.js';
+import { AutoConfigService } from '../../services/AutoConfigService.js';
+import { ConfigVersionService } from '../../services/ConfigVersionService.js';
+import { mockQuery, objectId, testActor as actor } from '../testHelper.js';
+
+const now = new Date('2026-03-04T12:00:00Z');
+const device = { _id: objectId(), name: 'core-1' };
+
+const GOLDEN = [
+    'Building configuration...',
+    '! Last configuration change at 09:12:01 UTC Mon Mar 2 2026',
+    'hostname core-1',
+    'interface GigabitEthernet0/1',
+    ' description uplink',
+    'end'
+].join('\n');
+
+const stored = (version, content, data = {}) => new DeviceConfigVersion({
+    deviceId: device._id,
+    version,
+    source: 'poll',
+    ...ConfigVersionService._normalize(content),
+    ...data
+});
+
+describe('ConfigVersionService', () => {
+    let versions;
+
+    beforeEach(() => {
+        versions = [];
+        jest.spyOn(NetworkDevice, 'findById').mockImplementation(() => mockQuery(device));
+        jest.spyOn(DeviceConfigVersion, 'findLatest').mockImplementation(() =>
+            mockQuery(versions.reduce((latest, version) => (!latest || version.version > latest.version ? version : latest), null)));
+        jest.spyOn(DeviceConfigVersion, 'findGolden').mockImplementation(() =>
+            mockQuery(versions.find(version => version.golden) || null));
+        jest.spyOn(DeviceConfigVersion, 'findOne').mockImplementation(filter =>
+            mockQuery(versions.find(version => version.version === filter.version) || null));
+        jest.spyOn(DeviceConfigVersion, 'create').mockImplementation(async data => {
+            const version = new DeviceConfigVersion(data);
+            await version.validate();
+            versions.push(version);
+            return version;
+        });
+        jest.spyOn(DeviceConfigVersion, 'updateMany').mockImplementation(async () => {
+            versions.forEach(version => { version.golden = false; });
+            return { modifiedCount: 1 };
+        });
+        jest.spyOn(DeviceConfigVersion.prototype, 'save').mockImplementation(function() {
+            return this.validate().then(() => this);
+        });
+        jest.spyOn(AlertManager, 'raise').mockResolvedValue({});
+        jest.spyOn(AlertManager, 'clear').mockResolvedValue(null);
+        jest.spyOn(AuditLogger, 'log').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('record', () => {
+        it('should add a version only when the configuration changed beyond volatile lines', async () => {
+            const first = await ConfigVersionService.record(device._id, GOLDEN, { source: 'upload', tags: ['baseline'] }, actor, now);
+            expect(first.created).toBe(true);
+            expect(first.version).toMatchObject({ version: 1, format: 'text', source: 'upload', capturedBy: 'user-1' });
+
+            const touched = GOLDEN.replace('09:12:01 UTC Mon Mar 2', '11:40:55 UTC Wed Mar 4');
+            const again = await ConfigVersionService.record(device._id, touched, { source: 'poll' }, actor, now);
+            expect(again.created).toBe(false);
+            expect(again.version).toBe(first.version);
+
+            const changed = await ConfigVersionService.record(device._id, `${GOLDEN}\nntp server 10.0.0.5`, { source: 'poll' }, actor, now);
+            expect(changed.version.version).toBe(2);
+            expect(AuditLogger.log.mock.calls.map(call => call[0].action.type)).toEqual(['config_version.create', 'config_version.create']);
+        });
+
+        it('should store structured configurations with sorted keys', async () => {
+            const { version } = await ConfigVersionService.record(device._id, { vlans: [10], hostname: 'core-1' }, { source: 'poll' }, actor);
+            expect(version.format).toBe('json');
+            expect(version.content).toBe('{\n  "hostname": "core-1",\n  "vlans": [\n    10\n  ]\n}');
+            expect(version.data).toEqual({ vlans: [10], hostname: 'core-1' });
+
+            const same = await ConfigVersionService.record(device._id, { hostname: 'core-1', vlans: [10] }, { source: 'poll' }, actor);
+            expect(same.created).toBe(false);
+        });
+    });
+
+    describe('diff', () => {
+        it('should compare two versions line by line and by section', async () => {
+            versions.push(
+                stored(1, GOLDEN, { golden: true }),
+                stored(2, GOLDEN.replace(' description uplink', ' description uplink to dist-1'))
+            );
+
+            const diff = await ConfigVersionService.diff(device._id, 'golden', '2');
+
+            expect(diff.from).toMatchObject({ version: 1, golden: true });
+            expect(diff.from.content).toBeUndefined();
+            expect(diff.lines).toMatchObject({ added: 1, removed: 1 });
+            expect(diff.keys).toEqual([
+                { path: ['interface GigabitEthernet0/1', 'description uplink'], change: 'removed', before: {} },
+                { path: ['interface GigabitEthernet0/1', 'description uplink to dist-1'], change: 'added', after: {} }
+            ]);
+            await expect(ConfigVersionService.diff(device._id, 'golden', '7')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+        });
+    });
+
+    describe('checkDrift', () => {
+        it('should raise a drift alert and resolve it once the drift is approved', async () => {
+            versions.push(stored(1, GOLDEN, { golden: true }));
+            jest.spyOn(AutoConfigService, '_getDeviceConfig').mockResolvedValue(`${GOLDEN}\nip route 0.0.0.0 0.0.0.0 10.0.0.254`);
+
+            const drift = await ConfigVersionService.checkDrift(device._id, actor);
+
+            expect(drift).toMatchObject({ drifted: true, golden: { version: 1 }, current: { version: 2 } });
+            expect(drift.lines.added).toBe(1);
+            expect(AlertManager.raise).toHaveBeenCalledWith(expect.objectContaining({
+                deviceId: device._id,
+                type: 'config_drift',
+                severity: 'medium',
+                details: { goldenVersion: 1, currentVersion: 2, added: 1, removed: 0 }
+            }));
+
+            const golden = await ConfigVersionService.approveDrift(device._id, actor, now);
+
+            expect(golden).toMatchObject({ version: 2, golden: true, approvedBy: 'user-1', approvedAt: now });
+            expect(versions[0].golden).toBe(false);
+            expect(AlertManager.clear).toHaveBeenCalledWith({ deviceId: device._id, type: 'config_drift' });
+            expect(await ConfigVersionService.getDrift(device._id)).toMatchObject({ drifted: false });
+        });
+
+        it('should report drift from the golden version without storing the configuration', async () => {
+            expect(await ConfigVersionService.compareToGolden(device._id, GOLDEN)).toBeNull();
+
+            versions.push(stored(3, GOLDEN, { golden: true }));
+            expect(await ConfigVersionService.compareToGolden(device._id, GOLDEN.replace('core-1', 'core-2')))
+                .toMatchObject({ drifted: true, golden: { version: 3 }, added: 1, removed: 1 });
+            expect(await ConfigVersionService.getGoldenConfig(device._id)).toBe(GOLDEN);
+            expect(DeviceConfigVersion.create).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,188 @@
+import { jest } from '@jest/globals';
+import DeviceGroup from '../../models/DeviceGroup.js';
+import NetworkDevice from '../../models/NetworkDevice.js';
+import VaultSecret from '../../models/VaultSecret.js';
+import AuditLogger from '../../services/AuditLogger.js';
+import { CredentialVault } from '../../services/CredentialVault.js';
+import { mockQuery, objectId, testActor as actor } from '../testHelper.js';
+
+describe('CredentialVault', () => {
+    let secrets;
+    let groups;
+    let audits;
+
+    beforeEach(() => {
+        secrets = [];
+        groups = [];
+        audits = [];
+        CredentialVault.masterKey = 'master-key-2026';
+        CredentialVault.previousKeys = [];
+        CredentialVault.cache.clear();
+        CredentialVault.resolved.clear();
+        CredentialVault.snmpUsers = null;
+
+        jest.spyOn(VaultSecret, 'findById').mockImplementation(secretId =>
+            mockQuery(secrets.find(secret => String(secret._id) === String(secretId)) || null));
+        jest.spyOn(VaultSecret, 'find').mockImplementation((filter = {}) =>
+            mockQuery(secrets.filter(secret => !filter.type || secret.type === filter.type)));
+        jest.spyOn(VaultSecret, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+        jest.spyOn(VaultSecret.prototype, 'save').mockImplementation(function() {
+            return this.validate().then(() => {
+                this.updatedAt = new Date(Date.now() + secrets.length);
+                if (!secrets.includes(this)) secrets.push(this);
+                return this;
+            });
+        });
+        jest.spyOn(DeviceGroup, 'find').mockImplementation(filter =>
+            mockQuery(groups.filter(group => !filter.name || filter.name.$in.includes(group.name))));
+        jest.spyOn(DeviceGroup, 'countDocuments').mockResolvedValue(0);
+        jest.spyOn(NetworkDevice, 'countDocuments').mockResolvedValue(0);
+        jest.spyOn(AuditLogger, 'log').mockImplementation(async entry => audits.push(entry));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should store only the envelope and audit every retrieval', async () => {
+        const secret = await CredentialVault.createSecret({
+            name: 'core-login',
+            type: 'ssh_password',
+            username: 'netops',
+            encoding: 'base64',
+            password: Buffer.from('p#ss--word').toString('base64')
+        }, actor);
+
+        expect(JSON.stringify(secret.toObject())).not.toContain('p#ss--word');
+        expect(secret.toJSON().envelope).toBeUndefined();
+        expect(secret.toJSON().keyId).toBe(secret.envelope.keyId);
+
+        const device = { _id: objectId(), name: 'core-1', connectionInfo: { credentials: { login: secret._id } } };
+        const login = await CredentialVault.resolve(device, 'login', { reason: 'cli_session' });
+
+        expect(login).toMatchObject({ type: 'ssh_password', username: 'netops', password: 'p#ss--word' });
+        expect(audits.map(audit => audit.action.type)).toEqual(['vault_secret.create', 'vault_secret.retrieve']);
+        expect(audits[1].action).toMatchObject({
+            target: { type: 'VaultSecret', id: String(secret._id), name: 'core-login' },
+            status: 'success',
+            details: { secretType: 'ssh_password', reason: 'cli_session', device: { id: String(device._id), name: 'core-1' } }
+        });
+        expect(JSON.stringify(audits)).not.toContain('p#ss--word');
+    });
+
+    it('should fall back to the first group of the device that has the secret', async () => {
+        const enableA = await CredentialVault.createSecret({ name: 'enable-a', type: 'enable_secret', secret: 'secret-a' }, actor);
+        const enableB = await CredentialVault.createSecret({ name: 'enable-b', type: 'enable_secret', secret: 'secret-b' }, actor);
+        groups.push(
+            new DeviceGroup({ name: 'core', credentials: {} }),
+            new DeviceGroup({ name: 'dc-east', credentials: { enable: enableB._id } }),
+            new DeviceGroup({ name: 'lab', credentials: { enable: enableA._id } })
+        );
+        const device = { _id: objectId(), name: 'core-1', groups: ['core', 'dc-east', 'lab'], connectionInfo: {} };
+
+        expect((await CredentialVault.resolve(device, 'enable')).secret).toBe('secret-b');
+        expect(await CredentialVault.resolve(device, 'login')).toBeNull();
+
+        device.connectionInfo.credentials = { enable: enableA._id };
+        expect((await CredentialVault.resolve(device, 'enable')).secret).toBe('secret-a');
+    });
+
+    it('should resolve secrets for polls and traps once per ttl and forget them when they change', async () => {
+        const community = await CredentialVault.createSecret({ name: 'core-ro', type: 'snmp_community', community: 'c0re-ro' }, actor);
+        await CredentialVault.createSecret({
+            name: 'traps-v3', type: 'snmp_v3', username: 'traps', authProtocol: 'sha', authPassword: 'auth-pass-1'
+        }, actor);
+        const device = { _id: objectId(), name: 'core-1', connectionInfo: { credentials: { snmp: community._id } } };
+        audits = [];
+
+        for (let i = 0; i < 3; i++) {
+            expect((await CredentialVault.resolve(device, 'snmp', { reason: 'snmp_poll', cache: true })).community).toBe('c0re-ro');
+            expect((await CredentialVault.resolveSnmpUser('traps', { reason: 'snmp_trap', cache: true })).authPassword).toBe('auth-pass-1');
+            expect(await CredentialVault.resolveSnmpUser(`unknown-${i}`, { reason: 'snmp_trap', cache: true })).toBeNull();
+        }
+
+        expect(audits.map(audit => audit.action.details.reason)).toEqual(['snmp_poll', 'snmp_trap']);
+        expect(VaultSecret.updateOne).toHaveBeenCalledTimes(2);
+        expect(VaultSecret.find).toHaveBeenCalledTimes(1);
+
+        await CredentialVault.rotateSecret(community._id, { community: 'c0re-ro-2' }, actor);
+        expect((await CredentialVault.resolve(device, 'snmp', { reason: 'snmp_poll', cache: true })).community).toBe('c0re-ro-2');
+
+        CredentialVault.resolved.get(`device:${device._id}:snmp`).expiresAt = Date.now() - 1;
+        await CredentialVault.resolve(device, 'snmp', { reason: 'snmp_poll', cache: true });
+        expect(audits.filter(audit => audit.action.type === 'vault_secret.retrieve')).toHaveLength(4);
+    });
+
+    it('should decrypt the communities a configuration refers to and match the ones read from devices', async () => {
+        const community = await CredentialVault.createSecret({ name: 'core-ro', type: 'snmp_community', community: 'c0re-ro' }, actor);
+        const login = await CredentialVault.createSecret({ name: 'core-login', type: 'ssh_password', password: 'p4ss' }, actor);
+        const device = { _id: objectId(), name: 'core-1' };
+
+        expect(await CredentialVault.snmpCommunities([String(community._id)], { reason: 'config_deploy', device }))
+            .toEqual(new Map([[String(community._id), 'c0re-ro']]));
+        await expect(CredentialVault.snmpCommunities([String(login._id)], { reason: 'config_deploy', device }))
+            .rejects.toThrow('Vault secret core-login is not an SNMP community');
+
+        audits = [];
+        for (let i = 0; i < 2; i++) {
+            expect(await CredentialVault.snmpCommunitySecrets()).toEqual(new Map([['c0re-ro', String(community._id)]]));
+        }
+        expect(audits.map(audit => audit.action.details.reason)).toEqual(['config_capture']);
+    });
+
+    it('should give a rotated secret a new data key and version', async () => {
+        const secret = await CredentialVault.createSecret({ name: 'public-ro', type: 'snmp_community', community: 'public-2025' }, actor);
+        const { envelope } = secret.toObject();
+        await CredentialVault.retrieve(secret._id);
+
+        const rotated = await CredentialVault.rotateSecret(secret._id, { community: 'public-2026' }, actor);
+
+        expect(rotated.version).toBe(2);
+        expect(rotated.envelope.wrappedKey.encrypted).not.toBe(envelope.wrappedKey.encrypted);
+        expect((await CredentialVault.retrieve(secret._id)).community).toBe('public-2026');
+        await expect(CredentialVault.rotateSecret(secret._id, {}, actor)).rejects.toThrow('A snmp_community secret requires community');
+    });
+
+    it('should rewrap the data keys under a new master key', async () => {
+        const secret = await CredentialVault.createSecret({
+            name: 'core-v3',
+            type: 'snmp_v3',
+            username: 'poller',
+            authProtocol: 'sha256',
+            authPassword: 'auth-pass-1',
+            privProtocol: 'aes',
+            privPassword: 'priv-pass-1'
+        }, actor);
+        const oldKeyId = secret.envelope.keyId;
+        const sealed = secret.envelope.encrypted;
+
+        CredentialVault.masterKey = 'master-key-2027';
+        CredentialVault.previousKeys = ['master-key-2026'];
+        CredentialVault.cache.clear();
+        const result = await CredentialVault.rotateMasterKey(actor);
+
+        expect(result).toMatchObject({ rewrapped: 1, current: 0, failed: [] });
+        expect(secret.envelope.keyId).toBe(result.keyId);
+        expect(secret.envelope.keyId).not.toBe(oldKeyId);
+        expect(secret.envelope.encrypted).toBe(sealed);
+
+        CredentialVault.previousKeys = [];
+        expect(await CredentialVault.retrieve(secret._id)).toMatchObject({ username: 'poller', authPassword: 'auth-pass-1', privPassword: 'priv-pass-1' });
+    });
+
+    it('should only let a purpose reference secrets of its types', async () => {
+        const token = await CredentialVault.createSecret({ name: 'rest-token', type: 'api_token', token: 'tok-123' }, actor);
+        const device = new NetworkDevice({ name: 'core-1', type: 'router', status: 'online' });
+        jest.spyOn(NetworkDevice, 'findById').mockImplementation(() => mockQuery(device));
+
+        await expect(CredentialVault.setDeviceCredentials(device._id, { login: token._id }, actor))
+            .rejects.toThrow('Secret rest-token is a api_token, not a login credential');
+    });
+
+    it('should not delete a secret that is in use', async () => {
+        const secret = await CredentialVault.createSecret({ name: 'core-login', type: 'ssh_password', password: 'p4ssword' }, actor);
+        NetworkDevice.countDocuments.mockResolvedValue(2);
+
+        await expect(CredentialVault.deleteSecret(secret._id, actor)).rejects.toThrow('Secret is used by 2 device(s) and 0 device group(s)');
+    });
+});
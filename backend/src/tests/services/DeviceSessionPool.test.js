@@ -0,0 +1,351 @@
+import crypto from 'crypto';
+import net from 'net';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import ssh2 from 'ssh2';
+import AuditLogger from '../../services/AuditLogger.js';
+import { AutoConfigService } from '../../services/AutoConfigService.js';
+import { CredentialVault } from '../../services/CredentialVault.js';
+import { DeviceSessionPool } from '../../services/DeviceSessionPool.js';
+
+const RUNNING_CONFIG = ['vlan 30', ' name guests', ...Array.from({ length: 30 }, (_, i) => `interface GigabitEthernet0/${i}\n shutdown`)].join('\n');
+const INTERFACES = Array.from({ length: 45 }, (_, i) => `GigabitEthernet0/${i} is administratively down`).join('\n');
+
+/**
+ * A Cisco-like CLI on one connection: user mode, 'enable' with the secret 'letmein', output paged
+ * in pages of 20 lines until 'terminal length 0', and commands it does not know rejected.
+ * 'hang' never returns. 'configure terminal' enters configuration mode until 'end'; there every
+ * line is added to configured, except lines mentioning bogus.
+ */
+const fakeCli = (write, { hostname = 'edge-1', login = false, configured = [] } = {}) => {
+    let state = login ? 'username' : 'exec';
+    let mode = '>';
+    let paging = true;
+    let pages = [];
+
+    const prompt = () => write(`\r\n${hostname}${mode}`);
+    const output = (text) => {
+        const lines = text.split('\n');
+        pages = paging ? Array.from({ length: Math.ceil(lines.length / 20) }, (_, i) => lines.slice(i * 20, i * 20 + 20)) : [lines];
+        write('\r\n');
+        nextPage();
+    };
+    // Pages after the first one continue where the erased --More-- was
+    const nextPage = () => {
+        write(pages.shift().join('\r\n'));
+        if (pages.length > 0) write('\r\n --More-- ');
+        else prompt();
+    };
+
+    write('\r\nAuthorized access only\r\n');
+    if (login) write('\r\nUsername: ');
+    else prompt();
+
+    return (input) => {
+        if (pages.length > 0 && input.startsWith(' ')) {
+            write('\b\b\b\b\b\b\b\b\b\b          \b\b\b\b\b\b\b\b\b\b');
+            return nextPage();
+        }
+        const line = input.trim();
+        if (state === 'username') {
+            write(line);
+            state = 'password';
+            return write('\r\nPassword: ');
+        }
+        if (state === 'password') {
+            state = 'exec';
+            return prompt();
+        }
+        if (state === 'enable') {
+            state = 'exec';
+            if (line === 'letmein') mode = '#';
+            else write('\r\n% Access denied');
+            return prompt();
+        }
+
+        write(line);
+        if (mode === '(config)#' && line === 'end') {
+            mode = '#';
+            prompt();
+        } else if (mode === '(config)#' && !line.includes('bogus')) {
+            configured.push(line);
+            prompt();
+        } else if (line === 'configure terminal' && mode === '#') {
+            mode = '(config)#';
+            prompt();
+        } else if (line === 'enable') {
+            state = 'enable';
+            write('\r\nPassword: ');
+        } else if (line === 'terminal length 0') {
+            paging = false;
+            prompt();
+        } else if (line === 'terminal width 0') {
+            prompt();
+        } else if (line === 'show running-config' && mode === '#') {
+            output(`Building configuration...\n\n${RUNNING_CONFIG}\nend`);
+        } else if (line === 'show interfaces') {
+            output(INTERFACES);
+        } else if (line === 'show version') {
+            output('Cisco IOS XE Software, Version 17.03.04');
+        } else if (line !== 'hang') {
+            write(`\r\n${' '.repeat(hostname.length + line.length)}^\r\n% Invalid input detected at '^' marker.\r\n`);
+            prompt();
+        }
+    };
+};
+
+// Feed complete lines, or a lone space, to the CLI
+const lineReader = (cli) => {
+    let pending = '';
+    return (data) => {
+        pending += data;
+        if (pending === ' ') {
+            pending = '';
+            return cli(' ');
+        }
+        let end;
+        while ((end = pending.search(/\r\n?|\n/)) !== -1) {
+            const line = pending.slice(0, end);
+            pending = pending.slice(end + (pending.startsWith('\r\n', end) ? 2 : 1));
+            cli(line);
+        }
+    };
+};
+
+const { Server, utils } = ssh2;
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+describe('DeviceSessionPool', () => {
+    const env = { ...process.env };
+    let audits;
+
+    beforeEach(() => {
+        audits = [];
+        Object.assign(process.env, {
+            DEVICE_CLI_USERNAME: 'netops',
+            DEVICE_CLI_PASSWORD: 's3cret',
+            DEVICE_ENABLE_SECRET: 'letmein'
+        });
+        jest.spyOn(AuditLogger, 'log').mockImplementation(async entry => audits.push(entry));
+    });
+
+    afterEach(() => {
+        DeviceSessionPool.stop();
+        process.env = { ...env };
+        jest.restoreAllMocks();
+    });
+
+    describe('over Telnet', () => {
+        let server;
+        let connections;
+        let configured;
+        let device;
+
+        beforeEach(async () => {
+            connections = 0;
+            configured = [];
+            server = net.createServer(socket => {
+                connections++;
+                // Offer to echo and suppress go-ahead, ask for the terminal type
+                socket.write(Buffer.from([255, 251, 1, 255, 251, 3, 255, 253, 24]));
+                const cli = lineReader(fakeCli(text => socket.write(text), { login: true, configured }));
+                socket.on('data', data => cli(data.toString('latin1').replace(/\xff[\xfb-\xfe]./gs, '')));
+                socket.on('error', () => {});
+            });
+            const port = await listen(server);
+            device = {
+                _id: new mongoose.Types.ObjectId(),
+                name: 'edge-1',
+                manufacturer: 'Cisco',
+                model: 'ISR4331',
+                connectionInfo: { protocol: 'telnet', host: '127.0.0.1', port }
+            };
+        });
+
+        afterEach(async () => {
+            DeviceSessionPool.stop();
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        it('should log in, enable, turn paging off and audit the transcript without the passwords', async () => {
+            const { results } = await DeviceSessionPool.run(device, ['show running-config'], { actor: { id: 'user-1', type: 'admin' } });
+
+            expect(results[0].output).toBe(`Building configuration...\n\n${RUNNING_CONFIG}\nend`);
+            expect(audits).toHaveLength(1);
+            expect(audits[0].actor.id).toBe('user-1');
+            expect(audits[0].action).toMatchObject({
+                type: 'device_session.run',
+                target: { type: 'NetworkDevice', id: String(device._id), name: 'edge-1' },
+                status: 'success',
+                details: { protocol: 'telnet', commands: ['show running-config'] }
+            });
+            const transcript = audits[0].action.details.transcript;
+            expect(transcript).toContain('Username: netops');
+            expect(transcript).toContain('terminal length 0');
+            expect(transcript).not.toContain('s3cret');
+            expect(transcript).not.toContain('letmein');
+        });
+
+        it('should reuse the session and run batches for one device one after another', async () => {
+            const order = [];
+            await Promise.all([1, 2, 3].map(async i => {
+                const { results } = await DeviceSessionPool.run(device, ['show version']);
+                order.push(`${i}:${results[0].output}`);
+            }));
+
+            expect(connections).toBe(1);
+            expect(order).toEqual([
+                '1:Cisco IOS XE Software, Version 17.03.04',
+                '2:Cisco IOS XE Software, Version 17.03.04',
+                '3:Cisco IOS XE Software, Version 17.03.04'
+            ]);
+        });
+
+        it('should give up on a command that does not return and connect again for the next batch', async () => {
+            await expect(DeviceSessionPool.run(device, ['hang'], { timeout: 200 })).rejects.toThrow('did not return to the prompt within 200 ms');
+            expect(audits[0].action).toMatchObject({ status: 'failure', details: { error: 'edge-1 did not return to the prompt within 200 ms' } });
+
+            const { results } = await DeviceSessionPool.run(device, ['show version']);
+
+            expect(results[0].output).toBe('Cisco IOS XE Software, Version 17.03.04');
+            expect(connections).toBe(2);
+        });
+
+        it('should replace the running configuration with a rendered one through AutoConfigService', async () => {
+            jest.spyOn(CredentialVault, 'snmpCommunities').mockResolvedValue(new Map([['65f0c0ffee0000000000a001', 'monitor']]));
+            const result = await AutoConfigService._applyConfig(device, {
+                hostname: 'edge-1',
+                vlans: [{ id: 10, name: 'users' }],
+                snmp: { communities: [{ secret: '65f0c0ffee0000000000a001' }] }
+            });
+
+            expect(result).toEqual({ method: 'cli', replaced: true });
+            // VLAN 30 is in the running configuration only; the shut interfaces are not in the intent
+            expect(configured).toEqual(['no vlan 30', 'hostname edge-1', 'vlan 10', 'name users', 'snmp-server community monitor RO']);
+            expect(audits.map(audit => audit.action.details.commands)).toEqual([
+                ['show running-config'],
+                ['configure terminal', 'no vlan 30', 'hostname edge-1', 'vlan 10', ' name users', 'snmp-server community ******** RO', 'end']
+            ]);
+            expect(audits[1].action.details.transcript).toContain('snmp-server community ******** RO');
+            expect(audits[1].action.details.transcript).not.toContain('monitor');
+        });
+
+        it('should stop at the first line the device rejects and leave configuration mode', async () => {
+            const intent = { hostname: 'edge-1', vlans: [{ id: 10, name: 'bogus' }, { id: 20, name: 'voice' }] };
+
+            await expect(AutoConfigService._applyConfig(device, intent)).rejects.toMatchObject({
+                code: 'BAD_REQUEST',
+                message: "edge-1 rejected ' name bogus': % Invalid input detected at '^' marker."
+            });
+
+            expect(configured).toEqual(['no vlan 30', 'hostname edge-1', 'vlan 10']);
+            expect(audits[1].action.details.rejected.command).toBe(' name bogus');
+            expect(audits[2].action.details.commands).toEqual(['end']);
+            const { results } = await DeviceSessionPool.run(device, ['show version']);
+            expect(results[0].output).toBe('Cisco IOS XE Software, Version 17.03.04');
+        });
+
+        it('should refuse to configure devices it has no way to configure', async () => {
+            const intent = { hostname: 'edge-1' };
+
+            await expect(AutoConfigService._applyConfig({ ...device, connectionInfo: {} }, intent))
+                .rejects.toThrow('edge-1 has no NETCONF, SSH or Telnet connection to configure it over');
+            await expect(AutoConfigService._applyConfig({ ...device, manufacturer: 'Acme', model: 'X1' }, intent))
+                .rejects.toThrow('edge-1 has no known configuration mode');
+            expect(connections).toBe(0);
+        });
+
+        it('should fail the login when the enable secret is wrong', async () => {
+            process.env.DEVICE_ENABLE_SECRET = 'wrong';
+
+            await expect(DeviceSessionPool.run(device, ['show version'])).rejects.toThrow('edge-1 refused the enable secret');
+            expect(DeviceSessionPool.open).toBe(0);
+        });
+    });
+
+    describe('over SSH', () => {
+        let server;
+        let device;
+        let fingerprint;
+
+        beforeEach(async () => {
+            const { privateKey } = crypto.generateKeyPairSync('rsa', {
+                modulusLength: 2048,
+                privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+                publicKeyEncoding: { type: 'pkcs1', format: 'pem' }
+            });
+            const publicKey = utils.parseKey(privateKey).getPublicSSH();
+            fingerprint = `SHA256:${crypto.createHash('sha256').update(publicKey).digest('base64').replace(/=+$/, '')}`;
+            server = new Server({ hostKeys: [privateKey] }, client => {
+                client.on('authentication', ctx => (ctx.method === 'password' && ctx.username === 'netops' && ctx.password === 's3cret'
+                    ? ctx.accept()
+                    : ctx.reject(['password'])));
+                client.on('ready', () => client.on('session', accept => {
+                    const session = accept();
+                    session.once('pty', accept => accept());
+                    session.once('shell', accept => {
+                        const channel = accept();
+                        const cli = lineReader(fakeCli(text => channel.write(text), { hostname: 'lab-sw' }));
+                        channel.on('data', data => cli(String(data)));
+                    });
+                }));
+                client.on('error', () => {});
+            });
+            const port = await listen(server);
+            device = {
+                _id: new mongoose.Types.ObjectId(),
+                name: 'lab-sw',
+                manufacturer: 'Acme',
+                connectionInfo: { protocol: 'ssh', host: '127.0.0.1', port, hostKey: fingerprint }
+            };
+        });
+
+        afterEach(async () => {
+            DeviceSessionPool.allowUnknownHostKeys = false;
+            DeviceSessionPool.stop();
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        it('should stop a batch at the first rejected command', async () => {
+            const { results } = await DeviceSessionPool.run(device, ['show version', 'show bogus', 'show version']);
+
+            expect(results).toHaveLength(2);
+            expect(results[0].output).toBe('Cisco IOS XE Software, Version 17.03.04');
+            expect(results[1].error).toBe("% Invalid input detected at '^' marker.");
+            expect(audits[0].action).toMatchObject({
+                status: 'failure',
+                details: { rejected: { command: 'show bogus', error: "% Invalid input detected at '^' marker." } }
+            });
+        });
+
+        it('should page through output to the end', async () => {
+            const { results } = await DeviceSessionPool.run(device, ['show interfaces']);
+
+            // The generic dialect does not turn paging off
+            expect(audits[0].action.details.transcript).toContain('--More--');
+            expect(results[0].output).toBe(INTERFACES);
+        });
+
+        it('should refuse a host key with another fingerprint', async () => {
+            device.connectionInfo.hostKey = 'SHA256:AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+
+            await expect(DeviceSessionPool.run(device, ['show version'])).rejects.toThrow();
+            expect(DeviceSessionPool.open).toBe(0);
+        });
+
+        it('should refuse a device without a pinned host key unless unknown keys are allowed', async () => {
+            delete device.connectionInfo.hostKey;
+
+            await expect(DeviceSessionPool.run(device, ['show version'])).rejects.toMatchObject({
+                code: 'BAD_REQUEST',
+                message: 'No SSH host key is pinned for 127.0.0.1: set connectionInfo.hostKey to its SHA256 fingerprint'
+            });
+            expect(DeviceSessionPool.open).toBe(0);
+
+            DeviceSessionPool.allowUnknownHostKeys = true;
+            const { results } = await DeviceSessionPool.run(device, ['show version']);
+            expect(results[0].output).toBe('Cisco IOS XE Software, Version 17.03.04');
+        });
+    });
+});
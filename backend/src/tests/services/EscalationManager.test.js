@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import Alert from '../../models/Alert.js';
+import AlertConfig from '../../models/AlertConfig.js';
+import EscalationPolicy from '../../models/EscalationPolicy.js';
+import OnCallSchedule from '../../models/OnCallSchedule.js';
+import User from '../../models/User.js';
+import AuditLogger from '../../services/AuditLogger.js';
+import { MaintenanceManager } from '../../services/MaintenanceManager.js';
+import { NotificationDispatcher } from '../../services/NotificationDispatcher.js';
+import { EscalationManager } from '../../services/EscalationManager.js';
+import { mockQuery } from '../testHelper.js';
+
+const users = [
+    { _id: new mongoose.Types.ObjectId(), username: 'alice', email: 'alice@example.com', phoneNumber: '+15551230001', status: 'active' },
+    { _id: new mongoose.Types.ObjectId(), username: 'bob', email: 'bob@example.com', status: 'active' }
+];
+const [alice, bob] = users;
+
+const schedule = new OnCallSchedule({
+    name: 'NOC primary',
+    rotations: [{ name: 'Primary', participants: [alice._id], startDate: new Date('2026-01-01T00:00:00Z') }]
+});
+
+const policy = new EscalationPolicy({
+    name: 'Critical',
+    steps: [
+        { delayMinutes: 0, targets: [{ type: 'schedule', scheduleId: schedule._id }], channels: ['email', 'sms'] },
+        { delayMinutes: 15, targets: [{ type: 'user', userId: bob._id }] }
+    ]
+});
+
+const config = { _id: new mongoose.Types.ObjectId(), name: 'Core down', enabled: true, escalationPolicyId: policy._id };
+const now = new Date('2026-03-04T12:00:00Z');
+
+const openAlert = (minutesAgo, escalationStep) => ({
+    _id: new mongoose.Types.ObjectId(),
+    alertConfigId: config._id,
+    type: 'device_down',
+    severity: 'critical',
+    status: 'open',
+    message: 'core-1 is down',
+    firstSeen: new Date(now.getTime() - minutesAgo * 60000),
+    escalationStep
+});
+
+describe('EscalationManager', () => {
+    let notifyChannels;
+    let updateOne;
+
+    const useAlerts = (...alerts) => jest.spyOn(Alert, 'find').mockReturnValue(mockQuery(alerts));
+
+    beforeEach(() => {
+        jest.spyOn(AlertConfig, 'find').mockReturnValue(mockQuery([config]));
+        jest.spyOn(EscalationPolicy, 'findById').mockResolvedValue(policy);
+        jest.spyOn(OnCallSchedule, 'find').mockResolvedValue([schedule]);
+        jest.spyOn(User, 'find').mockImplementation(query =>
+            mockQuery(users.filter(user => query._id.$in.map(String).includes(user._id.toString()))));
+        jest.spyOn(AuditLogger, 'log').mockResolvedValue({});
+        updateOne = jest.spyOn(Alert, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+        notifyChannels = jest.spyOn(NotificationDispatcher, 'notifyChannels').mockResolvedValue([]);
+        jest.spyOn(MaintenanceManager, 'getDeviceMaintenance').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('check', () => {
+        it('should page whoever is on call by email and SMS', async () => {
+            const alert = openAlert(1);
+            useAlerts(alert);
+
+            expect(await EscalationManager.check(now)).toEqual({ escalated: 1 });
+
+            expect(updateOne).toHaveBeenCalledWith(
+                { _id: alert._id, status: 'open', escalationStep: { $not: { $gte: 1 } } },
+                { $set: { escalationStep: 1, escalatedAt: now } }
+            );
+            const [notified, notifiedConfig, channels, event, escalation] = notifyChannels.mock.calls[0];
+            expect(notified).toMatchObject({ _id: alert._id, escalationStep: 1 });
+            expect(notifiedConfig).toBe(config);
+            expect(channels).toEqual([
+                { type: 'email', config: { emailAddresses: ['alice@example.com'] } },
+                { type: 'sms', config: { phoneNumbers: ['+15551230001'] } }
+            ]);
+            expect(event).toBe('escalated');
+            expect(escalation).toEqual({ step: 1, policy: 'Critical', delayMinutes: 0, users: ['alice'] });
+        });
+
+        it('should move on to the next step once its delay has passed', async () => {
+            useAlerts(openAlert(10, 1), openAlert(20, 1), openAlert(20, 2));
+
+            expect(await EscalationManager.check(now)).toEqual({ escalated: 1 });
+            expect(notifyChannels.mock.calls[0][2]).toEqual([
+                { type: 'email', config: { emailAddresses: ['bob@example.com'] } }
+            ]);
+        });
+
+        it('should leave steps claimed by another instance alone', async () => {
+            useAlerts(openAlert(1));
+            updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+            expect(await EscalationManager.check(now)).toEqual({ escalated: 0 });
+            expect(notifyChannels).not.toHaveBeenCalled();
+        });
+
+        it('should not page anyone while the device is under maintenance', async () => {
+            useAlerts(openAlert(30));
+            MaintenanceManager.getDeviceMaintenance.mockResolvedValue({ reason: 'status' });
+
+            expect(await EscalationManager.check(now)).toEqual({ escalated: 0 });
+            expect(updateOne).not.toHaveBeenCalled();
+            expect(notifyChannels).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('schedules and policies', () => {
+        it('should report who is on call with their contact details', async () => {
+            jest.spyOn(OnCallSchedule, 'findById').mockResolvedValue(schedule);
+
+            const result = await EscalationManager.getOnCall(schedule._id, now);
+
+            expect(result.onCall).toEqual([expect.objectContaining({
+                rotation: 'Primary',
+                override: false,
+                user: expect.objectContaining({ username: 'alice', email: 'alice@example.com' })
+            })]);
+        });
+
+        it('should refuse to delete policies and schedules still in use', async () => {
+            jest.spyOn(EscalationPolicy, 'findOne').mockReturnValue({ select: () => Promise.resolve(policy) });
+            jest.spyOn(OnCallSchedule, 'findById').mockResolvedValue(schedule);
+            jest.spyOn(AlertConfig, 'findOne').mockReturnValue({ select: () => Promise.resolve(config) });
+
+            await expect(EscalationManager.deleteSchedule(schedule._id)).rejects.toMatchObject({ code: 'CONFLICT' });
+            await expect(EscalationManager.deletePolicy(policy._id)).rejects.toThrow('used by alert config Core down');
+        });
+
+        it('should reject policies with unknown targets or unordered steps', async () => {
+            jest.spyOn(OnCallSchedule, 'countDocuments').mockResolvedValue(0);
+
+            await expect(EscalationManager.createPolicy({
+                name: 'Broken',
+                steps: [{ delayMinutes: 0, targets: [{ type: 'schedule', scheduleId: new mongoose.Types.ObjectId() }] }]
+            })).rejects.toThrow('On-call schedule not found');
+
+            const error = new EscalationPolicy({
+                name: 'Unordered',
+                steps: [
+                    { delayMinutes: 10, targets: [{ type: 'user', userId: alice._id }] },
+                    { delayMinutes: 5, targets: [{ type: 'user', userId: bob._id }] }
+                ]
+            }).validateSync();
+            expect(error.errors.steps.message).toBe('Escalation steps must have increasing delays');
+        });
+    });
+});
@@ -0,0 +1,184 @@
+import { jest } from '@jest/globals';
+import DataManager from '../../services/DataManager.js';
+import { FlowCollector } from '../../services/FlowCollector.js';
+
+const v5Packet = (records) => {
+    const header = Buffer.alloc(24);
+    header.writeUInt16BE(5, 0);
+    header.writeUInt16BE(records.length, 2);
+    header.writeUInt32BE(60000, 4);
+    header.writeUInt32BE(1700000040, 8);
+
+    return Buffer.concat([header, ...records.map(({ src, dst, srcPort, dstPort, protocol, bytes }) => {
+        const record = Buffer.alloc(48);
+        Buffer.from(src.split('.').map(Number)).copy(record, 0);
+        Buffer.from(dst.split('.').map(Number)).copy(record, 4);
+        record.writeUInt32BE(1, 16);
+        record.writeUInt32BE(bytes, 20);
+        record.writeUInt32BE(60000, 24);
+        record.writeUInt32BE(60000, 28);
+        record.writeUInt16BE(srcPort, 32);
+        record.writeUInt16BE(dstPort, 34);
+        record.writeUInt8(protocol, 38);
+        return record;
+    })]);
+};
+
+const u32 = (value) => { const b = Buffer.alloc(4); b.writeUInt32BE(value); return b; };
+const u64 = (value) => { const b = Buffer.alloc(8); b.writeBigUInt64BE(BigInt(value)); return b; };
+const sflowRecord = (format, body) => Buffer.concat([u32(format), u32(body.length), body]);
+
+const sflowDatagram = ({ sequence, uptime, samples }) => Buffer.concat([
+    u32(5), u32(1), Buffer.from([192, 0, 2, 20]), u32(0), u32(sequence), u32(uptime), u32(samples.length), ...samples
+]);
+
+// Flow sample carrying a sampled-IPv4 record for a 1000 byte TCP packet
+const sflowFlowSample = ({ sequence, samplingRate, drops = 0 }) => sflowRecord(1, Buffer.concat([
+    u32(sequence), u32(1), u32(samplingRate), u32(sequence * samplingRate), u32(drops), u32(1), u32(2), u32(1),
+    sflowRecord(3, Buffer.concat([
+        u32(1000), u32(6), Buffer.from([10, 0, 0, 1]), Buffer.from([10, 0, 0, 2]), u32(51515), u32(443), u32(0x18), u32(0)
+    ]))
+]));
+
+const sflowCounterSample = ({ sequence, inOctets, outOctets }) => sflowRecord(2, Buffer.concat([
+    u32(sequence), u32(1), u32(1),
+    sflowRecord(1, Buffer.concat([
+        u32(1), u32(6), u64(1000000000), u32(1), u32(3), u64(inOctets), u32(0), u32(0), u32(0), u32(0), u32(1), u32(0),
+        u64(outOctets), u32(0), u32(0), u32(0), u32(0), u32(0), u32(0)
+    ]))
+]));
+
+describe('FlowCollector', () => {
+    afterEach(() => {
+        FlowCollector.records = [];
+        FlowCollector.aggregates = new Map();
+        FlowCollector.exporters = new Map();
+        FlowCollector.counterSamples = new Map();
+        FlowCollector.devicesByAddress = new Map();
+        jest.restoreAllMocks();
+    });
+
+    describe('servicePort', () => {
+        it('should pick the well-known side of a conversation', () => {
+            expect(FlowCollector.servicePort({ protocol: 6, srcPort: 51515, dstPort: 443 })).toBe(443);
+            expect(FlowCollector.servicePort({ protocol: 6, srcPort: 443, dstPort: 51515 })).toBe(443);
+        });
+
+        it('should fall back to the lower port', () => {
+            expect(FlowCollector.servicePort({ protocol: 17, srcPort: 40000, dstPort: 5060 })).toBe(5060);
+            expect(FlowCollector.servicePort({ protocol: 6, srcPort: 22, dstPort: 25 })).toBe(22);
+        });
+
+        it('should ignore ports for protocols without them', () => {
+            expect(FlowCollector.servicePort({ protocol: 1, srcPort: 0, dstPort: 771 })).toBe(0);
+        });
+    });
+
+    describe('handlePacket', () => {
+        it('should buffer records and roll them up per minute and service port', () => {
+            const accepted = FlowCollector.handlePacket(v5Packet([
+                { src: '10.0.0.1', dst: '10.0.0.2', srcPort: 50001, dstPort: 443, protocol: 6, bytes: 1000 },
+                { src: '10.0.0.1', dst: '10.0.0.2', srcPort: 50002, dstPort: 443, protocol: 6, bytes: 500 },
+                { src: '10.0.0.1', dst: '10.0.0.3', srcPort: 50003, dstPort: 53, protocol: 17, bytes: 80 }
+            ]), { address: '192.0.2.1' });
+
+            expect(accepted).toBe(3);
+            expect(FlowCollector.records).toHaveLength(3);
+            expect(FlowCollector.records[0].exporter).toBe('192.0.2.1');
+
+            const aggregates = [...FlowCollector.aggregates.values()];
+            expect(aggregates).toHaveLength(2);
+            expect(aggregates[0].key).toMatchObject({ srcIp: '10.0.0.1', dstIp: '10.0.0.2', protocol: 6, servicePort: 443 });
+            expect(aggregates[0].key.minute.getTime()).toBe(1700000040000 - 1700000040000 % 60000);
+            expect(aggregates[0]).toMatchObject({ bytes: 1500, packets: 2, flows: 2 });
+        });
+
+        it('should drop malformed packets', () => {
+            expect(FlowCollector.handlePacket(Buffer.from([0, 5, 0, 1]), { address: '192.0.2.1' })).toBe(0);
+            expect(FlowCollector.records).toHaveLength(0);
+        });
+    });
+
+    describe('sFlow', () => {
+        it('should scale flow samples by their sampling rate', () => {
+            const accepted = FlowCollector.handlePacket(sflowDatagram({
+                sequence: 1,
+                uptime: 60000,
+                samples: [sflowFlowSample({ sequence: 1, samplingRate: 256 })]
+            }), { address: '198.51.100.1' });
+
+            expect(accepted).toBe(1);
+            expect(FlowCollector.records[0]).toMatchObject({
+                exporter: '192.0.2.20',
+                exportProtocol: 'sflow',
+                srcIp: '10.0.0.1',
+                dstIp: '10.0.0.2',
+                dstPort: 443,
+                bytes: 256000,
+                packets: 256,
+                samplingInterval: 256,
+                inputInterface: 1,
+                outputInterface: 2
+            });
+            expect([...FlowCollector.aggregates.values()][0]).toMatchObject({ bytes: 256000, packets: 256, flows: 1 });
+        });
+
+        it('should track sequence gaps, lost samples and agent drops', () => {
+            const rinfo = { address: '192.0.2.20' };
+            FlowCollector.handlePacket(sflowDatagram({
+                sequence: 10, uptime: 60000, samples: [sflowFlowSample({ sequence: 100, samplingRate: 10, drops: 5 })]
+            }), rinfo);
+            FlowCollector.handlePacket(sflowDatagram({
+                sequence: 13, uptime: 61000, samples: [sflowFlowSample({ sequence: 104, samplingRate: 10, drops: 8 })]
+            }), rinfo);
+
+            const [health] = FlowCollector.getExporterHealth();
+            expect(health).toMatchObject({
+                exporter: '192.0.2.20',
+                protocol: 'sflow',
+                packets: 2,
+                records: 2,
+                lostDatagrams: 2,
+                lostSamples: 3,
+                droppedSamples: 3,
+                restarts: 0
+            });
+            expect(health.lossRate).toBe(0.5);
+            expect(health.sources).toBeUndefined();
+
+            FlowCollector.handlePacket(sflowDatagram({
+                sequence: 1, uptime: 1000, samples: [sflowFlowSample({ sequence: 1, samplingRate: 10 })]
+            }), rinfo);
+            expect(FlowCollector.getExporterHealth()[0]).toMatchObject({ restarts: 1, lostDatagrams: 2, lostSamples: 3 });
+        });
+
+        it('should turn interface counter samples into metrics for the agent\'s device', async () => {
+            const addMetrics = jest.spyOn(DataManager, 'addMetrics').mockResolvedValue({});
+            FlowCollector.devicesByAddress = new Map([['192.0.2.20', '64b000000000000000000001']]);
+            const rinfo = { address: '192.0.2.20' };
+
+            FlowCollector.handlePacket(sflowDatagram({
+                sequence: 1, uptime: 60000, samples: [sflowCounterSample({ sequence: 1, inOctets: 1000, outOctets: 0 })]
+            }), rinfo);
+            await new Promise(resolve => setImmediate(resolve));
+            expect(addMetrics).not.toHaveBeenCalled();
+
+            FlowCollector.handlePacket(sflowDatagram({
+                sequence: 2, uptime: 80000, samples: [sflowCounterSample({ sequence: 2, inOctets: 2501000, outOctets: 500000 })]
+            }), rinfo);
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(addMetrics).toHaveBeenCalledTimes(1);
+            const [metrics] = addMetrics.mock.calls[0];
+            expect(metrics).toMatchObject({
+                deviceId: '64b000000000000000000001',
+                interfaceName: 'ifIndex 1',
+                metadata: { collectionMethod: 'sflow', source: '192.0.2.20' }
+            });
+            expect(metrics.metrics.bandwidth.inbound.value).toBe(1000000);
+            expect(metrics.metrics.bandwidth.outbound.value).toBe(200000);
+            expect(metrics.metrics.bandwidth.utilization.value).toBe(0.1);
+            expect(metrics.metrics.errors.inbound.value).toBe(0);
+        });
+    });
+});
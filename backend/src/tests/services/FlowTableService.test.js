@@ -0,0 +1,163 @@
+import { jest } from '@jest/globals';
+import FlowEntry from '../../models/FlowEntry.js';
+import NetworkDevice from '../../models/NetworkDevice.js';
+import AuditLogger from '../../services/AuditLogger.js';
+import { FlowTableService } from '../../services/FlowTableService.js';
+import { OpenFlowController } from '../../services/OpenFlowController.js';
+import { FlowModCommand } from '../../utils/OpenFlowCodec.js';
+import { objectId, testActor as actor } from '../testHelper.js';
+
+const device = { _id: objectId(), name: 'of-sw-1', openflow: { datapathId: '00000000000000a1' } };
+
+const web = {
+    tableId: 0,
+    priority: 100,
+    match: { ethType: 2048, ipv4Dst: '10.0.0.0/24' },
+    instructions: [{ type: 'apply_actions', actions: [{ type: 'output', port: 2 }] }]
+};
+
+describe('FlowTableService', () => {
+    let flows;
+    let flowMods;
+    let audits;
+    let connected;
+
+    beforeEach(() => {
+        flows = [];
+        flowMods = [];
+        audits = [];
+        connected = true;
+
+        jest.spyOn(NetworkDevice, 'findById').mockImplementation(async id => (String(id) === String(device._id) ? device : null));
+        jest.spyOn(FlowEntry.prototype, 'save').mockImplementation(async function save() {
+            if (flows.some(flow => flow !== this && flow.cookie === this.cookie && String(flow.deviceId) === String(this.deviceId))) {
+                throw Object.assign(new Error('E11000 duplicate key error collection: flowentries index: deviceId_1_cookie_1'), { code: 11000 });
+            }
+            if (!flows.includes(this)) flows.push(this);
+            return this;
+        });
+        jest.spyOn(FlowEntry, 'find').mockImplementation(async filter => flows.filter(flow =>
+            String(flow._id) !== String(filter._id.$ne) &&
+            flow.tableId === filter.tableId &&
+            flow.priority === filter.priority &&
+            filter.status.$in.includes(flow.status)));
+        jest.spyOn(FlowEntry, 'findOne').mockImplementation(async filter => flows.find(flow =>
+            String(flow._id) === String(filter._id) && String(flow.deviceId) === String(filter.deviceId)) || null);
+        jest.spyOn(FlowEntry, 'deleteOne').mockImplementation(async filter => {
+            flows = flows.filter(flow => String(flow._id) !== String(filter._id));
+            return { deletedCount: 1 };
+        });
+
+        jest.spyOn(OpenFlowController, 'isConnected').mockImplementation(() => connected);
+        jest.spyOn(OpenFlowController, 'sendFlowMod').mockImplementation((datapathId, flowMod) => flowMods.push(flowMod));
+        jest.spyOn(OpenFlowController, 'barrier').mockResolvedValue();
+        jest.spyOn(AuditLogger, 'log').mockImplementation(async entry => audits.push(entry));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should install a new flow on the connected switch and audit it', async () => {
+        const flow = await FlowTableService.createFlow(device._id, web, actor);
+
+        expect(flow.status).toBe('installed');
+        expect(flow.metadata.createdBy).toBe('user-1');
+        expect(flowMods).toHaveLength(1);
+        expect(flowMods[0]).toMatchObject({ command: FlowModCommand.ADD, tableId: 0, priority: 100 });
+        expect(audits).toHaveLength(1);
+        expect(audits[0]).toMatchObject({
+            actor: { id: 'user-1', type: 'admin' },
+            action: {
+                type: 'flow.create',
+                target: { type: 'FlowEntry', id: String(flow._id), name: `${device._id}/table0/${flow.cookie}` },
+                status: 'success',
+                details: { priority: 100, match: flow.match }
+            }
+        });
+    });
+
+    it('should keep a flow pending while its switch is disconnected', async () => {
+        connected = false;
+
+        const flow = await FlowTableService.createFlow(device._id, web, actor);
+
+        expect(flow.status).toBe('pending');
+        expect(flowMods).toEqual([]);
+    });
+
+    it('should refuse a flow that overlaps another of the same priority', async () => {
+        const existing = await FlowTableService.createFlow(device._id, web, actor);
+
+        const error = await FlowTableService.createFlow(device._id, { ...web, match: { ethType: 2048, ipv4Dst: '10.0.0.128/25' } }, actor)
+            .catch(caught => caught);
+
+        expect(error.code).toBe('CONFLICT');
+        expect(error.details.overlapping).toEqual([expect.objectContaining({ id: existing._id, priority: 100 })]);
+        expect(flows).toHaveLength(1);
+        expect(audits).toHaveLength(1);
+
+        // The same match one priority lower is a separate entry
+        await expect(FlowTableService.createFlow(device._id, { ...web, priority: 99 }, actor)).resolves.toBeDefined();
+    });
+
+    it('should report a duplicate cookie as a conflict', async () => {
+        const existing = await FlowTableService.createFlow(device._id, web, actor);
+
+        const error = await FlowTableService.createFlow(device._id, { ...web, priority: 50, cookie: existing.cookie }, actor)
+            .catch(caught => caught);
+
+        expect(error.code).toBe('CONFLICT');
+        expect(error.message).toBe(`Flow entry with cookie ${existing.cookie} already exists on this device`);
+    });
+
+    it('should reject invalid matches and instructions', async () => {
+        const error = await FlowTableService.createFlow(device._id, {
+            ...web,
+            match: { ipv4Dst: '10.0.0.0/24' },
+            instructions: [{ type: 'goto_table', tableId: 0 }]
+        }, actor).catch(caught => caught);
+
+        expect(error.code).toBe('VALIDATION_ERROR');
+        expect(error.details.errors).toEqual([
+            expect.stringContaining('ipv4Dst requires ethType'),
+            'goto_table must reference a later table'
+        ]);
+        expect(flowMods).toEqual([]);
+    });
+
+    it('should modify a flow in place unless its identity changes', async () => {
+        const flow = await FlowTableService.createFlow(device._id, web, actor);
+        flowMods = [];
+
+        await FlowTableService.updateFlow(device._id, flow._id, { idleTimeout: 300 }, actor);
+        expect(flowMods.map(flowMod => flowMod.command)).toEqual([FlowModCommand.MODIFY_STRICT]);
+
+        flowMods = [];
+        const moved = await FlowTableService.updateFlow(device._id, flow._id, { priority: 200 }, actor);
+
+        expect(moved.priority).toBe(200);
+        expect(flowMods.map(flowMod => [flowMod.command, flowMod.priority])).toEqual([
+            [FlowModCommand.DELETE_STRICT, 100],
+            [FlowModCommand.ADD, 200]
+        ]);
+        expect(audits[2].action).toMatchObject({
+            type: 'flow.update',
+            details: { before: { priority: 100, idleTimeout: 300 }, after: { priority: 200, idleTimeout: 300 } }
+        });
+        expect(moved.metadata.lastModifiedBy).toBe('user-1');
+    });
+
+    it('should remove a flow from the switch and the table', async () => {
+        const flow = await FlowTableService.createFlow(device._id, web, actor);
+
+        await FlowTableService.deleteFlow(device._id, flow._id, actor);
+
+        expect(flows).toEqual([]);
+        expect(flowMods.at(-1)).toMatchObject({ command: FlowModCommand.DELETE_STRICT, priority: 100 });
+        expect(audits.at(-1).action).toMatchObject({ type: 'flow.delete', target: { id: String(flow._id) } });
+
+        await expect(FlowTableService.deleteFlow(device._id, flow._id, actor)).rejects.toThrow('Flow entry not found');
+        await expect(FlowTableService.createFlow(objectId(), web, actor)).rejects.toThrow('Device not found');
+    });
+});
@@ -0,0 +1,183 @@
+import { jest } from '@jest/globals';
+import Alert from '../../models/Alert.js';
+import Incident from '../../models/Incident.js';
+import NetworkDevice from '../../models/NetworkDevice.js';
+import AuditLogger from '../../services/AuditLogger.js';
+import WebSocketService from '../../services/WebSocketService.js';
+import { IncidentManager } from '../../services/IncidentManager.js';
+import { mockQuery, objectId, testActor as actor } from '../testHelper.js';
+
+const now = new Date('2026-03-04T12:00:00Z');
+const router = { _id: objectId(), name: 'dist-1', type: 'router', location: { building: 'HQ' } };
+const access = { _id: objectId(), name: 'sw-2', type: 'switch', location: { building: 'HQ', floor: '2' } };
+
+const alert = (device, data = {}) => ({
+    _id: objectId(),
+    deviceId: device._id,
+    type: 'device_unreachable',
+    severity: 'medium',
+    status: 'open',
+    message: `${device.name} is unreachable`,
+    firstSeen: new Date('2026-03-04T11:00:00Z'),
+    ...data
+});
+
+describe('IncidentManager', () => {
+    let updateMany;
+
+    // Alerts looked up by id, and the symptoms folded under them
+    const useAlerts = (alerts, symptoms = []) => {
+        jest.spyOn(Alert, 'find').mockImplementation(filter =>
+            mockQuery(filter['correlation.rootAlertId'] ? symptoms : alerts));
+    };
+
+    beforeEach(() => {
+        jest.spyOn(AuditLogger, 'log').mockResolvedValue({});
+        jest.spyOn(WebSocketService, 'emit').mockImplementation(() => {});
+        jest.spyOn(Incident.prototype, 'save').mockImplementation(function() {
+            return this.validate().then(() => this);
+        });
+        updateMany = jest.spyOn(Alert, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('openIncident', () => {
+        it('should take in the symptoms of a root alert and the affected devices', async () => {
+            const root = alert(router, { severity: 'high', correlation: { role: 'root' } });
+            const symptom = alert(access, { correlation: { role: 'symptom', rootAlertId: root._id } });
+            useAlerts([root], [symptom]);
+
+            const incident = await IncidentManager.openIncident({ alertIds: [root._id.toString()] }, actor, now);
+
+            expect(incident).toMatchObject({ title: 'dist-1 is unreachable', severity: 'high', status: 'open', openedBy: 'user-1' });
+            expect(incident.alertIds.map(String)).toEqual([root._id, symptom._id].map(String));
+            expect(incident.deviceIds.map(String)).toEqual([router._id, access._id].map(String));
+            expect(incident.timeline.map(entry => entry.type)).toEqual(['opened', 'alert_added', 'alert_added']);
+            expect(updateMany).toHaveBeenCalledWith(
+                { _id: { $in: [root._id, symptom._id] } },
+                { $set: { incidentId: incident._id } }
+            );
+            expect(AuditLogger.log.mock.calls[0][0].action).toMatchObject({ type: 'incident.open' });
+        });
+
+        it('should refuse alerts that belong to another incident and incidents without a title', async () => {
+            useAlerts([alert(router, { incidentId: objectId() })]);
+            await expect(IncidentManager.openIncident({ alertIds: [objectId()] }, actor))
+                .rejects.toMatchObject({ code: 'CONFLICT' });
+
+            await expect(IncidentManager.openIncident({ description: 'Nothing yet' }, actor))
+                .rejects.toMatchObject({ code: 'BAD_REQUEST' });
+        });
+    });
+
+    describe('merge and close', () => {
+        const incident = (title, data = {}) => {
+            const doc = new Incident({ title, severity: 'medium', openedAt: new Date('2026-03-04T11:00:00Z'), ...data });
+            doc.addEntry({ at: doc.openedAt, type: 'opened', message: 'Incident opened' });
+            return doc;
+        };
+
+        it('should move alerts, devices and timeline into the target incident', async () => {
+            const target = incident('Core outage', { alertIds: [objectId()], deviceIds: [router._id] });
+            const source = incident('Access switches down', {
+                severity: 'critical',
+                alertIds: [objectId()],
+                deviceIds: [access._id],
+                openedAt: new Date('2026-03-04T10:30:00Z')
+            });
+            source.addEntry({ at: new Date('2026-03-04T11:30:00Z'), type: 'note', author: 'user-2', message: 'Checking power' });
+            jest.spyOn(Incident, 'findById').mockResolvedValue(target);
+            jest.spyOn(Incident, 'find').mockResolvedValue([source]);
+
+            await IncidentManager.mergeIncidents(target._id, [source._id.toString()], actor, now);
+
+            expect(target.severity).toBe('critical');
+            expect(target.alertIds).toHaveLength(2);
+            expect(target.deviceIds.map(String)).toEqual([router._id, access._id].map(String));
+            expect(target.timeline.map(entry => entry.message)).toEqual([
+                'Incident opened',
+                'Incident opened',
+                'Checking power',
+                'Merged incident "Access switches down"'
+            ]);
+            expect(source).toMatchObject({ status: 'merged', mergedInto: target._id, closedAt: now });
+            expect(updateMany).toHaveBeenCalledWith(
+                { incidentId: { $in: [source._id.toString()] } },
+                { $set: { incidentId: target._id } }
+            );
+
+            await expect(IncidentManager.mergeIncidents(target._id, [target._id.toString()], actor))
+                .rejects.toMatchObject({ code: 'BAD_REQUEST' });
+        });
+
+        it('should close an incident and keep taking notes for the postmortem', async () => {
+            const doc = incident('Core outage');
+            jest.spyOn(Incident, 'findById').mockResolvedValue(doc);
+
+            await IncidentManager.closeIncident(doc._id, { rootCause: 'PSU failure', resolution: 'Replaced the PSU' }, actor, now);
+
+            expect(doc).toMatchObject({ status: 'closed', closedAt: now, closedBy: 'user-1', rootCause: 'PSU failure' });
+            await expect(IncidentManager.addAlerts(doc._id, [objectId()], actor)).rejects.toMatchObject({ code: 'CONFLICT' });
+            await expect(IncidentManager.closeIncident(doc._id, {}, actor)).rejects.toMatchObject({ code: 'CONFLICT' });
+
+            const entry = await IncidentManager.addEntry(doc._id, { type: 'action', message: 'Ordered spare PSUs' }, actor);
+            expect(entry).toMatchObject({ type: 'action', author: 'user-1', message: 'Ordered spare PSUs' });
+        });
+    });
+
+    describe('timeline hooks', () => {
+        it('should note recovery attempts on the open incidents of the device', async () => {
+            const incidents = jest.spyOn(Incident, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+            await IncidentManager.recordRecovery(router._id, [
+                { fault: { type: 'connectivity' }, success: true, actions: [{ success: true, action: 'connectivity_recovery' }] },
+                { fault: { type: 'configuration' }, success: false, actions: [], error: 'No configuration backup available' }
+            ], now);
+
+            const [filter, update] = incidents.mock.calls[0];
+            expect(filter).toEqual({ deviceIds: router._id, status: 'open' });
+            expect(update.$push.timeline.$each.map(entry => entry.message)).toEqual([
+                'Recovered from connectivity fault (connectivity_recovery)',
+                'Failed to recover from configuration fault: No configuration backup available'
+            ]);
+        });
+
+        it('should only note alert changes of alerts in an incident', async () => {
+            const updateOne = jest.spyOn(Incident, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+            const incidentId = objectId();
+
+            await IncidentManager.recordAlertEvent(alert(router), 'resolved', actor, now);
+            await IncidentManager.recordAlertEvent(alert(router, { incidentId }), 'resolved', actor, now);
+
+            expect(updateOne).toHaveBeenCalledTimes(1);
+            expect(updateOne.mock.calls[0][1].$push.timeline).toMatchObject({
+                type: 'alert_resolved',
+                author: 'user-1',
+                message: 'Alert resolved: dist-1 is unreachable'
+            });
+        });
+    });
+
+    describe('exportPostmortem', () => {
+        it('should render the postmortem as markdown', async () => {
+            const doc = new Incident({ title: 'Core outage', severity: 'high', alertIds: [objectId()], deviceIds: [router._id] });
+            jest.spyOn(Incident, 'findById').mockResolvedValue(doc);
+            useAlerts([alert(router)]);
+            jest.spyOn(NetworkDevice, 'find').mockReturnValue(mockQuery([router]));
+
+            const report = await IncidentManager.exportPostmortem(doc._id, 'markdown');
+
+            expect(report).toMatchObject({
+                filename: `incident-${doc._id}-postmortem.md`,
+                contentType: 'text/markdown; charset=utf-8'
+            });
+            expect(report.content).toContain('# Postmortem: Core outage');
+            expect(report.content).toContain('1 alert(s) on 1 device(s).');
+
+            await expect(IncidentManager.exportPostmortem(doc._id, 'docx')).rejects.toMatchObject({ code: 'BAD_REQUEST' });
+        });
+    });
+});
@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import Alert from '../../models/Alert.js';
+import MaintenanceWindow from '../../models/MaintenanceWindow.js';
+import NetworkDevice from '../../models/NetworkDevice.js';
+import Analytics from '../../services/Analytics.js';
+import AuditLogger from '../../services/AuditLogger.js';
+import { MaintenanceManager } from '../../services/MaintenanceManager.js';
+import { mockQuery, testActor as actor } from '../testHelper.js';
+
+const device = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'core-1',
+    type: 'router',
+    status: 'active',
+    location: { building: 'HQ' },
+    tags: ['core']
+};
+
+const oneOff = (start, end, scope = { deviceIds: [device._id] }) =>
+    new MaintenanceWindow({ name: 'Core upgrade', start: new Date(start), end: new Date(end), scope });
+
+// Every day 02:00-04:00 UTC from March 2026
+const nightly = () => new MaintenanceWindow({
+    name: 'Nightly backups',
+    type: 'recurring',
+    start: new Date('2026-03-01T00:00:00Z'),
+    recurrence: { frequency: 'daily', time: '02:00', durationMinutes: 120 },
+    scope: { tags: ['core'] }
+});
+
+describe('MaintenanceManager', () => {
+    let find;
+
+    const useWindows = (...windows) => {
+        find = jest.spyOn(MaintenanceWindow, 'find').mockResolvedValue(windows);
+    };
+
+    beforeEach(() => {
+        MaintenanceManager.cache = null;
+        jest.spyOn(AuditLogger, 'log').mockResolvedValue({});
+        jest.spyOn(MaintenanceWindow.prototype, 'save').mockImplementation(function() {
+            return this.validate().then(() => this);
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('getMaintenance', () => {
+        it('should find the active window covering a device and reuse the loaded windows', async () => {
+            const window = nightly();
+            useWindows(oneOff('2020-01-01T00:00:00Z', '2020-01-02T00:00:00Z'), window);
+            const now = new Date();
+            const at = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 3));
+            MaintenanceManager.cache = null;
+
+            const maintenance = await MaintenanceManager.getMaintenance(device, at);
+
+            expect(maintenance).toEqual({
+                reason: 'window',
+                window: { id: window._id, name: 'Nightly backups' },
+                end: new Date(at.getTime() + 3600000)
+            });
+            expect(await MaintenanceManager.getMaintenance(device, new Date(at.getTime() - 2 * 3600000))).toBeNull();
+            expect(find).toHaveBeenCalledTimes(2);
+
+            MaintenanceManager.cacheTtl = 86400000;
+            await MaintenanceManager.getMaintenance(device);
+            await MaintenanceManager.getMaintenance({ ...device, tags: [] });
+            expect(find).toHaveBeenCalledTimes(3);
+            MaintenanceManager.cacheTtl = 15000;
+        });
+
+        it('should respect a device status of maintenance', async () => {
+            useWindows();
+
+            expect(await MaintenanceManager.getMaintenance({ ...device, status: 'maintenance' })).toEqual({ reason: 'status' });
+            expect(find).not.toHaveBeenCalled();
+        });
+
+        it('should look devices up by id', async () => {
+            useWindows(oneOff(Date.now() - 60000, Date.now() + 60000));
+            jest.spyOn(NetworkDevice, 'findById').mockReturnValue(mockQuery(device));
+
+            expect(await MaintenanceManager.getDeviceMaintenance(device._id)).toMatchObject({ reason: 'window' });
+            expect(await MaintenanceManager.getDeviceMaintenance(undefined)).toBeNull();
+        });
+    });
+
+    describe('extend and end', () => {
+        const now = new Date('2026-03-04T03:00:00Z');
+
+        it('should extend the occurrence in progress of a recurring window', async () => {
+            const window = nightly();
+            jest.spyOn(MaintenanceWindow, 'findById').mockResolvedValue(window);
+
+            await MaintenanceManager.extendWindow(window._id, { minutes: 90 }, actor, now);
+
+            expect(window.adjustments.map(a => a.toObject())).toEqual([
+                { occurrenceStart: new Date('2026-03-04T02:00:00Z'), end: new Date('2026-03-04T05:30:00Z') }
+            ]);
+            expect(window.occurrenceAt(new Date('2026-03-04T05:00:00Z'))).not.toBeNull();
+            expect(window.occurrenceAt(new Date('2026-03-05T05:00:00Z'))).toBeNull();
+            expect(AuditLogger.log.mock.calls[0][0].action).toMatchObject({ type: 'maintenance_window.extend' });
+
+            await expect(MaintenanceManager.extendWindow(window._id, { until: '2026-03-04T04:00:00Z' }, actor, now))
+                .rejects.toMatchObject({ code: 'BAD_REQUEST' });
+        });
+
+        it('should end an active window early and refuse windows that are not active', async () => {
+            const window = oneOff('2026-03-04T01:00:00Z', '2026-03-04T06:00:00Z');
+            jest.spyOn(MaintenanceWindow, 'findById').mockResolvedValue(window);
+
+            await expect(MaintenanceManager.endWindow(window._id, actor, new Date('2026-03-04T00:00:00Z')))
+                .rejects.toMatchObject({ code: 'BAD_REQUEST' });
+
+            await MaintenanceManager.endWindow(window._id, actor, now);
+
+            expect(window.end).toEqual(now);
+            expect(MaintenanceManager.describe(window, now)).toMatchObject({ status: 'completed', occurrence: null });
+        });
+    });
+
+    describe('availability', () => {
+        const start = new Date('2026-03-04T00:00:00Z');
+        const end = new Date('2026-03-05T00:00:00Z');
+
+        it('should leave maintenance out of the period and the downtime', async () => {
+            useWindows(nightly(), oneOff('2026-03-04T12:00:00Z', '2026-03-04T13:00:00Z', { deviceTypes: ['switch'] }));
+            jest.spyOn(NetworkDevice, 'findById').mockReturnValue(mockQuery(device));
+            jest.spyOn(Alert, 'find').mockReturnValue(mockQuery([
+                // Down 01:00-03:00, half of it during the nightly window
+                { firstSeen: new Date('2026-03-04T01:00:00Z'), resolvedAt: new Date('2026-03-04T03:00:00Z') },
+                // Still down at the end of the period
+                { firstSeen: new Date('2026-03-04T23:00:00Z') }
+            ]));
+
+            const report = await Analytics.getDeviceAvailability(device._id.toString(), { start, end });
+
+            expect(report).toMatchObject({
+                periodMs: 24 * 3600000,
+                maintenanceMs: 2 * 3600000,
+                measuredMs: 22 * 3600000,
+                downtimeMs: 2 * 3600000,
+                outages: 2,
+                availability: 90.909
+            });
+            expect(report.maintenance).toEqual([{
+                start: new Date('2026-03-04T02:00:00Z'),
+                end: new Date('2026-03-04T04:00:00Z'),
+                windows: ['Nightly backups']
+            }]);
+        });
+
+        it('should reject invalid ranges', async () => {
+            await expect(Analytics.getDeviceAvailability(device._id.toString(), { start: end, end: start }))
+                .rejects.toMatchObject({ code: 'BAD_REQUEST' });
+        });
+    });
+});
@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import ssh2 from 'ssh2';
+import AuditLogger from '../../services/AuditLogger.js';
+import { AutoConfigService } from '../../services/AutoConfigService.js';
+import { NetconfService } from '../../services/NetconfService.js';
+import { parseXml } from '../../utils/XmlTree.js';
+
+const BASE = 'urn:ietf:params:xml:ns:netconf:base:1.0';
+
+const RUNNING = `
+<interfaces xmlns="http://openconfig.net/yang/interfaces">
+  <interface>
+    <name>Ethernet1</name>
+    <config>
+      <name>Ethernet1</name>
+      <type xmlns:ift="urn:ietf:params:xml:ns:yang:iana-if-type">ift:ethernetCsmacd</type>
+      <mtu>1500</mtu>
+    </config>
+    <state><oper-status>UP</oper-status></state>
+  </interface>
+</interfaces>`;
+
+const CONFIG = {
+    'openconfig-interfaces:interfaces': {
+        interface: [{
+            name: 'Ethernet1',
+            config: { name: 'Ethernet1', type: 'iana-if-type:ethernetCsmacd', mtu: 9000, description: 'uplink <core-1>' },
+            'openconfig-if-ethernet:ethernet': { config: { 'port-speed': 'SPEED_100GB' } }
+        }]
+    }
+};
+
+/**
+ * A NETCONF server on one channel: hello in end-of-message framing, then chunked framing. The
+ * running and candidate datastores hold the <config> content as text and outlive the session.
+ * validate fails when the candidate sets an MTU above 9192.
+ */
+const fakeNetconf = (channel, { capabilities, operations, datastores }) => {
+    let chunked = false;
+    let pending = '';
+
+    const send = (xml) => {
+        if (!chunked) return channel.write(`${xml}]]>]]>`);
+        // Two chunks, to take the reader through both
+        const half = Math.floor(xml.length / 2);
+        channel.write(`\n#${Buffer.byteLength(xml.slice(0, half))}\n${xml.slice(0, half)}\n#${Buffer.byteLength(xml.slice(half))}\n${xml.slice(half)}\n##\n`);
+    };
+    const reply = (id, body = '<ok/>') => send(`<rpc-reply message-id="${id}" xmlns="${BASE}">${body}</rpc-reply>`);
+    const rpcError = (id, message) => reply(id, `<rpc-error><error-type>application</error-type><error-tag>operation-failed</error-tag>`
+        + `<error-severity>error</error-severity><error-message>${message}</error-message></rpc-error>`);
+
+    const handle = (text) => {
+        const message = parseXml(text);
+        if (message.name === 'hello') {
+            chunked = message.children[0].children.some(capability => capability.text === 'urn:ietf:params:netconf:base:1.1');
+            return;
+        }
+        const id = message.attributes['message-id'];
+        const [operation] = message.children;
+        operations.push(operation.name);
+        if (operation.name === 'get-config') {
+            reply(id, `<data>${datastores.running}</data>`);
+        } else if (operation.name === 'edit-config') {
+            datastores.candidate = text.slice(text.indexOf('>', text.indexOf('<config')) + 1, text.lastIndexOf('</config>'));
+            reply(id);
+        } else if (operation.name === 'validate') {
+            const mtu = Number(/<mtu>(\d+)<\/mtu>/.exec(datastores.candidate)?.[1]);
+            if (mtu > 9192) rpcError(id, `MTU ${mtu} is larger than the hardware supports`);
+            else reply(id, `<rpc-error><error-severity>warning</error-severity><error-message>MTU changes flap the link</error-message></rpc-error>`);
+        } else if (operation.name === 'commit') {
+            datastores.running = datastores.candidate;
+            reply(id);
+        } else if (operation.name === 'discard-changes') {
+            datastores.candidate = datastores.running;
+            reply(id);
+        } else {
+            reply(id);
+        }
+    };
+
+    send(`<hello xmlns="${BASE}"><capabilities>${capabilities.map(capability => `<capability>${capability}</capability>`).join('')}`
+        + '</capabilities><session-id>4711</session-id></hello>');
+
+    channel.on('data', data => {
+        pending += String(data);
+        for (;;) {
+            if (!chunked) {
+                const end = pending.indexOf(']]>]]>');
+                if (end === -1) return;
+                const text = pending.slice(0, end);
+                pending = pending.slice(end + 6);
+                handle(text);
+                continue;
+            }
+            const frame = /^\n#(\d+)\n/.exec(pending);
+            if (!frame || pending.length < frame[0].length + Number(frame[1]) + 4) return;
+            const text = pending.slice(frame[0].length, frame[0].length + Number(frame[1]));
+            pending = pending.slice(frame[0].length + Number(frame[1]) + 4);
+            handle(text);
+        }
+    });
+};
+
+const { Server, utils } = ssh2;
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+describe('NetconfService', () => {
+    const env = { ...process.env };
+    let server;
+    let device;
+    let audits;
+    let operations;
+    let capabilities;
+    let connections;
+    let datastores;
+
+    beforeEach(async () => {
+        audits = [];
+        operations = [];
+        connections = 0;
+        datastores = { running: RUNNING, candidate: RUNNING };
+        capabilities = [
+            'urn:ietf:params:netconf:base:1.0',
+            'urn:ietf:params:netconf:base:1.1',
+            'urn:ietf:params:netconf:capability:candidate:1.0',
+            'urn:ietf:params:netconf:capability:validate:1.1'
+        ];
+        Object.assign(process.env, { DEVICE_CLI_USERNAME: 'netops', DEVICE_CLI_PASSWORD: 's3cret' });
+        jest.spyOn(AuditLogger, 'log').mockImplementation(async entry => audits.push(entry));
+
+        NetconfService.modelDirectory = fileURLToPath(new URL(`../fixtures/yang`, import.meta.url));
+        await NetconfService.loadModels();
+
+        const { privateKey } = crypto.generateKeyPairSync('rsa', {
+            modulusLength: 2048,
+            privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+            publicKeyEncoding: { type: 'pkcs1', format: 'pem' }
+        });
+        const publicKey = utils.parseKey(privateKey).getPublicSSH();
+        server = new Server({ hostKeys: [privateKey] }, client => {
+            connections++;
+            client.on('authentication', ctx => (ctx.method === 'password' && ctx.username === 'netops' && ctx.password === 's3cret'
+                ? ctx.accept()
+                : ctx.reject(['password'])));
+            client.on('ready', () => client.on('session', accept => {
+                accept().once('subsystem', (accept, reject, info) => {
+                    if (info.name !== 'netconf') return reject();
+                    fakeNetconf(accept(), { capabilities, operations, datastores });
+                });
+            }));
+            client.on('error', () => {});
+        });
+        const port = await listen(server);
+        device = {
+            _id: new mongoose.Types.ObjectId(),
+            name: 'spine-1',
+            connectionInfo: {
+                protocol: 'netconf',
+                host: '127.0.0.1',
+                port,
+                hostKey: `SHA256:${crypto.createHash('sha256').update(publicKey).digest('base64')}`
+            }
+        };
+    });
+
+    afterEach(async () => {
+        process.env = { ...env };
+        jest.restoreAllMocks();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should load the YANG models from the model directory', () => {
+        expect(NetconfService.getModels()).toMatchObject({
+            files: expect.arrayContaining([{ file: 'openconfig-interfaces.yang', module: 'openconfig-interfaces', revision: '2021-04-06' }]),
+            topLevel: ['openconfig-interfaces:interfaces'],
+            errors: [],
+            unresolved: []
+        });
+    });
+
+    it('should deploy through the candidate datastore and commit', async () => {
+        const result = await NetconfService.deploy(device, CONFIG, { actor: { id: 'user-1', type: 'admin' } });
+
+        expect(result).toEqual({ nodes: ['openconfig-interfaces:interfaces'], sessionId: '4711', validated: true });
+        expect(operations).toEqual(['lock', 'discard-changes', 'edit-config', 'validate', 'commit', 'unlock', 'close-session']);
+        expect(audits).toHaveLength(1);
+        expect(audits[0].action).toMatchObject({
+            type: 'netconf.deploy',
+            target: { type: 'NetworkDevice', id: String(device._id), name: 'spine-1' },
+            status: 'success',
+            details: { nodes: ['openconfig-interfaces:interfaces'], sessionId: '4711', validated: true }
+        });
+
+        // What the device now runs reads back as the deployed configuration
+        const running = await NetconfService.getConfig(device);
+        expect(running['openconfig-interfaces:interfaces'].interface[0]).toEqual({
+            ...CONFIG['openconfig-interfaces:interfaces'].interface[0],
+            'openconfig-if-ethernet:ethernet': { config: { 'port-speed': 'openconfig-if-ethernet:SPEED_100GB' } }
+        });
+        expect(audits[1].action).toMatchObject({ type: 'netconf.get_config', status: 'success' });
+    });
+
+    it('should turn away a configuration that does not match the models without connecting', async () => {
+        const config = structuredClone(CONFIG);
+        config['openconfig-interfaces:interfaces'].interface[0].config.mtu = 65536;
+        config['openconfig-interfaces:interfaces'].interface[0].config.type = 'ethernet';
+
+        const error = await NetconfService.deploy(device, config).catch(caught => caught);
+
+        expect(error.message).toBe('Configuration does not match the YANG models: '
+            + '/openconfig-interfaces:interfaces/interface[name=Ethernet1]/config/type ethernet is not a known identity; '
+            + '/openconfig-interfaces:interfaces/interface[name=Ethernet1]/config/mtu is out of the uint16 range');
+        expect(error.details.errors).toHaveLength(2);
+        expect(connections).toBe(0);
+        expect(audits).toEqual([]);
+    });
+
+    it('should discard the candidate and unlock when the device rejects the configuration', async () => {
+        const config = structuredClone(CONFIG);
+        config['openconfig-interfaces:interfaces'].interface[0].config.mtu = 9500;
+
+        await expect(NetconfService.deploy(device, config)).rejects.toThrow('spine-1 rejected the NETCONF request: MTU 9500 is larger than the hardware supports');
+
+        expect(operations).toEqual(['lock', 'discard-changes', 'edit-config', 'validate', 'discard-changes', 'unlock', 'close-session']);
+        expect(audits[0].action).toMatchObject({
+            status: 'failure',
+            details: { rpcErrors: [{ type: 'application', tag: 'operation-failed', severity: 'error' }] }
+        });
+        expect((await NetconfService.getConfig(device))['openconfig-interfaces:interfaces'].interface[0].config.mtu).toBe(1500);
+    });
+
+    it('should refuse devices without a candidate datastore', async () => {
+        capabilities = capabilities.filter(capability => !capability.includes(':candidate:'));
+
+        await expect(NetconfService.deploy(device, CONFIG)).rejects.toThrow('spine-1 does not support the candidate datastore');
+        expect(operations).toEqual(['close-session']);
+    });
+
+    it('should refuse a host key other than the pinned one, or none at all', async () => {
+        device.connectionInfo.hostKey = `SHA256:${crypto.randomBytes(32).toString('base64')}`;
+
+        await expect(NetconfService.capabilities(device)).rejects.toThrow();
+        expect(operations).toEqual([]);
+
+        delete device.connectionInfo.hostKey;
+        await expect(NetconfService.capabilities(device)).rejects.toThrow('No SSH host key is pinned for 127.0.0.1');
+        expect(connections).toBe(1);
+    });
+
+    it('should back up and deploy NETCONF devices through AutoConfigService', async () => {
+        expect(await AutoConfigService._getDeviceConfig(device)).toEqual({
+            'openconfig-interfaces:interfaces': {
+                interface: [{ name: 'Ethernet1', config: { name: 'Ethernet1', type: 'iana-if-type:ethernetCsmacd', mtu: 1500 } }]
+            }
+        });
+
+        await AutoConfigService._applyConfig(device, CONFIG);
+
+        expect(operations).toContain('commit');
+        expect(await NetconfService.capabilities(device)).toEqual({ sessionId: '4711', capabilities });
+    });
+});
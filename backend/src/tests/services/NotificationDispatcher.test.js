@@ -0,0 +1,180 @@
+import http from 'http';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import AlertConfig from '../../models/AlertConfig.js';
+import NetworkDevice from '../../models/NetworkDevice.js';
+import NotificationDelivery from '../../models/NotificationDelivery.js';
+import { MaintenanceManager } from '../../services/MaintenanceManager.js';
+import { NotificationDispatcher } from '../../services/NotificationDispatcher.js';
+import { StubSmsProvider } from '../../services/SmsNotifier.js';
+import { sign } from '../../services/WebhookNotifier.js';
+
+const device = { _id: new mongoose.Types.ObjectId(), name: 'core-1', ipAddress: '192.0.2.1', type: 'router' };
+
+const alert = {
+    _id: new mongoose.Types.ObjectId(),
+    alertConfigId: new mongoose.Types.ObjectId(),
+    deviceId: device._id,
+    type: 'link_down',
+    severity: 'high',
+    status: 'open',
+    message: 'Gi0/1 is down',
+    occurrences: 1,
+    firstSeen: new Date('2026-01-01T00:00:00Z')
+};
+
+// Fake Slack/webhook endpoint; `statuses` are returned in order, then 200
+const startServer = (statuses = []) => new Promise(resolve => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body });
+            res.statusCode = statuses.shift() || 200;
+            res.end(res.statusCode === 200 ? 'ok' : 'no');
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+});
+
+describe('NotificationDispatcher', () => {
+    let fake;
+    let config;
+    let sms;
+
+    const useConfig = (notifications) => {
+        config = { _id: alert.alertConfigId, name: 'Link state', enabled: true, notifications };
+        jest.spyOn(AlertConfig, 'findById').mockReturnValue({ lean: () => Promise.resolve(config) });
+    };
+
+    beforeEach(() => {
+        NotificationDispatcher.retryDelay = 1;
+        NotificationDispatcher.notifiers.get('webhook').secret = 'hook-secret';
+        sms = new StubSmsProvider();
+        NotificationDispatcher.notifiers.get('sms').setProvider(sms);
+        jest.spyOn(NetworkDevice, 'findById').mockReturnValue({
+            select: () => ({ lean: () => Promise.resolve(device) })
+        });
+        jest.spyOn(NotificationDelivery, 'create').mockImplementation(async entry => ({ toObject: () => entry }));
+        jest.spyOn(MaintenanceManager, 'getDeviceMaintenance').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        fake?.server.close();
+        fake = null;
+        jest.restoreAllMocks();
+    });
+
+    it('should post signed webhooks and Slack messages for enabled channels', async () => {
+        fake = await startServer();
+        useConfig([
+            { type: 'webhook', config: { webhookUrl: `${fake.url}/hook` }, enabled: true },
+            { type: 'slack', config: { slackWebhook: `${fake.url}/slack`, slackChannel: '#noc' }, enabled: true },
+            { type: 'email', config: { emailAddresses: ['noc@example.com'] }, enabled: false }
+        ]);
+
+        const deliveries = await NotificationDispatcher.notify(alert, 'opened');
+
+        expect(deliveries).toEqual([
+            expect.objectContaining({ channel: 'webhook', status: 'sent', attempts: 1, recipients: [fake.url.slice(7)] }),
+            expect.objectContaining({ channel: 'slack', status: 'sent', subject: '[high] Gi0/1 is down' })
+        ]);
+        expect(deliveries[0].alertId).toBe(alert._id);
+
+        const hook = fake.requests.find(request => request.url === '/hook');
+        const payload = JSON.parse(hook.body);
+        expect(payload).toMatchObject({
+            event: 'opened',
+            alert: { id: alert._id.toString(), severity: 'high' },
+            device: { name: 'core-1' },
+            config: { name: 'Link state' }
+        });
+        expect(hook.headers['x-eyenet-signature'])
+            .toBe(`sha256=${sign('hook-secret', hook.headers['x-eyenet-timestamp'], hook.body)}`);
+
+        const slack = JSON.parse(fake.requests.find(request => request.url === '/slack').body);
+        expect(slack).toMatchObject({ text: '[high] Gi0/1 is down', channel: '#noc' });
+        expect(slack.attachments[0].text).toContain('Device: core-1 192.0.2.1');
+    });
+
+    it('should retry transient failures and record the attempts', async () => {
+        fake = await startServer([503, 502]);
+        useConfig([{ type: 'webhook', config: { webhookUrl: fake.url }, enabled: true }]);
+
+        const [delivery] = await NotificationDispatcher.notify(alert, 'opened');
+
+        expect(delivery).toMatchObject({ status: 'sent', attempts: 3 });
+        expect(fake.requests).toHaveLength(3);
+    });
+
+    it('should record permanent failures without retrying', async () => {
+        fake = await startServer([404]);
+        useConfig([{ type: 'webhook', config: { webhookUrl: fake.url }, enabled: true }]);
+
+        const [delivery] = await NotificationDispatcher.notify(alert, 'resolved');
+
+        expect(delivery).toMatchObject({ status: 'failed', attempts: 1, event: 'resolved', error: 'Webhook responded 404' });
+    });
+
+    it('should render channel templates', async () => {
+        useConfig([{
+            type: 'sms',
+            config: { phoneNumbers: ['+15551230001', '+15551230002'] },
+            template: { subject: '{{alert.severity}} {{device.name}}: {{alert.message}} ({{alert.missing}})' },
+            enabled: true
+        }]);
+
+        const [delivery] = await NotificationDispatcher.notify(alert, 'opened');
+
+        expect(delivery).toMatchObject({ status: 'sent', recipients: ['+15551230001', '+15551230002'] });
+        expect(sms.sent.map(message => message.text)).toEqual([
+            'high core-1: Gi0/1 is down ()',
+            'high core-1: Gi0/1 is down ()'
+        ]);
+    });
+
+    it('should tell escalation recipients how long the alert went unacknowledged', async () => {
+        useConfig([]);
+
+        const [delivery] = await NotificationDispatcher.notifyChannels(alert, config, [
+            { type: 'sms', config: { phoneNumbers: ['+15551230001'] } }
+        ], 'escalated', { step: 2, policy: 'Critical', delayMinutes: 15, users: ['bob'] });
+
+        expect(delivery).toMatchObject({ event: 'escalated', escalationStep: 2, status: 'sent' });
+        expect(sms.sent[0].text).toBe('[high] Unacknowledged: Gi0/1 is down');
+    });
+
+    it('should skip alerts without channels to notify', async () => {
+        useConfig([]);
+
+        expect(await NotificationDispatcher.notify(alert, 'opened')).toEqual([]);
+        expect(await NotificationDispatcher.notify({ ...alert, alertConfigId: undefined }, 'opened')).toEqual([]);
+        expect(NotificationDelivery.create).not.toHaveBeenCalled();
+    });
+
+    it('should not notify while the device is under maintenance', async () => {
+        useConfig([{ type: 'sms', config: { phoneNumbers: ['+15551230001'] }, enabled: true }]);
+        MaintenanceManager.getDeviceMaintenance.mockResolvedValue({ reason: 'status' });
+
+        expect(await NotificationDispatcher.notify(alert, 'resolved')).toEqual([]);
+        // Opened during a maintenance that is over by now
+        MaintenanceManager.getDeviceMaintenance.mockResolvedValue(null);
+        expect(await NotificationDispatcher.notify({ ...alert, suppressed: true }, 'resolved')).toEqual([]);
+        expect(sms.sent).toHaveLength(0);
+        expect(NotificationDelivery.create).not.toHaveBeenCalled();
+    });
+
+    it('should validate channels before a test send', async () => {
+        await expect(NotificationDispatcher.test({ type: 'email', config: { emailAddresses: [] } }))
+            .rejects.toMatchObject({ code: 'BAD_REQUEST' });
+        await expect(NotificationDispatcher.test({ type: 'sms', config: { phoneNumbers: ['555-1234'] } }))
+            .rejects.toThrow('E.164');
+        await expect(NotificationDispatcher.test({ type: 'pager', config: {} }))
+            .rejects.toThrow('Unknown notification channel type: pager');
+
+        const delivery = await NotificationDispatcher.test({ type: 'sms', config: { phoneNumbers: ['+15551230001'] } });
+        expect(delivery).toMatchObject({ event: 'test', status: 'sent' });
+        expect(sms.sent[0].text).toBe('[high] Test notification from EyeNet');
+    });
+});
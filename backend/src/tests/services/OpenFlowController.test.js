@@ -0,0 +1,113 @@
+import { jest } from '@jest/globals';
+import net from 'net';
+import { OpenFlowController } from '../../services/OpenFlowController.js';
+import { MessageType, OpenFlowCodec } from '../../utils/OpenFlowCodec.js';
+
+// Minimal OpenFlow 1.3 switch that answers the controller handshake
+const createMockSwitch = (port, datapathId) => {
+    const socket = net.connect(port, '127.0.0.1');
+    const received = [];
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 8) {
+            const header = OpenFlowCodec.decodeHeader(buffer);
+            if (buffer.length < header.length) break;
+            const message = buffer.subarray(0, header.length);
+            buffer = buffer.subarray(header.length);
+            received.push({ header, message });
+
+            if (header.type === MessageType.HELLO) {
+                socket.write(OpenFlowCodec.encodeHello(header.xid));
+            } else if (header.type === MessageType.FEATURES_REQUEST) {
+                const body = Buffer.alloc(24);
+                body.writeBigUInt64BE(BigInt(`0x${datapathId}`), 0);
+                body.writeUInt32BE(256, 8);
+                body.writeUInt8(254, 12);
+                socket.write(OpenFlowCodec.encodeMessage(MessageType.FEATURES_REPLY, header.xid, body));
+            } else if (header.type === MessageType.ECHO_REQUEST) {
+                socket.write(OpenFlowCodec.encodeEchoReply(header.xid));
+            } else if (header.type === MessageType.BARRIER_REQUEST) {
+                socket.write(OpenFlowCodec.encodeMessage(MessageType.BARRIER_REPLY, header.xid));
+            }
+        }
+    });
+
+    return { socket, received };
+};
+
+const waitFor = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+describe('OpenFlowController', () => {
+    let address;
+    let mockSwitch;
+
+    beforeEach(async () => {
+        jest.spyOn(OpenFlowController, '_linkDevice').mockResolvedValue({ _id: 'device-1' });
+        jest.spyOn(OpenFlowController, '_handlePortDescription').mockResolvedValue();
+        jest.spyOn(OpenFlowController, '_markDisconnected').mockResolvedValue();
+        address = await OpenFlowController.start({ port: 0, host: '127.0.0.1' });
+    });
+
+    afterEach(async () => {
+        mockSwitch?.socket.destroy();
+        await OpenFlowController.stop();
+        jest.restoreAllMocks();
+    });
+
+    it('should complete the handshake and link the datapath to a device', async () => {
+        const connected = waitFor(OpenFlowController, 'switch:connected');
+        mockSwitch = createMockSwitch(address.port, '00000000000000a1');
+
+        const event = await connected;
+
+        expect(event.datapathId).toBe('00000000000000a1');
+        expect(event.deviceId).toBe('device-1');
+        expect(event.features.nTables).toBe(254);
+        expect(OpenFlowController.isConnected('00000000000000a1')).toBe(true);
+    });
+
+    it('should emit packet-in events with the decoded match', async () => {
+        const connected = waitFor(OpenFlowController, 'switch:connected');
+        mockSwitch = createMockSwitch(address.port, '00000000000000a2');
+        await connected;
+
+        const packetIn = waitFor(OpenFlowController, 'packet_in');
+        const match = OpenFlowCodec.encodeMatch({ inPort: 3 });
+        const fixed = Buffer.alloc(16);
+        fixed.writeUInt32BE(0xffffffff, 0);
+        fixed.writeUInt16BE(4, 4);
+        const body = Buffer.concat([fixed, match, Buffer.alloc(2), Buffer.from('abcd')]);
+        mockSwitch.socket.write(OpenFlowCodec.encodeMessage(MessageType.PACKET_IN, 99, body));
+
+        const event = await packetIn;
+
+        expect(event.datapathId).toBe('00000000000000a2');
+        expect(event.match).toEqual({ inPort: 3 });
+        expect(event.data.toString()).toBe('abcd');
+    });
+
+    it('should send flow mods and emit a flow_mod event', async () => {
+        const connected = waitFor(OpenFlowController, 'switch:connected');
+        mockSwitch = createMockSwitch(address.port, '00000000000000a3');
+        await connected;
+
+        const flowModEvent = waitFor(OpenFlowController, 'flow_mod');
+        OpenFlowController.sendFlowMod('00000000000000a3', {
+            priority: 100,
+            match: { ethType: 0x0800, ipv4Dst: '10.0.0.0/8' },
+            instructions: [{ type: 'apply_actions', actions: [{ type: 'output', port: 2 }] }]
+        });
+        await flowModEvent;
+        await OpenFlowController.barrier('00000000000000a3');
+
+        const flowMod = mockSwitch.received.find(entry => entry.header.type === MessageType.FLOW_MOD);
+        expect(flowMod).toBeDefined();
+        expect(flowMod.message.readUInt16BE(30)).toBe(100);
+        expect(OpenFlowCodec.decodeMatch(flowMod.message, 48).match).toEqual({
+            ethType: 0x0800,
+            ipv4Dst: '10.0.0.0/8'
+        });
+    });
+});
@@ -0,0 +1,68 @@
+import { PolicyAnalyzer } from '../../services/PolicyAnalyzer.js';
+
+const policy = (id, priority, rules) => ({
+    _id: id,
+    name: id,
+    type: 'security',
+    priority,
+    rules: rules.map(([type, operator, value, action]) => ({
+        condition: { type, operator, value },
+        action: { type: action }
+    }))
+});
+
+const summarize = (analysis) => analysis.findings.map(finding => ({
+    type: finding.type,
+    rule: `${finding.rule.policyName}:${finding.rule.ruleIndex}`,
+    related: finding.related.map(related => `${related.policyName}:${related.ruleIndex}`)
+}));
+
+describe('PolicyAnalyzer', () => {
+    it('should report rules shadowed or made redundant by higher-priority policies', () => {
+        const core = policy('core', 900, [['ip', 'equals', { src: '10.0.0.0/8' }, 'deny']]);
+        const branch = policy('branch', 500, [
+            ['ip', 'equals', { src: '10.1.0.0/16' }, 'allow'],
+            ['ip', 'equals', { src: '10.2.0.0/16' }, 'deny']
+        ]);
+
+        expect(summarize(PolicyAnalyzer.analyze([branch, core]))).toEqual([
+            { type: 'shadowed', rule: 'branch:0', related: ['core:0'] },
+            { type: 'redundant', rule: 'branch:1', related: ['core:0'] }
+        ]);
+    });
+
+    it('should report contradicting rules at the same priority', () => {
+        const left = policy('left', 500, [['port', 'equals', 'tcp/23', 'deny']]);
+        const right = policy('right', 500, [['protocol', 'equals', 'tcp', 'allow']]);
+
+        expect(summarize(PolicyAnalyzer.analyze([left, right]))).toEqual([
+            { type: 'conflicting', rule: 'right:0', related: ['left:0'] }
+        ]);
+    });
+
+    it('should report rules covered only by a combination of earlier rules as unreachable', () => {
+        const edge = policy('edge', 900, [
+            ['ip', 'equals', { src: '192.168.0.0/16' }, 'deny'],
+            ['ip', 'equals', { dst: '192.168.0.0/16' }, 'deny']
+        ]);
+        const host = policy('host', 100, [['ip', 'equals', '192.168.1.1', 'allow']]);
+
+        expect(summarize(PolicyAnalyzer.analyze([edge, host]))).toEqual([
+            { type: 'unreachable', rule: 'host:0', related: ['edge:0', 'edge:1'] }
+        ]);
+    });
+
+    it('should report rules that can never match', () => {
+        const analysis = PolicyAnalyzer.analyze([policy('odd', 100, [['port', 'equals', 'icmp/5', 'deny']])]);
+
+        expect(analysis.summary.unreachable).toBe(1);
+        expect(analysis.findings[0].rule.ruleIndex).toBe(0);
+    });
+
+    it('should not let time-restricted rules shadow others', () => {
+        const night = policy('night', 900, [['time', 'between', { start: '22:00', end: '06:00' }, 'deny']]);
+        const any = policy('any', 100, [['protocol', 'equals', 'tcp', 'allow']]);
+
+        expect(PolicyAnalyzer.analyze([night, any]).findings).toEqual([]);
+    });
+});
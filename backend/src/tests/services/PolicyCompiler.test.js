@@ -0,0 +1,114 @@
+import { PolicyCompiler } from '../../services/PolicyCompiler.js';
+
+const policy = (overrides = {}) => ({
+    _id: 'policy-a',
+    name: 'edge-security',
+    type: 'security',
+    priority: 500,
+    metadata: { version: 1 },
+    schedule: { active: true, recurrence: 'always' },
+    rules: [],
+    ...overrides
+});
+
+const rule = (condition, action) => ({ condition, action });
+
+describe('PolicyCompiler', () => {
+    const device = { _id: 'device-1' };
+
+    it('should order rules by policy priority and then rule position', () => {
+        const low = policy({
+            _id: 'policy-low',
+            priority: 10,
+            rules: [rule({ type: 'protocol', operator: 'equals', value: 'icmp' }, { type: 'deny' })]
+        });
+        const high = policy({
+            rules: [
+                rule({ type: 'port', operator: 'equals', value: 'tcp/23' }, { type: 'deny' }),
+                rule({ type: 'port', operator: 'equals', value: 'tcp/22' }, { type: 'allow' })
+            ]
+        });
+
+        const { rules } = PolicyCompiler.compile(device, [low, high]);
+
+        expect(rules.map(entry => entry.id)).toEqual(['policy-a/0/0', 'policy-a/1/0', 'policy-low/0/0']);
+        expect(rules[0].priority).toBeGreaterThan(rules[1].priority);
+        expect(rules[1].priority).toBeGreaterThan(rules[2].priority);
+    });
+
+    it('should match a bare address in either direction', () => {
+        const { rules, flows } = PolicyCompiler.compile(device, [policy({
+            rules: [rule({ type: 'ip', operator: 'equals', value: '10.1.2.3' }, { type: 'deny' })]
+        })]);
+
+        expect(rules.map(entry => entry.match)).toEqual([{ srcIp: '10.1.2.3' }, { dstIp: '10.1.2.3' }]);
+        expect(flows.map(flow => flow.instructions)).toEqual([[], []]);
+    });
+
+    it('should expand port ranges into flows for each transport protocol', () => {
+        const { flows } = PolicyCompiler.compile(device, [policy({
+            rules: [rule({ type: 'port', operator: 'between', value: 8080, valueEnd: 8081 }, { type: 'allow' })]
+        })]);
+
+        expect(flows.map(flow => flow.match)).toEqual([
+            { ethType: 0x0800, ipProto: 6, tcpDst: 8080 },
+            { ethType: 0x0800, ipProto: 6, tcpDst: 8081 },
+            { ethType: 0x0800, ipProto: 17, udpDst: 8080 },
+            { ethType: 0x0800, ipProto: 17, udpDst: 8081 }
+        ]);
+    });
+
+    it('should keep negated and unrenderable rules as ACL entries with warnings', () => {
+        const result = PolicyCompiler.compile(device, [policy({
+            rules: [
+                rule({ type: 'ip', operator: 'not_equals', value: { src: '10.0.0.0/8' } }, { type: 'deny' }),
+                rule({ type: 'port', operator: 'greater_than', value: 1024 }, { type: 'deny' }),
+                rule({ type: 'port', operator: 'equals', value: 'bogus' }, { type: 'deny' })
+            ]
+        })]);
+
+        expect(result.rules).toHaveLength(2);
+        expect(result.rules[0].negate).toBe(true);
+        expect(result.flows).toHaveLength(0);
+        expect(result.warnings).toHaveLength(3);
+    });
+
+    it('should skip policies whose schedule is not in effect', () => {
+        const result = PolicyCompiler.compile(device, [policy({
+            schedule: { active: true, startTime: new Date(Date.now() + 3600000), recurrence: 'once' },
+            rules: [rule({ type: 'protocol', operator: 'equals', value: 'tcp' }, { type: 'deny' })]
+        })]);
+
+        expect(result.rules).toHaveLength(0);
+        expect(result.inactivePolicies).toEqual([{ policyId: 'policy-a', name: 'edge-security' }]);
+    });
+
+    describe('diff', () => {
+        it('should report added, removed and changed rules', () => {
+            const before = PolicyCompiler.compile(device, [policy({
+                rules: [
+                    rule({ type: 'protocol', operator: 'equals', value: 'tcp' }, { type: 'deny' }),
+                    rule({ type: 'protocol', operator: 'equals', value: 'udp' }, { type: 'deny' })
+                ]
+            })]);
+            const after = PolicyCompiler.compile(device, [policy({
+                rules: [rule({ type: 'protocol', operator: 'equals', value: 'tcp' }, { type: 'allow' })]
+            })]);
+
+            const diff = PolicyCompiler.diff(before, after);
+
+            expect(diff.added).toHaveLength(0);
+            expect(diff.removed.map(entry => entry.id)).toEqual(['policy-a/1/0']);
+            expect(diff.changed).toEqual([expect.objectContaining({ id: 'policy-a/0/0', changes: ['action'] })]);
+            expect(diff.unchanged).toBe(0);
+        });
+
+        it('should treat everything as added when nothing was deployed', () => {
+            const next = PolicyCompiler.compile(device, [policy({
+                rules: [rule({ type: 'protocol', operator: 'equals', value: 'tcp' }, { type: 'deny' })]
+            })]);
+
+            expect(PolicyCompiler.diff(null, next).added).toHaveLength(1);
+        });
+    });
+});
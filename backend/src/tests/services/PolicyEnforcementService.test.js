@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import DeviceConfigVersion from '../../models/DeviceConfigVersion.js';
+import NetworkDevice from '../../models/NetworkDevice.js';
+import NetworkPolicy from '../../models/NetworkPolicy.js';
+import { PolicyEnforcementService } from '../../services/PolicyEnforcementService.js';
+
+const RUNNING = [
+    'hostname edge-1',
+    'ip access-list extended EDGE-IN',
+    ' 10 permit tcp any host 10.0.0.5 eq 443',
+    ' 20 deny ip host 192.0.2.66 any',
+    ' 30 deny ip any host 192.0.2.66',
+    'interface GigabitEthernet0/0/0',
+    ' ip address 203.0.113.2 255.255.255.252',
+    ' ip access-group EDGE-IN in'
+].join('\n');
+
+const rule = (name, condition, action) => ({ name, condition, action: { type: action } });
+
+describe('PolicyEnforcementService', () => {
+    let device;
+
+    beforeEach(() => {
+        device = new NetworkDevice({ name: 'edge-1', type: 'router', manufacturer: 'Cisco', model: 'ISR4331' });
+        jest.spyOn(device, 'save').mockResolvedValue(device);
+        jest.spyOn(NetworkDevice, 'findById').mockResolvedValue(device);
+        jest.spyOn(DeviceConfigVersion, 'findLatest').mockResolvedValue({ format: 'text', content: RUNNING });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('activatePolicy', () => {
+        const networkPolicy = (name, priority, rules, status) => new NetworkPolicy({
+            name, description: name, type: 'security', priority, rules, status, scope: { deviceTypes: ['router'] }
+        });
+
+        it('should refuse a draft shadowed by an active policy unless forced', async () => {
+            const core = networkPolicy('core', 900, [rule('deny-10', { type: 'ip', operator: 'equals', value: { src: '10.0.0.0/8' } }, 'deny')], 'active');
+            const branch = networkPolicy('branch', 500, [rule('allow-10-1', { type: 'ip', operator: 'equals', value: { src: '10.1.0.0/16' } }, 'allow')], 'draft');
+            jest.spyOn(NetworkPolicy, 'findById').mockResolvedValue(branch);
+            jest.spyOn(NetworkPolicy, 'findActiveInScope').mockResolvedValue([core]);
+            jest.spyOn(branch, 'save').mockResolvedValue(branch);
+
+            await expect(PolicyEnforcementService.activatePolicy(branch._id, {}, { id: 'user-1' })).rejects.toMatchObject({
+                code: 'VALIDATION_ERROR',
+                details: { findings: [expect.objectContaining({ type: 'shadowed' })] }
+            });
+            expect(branch.status).toBe('draft');
+
+            const activated = await PolicyEnforcementService.activatePolicy(branch._id, { force: true }, { id: 'user-1' });
+
+            expect(activated).toMatchObject({ status: 'active', validation: { forced: true }, metadata: { lastModifiedBy: 'user-1' } });
+            expect(NetworkPolicy.findActiveInScope).toHaveBeenCalledWith(branch.scope);
+        });
+    });
+
+    describe('checkCompliance', () => {
+        it('should compare allow and deny rules with the ACLs of the parsed running-config', async () => {
+            const policy = {
+                _id: new mongoose.Types.ObjectId(),
+                name: 'edge',
+                type: 'security',
+                priority: 10,
+                rules: [
+                    rule('https', { type: 'port', operator: 'equals', value: 'tcp/443' }, 'deny'),
+                    rule('block', { type: 'ip', operator: 'equals', value: '192.0.2.66' }, 'deny'),
+                    rule('web', { type: 'custom', operator: 'equals', value: { protocol: 'tcp', dstIp: '10.0.0.5', dstPort: 443 } }, 'allow'),
+                    rule('ssh', { type: 'port', operator: 'equals', value: 'tcp/22' }, 'allow'),
+                    rule('audit', { type: 'protocol', operator: 'equals', value: 'udp' }, 'log')
+                ]
+            };
+            jest.spyOn(NetworkPolicy, 'findByDevice').mockResolvedValue([policy]);
+
+            const status = await PolicyEnforcementService.checkCompliance(device._id);
+
+            expect(status.compliant).toBe(false);
+            expect(status.violations).toHaveLength(1);
+            expect(status.violations[0].violations.map(violation => violation.ruleName)).toEqual(['https', 'ssh']);
+            expect(status.violations[0].violations[1].missing).toEqual([{
+                action: 'permit',
+                protocol: 'tcp',
+                source: 'any',
+                sourcePort: undefined,
+                destination: 'any',
+                destinationPort: 22
+            }]);
+            expect(device.save).toHaveBeenCalled();
+        });
+
+        it('should not report rules it cannot check when the configuration is not an intent', async () => {
+            DeviceConfigVersion.findLatest.mockResolvedValue({ format: 'text', content: 'feature nxapi\n' });
+            device.manufacturer = 'Unknown';
+            jest.spyOn(NetworkPolicy, 'findByDevice').mockResolvedValue([{
+                _id: new mongoose.Types.ObjectId(),
+                name: 'edge',
+                priority: 10,
+                rules: [rule('ssh', { type: 'port', operator: 'equals', value: 'tcp/22' }, 'allow')]
+            }]);
+
+            const status = await PolicyEnforcementService.checkCompliance(device._id);
+
+            expect(status.compliant).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+import { jest } from '@jest/globals';
+import NetworkDevice from '../../models/NetworkDevice.js';
+import Rollout from '../../models/Rollout.js';
+import AuditLogger from '../../services/AuditLogger.js';
+import { ConfigDeploymentService } from '../../services/ConfigDeploymentService.js';
+import { RolloutOrchestrator } from '../../services/RolloutOrchestrator.js';
+import WebSocketService from '../../services/WebSocketService.js';
+import { mockQuery, objectId, testActor as actor } from '../testHelper.js';
+
+const devices = ['edge-1', 'edge-2', 'edge-3', 'edge-4', 'edge-5'].map(name => ({ _id: objectId(), name }));
+const config = { settings: { ntp: '10.0.0.6' } };
+
+describe('RolloutOrchestrator', () => {
+    let rollouts;
+    let failing;
+    let unhealthy;
+
+    const create = (strategy) => RolloutOrchestrator.createRollout({
+        name: 'NTP change',
+        kind: 'config',
+        config,
+        target: { deviceGroups: ['edge'] },
+        strategy: { waitSeconds: 0, maxErrorRate: 0.2, ...strategy }
+    }, actor);
+    const statuses = (rollout) => rollout.batches.flatMap(batch => batch.devices.map(entry => entry.status));
+    const deployed = () => ConfigDeploymentService.deploy.mock.calls.map(call => String(call[0]));
+    const name = (deviceId) => devices.find(device => String(device._id) === String(deviceId)).name;
+
+    beforeEach(() => {
+        rollouts = new Map();
+        failing = new Set();
+        unhealthy = new Set();
+        jest.spyOn(NetworkDevice, 'find').mockImplementation(() => mockQuery(devices));
+        jest.spyOn(Rollout, 'create').mockImplementation(async data => {
+            const rollout = new Rollout(data);
+            await rollout.validate();
+            rollouts.set(String(rollout._id), rollout);
+            return rollout;
+        });
+        jest.spyOn(Rollout.prototype, 'save').mockImplementation(async function () {
+            return this;
+        });
+        jest.spyOn(Rollout, 'find').mockImplementation(() => ({
+            sort: async () => [...rollouts.values()].filter(rollout =>
+                ['running', 'rolling_back'].includes(rollout.status) ||
+                (rollout.status === 'paused' && rollout.requestedAction))
+        }));
+        jest.spyOn(Rollout, 'findById').mockImplementation(rolloutId => mockQuery(rollouts.get(String(rolloutId)) || null));
+        jest.spyOn(Rollout, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+            const rollout = rollouts.get(String(filter._id));
+            const from = filter.status.$in || [filter.status];
+            if (!rollout || !from.includes(rollout.status) || rollout.requestedAction) return null;
+            rollout.set(update.$set);
+            return rollout;
+        });
+        jest.spyOn(ConfigDeploymentService, 'deploy').mockImplementation(async deviceId => (
+            failing.has(name(deviceId))
+                ? { _id: objectId(), status: 'rolled_back', error: 'Apply failed: commit rejected' }
+                : { _id: objectId(), status: 'confirmed' }
+        ));
+        jest.spyOn(ConfigDeploymentService, 'checkHealth').mockImplementation(async deviceId => (
+            unhealthy.has(name(deviceId))
+                ? { passed: false, failures: ['Device is not reachable'] }
+                : { passed: true, failures: [] }
+        ));
+        jest.spyOn(ConfigDeploymentService, 'revert').mockImplementation(async () => ({ _id: objectId(), status: 'confirmed' }));
+        jest.spyOn(AuditLogger, 'log').mockResolvedValue({});
+        jest.spyOn(WebSocketService, 'emit').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should deploy the canary first and then every batch once the gates pass', async () => {
+        const rollout = await create({ canarySize: 1, batchSize: 2 });
+        expect(rollout.batches.map(batch => batch.devices.length)).toEqual([1, 2, 2]);
+        expect(rollout.batches[0].canary).toBe(true);
+
+        await RolloutOrchestrator.tick();
+
+        expect(rollout.status).toBe('completed');
+        expect(rollout.batches.map(batch => batch.status)).toEqual(['passed', 'passed', 'passed']);
+        expect(statuses(rollout)).toEqual(['deployed', 'deployed', 'deployed', 'deployed', 'deployed']);
+        expect(deployed()).toEqual(devices.map(device => String(device._id)));
+        expect(ConfigDeploymentService.deploy).toHaveBeenCalledWith(devices[0]._id, config,
+            { autoConfirm: true, comment: 'Rollout NTP change' }, { id: 'user-1' });
+        expect(ConfigDeploymentService.checkHealth).toHaveBeenCalledTimes(5);
+        expect(ConfigDeploymentService.revert).not.toHaveBeenCalled();
+        expect(WebSocketService.emit).toHaveBeenLastCalledWith('rollout:progress', expect.objectContaining({
+            status: 'completed',
+            progress: expect.objectContaining({ batch: 3, batches: 3, total: 5, deployed: 5 })
+        }));
+    });
+
+    it('should halt and revert the deployed devices when the error rate is exceeded', async () => {
+        failing.add('edge-3');
+        const rollout = await create({ canarySize: 1, batchSize: 3 });
+
+        await RolloutOrchestrator.tick();
+
+        expect(rollout.status).toBe('rolled_back');
+        expect(rollout.haltReason).toMatchObject({ gate: 'error_rate', message: '25% of deploys failed, more than the 20% allowed' });
+        expect(rollout.batches.map(batch => batch.status)).toEqual(['passed', 'failed', 'pending']);
+        expect(rollout.batches[1].gates.errorRate).toMatchObject({ passed: false, rate: 0.25, threshold: 0.2 });
+        expect(statuses(rollout)).toEqual(['reverted', 'reverted', 'failed', 'reverted', 'pending']);
+        expect(ConfigDeploymentService.revert.mock.calls.map(call => String(call[0]))).toEqual([
+            String(rollout.batches[1].devices[2].deploymentId),
+            String(rollout.batches[1].devices[0].deploymentId),
+            String(rollout.batches[0].devices[0].deploymentId)
+        ]);
+    });
+
+    it('should stop at the canary when it fails the health gate', async () => {
+        unhealthy.add('edge-1');
+        const rollout = await create({ canarySize: 1, batchSize: 2 });
+
+        await RolloutOrchestrator.tick();
+
+        expect(rollout.status).toBe('rolled_back');
+        expect(rollout.haltReason).toMatchObject({ gate: 'health', message: '1 device(s) of batch 1 failed the health check' });
+        expect(rollout.batches[0].gates.health).toMatchObject({ passed: false, unhealthy: 1 });
+        expect(rollout.batches[0].devices[0]).toMatchObject({ status: 'reverted', error: 'Device is not reachable' });
+        expect(deployed()).toEqual([String(devices[0]._id)]);
+    });
+
+    it('should pause, resume and abort on request', async () => {
+        const rollout = await create({ canarySize: 1, batchSize: 2 });
+        await RolloutOrchestrator.pause(rollout._id, actor);
+        await expect(RolloutOrchestrator.pause(rollout._id, actor)).rejects.toMatchObject({ code: 'CONFLICT' });
+
+        await RolloutOrchestrator.tick();
+        expect(rollout.status).toBe('paused');
+        expect(deployed()).toEqual([]);
+
+        await RolloutOrchestrator.resume(rollout._id, actor);
+        await RolloutOrchestrator.abort(rollout._id, actor);
+        await RolloutOrchestrator.tick();
+
+        expect(rollout).toMatchObject({ status: 'rolled_back', requestedAction: undefined });
+        expect(rollout.haltReason).toMatchObject({ gate: 'aborted', message: 'Aborted by user-1' });
+        expect(deployed()).toEqual([]);
+        expect(AuditLogger.log.mock.calls.map(call => call[0].action.type))
+            .toEqual(['rollout.create', 'rollout.pause', 'rollout.resume', 'rollout.abort', 'rollout.halt']);
+    });
+});
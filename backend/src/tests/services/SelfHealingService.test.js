@@ -0,0 +1,22 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SelfHealingService } from '../../services/SelfHealingService.js';
+
+describe('SelfHealingService', () => {
+    it('should refuse management addresses that are not an IP address or host name', async () => {
+        const marker = path.join(os.tmpdir(), `self-healing-${process.pid}`);
+
+        for (const host of [`127.0.0.1; touch ${marker}`, `$(touch ${marker})`, '-f', 'core-1 -c 100', 'a..b']) {
+            const result = await SelfHealingService._checkConnectivity({ name: 'core-1', connectionInfo: { host } });
+
+            expect(result).toEqual({ isConnected: false, error: `${host} is not an IP address or host name` });
+        }
+        expect(fs.existsSync(marker)).toBe(false);
+    });
+
+    it('should report devices without a management address', async () => {
+        expect(await SelfHealingService._checkConnectivity({ name: 'core-1', connectionInfo: {}, interfaces: [] }))
+            .toEqual({ isConnected: false, error: 'Device has no management address' });
+    });
+});
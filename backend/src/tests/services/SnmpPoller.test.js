@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+import NetworkDevice from '../../models/NetworkDevice.js';
+import NetworkMetrics from '../../models/NetworkMetrics.js';
+import { CredentialVault } from '../../services/CredentialVault.js';
+import DataManager from '../../services/DataManager.js';
+import { SnmpPoller } from '../../services/SnmpPoller.js';
+import { SnmpClient } from '../../utils/SnmpClient.js';
+
+const sample = (timestamp, uptime, counters) => ({
+    timestamp,
+    uptime,
+    interfaces: {
+        2: {
+            name: 'eth0',
+            status: 'up',
+            speed: 1e9,
+            counterBits: 64,
+            inErrors: 0,
+            outErrors: 0,
+            inDiscards: 0,
+            outDiscards: 0,
+            ...counters
+        }
+    }
+});
+
+describe('SnmpPoller', () => {
+    describe('counterDelta', () => {
+        it('should subtract readings that did not wrap', () => {
+            expect(SnmpPoller.counterDelta(100, 350, 32)).toBe(250);
+        });
+
+        it('should account for a 32-bit wrap', () => {
+            expect(SnmpPoller.counterDelta(4294967290, 10, 32)).toBe(16);
+        });
+
+        it('should account for a 64-bit wrap', () => {
+            expect(SnmpPoller.counterDelta(18446744073709551610n, 4n, 64)).toBe(10);
+        });
+    });
+
+    describe('computeRates', () => {
+        it('should turn octet deltas into bits per second and utilization', () => {
+            const previous = sample(0, 1000, { inOctets: 1000000n, outOctets: 0n, inErrors: 5 });
+            const current = sample(60000, 1060, { inOctets: 751000000n, outOctets: 375000000n, inErrors: 8 });
+
+            const [rate] = SnmpPoller.computeRates(previous, current);
+
+            expect(rate.interfaceName).toBe('eth0');
+            expect(rate.inbound).toBe(100000000);
+            expect(rate.outbound).toBe(50000000);
+            expect(rate.utilization).toBe(10);
+            expect(rate.inErrors).toBe(3);
+        });
+
+        it('should compute rates across a 32-bit octet counter wrap', () => {
+            const previous = sample(0, 1000, { counterBits: 32, inOctets: 4294967000, outOctets: 0 });
+            const current = sample(10000, 1010, { counterBits: 32, inOctets: 704, outOctets: 0 });
+
+            const [rate] = SnmpPoller.computeRates(previous, current);
+
+            expect(rate.inbound).toBe(1000 * 8 / 10);
+        });
+
+        it('should discard the sample when sysUpTime shows a restart', () => {
+            const previous = sample(0, 86400, { inOctets: 5000000n, outOctets: 5000000n });
+            const current = sample(60000, 30, { inOctets: 1000n, outOctets: 1000n });
+
+            expect(SnmpPoller.computeRates(previous, current)).toBeNull();
+        });
+
+        it('should skip interfaces without a previous reading or with a different counter width', () => {
+            const previous = sample(0, 1000, { counterBits: 32, inOctets: 0, outOctets: 0 });
+            const current = sample(60000, 1060, { inOctets: 100n, outOctets: 100n });
+            current.interfaces[3] = { ...current.interfaces[2], name: 'eth1' };
+
+            expect(SnmpPoller.computeRates(previous, current)).toEqual([]);
+        });
+
+        it('should leave utilization unset when the interface speed is unknown', () => {
+            const previous = sample(0, 1000, { speed: 0, inOctets: 0n, outOctets: 0n });
+            const current = sample(1000, 1001, { speed: 0, inOctets: 125n, outOctets: 0n });
+
+            const [rate] = SnmpPoller.computeRates(previous, current);
+
+            expect(rate.inbound).toBe(1000);
+            expect(rate.utilization).toBeUndefined();
+        });
+    });
+
+    describe('pollDevice', () => {
+        afterEach(() => jest.restoreAllMocks());
+
+        it('should not poll a device that has no SNMP credential in the vault', async () => {
+            jest.spyOn(NetworkDevice, 'findById').mockResolvedValue({
+                _id: 'device-1',
+                name: 'core-1',
+                connectionInfo: { protocol: 'snmp', host: '10.0.0.1' }
+            });
+            jest.spyOn(CredentialVault, 'resolve').mockResolvedValue(null);
+            const request = jest.spyOn(SnmpClient.prototype, '_request');
+
+            await expect(SnmpPoller.pollDevice('device-1')).rejects.toMatchObject({
+                code: 'BAD_REQUEST',
+                message: 'core-1 has no SNMP credential in the vault'
+            });
+            expect(request).not.toHaveBeenCalled();
+        });
+
+        it('should store the CPU load and memory of the poll with each interface sample', async () => {
+            const device = { _id: 'device-2', name: 'core-2', connectionInfo: { protocol: 'snmp', host: '10.0.0.2' }, interfaces: [] };
+            const memory = { total: 8e9, used: 6e9, free: 2e9 };
+            jest.spyOn(NetworkDevice, 'findById').mockResolvedValue(device);
+            jest.spyOn(NetworkDevice, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+            jest.spyOn(CredentialVault, 'resolve').mockResolvedValue({ type: 'snmp_community', community: 'c0re-ro' });
+            jest.spyOn(SnmpPoller, '_collect').mockResolvedValue({ ...sample(60000, 1060, { inOctets: 750n, outOctets: 0n }), cpu: 42, memory });
+            const addMetrics = jest.spyOn(DataManager, 'addMetrics').mockResolvedValue({});
+            SnmpPoller.samples.set('device-2', sample(0, 1000, { inOctets: 0n, outOctets: 0n }));
+
+            try {
+                await SnmpPoller.pollDevice('device-2');
+            } finally {
+                SnmpPoller.samples.delete('device-2');
+            }
+
+            const [metrics] = addMetrics.mock.calls[0];
+            expect(metrics.metrics).toMatchObject({ cpu: { value: 42 }, memory: { used: { value: 6e9 }, total: { value: 8e9 } } });
+            await expect(new NetworkMetrics(metrics).validate()).resolves.toBeUndefined();
+        });
+    });
+});
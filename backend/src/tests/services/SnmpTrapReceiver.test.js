@@ -0,0 +1,230 @@
+import dgram from 'dgram';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import NetworkDevice from '../../models/NetworkDevice.js';
+import { CredentialVault } from '../../services/CredentialVault.js';
+import WebSocketService from '../../services/WebSocketService.js';
+import { NetworkMonitor } from '../../services/NetworkMonitor.js';
+import { SnmpTrapReceiver } from '../../services/SnmpTrapReceiver.js';
+import { SnmpMessage, SnmpUsm, MsgFlags, PduType } from '../../utils/SnmpClient.js';
+import { BerCodec, BerType } from '../../utils/BerCodec.js';
+
+const deviceId = new mongoose.Types.ObjectId();
+const agent = { address: '192.0.2.1', port: 50000 };
+
+const SYS_UPTIME = '1.3.6.1.2.1.1.3.0';
+const SNMP_TRAP_OID = '1.3.6.1.6.3.1.1.4.1.0';
+
+const v2Trap = (trapOid, varbinds = [], { community = 'public', type = PduType.TRAP_V2 } = {}) =>
+    SnmpMessage.encodeCommunity({
+        version: '2c',
+        community,
+        pdu: {
+            type,
+            requestId: 7,
+            varbinds: [
+                { oid: SYS_UPTIME, type: 'TIMETICKS', value: 123400 },
+                { oid: SNMP_TRAP_OID, type: 'OID', value: trapOid },
+                ...varbinds
+            ]
+        }
+    });
+
+const linkVarbinds = (ifIndex, operStatus) => [
+    { oid: `1.3.6.1.2.1.2.2.1.1.${ifIndex}`, type: 'INTEGER', value: ifIndex },
+    { oid: `1.3.6.1.2.1.2.2.1.7.${ifIndex}`, type: 'INTEGER', value: 1 },
+    { oid: `1.3.6.1.2.1.2.2.1.8.${ifIndex}`, type: 'INTEGER', value: operStatus }
+];
+
+const mockDevice = (device) => {
+    jest.spyOn(NetworkDevice, 'findById').mockReturnValue({ select: () => Promise.resolve(device) });
+    return jest.spyOn(NetworkDevice, 'updateOne').mockResolvedValue({});
+};
+
+const request = (socket, port, message) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('No answer from the trap receiver')), 2000);
+    socket.once('message', buffer => {
+        clearTimeout(timer);
+        resolve(buffer);
+    });
+    socket.send(message, port, '127.0.0.1');
+});
+
+describe('SnmpTrapReceiver', () => {
+    let emit;
+
+    beforeEach(() => {
+        emit = jest.spyOn(WebSocketService, 'emit').mockImplementation(() => {});
+        SnmpTrapReceiver.devicesByAddress = new Map([['192.0.2.1', deviceId], ['127.0.0.1', deviceId]]);
+    });
+
+    afterEach(() => {
+        SnmpTrapReceiver.recent = [];
+        jest.restoreAllMocks();
+    });
+
+    describe('handleMessage', () => {
+        it('should mark the interface down and report a degraded device', async () => {
+            const updateOne = mockDevice({
+                _id: deviceId,
+                name: 'core-1',
+                status: 'active',
+                interfaces: [
+                    { name: 'Gi0/1', ifIndex: 1, status: 'up' },
+                    { name: 'Gi0/3', ifIndex: 3, status: 'up' }
+                ]
+            });
+
+            const trap = await SnmpTrapReceiver.handleMessage(v2Trap('1.3.6.1.6.3.1.1.5.3', linkVarbinds(3, 2)), agent);
+
+            expect(trap).toMatchObject({ version: '2c', trapName: 'linkDown', deviceId, uptime: 123400 });
+            expect(trap.varbinds[2]).toMatchObject({ name: 'ifOperStatus.3', value: 2, label: 'down' });
+            expect(updateOne).toHaveBeenCalledWith({ _id: deviceId }, {
+                $set: { lastSeen: trap.receivedAt, 'interfaces.1.status': 'down', status: 'active' }
+            });
+            expect(emit).toHaveBeenCalledWith('device:status', expect.objectContaining({
+                deviceId,
+                status: 'degraded',
+                trap: 'linkDown',
+                metrics: { uptime: 1234, lastSeen: trap.receivedAt },
+                interface: { ifIndex: 3, name: 'Gi0/3', status: 'down' }
+            }));
+            expect(SnmpTrapReceiver.getRecentTraps()).toEqual([trap]);
+        });
+
+        it('should put a device whose last interface went down in error unless it is in maintenance', async () => {
+            const interfaces = [{ name: 'Gi0/1', ifIndex: 1, status: 'up' }];
+            let updateOne = mockDevice({ _id: deviceId, name: 'edge-1', status: 'active', interfaces });
+
+            await SnmpTrapReceiver.handleMessage(v2Trap('1.3.6.1.6.3.1.1.5.3', linkVarbinds(1, 2)), agent);
+            expect(updateOne.mock.calls[0][1].$set.status).toBe('error');
+            expect(emit.mock.calls[0][1].status).toBe('down');
+
+            jest.restoreAllMocks();
+            updateOne = mockDevice({ _id: deviceId, name: 'edge-1', status: 'maintenance', interfaces });
+            await SnmpTrapReceiver.handleMessage(v2Trap('1.3.6.1.6.3.1.1.5.3', linkVarbinds(1, 2)), agent);
+            expect(updateOne.mock.calls[0][1].$set.status).toBeUndefined();
+        });
+
+        it('should translate v1 traps to their v2 trap OIDs', async () => {
+            const updateOne = mockDevice({ _id: deviceId, status: 'error', interfaces: [] });
+            const pdu = BerCodec.encodeSequence([
+                BerCodec.encodeOid('1.3.6.1.4.1.9'),
+                BerCodec.encodeIpAddress('192.0.2.1'),
+                BerCodec.encodeInteger(0),
+                BerCodec.encodeInteger(0),
+                BerCodec.encodeUnsigned(500, BerType.TIMETICKS),
+                BerCodec.encodeSequence([])
+            ], PduType.TRAP_V1);
+            const message = BerCodec.encodeSequence([
+                BerCodec.encodeInteger(0),
+                BerCodec.encodeOctetString('public'),
+                pdu
+            ]);
+
+            // The agent address in the PDU identifies the device, not the relay that forwarded it
+            const trap = await SnmpTrapReceiver.handleMessage(message, { address: '198.51.100.9', port: 162 });
+
+            expect(trap).toMatchObject({ version: '1', trapOid: '1.3.6.1.6.3.1.1.5.1', trapName: 'coldStart', deviceId });
+            expect(updateOne).toHaveBeenCalledWith({ _id: deviceId }, {
+                $set: { lastSeen: trap.receivedAt, uptime: 5, status: 'active' }
+            });
+            expect(emit).toHaveBeenCalledWith('device:status', expect.objectContaining({ status: 'up', trap: 'coldStart' }));
+        });
+
+        it('should raise an alert for authentication failures', async () => {
+            const generateAlert = jest.spyOn(NetworkMonitor, 'generateAlert').mockResolvedValue({});
+
+            await SnmpTrapReceiver.handleMessage(v2Trap('1.3.6.1.6.3.1.1.5.5'), agent);
+
+            expect(generateAlert).toHaveBeenCalledWith(deviceId, 'snmp_auth_failure', 'medium',
+                expect.stringContaining('192.0.2.1'), expect.objectContaining({ source: 'snmp_trap' }));
+        });
+
+        it('should drop traps with an unknown community', async () => {
+            const trap = await SnmpTrapReceiver.handleMessage(v2Trap('1.3.6.1.6.3.1.1.5.5', [], { community: 'guess' }), agent);
+
+            expect(trap).toBeNull();
+            expect(SnmpTrapReceiver.getRecentTraps()).toEqual([]);
+        });
+    });
+
+    describe('informs', () => {
+        let client;
+        let port;
+
+        beforeEach(async () => {
+            jest.spyOn(SnmpTrapReceiver, 'refresh').mockResolvedValue();
+            jest.spyOn(SnmpTrapReceiver, 'loadMibs').mockResolvedValue({});
+            jest.spyOn(NetworkDevice, 'updateOne').mockResolvedValue({});
+            ({ port } = await SnmpTrapReceiver.start({ host: '127.0.0.1', port: 0 }));
+            client = dgram.createSocket('udp4');
+        });
+
+        afterEach(async () => {
+            client.close();
+            await SnmpTrapReceiver.stop();
+        });
+
+        it('should acknowledge v2c informs', async () => {
+            const varbinds = [{ oid: '1.3.6.1.2.1.1.5.0', type: 'OCTET_STRING', value: 'core-1' }];
+            const answer = SnmpMessage.decode(await request(client, port,
+                v2Trap('1.3.6.1.4.1.9.0.1', varbinds, { type: PduType.INFORM_REQUEST })));
+
+            expect(answer.community).toBe('public');
+            expect(answer.pdu).toMatchObject({ type: PduType.RESPONSE, requestId: 7 });
+            expect(answer.pdu.varbinds).toHaveLength(3);
+        });
+
+        it('should let v3 senders discover the engine and acknowledge authPriv informs', async () => {
+            const user = { name: 'traps', authProtocol: 'sha', authPassword: 'auth-secret', privProtocol: 'aes', privPassword: 'priv-secret' };
+            const resolveUser = jest.spyOn(CredentialVault, 'resolveSnmpUser').mockResolvedValue({
+                type: 'snmp_v3',
+                username: user.name,
+                authProtocol: user.authProtocol,
+                authPassword: user.authPassword,
+                privProtocol: user.privProtocol,
+                privPassword: user.privPassword
+            });
+
+            const report = SnmpMessage.decode(await request(client, port, SnmpMessage.encodeV3({
+                msgId: 1,
+                flags: MsgFlags.REPORTABLE,
+                security: {},
+                pdu: { type: PduType.GET_REQUEST, requestId: 1, varbinds: [] }
+            })));
+            expect(report.pdu.type).toBe(PduType.REPORT);
+            expect(report.pdu.varbinds[0].oid).toBe('1.3.6.1.6.3.15.1.1.4.0');
+            const { engineId, engineBoots, engineTime } = report.security;
+            expect(engineId.equals(SnmpTrapReceiver.engineId)).toBe(true);
+
+            const keys = {
+                authProtocol: 'sha',
+                authKey: SnmpUsm.localizeKey('sha', user.authPassword, engineId),
+                privKey: SnmpUsm.localizeKey('sha', user.privPassword, engineId)
+            };
+            const received = new Promise(resolve => SnmpTrapReceiver.once('trap', resolve));
+            const buffer = await request(client, port, SnmpMessage.encodeV3({
+                msgId: 2,
+                flags: MsgFlags.AUTH | MsgFlags.PRIV | MsgFlags.REPORTABLE,
+                security: { engineId, engineBoots, engineTime, userName: 'traps' },
+                contextEngineId: engineId,
+                pdu: {
+                    type: PduType.INFORM_REQUEST,
+                    requestId: 2,
+                    varbinds: [
+                        { oid: SYS_UPTIME, type: 'TIMETICKS', value: 100 },
+                        { oid: SNMP_TRAP_OID, type: 'OID', value: '1.3.6.1.6.3.1.1.5.2' }
+                    ]
+                },
+                user: keys
+            }));
+
+            expect(SnmpMessage.verifyV3(buffer, 'sha', keys.authKey)).toBe(true);
+            const answer = SnmpMessage.decryptV3(SnmpMessage.decode(buffer), keys.privKey);
+            expect(answer.pdu).toMatchObject({ type: PduType.RESPONSE, requestId: 2 });
+            expect(resolveUser).toHaveBeenCalledWith('traps', { reason: 'snmp_trap', cache: true });
+            expect(await received).toMatchObject({ version: '3', userName: 'traps', inform: true, trapName: 'warmStart' });
+        });
+    });
+});
@@ -0,0 +1,138 @@
+import dgram from 'dgram';
+import net from 'net';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import AlertConfig from '../../models/AlertConfig.js';
+import SyslogPattern from '../../models/SyslogPattern.js';
+import { NetworkMonitor } from '../../services/NetworkMonitor.js';
+import { SyslogReceiver } from '../../services/SyslogReceiver.js';
+
+const deviceId = new mongoose.Types.ObjectId();
+
+const alertConfig = new AlertConfig({
+    name: 'Link state',
+    severity: 'high',
+    scope: { type: 'network' },
+    conditions: [],
+    cooldown: 300,
+    notifications: [
+        { type: 'slack', config: { slackChannel: '#noc' } },
+        { type: 'email', config: { emailAddresses: ['noc@example.com'] }, enabled: false }
+    ]
+});
+
+const linkDown = new SyslogPattern({
+    name: 'link-down',
+    pattern: 'LINK-3-UPDOWN.*changed state to down',
+    eventType: 'link_down',
+    maxSeverity: 4,
+    alertConfigId: alertConfig._id
+});
+
+const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+describe('SyslogReceiver', () => {
+    let generateAlert;
+
+    beforeEach(() => {
+        generateAlert = jest.spyOn(NetworkMonitor, 'generateAlert').mockResolvedValue({});
+        SyslogReceiver.patterns = [linkDown];
+        SyslogReceiver.alertConfigs = new Map([[alertConfig._id.toString(), alertConfig]]);
+        SyslogReceiver.devicesByAddress = new Map([['192.0.2.1', deviceId]]);
+        SyslogReceiver.devicesByHostname = new Map([['core-2', deviceId]]);
+    });
+
+    afterEach(() => {
+        SyslogReceiver.messages = [];
+        SyslogReceiver.lastAlerts = new Map();
+        jest.restoreAllMocks();
+    });
+
+    describe('handleMessage', () => {
+        it('should map the sender to a device and record matched patterns', () => {
+            const message = SyslogReceiver.handleMessage(
+                '<187>1: core-1: *Oct 19 10:00:00: %LINK-3-UPDOWN: Interface Gi0/1, changed state to down',
+                { address: '::ffff:192.0.2.1', transport: 'tcp' }
+            );
+
+            expect(message).toMatchObject({ source: '192.0.2.1', transport: 'tcp', deviceId, matchedPatterns: ['link-down'] });
+            expect(SyslogReceiver.messages).toHaveLength(1);
+        });
+
+        it('should fall back to the hostname in the message', () => {
+            const message = SyslogReceiver.handleMessage('<13>Oct 19 10:00:00 core-2 app: hello', { address: '198.51.100.7', transport: 'udp' });
+
+            expect(message.deviceId).toBe(deviceId);
+            expect(message.matchedPatterns).toEqual([]);
+        });
+
+        it('should apply the severity filter of a pattern', () => {
+            const message = SyslogReceiver.handleMessage(
+                '<189>1: *Oct 19 10:00:00: %LINK-3-UPDOWN: Interface Gi0/1, changed state to down',
+                { address: '192.0.2.1', transport: 'udp' }
+            );
+
+            expect(message.matchedPatterns).toEqual([]);
+        });
+
+        it('should raise one alert per device within the cooldown', async () => {
+            const raw = '<187>1: *Oct 19 10:00:00: %LINK-3-UPDOWN: Interface Gi0/1, changed state to down';
+            SyslogReceiver.handleMessage(raw, { address: '192.0.2.1', transport: 'udp' });
+            SyslogReceiver.handleMessage(raw, { address: '192.0.2.1', transport: 'udp' });
+            SyslogReceiver.handleMessage(raw, { address: '198.51.100.9', transport: 'udp' });
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(generateAlert).toHaveBeenCalledTimes(2);
+            const [alertDevice, type, severity, text, details] = generateAlert.mock.calls[0];
+            expect(alertDevice).toBe(deviceId);
+            expect(type).toBe('link_down');
+            expect(severity).toBe('high');
+            expect(text).toBe('link-down: %LINK-3-UPDOWN: Interface Gi0/1, changed state to down');
+            expect(details).toMatchObject({ source: 'syslog', alertConfigName: 'Link state', syslog: { severity: 'err' } });
+            expect(details.channels).toHaveLength(1);
+            expect(details.channels[0].type).toBe('slack');
+        });
+
+        it('should not alert through a disabled alert config', async () => {
+            alertConfig.enabled = false;
+            SyslogReceiver.handleMessage(
+                '<187>1: *Oct 19 10:00:00: %LINK-3-UPDOWN: Interface Gi0/1, changed state to down',
+                { address: '192.0.2.1', transport: 'udp' }
+            );
+            await new Promise(resolve => setImmediate(resolve));
+            alertConfig.enabled = true;
+
+            expect(generateAlert).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('listeners', () => {
+        afterEach(async () => {
+            await SyslogReceiver.stop();
+        });
+
+        it('should receive messages over UDP and TCP', async () => {
+            jest.spyOn(SyslogReceiver, 'refresh').mockResolvedValue();
+            jest.spyOn(SyslogReceiver, 'flush').mockResolvedValue({ messages: 0 });
+
+            const { udp, tcp } = await SyslogReceiver.start({ host: '127.0.0.1', udpPort: 0, tcpPort: 0 });
+
+            const client = dgram.createSocket('udp4');
+            await new Promise(resolve => client.send('<14>1 - udp-host app - - - over udp', udp.port, '127.0.0.1', resolve));
+            client.close();
+
+            const socket = net.connect(tcp.port, '127.0.0.1');
+            await new Promise(resolve => socket.once('connect', resolve));
+            socket.end('24 <14>1 - tcp-host a - - -<14>Oct 19 10:00:00 tcp-host app: framed by newline\n');
+
+            await waitFor(() => SyslogReceiver.messages.length === 3);
+
+            const hosts = SyslogReceiver.messages.map(message => `${message.transport}:${message.hostname}`).sort();
+            expect(hosts).toEqual(['tcp:tcp-host', 'tcp:tcp-host', 'udp:udp-host']);
+        });
+    });
+});
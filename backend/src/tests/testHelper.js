@@ -86,6 +86,24 @@ export const mockSocketIO = {
     leave: jest.fn()
 };
 
+// Service Test Helpers
+export const objectId = () => new mongoose.Types.ObjectId();
+
+export const testActor = { id: 'user-1', type: 'admin' };
+
+// Stands in for a Mongoose query: chains like one and resolves to value when awaited or lean()ed
+export const mockQuery = (value) => {
+    const chain = {
+        select: () => chain,
+        sort: () => chain,
+        limit: () => chain,
+        populate: () => chain,
+        lean: () => Promise.resolve(value),
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return chain;
+};
+
 // Test Data Generators
 export const generateTestDevice = () => ({
     name: 'Test Device',
@@ -0,0 +1,61 @@
+import { BerCodec, BerType } from '../../utils/BerCodec.js';
+
+const roundTrip = (encoded) => BerCodec.decodeValue(BerCodec.readTlv(encoded));
+
+describe('BerCodec', () => {
+    it('should encode integers in the fewest two\'s complement bytes', () => {
+        expect(BerCodec.encodeInteger(0).toString('hex')).toBe('020100');
+        expect(BerCodec.encodeInteger(127).toString('hex')).toBe('02017f');
+        expect(BerCodec.encodeInteger(128).toString('hex')).toBe('02020080');
+        expect(BerCodec.encodeInteger(-129).toString('hex')).toBe('0202ff7f');
+    });
+
+    it('should round-trip signed integers', () => {
+        for (const value of [0, 1, -1, 255, 256, -256, 2147483647, -2147483648]) {
+            expect(roundTrip(BerCodec.encodeInteger(value))).toEqual({ type: 'INTEGER', value });
+        }
+    });
+
+    it('should encode OIDs with multi-byte sub-identifiers', () => {
+        const encoded = BerCodec.encodeOid('1.3.6.1.4.1.2636.3.1.13');
+        expect(encoded.toString('hex')).toBe('060a2b06010401944c03010d');
+        expect(roundTrip(encoded)).toEqual({ type: 'OID', value: '1.3.6.1.4.1.2636.3.1.13' });
+    });
+
+    it('should reject malformed OIDs', () => {
+        expect(() => BerCodec.encodeOid('1')).toThrow('Invalid OID');
+        expect(() => BerCodec.encodeOid('1.3.x')).toThrow('Invalid OID');
+    });
+
+    it('should keep unsigned application types unsigned', () => {
+        expect(roundTrip(BerCodec.encodeUnsigned(4294967295, BerType.COUNTER32)))
+            .toEqual({ type: 'COUNTER32', value: 4294967295 });
+        expect(roundTrip(BerCodec.encodeValue({ type: 'TIMETICKS', value: 8640000 })))
+            .toEqual({ type: 'TIMETICKS', value: 8640000 });
+    });
+
+    it('should decode Counter64 values as BigInt without losing precision', () => {
+        const value = 18446744073709551615n;
+        const decoded = roundTrip(BerCodec.encodeValue({ type: 'COUNTER64', value }));
+
+        expect(decoded.type).toBe('COUNTER64');
+        expect(decoded.value === value).toBe(true);
+    });
+
+    it('should use long-form lengths above 127 bytes', () => {
+        const encoded = BerCodec.encodeOctetString(Buffer.alloc(300, 0x61));
+
+        expect(encoded.subarray(0, 4).toString('hex')).toBe('0482012c');
+        expect(roundTrip(encoded).value.length).toBe(300);
+    });
+
+    it('should map exception values to a null value', () => {
+        expect(roundTrip(BerCodec.encodeNull(BerType.END_OF_MIB_VIEW)))
+            .toEqual({ type: 'END_OF_MIB_VIEW', value: null });
+    });
+
+    it('should reject truncated input', () => {
+        const encoded = BerCodec.encodeOctetString('truncated');
+        expect(() => BerCodec.readTlv(encoded.subarray(0, 5))).toThrow('Truncated BER data');
+    });
+});
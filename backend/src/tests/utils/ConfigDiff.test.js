@@ -0,0 +1,88 @@
+import { configTree, diffKeys, diffLines } from '../../utils/ConfigDiff.js';
+
+const running = [
+    'hostname core-1',
+    '!',
+    'interface GigabitEthernet0/1',
+    ' description uplink',
+    ' ip address 10.0.0.1 255.255.255.0',
+    '!',
+    'interface GigabitEthernet0/2',
+    ' shutdown',
+    '!',
+    'router ospf 1',
+    ' network 10.0.0.0 0.0.0.255 area 0',
+    'end'
+].join('\n');
+
+describe('ConfigDiff', () => {
+    describe('diffLines', () => {
+        it('should group changes into hunks with context and line numbers', () => {
+            const changed = running
+                .replace(' description uplink', ' description uplink to dist-1')
+                .replace(' shutdown', ' no shutdown');
+
+            const diff = diffLines(running, changed, { context: 1 });
+
+            expect(diff).toMatchObject({ added: 2, removed: 2 });
+            expect(diff.hunks).toEqual([
+                {
+                    oldStart: 3,
+                    oldLines: 3,
+                    newStart: 3,
+                    newLines: 3,
+                    lines: [
+                        { type: 'context', text: 'interface GigabitEthernet0/1' },
+                        { type: 'remove', text: ' description uplink' },
+                        { type: 'add', text: ' description uplink to dist-1' },
+                        { type: 'context', text: ' ip address 10.0.0.1 255.255.255.0' }
+                    ]
+                },
+                {
+                    oldStart: 7,
+                    oldLines: 3,
+                    newStart: 7,
+                    newLines: 3,
+                    lines: [
+                        { type: 'context', text: 'interface GigabitEthernet0/2' },
+                        { type: 'remove', text: ' shutdown' },
+                        { type: 'add', text: ' no shutdown' },
+                        { type: 'context', text: '!' }
+                    ]
+                }
+            ]);
+        });
+
+        it('should find no changes between equal configs and fall back to a replacement past maxEdits', () => {
+            expect(diffLines(running, `${running.replace(/\n/g, '\r\n')}\r\n`)).toEqual({ added: 0, removed: 0, hunks: [] });
+
+            const diff = diffLines('a\nb\nc\nd', 'a\nx\nc\ny', { maxEdits: 2 });
+            expect(diff).toMatchObject({ added: 3, removed: 3 });
+            expect(diff.hunks[0].lines.map(entry => entry.type)).toEqual(['context', 'remove', 'remove', 'remove', 'add', 'add', 'add']);
+        });
+    });
+
+    describe('diffKeys', () => {
+        it('should report added, removed and changed keys with their paths', () => {
+            const before = { vlans: [{ id: 10, name: 'users' }], ntp: { server: '10.0.0.5' }, snmp: { community: 'ops' } };
+            const after = { vlans: [{ id: 10, name: 'staff' }, { id: 20, name: 'voice' }], ntp: { server: '10.0.0.5' }, dns: '10.0.0.53' };
+
+            expect(diffKeys(before, after)).toEqual([
+                { path: ['dns'], change: 'added', after: '10.0.0.53' },
+                { path: ['snmp'], change: 'removed', before: { community: 'ops' } },
+                { path: ['vlans', '[0]', 'name'], change: 'changed', before: 'users', after: 'staff' },
+                { path: ['vlans', '[1]'], change: 'added', after: { id: 20, name: 'voice' } }
+            ]);
+        });
+
+        it('should diff text configs by their indented sections', () => {
+            const changed = running.replace(' shutdown\n', '').replace('hostname core-1', 'hostname core-2');
+
+            expect(diffKeys(configTree(running), configTree(changed))).toEqual([
+                { path: ['hostname core-1'], change: 'removed', before: {} },
+                { path: ['hostname core-2'], change: 'added', after: {} },
+                { path: ['interface GigabitEthernet0/2', 'shutdown'], change: 'removed', before: {} }
+            ]);
+        });
+    });
+});
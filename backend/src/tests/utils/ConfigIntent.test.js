@@ -0,0 +1,140 @@
+import {
+    defaultIntent, dscpValue, fillSnmpSecrets, maskCommunities, netmask, normalizeIntent, referToSnmpSecrets, snmpSecretIds, wildcard
+} from '../../utils/ConfigIntent.js';
+
+const SECRET = '65f0c0ffee0000000000a001';
+
+describe('ConfigIntent', () => {
+    describe('normalizeIntent', () => {
+        it('should fill in defaults', () => {
+            const intent = normalizeIntent({
+                interfaces: [{ name: 'Gi0/1', address: '10.0.0.1/24' }],
+                acls: [{ name: 'EDGE', entries: [{ action: 'deny', destination: '10.0.0.5' }] }],
+                logging: { hosts: ['10.0.0.50'] }
+            });
+
+            expect(intent.interfaces[0]).toMatchObject({ mode: 'routed', enabled: true, allowedVlans: [] });
+            expect(intent.acls[0].entries[0]).toEqual({
+                action: 'deny',
+                protocol: 'ip',
+                source: 'any',
+                sourcePort: undefined,
+                destination: '10.0.0.5/32',
+                destinationPort: undefined,
+                log: false
+            });
+            expect(intent.logging).toEqual({ hosts: ['10.0.0.50'], level: 'info', facility: 'local7', buffered: undefined });
+            expect(intent).toMatchObject({ vlans: [], staticRoutes: [], qos: { classes: [], policies: [] }, snmp: null });
+        });
+
+        it('should list every problem, including values that would break out of a CLI line', () => {
+            let error;
+            try {
+                normalizeIntent({
+                    hostname: 'core 1',
+                    snmp: { location: 'DC1"\nsnmp-server community secret RW' },
+                    staticRoutes: [{ prefix: '10.0.0.1/24', nextHop: '10.0.0.256' }],
+                    interfaces: [
+                        { name: 'Gi0/1', mode: 'access', accessVlan: 5000, acl: { in: 'MISSING' } },
+                        { name: 'Gi0/1', address: '10.0.0.0/24' }
+                    ]
+                });
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error.code).toBe('BAD_REQUEST');
+            expect(error.details.errors).toEqual([
+                'hostname must be letters, digits and dashes',
+                'interfaces[0].accessVlan must be 1-4094',
+                'interfaces[0].acl needs a routed interface',
+                'interfaces[0].acl.in refers to an unknown ACL MISSING',
+                'interfaces[1].address must be an IPv4 host address with a prefix length',
+                'Duplicate interface Gi0/1',
+                'staticRoutes[0].prefix must be an IPv4 network with a prefix length',
+                'staticRoutes[0].nextHop must be an IPv4 address',
+                'snmp.location must be one line without quotes'
+            ]);
+        });
+    });
+
+    it('should convert DSCP names and prefix lengths', () => {
+        expect(['default', 'ef', 'cs6', 'af31', 'AF42', 63, 64, 'af5'].map(dscpValue)).toEqual([0, 46, 48, 26, 36, 63, null, null]);
+        expect([0, 24, 30, 32].map(netmask)).toEqual(['0.0.0.0', '255.255.255.0', '255.255.255.252', '255.255.255.255']);
+        expect([0, 24, 30, 32].map(wildcard)).toEqual(['255.255.255.255', '0.0.0.255', '0.0.0.3', '0.0.0.0']);
+    });
+
+    describe('defaultIntent', () => {
+        const secret = process.env.SNMP_COMMUNITY_SECRET;
+        afterEach(() => {
+            if (secret === undefined) delete process.env.SNMP_COMMUNITY_SECRET;
+            else process.env.SNMP_COMMUNITY_SECRET = secret;
+        });
+
+        it('should configure SNMP with the vault secret and logging on discovered devices', () => {
+            process.env.SNMP_COMMUNITY_SECRET = SECRET;
+
+            expect(defaultIntent({ name: 'access-7', type: 'switch' })).toEqual({
+                hostname: 'access-7',
+                snmp: { communities: [{ secret: SECRET, access: 'ro' }] },
+                logging: { level: 'info', facility: 'local7' },
+                vlans: [{ id: 100, name: 'management' }]
+            });
+            expect(defaultIntent({ name: '192.168.1.20', type: 'router' })).not.toHaveProperty('hostname');
+        });
+
+        it('should configure no community without a vault secret', () => {
+            delete process.env.SNMP_COMMUNITY_SECRET;
+
+            expect(defaultIntent({ name: 'core-1', type: 'router' })).not.toHaveProperty('snmp');
+        });
+    });
+
+    describe('SNMP secrets', () => {
+        const intent = () => normalizeIntent({
+            snmp: {
+                communities: [{ secret: SECRET, access: 'ro' }, { name: 'legacy', access: 'rw' }],
+                trapHosts: [{ host: '10.0.0.9', secret: SECRET }, { host: '10.0.0.10', community: 'traps' }]
+            }
+        });
+
+        it('should take a community or a vault secret, not both', () => {
+            expect(() => normalizeIntent({ snmp: { communities: [{ name: 'monitor', secret: SECRET }] } }))
+                .toThrow('snmp.communities[0] has both a name and a secret');
+            expect(() => normalizeIntent({ snmp: { trapHosts: [{ host: '10.0.0.9', secret: 'monitor' }] } }))
+                .toThrow('snmp.trapHosts[0].secret is not a vault secret id');
+        });
+
+        it('should fill in and refer to vault secrets', () => {
+            expect(snmpSecretIds(intent())).toEqual([SECRET]);
+
+            const filled = fillSnmpSecrets(intent(), () => 'monitor');
+            expect(filled.snmp.communities).toEqual([{ name: 'monitor', access: 'ro' }, { name: 'legacy', access: 'rw' }]);
+            expect(filled.snmp.trapHosts).toEqual([
+                { host: '10.0.0.9', community: 'monitor', version: '2c' },
+                { host: '10.0.0.10', community: 'traps', version: '2c' }
+            ]);
+
+            const referred = referToSnmpSecrets(filled, community => (community === 'monitor' ? SECRET : undefined));
+            expect(referred.snmp).toEqual(intent().snmp);
+        });
+
+        it('should mask communities in configuration lines', () => {
+            expect(maskCommunities([
+                'snmp-server community monitor RO',
+                'no snmp-server community legacy RW',
+                'snmp-server host 10.0.0.9 version 2c monitor',
+                'snmp-server host 10.0.0.10 traps monitor',
+                'set snmp community monitor authorization read-only',
+                'delete snmp trap-group monitor targets 10.0.0.9'
+            ].join('\r\n'))).toBe([
+                'snmp-server community ******** RO',
+                'no snmp-server community ******** RW',
+                'snmp-server host 10.0.0.9 version 2c ********',
+                'snmp-server host 10.0.0.10 traps ********',
+                'set snmp community ******** authorization read-only',
+                'delete snmp trap-group ******** targets 10.0.0.9'
+            ].join('\r\n'));
+        });
+    });
+});
@@ -0,0 +1,85 @@
+import { LldpCodec, decodeDiscoveryFrame } from '../../utils/DiscoveryCodec.js';
+
+const cdpTlv = (type, value) => {
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(type, 0);
+    header.writeUInt16BE(value.length + 4, 2);
+    return Buffer.concat([header, value]);
+};
+
+describe('DiscoveryCodec', () => {
+    it('should round-trip an LLDP probe frame', () => {
+        const frame = LldpCodec.encodeFrame({
+            srcMac: 'aa:bb:cc:00:00:01',
+            chassisId: 'dpid:00000000000000a1',
+            portId: '3',
+            portDescription: 's1-eth3',
+            systemName: 'of-switch-a1',
+            ttl: 120
+        });
+
+        expect(decodeDiscoveryFrame(frame)).toEqual({
+            protocol: 'lldp',
+            chassisIdSubtype: 'local',
+            chassisId: 'dpid:00000000000000a1',
+            portIdSubtype: 'local',
+            portId: '3',
+            ttl: 120,
+            portDescription: 's1-eth3',
+            systemName: 'of-switch-a1'
+        });
+    });
+
+    it('should decode MAC chassis IDs', () => {
+        const frame = LldpCodec.encodeFrame({ chassisId: '00:11:22:33:44:55', chassisIdSubtype: 4, portId: 'Gi0/1', portIdSubtype: 5 });
+        const neighbor = decodeDiscoveryFrame(frame);
+
+        expect(neighbor.chassisIdSubtype).toBe('macAddress');
+        expect(neighbor.chassisId).toBe('00:11:22:33:44:55');
+        expect(neighbor.portIdSubtype).toBe('interfaceName');
+    });
+
+    it('should reject LLDP frames without mandatory TLVs', () => {
+        const frame = Buffer.concat([
+            Buffer.from([0x01, 0x80, 0xc2, 0x00, 0x00, 0x0e, 0, 0, 0, 0, 0, 1, 0x88, 0xcc]),
+            Buffer.from([0x00, 0x00])
+        ]);
+        expect(() => decodeDiscoveryFrame(frame)).toThrow('LLDP frame is missing a mandatory TLV');
+    });
+
+    it('should decode CDP advertisements', () => {
+        const addresses = Buffer.from([0, 0, 0, 1, 1, 1, 0xcc, 0, 4, 10, 0, 0, 9]);
+        const capabilities = Buffer.alloc(4);
+        capabilities.writeUInt32BE(0x09, 0);
+
+        const cdp = Buffer.concat([
+            Buffer.from([2, 180, 0, 0]),
+            cdpTlv(1, Buffer.from('core1.lab')),
+            cdpTlv(2, addresses),
+            cdpTlv(3, Buffer.from('GigabitEthernet0/1')),
+            cdpTlv(4, capabilities),
+            cdpTlv(6, Buffer.from('WS-C3750'))
+        ]);
+        const frame = Buffer.concat([
+            Buffer.from([0x01, 0x00, 0x0c, 0xcc, 0xcc, 0xcc, 0, 1, 2, 3, 4, 5]),
+            Buffer.from([0, cdp.length + 8]),
+            Buffer.from([0xaa, 0xaa, 0x03, 0x00, 0x00, 0x0c, 0x20, 0x00]),
+            cdp
+        ]);
+
+        expect(decodeDiscoveryFrame(frame)).toEqual(expect.objectContaining({
+            protocol: 'cdp',
+            ttl: 180,
+            chassisId: 'core1.lab',
+            systemName: 'core1.lab',
+            portId: 'GigabitEthernet0/1',
+            managementAddress: '10.0.0.9',
+            capabilities: ['router', 'switch'],
+            platform: 'WS-C3750'
+        }));
+    });
+
+    it('should ignore other frames', () => {
+        expect(decodeDiscoveryFrame(Buffer.alloc(60))).toBeNull();
+    });
+});
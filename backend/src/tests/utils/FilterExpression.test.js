@@ -0,0 +1,76 @@
+import { compileFilter } from '../../utils/FilterExpression.js';
+
+const device = {
+    name: 'core-sw-01',
+    type: 'switch',
+    status: 'active',
+    location: { building: 'HQ', floor: 2 },
+    tags: ['core', 'dc1'],
+    interfaces: 48
+};
+
+const matches = (text, context = device) => compileFilter(text).evaluate(context);
+
+describe('FilterExpression', () => {
+    it('should compare fields, including nested ones', () => {
+        expect(matches('type == "switch"')).toBe(true);
+        expect(matches('location.building != "HQ"')).toBe(false);
+        expect(matches('location.floor >= 2 && interfaces < 100')).toBe(true);
+        expect(matches('location.room == null')).toBe(true);
+    });
+
+    it('should combine conditions with precedence and parentheses', () => {
+        expect(matches('type == "router" || type == "switch" && status == "active"')).toBe(true);
+        expect(matches('(type == "router" || type == "switch") && status == "maintenance"')).toBe(false);
+        expect(matches('not (status in ["maintenance", "error"]) and name =~ "^core-"')).toBe(true);
+    });
+
+    it('should match =~ patterns as prefix, suffix, exact or substring text', () => {
+        expect(matches('name =~ "^core-"')).toBe(true);
+        expect(matches('name =~ "-01$"')).toBe(true);
+        expect(matches('name =~ "^core-sw-01$"')).toBe(true);
+        expect(matches('name =~ "^core-sw$"')).toBe(false);
+        expect(matches('name =~ "sw"')).toBe(true);
+        expect(matches('name =~ "core\\\\.sw"', { name: 'core.sw' })).toBe(true);
+        expect(matches('name =~ "^core"', { name: 48 })).toBe(false);
+        expect(() => compileFilter('name =~ "core.*"')).toThrow('Invalid pattern at position 5: . is not supported');
+        expect(() => compileFilter('name =~ "\\\\d+"')).toThrow('\\d is not supported');
+    });
+
+    it('should refuse patterns that would backtrack catastrophically in a regular expression', () => {
+        expect(() => compileFilter('name =~ "(a+)+$"')).toThrow('Invalid pattern at position 5: ( is not supported');
+
+        expect(() => compileFilter('name =~ "a+"')).toThrow('+ is not supported');
+
+        // The input a backtracking engine chokes on is matched in linear time
+        const started = Date.now();
+        expect(matches('name =~ "aaaa$"', { name: `${'a'.repeat(50000)}!` })).toBe(false);
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    it('should match list membership and array fields', () => {
+        expect(matches("type in ['router', 'firewall']")).toBe(false);
+        expect(matches('tags == "dc1"')).toBe(true);
+    });
+
+    it('should only read own properties of the context', () => {
+        expect(matches('toString == null')).toBe(true);
+        expect(() => compileFilter('__proto__.polluted == true')).toThrow('__proto__.polluted is not allowed at position 0');
+        expect(() => compileFilter('name.constructor == null')).toThrow('not allowed');
+    });
+
+    it('should report syntax errors with their position', () => {
+        expect(() => compileFilter('type == ')).toThrow('Unexpected end of the expression');
+        expect(() => compileFilter('(type == "switch"')).toThrow('Expected ) at the end of the expression');
+        expect(() => compileFilter('type == "switch" status')).toThrow('Unexpected status at position 17');
+        expect(() => compileFilter('type = "switch"')).toThrow('Unexpected character at position 5');
+        expect(() => compileFilter('name =~ "("')).toThrow('Invalid pattern at position 5');
+        expect(() => compileFilter('type in "switch"')).toThrow('needs a list');
+    });
+
+    it('should reject empty, long and deeply nested expressions', () => {
+        expect(() => compileFilter('  ')).toThrow('non-empty string');
+        expect(() => compileFilter(`name == "${'a'.repeat(1000)}"`)).toThrow('longer than 1000');
+        expect(() => compileFilter(`${'('.repeat(40)}true${')'.repeat(40)}`)).toThrow('nested too deeply');
+    });
+});
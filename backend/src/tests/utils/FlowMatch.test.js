@@ -0,0 +1,56 @@
+import { FlowMatch } from '../../utils/FlowMatch.js';
+
+describe('FlowMatch', () => {
+    describe('validate', () => {
+        it('should accept a well-formed match', () => {
+            expect(FlowMatch.validate({ ethType: 0x0800, ipProto: 6, tcpDst: 443, ipv4Src: '10.0.0.0/8' })).toEqual([]);
+        });
+
+        it('should reject unknown fields and malformed values', () => {
+            const errors = FlowMatch.validate({ ethType: 0x0800, ipv4Dst: '10.0.0.300', vlan: 5 });
+            expect(errors).toEqual(expect.arrayContaining([
+                'Match field ipv4Dst: invalid IPv4 address 10.0.0.300',
+                'Unsupported match field: vlan'
+            ]));
+        });
+
+        it('should enforce OpenFlow prerequisites', () => {
+            expect(FlowMatch.validate({ tcpDst: 80 })).toEqual([
+                'Match field tcpDst requires ipProto to be one of 6'
+            ]);
+        });
+    });
+
+    describe('normalize', () => {
+        it('should canonicalize prefixes and MAC addresses', () => {
+            expect(FlowMatch.normalize({ ethType: '2048', ipv4Dst: '10.1.2.3/8', ethSrc: 'AA-BB-CC-DD-EE-FF' })).toEqual({
+                ethType: 2048,
+                ipv4Dst: '10.0.0.0/8',
+                ethSrc: 'aa:bb:cc:dd:ee:ff'
+            });
+        });
+    });
+
+    describe('overlaps', () => {
+        it('should treat missing fields as wildcards', () => {
+            expect(FlowMatch.overlaps({ inPort: 1 }, { ethType: 0x0800 })).toBe(true);
+        });
+
+        it('should detect intersecting prefixes', () => {
+            expect(FlowMatch.overlaps({ ipv4Dst: '10.0.0.0/8' }, { ipv4Dst: '10.1.0.0/16', tcpDst: 80 })).toBe(true);
+            expect(FlowMatch.overlaps({ ipv4Dst: '10.0.0.0/8' }, { ipv4Dst: '11.0.0.0/8' })).toBe(false);
+        });
+
+        it('should not overlap when an exact field differs', () => {
+            expect(FlowMatch.overlaps({ inPort: 1, ethType: 0x0800 }, { inPort: 2 })).toBe(false);
+        });
+    });
+
+    describe('covers', () => {
+        it('should only cover more specific matches', () => {
+            expect(FlowMatch.covers({ ipv4Dst: '10.0.0.0/8' }, { ipv4Dst: '10.1.0.0/16', tcpDst: 80 })).toBe(true);
+            expect(FlowMatch.covers({ ipv4Dst: '10.1.0.0/16' }, { ipv4Dst: '10.0.0.0/8' })).toBe(false);
+            expect(FlowMatch.covers({ tcpDst: 80 }, {})).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,112 @@
+import { MibRegistry } from '../../utils/MibRegistry.js';
+
+const ACME_MIB = `
+ACME-MIB DEFINITIONS ::= BEGIN
+
+IMPORTS
+    MODULE-IDENTITY, OBJECT-TYPE, NOTIFICATION-TYPE, Integer32, enterprises
+        FROM SNMPv2-SMI
+    TEXTUAL-CONVENTION FROM SNMPv2-TC;
+
+acmeMIB MODULE-IDENTITY
+    LAST-UPDATED "202601010000Z"
+    ORGANIZATION "Acme -- networks"
+    CONTACT-INFO "noc@acme.example"
+    DESCRIPTION  "Test module"
+    ::= { enterprises 99999 }
+
+AcmeFanState ::= TEXTUAL-CONVENTION
+    STATUS current
+    DESCRIPTION "Fan state"
+    SYNTAX INTEGER { ok(1), failed(2), absent(3) }
+
+acmeObjects OBJECT IDENTIFIER ::= { acmeMIB 1 }
+acmeNotifications OBJECT IDENTIFIER ::= { acmeMIB 0 }
+
+acmeFanIndex OBJECT-TYPE
+    SYNTAX Integer32 (1..16)
+    MAX-ACCESS read-only
+    STATUS current
+    DESCRIPTION "Index" -- trailing comment
+    ::= { acmeObjects 1 }
+
+acmeFanState OBJECT-TYPE
+    SYNTAX AcmeFanState
+    MAX-ACCESS read-only
+    STATUS current
+    DESCRIPTION "State"
+    ::= { acmeObjects 2 }
+
+acmeFanFailed NOTIFICATION-TYPE
+    OBJECTS { acmeFanIndex, acmeFanState }
+    STATUS current
+    DESCRIPTION "A fan failed"
+    ::= { acmeNotifications 1 }
+
+END
+`;
+
+const ACME_V1_MIB = `
+ACME-TRAP-MIB DEFINITIONS ::= BEGIN
+IMPORTS acmeMIB FROM ACME-MIB;
+
+acmePsuFailed TRAP-TYPE
+    ENTERPRISE acmeMIB
+    VARIABLES { acmePsuIndex }
+    DESCRIPTION "A power supply failed"
+    ::= 7
+
+acmePsuIndex OBJECT-TYPE
+    SYNTAX INTEGER
+    ACCESS read-only
+    STATUS mandatory
+    ::= { acmeMIB 3 }
+
+END
+`;
+
+describe('MibRegistry', () => {
+    let mibs;
+
+    beforeEach(() => {
+        mibs = new MibRegistry();
+    });
+
+    it('should know the standard traps and IF-MIB objects without any files', () => {
+        expect(mibs.nameOf('1.3.6.1.6.3.1.1.5.3')).toBe('linkDown');
+        expect(mibs.nameOf('1.3.6.1.2.1.2.2.1.8.12')).toBe('ifOperStatus.12');
+        expect(mibs.enumLabel('ifOperStatus', 2)).toBe('down');
+        expect(mibs.objectsOf('linkUp')).toEqual(['ifIndex', 'ifAdminStatus', 'ifOperStatus']);
+    });
+
+    it('should resolve objects, notifications and textual convention enums', () => {
+        expect(mibs.load(ACME_MIB)).toEqual({ module: 'ACME-MIB', definitions: 6 });
+
+        expect(mibs.oidOf('acmeFanFailed')).toBe('1.3.6.1.4.1.99999.0.1');
+        expect(mibs.resolve('1.3.6.1.4.1.99999.1.2.4')).toEqual({
+            name: 'acmeFanState', module: 'ACME-MIB', oid: '1.3.6.1.4.1.99999.1.2', instance: '4'
+        });
+        expect(mibs.enumLabel('acmeFanState', 2)).toBe('failed');
+        expect(mibs.objectsOf('acmeFanFailed')).toEqual(['acmeFanIndex', 'acmeFanState']);
+    });
+
+    it('should resolve definitions that depend on a module loaded later', () => {
+        mibs.load(ACME_V1_MIB);
+        expect(mibs.unresolved.map(node => node.name).sort()).toEqual(['acmePsuFailed', 'acmePsuIndex']);
+
+        mibs.load(ACME_MIB);
+        expect(mibs.unresolved).toEqual([]);
+        // SMIv1 traps map to enterprise.0.specific (RFC 3584)
+        expect(mibs.oidOf('acmePsuFailed')).toBe('1.3.6.1.4.1.99999.0.7');
+        expect(mibs.objectsOf('acmePsuFailed')).toEqual(['acmePsuIndex']);
+    });
+
+    it('should leave unknown OIDs as numbers below the closest known node', () => {
+        expect(mibs.nameOf('1.3.6.1.4.1.8072.3.2')).toBe('enterprises.8072.3.2');
+        expect(mibs.nameOf('2.999')).toBe('joint-iso-ccitt.999');
+    });
+
+    it('should reject text without a module definition', () => {
+        expect(() => mibs.load('not a mib')).toThrow();
+    });
+});
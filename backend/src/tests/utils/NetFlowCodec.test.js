@@ -0,0 +1,133 @@
+import { NetFlowDecoder, NetFlowField as F } from '../../utils/NetFlowCodec.js';
+
+const EXPORT_SECONDS = 1700000000;
+
+const u8 = (value) => Buffer.from([value]);
+const u16 = (value) => { const b = Buffer.alloc(2); b.writeUInt16BE(value); return b; };
+const u32 = (value) => { const b = Buffer.alloc(4); b.writeUInt32BE(value); return b; };
+const ip = (address) => Buffer.from(address.split('.').map(Number));
+const set = (id, ...parts) => {
+    const body = Buffer.concat(parts);
+    return Buffer.concat([u16(id), u16(body.length + 4), body]);
+};
+
+const v5Packet = (samplingInterval = 0) => {
+    const header = Buffer.concat([
+        u16(5), u16(1), u32(100000), u32(EXPORT_SECONDS), u32(0), u32(42), u8(0), u8(0), u16(samplingInterval)
+    ]);
+    const record = Buffer.concat([
+        ip('10.0.0.1'), ip('10.0.0.2'), ip('0.0.0.0'), u16(1), u16(2),
+        u32(10), u32(1500), u32(90000), u32(99000), u16(51515), u16(443),
+        u8(0), u8(0x1b), u8(6), u8(0), u16(0), u16(0), u8(24), u8(24), u16(0)
+    ]);
+    return Buffer.concat([header, record]);
+};
+
+const v9Header = (count) => Buffer.concat([u16(9), u16(count), u32(100000), u32(EXPORT_SECONDS), u32(7), u32(1)]);
+
+const v9Template = set(0,
+    u16(256), u16(7),
+    u16(F.IPV4_SRC_ADDR), u16(4), u16(F.IPV4_DST_ADDR), u16(4),
+    u16(F.L4_SRC_PORT), u16(2), u16(F.L4_DST_PORT), u16(2),
+    u16(F.PROTOCOL), u16(1), u16(F.IN_BYTES), u16(4), u16(F.LAST_SWITCHED), u16(4)
+);
+
+const v9Data = set(256,
+    ip('192.168.1.10'), ip('8.8.8.8'), u16(40000), u16(53), u8(17), u32(120), u32(95000),
+    ip('192.168.1.11'), ip('1.1.1.1'), u16(40001), u16(53), u8(17), u32(80), u32(96000),
+    Buffer.alloc(3) // padding
+);
+
+describe('NetFlowDecoder', () => {
+    it('should decode NetFlow v5 records with absolute timestamps', () => {
+        const packet = new NetFlowDecoder().decode(v5Packet(), '10.0.0.254');
+
+        expect(packet.version).toBe(5);
+        expect(packet.sequence).toBe(42);
+        expect(packet.records).toHaveLength(1);
+        expect(packet.records[0]).toMatchObject({
+            srcIp: '10.0.0.1',
+            dstIp: '10.0.0.2',
+            srcPort: 51515,
+            dstPort: 443,
+            protocol: 6,
+            bytes: 1500,
+            packets: 10,
+            tcpFlags: 0x1b,
+            inputInterface: 1,
+            outputInterface: 2
+        });
+        expect(packet.records[0].start.getTime()).toBe(EXPORT_SECONDS * 1000 - 10000);
+        expect(packet.records[0].end.getTime()).toBe(EXPORT_SECONDS * 1000 - 1000);
+    });
+
+    it('should scale sampled NetFlow v5 counts', () => {
+        const [record] = new NetFlowDecoder().decode(v5Packet(0x4000 | 100), '10.0.0.254').records;
+
+        expect(record.samplingInterval).toBe(100);
+        expect(record.bytes).toBe(150000);
+    });
+
+    it('should skip v9 data until its template arrives', () => {
+        const decoder = new NetFlowDecoder();
+
+        const early = decoder.decode(Buffer.concat([v9Header(1), v9Data]), '10.0.0.254');
+        expect(early.records).toHaveLength(0);
+        expect(early.skipped).toBe(1);
+
+        const late = decoder.decode(Buffer.concat([v9Header(3), v9Template, v9Data]), '10.0.0.254');
+        expect(late.records).toHaveLength(2);
+        expect(late.records[1]).toMatchObject({ srcIp: '192.168.1.11', dstIp: '1.1.1.1', dstPort: 53, protocol: 17, bytes: 80 });
+        expect(late.records[0].end.getTime()).toBe(EXPORT_SECONDS * 1000 - 5000);
+    });
+
+    it('should scope templates to the exporter', () => {
+        const decoder = new NetFlowDecoder();
+        decoder.decode(Buffer.concat([v9Header(1), v9Template]), '10.0.0.254');
+
+        expect(decoder.decode(Buffer.concat([v9Header(1), v9Data]), '10.0.0.253').skipped).toBe(1);
+    });
+
+    it('should decode IPFIX with variable-length and enterprise fields', () => {
+        const template = set(2,
+            u16(300), u16(6),
+            u16(F.IPV4_SRC_ADDR), u16(4), u16(F.IPV4_DST_ADDR), u16(4),
+            u16(0x8000 | 1), u16(0xffff), u32(9), // enterprise-specific, variable length
+            u16(F.OCTET_TOTAL_COUNT), u16(8), u16(F.FLOW_START_MILLISECONDS), u16(8), u16(F.FLOW_END_MILLISECONDS), u16(8)
+        );
+        const start = Buffer.alloc(8);
+        start.writeBigUInt64BE(1700000000123n);
+        const end = Buffer.alloc(8);
+        end.writeBigUInt64BE(1700000001123n);
+        const bytes = Buffer.alloc(8);
+        bytes.writeBigUInt64BE(5000000000n);
+        const data = set(300, ip('10.1.1.1'), ip('10.2.2.2'), u8(3), Buffer.from('abc'), bytes, start, end);
+
+        const body = Buffer.concat([template, data]);
+        const header = Buffer.concat([u16(10), u16(16 + body.length), u32(EXPORT_SECONDS), u32(1), u32(0)]);
+
+        const [record] = new NetFlowDecoder().decode(Buffer.concat([header, body]), '10.0.0.254').records;
+
+        expect(record).toMatchObject({ srcIp: '10.1.1.1', dstIp: '10.2.2.2', bytes: 5000000000 });
+        expect(record.start.getTime()).toBe(1700000000123);
+        expect(record.end.getTime()).toBe(1700000001123);
+    });
+
+    it('should ignore options data records', () => {
+        const decoder = new NetFlowDecoder();
+        const options = set(1, u16(257), u16(4), u16(4), u16(1), u16(4), u16(F.SAMPLING_INTERVAL), u16(4));
+        const data = set(257, u32(1), u32(100));
+
+        const packet = decoder.decode(Buffer.concat([v9Header(2), options, data]), '10.0.0.254');
+        expect(packet.records).toHaveLength(0);
+        expect(packet.skipped).toBe(0);
+    });
+
+    it('should reject unknown versions and malformed sets', () => {
+        const decoder = new NetFlowDecoder();
+
+        expect(() => decoder.decode(u16(7), '10.0.0.254')).toThrow('Unsupported flow export version');
+        expect(() => decoder.decode(Buffer.concat([v9Header(1), u16(256), u16(200)]), '10.0.0.254'))
+            .toThrow('Malformed flow set');
+    });
+});
@@ -0,0 +1,53 @@
+import { renderPostmortem } from '../../utils/PostmortemReport.js';
+
+const router = { _id: 'd1', name: 'dist-1', type: 'router', location: { building: 'HQ', floor: '1' } };
+
+const incident = {
+    title: 'Core outage',
+    severity: 'high',
+    status: 'closed',
+    openedBy: 'user-1',
+    openedAt: new Date('2026-03-04T10:00:00Z'),
+    closedBy: 'user-2',
+    closedAt: new Date('2026-03-04T12:30:00Z'),
+    description: 'The distribution router lost power.\n\nEverything behind it went dark.',
+    rootCause: 'PSU failure',
+    timeline: [
+        { at: new Date('2026-03-04T10:20:00Z'), type: 'action', author: 'user-1', message: 'Power cycled | reseated PSU' },
+        { at: new Date('2026-03-04T10:00:00Z'), type: 'opened', author: 'user-1', message: 'Incident opened' },
+        { at: new Date('2026-03-04T10:05:00Z'), type: 'recovery', author: 'self-healing', message: 'Failed to recover', deviceId: 'd1' }
+    ]
+};
+
+const alerts = [{
+    firstSeen: new Date('2026-03-04T09:58:00Z'),
+    severity: 'high',
+    deviceId: 'd1',
+    message: 'dist-1 is <b>unreachable</b>',
+    status: 'resolved',
+    resolvedAt: new Date('2026-03-04T12:00:00Z')
+}];
+
+describe('PostmortemReport', () => {
+    it('should lay out the incident with its timeline in order', () => {
+        const markdown = renderPostmortem(incident, { alerts, devices: [router] }, new Date('2026-03-05T00:00:00Z'));
+
+        expect(markdown).toContain('| Duration | 2h 30m |');
+        expect(markdown).toContain('The distribution router lost power.\n\nEverything behind it went dark.');
+        expect(markdown).toContain('| dist-1 | router | HQ / 1 |');
+        expect(markdown).toContain('## Resolution\n\n_Not recorded._');
+
+        const timeline = markdown.slice(markdown.indexOf('## Timeline'), markdown.indexOf('## Actions Taken'));
+        expect(timeline.indexOf('opened')).toBeLessThan(timeline.indexOf('recovery'));
+        expect(timeline.indexOf('recovery')).toBeLessThan(timeline.indexOf('action'));
+        expect(timeline).toContain('| 2026-03-04 10:05:00 UTC | recovery | self-healing | Failed to recover (dist-1) |');
+        expect(markdown).toContain('- 2026-03-04 10:20:00 UTC: Power cycled | reseated PSU');
+    });
+
+    it('should keep free text from breaking tables or adding markup', () => {
+        const markdown = renderPostmortem(incident, { alerts, devices: [router] });
+
+        expect(markdown).toContain('Power cycled \\| reseated PSU');
+        expect(markdown).toContain('dist-1 is \\<b\\>unreachable\\</b\\>');
+    });
+});
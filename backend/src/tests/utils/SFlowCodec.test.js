@@ -0,0 +1,124 @@
+import { SFlowCodec } from '../../utils/SFlowCodec.js';
+
+const u32 = (value) => { const b = Buffer.alloc(4); b.writeUInt32BE(value); return b; };
+const u64 = (value) => { const b = Buffer.alloc(8); b.writeBigUInt64BE(BigInt(value)); return b; };
+const ip = (address) => Buffer.from(address.split('.').map(Number));
+const opaque = (data) => Buffer.concat([u32(data.length), data, Buffer.alloc((4 - (data.length % 4)) % 4)]);
+const record = (format, ...parts) => Buffer.concat([u32(format), opaque(Buffer.concat(parts))]);
+
+const datagram = (samples, { agent = '192.0.2.10', sequence = 1, uptime = 60000 } = {}) => Buffer.concat([
+    u32(5), u32(1), ip(agent), u32(0), u32(sequence), u32(uptime), u32(samples.length), ...samples
+]);
+
+// Ethernet / 802.1Q / IPv4 / TCP, truncated after the TCP flags
+const tcpFrame = () => {
+    const ethernet = Buffer.from('0000000000020000000000018100', 'hex');
+    const vlan = Buffer.from('000a0800', 'hex');
+    const ipv4 = Buffer.concat([
+        Buffer.from([0x45, 0x10, 0x05, 0xdc, 0, 0, 0, 0, 64, 6, 0, 0]), ip('10.0.0.1'), ip('10.0.0.2')
+    ]);
+    const tcp = Buffer.from([0xc9, 0x3b, 0x01, 0xbb, 0, 0, 0, 0, 0, 0, 0, 0, 0x50, 0x18]);
+    return Buffer.concat([ethernet, vlan, ipv4, tcp]);
+};
+
+const flowSample = (rawHeader) => record(1,
+    u32(7), u32(3), u32(512), u32(51200), u32(2), u32(3), u32(4), u32(1),
+    record(1, u32(1), u32(1514), u32(4), opaque(rawHeader))
+);
+
+const counterSample = () => record(2,
+    u32(9), u32(3), u32(1),
+    record(1,
+        u32(3), u32(6), u64(10000000000), u32(1), u32(3),
+        u64('18446744073709551000'), u32(10), u32(0), u32(0), u32(1), u32(2), u32(0),
+        u64(5000), u32(20), u32(0), u32(0), u32(3), u32(4), u32(0)
+    )
+);
+
+describe('SFlowCodec', () => {
+    it('should decode the datagram header', () => {
+        const decoded = SFlowCodec.decode(datagram([], { sequence: 42, uptime: 123456 }));
+
+        expect(decoded).toMatchObject({ agentAddress: '192.0.2.10', subAgentId: 0, sequence: 42, uptime: 123456 });
+        expect(decoded.flowSamples).toHaveLength(0);
+    });
+
+    it('should decode flow samples with a raw packet header', () => {
+        const [sample] = SFlowCodec.decode(datagram([flowSample(tcpFrame())])).flowSamples;
+
+        expect(sample).toMatchObject({
+            sequence: 7,
+            sourceIdType: 0,
+            sourceIdIndex: 3,
+            samplingRate: 512,
+            samplePool: 51200,
+            drops: 2,
+            inputInterface: 3,
+            outputInterface: 4,
+            frameLength: 1518
+        });
+        expect(sample.packet).toEqual({
+            srcIp: '10.0.0.1',
+            dstIp: '10.0.0.2',
+            protocol: 6,
+            tos: 0x10,
+            srcPort: 51515,
+            dstPort: 443,
+            tcpFlags: 0x18
+        });
+    });
+
+    it('should decode generic interface counters', () => {
+        const [sample] = SFlowCodec.decode(datagram([counterSample()])).counterSamples;
+
+        expect(sample.sourceIdIndex).toBe(3);
+        expect(sample.interface).toMatchObject({
+            ifIndex: 3,
+            ifSpeed: 10000000000n,
+            ifStatus: 3,
+            ifInOctets: 18446744073709551000n,
+            ifInDiscards: 1,
+            ifInErrors: 2,
+            ifOutOctets: 5000n,
+            ifOutDiscards: 3,
+            ifOutErrors: 4
+        });
+    });
+
+    it('should skip enterprise-specific samples', () => {
+        const vendor = Buffer.concat([u32((4413 << 12) | 1), opaque(Buffer.alloc(8))]);
+        const decoded = SFlowCodec.decode(datagram([vendor, counterSample()]));
+
+        expect(decoded.flowSamples).toHaveLength(0);
+        expect(decoded.counterSamples).toHaveLength(1);
+    });
+
+    it('should leave non-IP frames without a packet', () => {
+        const arp = Buffer.from('ffffffffffff0000000000010806' + '00'.repeat(28), 'hex');
+        const [sample] = SFlowCodec.decode(datagram([flowSample(arp)])).flowSamples;
+
+        expect(sample.packet).toBeUndefined();
+        expect(sample.frameLength).toBe(1518);
+    });
+
+    it('should parse IPv6 headers', () => {
+        const ipv6 = Buffer.concat([
+            Buffer.from('6000000000141140', 'hex'), Buffer.from('2001', 'hex'), Buffer.alloc(13), Buffer.from([1]),
+            Buffer.from('2001', 'hex'), Buffer.alloc(13), Buffer.from([2]),
+            Buffer.from([0x00, 0x35, 0x9c, 0x40])
+        ]);
+
+        expect(SFlowCodec.parsePacketHeader(ipv6, 12)).toMatchObject({
+            srcIp: '2001::1',
+            dstIp: '2001::2',
+            protocol: 17,
+            srcPort: 53,
+            dstPort: 40000
+        });
+    });
+
+    it('should reject other versions and truncated datagrams', () => {
+        expect(() => SFlowCodec.decode(Buffer.concat([u32(4), u32(1), ip('192.0.2.10')]))).toThrow('Unsupported sFlow version');
+        expect(() => SFlowCodec.decode(datagram([counterSample()]).subarray(0, 60))).toThrow('Truncated sFlow datagram');
+    });
+});
@@ -0,0 +1,135 @@
+import net from 'net';
+import { SmtpClient, formatMessage } from '../../utils/SmtpClient.js';
+
+// Scripted SMTP server; `replies` overrides the reply to a command verb
+const startServer = (replies = {}) => new Promise(resolve => {
+    const session = { commands: [], data: '' };
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        socket.write('220 fake.test ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString();
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) return;
+                session.data = buffer.slice(0, end);
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                socket.write('250 2.0.0 queued as 42\r\n');
+            }
+            let newline;
+            while (!inData && (newline = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 2);
+                session.commands.push(line);
+                const verb = line.split(' ')[0].toUpperCase();
+                if (replies[verb]) {
+                    socket.write(`${replies[verb]}\r\n`);
+                } else if (verb === 'EHLO') {
+                    socket.write('250-fake.test\r\n250-AUTH LOGIN PLAIN\r\n250 8BITMIME\r\n');
+                } else if (verb === 'AUTH') {
+                    socket.write('235 2.7.0 Authenticated\r\n');
+                } else if (verb === 'DATA') {
+                    inData = true;
+                    socket.write('354 Go ahead\r\n');
+                } else if (verb === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, session, port: server.address().port }));
+});
+
+const message = {
+    from: 'eyenet@example.com',
+    to: ['noc@example.com', 'oncall@example.com'],
+    subject: 'Läuft: core-1 down',
+    text: 'Gi0/1 is down\n.\nSeverity: high'
+};
+
+describe('SmtpClient', () => {
+    let fake;
+
+    afterEach(() => {
+        fake?.server.close();
+        fake = null;
+    });
+
+    it('should authenticate and deliver a message to every recipient', async () => {
+        fake = await startServer();
+        const client = new SmtpClient({ host: '127.0.0.1', port: fake.port, username: 'eyenet', password: 's3cret', name: 'test' });
+
+        const result = await client.send(message);
+
+        expect(result.accepted).toEqual(message.to);
+        expect(result.response).toBe('2.0.0 queued as 42');
+        expect(fake.session.commands).toEqual([
+            'EHLO test',
+            `AUTH PLAIN ${Buffer.from('\0eyenet\0s3cret').toString('base64')}`,
+            'MAIL FROM:<eyenet@example.com>',
+            'RCPT TO:<noc@example.com>',
+            'RCPT TO:<oncall@example.com>',
+            'DATA',
+            'QUIT'
+        ]);
+
+        const [headers, body] = fake.session.data.split('\r\n\r\n');
+        expect(headers).toContain('To: noc@example.com, oncall@example.com');
+        expect(headers).toContain(`Subject: =?UTF-8?B?${Buffer.from(message.subject).toString('base64')}?=`);
+        expect(headers).toContain(`Message-ID: ${result.messageId}`);
+        expect(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString()).toBe(message.text);
+    });
+
+    it('should mark transient replies as retryable', async () => {
+        fake = await startServer({ MAIL: '451 4.3.0 Try again later' });
+        const client = new SmtpClient({ host: '127.0.0.1', port: fake.port });
+
+        await expect(client.send(message)).rejects.toMatchObject({
+            responseCode: 451,
+            code: 'SERVICE_UNAVAILABLE',
+            message: 'SMTP 451 4.3.0 Try again later'
+        });
+    });
+
+    it('should fail permanently on rejected recipients', async () => {
+        fake = await startServer({ RCPT: '550 5.1.1 No such user' });
+        const client = new SmtpClient({ host: '127.0.0.1', port: fake.port });
+
+        const error = await client.send(message).catch(err => err);
+
+        expect(error.responseCode).toBe(550);
+        expect(error.code).toBeUndefined();
+        expect(fake.session.commands).not.toContain('DATA');
+    });
+
+    it('should fall back to HELO for servers without ESMTP', async () => {
+        fake = await startServer({ EHLO: '502 5.5.2 Command not recognized' });
+        const client = new SmtpClient({ host: '127.0.0.1', port: fake.port, name: 'test' });
+
+        await client.send(message);
+
+        expect(fake.session.commands.slice(0, 3)).toEqual(['EHLO test', 'HELO test', 'MAIL FROM:<eyenet@example.com>']);
+    });
+
+    it('should reject invalid addresses before connecting', async () => {
+        const client = new SmtpClient({ host: '127.0.0.1', port: 1 });
+
+        await expect(client.send({ ...message, to: ['noc@example.com>\r\nRCPT TO:<x@example.com'] }))
+            .rejects.toThrow('Invalid email address');
+        await expect(client.send({ ...message, to: [] })).rejects.toThrow('At least one recipient');
+    });
+
+    it('should encode subjects that are not printable ASCII', () => {
+        const subject = (text) => formatMessage({ ...message, subject: text, messageId: '<1@test>' })
+            .split('\r\n').find(line => line.startsWith('Subject: '));
+
+        expect(subject('Link down on core-1 ~ Gi0/1')).toBe('Subject: Link down on core-1 ~ Gi0/1');
+        expect(subject('Link\r\ndown')).toBe('Subject: Link down');
+        expect(subject('Link\tdown')).toBe(`Subject: =?UTF-8?B?${Buffer.from('Link\tdown').toString('base64')}?=`);
+        expect(subject('Link\x7fdown')).toMatch(/^Subject: =\?UTF-8\?B\?/);
+    });
+});
@@ -0,0 +1,179 @@
+import dgram from 'dgram';
+import { SnmpClient, SnmpMessage, SnmpUsm, PduType, MsgFlags, compareOids } from '../../utils/SnmpClient.js';
+
+const ENGINE_ID = Buffer.from('80001f8880e9bd0c1d12667a5100000000', 'hex');
+const USER = { name: 'poller', authProtocol: 'sha', authPassword: 'authpass123', privProtocol: 'aes', privPassword: 'privpass123' };
+
+const MIB = [
+    { oid: '1.3.6.1.2.1.1.3.0', type: 'TIMETICKS', value: 123456 },
+    { oid: '1.3.6.1.2.1.2.2.1.2.1', type: 'OCTET_STRING', value: 'lo' },
+    { oid: '1.3.6.1.2.1.2.2.1.2.2', type: 'OCTET_STRING', value: 'eth0' },
+    { oid: '1.3.6.1.2.1.2.2.1.2.10', type: 'OCTET_STRING', value: 'eth1' },
+    { oid: '1.3.6.1.2.1.31.1.1.1.6.2', type: 'COUNTER64', value: 9007199254740993n }
+].sort((a, b) => compareOids(a.oid, b.oid));
+
+// Minimal agent answering get, getNext and getBulk over v2c and v3 (authPriv)
+const startAgent = async () => {
+    const socket = dgram.createSocket('udp4');
+    const keys = {
+        authProtocol: USER.authProtocol,
+        authKey: SnmpUsm.localizeKey(USER.authProtocol, USER.authPassword, ENGINE_ID),
+        privKey: SnmpUsm.localizeKey(USER.authProtocol, USER.privPassword, ENGINE_ID)
+    };
+
+    const lookup = (oid, next) => {
+        const entry = next ? MIB.find(item => compareOids(item.oid, oid) > 0) : MIB.find(item => item.oid === oid);
+        return entry || { oid, type: next ? 'END_OF_MIB_VIEW' : 'NO_SUCH_OBJECT' };
+    };
+
+    const answer = (pdu) => {
+        let varbinds;
+        if (pdu.type === PduType.GET_BULK_REQUEST) {
+            varbinds = [];
+            let oid = pdu.varbinds[0].oid;
+            for (let i = 0; i < pdu.errorIndex; i++) {
+                const entry = lookup(oid, true);
+                varbinds.push(entry);
+                if (entry.type === 'END_OF_MIB_VIEW') break;
+                oid = entry.oid;
+            }
+        } else {
+            varbinds = pdu.varbinds.map(varbind => lookup(varbind.oid, pdu.type === PduType.GET_NEXT_REQUEST));
+        }
+        return { type: PduType.RESPONSE, requestId: pdu.requestId, varbinds };
+    };
+
+    socket.on('message', (buffer, rinfo) => {
+        const message = SnmpMessage.decode(buffer);
+        let reply;
+
+        if (message.version === '2c') {
+            if (message.community !== 'secret') return;
+            reply = SnmpMessage.encodeCommunity({ version: '2c', community: 'secret', pdu: answer(message.pdu) });
+        } else if (message.security.engineId.length === 0) {
+            reply = SnmpMessage.encodeV3({
+                msgId: message.msgId,
+                flags: 0,
+                security: { engineId: ENGINE_ID, engineBoots: 3, engineTime: 5000 },
+                contextEngineId: ENGINE_ID,
+                pdu: { type: PduType.REPORT, requestId: message.msgId, varbinds: [{ oid: '1.3.6.1.6.3.15.1.1.4.0', type: 'COUNTER32', value: 1 }] }
+            });
+        } else {
+            if (!SnmpMessage.verifyV3(buffer, keys.authProtocol, keys.authKey)) return;
+            SnmpMessage.decryptV3(message, keys.privKey);
+            reply = SnmpMessage.encodeV3({
+                msgId: message.msgId,
+                flags: MsgFlags.AUTH | MsgFlags.PRIV,
+                security: { engineId: ENGINE_ID, engineBoots: 3, engineTime: 5001, userName: USER.name },
+                contextEngineId: ENGINE_ID,
+                pdu: answer(message.pdu),
+                user: keys
+            });
+        }
+        socket.send(reply, rinfo.port, rinfo.address);
+    });
+
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+    return socket;
+};
+
+describe('SnmpClient', () => {
+    let agent;
+    let port;
+
+    beforeAll(async () => {
+        agent = await startAgent();
+        port = agent.address().port;
+    });
+
+    afterAll(() => {
+        agent.close();
+    });
+
+    it('should localize keys as in RFC 3414 appendix A.3', () => {
+        const engineId = Buffer.from('000000000000000000000002', 'hex');
+
+        expect(SnmpUsm.localizeKey('md5', 'maplesyrup', engineId).toString('hex'))
+            .toBe('526f5eed9fcce26f8964c2930787d82b');
+        expect(SnmpUsm.localizeKey('sha', 'maplesyrup', engineId).toString('hex'))
+            .toBe('6695febc9288e36282235fc7151f128497b38f3f');
+    });
+
+    it('should get values over v2c', async () => {
+        const client = new SnmpClient({ host: '127.0.0.1', port, community: 'secret', timeout: 500 });
+        try {
+            const [uptime, missing] = await client.get(['1.3.6.1.2.1.1.3.0', '1.3.6.1.2.1.1.5.0']);
+            expect(uptime).toEqual({ oid: '1.3.6.1.2.1.1.3.0', type: 'TIMETICKS', value: 123456 });
+            expect(missing.type).toBe('NO_SUCH_OBJECT');
+        } finally {
+            client.close();
+        }
+    });
+
+    it('should walk a column with getBulk and stop at the end of the subtree', async () => {
+        const client = new SnmpClient({ host: '127.0.0.1', port, community: 'secret', timeout: 500 });
+        try {
+            const rows = await client.walk('1.3.6.1.2.1.2.2.1.2', { maxRepetitions: 2 });
+            expect(rows.map(row => [row.oid, row.value.toString()])).toEqual([
+                ['1.3.6.1.2.1.2.2.1.2.1', 'lo'],
+                ['1.3.6.1.2.1.2.2.1.2.2', 'eth0'],
+                ['1.3.6.1.2.1.2.2.1.2.10', 'eth1']
+            ]);
+        } finally {
+            client.close();
+        }
+    });
+
+    it('should time out when the community is wrong', async () => {
+        const client = new SnmpClient({ host: '127.0.0.1', port, community: 'wrong', timeout: 100, retries: 1 });
+        try {
+            await expect(client.get(['1.3.6.1.2.1.1.3.0'])).rejects.toThrow('timed out');
+        } finally {
+            client.close();
+        }
+    });
+
+    it('should discover the engine and query over v3 with auth and privacy', async () => {
+        const client = new SnmpClient({ host: '127.0.0.1', port, version: '3', user: USER, timeout: 500 });
+        try {
+            const [counter] = await client.get(['1.3.6.1.2.1.31.1.1.1.6.2']);
+            expect(counter.type).toBe('COUNTER64');
+            expect(counter.value === 9007199254740993n).toBe(true);
+            expect(client.engine.boots).toBe(3);
+        } finally {
+            client.close();
+        }
+    });
+
+    it('should not get answers with the wrong v3 password', async () => {
+        const client = new SnmpClient({
+            host: '127.0.0.1',
+            port,
+            version: '3',
+            user: { ...USER, authPassword: 'wrongpass123' },
+            timeout: 100,
+            retries: 0
+        });
+        try {
+            await expect(client.get(['1.3.6.1.2.1.1.3.0'])).rejects.toThrow('timed out');
+        } finally {
+            client.close();
+        }
+    });
+
+    it('should detect tampered v3 messages', () => {
+        const keys = { authProtocol: 'sha', authKey: SnmpUsm.localizeKey('sha', USER.authPassword, ENGINE_ID) };
+        const message = SnmpMessage.encodeV3({
+            msgId: 7,
+            flags: MsgFlags.AUTH,
+            security: { engineId: ENGINE_ID, engineBoots: 1, engineTime: 10, userName: USER.name },
+            contextEngineId: ENGINE_ID,
+            pdu: { type: PduType.GET_REQUEST, requestId: 7, varbinds: [{ oid: '1.3.6.1.2.1.1.3.0' }] },
+            user: keys
+        });
+
+        expect(SnmpMessage.verifyV3(message, 'sha', keys.authKey)).toBe(true);
+        message[message.length - 3] ^= 0x01;
+        expect(SnmpMessage.verifyV3(message, 'sha', keys.authKey)).toBe(false);
+    });
+});
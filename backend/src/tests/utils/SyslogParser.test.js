@@ -0,0 +1,103 @@
+import { parseSyslog, SyslogFramer } from '../../utils/SyslogParser.js';
+
+const receivedAt = new Date(2026, 9, 19, 12, 0, 0);
+
+describe('parseSyslog', () => {
+    it('should parse RFC 5424 messages with structured data', () => {
+        const message = parseSyslog(
+            '<165>1 2026-10-19T10:00:00.003Z edge-1 evntslog 42 ID47 ' +
+            '[exampleSDID@32473 iut="3" eventSource="App\\"lication"][origin ip="192.0.2.1"] ﻿An application event',
+            receivedAt
+        );
+
+        expect(message).toMatchObject({
+            format: 'rfc5424',
+            facility: 'local4',
+            severity: 5,
+            hostname: 'edge-1',
+            appName: 'evntslog',
+            procId: '42',
+            msgId: 'ID47',
+            message: 'An application event'
+        });
+        expect(message.timestamp.toISOString()).toBe('2026-10-19T10:00:00.003Z');
+        expect(message.structuredData).toEqual({
+            'exampleSDID@32473': { iut: '3', eventSource: 'App"lication' },
+            origin: { ip: '192.0.2.1' }
+        });
+    });
+
+    it('should treat RFC 5424 nil values as missing', () => {
+        const message = parseSyslog('<14>1 - - - - - - started', receivedAt);
+
+        expect(message.hostname).toBeUndefined();
+        expect(message.structuredData).toBeUndefined();
+        expect(message.timestamp).toBe(receivedAt);
+        expect(message.message).toBe('started');
+    });
+
+    it('should parse RFC 3164 messages', () => {
+        const message = parseSyslog('<38>Oct  9 10:00:00 edge-1 sshd[4242]: Accepted publickey for admin', receivedAt);
+
+        expect(message).toMatchObject({
+            format: 'rfc3164',
+            facility: 'auth',
+            severity: 6,
+            hostname: 'edge-1',
+            appName: 'sshd',
+            procId: '4242',
+            message: 'Accepted publickey for admin'
+        });
+        expect(message.timestamp.getTime()).toBe(new Date(2026, 9, 9, 10, 0, 0).getTime());
+    });
+
+    it('should parse Cisco IOS messages', () => {
+        const message = parseSyslog(
+            '<187>1337: core-1: *Oct 19 10:00:00.123 UTC: %LINK-3-UPDOWN: Interface Gi0/1, changed state to down',
+            receivedAt
+        );
+
+        expect(message).toMatchObject({
+            facility: 'local7',
+            severity: 3,
+            hostname: 'core-1',
+            msgId: 'LINK-3-UPDOWN',
+            message: '%LINK-3-UPDOWN: Interface Gi0/1, changed state to down'
+        });
+        expect(message.timestamp.getMilliseconds()).toBe(123);
+    });
+
+    it('should place BSD timestamps from late December in the previous year', () => {
+        const message = parseSyslog('<189>12: *Dec 31 23:59:59: %SYS-5-CONFIG_I: Configured from console', new Date(2026, 0, 1, 0, 0, 5));
+
+        expect(message.timestamp.getFullYear()).toBe(2025);
+        expect(message.hostname).toBeUndefined();
+        expect(message.msgId).toBe('SYS-5-CONFIG_I');
+    });
+
+    it('should default messages without a priority to user.notice', () => {
+        expect(parseSyslog('plain text', receivedAt)).toMatchObject({
+            format: 'unknown',
+            facility: 'user',
+            severity: 5,
+            message: 'plain text'
+        });
+    });
+});
+
+describe('SyslogFramer', () => {
+    it('should split octet-counted and newline-delimited frames across chunks', () => {
+        const framer = new SyslogFramer();
+
+        expect(framer.push(Buffer.from('12 <13>hello w'))).toHaveLength(0);
+        expect(framer.push(Buffer.from('x<13>line one\n<13>li')).map(String)).toEqual(['<13>hello wx', '<13>line one']);
+        expect(framer.push(Buffer.from('ne two\n')).map(String)).toEqual(['<13>line two']);
+    });
+
+    it('should reject oversized frames', () => {
+        const framer = new SyslogFramer({ maxMessageSize: 16 });
+
+        expect(() => framer.push(Buffer.from('100 <13>'))).toThrow('exceeds the limit');
+        expect(() => new SyslogFramer({ maxMessageSize: 16 }).push(Buffer.alloc(32, 0x41))).toThrow('exceeds the limit');
+    });
+});
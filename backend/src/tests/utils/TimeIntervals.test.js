@@ -0,0 +1,28 @@
+import { mergeIntervals, subtractIntervals, clipIntervals, totalDuration } from '../../utils/TimeIntervals.js';
+
+const at = (hour, minute = 0) => new Date(Date.UTC(2026, 2, 2, hour, minute));
+const interval = (start, end) => ({ start: at(start), end: at(end) });
+
+describe('TimeIntervals', () => {
+    it('should merge overlapping and touching intervals in order', () => {
+        expect(mergeIntervals([interval(5, 6), interval(1, 3), interval(2, 4), interval(4, 5), interval(8, 8)]))
+            .toEqual([interval(1, 6)]);
+    });
+
+    it('should subtract removed time from intervals', () => {
+        expect(subtractIntervals([interval(1, 10), interval(12, 14)], [interval(2, 3), interval(5, 7), interval(9, 13)]))
+            .toEqual([interval(1, 2), interval(3, 5), interval(7, 9), interval(13, 14)]);
+        expect(subtractIntervals([interval(2, 4)], [interval(1, 5)])).toEqual([]);
+    });
+
+    it('should clip intervals to a range', () => {
+        expect(clipIntervals([interval(0, 2), interval(3, 4), interval(6, 9)], at(1), at(7)))
+            .toEqual([interval(1, 2), interval(3, 4), interval(6, 7)]);
+        expect(clipIntervals([interval(8, 9)], at(1), at(7))).toEqual([]);
+    });
+
+    it('should count overlapping time once', () => {
+        expect(totalDuration([interval(1, 3), interval(2, 4), { start: at(6).getTime(), end: at(6, 30).getTime() }]))
+            .toBe(3.5 * 3600000);
+    });
+});
@@ -0,0 +1,51 @@
+import { TopologyGraph } from '../../utils/TopologyGraph.js';
+
+const link = (sourceDevice, targetDevice) => ({ sourceDevice, targetDevice });
+
+// core -> dist -> access-1, access-2; dist -> access-3 -> printer
+const tree = [
+    link('core', 'dist'),
+    link('dist', 'access-1'),
+    link('dist', 'access-2'),
+    link('dist', 'access-3'),
+    link('access-3', 'printer')
+];
+
+describe('TopologyGraph', () => {
+    it('should trace devices cut off behind an outage back to it', () => {
+        const causes = new TopologyGraph(tree).rootCauses(['dist', 'access-1', 'printer']);
+
+        expect([...causes.keys()].sort()).toEqual(['access-1', 'printer']);
+        expect(causes.get('access-1')).toEqual({ root: 'dist', path: ['dist', 'access-1'] });
+        expect(causes.get('printer')).toEqual({ root: 'dist', path: ['dist', 'access-3', 'printer'] });
+    });
+
+    it('should pick the outage closest to the anchors when several are chained', () => {
+        const causes = new TopologyGraph(tree).rootCauses(['core', 'dist', 'access-3']);
+
+        expect(causes.get('dist')).toEqual({ root: 'core', path: ['core', 'dist'] });
+        expect(causes.get('access-3').root).toBe('core');
+        expect(causes.has('core')).toBe(false);
+    });
+
+    it('should leave devices that are still reachable another way as outages of their own', () => {
+        // dist-a and dist-b both uplink to core and to each other
+        const graph = new TopologyGraph([
+            link('dist-a', 'core'),
+            link('dist-b', 'core'),
+            link('dist-a', 'dist-b'),
+            link('dist-b', 'access')
+        ], ['core', 'elsewhere']);
+
+        expect(graph.anchors).toEqual(new Set(['core']));
+        expect(graph.rootCauses(['dist-b', 'access']).get('access')).toEqual({ root: 'dist-b', path: ['dist-b', 'access'] });
+        expect(graph.rootCauses(['dist-a', 'access']).size).toBe(0);
+    });
+
+    it('should ignore devices that have no links', () => {
+        const graph = new TopologyGraph(tree);
+
+        expect(graph.has('server')).toBe(false);
+        expect(graph.rootCauses(['server', 'dist']).size).toBe(0);
+    });
+});
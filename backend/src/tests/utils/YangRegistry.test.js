@@ -0,0 +1,147 @@
+import { readFileSync } from 'fs';
+import { parseXml } from '../../utils/XmlTree.js';
+import { parseYang, YangRegistry } from '../../utils/YangRegistry.js';
+
+const MODULES = ['openconfig-if-ethernet', 'openconfig-interfaces', 'iana-if-type', 'ietf-interfaces', 'openconfig-extensions'];
+
+const fixture = (module) => readFileSync(new URL(`../fixtures/yang/${module}.yang`, import.meta.url), 'utf8');
+
+const ethernet1 = () => ({
+    name: 'Ethernet1',
+    config: { name: 'Ethernet1', type: 'iana-if-type:ethernetCsmacd', mtu: 9000, description: 'uplink to core-1' },
+    'hold-time': { config: { up: 100 } },
+    'openconfig-if-ethernet:ethernet': { config: { 'mac-address': '00:1c:73:aa:bb:01', 'port-speed': 'SPEED_100GB', 'duplex-mode': 'FULL' } },
+    subinterfaces: { subinterface: [{ index: 0, config: { index: 0, enabled: true } }] }
+});
+
+describe('YangRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new YangRegistry();
+        // Dependents first: imports resolve whatever the order
+        for (const module of MODULES) registry.load(fixture(module));
+    });
+
+    it('should parse concatenated strings and skip comments', () => {
+        const [module] = parseYang(`
+            module acme { // trailing comment
+                /* block
+                   comment */
+                description "one " + 'two' + "\\"three\\"";
+                leaf x { type string; }
+            }`);
+
+        expect(module.argument).toBe('acme');
+        expect(module.children[0]).toMatchObject({ keyword: 'description', argument: 'one two"three"' });
+        expect(module.children[1].children[0]).toMatchObject({ keyword: 'type', argument: 'string' });
+        expect(() => parseYang('module acme {\n  leaf x { type string; }\n')).toThrow('missing }');
+    });
+
+    it('should hold back a module until its imports are loaded', () => {
+        const partial = new YangRegistry();
+        partial.load(fixture('openconfig-interfaces'));
+
+        expect(partial.getModules()).toMatchObject({
+            modules: [],
+            unresolved: [{ module: 'openconfig-interfaces', missing: ['ietf-interfaces', 'openconfig-extensions'] }]
+        });
+        expect(partial.validate({ 'openconfig-interfaces:interfaces': {} })[0].message).toBe('not defined by any loaded YANG module');
+
+        partial.load(fixture('ietf-interfaces'));
+        partial.load(fixture('openconfig-extensions'));
+
+        expect(partial.getModules().unresolved).toEqual([]);
+        expect(partial.topLevel()).toMatchObject([{ module: 'openconfig-interfaces', name: 'interfaces', namespace: 'http://openconfig.net/yang/interfaces' }]);
+        expect(registry.getModules().modules.map(module => module.module)).toEqual([...MODULES].sort());
+    });
+
+    it('should accept a configuration that matches openconfig-interfaces and its augments', () => {
+        expect(registry.validate({ 'openconfig-interfaces:interfaces': { interface: [ethernet1()] } })).toEqual([]);
+    });
+
+    it('should report every node that does not match the models', () => {
+        const broken = ethernet1();
+        broken.name = 'Ethernet9';
+        broken.config.mtu = 70000;
+        broken.config.enabled = 'yes';
+        broken['openconfig-if-ethernet:ethernet'].config['mac-address'] = '00:1c:73:aa:bb';
+        broken['openconfig-if-ethernet:ethernet'].config['port-speed'] = 'iana-if-type:ethernetCsmacd';
+        broken.subinterfaces.subinterface.push({ index: 0, config: { index: 0 } });
+        broken.state = { 'oper-status': 'UP' };
+        broken.speed = 10;
+        const untyped = { name: 'Ethernet2', config: { name: 'Ethernet2' } };
+
+        const errors = registry.validate({
+            'openconfig-interfaces:interfaces': { interface: [broken, untyped, { config: {} }] },
+            interfaces: {}
+        });
+        const path = '/openconfig-interfaces:interfaces/interface';
+
+        expect(errors).toEqual([
+            { path: `${path}[name=Ethernet9]/name`, message: 'refers to ../config/name, which has no value Ethernet9' },
+            { path: `${path}[name=Ethernet9]/config/mtu`, message: 'is out of the uint16 range' },
+            { path: `${path}[name=Ethernet9]/config/enabled`, message: 'must be true or false' },
+            { path: `${path}[name=Ethernet9]/openconfig-if-ethernet:ethernet/config/mac-address`, message: 'does not match the pattern [0-9a-fA-F]{2}(:[0-9a-fA-F]{2}){5}' },
+            { path: `${path}[name=Ethernet9]/openconfig-if-ethernet:ethernet/config/port-speed`, message: 'iana-if-type:ethernetCsmacd is not derived from openconfig-if-ethernet:ETHERNET_SPEED' },
+            { path: `${path}[name=Ethernet9]/subinterfaces/subinterface[index=0]`, message: 'is a duplicate list entry' },
+            { path: `${path}[name=Ethernet9]/state`, message: 'is state data, not configuration' },
+            { path: `${path}[name=Ethernet9]/speed`, message: 'is not defined by the YANG schema' },
+            { path: `${path}[name=Ethernet2]/config/type`, message: 'is mandatory' },
+            { path: `${path}[2]`, message: 'is missing the key name' },
+            { path: `${path}[2]/config/type`, message: 'is mandatory' },
+            { path: '/interfaces', message: 'top-level nodes must be qualified with their module name' }
+        ]);
+    });
+
+    it('should write NETCONF XML with namespaces, list keys first and identity prefixes', () => {
+        // The key comes last in the JSON
+        const { name, ...rest } = ethernet1();
+        const xml = registry.toXml({ 'openconfig-interfaces:interfaces': { interface: [{ ...rest, name }] } }, { operation: 'replace' });
+
+        expect(xml).toMatch(/^<interfaces xmlns="http:\/\/openconfig.net\/yang\/interfaces" nc:operation="replace"><interface><name>Ethernet1<\/name><config>/);
+        expect(xml).toContain('<type xmlns:ianaift="urn:ietf:params:xml:ns:yang:iana-if-type">ianaift:ethernetCsmacd</type>');
+        expect(xml).toContain('<ethernet xmlns="http://openconfig.net/yang/interfaces/ethernet"><config><mac-address>00:1c:73:aa:bb:01</mac-address>');
+        expect(xml).toContain('<port-speed xmlns:oc-eth="http://openconfig.net/yang/interfaces/ethernet">oc-eth:SPEED_100GB</port-speed>');
+        expect(xml).toContain('<subinterface><index>0</index><config><index>0</index><enabled>true</enabled></config></subinterface>');
+    });
+
+    it('should read NETCONF XML back whatever prefixes the device chose', () => {
+        const data = parseXml(`
+            <data xmlns="urn:ietf:params:xml:ns:netconf:base:1.0">
+              <oc-if:interfaces xmlns:oc-if="http://openconfig.net/yang/interfaces" xmlns:t="urn:ietf:params:xml:ns:yang:iana-if-type">
+                <oc-if:interface>
+                  <oc-if:name>Ethernet1</oc-if:name>
+                  <oc-if:config>
+                    <oc-if:name>Ethernet1</oc-if:name>
+                    <oc-if:type>t:ethernetCsmacd</oc-if:type>
+                    <oc-if:mtu>9000</oc-if:mtu>
+                    <oc-if:enabled>false</oc-if:enabled>
+                  </oc-if:config>
+                  <oc-if:state><oc-if:oper-status>UP</oc-if:oper-status></oc-if:state>
+                  <ethernet xmlns="http://openconfig.net/yang/interfaces/ethernet">
+                    <config><port-speed>SPEED_10GB</port-speed></config>
+                  </ethernet>
+                  <oc-if:subinterfaces>
+                    <oc-if:subinterface><oc-if:index>0</oc-if:index><oc-if:config><oc-if:index>0</oc-if:index></oc-if:config></oc-if:subinterface>
+                  </oc-if:subinterfaces>
+                </oc-if:interface>
+              </oc-if:interfaces>
+              <system xmlns="http://openconfig.net/yang/system"><config><hostname>edge-1</hostname></config></system>
+            </data>`);
+
+        const config = registry.fromXml(data.children);
+
+        expect(config).toEqual({
+            'openconfig-interfaces:interfaces': {
+                interface: [{
+                    name: 'Ethernet1',
+                    config: { name: 'Ethernet1', type: 'iana-if-type:ethernetCsmacd', mtu: 9000, enabled: false },
+                    'openconfig-if-ethernet:ethernet': { config: { 'port-speed': 'openconfig-if-ethernet:SPEED_10GB' } },
+                    subinterfaces: { subinterface: [{ index: 0, config: { index: 0 } }] }
+                }]
+            }
+        });
+        expect(registry.validate(config)).toEqual([]);
+    });
+});
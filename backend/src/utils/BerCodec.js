@@ -0,0 +1,240 @@
+// ASN.1 BER encoding for the subset of types used by SNMP (RFC 3416, RFC 2578)
+
+export const BerType = {
+    INTEGER: 0x02,
+    OCTET_STRING: 0x04,
+    NULL: 0x05,
+    OID: 0x06,
+    SEQUENCE: 0x30,
+    IP_ADDRESS: 0x40,
+    COUNTER32: 0x41,
+    GAUGE32: 0x42,
+    TIMETICKS: 0x43,
+    OPAQUE: 0x44,
+    COUNTER64: 0x46,
+    NO_SUCH_OBJECT: 0x80,
+    NO_SUCH_INSTANCE: 0x81,
+    END_OF_MIB_VIEW: 0x82
+};
+
+const TYPE_NAMES = Object.fromEntries(Object.entries(BerType).map(([name, tag]) => [tag, name]));
+
+class BerCodec {
+    static encodeLength(length) {
+        if (length < 0x80) return Buffer.from([length]);
+
+        const bytes = [];
+        for (let value = length; value > 0; value >>= 8) {
+            bytes.unshift(value & 0xff);
+        }
+        return Buffer.from([0x80 | bytes.length, ...bytes]);
+    }
+
+    static encodeTlv(tag, value) {
+        return Buffer.concat([Buffer.from([tag]), this.encodeLength(value.length), value]);
+    }
+
+    static encodeInteger(value, tag = BerType.INTEGER) {
+        let number = BigInt(value);
+        const bytes = [];
+
+        do {
+            bytes.unshift(Number(number & 0xffn));
+            number >>= 8n;
+        } while (number !== 0n && number !== -1n);
+
+        // Keep the sign bit consistent with the value
+        if (value >= 0 && bytes[0] & 0x80) bytes.unshift(0x00);
+        if (value < 0 && !(bytes[0] & 0x80)) bytes.unshift(0xff);
+
+        return this.encodeTlv(tag, Buffer.from(bytes));
+    }
+
+    /**
+     * Encode an unsigned application type (Counter32, Gauge32, TimeTicks, Counter64)
+     */
+    static encodeUnsigned(value, tag) {
+        let number = BigInt(value);
+        const bytes = [];
+
+        do {
+            bytes.unshift(Number(number & 0xffn));
+            number >>= 8n;
+        } while (number > 0n);
+
+        if (bytes[0] & 0x80) bytes.unshift(0x00);
+        return this.encodeTlv(tag, Buffer.from(bytes));
+    }
+
+    static encodeOctetString(value) {
+        return this.encodeTlv(BerType.OCTET_STRING, Buffer.isBuffer(value) ? value : Buffer.from(String(value)));
+    }
+
+    static encodeNull(tag = BerType.NULL) {
+        return Buffer.from([tag, 0x00]);
+    }
+
+    static encodeOid(oid) {
+        const parts = String(oid).replace(/^\./, '').split('.').map(Number);
+        if (parts.length < 2 || parts.some(part => !Number.isInteger(part) || part < 0)) {
+            throw new Error(`Invalid OID: ${oid}`);
+        }
+
+        const bytes = [parts[0] * 40 + parts[1]];
+        for (const part of parts.slice(2)) {
+            const chunk = [part & 0x7f];
+            for (let value = Math.floor(part / 128); value > 0; value = Math.floor(value / 128)) {
+                chunk.unshift((value & 0x7f) | 0x80);
+            }
+            bytes.push(...chunk);
+        }
+
+        return this.encodeTlv(BerType.OID, Buffer.from(bytes));
+    }
+
+    static encodeIpAddress(address) {
+        return this.encodeTlv(BerType.IP_ADDRESS, Buffer.from(String(address).split('.').map(Number)));
+    }
+
+    static encodeSequence(items, tag = BerType.SEQUENCE) {
+        return this.encodeTlv(tag, Buffer.concat(items));
+    }
+
+    /**
+     * Encode a varbind value given as { type, value }
+     */
+    static encodeValue({ type, value }) {
+        switch (type) {
+            case 'INTEGER':
+                return this.encodeInteger(value);
+            case 'OCTET_STRING':
+                return this.encodeOctetString(value);
+            case 'OID':
+                return this.encodeOid(value);
+            case 'IP_ADDRESS':
+                return this.encodeIpAddress(value);
+            case 'COUNTER32':
+            case 'GAUGE32':
+            case 'TIMETICKS':
+            case 'COUNTER64':
+                return this.encodeUnsigned(value, BerType[type]);
+            case 'NULL':
+            case undefined:
+                return this.encodeNull();
+            case 'NO_SUCH_OBJECT':
+            case 'NO_SUCH_INSTANCE':
+            case 'END_OF_MIB_VIEW':
+                return this.encodeNull(BerType[type]);
+            default:
+                throw new Error(`Unsupported BER value type: ${type}`);
+        }
+    }
+
+    /**
+     * Read one TLV at an offset
+     * @returns {{ tag: number, value: Buffer, next: number }}
+     */
+    static readTlv(buffer, offset = 0) {
+        if (offset + 2 > buffer.length) {
+            throw new Error('Truncated BER data');
+        }
+
+        const tag = buffer[offset];
+        let length = buffer[offset + 1];
+        let cursor = offset + 2;
+
+        if (length & 0x80) {
+            const count = length & 0x7f;
+            if (count === 0 || count > 4 || cursor + count > buffer.length) {
+                throw new Error('Unsupported BER length');
+            }
+            length = 0;
+            for (let i = 0; i < count; i++) {
+                length = length * 256 + buffer[cursor + i];
+            }
+            cursor += count;
+        }
+
+        if (cursor + length > buffer.length) {
+            throw new Error('Truncated BER data');
+        }
+
+        return { tag, value: buffer.subarray(cursor, cursor + length), next: cursor + length };
+    }
+
+    /**
+     * Split a constructed value into its child TLVs
+     */
+    static readSequence(value) {
+        const items = [];
+        let cursor = 0;
+        while (cursor < value.length) {
+            const tlv = this.readTlv(value, cursor);
+            items.push(tlv);
+            cursor = tlv.next;
+        }
+        return items;
+    }
+
+    static decodeInteger(value) {
+        if (value.length === 0) return 0;
+
+        let number = BigInt(value[0] & 0x80 ? -1 : 0);
+        for (const byte of value) {
+            number = (number << 8n) | BigInt(byte);
+        }
+        return Number(BigInt.asIntN(value.length * 8, number));
+    }
+
+    static decodeUnsigned(value) {
+        let number = 0n;
+        for (const byte of value) {
+            number = (number << 8n) | BigInt(byte);
+        }
+        return number;
+    }
+
+    static decodeOid(value) {
+        if (value.length === 0) return '';
+
+        const parts = [Math.floor(value[0] / 40), value[0] % 40];
+        let current = 0;
+        for (const byte of value.subarray(1)) {
+            current = current * 128 + (byte & 0x7f);
+            if (!(byte & 0x80)) {
+                parts.push(current);
+                current = 0;
+            }
+        }
+        return parts.join('.');
+    }
+
+    /**
+     * Decode a varbind value into { type, value }; Counter64 values are returned as BigInt
+     */
+    static decodeValue({ tag, value }) {
+        const type = TYPE_NAMES[tag] || `0x${tag.toString(16)}`;
+
+        switch (tag) {
+            case BerType.INTEGER:
+                return { type, value: this.decodeInteger(value) };
+            case BerType.OCTET_STRING:
+            case BerType.OPAQUE:
+                return { type, value: Buffer.from(value) };
+            case BerType.OID:
+                return { type, value: this.decodeOid(value) };
+            case BerType.IP_ADDRESS:
+                return { type, value: [...value].join('.') };
+            case BerType.COUNTER32:
+            case BerType.GAUGE32:
+            case BerType.TIMETICKS:
+                return { type, value: Number(this.decodeUnsigned(value)) };
+            case BerType.COUNTER64:
+                return { type, value: this.decodeUnsigned(value) };
+            default:
+                return { type, value: null };
+        }
+    }
+}
+
+export { BerCodec };
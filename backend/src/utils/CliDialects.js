@@ -0,0 +1,56 @@
+// How a device CLI behaves on an interactive session: its prompts, how to reach privileged mode,
+// how to turn paging off, how it reports a command it did not accept and how rendered
+// configuration is entered (configure, then the lines, then commit; abort leaves configuration
+// mode after a rejected line). Keyed like the configuration renderers (see
+// services/ConfigRenderer.js); platforms without a dialect get generic, which cannot be configured.
+
+// Prompts that ask for credentials, on Telnet and on SSH servers that log in again
+export const LOGIN_PROMPT = /(?:user ?name|login):\s*$/i;
+export const PASSWORD_PROMPT = /password:\s*$/i;
+
+export const CliDialects = {
+    ios: {
+        // core-1> core-1# core-1(config-if)#
+        prompt: /^[\w.\-/:@]+(?:\([\w.\-/: ]+\))?[>#]\s?$/,
+        userMode: />\s?$/,
+        enable: 'enable',
+        paging: ['terminal length 0', 'terminal width 0'],
+        more: / ?--More-- ?$/,
+        error: /^% (?:Invalid|Incomplete|Ambiguous|Unknown|Unrecognized|Bad|Error)/m,
+        runningConfig: 'show running-config',
+        configure: ['configure terminal'],
+        commit: ['end'],
+        abort: ['end']
+    },
+    eos: {
+        prompt: /^[\w.\-/:@]+(?:\([\w.\-/: ]+\))?[>#]\s?$/,
+        userMode: />\s?$/,
+        enable: 'enable',
+        paging: ['terminal length 0', 'terminal width 32767'],
+        more: / ?--More-- ?$/,
+        error: /^% /m,
+        runningConfig: 'show running-config',
+        configure: ['configure terminal'],
+        commit: ['end'],
+        abort: ['end']
+    },
+    junos: {
+        // admin@mx-1> admin@mx-1#; the shell prompt (%) is not a CLI prompt
+        prompt: /^[\w.\-]+@[\w.\-]+[>#] ?$/,
+        paging: ['set cli screen-length 0', 'set cli screen-width 0'],
+        more: /---\(more(?: \d+%)?\)--- ?$/,
+        error: /^(?:error:|syntax error|unknown command)/m,
+        runningConfig: 'show configuration | display set',
+        // A private candidate: whatever is not committed is dropped on the way out
+        configure: ['configure private'],
+        commit: ['commit and-quit'],
+        abort: ['rollback', 'exit configuration-mode']
+    },
+    generic: {
+        prompt: /^[^\s]{1,64}[>#$%] ?$/,
+        paging: [],
+        more: /(?:--More--|\(more\)) ?$/i,
+        error: /^% /m,
+        runningConfig: 'show running-config'
+    }
+};
@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import net from 'net';
+import { ErrorHandler } from './ErrorHandler.js';
+
+// Byte streams to a device CLI: an SSH shell channel (ssh2) or a Telnet connection (RFC 854).
+// Both resolve to an EventEmitter with write(text) and close() that emits 'data' (string),
+// 'error' and 'close'. The SSH netconf subsystem (RFC 6242) resolves to the same, with Buffers.
+
+// Telnet commands (RFC 854) and the options a CLI session needs (RFC 857, RFC 858)
+const IAC = 255;
+const DONT = 254;
+const DO = 253;
+const WONT = 252;
+const WILL = 251;
+const SB = 250;
+const SE = 240;
+const ECHO = 1;
+const SUPPRESS_GO_AHEAD = 3;
+
+/**
+ * Telnet connection with option negotiation: the device may echo and suppress go-ahead, every
+ * other option is refused, and subnegotiations are dropped
+ */
+export class TelnetStream extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.pending = Buffer.alloc(0);
+        socket.on('data', chunk => this._receive(chunk));
+        holdUntilRead(this, socket);
+        socket.on('error', error => this.emit('error', error));
+        socket.on('close', () => this.emit('close'));
+    }
+
+    write(text) {
+        // Lines end in CR LF and a literal 0xff is doubled
+        const data = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8');
+        const escaped = [];
+        for (const byte of data) {
+            escaped.push(byte);
+            if (byte === IAC) escaped.push(IAC);
+        }
+        this.socket.write(Buffer.from(escaped));
+    }
+
+    close() {
+        this.socket.end();
+        this.socket.destroy();
+    }
+
+    _receive(chunk) {
+        const data = Buffer.concat([this.pending, chunk]);
+        const text = [];
+        let i = 0;
+        while (i < data.length) {
+            if (data[i] !== IAC) {
+                text.push(data[i++]);
+                continue;
+            }
+            if (i + 1 >= data.length) break;
+            const command = data[i + 1];
+            if (command === IAC) {
+                text.push(IAC);
+                i += 2;
+            } else if (command >= WILL && command <= DONT) {
+                if (i + 2 >= data.length) break;
+                this._negotiate(command, data[i + 2]);
+                i += 3;
+            } else if (command === SB) {
+                const end = data.indexOf(Buffer.from([IAC, SE]), i + 2);
+                if (end === -1) break;
+                i = end + 2;
+            } else {
+                i += 2;
+            }
+        }
+        this.pending = data.subarray(i);
+        if (text.length > 0) {
+            this.emit('data', Buffer.from(text).toString('utf8').replace(/\r\0/g, '\r'));
+        }
+    }
+
+    _negotiate(command, option) {
+        let reply;
+        if (command === WILL) {
+            reply = option === ECHO || option === SUPPRESS_GO_AHEAD ? DO : DONT;
+        } else if (command === DO) {
+            reply = option === SUPPRESS_GO_AHEAD ? WILL : WONT;
+        }
+        if (reply !== undefined) {
+            this.socket.write(Buffer.from([IAC, reply, option]));
+        }
+    }
+}
+
+/**
+ * @param {object} options - { host, port, timeout }
+ * @returns {Promise<TelnetStream>}
+ */
+export function connectTelnet({ host, port = 23, timeout = 15000 }) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host, port });
+        const timer = setTimeout(() => {
+            socket.destroy();
+            reject(Object.assign(new Error(`Telnet connection to ${host}:${port} timed out`), { code: 'ETIMEDOUT' }));
+        }, timeout);
+        socket.once('connect', () => {
+            clearTimeout(timer);
+            socket.removeAllListeners('error');
+            resolve(new TelnetStream(socket));
+        });
+        socket.once('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * SSH shell channel. ssh2 is only loaded when a device is reached over SSH.
+ * @param {object} options - { host, port, timeout, username, password, privateKey, passphrase,
+ *   hostKey, allowUnknownHostKey } where hostKey is the SHA256 fingerprint of the host key
+ *   (base64, as ssh-keygen -l shows it). Without one the connection is refused, unless
+ *   allowUnknownHostKey is set; then any host key is accepted.
+ * @returns {Promise<EventEmitter>}
+ */
+export function connectSsh(options) {
+    return sshChannel(options, (client, done) => {
+        client.shell({ term: 'vt100', cols: 511, rows: 24 }, (error, channel) => done(error, channel && shellStream(client, channel)));
+    });
+}
+
+/**
+ * SSH channel to the netconf subsystem. Its 'data' events are Buffers: NETCONF chunk sizes
+ * count octets.
+ * @param {object} options - as for connectSsh; the port defaults to 830
+ * @returns {Promise<EventEmitter>} with write(data) and close()
+ */
+export function connectNetconf({ port = 830, ...options }) {
+    return sshChannel({ ...options, port }, (client, done) => {
+        client.subsys('netconf', (error, channel) => done(error, channel && subsystemStream(client, channel)));
+    });
+}
+
+// SHA256 fingerprint of a raw host key, base64 without padding
+export function fingerprint(key) {
+    return crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '');
+}
+
+// Log in, check the host key and open a channel with openChannel(client, done)
+async function sshChannel({
+    host, port = 22, timeout = 15000, username, password, privateKey, passphrase, hostKey, allowUnknownHostKey = false
+}, openChannel) {
+    const expected = hostKey?.replace(/^SHA256:/, '').replace(/=+$/, '');
+    if (!expected && !allowUnknownHostKey) {
+        throw ErrorHandler.badRequest(`No SSH host key is pinned for ${host}: set connectionInfo.hostKey to its SHA256 fingerprint`);
+    }
+    const { Client } = await import('ssh2');
+    const client = new Client();
+
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        const fail = (error) => {
+            if (settled) return;
+            settled = true;
+            client.end();
+            reject(error.level === 'client-authentication'
+                ? Object.assign(new Error(`SSH authentication to ${host} failed`), { code: 'EAUTH' })
+                : error);
+        };
+
+        client.on('keyboard-interactive', (name, instructions, language, prompts, finish) => {
+            finish(prompts.map(() => password || ''));
+        });
+        client.once('error', fail);
+        client.once('ready', () => {
+            openChannel(client, (error, stream) => {
+                if (error) return fail(error);
+                settled = true;
+                resolve(stream);
+            });
+        });
+
+        client.connect({
+            host,
+            port,
+            username,
+            password,
+            privateKey,
+            passphrase,
+            tryKeyboard: true,
+            readyTimeout: timeout,
+            hostVerifier: expected ? key => fingerprint(key) === expected : undefined
+        });
+    });
+}
+
+// Keep what the device sends first (a banner, the prompt) until someone listens for it
+function holdUntilRead(stream, source) {
+    source.pause();
+    const listen = (event) => {
+        if (event !== 'data') return;
+        stream.off('newListener', listen);
+        source.resume();
+    };
+    stream.on('newListener', listen);
+}
+
+function shellStream(client, channel) {
+    const stream = new EventEmitter();
+    stream.write = text => channel.write(text.replace(/\r?\n/g, '\r'));
+    stream.close = () => {
+        channel.end();
+        client.end();
+    };
+    channel.setEncoding('utf8');
+    channel.on('data', data => stream.emit('data', data));
+    channel.stderr.on('data', data => stream.emit('data', String(data)));
+    holdUntilRead(stream, channel);
+    channel.on('close', () => {
+        client.end();
+        stream.emit('close');
+    });
+    client.on('error', error => stream.emit('error', error));
+    return stream;
+}
+
+function subsystemStream(client, channel) {
+    const stream = new EventEmitter();
+    stream.write = data => channel.write(data);
+    stream.close = () => {
+        channel.end();
+        client.end();
+    };
+    channel.on('data', data => stream.emit('data', data));
+    holdUntilRead(stream, channel);
+    channel.on('close', () => {
+        client.end();
+        stream.emit('close');
+    });
+    client.on('error', error => stream.emit('error', error));
+    return stream;
+}
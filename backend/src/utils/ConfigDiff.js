@@ -0,0 +1,232 @@
+// Diffs between device configurations: line-level with Myers' algorithm, grouped into hunks with
+// context like a unified diff, and key-level between structured configs. Text configs are
+// structured by indentation, so a line is a key and the lines indented under it are its children,
+// e.g. ['interface GigabitEthernet0/1', 'description uplink'].
+
+const DEFAULT_CONTEXT = 3;
+const DEFAULT_MAX_EDITS = 2000;
+
+/**
+ * @param {string} before
+ * @param {string} after
+ * @param {object} options - { context: lines around each change, maxEdits: past this many changed
+ *   lines the differing middle is reported as replaced as a whole }
+ * @returns {{ added: number, removed: number, hunks: Array<object> }} hunks are
+ *   { oldStart, oldLines, newStart, newLines, lines: [{ type: 'context'|'add'|'remove', text }] }
+ *   with 1-based line numbers
+ */
+export function diffLines(before, after, { context = DEFAULT_CONTEXT, maxEdits = DEFAULT_MAX_EDITS } = {}) {
+    const a = splitLines(before);
+    const b = splitLines(after);
+    const ops = editScript(a, b, maxEdits);
+
+    return {
+        added: ops.filter(op => op.type === 'add').length,
+        removed: ops.filter(op => op.type === 'remove').length,
+        hunks: toHunks(ops, context)
+    };
+}
+
+/**
+ * @param {*} before - plain data
+ * @param {*} after
+ * @returns {Array<{ path: Array<string>, change: 'added'|'removed'|'changed', before?: *, after?: * }>}
+ *   array items are keyed by their index as '[i]'
+ */
+export function diffKeys(before, after, path = []) {
+    if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+        const changes = [];
+        const keys = Array.isArray(before)
+            ? [...Array(Math.max(before.length, after.length)).keys()]
+            : [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+        for (const key of keys) {
+            const name = Array.isArray(before) ? `[${key}]` : key;
+            if (!Object.hasOwn(before, key)) {
+                changes.push({ path: [...path, name], change: 'added', after: after[key] });
+            } else if (!Object.hasOwn(after, key)) {
+                changes.push({ path: [...path, name], change: 'removed', before: before[key] });
+            } else {
+                changes.push(...diffKeys(before[key], after[key], [...path, name]));
+            }
+        }
+        return changes;
+    }
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+    return [{ path, change: 'changed', before, after }];
+}
+
+/**
+ * Nest the lines of a text config by indentation. Blank lines and '!' separators are dropped.
+ * @returns {object} each line maps to an object of the lines indented under it
+ */
+export function configTree(text) {
+    const root = {};
+    const stack = [{ indent: -1, node: root }];
+
+    for (const line of splitLines(text)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed === '!') continue;
+        const indent = line.length - line.trimStart().length;
+        while (stack[stack.length - 1].indent >= indent) stack.pop();
+
+        const parent = stack[stack.length - 1].node;
+        parent[trimmed] = parent[trimmed] || {};
+        stack.push({ indent, node: parent[trimmed] });
+    }
+    return root;
+}
+
+/**
+ * @param {string} text
+ * @returns {Array<string>} lines without line endings; a final newline does not add an empty line
+ */
+export function splitLines(text) {
+    if (!text) return [];
+    const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+// Shortest edit script between two line arrays as [{ type, text, oldLine, newLine }]
+function editScript(a, b, maxEdits) {
+    // Common prefix and suffix are equal lines without running the diff
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const middle = myers(a.slice(start, endA), b.slice(start, endB), maxEdits) ||
+        [...a.slice(start, endA).map(() => 'remove'), ...b.slice(start, endB).map(() => 'add')];
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    const push = (type) => {
+        if (type === 'add') {
+            ops.push({ type, text: b[j], oldLine: i, newLine: j + 1 });
+            j++;
+        } else if (type === 'remove') {
+            ops.push({ type, text: a[i], oldLine: i + 1, newLine: j });
+            i++;
+        } else {
+            ops.push({ type, text: a[i], oldLine: i + 1, newLine: j + 1 });
+            i++;
+            j++;
+        }
+    };
+    for (let k = 0; k < start; k++) push('context');
+    middle.forEach(push);
+    while (i < a.length) push('context');
+    return ops;
+}
+
+// Myers' O(ND) diff; null when more than maxEdits lines differ. Each round keeps only the
+// diagonals it can reach, so the trace grows with the square of the edits, not the file size.
+function myers(a, b, maxEdits) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, maxEdits);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        // Diagonals -d-1..d+1 as they were before this round
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                return backtrack(trace, d, n, m);
+            }
+        }
+    }
+    return null;
+}
+
+function backtrack(trace, depth, n, m) {
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = depth; d > 0; d--) {
+        const at = (k) => trace[d][k + d + 1];
+        const k = x - y;
+        const down = k === -d || (k !== d && at(k - 1) < at(k + 1));
+        const prevK = down ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push('context');
+            x--;
+            y--;
+        }
+        ops.push(down ? 'add' : 'remove');
+        x = prevX;
+        y = prevY;
+    }
+    while (x > 0 && y > 0) {
+        ops.push('context');
+        x--;
+        y--;
+    }
+    return ops.reverse();
+}
+
+function toHunks(ops, context) {
+    const hunks = [];
+    let hunk = null;
+    let lastChange = -Infinity;
+
+    ops.forEach((op, index) => {
+        if (op.type === 'context') return;
+        if (!hunk || index - lastChange > 2 * context) {
+            if (hunk) hunks.push(closeHunk(hunk, ops, lastChange, context));
+            const first = ops[Math.max(index - context, 0)];
+            hunk = {
+                oldStart: first.type === 'add' ? first.oldLine + 1 : first.oldLine,
+                newStart: first.type === 'remove' ? first.newLine + 1 : first.newLine,
+                lines: []
+            };
+            for (let i = Math.max(index - context, 0); i < index; i++) hunk.lines.push(line(ops[i]));
+        } else {
+            for (let i = lastChange + 1; i < index; i++) hunk.lines.push(line(ops[i]));
+        }
+        hunk.lines.push(line(op));
+        lastChange = index;
+    });
+    if (hunk) hunks.push(closeHunk(hunk, ops, lastChange, context));
+    return hunks;
+}
+
+function closeHunk(hunk, ops, lastChange, context) {
+    for (let i = lastChange + 1; i < Math.min(lastChange + 1 + context, ops.length); i++) {
+        hunk.lines.push(line(ops[i]));
+    }
+    return {
+        oldStart: hunk.oldStart,
+        oldLines: hunk.lines.filter(entry => entry.type !== 'add').length,
+        newStart: hunk.newStart,
+        newLines: hunk.lines.filter(entry => entry.type !== 'remove').length,
+        lines: hunk.lines
+    };
+}
+
+function line(op) {
+    return { type: op.type, text: op.text };
+}
+
+function isContainer(value) {
+    return value !== null && typeof value === 'object';
+}
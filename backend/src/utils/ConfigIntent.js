@@ -0,0 +1,433 @@
+// Vendor-neutral device configuration ("intent") that the config renderers turn into CLI text:
+// { hostname, vlans, acls, qos, interfaces, staticRoutes, snmp, logging }, every section optional.
+// Names and free text end up on a CLI line, so they are checked strictly: nothing that could
+// start a new line or close a quoted string gets through.
+
+import { ErrorHandler } from './ErrorHandler.js';
+import { SyslogFacility, SyslogSeverity } from './SyslogParser.js';
+
+const HOSTNAME = /^[A-Za-z0-9][A-Za-z0-9-]{0,62}$/;
+// ACL, VLAN, class and policy names
+const NAME = /^[A-Za-z][\w.-]{0,63}$/;
+const INTERFACE_NAME = /^[A-Za-z][\w./:-]{0,63}$/;
+const COMMUNITY = /^[\w.@%+=-]{1,64}$/;
+// The id of a vault secret that holds a community
+const SECRET_ID = /^[a-f\d]{24}$/i;
+// Descriptions, SNMP location and contact: one line, no quotes or backslashes
+const TEXT = /^[^\u0000-\u001f\u007f"\\]{1,240}$/;
+const IPV4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+export const ACL_PROTOCOLS = ['ip', 'tcp', 'udp', 'icmp'];
+export const INTERFACE_MODES = ['routed', 'access', 'trunk'];
+
+// Queues are numbered after the classes and every vendor has eight
+const MAX_QOS_CLASSES = 7;
+
+/**
+ * Check an intent and fill in its defaults
+ * @param {object} intent
+ * @returns {object} a normalized copy: every section present (arrays empty, snmp and logging null
+ *   when not configured), addresses as 'a.b.c.d/len' and DSCP values as lower-case names or numbers
+ * @throws {AppError} BAD_REQUEST listing every problem found
+ */
+export function normalizeIntent(intent) {
+    if (!isObject(intent)) {
+        throw ErrorHandler.badRequest('Intent must be an object');
+    }
+
+    const errors = [];
+    const check = (ok, message) => {
+        if (!ok) errors.push(message);
+        return ok;
+    };
+
+    if (intent.hostname !== undefined) {
+        check(HOSTNAME.test(intent.hostname), 'hostname must be letters, digits and dashes');
+    }
+
+    const vlans = list(intent.vlans, 'vlans', check).map((vlan, i) => {
+        check(isInt(vlan.id, 1, 4094), `vlans[${i}].id must be 1-4094`);
+        if (vlan.name !== undefined) check(NAME.test(vlan.name), `vlans[${i}].name is not a valid name`);
+        return { id: vlan.id, name: vlan.name };
+    });
+    unique(vlans.map(vlan => vlan.id), 'VLAN', check);
+
+    const acls = list(intent.acls, 'acls', check).map((acl, i) => {
+        check(NAME.test(acl.name), `acls[${i}].name is not a valid name`);
+        const entries = list(acl.entries, `acls[${i}].entries`, check);
+        check(entries.length > 0, `acls[${i}] needs at least one entry`);
+        return {
+            name: acl.name,
+            entries: entries.map((entry, j) => normalizeAclEntry(entry, `acls[${i}].entries[${j}]`, check))
+        };
+    });
+    unique(acls.map(acl => acl.name), 'ACL', check);
+
+    const qos = normalizeQos(intent.qos, check);
+
+    const interfaces = list(intent.interfaces, 'interfaces', check).map((iface, i) => {
+        const at = `interfaces[${i}]`;
+        check(INTERFACE_NAME.test(iface.name), `${at}.name is not a valid interface name`);
+        if (iface.description !== undefined) check(TEXT.test(iface.description), `${at}.description must be one line without quotes`);
+        if (iface.mtu !== undefined) check(isInt(iface.mtu, 576, 9216), `${at}.mtu must be 576-9216`);
+
+        const mode = iface.mode || (iface.address ? 'routed' : undefined);
+        if (mode !== undefined) check(INTERFACE_MODES.includes(mode), `${at}.mode must be one of ${INTERFACE_MODES.join(', ')}`);
+        let address;
+        if (iface.address !== undefined) {
+            address = hostPrefix(iface.address);
+            check(address, `${at}.address must be an IPv4 host address with a prefix length`);
+            check(mode === 'routed', `${at}.address needs mode routed`);
+        }
+        if (mode === 'access') {
+            check(isInt(iface.accessVlan, 1, 4094), `${at}.accessVlan must be 1-4094`);
+        }
+        const allowedVlans = mode === 'trunk' ? list(iface.allowedVlans, `${at}.allowedVlans`, check) : [];
+        allowedVlans.forEach(id => check(isInt(id, 1, 4094), `${at}.allowedVlans must be 1-4094`));
+        if (mode === 'trunk' && iface.nativeVlan !== undefined) {
+            check(isInt(iface.nativeVlan, 1, 4094), `${at}.nativeVlan must be 1-4094`);
+        }
+
+        const acl = isObject(iface.acl) ? iface.acl : {};
+        for (const direction of ['in', 'out']) {
+            if (acl[direction] !== undefined) {
+                check(mode !== 'access' && mode !== 'trunk', `${at}.acl needs a routed interface`);
+                check(acls.some(item => item.name === acl[direction]), `${at}.acl.${direction} refers to an unknown ACL ${acl[direction]}`);
+            }
+        }
+        if (iface.qosPolicy !== undefined) {
+            check(qos.policies.some(policy => policy.name === iface.qosPolicy), `${at}.qosPolicy refers to an unknown policy ${iface.qosPolicy}`);
+        }
+
+        return {
+            name: iface.name,
+            description: iface.description,
+            enabled: iface.enabled !== false,
+            mtu: iface.mtu,
+            mode,
+            address: address || undefined,
+            accessVlan: mode === 'access' ? iface.accessVlan : undefined,
+            allowedVlans,
+            nativeVlan: mode === 'trunk' ? iface.nativeVlan : undefined,
+            acl: { in: acl.in, out: acl.out },
+            qosPolicy: iface.qosPolicy
+        };
+    });
+    unique(interfaces.map(iface => iface.name), 'interface', check);
+
+    const staticRoutes = list(intent.staticRoutes, 'staticRoutes', check).map((route, i) => {
+        const prefix = networkPrefix(route.prefix);
+        check(prefix, `staticRoutes[${i}].prefix must be an IPv4 network with a prefix length`);
+        check(IPV4.test(route.nextHop) && parseAddress(route.nextHop) !== null, `staticRoutes[${i}].nextHop must be an IPv4 address`);
+        if (route.distance !== undefined) check(isInt(route.distance, 1, 255), `staticRoutes[${i}].distance must be 1-255`);
+        if (route.name !== undefined) check(NAME.test(route.name), `staticRoutes[${i}].name is not a valid name`);
+        return { prefix: prefix || undefined, nextHop: route.nextHop, distance: route.distance, name: route.name };
+    });
+
+    const snmp = normalizeSnmp(intent.snmp, check);
+    const logging = normalizeLogging(intent.logging, check);
+
+    if (errors.length > 0) {
+        throw ErrorHandler.badRequest(`Invalid intent: ${errors.join('; ')}`, { errors });
+    }
+
+    return { hostname: intent.hostname, vlans, acls, qos, interfaces, staticRoutes, snmp, logging };
+}
+
+/**
+ * The intent a newly discovered device is configured with
+ * @param {object} device - NetworkDevice document or plain object
+ */
+export function defaultIntent(device) {
+    const intent = {
+        logging: {
+            level: 'info',
+            facility: 'local7'
+        }
+    };
+    // The read-only community is a vault secret; without one the device gets no community
+    if (process.env.SNMP_COMMUNITY_SECRET) {
+        intent.snmp = { communities: [{ secret: process.env.SNMP_COMMUNITY_SECRET, access: 'ro' }] };
+    }
+    if (HOSTNAME.test(device?.name || '')) {
+        intent.hostname = device.name;
+    }
+    if (device?.type === 'switch') {
+        intent.vlans = [{ id: 100, name: 'management' }];
+    }
+    return intent;
+}
+
+/**
+ * The vault secrets that an intent's SNMP communities and trap hosts refer to
+ * @param {object} intent - normalized
+ * @returns {string[]} secret ids
+ */
+export function snmpSecretIds(intent) {
+    const entries = [...(intent.snmp?.communities || []), ...(intent.snmp?.trapHosts || [])];
+    return [...new Set(entries.map(entry => entry.secret).filter(Boolean))];
+}
+
+/**
+ * Put a community in place of every vault secret an intent refers to
+ * @param {object} intent - normalized
+ * @param {function(string): string} community - the community for a secret id
+ * @returns {object} a copy
+ */
+export function fillSnmpSecrets(intent, community) {
+    if (!intent.snmp) return intent;
+    return {
+        ...intent,
+        snmp: {
+            ...intent.snmp,
+            communities: intent.snmp.communities.map(({ secret, ...entry }) =>
+                (secret ? { name: community(secret), ...entry } : entry)),
+            trapHosts: intent.snmp.trapHosts.map(({ secret, ...trapHost }) =>
+                (secret ? { ...trapHost, community: community(secret) } : trapHost))
+        }
+    };
+}
+
+/**
+ * Refer to the vault secret in place of every community of an intent that one holds
+ * @param {object} intent - normalized
+ * @param {function(string): string|undefined} secretOf - the secret id for a community
+ * @returns {object} a copy
+ */
+export function referToSnmpSecrets(intent, secretOf) {
+    if (!intent.snmp) return intent;
+    const refer = (entry, field) => {
+        const secret = entry[field] && secretOf(entry[field]);
+        if (!secret) return entry;
+        const copy = { secret, ...entry };
+        delete copy[field];
+        return copy;
+    };
+    return {
+        ...intent,
+        snmp: {
+            ...intent.snmp,
+            communities: intent.snmp.communities.map(community => refer(community, 'name')),
+            trapHosts: intent.snmp.trapHosts.map(trapHost => refer(trapHost, 'community'))
+        }
+    };
+}
+
+/**
+ * Hide the communities in IOS, EOS and Junos configuration text, e.g. of CLI transcripts
+ * @param {string} text
+ * @returns {string}
+ */
+export function maskCommunities(text) {
+    return text
+        .replace(/(snmp-server community )\S+/g, '$1********')
+        .replace(/(snmp-server host \S+ (?:(?:informs|traps) )?(?:version (?:1|2c|3 \S+) )?)(?!(?:informs|traps|version)\b)\S+/g, '$1********')
+        .replace(/(snmp (?:community|trap-group) )\S+/g, '$1********');
+}
+
+/**
+ * @param {string|number} dscp - a name such as ef, af41, cs3 or default, or 0-63
+ * @returns {number|null}
+ */
+export function dscpValue(dscp) {
+    if (typeof dscp === 'number') {
+        return isInt(dscp, 0, 63) ? dscp : null;
+    }
+    const name = String(dscp).toLowerCase();
+    if (name === 'default') return 0;
+    if (name === 'ef') return 46;
+    let match = /^cs([0-7])$/.exec(name);
+    if (match) return Number(match[1]) * 8;
+    match = /^af([1-4])([1-3])$/.exec(name);
+    if (match) return Number(match[1]) * 8 + Number(match[2]) * 2;
+    return null;
+}
+
+/**
+ * @param {string} prefix - 'a.b.c.d/len'
+ * @returns {{ address: string, length: number }}
+ */
+export function splitPrefix(prefix) {
+    const [address, length] = prefix.split('/');
+    return { address, length: Number(length) };
+}
+
+// Dotted netmask of a prefix length, e.g. 24 -> 255.255.255.0
+export function netmask(length) {
+    return formatAddress(length === 0 ? 0 : (0xffffffff << (32 - length)) >>> 0);
+}
+
+// Dotted wildcard (inverse) mask of a prefix length, e.g. 24 -> 0.0.0.255
+export function wildcard(length) {
+    return formatAddress(length === 32 ? 0 : (0xffffffff >>> length));
+}
+
+function normalizeAclEntry(entry, at, check) {
+    if (!check(isObject(entry), `${at} must be an object`)) return {};
+    check(['permit', 'deny'].includes(entry.action), `${at}.action must be permit or deny`);
+    const protocol = entry.protocol || 'ip';
+    check(ACL_PROTOCOLS.includes(protocol), `${at}.protocol must be one of ${ACL_PROTOCOLS.join(', ')}`);
+
+    const endpoint = (value, field) => {
+        if (value === undefined || value === 'any') return 'any';
+        const prefix = networkPrefix(String(value).includes('/') ? value : `${value}/32`);
+        check(prefix, `${at}.${field} must be any or an IPv4 address or network`);
+        return prefix || 'any';
+    };
+    const port = (value, field) => {
+        if (value === undefined) return undefined;
+        check(protocol === 'tcp' || protocol === 'udp', `${at}.${field} needs protocol tcp or udp`);
+        check(isInt(value, 1, 65535), `${at}.${field} must be 1-65535`);
+        return value;
+    };
+
+    return {
+        action: entry.action,
+        protocol,
+        source: endpoint(entry.source, 'source'),
+        sourcePort: port(entry.sourcePort, 'sourcePort'),
+        destination: endpoint(entry.destination, 'destination'),
+        destinationPort: port(entry.destinationPort, 'destinationPort'),
+        log: entry.log === true
+    };
+}
+
+function normalizeQos(qos, check) {
+    if (qos === undefined) return { classes: [], policies: [] };
+    if (!check(isObject(qos), 'qos must be an object')) return { classes: [], policies: [] };
+
+    const classes = list(qos.classes, 'qos.classes', check).map((item, i) => {
+        check(NAME.test(item.name), `qos.classes[${i}].name is not a valid name`);
+        const dscp = list(item.dscp, `qos.classes[${i}].dscp`, check);
+        check(dscp.length > 0, `qos.classes[${i}] needs at least one DSCP value`);
+        dscp.forEach(value => check(dscpValue(value) !== null, `qos.classes[${i}].dscp ${value} is not a DSCP name or 0-63`));
+        return {
+            name: item.name,
+            dscp: dscp.map(value => (typeof value === 'number' ? value : String(value).toLowerCase()))
+        };
+    });
+    check(classes.length <= MAX_QOS_CLASSES, `qos.classes can have at most ${MAX_QOS_CLASSES} classes`);
+    unique(classes.map(item => item.name), 'QoS class', check);
+
+    const policies = list(qos.policies, 'qos.policies', check).map((policy, i) => {
+        check(NAME.test(policy.name), `qos.policies[${i}].name is not a valid name`);
+        const actions = list(policy.classes, `qos.policies[${i}].classes`, check).map((action, j) => {
+            const at = `qos.policies[${i}].classes[${j}]`;
+            check(classes.some(item => item.name === action.class), `${at}.class refers to an unknown class ${action.class}`);
+            check(isInt(action.bandwidthPercent, 1, 100), `${at}.bandwidthPercent must be 1-100`);
+            return { class: action.class, priority: action.priority === true, bandwidthPercent: action.bandwidthPercent };
+        });
+        const total = actions.reduce((sum, action) => sum + (action.bandwidthPercent || 0), 0);
+        check(total <= 100, `qos.policies[${i}] reserves more than 100% of the bandwidth`);
+        return { name: policy.name, classes: actions };
+    });
+    unique(policies.map(policy => policy.name), 'QoS policy', check);
+
+    return { classes, policies };
+}
+
+function normalizeSnmp(snmp, check) {
+    if (snmp === undefined) return null;
+    if (!check(isObject(snmp), 'snmp must be an object')) return null;
+
+    if (snmp.location !== undefined) check(TEXT.test(snmp.location), 'snmp.location must be one line without quotes');
+    if (snmp.contact !== undefined) check(TEXT.test(snmp.contact), 'snmp.contact must be one line without quotes');
+    // A community is given as is, or as the vault secret that holds it
+    const communities = list(snmp.communities, 'snmp.communities', check).map((community, i) => {
+        const access = community.access || 'ro';
+        check(access === 'ro' || access === 'rw', `snmp.communities[${i}].access must be ro or rw`);
+        if (community.secret !== undefined) {
+            check(community.name === undefined, `snmp.communities[${i}] has both a name and a secret`);
+            check(SECRET_ID.test(community.secret), `snmp.communities[${i}].secret is not a vault secret id`);
+            return { secret: community.secret, access };
+        }
+        check(COMMUNITY.test(community.name), `snmp.communities[${i}].name is not a valid community`);
+        return { name: community.name, access };
+    });
+    const trapHosts = list(snmp.trapHosts, 'snmp.trapHosts', check).map((trapHost, i) => {
+        check(IPV4.test(trapHost.host) && parseAddress(trapHost.host) !== null, `snmp.trapHosts[${i}].host must be an IPv4 address`);
+        const version = trapHost.version || '2c';
+        check(version === '1' || version === '2c', `snmp.trapHosts[${i}].version must be 1 or 2c`);
+        if (trapHost.secret !== undefined) {
+            check(trapHost.community === undefined, `snmp.trapHosts[${i}] has both a community and a secret`);
+            check(SECRET_ID.test(trapHost.secret), `snmp.trapHosts[${i}].secret is not a vault secret id`);
+            return { host: trapHost.host, secret: trapHost.secret, version };
+        }
+        check(COMMUNITY.test(trapHost.community), `snmp.trapHosts[${i}].community is not a valid community`);
+        return { host: trapHost.host, community: trapHost.community, version };
+    });
+
+    return { location: snmp.location, contact: snmp.contact, communities, trapHosts };
+}
+
+function normalizeLogging(logging, check) {
+    if (logging === undefined) return null;
+    if (!check(isObject(logging), 'logging must be an object')) return null;
+
+    const hosts = list(logging.hosts, 'logging.hosts', check);
+    hosts.forEach(host => check(IPV4.test(host) && parseAddress(host) !== null, `logging.hosts ${host} is not an IPv4 address`));
+    const level = logging.level || 'info';
+    check(SyslogSeverity.includes(level), `logging.level must be one of ${SyslogSeverity.join(', ')}`);
+    const facility = logging.facility || 'local7';
+    check(/^local[0-7]$/.test(facility) && SyslogFacility.includes(facility), 'logging.facility must be local0-local7');
+    if (logging.buffered !== undefined) check(isInt(logging.buffered, 4096, 2147483647), 'logging.buffered must be at least 4096 bytes');
+
+    return { hosts, level, facility, buffered: logging.buffered };
+}
+
+function list(value, field, check) {
+    if (value === undefined) return [];
+    if (!check(Array.isArray(value), `${field} must be an array`)) return [];
+    return value.map(item => (isObject(item) ? item : (typeof item === 'object' ? {} : item)));
+}
+
+function unique(values, label, check) {
+    const seen = new Set();
+    for (const value of values) {
+        check(!seen.has(value), `Duplicate ${label} ${value}`);
+        seen.add(value);
+    }
+}
+
+// 'a.b.c.d/len' with no host bits set, or null
+function networkPrefix(value) {
+    const prefix = parsePrefix(value);
+    if (!prefix) return null;
+    const mask = prefix.length === 0 ? 0 : (0xffffffff << (32 - prefix.length)) >>> 0;
+    return (prefix.address & ~mask) === 0 ? value : null;
+}
+
+// 'a.b.c.d/len' naming a host inside the network, or null
+function hostPrefix(value) {
+    const prefix = parsePrefix(value);
+    if (!prefix || prefix.length === 0) return null;
+    const mask = (0xffffffff << (32 - prefix.length)) >>> 0;
+    return prefix.length >= 31 || (prefix.address & ~mask) !== 0 ? value : null;
+}
+
+function parsePrefix(value) {
+    const match = /^([\d.]+)\/(\d{1,2})$/.exec(typeof value === 'string' ? value : '');
+    if (!match || Number(match[2]) > 32) return null;
+    const address = parseAddress(match[1]);
+    return address === null ? null : { address, length: Number(match[2]) };
+}
+
+function parseAddress(value) {
+    const match = IPV4.exec(value);
+    if (!match) return null;
+    const octets = match.slice(1).map(Number);
+    if (octets.some(octet => octet > 255)) return null;
+    return octets.reduce((address, octet) => address * 256 + octet, 0);
+}
+
+function formatAddress(value) {
+    return [24, 16, 8, 0].map(shift => (value >>> shift) & 0xff).join('.');
+}
+
+function isInt(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
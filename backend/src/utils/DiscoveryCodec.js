@@ -0,0 +1,266 @@
+// Link-layer neighbor discovery frames: LLDP (IEEE 802.1AB) and CDP
+
+export const LLDP_ETH_TYPE = 0x88cc;
+export const LLDP_MULTICAST = '01:80:c2:00:00:0e';
+export const CDP_MULTICAST = '01:00:0c:cc:cc:cc';
+
+const LldpTlv = {
+    END: 0,
+    CHASSIS_ID: 1,
+    PORT_ID: 2,
+    TTL: 3,
+    PORT_DESCRIPTION: 4,
+    SYSTEM_NAME: 5,
+    SYSTEM_DESCRIPTION: 6,
+    SYSTEM_CAPABILITIES: 7,
+    MANAGEMENT_ADDRESS: 8
+};
+
+const CHASSIS_SUBTYPES = {
+    1: 'chassisComponent',
+    2: 'interfaceAlias',
+    3: 'portComponent',
+    4: 'macAddress',
+    5: 'networkAddress',
+    6: 'interfaceName',
+    7: 'local'
+};
+
+const PORT_SUBTYPES = {
+    1: 'interfaceAlias',
+    2: 'portComponent',
+    3: 'macAddress',
+    4: 'networkAddress',
+    5: 'interfaceName',
+    6: 'agentCircuitId',
+    7: 'local'
+};
+
+const LLDP_CAPABILITIES = ['other', 'repeater', 'bridge', 'wlanAccessPoint', 'router', 'telephone', 'docsisCableDevice', 'station'];
+
+const CdpTlv = {
+    DEVICE_ID: 0x0001,
+    ADDRESSES: 0x0002,
+    PORT_ID: 0x0003,
+    CAPABILITIES: 0x0004,
+    SOFTWARE_VERSION: 0x0005,
+    PLATFORM: 0x0006
+};
+
+const CDP_CAPABILITIES = ['router', 'transparentBridge', 'sourceRouteBridge', 'switch', 'host', 'igmp', 'repeater'];
+
+// 802.2 LLC/SNAP header carrying CDP (Cisco OUI, protocol 0x2000)
+const CDP_SNAP = Buffer.from([0xaa, 0xaa, 0x03, 0x00, 0x00, 0x0c, 0x20, 0x00]);
+
+class LldpCodec {
+    /**
+     * Build an LLDP ethernet frame
+     * @param {object} options - { srcMac, chassisId, chassisIdSubtype, portId, portIdSubtype, ttl, portDescription, systemName }
+     */
+    static encodeFrame({ srcMac, chassisId, chassisIdSubtype = 7, portId, portIdSubtype = 7, ttl = 120, portDescription, systemName }) {
+        const ttlValue = Buffer.alloc(2);
+        ttlValue.writeUInt16BE(ttl, 0);
+
+        const tlvs = [
+            this._tlv(LldpTlv.CHASSIS_ID, Buffer.concat([Buffer.from([chassisIdSubtype]), this._subtypeValue(chassisIdSubtype, chassisId, 4)])),
+            this._tlv(LldpTlv.PORT_ID, Buffer.concat([Buffer.from([portIdSubtype]), this._subtypeValue(portIdSubtype, portId, 3)])),
+            this._tlv(LldpTlv.TTL, ttlValue)
+        ];
+        if (portDescription) tlvs.push(this._tlv(LldpTlv.PORT_DESCRIPTION, Buffer.from(portDescription)));
+        if (systemName) tlvs.push(this._tlv(LldpTlv.SYSTEM_NAME, Buffer.from(systemName)));
+        tlvs.push(this._tlv(LldpTlv.END, Buffer.alloc(0)));
+
+        const ethType = Buffer.alloc(2);
+        ethType.writeUInt16BE(LLDP_ETH_TYPE, 0);
+
+        return Buffer.concat([macToBuffer(LLDP_MULTICAST), macToBuffer(srcMac || '00:00:00:00:00:00'), ethType, ...tlvs]);
+    }
+
+    /**
+     * Decode the TLVs of an LLDP payload (the bytes after the ethertype)
+     */
+    static decode(payload) {
+        const neighbor = { protocol: 'lldp' };
+        let cursor = 0;
+
+        while (cursor + 2 <= payload.length) {
+            const header = payload.readUInt16BE(cursor);
+            const type = header >> 9;
+            const length = header & 0x1ff;
+            const value = payload.subarray(cursor + 2, cursor + 2 + length);
+            cursor += 2 + length;
+
+            if (value.length < length) {
+                throw new Error('Truncated LLDP TLV');
+            }
+
+            switch (type) {
+                case LldpTlv.END:
+                    return this._assertMandatory(neighbor);
+                case LldpTlv.CHASSIS_ID:
+                    neighbor.chassisIdSubtype = CHASSIS_SUBTYPES[value[0]] || 'unknown';
+                    neighbor.chassisId = this._decodeSubtypeValue(value[0], value.subarray(1), 4);
+                    break;
+                case LldpTlv.PORT_ID:
+                    neighbor.portIdSubtype = PORT_SUBTYPES[value[0]] || 'unknown';
+                    neighbor.portId = this._decodeSubtypeValue(value[0], value.subarray(1), 3);
+                    break;
+                case LldpTlv.TTL:
+                    neighbor.ttl = value.readUInt16BE(0);
+                    break;
+                case LldpTlv.PORT_DESCRIPTION:
+                    neighbor.portDescription = value.toString('utf8');
+                    break;
+                case LldpTlv.SYSTEM_NAME:
+                    neighbor.systemName = value.toString('utf8');
+                    break;
+                case LldpTlv.SYSTEM_DESCRIPTION:
+                    neighbor.systemDescription = value.toString('utf8');
+                    break;
+                case LldpTlv.SYSTEM_CAPABILITIES:
+                    neighbor.capabilities = flagNames(value.readUInt16BE(2), LLDP_CAPABILITIES);
+                    break;
+                case LldpTlv.MANAGEMENT_ADDRESS:
+                    // Address string length includes the subtype byte; subtype 1 is IPv4
+                    if (value[1] === 1 && value[0] === 5) {
+                        neighbor.managementAddress = [...value.subarray(2, 6)].join('.');
+                    }
+                    break;
+                default:
+                    // Organizationally specific TLVs are ignored
+                    break;
+            }
+        }
+
+        return this._assertMandatory(neighbor);
+    }
+
+    static _assertMandatory(neighbor) {
+        if (neighbor.chassisId === undefined || neighbor.portId === undefined || neighbor.ttl === undefined) {
+            throw new Error('LLDP frame is missing a mandatory TLV');
+        }
+        return neighbor;
+    }
+
+    static _tlv(type, value) {
+        const header = Buffer.alloc(2);
+        header.writeUInt16BE((type << 9) | value.length, 0);
+        return Buffer.concat([header, value]);
+    }
+
+    static _subtypeValue(subtype, value, macSubtype) {
+        return subtype === macSubtype ? macToBuffer(value) : Buffer.from(String(value));
+    }
+
+    static _decodeSubtypeValue(subtype, value, macSubtype) {
+        return subtype === macSubtype && value.length === 6 ? bufferToMac(value) : value.toString('utf8');
+    }
+}
+
+class CdpCodec {
+    /**
+     * Decode a CDP payload (the bytes after the LLC/SNAP header)
+     */
+    static decode(payload) {
+        const neighbor = {
+            protocol: 'cdp',
+            ttl: payload.readUInt8(1)
+        };
+        let cursor = 4;
+
+        while (cursor + 4 <= payload.length) {
+            const type = payload.readUInt16BE(cursor);
+            const length = payload.readUInt16BE(cursor + 2);
+            if (length < 4) {
+                throw new Error('Malformed CDP TLV');
+            }
+            const value = payload.subarray(cursor + 4, cursor + length);
+            cursor += length;
+
+            switch (type) {
+                case CdpTlv.DEVICE_ID:
+                    neighbor.chassisId = value.toString('utf8');
+                    neighbor.chassisIdSubtype = 'local';
+                    neighbor.systemName = neighbor.chassisId;
+                    break;
+                case CdpTlv.ADDRESSES:
+                    neighbor.managementAddress = this._decodeFirstIpv4(value);
+                    break;
+                case CdpTlv.PORT_ID:
+                    neighbor.portId = value.toString('utf8');
+                    neighbor.portIdSubtype = 'interfaceName';
+                    break;
+                case CdpTlv.CAPABILITIES:
+                    neighbor.capabilities = flagNames(value.readUInt32BE(0), CDP_CAPABILITIES);
+                    break;
+                case CdpTlv.SOFTWARE_VERSION:
+                    neighbor.systemDescription = value.toString('utf8');
+                    break;
+                case CdpTlv.PLATFORM:
+                    neighbor.platform = value.toString('utf8');
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        if (neighbor.chassisId === undefined || neighbor.portId === undefined) {
+            throw new Error('CDP frame is missing the device or port ID');
+        }
+        return neighbor;
+    }
+
+    static _decodeFirstIpv4(value) {
+        const count = value.readUInt32BE(0);
+        let cursor = 4;
+
+        for (let i = 0; i < count && cursor + 2 <= value.length; i++) {
+            const protocolLength = value.readUInt8(cursor + 1);
+            const protocol = value.subarray(cursor + 2, cursor + 2 + protocolLength);
+            const addressLength = value.readUInt16BE(cursor + 2 + protocolLength);
+            const address = value.subarray(cursor + 4 + protocolLength, cursor + 4 + protocolLength + addressLength);
+            cursor += 4 + protocolLength + addressLength;
+
+            if (protocol.length === 1 && protocol[0] === 0xcc && address.length === 4) {
+                return [...address].join('.');
+            }
+        }
+        return undefined;
+    }
+}
+
+/**
+ * Decode an ethernet frame if it carries LLDP or CDP
+ * @returns {object|null} neighbor advertisement, or null for any other frame
+ */
+export function decodeDiscoveryFrame(frame) {
+    if (frame.length < 14) return null;
+
+    const destination = bufferToMac(frame.subarray(0, 6));
+    const typeOrLength = frame.readUInt16BE(12);
+
+    if (typeOrLength === LLDP_ETH_TYPE) {
+        return LldpCodec.decode(frame.subarray(14));
+    }
+
+    if (destination === CDP_MULTICAST && typeOrLength <= 1500 &&
+        frame.subarray(14, 22).equals(CDP_SNAP)) {
+        return CdpCodec.decode(frame.subarray(22));
+    }
+
+    return null;
+}
+
+function macToBuffer(mac) {
+    return Buffer.from(String(mac).split(/[:-]/).map(part => parseInt(part, 16)));
+}
+
+function bufferToMac(buffer) {
+    return [...buffer].map(byte => byte.toString(16).padStart(2, '0')).join(':');
+}
+
+function flagNames(bits, names) {
+    return names.filter((name, index) => bits & (1 << index));
+}
+
+export { LldpCodec, CdpCodec };
@@ -94,12 +94,14 @@ class ErrorHandler {
     static getHttpStatus(code) {
         const statusMap = {
             VALIDATION_ERROR: 400,
+            BAD_REQUEST: 400,
             INVALID_TOKEN: 401,
             TOKEN_EXPIRED: 401,
             UNAUTHORIZED: 401,
             FORBIDDEN: 403,
             NOT_FOUND: 404,
             DUPLICATE_ERROR: 409,
+            CONFLICT: 409,
             RATE_LIMIT_EXCEEDED: 429,
             INTERNAL_ERROR: 500,
             SERVICE_UNAVAILABLE: 503
@@ -143,6 +145,10 @@ class ErrorHandler {
         return new AppError('NOT_FOUND', message, details);
     }
 
+    static conflict(message = 'Resource conflict', details = {}) {
+        return new AppError('CONFLICT', message, details);
+    }
+
     static rateLimitExceeded(message = 'Rate limit exceeded', details = {}) {
         return new AppError('RATE_LIMIT_EXCEEDED', message, details);
     }
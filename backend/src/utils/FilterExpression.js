@@ -0,0 +1,292 @@
+// A small boolean expression language for user-supplied filters, e.g.
+//   type == "switch" && (location.building == "HQ" || name =~ "^core-") && !(status in ["maintenance"])
+// Expressions are parsed into a tree and interpreted; nothing is passed to eval or Function,
+// and identifiers only read own properties of the context object. =~ patterns are literal text,
+// anchored with ^ and $, and are matched without a regular expression engine, so no pattern
+// can make evaluation slower than linear.
+
+const MAX_LENGTH = 1000;
+const MAX_DEPTH = 32;
+
+const KEYWORDS = { true: true, false: false, null: null };
+const COMPARISONS = ['==', '!=', '<=', '>=', '<', '>', '=~', 'in'];
+const FORBIDDEN_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+const PATTERN_SYNTAX = new Set(['.', '*', '+', '?', '(', ')', '[', ']', '{', '}', '|', '^', '$']);
+
+const WHITESPACE = /\s*/y;
+const TOKEN = /(?:(-?\d+(?:\.\d+)?)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([A-Za-z_][\w.]*)|(==|!=|<=|>=|=~|&&|\|\||[<>!()[\],]))/y;
+
+/**
+ * Parse an expression
+ * @param {string} text
+ * @returns {{ evaluate(context: object): boolean, source: string }}
+ * @throws {Error} with the position of the first syntax error
+ */
+export function compileFilter(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new Error('Filter expression must be a non-empty string');
+    }
+    if (text.length > MAX_LENGTH) {
+        throw new Error(`Filter expression is longer than ${MAX_LENGTH} characters`);
+    }
+
+    const parser = new Parser(tokenize(text));
+    const tree = parser.expression(0);
+    if (parser.peek()) {
+        throw new Error(`Unexpected ${parser.peek().text} at position ${parser.peek().position}`);
+    }
+
+    return {
+        source: text,
+        evaluate: context => Boolean(evaluate(tree, context))
+    };
+}
+
+function tokenize(text) {
+    const tokens = [];
+    let position = 0;
+    for (;;) {
+        WHITESPACE.lastIndex = position;
+        WHITESPACE.exec(text);
+        position = WHITESPACE.lastIndex;
+        if (position >= text.length) break;
+
+        TOKEN.lastIndex = position;
+        const match = TOKEN.exec(text);
+        if (!match) {
+            throw new Error(`Unexpected character at position ${position}`);
+        }
+
+        const [, number, doubleQuoted, singleQuoted, word, operator] = match;
+        if (number !== undefined) {
+            tokens.push({ type: 'literal', value: Number(number), text: number, position });
+        } else if (doubleQuoted !== undefined || singleQuoted !== undefined) {
+            const value = (doubleQuoted ?? singleQuoted).replace(/\\(.)/g, '$1');
+            tokens.push({ type: 'literal', value, text: match[0], position });
+        } else if (word === 'in' || word === 'and' || word === 'or' || word === 'not') {
+            tokens.push({ type: 'operator', text: { and: '&&', or: '||', not: '!' }[word] || word, position });
+        } else if (word !== undefined && Object.hasOwn(KEYWORDS, word)) {
+            tokens.push({ type: 'literal', value: KEYWORDS[word], text: word, position });
+        } else if (word !== undefined) {
+            tokens.push({ type: 'identifier', path: word.split('.'), text: word, position });
+        } else {
+            tokens.push({ type: 'operator', text: operator, position });
+        }
+        position = TOKEN.lastIndex;
+    }
+    return tokens;
+}
+
+// Recursive descent: or -> and -> not -> comparison -> operand
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    accept(text) {
+        const token = this.peek();
+        if (token?.type === 'operator' && token.text === text) {
+            this.index++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(text) {
+        if (!this.accept(text)) {
+            const token = this.peek();
+            throw new Error(token
+                ? `Expected ${text} at position ${token.position}, found ${token.text}`
+                : `Expected ${text} at the end of the expression`);
+        }
+    }
+
+    expression(depth) {
+        if (depth > MAX_DEPTH) {
+            throw new Error('Filter expression is nested too deeply');
+        }
+
+        let node = this.conjunction(depth);
+        while (this.accept('||')) {
+            node = { op: '||', left: node, right: this.conjunction(depth) };
+        }
+        return node;
+    }
+
+    conjunction(depth) {
+        let node = this.negation(depth);
+        while (this.accept('&&')) {
+            node = { op: '&&', left: node, right: this.negation(depth) };
+        }
+        return node;
+    }
+
+    negation(depth) {
+        if (this.accept('!')) {
+            return { op: '!', operand: this.negation(depth + 1) };
+        }
+        return this.comparison(depth);
+    }
+
+    comparison(depth) {
+        const left = this.operand(depth);
+        const token = this.peek();
+        if (token?.type !== 'operator' || !COMPARISONS.includes(token.text)) {
+            return left;
+        }
+        this.index++;
+
+        const right = this.operand(depth);
+        if (token.text === '=~') {
+            if (right.type !== 'literal' || typeof right.value !== 'string') {
+                throw new Error(`=~ at position ${token.position} needs a string pattern`);
+            }
+            try {
+                return { op: '=~', left, test: compilePattern(right.value) };
+            } catch (error) {
+                throw new Error(`Invalid pattern at position ${token.position}: ${error.message}`);
+            }
+        }
+        if (token.text === 'in' && right.type !== 'list') {
+            throw new Error(`in at position ${token.position} needs a list such as ["a", "b"]`);
+        }
+        return { op: token.text, left, right };
+    }
+
+    operand(depth) {
+        const token = this.peek();
+        if (!token) {
+            throw new Error('Unexpected end of the expression');
+        }
+
+        if (token.type === 'literal' || token.type === 'identifier') {
+            this.index++;
+            if (token.type === 'identifier' && token.path.some(key => FORBIDDEN_KEYS.has(key))) {
+                throw new Error(`${token.text} is not allowed at position ${token.position}`);
+            }
+            return token.type === 'literal' ? { type: 'literal', value: token.value } : { type: 'identifier', path: token.path };
+        }
+        if (this.accept('(')) {
+            const node = this.expression(depth + 1);
+            this.expect(')');
+            return node;
+        }
+        if (this.accept('[')) {
+            const items = [];
+            if (!this.accept(']')) {
+                do {
+                    const item = this.operand(depth + 1);
+                    if (item.type !== 'literal') {
+                        throw new Error(`Lists may only hold literals (position ${token.position})`);
+                    }
+                    items.push(item.value);
+                } while (this.accept(','));
+                this.expect(']');
+            }
+            return { type: 'list', values: items };
+        }
+        throw new Error(`Unexpected ${token.text} at position ${token.position}`);
+    }
+}
+
+function evaluate(node, context) {
+    switch (node.op) {
+        case '||':
+            return evaluate(node.left, context) || evaluate(node.right, context);
+        case '&&':
+            return evaluate(node.left, context) && evaluate(node.right, context);
+        case '!':
+            return !evaluate(node.operand, context);
+        case '=~': {
+            const value = evaluate(node.left, context);
+            return typeof value === 'string' && node.test(value);
+        }
+        case 'in':
+            return node.right.values.some(item => equals(evaluate(node.left, context), item));
+        case '==':
+            return equals(evaluate(node.left, context), evaluate(node.right, context));
+        case '!=':
+            return !equals(evaluate(node.left, context), evaluate(node.right, context));
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+            return compare(node.op, evaluate(node.left, context), evaluate(node.right, context));
+        default:
+            break;
+    }
+
+    if (node.type === 'literal') return node.value;
+    if (node.type === 'identifier') return lookup(context, node.path);
+    return node.values;
+}
+
+// ^text, text$, ^text$ or text: a prefix, suffix, exact or substring match. Other regular
+// expression syntax is refused rather than taken literally; a backslash escapes it.
+function compilePattern(pattern) {
+    const anchoredStart = pattern.startsWith('^');
+    let anchoredEnd = false;
+
+    let text = '';
+    for (let i = anchoredStart ? 1 : 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            const escaped = pattern[++i];
+            if (escaped === undefined) {
+                throw new Error('the pattern ends in a backslash');
+            }
+            if (/[A-Za-z0-9]/.test(escaped)) {
+                throw new Error(`\\${escaped} is not supported; patterns are literal text anchored with ^ and $`);
+            }
+            text += escaped;
+        } else if (char === '$' && i === pattern.length - 1) {
+            anchoredEnd = true;
+        } else if (PATTERN_SYNTAX.has(char)) {
+            throw new Error(`${char} is not supported; patterns are literal text anchored with ^ and $`);
+        } else {
+            text += char;
+        }
+    }
+
+    if (anchoredStart && anchoredEnd) return value => value === text;
+    if (anchoredStart) return value => value.startsWith(text);
+    if (anchoredEnd) return value => value.endsWith(text);
+    return value => value.includes(text);
+}
+
+function lookup(context, path) {
+    let value = context;
+    for (const key of path) {
+        if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+            return undefined;
+        }
+        value = value[key];
+    }
+    // ObjectIds and dates compare by their string form
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        return value instanceof Date ? value.toISOString() : String(value);
+    }
+    return value;
+}
+
+function equals(left, right) {
+    if (Array.isArray(left)) return left.some(item => equals(item, right));
+    return left === right || (left === undefined && right === null);
+}
+
+function compare(op, left, right) {
+    if (typeof left !== typeof right || (typeof left !== 'number' && typeof left !== 'string')) {
+        return false;
+    }
+    switch (op) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        default: return left >= right;
+    }
+}
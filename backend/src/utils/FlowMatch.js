@@ -0,0 +1,212 @@
+import { OXM_FIELDS } from './OpenFlowCodec.js';
+
+const ETH_TYPE_IPV4 = 0x0800;
+const ETH_TYPE_ARP = 0x0806;
+const IP_PROTO_ICMP = 1;
+const IP_PROTO_TCP = 6;
+const IP_PROTO_UDP = 17;
+
+// OpenFlow 1.3 match prerequisites (spec table 12)
+const PREREQUISITES = {
+    ipDscp: { ethType: [ETH_TYPE_IPV4] },
+    ipProto: { ethType: [ETH_TYPE_IPV4] },
+    ipv4Src: { ethType: [ETH_TYPE_IPV4] },
+    ipv4Dst: { ethType: [ETH_TYPE_IPV4] },
+    tcpSrc: { ipProto: [IP_PROTO_TCP] },
+    tcpDst: { ipProto: [IP_PROTO_TCP] },
+    udpSrc: { ipProto: [IP_PROTO_UDP] },
+    udpDst: { ipProto: [IP_PROTO_UDP] },
+    icmpv4Type: { ipProto: [IP_PROTO_ICMP] },
+    icmpv4Code: { ipProto: [IP_PROTO_ICMP] },
+    arpOp: { ethType: [ETH_TYPE_ARP] }
+};
+
+const MAC_PATTERN = /^([0-9a-f]{2}[:-]){5}[0-9a-f]{2}$/i;
+
+class FlowMatch {
+    /**
+     * Validate a match object against the supported OXM fields and their prerequisites
+     * @param {object} match - Match fields keyed by name (e.g. { ethType: 2048, ipv4Dst: '10.0.0.0/8' })
+     * @returns {Array<string>} Validation errors, empty when the match is valid
+     */
+    static validate(match) {
+        const errors = [];
+
+        if (match === null || typeof match !== 'object' || Array.isArray(match)) {
+            return ['Match must be an object'];
+        }
+
+        for (const [name, value] of Object.entries(match)) {
+            const def = OXM_FIELDS[name];
+            if (!def) {
+                errors.push(`Unsupported match field: ${name}`);
+                continue;
+            }
+
+            const error = this._validateValue(name, def, value);
+            if (error) errors.push(error);
+        }
+
+        for (const [name, prerequisite] of Object.entries(PREREQUISITES)) {
+            if (match[name] === undefined) continue;
+
+            for (const [field, allowed] of Object.entries(prerequisite)) {
+                if (!allowed.includes(Number(match[field]))) {
+                    errors.push(`Match field ${name} requires ${field} to be one of ${allowed.join(', ')}`);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Normalize values so equivalent matches compare equal (lowercase MACs, canonical prefixes)
+     */
+    static normalize(match) {
+        const normalized = {};
+
+        for (const [name, value] of Object.entries(match)) {
+            const def = OXM_FIELDS[name];
+            if (!def || value === undefined || value === null) continue;
+
+            switch (def.format) {
+                case 'mac':
+                    normalized[name] = String(value).toLowerCase().replace(/-/g, ':');
+                    break;
+                case 'ipv4': {
+                    const { network, prefix } = this._parseIpv4(value);
+                    normalized[name] = prefix === 32
+                        ? this._formatIpv4(network)
+                        : `${this._formatIpv4(network)}/${prefix}`;
+                    break;
+                }
+                case 'uint64':
+                    normalized[name] = String(value);
+                    break;
+                default:
+                    normalized[name] = Number(value);
+            }
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Two matches overlap when at least one packet can match both of them
+     */
+    static overlaps(a, b) {
+        for (const name of Object.keys(OXM_FIELDS)) {
+            const left = a[name];
+            const right = b[name];
+            if (left === undefined || right === undefined) continue;
+
+            if (OXM_FIELDS[name].format === 'ipv4') {
+                if (!this._prefixesIntersect(left, right)) return false;
+            } else if (String(left).toLowerCase() !== String(right).toLowerCase()) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * True when every packet matched by `inner` is also matched by `outer`
+     */
+    static covers(outer, inner) {
+        for (const name of Object.keys(OXM_FIELDS)) {
+            const outerValue = outer[name];
+            if (outerValue === undefined) continue;
+
+            const innerValue = inner[name];
+            if (innerValue === undefined) return false;
+
+            if (OXM_FIELDS[name].format === 'ipv4') {
+                if (!this._prefixContains(outerValue, innerValue)) return false;
+            } else if (String(outerValue).toLowerCase() !== String(innerValue).toLowerCase()) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    static isIdentical(a, b) {
+        return this.covers(a, b) && this.covers(b, a);
+    }
+
+    static _validateValue(name, def, value) {
+        switch (def.format) {
+            case 'uint': {
+                const max = 2 ** (def.length * 8) - 1;
+                const limit = name === 'vlanPcp' ? 7 : name === 'ipDscp' ? 63 : max;
+                if (!Number.isInteger(Number(value)) || Number(value) < 0 || Number(value) > limit) {
+                    return `Match field ${name} must be an integer between 0 and ${limit}`;
+                }
+                return null;
+            }
+            case 'vlan':
+                if (!Number.isInteger(Number(value)) || Number(value) < 0 || Number(value) > 4095) {
+                    return `Match field ${name} must be a VLAN ID between 0 and 4095`;
+                }
+                return null;
+            case 'uint64':
+                try {
+                    const parsed = BigInt(value);
+                    return parsed < 0n || parsed > 0xffffffffffffffffn ? `Match field ${name} is out of range` : null;
+                } catch (error) {
+                    return `Match field ${name} must be a 64-bit integer`;
+                }
+            case 'mac':
+                return MAC_PATTERN.test(String(value)) ? null : `Match field ${name} must be a MAC address`;
+            case 'ipv4':
+                try {
+                    this._parseIpv4(value);
+                    return null;
+                } catch (error) {
+                    return `Match field ${name}: ${error.message}`;
+                }
+            default:
+                return null;
+        }
+    }
+
+    static _parseIpv4(value) {
+        const [address, prefixText] = String(value).split('/');
+        const octets = address.split('.');
+        if (octets.length !== 4 || octets.some(octet => !/^\d{1,3}$/.test(octet) || Number(octet) > 255)) {
+            throw new Error(`invalid IPv4 address ${value}`);
+        }
+
+        const prefix = prefixText === undefined ? 32 : Number(prefixText);
+        if (!Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+            throw new Error(`invalid prefix length in ${value}`);
+        }
+
+        const address32 = octets.reduce((acc, octet) => ((acc << 8) | Number(octet)) >>> 0, 0);
+        const mask = prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0;
+
+        return { network: (address32 & mask) >>> 0, prefix, mask };
+    }
+
+    static _formatIpv4(value) {
+        return [24, 16, 8, 0].map(shift => (value >>> shift) & 0xff).join('.');
+    }
+
+    static _prefixesIntersect(a, b) {
+        const left = this._parseIpv4(a);
+        const right = this._parseIpv4(b);
+        const mask = left.prefix < right.prefix ? left.mask : right.mask;
+        return ((left.network & mask) >>> 0) === ((right.network & mask) >>> 0);
+    }
+
+    static _prefixContains(outer, inner) {
+        const outerPrefix = this._parseIpv4(outer);
+        const innerPrefix = this._parseIpv4(inner);
+        return outerPrefix.prefix <= innerPrefix.prefix &&
+            ((innerPrefix.network & outerPrefix.mask) >>> 0) === outerPrefix.network;
+    }
+}
+
+export { FlowMatch };
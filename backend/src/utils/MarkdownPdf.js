@@ -0,0 +1,88 @@
+// Markdown to PDF with md-to-pdf, laid out like the documentation PDFs built by
+// documentation/generatePDF.js. md-to-pdf drives a headless browser, so it is only loaded when a
+// PDF is asked for.
+
+const PDF_OPTIONS = {
+    format: 'A4',
+    margin: {
+        top: '2cm',
+        bottom: '2cm',
+        left: '2cm',
+        right: '2cm'
+    },
+    printBackground: true,
+    preferCSSPageSize: true
+};
+
+const CSS = `
+    .markdown-body {
+        font-family: -apple-system, 'Segoe UI', Roboto, sans-serif;
+        line-height: 1.6;
+        color: #1f2937;
+        font-size: 10pt;
+    }
+
+    h1, h2, h3 {
+        font-weight: 600;
+        line-height: 1.3;
+        margin-top: 1.5em;
+        color: #1f2937;
+    }
+
+    h1 {
+        color: #2563eb;
+        border-bottom: 3px solid #60a5fa;
+        padding-bottom: 0.5rem;
+    }
+
+    h2 {
+        color: #3b82f6;
+        border-bottom: 2px solid #60a5fa;
+        padding-bottom: 0.3rem;
+    }
+
+    table {
+        width: 100%;
+        border-collapse: collapse;
+        margin: 1rem 0;
+    }
+
+    th, td {
+        padding: 0.4rem 0.6rem;
+        text-align: left;
+        vertical-align: top;
+        border: 1px solid #e5e7eb;
+    }
+
+    th {
+        background-color: #f3f4f6;
+        font-weight: 600;
+    }
+`;
+
+/**
+ * @param {string} markdown
+ * @param {object} options - { title } shown in the page header
+ * @returns {Promise<Buffer>}
+ */
+export async function markdownToPdf(markdown, { title = '' } = {}) {
+    const { mdToPdf } = await import('md-to-pdf');
+    const pdf = await mdToPdf(
+        { content: markdown },
+        {
+            pdf_options: {
+                ...PDF_OPTIONS,
+                displayHeaderFooter: true,
+                headerTemplate: `<div style="width: 100%; font-size: 8pt; color: #666; text-align: right; margin-right: 2cm;">${escapeHtml(title)}</div>`,
+                footerTemplate: '<div style="width: 100%; font-size: 8pt; color: #666; text-align: center;">Page <span class="pageNumber"></span> of <span class="totalPages"></span></div>'
+            },
+            body_class: 'markdown-body',
+            css: CSS
+        }
+    );
+    return pdf.content;
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
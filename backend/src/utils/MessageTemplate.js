@@ -0,0 +1,35 @@
+// Notification templates: {{ path }} placeholders are replaced with values from a context object,
+// e.g. '[{{alert.severity}}] {{alert.message}} on {{device.name}}'. Missing values render as ''.
+// Like FilterExpression, placeholders only read own properties of the context.
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w.]*)\s*\}\}/g;
+const FORBIDDEN_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+
+/**
+ * @param {string} template
+ * @param {object} context
+ * @returns {string}
+ */
+export function renderTemplate(template, context) {
+    return String(template ?? '').replace(PLACEHOLDER, (placeholder, path) => format(lookup(context, path.split('.'))));
+}
+
+function lookup(context, path) {
+    let value = context;
+    for (const key of path) {
+        if (FORBIDDEN_KEYS.has(key) || value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+            return undefined;
+        }
+        value = value[key];
+    }
+    return value;
+}
+
+function format(value) {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(format).join(', ');
+    // Plain objects as JSON; ObjectIds and the like by their own string form
+    if (typeof value === 'object' && value.toString === Object.prototype.toString) return JSON.stringify(value);
+    return String(value);
+}
@@ -0,0 +1,325 @@
+// OID name resolution from SMIv1/SMIv2 MIB modules. Only what trap decoding needs is parsed:
+// OID assignments, enumerated INTEGER syntaxes (directly or through textual conventions)
+// and the varbind lists of notifications.
+
+const OID_MACROS = new Set([
+    'OBJECT-TYPE', 'OBJECT-IDENTITY', 'MODULE-IDENTITY', 'NOTIFICATION-TYPE', 'OBJECT-GROUP',
+    'NOTIFICATION-GROUP', 'MODULE-COMPLIANCE', 'AGENT-CAPABILITIES'
+]);
+
+// Roots every module builds on (RFC 1155, RFC 2578)
+const ROOTS = {
+    ccitt: '0',
+    iso: '1',
+    'joint-iso-ccitt': '2',
+    org: '1.3',
+    dod: '1.3.6',
+    internet: '1.3.6.1',
+    directory: '1.3.6.1.1',
+    mgmt: '1.3.6.1.2',
+    'mib-2': '1.3.6.1.2.1',
+    transmission: '1.3.6.1.2.1.10',
+    experimental: '1.3.6.1.3',
+    private: '1.3.6.1.4',
+    enterprises: '1.3.6.1.4.1',
+    security: '1.3.6.1.5',
+    snmpV2: '1.3.6.1.6',
+    snmpDomains: '1.3.6.1.6.1',
+    snmpProxys: '1.3.6.1.6.2',
+    snmpModules: '1.3.6.1.6.3'
+};
+
+const IF_STATUS = { 1: 'up', 2: 'down', 3: 'testing', 4: 'unknown', 5: 'dormant', 6: 'notPresent', 7: 'lowerLayerDown' };
+
+// Objects and notifications from SNMPv2-MIB and IF-MIB, so that standard traps decode without any MIB files
+const BUILT_IN = {
+    system: { oid: '1.3.6.1.2.1.1' },
+    sysDescr: { oid: '1.3.6.1.2.1.1.1' },
+    sysObjectID: { oid: '1.3.6.1.2.1.1.2' },
+    sysUpTime: { oid: '1.3.6.1.2.1.1.3' },
+    sysName: { oid: '1.3.6.1.2.1.1.5' },
+    ifIndex: { oid: '1.3.6.1.2.1.2.2.1.1' },
+    ifDescr: { oid: '1.3.6.1.2.1.2.2.1.2' },
+    ifType: { oid: '1.3.6.1.2.1.2.2.1.3' },
+    ifAdminStatus: { oid: '1.3.6.1.2.1.2.2.1.7', enums: { 1: 'up', 2: 'down', 3: 'testing' } },
+    ifOperStatus: { oid: '1.3.6.1.2.1.2.2.1.8', enums: IF_STATUS },
+    ifName: { oid: '1.3.6.1.2.1.31.1.1.1.1' },
+    ifAlias: { oid: '1.3.6.1.2.1.31.1.1.1.18' },
+    snmpTrapOID: { oid: '1.3.6.1.6.3.1.1.4.1' },
+    snmpTrapEnterprise: { oid: '1.3.6.1.6.3.1.1.4.3' },
+    snmpTrapAddress: { oid: '1.3.6.1.6.3.18.1.3' },
+    snmpTrapCommunity: { oid: '1.3.6.1.6.3.18.1.4' },
+    coldStart: { oid: '1.3.6.1.6.3.1.1.5.1' },
+    warmStart: { oid: '1.3.6.1.6.3.1.1.5.2' },
+    linkDown: { oid: '1.3.6.1.6.3.1.1.5.3', objects: ['ifIndex', 'ifAdminStatus', 'ifOperStatus'] },
+    linkUp: { oid: '1.3.6.1.6.3.1.1.5.4', objects: ['ifIndex', 'ifAdminStatus', 'ifOperStatus'] },
+    authenticationFailure: { oid: '1.3.6.1.6.3.1.1.5.5' },
+    egpNeighborLoss: { oid: '1.3.6.1.6.3.1.1.5.6' }
+};
+
+class MibRegistry {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.nodes = new Map(); // name -> { oid, module, syntax, enums, objects }
+        this.byOid = new Map(); // oid -> name
+        this.typeEnums = new Map(); // textual convention -> enums
+        this.pending = [];
+        this.modules = [];
+
+        for (const [name, oid] of Object.entries(ROOTS)) {
+            this._define(name, { oid, module: 'SNMPv2-SMI' });
+        }
+        for (const [name, node] of Object.entries(BUILT_IN)) {
+            this._define(name, { ...node, module: 'built-in' });
+        }
+    }
+
+    /**
+     * Parse a MIB module and add its definitions. Definitions whose parent is defined by a
+     * module that is not loaded yet stay pending until it is.
+     * @param {string} text - MIB source
+     * @returns {{ module: string, definitions: number }}
+     */
+    load(text) {
+        const tokens = tokenize(text);
+        if (tokens[1] !== 'DEFINITIONS') {
+            throw new Error('Not a MIB module: expected "<name> DEFINITIONS ::= BEGIN"');
+        }
+        const module = tokens[0];
+        let definitions = 0;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (token === 'MACRO') {
+                i = tokens.indexOf('END', i);
+                if (i === -1) break;
+                continue;
+            }
+            if (token === 'DEFINITIONS') {
+                continue;
+            }
+            if (token === 'IMPORTS') {
+                i = tokens.indexOf(';', i);
+                if (i === -1) break;
+                continue;
+            }
+
+            const next = tokens[i + 1];
+            if (next === 'OBJECT' && tokens[i + 2] === 'IDENTIFIER' && tokens[i + 3] === '::=') {
+                const { path, end } = readOidValue(tokens, i + 4);
+                this._addPending({ name: token, module, path });
+                definitions++;
+                i = end;
+            } else if (OID_MACROS.has(next) && isName(token)) {
+                const end = tokens.indexOf('::=', i);
+                if (end === -1) break;
+                const clauses = readClauses(tokens, i + 2, end);
+                const { path, end: valueEnd } = readOidValue(tokens, end + 1);
+                this._addPending({
+                    name: token,
+                    module,
+                    path,
+                    syntax: clauses.syntax,
+                    enums: clauses.enums,
+                    objects: clauses.objects
+                });
+                definitions++;
+                i = valueEnd;
+            } else if (next === 'TRAP-TYPE' && isName(token)) {
+                // SMIv1 traps are numbered under their enterprise (RFC 1215)
+                const end = tokens.indexOf('::=', i);
+                if (end === -1) break;
+                const clauses = readClauses(tokens, i + 2, end);
+                if (clauses.enterprise) {
+                    this._addPending({
+                        name: token,
+                        module,
+                        path: [clauses.enterprise, '0', tokens[end + 1]],
+                        objects: clauses.objects
+                    });
+                    definitions++;
+                }
+                i = end + 1;
+            } else if (next === '::=' && /^[A-Z]/.test(token)) {
+                // Type assignment, possibly a textual convention with named numbers
+                const end = findAssignmentEnd(tokens, i + 2);
+                const clauses = readClauses(tokens, i + 2, end);
+                if (clauses.enums) this.typeEnums.set(token, clauses.enums);
+                i = end - 1;
+            }
+        }
+
+        this._resolvePending();
+        this.modules.push({ module, definitions });
+        return { module, definitions };
+    }
+
+    /**
+     * Look up the most specific known node for an OID
+     * @returns {{ name, module, oid, instance: string }|null} instance holds the remaining sub-identifiers
+     */
+    resolve(oid) {
+        const parts = oid.split('.');
+        for (let length = parts.length; length > 0; length--) {
+            const prefix = parts.slice(0, length).join('.');
+            const name = this.byOid.get(prefix);
+            if (name) {
+                const node = this.nodes.get(name);
+                return { name, module: node.module, oid: prefix, instance: parts.slice(length).join('.') };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Format an OID as name.instance, or return it unchanged when nothing is known
+     */
+    nameOf(oid) {
+        const node = this.resolve(oid);
+        if (!node) return oid;
+        return node.instance ? `${node.name}.${node.instance}` : node.name;
+    }
+
+    oidOf(name) {
+        return this.nodes.get(name)?.oid;
+    }
+
+    /**
+     * Label for an enumerated value, e.g. 'down' for ifOperStatus 2
+     */
+    enumLabel(name, value) {
+        const node = this.nodes.get(name);
+        // Textual conventions may come from a module loaded after this one
+        return (node?.enums || this.typeEnums.get(node?.syntax))?.[value];
+    }
+
+    objectsOf(name) {
+        return this.nodes.get(name)?.objects;
+    }
+
+    get unresolved() {
+        return this.pending.map(({ name, module, path }) => ({ name, module, parent: path[0] }));
+    }
+
+    // Private helper methods
+    _define(name, node) {
+        if (this.nodes.has(name)) return;
+        this.nodes.set(name, node);
+        if (!this.byOid.has(node.oid)) this.byOid.set(node.oid, name);
+    }
+
+    _addPending(definition) {
+        if (definition.path.length > 0) this.pending.push(definition);
+    }
+
+    _resolvePending() {
+        let progress = true;
+        while (progress && this.pending.length > 0) {
+            progress = false;
+            this.pending = this.pending.filter(({ name, module, path, syntax, enums, objects }) => {
+                const oid = this._pathToOid(path);
+                if (!oid) return true;
+                this._define(name, { oid, module, syntax, enums, objects });
+                progress = true;
+                return false;
+            });
+        }
+    }
+
+    _pathToOid(path) {
+        const [first, ...rest] = path;
+        const base = /^[\d.]+$/.test(first) ? first : this.nodes.get(first)?.oid;
+        if (!base) return null;
+        return [base, ...rest].join('.');
+    }
+}
+
+function tokenize(text) {
+    const tokens = [];
+    // Strings, comments (to the end of the line or the next --), then punctuation and words
+    const pattern = /"[^"]*"|--.*?(?:--|$)|::=|\.\.|[{}(),;|[\]]|[^\s{}(),;|[\]"]+/gm;
+    for (const [token] of text.matchAll(pattern)) {
+        if (token.startsWith('--')) continue;
+        tokens.push(token.startsWith('"') ? '""' : token);
+    }
+    return tokens;
+}
+
+function isName(token) {
+    return /^[a-z][A-Za-z0-9-]*$/.test(token);
+}
+
+// OID value list such as { iso org(3) dod(6) 1 } or { ifEntry 8 }; the first element is a name
+// or a number and every later element contributes one sub-identifier
+function readOidValue(tokens, start) {
+    if (tokens[start] !== '{') {
+        return { path: [], end: start };
+    }
+    const end = tokens.indexOf('}', start);
+    const elements = [];
+    for (let i = start + 1; i < end; i++) {
+        if (tokens[i + 1] === '(' && /^\d+$/.test(tokens[i + 2])) {
+            elements.push(elements.length === 0 ? ROOTS[tokens[i]] || tokens[i + 2] : tokens[i + 2]);
+            i += 3;
+        } else {
+            elements.push(tokens[i]);
+        }
+    }
+    return { path: elements, end };
+}
+
+// SYNTAX named numbers, OBJECTS/VARIABLES lists and the ENTERPRISE of a definition body
+function readClauses(tokens, start, end) {
+    const clauses = {};
+    for (let i = start; i < end; i++) {
+        const token = tokens[i];
+        if (token === 'SYNTAX' && !clauses.syntax) {
+            clauses.syntax = tokens[i + 1];
+            const open = tokens[i + 2] === '{' ? i + 2 : (tokens[i + 3] === '{' && tokens[i + 1] === 'BITS' ? i + 3 : -1);
+            if (open !== -1) {
+                const close = tokens.indexOf('}', open);
+                const enums = {};
+                for (let j = open + 1; j < close; j++) {
+                    if (tokens[j + 1] === '(' && /^-?\d+$/.test(tokens[j + 2])) {
+                        enums[tokens[j + 2]] = tokens[j];
+                    }
+                }
+                if (Object.keys(enums).length > 0) clauses.enums = enums;
+                i = close;
+            }
+        } else if ((token === 'OBJECTS' || token === 'VARIABLES') && tokens[i + 1] === '{') {
+            const close = tokens.indexOf('}', i);
+            clauses.objects = tokens.slice(i + 2, close).filter(item => item !== ',');
+            i = close;
+        } else if (token === 'ENTERPRISE') {
+            clauses.enterprise = tokens[i + 1];
+        }
+    }
+    return clauses;
+}
+
+// A type assignment ends where the next definition (or the module) starts
+function findAssignmentEnd(tokens, start) {
+    let depth = 0;
+    for (let i = start; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token === '{' || token === '(') depth++;
+        else if (token === '}' || token === ')') depth--;
+        else if (depth === 0 && (token === 'END' || startsDefinition(tokens, i))) return i;
+    }
+    return tokens.length;
+}
+
+function startsDefinition(tokens, i) {
+    // All-caps words are keywords (SYNTAX OBJECT IDENTIFIER), not definition names
+    if (!/^[A-Za-z][A-Za-z0-9-]*$/.test(tokens[i]) || tokens[i] === tokens[i].toUpperCase()) return false;
+    const next = tokens[i + 1];
+    return next === '::=' || next === 'TRAP-TYPE' || OID_MACROS.has(next) ||
+        (next === 'OBJECT' && tokens[i + 2] === 'IDENTIFIER');
+}
+
+export { MibRegistry };
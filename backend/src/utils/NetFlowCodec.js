@@ -0,0 +1,378 @@
+// NetFlow v5, NetFlow v9 (RFC 3954) and IPFIX (RFC 7011) export packet decoding
+
+const V5_HEADER_LENGTH = 24;
+const V5_RECORD_LENGTH = 48;
+const V9_HEADER_LENGTH = 20;
+const IPFIX_HEADER_LENGTH = 16;
+const VARIABLE_LENGTH = 65535;
+
+// Information elements shared by v9 and IPFIX; anything else is skipped
+const Field = {
+    IN_BYTES: 1,
+    IN_PKTS: 2,
+    PROTOCOL: 4,
+    TOS: 5,
+    TCP_FLAGS: 6,
+    L4_SRC_PORT: 7,
+    IPV4_SRC_ADDR: 8,
+    INPUT_SNMP: 10,
+    L4_DST_PORT: 11,
+    IPV4_DST_ADDR: 12,
+    OUTPUT_SNMP: 14,
+    IPV4_NEXT_HOP: 15,
+    SRC_AS: 16,
+    DST_AS: 17,
+    LAST_SWITCHED: 21,
+    FIRST_SWITCHED: 22,
+    IPV6_SRC_ADDR: 27,
+    IPV6_DST_ADDR: 28,
+    SAMPLING_INTERVAL: 34,
+    OCTET_TOTAL_COUNT: 85,
+    PACKET_TOTAL_COUNT: 86,
+    FLOW_START_SECONDS: 150,
+    FLOW_END_SECONDS: 151,
+    FLOW_START_MILLISECONDS: 152,
+    FLOW_END_MILLISECONDS: 153,
+    SYSTEM_INIT_TIME_MILLISECONDS: 160
+};
+
+/**
+ * Stateful decoder: v9 and IPFIX data sets can only be read once the exporter has sent
+ * the matching template, so templates are remembered per exporter and observation domain.
+ */
+class NetFlowDecoder {
+    constructor() {
+        this.templates = new Map();
+    }
+
+    /**
+     * Decode one export packet
+     * @param {Buffer} buffer - UDP payload
+     * @param {string} exporter - Exporter address, used to scope templates
+     * @returns {{ version: number, exportTime: Date, sequence: number, records: Array, skipped: number }}
+     *   skipped counts data sets whose template is not known yet
+     */
+    decode(buffer, exporter) {
+        if (buffer.length < 2) {
+            throw new Error('Flow export packet is too short');
+        }
+
+        const version = buffer.readUInt16BE(0);
+        switch (version) {
+            case 5:
+                return this._decodeV5(buffer);
+            case 9:
+                return this._decodeV9(buffer, exporter);
+            case 10:
+                return this._decodeIpfix(buffer, exporter);
+            default:
+                throw new Error(`Unsupported flow export version: ${version}`);
+        }
+    }
+
+    // Private helper methods
+    _decodeV5(buffer) {
+        if (buffer.length < V5_HEADER_LENGTH) {
+            throw new Error('Truncated NetFlow v5 header');
+        }
+
+        const count = buffer.readUInt16BE(2);
+        const sysUptime = buffer.readUInt32BE(4);
+        const exportMs = buffer.readUInt32BE(8) * 1000 + Math.floor(buffer.readUInt32BE(12) / 1e6);
+        // The low 14 bits hold the 1-in-N interval; 0 means unsampled
+        const samplingInterval = (buffer.readUInt16BE(22) & 0x3fff) || 1;
+
+        if (buffer.length < V5_HEADER_LENGTH + count * V5_RECORD_LENGTH) {
+            throw new Error('Truncated NetFlow v5 packet');
+        }
+
+        const records = [];
+        for (let i = 0; i < count; i++) {
+            const offset = V5_HEADER_LENGTH + i * V5_RECORD_LENGTH;
+            records.push({
+                srcIp: ipv4(buffer, offset),
+                dstIp: ipv4(buffer, offset + 4),
+                nextHop: ipv4(buffer, offset + 8),
+                inputInterface: buffer.readUInt16BE(offset + 12),
+                outputInterface: buffer.readUInt16BE(offset + 14),
+                packets: buffer.readUInt32BE(offset + 16) * samplingInterval,
+                bytes: buffer.readUInt32BE(offset + 20) * samplingInterval,
+                start: new Date(exportMs - (sysUptime - buffer.readUInt32BE(offset + 24))),
+                end: new Date(exportMs - (sysUptime - buffer.readUInt32BE(offset + 28))),
+                srcPort: buffer.readUInt16BE(offset + 32),
+                dstPort: buffer.readUInt16BE(offset + 34),
+                tcpFlags: buffer.readUInt8(offset + 37),
+                protocol: buffer.readUInt8(offset + 38),
+                tos: buffer.readUInt8(offset + 39),
+                srcAs: buffer.readUInt16BE(offset + 40),
+                dstAs: buffer.readUInt16BE(offset + 42),
+                samplingInterval
+            });
+        }
+
+        return {
+            version: 5,
+            exportTime: new Date(exportMs),
+            sequence: buffer.readUInt32BE(16),
+            records,
+            skipped: 0
+        };
+    }
+
+    _decodeV9(buffer, exporter) {
+        if (buffer.length < V9_HEADER_LENGTH) {
+            throw new Error('Truncated NetFlow v9 header');
+        }
+
+        const header = {
+            sysUptime: buffer.readUInt32BE(4),
+            exportMs: buffer.readUInt32BE(8) * 1000
+        };
+        const scope = `${exporter}/9/${buffer.readUInt32BE(16)}`;
+        const result = {
+            version: 9,
+            exportTime: new Date(header.exportMs),
+            sequence: buffer.readUInt32BE(12),
+            records: [],
+            skipped: 0
+        };
+
+        this._eachSet(buffer, V9_HEADER_LENGTH, (setId, body) => {
+            if (setId === 0) {
+                this._readTemplates(body, scope, false, false);
+            } else if (setId === 1) {
+                this._readV9OptionsTemplates(body, scope);
+            } else if (setId >= 256) {
+                this._readData(body, scope, setId, header, result);
+            }
+        });
+
+        return result;
+    }
+
+    _decodeIpfix(buffer, exporter) {
+        if (buffer.length < IPFIX_HEADER_LENGTH) {
+            throw new Error('Truncated IPFIX header');
+        }
+
+        const length = buffer.readUInt16BE(2);
+        if (length > buffer.length) {
+            throw new Error('Truncated IPFIX message');
+        }
+
+        const header = { exportMs: buffer.readUInt32BE(4) * 1000 };
+        const scope = `${exporter}/10/${buffer.readUInt32BE(12)}`;
+        const result = {
+            version: 10,
+            exportTime: new Date(header.exportMs),
+            sequence: buffer.readUInt32BE(8),
+            records: [],
+            skipped: 0
+        };
+
+        this._eachSet(buffer.subarray(0, length), IPFIX_HEADER_LENGTH, (setId, body) => {
+            if (setId === 2) {
+                this._readTemplates(body, scope, true, false);
+            } else if (setId === 3) {
+                this._readTemplates(body, scope, true, true);
+            } else if (setId >= 256) {
+                this._readData(body, scope, setId, header, result);
+            }
+        });
+
+        return result;
+    }
+
+    _eachSet(buffer, offset, handler) {
+        let cursor = offset;
+        while (cursor + 4 <= buffer.length) {
+            const setId = buffer.readUInt16BE(cursor);
+            const setLength = buffer.readUInt16BE(cursor + 2);
+            if (setLength < 4 || cursor + setLength > buffer.length) {
+                throw new Error(`Malformed flow set ${setId}`);
+            }
+            handler(setId, buffer.subarray(cursor + 4, cursor + setLength));
+            cursor += setLength;
+        }
+    }
+
+    _readTemplates(body, scope, ipfix, options) {
+        let cursor = 0;
+        // Anything shorter than a template header is padding
+        while (cursor + 4 <= body.length) {
+            const templateId = body.readUInt16BE(cursor);
+            const fieldCount = body.readUInt16BE(cursor + 2);
+            cursor += options ? 6 : 4;
+
+            if (fieldCount === 0) {
+                // IPFIX template withdrawal
+                this.templates.delete(`${scope}/${templateId}`);
+                continue;
+            }
+
+            const fields = [];
+            for (let i = 0; i < fieldCount; i++) {
+                if (cursor + 4 > body.length) {
+                    throw new Error(`Truncated template ${templateId}`);
+                }
+                let type = body.readUInt16BE(cursor);
+                const length = body.readUInt16BE(cursor + 2);
+                cursor += 4;
+
+                let enterprise = 0;
+                if (ipfix && type & 0x8000) {
+                    enterprise = body.readUInt32BE(cursor);
+                    type &= 0x7fff;
+                    cursor += 4;
+                }
+                fields.push({ type, length, enterprise });
+            }
+
+            this.templates.set(`${scope}/${templateId}`, { fields, options });
+        }
+    }
+
+    _readV9OptionsTemplates(body, scope) {
+        let cursor = 0;
+        while (cursor + 6 <= body.length) {
+            const templateId = body.readUInt16BE(cursor);
+            const scopeLength = body.readUInt16BE(cursor + 2);
+            const optionLength = body.readUInt16BE(cursor + 4);
+            cursor += 6;
+
+            const fields = [];
+            const end = cursor + scopeLength + optionLength;
+            if (end > body.length) {
+                throw new Error(`Truncated options template ${templateId}`);
+            }
+            for (; cursor + 4 <= end; cursor += 4) {
+                fields.push({ type: body.readUInt16BE(cursor), length: body.readUInt16BE(cursor + 2), enterprise: 0 });
+            }
+            cursor = end;
+
+            this.templates.set(`${scope}/${templateId}`, { fields, options: true });
+        }
+    }
+
+    _readData(body, scope, templateId, header, result) {
+        const template = this.templates.get(`${scope}/${templateId}`);
+        if (!template) {
+            result.skipped++;
+            return;
+        }
+
+        let cursor = 0;
+        const minLength = template.fields.reduce((sum, field) =>
+            sum + (field.length === VARIABLE_LENGTH ? 1 : field.length), 0);
+
+        while (minLength > 0 && cursor + minLength <= body.length) {
+            const values = {};
+            for (const field of template.fields) {
+                let length = field.length;
+                if (length === VARIABLE_LENGTH) {
+                    length = body.readUInt8(cursor);
+                    cursor++;
+                    if (length === 255) {
+                        length = body.readUInt16BE(cursor);
+                        cursor += 2;
+                    }
+                }
+                if (cursor + length > body.length) {
+                    throw new Error(`Truncated data record for template ${templateId}`);
+                }
+                if (field.enterprise === 0) {
+                    values[field.type] = body.subarray(cursor, cursor + length);
+                }
+                cursor += length;
+            }
+
+            // Options data describes the exporter itself rather than traffic
+            if (!template.options) {
+                result.records.push(this._normalize(values, header));
+            }
+        }
+    }
+
+    _normalize(values, header) {
+        const number = (type) => (values[type] ? readUnsigned(values[type]) : undefined);
+        const samplingInterval = number(Field.SAMPLING_INTERVAL) || 1;
+
+        return {
+            srcIp: values[Field.IPV4_SRC_ADDR] ? ipv4(values[Field.IPV4_SRC_ADDR], 0) : ipv6(values[Field.IPV6_SRC_ADDR]),
+            dstIp: values[Field.IPV4_DST_ADDR] ? ipv4(values[Field.IPV4_DST_ADDR], 0) : ipv6(values[Field.IPV6_DST_ADDR]),
+            nextHop: values[Field.IPV4_NEXT_HOP] ? ipv4(values[Field.IPV4_NEXT_HOP], 0) : undefined,
+            srcPort: number(Field.L4_SRC_PORT) ?? 0,
+            dstPort: number(Field.L4_DST_PORT) ?? 0,
+            protocol: number(Field.PROTOCOL) ?? 0,
+            tcpFlags: number(Field.TCP_FLAGS) ?? 0,
+            tos: number(Field.TOS) ?? 0,
+            inputInterface: number(Field.INPUT_SNMP),
+            outputInterface: number(Field.OUTPUT_SNMP),
+            srcAs: number(Field.SRC_AS),
+            dstAs: number(Field.DST_AS),
+            bytes: (number(Field.IN_BYTES) ?? number(Field.OCTET_TOTAL_COUNT) ?? 0) * samplingInterval,
+            packets: (number(Field.IN_PKTS) ?? number(Field.PACKET_TOTAL_COUNT) ?? 0) * samplingInterval,
+            ...this._times(number, header),
+            samplingInterval
+        };
+    }
+
+    _times(number, header) {
+        const exportTime = new Date(header.exportMs);
+
+        if (number(Field.FLOW_START_MILLISECONDS) !== undefined) {
+            return {
+                start: new Date(number(Field.FLOW_START_MILLISECONDS)),
+                end: new Date(number(Field.FLOW_END_MILLISECONDS) ?? number(Field.FLOW_START_MILLISECONDS))
+            };
+        }
+        if (number(Field.FLOW_START_SECONDS) !== undefined) {
+            return {
+                start: new Date(number(Field.FLOW_START_SECONDS) * 1000),
+                end: new Date((number(Field.FLOW_END_SECONDS) ?? number(Field.FLOW_START_SECONDS)) * 1000)
+            };
+        }
+        const first = number(Field.FIRST_SWITCHED) ?? number(Field.LAST_SWITCHED);
+        if (first !== undefined) {
+            // v9 reports sysUptime offsets; IPFIX reuses the IDs relative to systemInitTimeMilliseconds
+            const toDate = header.sysUptime !== undefined
+                ? (uptime) => new Date(header.exportMs - (header.sysUptime - uptime))
+                : number(Field.SYSTEM_INIT_TIME_MILLISECONDS) !== undefined
+                    ? (uptime) => new Date(number(Field.SYSTEM_INIT_TIME_MILLISECONDS) + uptime)
+                    : () => exportTime;
+            return {
+                start: toDate(first),
+                end: toDate(number(Field.LAST_SWITCHED) ?? first)
+            };
+        }
+        return { start: exportTime, end: exportTime };
+    }
+}
+
+function readUnsigned(value) {
+    let number = 0;
+    for (const byte of value) {
+        number = number * 256 + byte;
+    }
+    return number;
+}
+
+function ipv4(buffer, offset) {
+    return `${buffer[offset]}.${buffer[offset + 1]}.${buffer[offset + 2]}.${buffer[offset + 3]}`;
+}
+
+function ipv6(buffer) {
+    if (!buffer || buffer.length !== 16) return undefined;
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push(buffer.readUInt16BE(i).toString(16));
+    }
+    // Compress the longest run of zero groups
+    const text = groups.join(':');
+    const runs = text.match(/(^|:)0(:0)+(:|$)/g);
+    if (!runs) return text;
+    const longest = runs.reduce((a, b) => (b.length > a.length ? b : a));
+    return text.replace(longest, '::');
+}
+
+export { NetFlowDecoder, Field as NetFlowField };
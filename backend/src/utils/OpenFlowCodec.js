@@ -0,0 +1,624 @@
+// OpenFlow 1.3 wire format helpers (see OpenFlow Switch Specification 1.3.5)
+
+const OFP_VERSION = 0x04;
+const OFP_HEADER_LEN = 8;
+
+const MessageType = {
+    HELLO: 0,
+    ERROR: 1,
+    ECHO_REQUEST: 2,
+    ECHO_REPLY: 3,
+    EXPERIMENTER: 4,
+    FEATURES_REQUEST: 5,
+    FEATURES_REPLY: 6,
+    GET_CONFIG_REQUEST: 7,
+    GET_CONFIG_REPLY: 8,
+    SET_CONFIG: 9,
+    PACKET_IN: 10,
+    FLOW_REMOVED: 11,
+    PORT_STATUS: 12,
+    PACKET_OUT: 13,
+    FLOW_MOD: 14,
+    GROUP_MOD: 15,
+    PORT_MOD: 16,
+    TABLE_MOD: 17,
+    MULTIPART_REQUEST: 18,
+    MULTIPART_REPLY: 19,
+    BARRIER_REQUEST: 20,
+    BARRIER_REPLY: 21
+};
+
+const MultipartType = {
+    DESC: 0,
+    FLOW: 1,
+    PORT_STATS: 4,
+    PORT_DESC: 13
+};
+
+const FlowModCommand = {
+    ADD: 0,
+    MODIFY: 1,
+    MODIFY_STRICT: 2,
+    DELETE: 3,
+    DELETE_STRICT: 4
+};
+
+const FlowModFlags = {
+    SEND_FLOW_REM: 1 << 0,
+    CHECK_OVERLAP: 1 << 1,
+    RESET_COUNTS: 1 << 2
+};
+
+const Port = {
+    IN_PORT: 0xfffffff8,
+    TABLE: 0xfffffff9,
+    NORMAL: 0xfffffffa,
+    FLOOD: 0xfffffffb,
+    ALL: 0xfffffffc,
+    CONTROLLER: 0xfffffffd,
+    LOCAL: 0xfffffffe,
+    ANY: 0xffffffff
+};
+
+const NO_BUFFER = 0xffffffff;
+const GROUP_ANY = 0xffffffff;
+const CONTROLLER_MAX_LEN_NO_BUFFER = 0xffff;
+
+const PacketInReason = ['no_match', 'action', 'invalid_ttl'];
+const FlowRemovedReason = ['idle_timeout', 'hard_timeout', 'delete', 'group_delete'];
+const PortStatusReason = ['add', 'delete', 'modify'];
+
+const InstructionType = {
+    GOTO_TABLE: 1,
+    WRITE_METADATA: 2,
+    WRITE_ACTIONS: 3,
+    APPLY_ACTIONS: 4,
+    CLEAR_ACTIONS: 5,
+    METER: 6
+};
+
+const ActionType = {
+    OUTPUT: 0,
+    PUSH_VLAN: 17,
+    POP_VLAN: 18,
+    SET_QUEUE: 21,
+    GROUP: 22,
+    SET_FIELD: 25
+};
+
+const OXM_CLASS_OPENFLOW_BASIC = 0x8000;
+
+// OXM match fields we understand, keyed by the property name used in match objects
+const OXM_FIELDS = {
+    inPort: { field: 0, length: 4, format: 'uint' },
+    metadata: { field: 2, length: 8, format: 'uint64' },
+    ethDst: { field: 3, length: 6, format: 'mac' },
+    ethSrc: { field: 4, length: 6, format: 'mac' },
+    ethType: { field: 5, length: 2, format: 'uint' },
+    vlanVid: { field: 6, length: 2, format: 'vlan' },
+    vlanPcp: { field: 7, length: 1, format: 'uint' },
+    ipDscp: { field: 8, length: 1, format: 'uint' },
+    ipProto: { field: 10, length: 1, format: 'uint' },
+    ipv4Src: { field: 11, length: 4, format: 'ipv4' },
+    ipv4Dst: { field: 12, length: 4, format: 'ipv4' },
+    tcpSrc: { field: 13, length: 2, format: 'uint' },
+    tcpDst: { field: 14, length: 2, format: 'uint' },
+    udpSrc: { field: 15, length: 2, format: 'uint' },
+    udpDst: { field: 16, length: 2, format: 'uint' },
+    icmpv4Type: { field: 19, length: 1, format: 'uint' },
+    icmpv4Code: { field: 20, length: 1, format: 'uint' },
+    arpOp: { field: 21, length: 2, format: 'uint' }
+};
+
+const OXM_FIELDS_BY_ID = Object.fromEntries(
+    Object.entries(OXM_FIELDS).map(([name, def]) => [def.field, { name, ...def }])
+);
+
+const OFPVID_PRESENT = 0x1000;
+
+class OpenFlowCodec {
+    /**
+     * Read the fixed header of a message
+     * @param {Buffer} buffer - Buffer starting at a message boundary
+     */
+    static decodeHeader(buffer) {
+        if (buffer.length < OFP_HEADER_LEN) {
+            return null;
+        }
+
+        return {
+            version: buffer.readUInt8(0),
+            type: buffer.readUInt8(1),
+            length: buffer.readUInt16BE(2),
+            xid: buffer.readUInt32BE(4)
+        };
+    }
+
+    /**
+     * Build a complete message from a type and an optional body
+     */
+    static encodeMessage(type, xid, body = Buffer.alloc(0)) {
+        const header = Buffer.alloc(OFP_HEADER_LEN);
+        header.writeUInt8(OFP_VERSION, 0);
+        header.writeUInt8(type, 1);
+        header.writeUInt16BE(OFP_HEADER_LEN + body.length, 2);
+        header.writeUInt32BE(xid >>> 0, 4);
+        return Buffer.concat([header, body]);
+    }
+
+    static encodeHello(xid) {
+        // Single version bitmap element advertising OpenFlow 1.3 only
+        const element = Buffer.alloc(8);
+        element.writeUInt16BE(1, 0);
+        element.writeUInt16BE(8, 2);
+        element.writeUInt32BE(1 << OFP_VERSION, 4);
+        return this.encodeMessage(MessageType.HELLO, xid, element);
+    }
+
+    static encodeEchoRequest(xid, payload = Buffer.alloc(0)) {
+        return this.encodeMessage(MessageType.ECHO_REQUEST, xid, payload);
+    }
+
+    static encodeEchoReply(xid, payload = Buffer.alloc(0)) {
+        return this.encodeMessage(MessageType.ECHO_REPLY, xid, payload);
+    }
+
+    static encodeFeaturesRequest(xid) {
+        return this.encodeMessage(MessageType.FEATURES_REQUEST, xid);
+    }
+
+    static encodeBarrierRequest(xid) {
+        return this.encodeMessage(MessageType.BARRIER_REQUEST, xid);
+    }
+
+    static encodeMultipartRequest(xid, multipartType, body = Buffer.alloc(0)) {
+        const prefix = Buffer.alloc(8);
+        prefix.writeUInt16BE(multipartType, 0);
+        return this.encodeMessage(MessageType.MULTIPART_REQUEST, xid, Buffer.concat([prefix, body]));
+    }
+
+    /**
+     * Encode an OFPT_FLOW_MOD
+     * @param {number} xid - Transaction ID
+     * @param {object} flowMod - { command, tableId, priority, match, instructions, cookie, idleTimeout, hardTimeout, flags, outPort, outGroup, bufferId }
+     */
+    static encodeFlowMod(xid, flowMod) {
+        const fixed = Buffer.alloc(40);
+        const cookie = BigInt(flowMod.cookie ?? 0);
+        const cookieMask = BigInt(flowMod.cookieMask ?? 0);
+
+        fixed.writeBigUInt64BE(cookie, 0);
+        fixed.writeBigUInt64BE(cookieMask, 8);
+        fixed.writeUInt8(flowMod.tableId ?? 0, 16);
+        fixed.writeUInt8(flowMod.command ?? FlowModCommand.ADD, 17);
+        fixed.writeUInt16BE(flowMod.idleTimeout ?? 0, 18);
+        fixed.writeUInt16BE(flowMod.hardTimeout ?? 0, 20);
+        fixed.writeUInt16BE(flowMod.priority ?? 0x8000, 22);
+        fixed.writeUInt32BE(flowMod.bufferId ?? NO_BUFFER, 24);
+        fixed.writeUInt32BE(flowMod.outPort ?? Port.ANY, 28);
+        fixed.writeUInt32BE(flowMod.outGroup ?? GROUP_ANY, 32);
+        fixed.writeUInt16BE(flowMod.flags ?? 0, 36);
+
+        const body = Buffer.concat([
+            fixed,
+            this.encodeMatch(flowMod.match || {}),
+            ...(flowMod.instructions || []).map(instruction => this.encodeInstruction(instruction))
+        ]);
+
+        return this.encodeMessage(MessageType.FLOW_MOD, xid, body);
+    }
+
+    /**
+     * Encode an OFPT_PACKET_OUT carrying raw frame data
+     */
+    static encodePacketOut(xid, { inPort = Port.CONTROLLER, actions = [], data = Buffer.alloc(0), bufferId = NO_BUFFER }) {
+        const encodedActions = Buffer.concat(actions.map(action => this.encodeAction(action)));
+        const fixed = Buffer.alloc(16);
+        fixed.writeUInt32BE(bufferId, 0);
+        fixed.writeUInt32BE(inPort, 4);
+        fixed.writeUInt16BE(encodedActions.length, 8);
+        return this.encodeMessage(MessageType.PACKET_OUT, xid, Buffer.concat([fixed, encodedActions, data]));
+    }
+
+    /**
+     * Encode a match object into an OXM ofp_match structure (padded to 8 bytes)
+     */
+    static encodeMatch(match) {
+        const tlvs = [];
+
+        for (const [name, value] of Object.entries(match)) {
+            if (value === undefined || value === null) continue;
+
+            const def = OXM_FIELDS[name];
+            if (!def) {
+                throw new Error(`Unsupported match field: ${name}`);
+            }
+
+            const { bytes, mask } = this._encodeOxmValue(def, value);
+            const payload = mask ? Buffer.concat([bytes, mask]) : bytes;
+            const tlvHeader = Buffer.alloc(4);
+            tlvHeader.writeUInt16BE(OXM_CLASS_OPENFLOW_BASIC, 0);
+            tlvHeader.writeUInt8((def.field << 1) | (mask ? 1 : 0), 2);
+            tlvHeader.writeUInt8(payload.length, 3);
+            tlvs.push(tlvHeader, payload);
+        }
+
+        const oxm = Buffer.concat(tlvs);
+        const length = 4 + oxm.length;
+        const header = Buffer.alloc(4);
+        header.writeUInt16BE(1, 0); // OFPMT_OXM
+        header.writeUInt16BE(length, 2);
+
+        return Buffer.concat([header, oxm, Buffer.alloc(this._padding(length))]);
+    }
+
+    /**
+     * Decode an ofp_match structure
+     * @returns {{ match: object, length: number }} length includes padding
+     */
+    static decodeMatch(buffer, offset = 0) {
+        const length = buffer.readUInt16BE(offset + 2);
+        const match = {};
+        let cursor = offset + 4;
+        const end = offset + length;
+
+        while (cursor + 4 <= end) {
+            const oxmClass = buffer.readUInt16BE(cursor);
+            const fieldAndMask = buffer.readUInt8(cursor + 2);
+            const payloadLength = buffer.readUInt8(cursor + 3);
+            const payload = buffer.subarray(cursor + 4, cursor + 4 + payloadLength);
+            cursor += 4 + payloadLength;
+
+            if (oxmClass !== OXM_CLASS_OPENFLOW_BASIC) continue;
+
+            const def = OXM_FIELDS_BY_ID[fieldAndMask >> 1];
+            if (!def) continue;
+
+            const hasMask = (fieldAndMask & 1) === 1;
+            match[def.name] = this._decodeOxmValue(def, payload, hasMask);
+        }
+
+        return { match, length: length + this._padding(length) };
+    }
+
+    static encodeInstruction(instruction) {
+        switch (instruction.type) {
+            case 'goto_table': {
+                const buffer = Buffer.alloc(8);
+                buffer.writeUInt16BE(InstructionType.GOTO_TABLE, 0);
+                buffer.writeUInt16BE(8, 2);
+                buffer.writeUInt8(instruction.tableId, 4);
+                return buffer;
+            }
+            case 'write_metadata': {
+                const buffer = Buffer.alloc(24);
+                buffer.writeUInt16BE(InstructionType.WRITE_METADATA, 0);
+                buffer.writeUInt16BE(24, 2);
+                buffer.writeBigUInt64BE(BigInt(instruction.metadata), 8);
+                buffer.writeBigUInt64BE(BigInt(instruction.metadataMask ?? '0xffffffffffffffff'), 16);
+                return buffer;
+            }
+            case 'write_actions':
+            case 'apply_actions': {
+                const actions = Buffer.concat((instruction.actions || []).map(action => this.encodeAction(action)));
+                const header = Buffer.alloc(8);
+                header.writeUInt16BE(
+                    instruction.type === 'apply_actions' ? InstructionType.APPLY_ACTIONS : InstructionType.WRITE_ACTIONS,
+                    0
+                );
+                header.writeUInt16BE(8 + actions.length, 2);
+                return Buffer.concat([header, actions]);
+            }
+            case 'clear_actions': {
+                const buffer = Buffer.alloc(8);
+                buffer.writeUInt16BE(InstructionType.CLEAR_ACTIONS, 0);
+                buffer.writeUInt16BE(8, 2);
+                return buffer;
+            }
+            case 'meter': {
+                const buffer = Buffer.alloc(8);
+                buffer.writeUInt16BE(InstructionType.METER, 0);
+                buffer.writeUInt16BE(8, 2);
+                buffer.writeUInt32BE(instruction.meterId, 4);
+                return buffer;
+            }
+            default:
+                throw new Error(`Unsupported instruction type: ${instruction.type}`);
+        }
+    }
+
+    static encodeAction(action) {
+        switch (action.type) {
+            case 'output': {
+                const buffer = Buffer.alloc(16);
+                buffer.writeUInt16BE(ActionType.OUTPUT, 0);
+                buffer.writeUInt16BE(16, 2);
+                buffer.writeUInt32BE(this._resolvePort(action.port), 4);
+                buffer.writeUInt16BE(action.maxLen ?? CONTROLLER_MAX_LEN_NO_BUFFER, 8);
+                return buffer;
+            }
+            case 'set_queue': {
+                const buffer = Buffer.alloc(8);
+                buffer.writeUInt16BE(ActionType.SET_QUEUE, 0);
+                buffer.writeUInt16BE(8, 2);
+                buffer.writeUInt32BE(action.queueId, 4);
+                return buffer;
+            }
+            case 'group': {
+                const buffer = Buffer.alloc(8);
+                buffer.writeUInt16BE(ActionType.GROUP, 0);
+                buffer.writeUInt16BE(8, 2);
+                buffer.writeUInt32BE(action.groupId, 4);
+                return buffer;
+            }
+            case 'push_vlan': {
+                const buffer = Buffer.alloc(8);
+                buffer.writeUInt16BE(ActionType.PUSH_VLAN, 0);
+                buffer.writeUInt16BE(8, 2);
+                buffer.writeUInt16BE(action.ethertype ?? 0x8100, 4);
+                return buffer;
+            }
+            case 'pop_vlan': {
+                const buffer = Buffer.alloc(8);
+                buffer.writeUInt16BE(ActionType.POP_VLAN, 0);
+                buffer.writeUInt16BE(8, 2);
+                return buffer;
+            }
+            case 'set_field': {
+                // Reuse the match encoder for the single OXM TLV, minus the ofp_match header
+                const [name, value] = Object.entries(action.field)[0];
+                const match = this.encodeMatch({ [name]: value });
+                const oxmLength = match.readUInt16BE(2) - 4;
+                const oxm = match.subarray(4, 4 + oxmLength);
+                const length = 4 + oxm.length;
+                const header = Buffer.alloc(4);
+                header.writeUInt16BE(ActionType.SET_FIELD, 0);
+                header.writeUInt16BE(length + this._padding(length), 2);
+                return Buffer.concat([header, oxm, Buffer.alloc(this._padding(length))]);
+            }
+            default:
+                throw new Error(`Unsupported action type: ${action.type}`);
+        }
+    }
+
+    /**
+     * Decode the body of a message according to its type
+     * @param {object} header - Decoded header
+     * @param {Buffer} message - Complete message including header
+     */
+    static decodeBody(header, message) {
+        switch (header.type) {
+            case MessageType.HELLO:
+                return this._decodeHello(message);
+            case MessageType.ERROR:
+                return {
+                    errorType: message.readUInt16BE(8),
+                    code: message.readUInt16BE(10),
+                    data: message.subarray(12)
+                };
+            case MessageType.ECHO_REQUEST:
+            case MessageType.ECHO_REPLY:
+                return { data: message.subarray(OFP_HEADER_LEN) };
+            case MessageType.FEATURES_REPLY:
+                return this._decodeFeaturesReply(message);
+            case MessageType.PACKET_IN:
+                return this._decodePacketIn(message);
+            case MessageType.FLOW_REMOVED:
+                return this._decodeFlowRemoved(message);
+            case MessageType.PORT_STATUS:
+                return {
+                    reason: PortStatusReason[message.readUInt8(8)] || 'unknown',
+                    port: this._decodePort(message, 16)
+                };
+            case MessageType.MULTIPART_REPLY:
+                return this._decodeMultipartReply(message);
+            default:
+                return { data: message.subarray(OFP_HEADER_LEN) };
+        }
+    }
+
+    /**
+     * Format a 64-bit datapath ID as 16 lowercase hex digits
+     */
+    static formatDatapathId(value) {
+        return BigInt(value).toString(16).padStart(16, '0');
+    }
+
+    static _decodeHello(message) {
+        const versions = [];
+        let cursor = OFP_HEADER_LEN;
+
+        while (cursor + 4 <= message.length) {
+            const type = message.readUInt16BE(cursor);
+            const length = message.readUInt16BE(cursor + 2);
+            if (length < 4) break;
+
+            if (type === 1) {
+                for (let offset = 4; offset + 4 <= length; offset += 4) {
+                    const bitmap = message.readUInt32BE(cursor + offset);
+                    for (let bit = 0; bit < 32; bit++) {
+                        if (bitmap & (1 << bit)) {
+                            versions.push((offset - 4) * 8 + bit);
+                        }
+                    }
+                }
+            }
+
+            cursor += length + this._padding(length);
+        }
+
+        return { versions };
+    }
+
+    static _decodeFeaturesReply(message) {
+        return {
+            datapathId: this.formatDatapathId(message.readBigUInt64BE(8)),
+            nBuffers: message.readUInt32BE(16),
+            nTables: message.readUInt8(20),
+            auxiliaryId: message.readUInt8(21),
+            capabilities: message.readUInt32BE(24)
+        };
+    }
+
+    static _decodePacketIn(message) {
+        const { match, length } = this.decodeMatch(message, 24);
+        const dataOffset = 24 + length + 2;
+
+        return {
+            bufferId: message.readUInt32BE(8),
+            totalLength: message.readUInt16BE(12),
+            reason: PacketInReason[message.readUInt8(14)] || 'unknown',
+            tableId: message.readUInt8(15),
+            cookie: message.readBigUInt64BE(16),
+            match,
+            data: message.subarray(dataOffset)
+        };
+    }
+
+    static _decodeFlowRemoved(message) {
+        const { match } = this.decodeMatch(message, 48);
+
+        return {
+            cookie: message.readBigUInt64BE(8),
+            priority: message.readUInt16BE(16),
+            reason: FlowRemovedReason[message.readUInt8(18)] || 'unknown',
+            tableId: message.readUInt8(19),
+            durationSec: message.readUInt32BE(20),
+            idleTimeout: message.readUInt16BE(28),
+            hardTimeout: message.readUInt16BE(30),
+            packetCount: message.readBigUInt64BE(32),
+            byteCount: message.readBigUInt64BE(40),
+            match
+        };
+    }
+
+    static _decodeMultipartReply(message) {
+        const multipartType = message.readUInt16BE(8);
+        const flags = message.readUInt16BE(10);
+        const body = { multipartType, more: (flags & 1) === 1 };
+
+        if (multipartType === MultipartType.PORT_DESC) {
+            body.ports = [];
+            for (let offset = 16; offset + 64 <= message.length; offset += 64) {
+                body.ports.push(this._decodePort(message, offset));
+            }
+        } else {
+            body.data = message.subarray(16);
+        }
+
+        return body;
+    }
+
+    static _decodePort(buffer, offset) {
+        const config = buffer.readUInt32BE(offset + 32);
+        const state = buffer.readUInt32BE(offset + 36);
+
+        return {
+            portNo: buffer.readUInt32BE(offset),
+            hwAddr: this._formatMac(buffer.subarray(offset + 8, offset + 14)),
+            name: buffer.subarray(offset + 16, offset + 32).toString('ascii').replace(/\0.*$/s, ''),
+            config,
+            state,
+            adminDown: (config & 1) === 1,
+            linkDown: (state & 1) === 1,
+            currSpeed: buffer.readUInt32BE(offset + 56), // kbps
+            maxSpeed: buffer.readUInt32BE(offset + 60)
+        };
+    }
+
+    static _encodeOxmValue(def, value) {
+        switch (def.format) {
+            case 'uint': {
+                const bytes = Buffer.alloc(def.length);
+                bytes.writeUIntBE(Number(value), 0, def.length);
+                return { bytes };
+            }
+            case 'uint64': {
+                const bytes = Buffer.alloc(8);
+                bytes.writeBigUInt64BE(BigInt(value));
+                return { bytes };
+            }
+            case 'vlan': {
+                const bytes = Buffer.alloc(2);
+                bytes.writeUInt16BE((Number(value) & 0x0fff) | OFPVID_PRESENT);
+                return { bytes };
+            }
+            case 'mac':
+                return { bytes: Buffer.from(String(value).split(/[:-]/).map(octet => parseInt(octet, 16))) };
+            case 'ipv4': {
+                const [address, prefix] = String(value).split('/');
+                const bytes = this._ipv4ToBuffer(address);
+                if (prefix === undefined || Number(prefix) === 32) {
+                    return { bytes };
+                }
+                const maskValue = Number(prefix) === 0 ? 0 : (0xffffffff << (32 - Number(prefix))) >>> 0;
+                const mask = Buffer.alloc(4);
+                mask.writeUInt32BE(maskValue);
+                return { bytes, mask };
+            }
+            default:
+                throw new Error(`Unsupported OXM format: ${def.format}`);
+        }
+    }
+
+    static _decodeOxmValue(def, payload, hasMask) {
+        switch (def.format) {
+            case 'uint':
+                return payload.readUIntBE(0, def.length);
+            case 'uint64':
+                return payload.readBigUInt64BE(0);
+            case 'vlan':
+                return payload.readUInt16BE(0) & 0x0fff;
+            case 'mac':
+                return this._formatMac(payload.subarray(0, 6));
+            case 'ipv4': {
+                const address = Array.from(payload.subarray(0, 4)).join('.');
+                if (!hasMask) return address;
+                const mask = payload.readUInt32BE(4);
+                const prefix = mask.toString(2).replace(/0+$/, '').length;
+                return `${address}/${prefix}`;
+            }
+            default:
+                return payload;
+        }
+    }
+
+    static _ipv4ToBuffer(address) {
+        const octets = address.split('.').map(Number);
+        if (octets.length !== 4 || octets.some(octet => !Number.isInteger(octet) || octet < 0 || octet > 255)) {
+            throw new Error(`Invalid IPv4 address: ${address}`);
+        }
+        return Buffer.from(octets);
+    }
+
+    static _formatMac(bytes) {
+        return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join(':');
+    }
+
+    static _resolvePort(port) {
+        if (typeof port === 'string') {
+            const reserved = Port[port.toUpperCase()];
+            if (reserved === undefined) {
+                throw new Error(`Unknown reserved port: ${port}`);
+            }
+            return reserved;
+        }
+        return port;
+    }
+
+    static _padding(length) {
+        return (8 - (length % 8)) % 8;
+    }
+}
+
+export {
+    OFP_VERSION,
+    OFP_HEADER_LEN,
+    MessageType,
+    MultipartType,
+    FlowModCommand,
+    FlowModFlags,
+    Port,
+    OXM_FIELDS,
+    OpenFlowCodec
+};
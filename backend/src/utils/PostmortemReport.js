@@ -0,0 +1,139 @@
+// Markdown postmortem of an Incident: summary, impact, root cause, timeline, alerts and the actions
+// taken. Free text is escaped so it cannot break the tables or start markdown blocks of its own.
+
+const ACTION_TYPES = new Set(['action', 'recovery']);
+
+/**
+ * @param {object} incident - the Incident, plain or as a document
+ * @param {object} related - { alerts: Array<object>, devices: Array<object> } referenced by the incident
+ * @param {Date} generatedAt
+ * @returns {string} markdown
+ */
+export function renderPostmortem(incident, { alerts = [], devices = [] } = {}, generatedAt = new Date()) {
+    const deviceNames = new Map(devices.map(device => [String(device._id), device.name]));
+    const deviceName = (id) => (id ? deviceNames.get(String(id)) || String(id) : '');
+    const timeline = [...incident.timeline].sort((a, b) => new Date(a.at) - new Date(b.at));
+    const actions = timeline.filter(entry => ACTION_TYPES.has(entry.type));
+
+    const lines = [
+        `# Postmortem: ${inline(incident.title)}`,
+        '',
+        table(['Field', 'Value'], [
+            ['Status', incident.status],
+            ['Severity', incident.severity],
+            ['Opened', formatDate(incident.openedAt)],
+            ['Closed', formatDate(incident.closedAt) || 'Still open'],
+            ['Duration', formatDuration(incident.openedAt, incident.closedAt || generatedAt)],
+            ['Opened by', incident.openedBy],
+            ['Closed by', incident.closedBy || '']
+        ]),
+        '',
+        '## Summary',
+        '',
+        block(incident.description),
+        '',
+        '## Impact',
+        '',
+        `${alerts.length} alert(s) on ${devices.length} device(s).`,
+        ''
+    ];
+    if (devices.length > 0) {
+        lines.push(table(['Device', 'Type', 'Location'], devices.map(device => [
+            device.name,
+            device.type,
+            formatLocation(device.location)
+        ])), '');
+    }
+
+    lines.push(
+        '## Root Cause',
+        '',
+        block(incident.rootCause),
+        '',
+        '## Resolution',
+        '',
+        block(incident.resolution),
+        '',
+        '## Timeline',
+        '',
+        table(['Time', 'Event', 'By', 'Details'], timeline.map(entry => [
+            formatDate(entry.at),
+            entry.type.replace(/_/g, ' '),
+            entry.author,
+            [entry.message, entry.deviceId && `(${deviceName(entry.deviceId)})`].filter(Boolean).join(' ')
+        ])),
+        '',
+        '## Actions Taken',
+        ''
+    );
+    if (actions.length > 0) {
+        actions.forEach(entry => lines.push(`- ${formatDate(entry.at)}: ${inline(entry.message)}`));
+    } else {
+        lines.push('_None recorded._');
+    }
+
+    lines.push('', '## Alerts', '');
+    if (alerts.length > 0) {
+        lines.push(table(['First seen', 'Severity', 'Device', 'Message', 'Status', 'Resolved'], alerts.map(alert => [
+            formatDate(alert.firstSeen),
+            alert.severity,
+            deviceName(alert.deviceId),
+            alert.correlation?.role === 'symptom' ? `${alert.message} (symptom)` : alert.message,
+            alert.status,
+            formatDate(alert.resolvedAt)
+        ])));
+    } else {
+        lines.push('_None._');
+    }
+
+    lines.push('', `_Generated ${formatDate(generatedAt)}._`, '');
+    return lines.join('\n');
+}
+
+function table(headers, rows) {
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+    ].join('\n');
+}
+
+function cell(value) {
+    return inline(value).replace(/\|/g, '\\|');
+}
+
+// One line of text with markdown and HTML made literal
+function inline(value) {
+    return String(value ?? '')
+        .replace(/\s*\n\s*/g, ' ')
+        .replace(/[\\`*_[\]<>#]/g, match => `\\${match}`)
+        .trim();
+}
+
+// Paragraphs of free text, kept as written
+function block(value) {
+    if (!value || !String(value).trim()) return '_Not recorded._';
+    return String(value)
+        .split(/\n\s*\n/)
+        .map(paragraph => inline(paragraph))
+        .join('\n\n');
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, ' UTC') : '';
+}
+
+function formatDuration(from, to) {
+    const minutes = Math.max(0, Math.round((new Date(to) - new Date(from)) / 60000));
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    const parts = [];
+    if (days) parts.push(`${days}d`);
+    if (hours) parts.push(`${hours}h`);
+    parts.push(`${minutes % 60}m`);
+    return parts.join(' ');
+}
+
+function formatLocation(location = {}) {
+    return ['building', 'floor', 'room'].map(key => location?.[key]).filter(Boolean).join(' / ');
+}
@@ -0,0 +1,319 @@
+// sFlow version 5 datagram decoding (sflow.org/sflow_version_5.txt)
+
+export const SFLOW_VERSION = 5;
+
+const SampleFormat = {
+    FLOW: 1,
+    COUNTER: 2,
+    EXPANDED_FLOW: 3,
+    EXPANDED_COUNTER: 4
+};
+
+const FlowRecordFormat = {
+    RAW_PACKET_HEADER: 1,
+    SAMPLED_IPV4: 3,
+    SAMPLED_IPV6: 4
+};
+
+const CounterRecordFormat = {
+    GENERIC_INTERFACE: 1
+};
+
+const HEADER_PROTOCOL_ETHERNET = 1;
+const HEADER_PROTOCOL_IPV4 = 11;
+const HEADER_PROTOCOL_IPV6 = 12;
+
+class SFlowCodec {
+    /**
+     * Decode a datagram
+     * @returns {{ agentAddress, subAgentId, sequence, uptime, flowSamples: Array, counterSamples: Array }}
+     *   uptime is the agent's uptime in milliseconds
+     */
+    static decode(buffer) {
+        const reader = new XdrReader(buffer);
+
+        const version = reader.u32();
+        if (version !== SFLOW_VERSION) {
+            throw new Error(`Unsupported sFlow version: ${version}`);
+        }
+
+        const datagram = {
+            agentAddress: reader.address(),
+            subAgentId: reader.u32(),
+            sequence: reader.u32(),
+            uptime: reader.u32(),
+            flowSamples: [],
+            counterSamples: []
+        };
+
+        const count = reader.u32();
+        for (let i = 0; i < count; i++) {
+            const { enterprise, format, body } = reader.record();
+            if (enterprise !== 0) continue;
+
+            switch (format) {
+                case SampleFormat.FLOW:
+                case SampleFormat.EXPANDED_FLOW:
+                    datagram.flowSamples.push(this._decodeFlowSample(body, format === SampleFormat.EXPANDED_FLOW));
+                    break;
+                case SampleFormat.COUNTER:
+                case SampleFormat.EXPANDED_COUNTER:
+                    datagram.counterSamples.push(this._decodeCounterSample(body, format === SampleFormat.EXPANDED_COUNTER));
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        return datagram;
+    }
+
+    /**
+     * Extract addresses and ports from a sampled packet header
+     * @param {Buffer} header - Captured bytes
+     * @param {number} protocol - sFlow header_protocol (1 ethernet, 11 IPv4, 12 IPv6)
+     * @returns {object|null} null for frames that do not carry IP
+     */
+    static parsePacketHeader(header, protocol = HEADER_PROTOCOL_ETHERNET) {
+        let offset = 0;
+        let etherType;
+
+        if (protocol === HEADER_PROTOCOL_ETHERNET) {
+            if (header.length < 14) return null;
+            etherType = header.readUInt16BE(12);
+            offset = 14;
+            // Skip 802.1Q / 802.1ad tags
+            while ((etherType === 0x8100 || etherType === 0x88a8) && header.length >= offset + 4) {
+                etherType = header.readUInt16BE(offset + 2);
+                offset += 4;
+            }
+        } else if (protocol === HEADER_PROTOCOL_IPV4) {
+            etherType = 0x0800;
+        } else if (protocol === HEADER_PROTOCOL_IPV6) {
+            etherType = 0x86dd;
+        } else {
+            return null;
+        }
+
+        let packet;
+        if (etherType === 0x0800 && header.length >= offset + 20) {
+            const headerLength = (header[offset] & 0x0f) * 4;
+            packet = {
+                srcIp: ipv4(header, offset + 12),
+                dstIp: ipv4(header, offset + 16),
+                protocol: header[offset + 9],
+                tos: header[offset + 1]
+            };
+            offset += headerLength;
+        } else if (etherType === 0x86dd && header.length >= offset + 40) {
+            packet = {
+                srcIp: ipv6(header.subarray(offset + 8, offset + 24)),
+                dstIp: ipv6(header.subarray(offset + 24, offset + 40)),
+                protocol: header[offset + 6],
+                tos: ((header.readUInt16BE(offset) >> 4) & 0xff)
+            };
+            offset += 40;
+        } else {
+            return null;
+        }
+
+        packet.srcPort = 0;
+        packet.dstPort = 0;
+        packet.tcpFlags = 0;
+        if ([6, 17, 132].includes(packet.protocol) && header.length >= offset + 4) {
+            packet.srcPort = header.readUInt16BE(offset);
+            packet.dstPort = header.readUInt16BE(offset + 2);
+            if (packet.protocol === 6 && header.length >= offset + 14) {
+                packet.tcpFlags = header[offset + 13];
+            }
+        }
+        return packet;
+    }
+
+    // Private helper methods
+    static _decodeFlowSample(body, expanded) {
+        const reader = new XdrReader(body);
+        const sample = { sequence: reader.u32() };
+
+        if (expanded) {
+            sample.sourceIdType = reader.u32();
+            sample.sourceIdIndex = reader.u32();
+        } else {
+            const sourceId = reader.u32();
+            sample.sourceIdType = sourceId >>> 24;
+            sample.sourceIdIndex = sourceId & 0xffffff;
+        }
+
+        sample.samplingRate = reader.u32();
+        sample.samplePool = reader.u32();
+        sample.drops = reader.u32();
+
+        if (expanded) {
+            reader.u32(); // input format
+            sample.inputInterface = reader.u32();
+            reader.u32(); // output format
+            sample.outputInterface = reader.u32();
+        } else {
+            // The top two bits carry the interface format; 0 means a single ifIndex
+            sample.inputInterface = reader.u32() & 0x3fffffff;
+            sample.outputInterface = reader.u32() & 0x3fffffff;
+        }
+
+        const count = reader.u32();
+        for (let i = 0; i < count; i++) {
+            const { enterprise, format, body: recordBody } = reader.record();
+            if (enterprise !== 0) continue;
+
+            if (format === FlowRecordFormat.RAW_PACKET_HEADER) {
+                const record = new XdrReader(recordBody);
+                const protocol = record.u32();
+                const frameLength = record.u32();
+                const stripped = record.u32();
+                const header = record.opaque();
+                const packet = this.parsePacketHeader(header, protocol);
+                // A sampled-IP record, if present, is more precise than the captured header
+                if (packet && !sample.packet) sample.packet = packet;
+                sample.frameLength = frameLength + stripped;
+            } else if (format === FlowRecordFormat.SAMPLED_IPV4 || format === FlowRecordFormat.SAMPLED_IPV6) {
+                const record = new XdrReader(recordBody);
+                const length = record.u32();
+                const protocol = record.u32();
+                const ipv6Record = format === FlowRecordFormat.SAMPLED_IPV6;
+                sample.packet = {
+                    srcIp: ipv6Record ? ipv6(record.bytes(16)) : ipv4(record.bytes(4), 0),
+                    dstIp: ipv6Record ? ipv6(record.bytes(16)) : ipv4(record.bytes(4), 0),
+                    srcPort: record.u32(),
+                    dstPort: record.u32(),
+                    tcpFlags: record.u32(),
+                    tos: record.u32(),
+                    protocol
+                };
+                if (sample.frameLength === undefined) sample.frameLength = length;
+            }
+        }
+
+        return sample;
+    }
+
+    static _decodeCounterSample(body, expanded) {
+        const reader = new XdrReader(body);
+        const sample = { sequence: reader.u32() };
+
+        if (expanded) {
+            sample.sourceIdType = reader.u32();
+            sample.sourceIdIndex = reader.u32();
+        } else {
+            const sourceId = reader.u32();
+            sample.sourceIdType = sourceId >>> 24;
+            sample.sourceIdIndex = sourceId & 0xffffff;
+        }
+
+        const count = reader.u32();
+        for (let i = 0; i < count; i++) {
+            const { enterprise, format, body: recordBody } = reader.record();
+            if (enterprise !== 0 || format !== CounterRecordFormat.GENERIC_INTERFACE) continue;
+
+            const record = new XdrReader(recordBody);
+            sample.interface = {
+                ifIndex: record.u32(),
+                ifType: record.u32(),
+                ifSpeed: record.u64(),
+                ifDirection: record.u32(),
+                ifStatus: record.u32(),
+                ifInOctets: record.u64(),
+                ifInUcastPkts: record.u32(),
+                ifInMulticastPkts: record.u32(),
+                ifInBroadcastPkts: record.u32(),
+                ifInDiscards: record.u32(),
+                ifInErrors: record.u32(),
+                ifInUnknownProtos: record.u32(),
+                ifOutOctets: record.u64(),
+                ifOutUcastPkts: record.u32(),
+                ifOutMulticastPkts: record.u32(),
+                ifOutBroadcastPkts: record.u32(),
+                ifOutDiscards: record.u32(),
+                ifOutErrors: record.u32(),
+                ifPromiscuousMode: record.u32()
+            };
+        }
+
+        return sample;
+    }
+}
+
+// Big-endian XDR reader with bounds checks
+class XdrReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    u32() {
+        this._ensure(4);
+        const value = this.buffer.readUInt32BE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    u64() {
+        this._ensure(8);
+        const value = this.buffer.readBigUInt64BE(this.offset);
+        this.offset += 8;
+        return value;
+    }
+
+    bytes(length) {
+        this._ensure(length);
+        const value = this.buffer.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return value;
+    }
+
+    // Variable-length opaque data, padded to a multiple of four bytes
+    opaque() {
+        const length = this.u32();
+        const value = this.bytes(length);
+        this.bytes((4 - (length % 4)) % 4);
+        return value;
+    }
+
+    address() {
+        const type = this.u32();
+        if (type === 1) return ipv4(this.bytes(4), 0);
+        if (type === 2) return ipv6(this.bytes(16));
+        throw new Error(`Unsupported sFlow agent address type: ${type}`);
+    }
+
+    // Tagged record: data_format (enterprise << 12 | format) followed by opaque data
+    record() {
+        const dataFormat = this.u32();
+        return {
+            enterprise: dataFormat >>> 12,
+            format: dataFormat & 0xfff,
+            body: this.opaque()
+        };
+    }
+
+    _ensure(length) {
+        if (this.offset + length > this.buffer.length) {
+            throw new Error('Truncated sFlow datagram');
+        }
+    }
+}
+
+function ipv4(buffer, offset) {
+    return `${buffer[offset]}.${buffer[offset + 1]}.${buffer[offset + 2]}.${buffer[offset + 3]}`;
+}
+
+function ipv6(buffer) {
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push(buffer.readUInt16BE(i).toString(16));
+    }
+    const text = groups.join(':');
+    const runs = text.match(/(^|:)0(:0)+(:|$)/g);
+    if (!runs) return text;
+    return text.replace(runs.reduce((a, b) => (b.length > a.length ? b : a)), '::');
+}
+
+export { SFlowCodec };
@@ -0,0 +1,318 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import crypto from 'crypto';
+
+// SMTP submission client (RFC 5321) with STARTTLS (RFC 3207) and AUTH PLAIN/LOGIN (RFC 4954)
+
+const ADDRESS = /^[^\s<>@",;]+@[^\s<>@",;]+$/;
+
+/**
+ * One connection per message: connect, EHLO, optional STARTTLS and AUTH, then the transaction
+ */
+class SmtpClient {
+    /**
+     * @param {object} options - { host, port, secure, startTls, rejectUnauthorized, username, password, name, timeout }
+     *   secure connects with TLS from the start (port 465); otherwise STARTTLS is used when the
+     *   server offers it, unless startTls is false
+     */
+    constructor({
+        host,
+        port = 25,
+        secure = false,
+        startTls = true,
+        rejectUnauthorized = true,
+        username,
+        password,
+        name = os.hostname(),
+        timeout = 10000
+    } = {}) {
+        if (!host) {
+            throw new Error('SMTP host is required');
+        }
+        this.host = host;
+        this.port = port;
+        this.secure = secure;
+        this.startTls = startTls;
+        this.rejectUnauthorized = rejectUnauthorized;
+        this.username = username;
+        this.password = password;
+        this.name = name;
+        this.timeout = timeout;
+    }
+
+    /**
+     * @param {object} message - { from, to: string[], subject, text }
+     * @returns {Promise<{ messageId: string, accepted: string[], response: string }>}
+     */
+    async send({ from, to, subject, text }) {
+        const recipients = [].concat(to || []);
+        for (const address of [from, ...recipients]) {
+            if (typeof address !== 'string' || !ADDRESS.test(address)) {
+                throw new Error(`Invalid email address: ${address}`);
+            }
+        }
+        if (recipients.length === 0) {
+            throw new Error('At least one recipient is required');
+        }
+
+        const messageId = `<${crypto.randomUUID()}@${this.name}>`;
+        const session = new SmtpSession(await this._connect(), this.timeout);
+        try {
+            await session.expect(220);
+            let extensions = await this._hello(session);
+
+            if (!this.secure && this.startTls && extensions.has('STARTTLS')) {
+                await session.command('STARTTLS', 220);
+                session.upgrade(await this._upgrade(session.release()));
+                extensions = await this._hello(session);
+            }
+
+            if (this.username) {
+                await this._authenticate(session, extensions);
+            }
+
+            await session.command(`MAIL FROM:<${from}>`, 250);
+            for (const recipient of recipients) {
+                await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+            }
+            await session.command('DATA', 354);
+            const reply = await session.command(`${formatMessage({ from, to: recipients, subject, text, messageId })}\r\n.`, 250);
+
+            await session.command('QUIT', 221).catch(() => {});
+            return { messageId, accepted: recipients, response: reply.text };
+        } finally {
+            session.close();
+        }
+    }
+
+    // Private helper methods
+    _connect() {
+        return new Promise((resolve, reject) => {
+            const options = { host: this.host, port: this.port };
+            const socket = this.secure
+                ? tls.connect({ ...options, servername: net.isIP(this.host) ? undefined : this.host, rejectUnauthorized: this.rejectUnauthorized })
+                : net.connect(options);
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(Object.assign(new Error(`SMTP connection to ${this.host}:${this.port} timed out`), { code: 'ETIMEDOUT' }));
+            }, this.timeout);
+
+            const onError = error => {
+                clearTimeout(timer);
+                reject(error);
+            };
+            socket.once(this.secure ? 'secureConnect' : 'connect', () => {
+                clearTimeout(timer);
+                socket.removeListener('error', onError);
+                resolve(socket);
+            });
+            socket.once('error', onError);
+        });
+    }
+
+    _upgrade(socket) {
+        return new Promise((resolve, reject) => {
+            const secured = tls.connect({
+                socket,
+                servername: net.isIP(this.host) ? undefined : this.host,
+                rejectUnauthorized: this.rejectUnauthorized
+            });
+            secured.once('secureConnect', () => {
+                secured.removeListener('error', reject);
+                resolve(secured);
+            });
+            secured.once('error', reject);
+        });
+    }
+
+    async _hello(session) {
+        let reply;
+        try {
+            reply = await session.command(`EHLO ${this.name}`, 250);
+        } catch (error) {
+            if (!error.responseCode) throw error;
+            // Servers without ESMTP
+            await session.command(`HELO ${this.name}`, 250);
+            return new Map();
+        }
+
+        // Lines after the greeting are "KEYWORD params"
+        return new Map(reply.lines.slice(1).map(line => {
+            const [keyword, ...params] = line.trim().split(/\s+/);
+            return [keyword.toUpperCase(), params.map(param => param.toUpperCase())];
+        }));
+    }
+
+    async _authenticate(session, extensions) {
+        const mechanisms = extensions.get('AUTH') || [];
+        if (mechanisms.includes('PLAIN')) {
+            const token = Buffer.from(`\0${this.username}\0${this.password || ''}`).toString('base64');
+            await session.command(`AUTH PLAIN ${token}`, 235);
+        } else if (mechanisms.includes('LOGIN')) {
+            await session.command('AUTH LOGIN', 334);
+            await session.command(Buffer.from(this.username).toString('base64'), 334);
+            await session.command(Buffer.from(this.password || '').toString('base64'), 235);
+        } else {
+            throw new Error(`SMTP server ${this.host} offers no supported AUTH mechanism`);
+        }
+    }
+}
+
+/**
+ * Line-oriented reply reader over one socket
+ */
+class SmtpSession {
+    constructor(socket, timeout) {
+        this.timeout = timeout;
+        this.buffer = '';
+        this.lines = [];
+        this.waiting = null;
+        this.error = null;
+        this.listeners = {
+            data: chunk => this._receive(chunk),
+            error: error => this._fail(error),
+            close: () => this._fail(Object.assign(new Error('SMTP connection closed'), { code: 'ECONNRESET' }))
+        };
+        this.upgrade(socket);
+    }
+
+    upgrade(socket) {
+        this.socket = socket;
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            socket.on(event, listener);
+        }
+    }
+
+    /**
+     * Stop reading from the socket so it can be handed to TLS
+     */
+    release() {
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            this.socket.removeListener(event, listener);
+        }
+        return this.socket;
+    }
+
+    async command(line, expected) {
+        this.socket.write(`${line}\r\n`);
+        return this.expect(expected);
+    }
+
+    /**
+     * Wait for the next reply and check its code
+     * @param {number|number[]} expected
+     */
+    async expect(expected) {
+        const reply = await this._reply();
+        if (![].concat(expected).includes(reply.code)) {
+            const error = new Error(`SMTP ${reply.code} ${reply.text}`);
+            error.responseCode = reply.code;
+            // 4xx replies are transient and worth retrying
+            if (reply.code >= 400 && reply.code < 500) {
+                error.code = 'SERVICE_UNAVAILABLE';
+            }
+            throw error;
+        }
+        return reply;
+    }
+
+    close() {
+        this.socket.destroy();
+    }
+
+    // Private helper methods
+    _reply() {
+        const reply = this._take();
+        if (reply) return Promise.resolve(reply);
+        if (this.error) return Promise.reject(this.error);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiting = null;
+                reject(Object.assign(new Error('SMTP server did not reply in time'), { code: 'ETIMEDOUT' }));
+            }, this.timeout);
+            this.waiting = {
+                resolve: value => {
+                    clearTimeout(timer);
+                    resolve(value);
+                },
+                reject: error => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            };
+        });
+    }
+
+    _receive(chunk) {
+        this.buffer += chunk.toString('utf8');
+        const lines = this.buffer.split('\r\n');
+        this.buffer = lines.pop();
+        this.lines.push(...lines);
+
+        if (this.waiting) {
+            const reply = this._take();
+            if (reply) {
+                const { resolve } = this.waiting;
+                this.waiting = null;
+                resolve(reply);
+            }
+        }
+    }
+
+    // A reply is complete at the line whose code is followed by a space
+    _take() {
+        const end = this.lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (end === -1) return null;
+
+        const lines = this.lines.splice(0, end + 1);
+        return {
+            code: parseInt(lines[end].slice(0, 3)),
+            lines: lines.map(line => line.slice(4)),
+            text: lines.map(line => line.slice(4)).join(' ')
+        };
+    }
+
+    _fail(error) {
+        this.error = this.error || error;
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+}
+
+function formatMessage({ from, to, subject, text, messageId }) {
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject || '')}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64'
+    ];
+    // Base64 keeps lines short and leaves no line starting with a dot to stuff
+    const body = Buffer.from(text || '').toString('base64').match(/.{1,76}/g) || [];
+    return [...headers, '', ...body].join('\r\n');
+}
+
+function encodeHeader(value) {
+    const line = String(value).replace(/[\r\n]+/g, ' ');
+    if (isPrintableAscii(line)) return line;
+    return `=?UTF-8?B?${Buffer.from(line).toString('base64')}?=`;
+}
+
+// Space through tilde: no control characters and nothing outside ASCII
+function isPrintableAscii(text) {
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        if (code < 0x20 || code > 0x7e) return false;
+    }
+    return true;
+}
+
+export { SmtpClient, formatMessage };
@@ -0,0 +1,664 @@
+import dgram from 'dgram';
+import crypto from 'crypto';
+import { BerCodec, BerType } from './BerCodec.js';
+
+// SNMP manager side for v1, v2c and v3 with USM (RFC 3416, RFC 3412, RFC 3414, RFC 3826)
+
+export const PduType = {
+    GET_REQUEST: 0xa0,
+    GET_NEXT_REQUEST: 0xa1,
+    RESPONSE: 0xa2,
+    SET_REQUEST: 0xa3,
+    TRAP_V1: 0xa4,
+    GET_BULK_REQUEST: 0xa5,
+    INFORM_REQUEST: 0xa6,
+    TRAP_V2: 0xa7,
+    REPORT: 0xa8
+};
+
+const VERSION_CODES = { '1': 0, '2c': 1, '3': 3 };
+const VERSION_NAMES = { 0: '1', 1: '2c', 3: '3' };
+
+const ERROR_STATUS = [
+    'noError', 'tooBig', 'noSuchName', 'badValue', 'readOnly', 'genErr', 'noAccess', 'wrongType',
+    'wrongLength', 'wrongEncoding', 'wrongValue', 'noCreation', 'inconsistentValue', 'resourceUnavailable',
+    'commitFailed', 'undoFailed', 'authorizationError', 'notWritable', 'inconsistentName'
+];
+
+const MsgFlags = {
+    AUTH: 0x01,
+    PRIV: 0x02,
+    REPORTABLE: 0x04
+};
+
+const USM_SECURITY_MODEL = 3;
+const MAX_MESSAGE_SIZE = 65507;
+
+const AUTH_PROTOCOLS = {
+    md5: { hash: 'md5', macLength: 12 },
+    sha: { hash: 'sha1', macLength: 12 },
+    sha256: { hash: 'sha256', macLength: 24 }
+};
+
+// usmStats counters returned in REPORT PDUs
+const USM_REPORTS = {
+    '1.3.6.1.6.3.15.1.1.1.0': 'unsupported security level',
+    '1.3.6.1.6.3.15.1.1.2.0': 'not in time window',
+    '1.3.6.1.6.3.15.1.1.3.0': 'unknown user name',
+    '1.3.6.1.6.3.15.1.1.4.0': 'unknown engine ID',
+    '1.3.6.1.6.3.15.1.1.5.0': 'wrong digest',
+    '1.3.6.1.6.3.15.1.1.6.0': 'decryption error'
+};
+const NOT_IN_TIME_WINDOW = '1.3.6.1.6.3.15.1.1.2.0';
+
+class SnmpMessage {
+    /**
+     * Encode a PDU
+     * @param {object} pdu - { type, requestId, errorStatus, errorIndex, varbinds: [{ oid, type, value }] }
+     */
+    static encodePdu({ type, requestId, errorStatus = 0, errorIndex = 0, varbinds = [] }) {
+        return BerCodec.encodeSequence([
+            BerCodec.encodeInteger(requestId),
+            BerCodec.encodeInteger(errorStatus),
+            BerCodec.encodeInteger(errorIndex),
+            BerCodec.encodeSequence(varbinds.map(varbind => BerCodec.encodeSequence([
+                BerCodec.encodeOid(varbind.oid),
+                BerCodec.encodeValue(varbind)
+            ])))
+        ], type);
+    }
+
+    static decodePdu(buffer) {
+        return this._decodePduTlv(BerCodec.readTlv(buffer));
+    }
+
+    /**
+     * Encode a v1 or v2c message
+     */
+    static encodeCommunity({ version, community, pdu }) {
+        return BerCodec.encodeSequence([
+            BerCodec.encodeInteger(VERSION_CODES[version]),
+            BerCodec.encodeOctetString(community),
+            this.encodePdu(pdu)
+        ]);
+    }
+
+    /**
+     * Encode a v3 message. Authentication and privacy are applied when the user has keys.
+     * @param {object} options - { msgId, flags, security: { engineId, engineBoots, engineTime, userName },
+     *   contextEngineId, contextName, pdu, user: { authProtocol, authKey, privKey } with localized keys }
+     */
+    static encodeV3({ msgId, flags, security, contextEngineId, contextName = '', pdu, user = {} }) {
+        let scopedPdu = BerCodec.encodeSequence([
+            BerCodec.encodeOctetString(contextEngineId || Buffer.alloc(0)),
+            BerCodec.encodeOctetString(contextName),
+            this.encodePdu(pdu)
+        ]);
+
+        let privParams = Buffer.alloc(0);
+        if (flags & MsgFlags.PRIV) {
+            const encrypted = SnmpUsm.encrypt(user.privKey, security.engineBoots, security.engineTime, scopedPdu);
+            privParams = encrypted.salt;
+            scopedPdu = BerCodec.encodeOctetString(encrypted.data);
+        }
+
+        const macLength = flags & MsgFlags.AUTH ? AUTH_PROTOCOLS[user.authProtocol].macLength : 0;
+        const securityParameters = this._encodeUsmParameters({ ...security, authParams: Buffer.alloc(macLength), privParams });
+
+        const message = BerCodec.encodeSequence([
+            BerCodec.encodeInteger(3),
+            BerCodec.encodeSequence([
+                BerCodec.encodeInteger(msgId),
+                BerCodec.encodeInteger(MAX_MESSAGE_SIZE),
+                BerCodec.encodeOctetString(Buffer.from([flags])),
+                BerCodec.encodeInteger(USM_SECURITY_MODEL)
+            ]),
+            BerCodec.encodeOctetString(securityParameters),
+            scopedPdu
+        ]);
+
+        if (flags & MsgFlags.AUTH) {
+            const offset = this._authParamsOffset(message);
+            SnmpUsm.sign(user.authProtocol, user.authKey, message).copy(message, offset);
+        }
+
+        return message;
+    }
+
+    /**
+     * Decode any SNMP message. v3 messages with an encrypted scoped PDU are returned with
+     * `encryptedPdu` set; call decryptV3 once the user's keys are known.
+     */
+    static decode(buffer) {
+        const { tag, value } = BerCodec.readTlv(buffer);
+        if (tag !== BerType.SEQUENCE) {
+            throw new Error('SNMP message is not a sequence');
+        }
+
+        const [versionTlv, ...rest] = BerCodec.readSequence(value);
+        const version = VERSION_NAMES[BerCodec.decodeInteger(versionTlv.value)];
+
+        if (version === '1' || version === '2c') {
+            const [community, pdu] = rest;
+            return { version, community: community.value.toString(), pdu: this._decodePduTlv(pdu) };
+        }
+
+        if (version !== '3') {
+            throw new Error('Unsupported SNMP version');
+        }
+
+        const [globalData, securityTlv, data] = rest;
+        const [msgId, maxSize, flags, securityModel] = BerCodec.readSequence(globalData.value);
+        const security = this._decodeUsmParameters(securityTlv.value);
+
+        const message = {
+            version,
+            msgId: BerCodec.decodeInteger(msgId.value),
+            maxSize: BerCodec.decodeInteger(maxSize.value),
+            flags: flags.value[0] || 0,
+            securityModel: BerCodec.decodeInteger(securityModel.value),
+            security
+        };
+
+        if (data.tag === BerType.OCTET_STRING) {
+            message.encryptedPdu = Buffer.from(data.value);
+        } else {
+            Object.assign(message, this._decodeScopedPdu(data.value));
+        }
+        return message;
+    }
+
+    /**
+     * Decrypt the scoped PDU of a decoded v3 message in place
+     */
+    static decryptV3(message, privKey) {
+        const plain = SnmpUsm.decrypt(privKey, message.security.engineBoots, message.security.engineTime,
+            message.security.privParams, message.encryptedPdu);
+        const { tag, value } = BerCodec.readTlv(plain);
+        if (tag !== BerType.SEQUENCE) {
+            throw new Error('Decryption produced an invalid scoped PDU');
+        }
+        delete message.encryptedPdu;
+        return Object.assign(message, this._decodeScopedPdu(value));
+    }
+
+    /**
+     * Check the HMAC of a received v3 message
+     */
+    static verifyV3(buffer, authProtocol, authKey) {
+        const message = Buffer.from(buffer);
+        const offset = this._authParamsOffset(message);
+        const { macLength } = AUTH_PROTOCOLS[authProtocol];
+        const received = Buffer.from(message.subarray(offset, offset + macLength));
+
+        message.fill(0, offset, offset + macLength);
+        const expected = SnmpUsm.sign(authProtocol, authKey, message);
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    // Private helper methods
+    static _decodePduTlv({ tag, value }) {
+        if (tag === PduType.TRAP_V1) {
+            return this._decodeTrapV1(value);
+        }
+
+        const [requestId, errorStatus, errorIndex, varbindList] = BerCodec.readSequence(value);
+        return {
+            type: tag,
+            requestId: BerCodec.decodeInteger(requestId.value),
+            errorStatus: BerCodec.decodeInteger(errorStatus.value),
+            errorIndex: BerCodec.decodeInteger(errorIndex.value),
+            varbinds: this._decodeVarbinds(varbindList.value)
+        };
+    }
+
+    static _decodeVarbinds(value) {
+        return BerCodec.readSequence(value).map(varbind => {
+            const [oid, data] = BerCodec.readSequence(varbind.value);
+            return { oid: BerCodec.decodeOid(oid.value), ...BerCodec.decodeValue(data) };
+        });
+    }
+
+    static _decodeTrapV1(value) {
+        const [enterprise, agentAddr, genericTrap, specificTrap, timestamp, varbindList] = BerCodec.readSequence(value);
+        return {
+            type: PduType.TRAP_V1,
+            enterprise: BerCodec.decodeOid(enterprise.value),
+            agentAddress: [...agentAddr.value].join('.'),
+            genericTrap: BerCodec.decodeInteger(genericTrap.value),
+            specificTrap: BerCodec.decodeInteger(specificTrap.value),
+            timestamp: Number(BerCodec.decodeUnsigned(timestamp.value)),
+            varbinds: this._decodeVarbinds(varbindList.value)
+        };
+    }
+
+    static _decodeScopedPdu(value) {
+        const [contextEngineId, contextName, pdu] = BerCodec.readSequence(value);
+        return {
+            contextEngineId: Buffer.from(contextEngineId.value),
+            contextName: contextName.value.toString(),
+            pdu: this._decodePduTlv(pdu)
+        };
+    }
+
+    static _encodeUsmParameters({ engineId = Buffer.alloc(0), engineBoots = 0, engineTime = 0, userName = '', authParams, privParams }) {
+        return BerCodec.encodeSequence([
+            BerCodec.encodeOctetString(engineId),
+            BerCodec.encodeInteger(engineBoots),
+            BerCodec.encodeInteger(engineTime),
+            BerCodec.encodeOctetString(userName),
+            BerCodec.encodeOctetString(authParams),
+            BerCodec.encodeOctetString(privParams)
+        ]);
+    }
+
+    static _decodeUsmParameters(value) {
+        if (value.length === 0) return {};
+
+        const [engineId, engineBoots, engineTime, userName, authParams, privParams] =
+            BerCodec.readSequence(BerCodec.readTlv(value).value);
+        return {
+            engineId: Buffer.from(engineId.value),
+            engineBoots: BerCodec.decodeInteger(engineBoots.value),
+            engineTime: BerCodec.decodeInteger(engineTime.value),
+            userName: userName.value.toString(),
+            authParams: Buffer.from(authParams.value),
+            privParams: Buffer.from(privParams.value)
+        };
+    }
+
+    // Byte offset of msgAuthenticationParameters within an encoded v3 message
+    static _authParamsOffset(message) {
+        const [, , securityTlv] = BerCodec.readSequence(BerCodec.readTlv(message).value);
+        const usm = BerCodec.readTlv(securityTlv.value);
+        const authParams = BerCodec.readSequence(usm.value)[4];
+        return authParams.value.byteOffset - message.byteOffset;
+    }
+}
+
+class SnmpUsm {
+    /**
+     * Convert a password into a key localized to an engine (RFC 3414 A.2)
+     */
+    static localizeKey(authProtocol, password, engineId) {
+        const { hash } = this._protocol(authProtocol);
+        const passwordBuffer = Buffer.from(password);
+        if (passwordBuffer.length === 0) {
+            throw new Error('SNMPv3 passwords must not be empty');
+        }
+
+        const digest = crypto.createHash(hash);
+        const chunk = Buffer.alloc(64);
+        let index = 0;
+        for (let count = 0; count < 1048576; count += 64) {
+            for (let i = 0; i < 64; i++) {
+                chunk[i] = passwordBuffer[index++ % passwordBuffer.length];
+            }
+            digest.update(chunk);
+        }
+        const key = digest.digest();
+
+        return crypto.createHash(hash).update(Buffer.concat([key, engineId, key])).digest();
+    }
+
+    static sign(authProtocol, authKey, message) {
+        const { hash, macLength } = this._protocol(authProtocol);
+        return crypto.createHmac(hash, authKey).update(message).digest().subarray(0, macLength);
+    }
+
+    /**
+     * AES-128-CFB privacy (RFC 3826)
+     */
+    static encrypt(privKey, engineBoots, engineTime, plain) {
+        const salt = crypto.randomBytes(8);
+        const cipher = crypto.createCipheriv('aes-128-cfb', privKey.subarray(0, 16), this._iv(engineBoots, engineTime, salt));
+        return { salt, data: Buffer.concat([cipher.update(plain), cipher.final()]) };
+    }
+
+    static decrypt(privKey, engineBoots, engineTime, salt, data) {
+        if (!salt || salt.length !== 8) {
+            throw new Error('Invalid SNMPv3 privacy parameters');
+        }
+        const decipher = crypto.createDecipheriv('aes-128-cfb', privKey.subarray(0, 16), this._iv(engineBoots, engineTime, salt));
+        return Buffer.concat([decipher.update(data), decipher.final()]);
+    }
+
+    static _iv(engineBoots, engineTime, salt) {
+        const iv = Buffer.alloc(16);
+        iv.writeUInt32BE(engineBoots >>> 0, 0);
+        iv.writeUInt32BE(engineTime >>> 0, 4);
+        salt.copy(iv, 8);
+        return iv;
+    }
+
+    static _protocol(authProtocol) {
+        const protocol = AUTH_PROTOCOLS[authProtocol];
+        if (!protocol) {
+            throw new Error(`Unsupported SNMPv3 auth protocol: ${authProtocol}`);
+        }
+        return protocol;
+    }
+}
+
+/**
+ * Request/response session with a single agent
+ */
+class SnmpClient {
+    /**
+     * @param {object} options - { host, port, version: '1'|'2c'|'3', community, timeout, retries,
+     *   user: { name, authProtocol: 'md5'|'sha'|'sha256', authPassword, privProtocol: 'aes', privPassword } }
+     */
+    constructor({ host, port = 161, version = '2c', community = 'public', timeout = 5000, retries = 1, user } = {}) {
+        if (!VERSION_CODES.hasOwnProperty(version)) {
+            throw new Error(`Unsupported SNMP version: ${version}`);
+        }
+        if (version === '3' && !user?.name) {
+            throw new Error('SNMPv3 requires a user name');
+        }
+        if (user?.privPassword && !user.authPassword) {
+            throw new Error('SNMPv3 privacy requires authentication');
+        }
+        if (user?.privPassword && (user.privProtocol || 'aes') !== 'aes') {
+            throw new Error(`Unsupported SNMPv3 privacy protocol: ${user.privProtocol}`);
+        }
+
+        this.host = host;
+        this.port = port;
+        this.version = version;
+        this.community = community;
+        this.timeout = timeout;
+        this.retries = retries;
+        this.user = user;
+
+        this.socket = null;
+        this.pending = new Map();
+        this.nextId = crypto.randomInt(1, 0x7fffffff);
+        this.engine = null;
+    }
+
+    async get(oids) {
+        return this._request(PduType.GET_REQUEST, oids);
+    }
+
+    async getNext(oids) {
+        return this._request(PduType.GET_NEXT_REQUEST, oids);
+    }
+
+    async getBulk(oids, { nonRepeaters = 0, maxRepetitions = 20 } = {}) {
+        if (this.version === '1') {
+            throw new Error('GetBulk is not available in SNMPv1');
+        }
+        return this._request(PduType.GET_BULK_REQUEST, oids, { errorStatus: nonRepeaters, errorIndex: maxRepetitions });
+    }
+
+    /**
+     * Retrieve every varbind below an OID
+     * @returns {Promise<Array<{ oid: string, type: string, value: * }>>}
+     */
+    async walk(rootOid, { maxRepetitions = 20 } = {}) {
+        const root = String(rootOid).replace(/^\./, '');
+        const results = [];
+        let current = root;
+
+        for (;;) {
+            let varbinds;
+            try {
+                varbinds = this.version === '1'
+                    ? await this.getNext([current])
+                    : await this.getBulk([current], { maxRepetitions });
+            } catch (error) {
+                // SNMPv1 agents signal the end of the MIB with noSuchName
+                if (this.version === '1' && error.status === 'noSuchName') return results;
+                throw error;
+            }
+
+            for (const varbind of varbinds) {
+                if (varbind.type === 'END_OF_MIB_VIEW' || !varbind.oid.startsWith(`${root}.`)) {
+                    return results;
+                }
+                if (compareOids(varbind.oid, current) <= 0) {
+                    throw new Error(`Agent returned a non-increasing OID at ${varbind.oid}`);
+                }
+                results.push(varbind);
+                current = varbind.oid;
+            }
+
+            if (varbinds.length === 0) return results;
+        }
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+        for (const { reject, timer } of this.pending.values()) {
+            clearTimeout(timer);
+            reject(new Error('SNMP session closed'));
+        }
+        this.pending.clear();
+    }
+
+    // Private helper methods
+    async _request(type, oids, { errorStatus = 0, errorIndex = 0 } = {}) {
+        const varbinds = oids.map(oid => ({ oid, type: 'NULL' }));
+
+        let response;
+        if (this.version === '3') {
+            response = await this._requestV3({ type, errorStatus, errorIndex, varbinds });
+        } else {
+            const requestId = this._id();
+            const message = SnmpMessage.encodeCommunity({
+                version: this.version,
+                community: this.community,
+                pdu: { type, requestId, errorStatus, errorIndex, varbinds }
+            });
+            response = (await this._send(message, requestId)).pdu;
+        }
+
+        if (response.errorStatus !== 0) {
+            const status = ERROR_STATUS[response.errorStatus] || `error ${response.errorStatus}`;
+            const error = new Error(`SNMP ${status} from ${this.host} at varbind ${response.errorIndex}`);
+            error.status = status;
+            throw error;
+        }
+        return response.varbinds;
+    }
+
+    async _requestV3(pdu, retriedTimeWindow = false) {
+        if (!this.engine) {
+            await this._discoverEngine();
+        }
+
+        const msgId = this._id();
+        const flags = this._securityFlags() | MsgFlags.REPORTABLE;
+        const message = SnmpMessage.encodeV3({
+            msgId,
+            flags,
+            security: {
+                engineId: this.engine.id,
+                engineBoots: this.engine.boots,
+                engineTime: this._engineTime(),
+                userName: this.user.name
+            },
+            contextEngineId: this.engine.id,
+            pdu: { ...pdu, requestId: msgId },
+            user: this.keys
+        });
+
+        const response = await this._send(message, msgId);
+
+        if (response.pdu.type === PduType.REPORT) {
+            const report = response.pdu.varbinds[0]?.oid;
+            this._updateEngine(response.security);
+            if (report === NOT_IN_TIME_WINDOW && !retriedTimeWindow) {
+                return this._requestV3(pdu, true);
+            }
+            throw new Error(`SNMPv3 ${USM_REPORTS[report] || `report ${report}`} from ${this.host}`);
+        }
+
+        this._updateEngine(response.security);
+        return response.pdu;
+    }
+
+    /**
+     * Learn the agent's engine ID, boots and time from an unauthenticated probe (RFC 3414 section 4)
+     */
+    async _discoverEngine() {
+        const msgId = this._id();
+        const message = SnmpMessage.encodeV3({
+            msgId,
+            flags: MsgFlags.REPORTABLE,
+            security: {},
+            pdu: { type: PduType.GET_REQUEST, requestId: msgId, varbinds: [] }
+        });
+
+        const response = await this._send(message, msgId, { verify: false });
+        if (!response.security.engineId?.length) {
+            throw new Error(`SNMPv3 engine discovery failed for ${this.host}`);
+        }
+
+        this._updateEngine(response.security);
+        this.keys = {
+            authProtocol: this.user.authProtocol || 'sha',
+            authKey: this.user.authPassword
+                ? SnmpUsm.localizeKey(this.user.authProtocol || 'sha', this.user.authPassword, this.engine.id)
+                : null,
+            privKey: this.user.privPassword
+                ? SnmpUsm.localizeKey(this.user.authProtocol || 'sha', this.user.privPassword, this.engine.id)
+                : null
+        };
+    }
+
+    _updateEngine({ engineId, engineBoots, engineTime }) {
+        if (!engineId?.length) return;
+        this.engine = { id: engineId, boots: engineBoots, time: engineTime, receivedAt: Date.now() };
+    }
+
+    _engineTime() {
+        return this.engine.time + Math.floor((Date.now() - this.engine.receivedAt) / 1000);
+    }
+
+    _securityFlags() {
+        let flags = 0;
+        if (this.user.authPassword) flags |= MsgFlags.AUTH;
+        if (this.user.privPassword) flags |= MsgFlags.PRIV;
+        return flags;
+    }
+
+    _id() {
+        this.nextId = this.nextId >= 0x7fffffff ? 1 : this.nextId + 1;
+        return this.nextId;
+    }
+
+    async _socket() {
+        if (this.socket) return this.socket;
+
+        const socket = dgram.createSocket(this.host?.includes(':') ? 'udp6' : 'udp4');
+        socket.on('message', buffer => this._handleMessage(buffer));
+        socket.on('error', error => {
+            for (const { reject, timer } of this.pending.values()) {
+                clearTimeout(timer);
+                reject(error);
+            }
+            this.pending.clear();
+        });
+
+        await new Promise((resolve, reject) => {
+            socket.once('error', reject);
+            socket.bind(0, () => {
+                socket.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        this.socket = socket;
+        return socket;
+    }
+
+    async _send(message, id, { verify = true } = {}) {
+        const socket = await this._socket();
+
+        return new Promise((resolve, reject) => {
+            let attempts = 0;
+            const entry = { resolve, reject, verify, timer: null };
+
+            const attempt = () => {
+                attempts++;
+                socket.send(message, this.port, this.host, error => {
+                    if (error) {
+                        clearTimeout(entry.timer);
+                        this.pending.delete(id);
+                        reject(error);
+                    }
+                });
+                entry.timer = setTimeout(() => {
+                    if (attempts <= this.retries) {
+                        attempt();
+                        return;
+                    }
+                    this.pending.delete(id);
+                    reject(new Error(`SNMP request to ${this.host}:${this.port} timed out`));
+                }, this.timeout);
+            };
+
+            this.pending.set(id, entry);
+            attempt();
+        });
+    }
+
+    _handleMessage(buffer) {
+        let message;
+        try {
+            message = SnmpMessage.decode(buffer);
+        } catch (error) {
+            // Malformed datagrams are dropped; the request times out if no valid answer follows
+            return;
+        }
+
+        const id = message.version === '3' ? message.msgId : message.pdu.requestId;
+        const entry = this.pending.get(id);
+        if (!entry) return;
+
+        try {
+            if (message.version !== this.version) {
+                throw new Error(`Agent answered with SNMP version ${message.version}`);
+            }
+            if (message.version === '3' && entry.verify && message.flags & MsgFlags.AUTH) {
+                if (!this.keys?.authKey || !SnmpMessage.verifyV3(buffer, this.keys.authProtocol, this.keys.authKey)) {
+                    throw new Error(`SNMPv3 response from ${this.host} failed authentication`);
+                }
+            }
+            if (message.encryptedPdu) {
+                if (!this.keys?.privKey) {
+                    throw new Error(`SNMPv3 response from ${this.host} is encrypted but no privacy key is set`);
+                }
+                SnmpMessage.decryptV3(message, this.keys.privKey);
+            }
+        } catch (error) {
+            clearTimeout(entry.timer);
+            this.pending.delete(id);
+            entry.reject(error);
+            return;
+        }
+
+        clearTimeout(entry.timer);
+        this.pending.delete(id);
+        entry.resolve(message);
+    }
+}
+
+/**
+ * Compare two dotted OIDs numerically
+ * @returns {number} negative, zero or positive
+ */
+export function compareOids(a, b) {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+    for (let i = 0; i < Math.min(left.length, right.length); i++) {
+        if (left[i] !== right[i]) return left[i] - right[i];
+    }
+    return left.length - right.length;
+}
+
+export { SnmpClient, SnmpMessage, SnmpUsm, MsgFlags };
@@ -0,0 +1,225 @@
+// Syslog message parsing for RFC 5424 and the BSD format of RFC 3164, plus RFC 6587 TCP framing
+
+export const SyslogFacility = [
+    'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news',
+    'uucp', 'cron', 'authpriv', 'ftp', 'ntp', 'audit', 'alert', 'clock',
+    'local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7'
+];
+
+export const SyslogSeverity = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const NIL = '-';
+
+// "Oct 19 10:00:00" or "Oct  9 10:00:00.123", optionally preceded by '*' or '.' (Cisco clock flags)
+const BSD_TIMESTAMP = /^[*.]?([A-Z][a-z]{2}) +(\d{1,2}) (\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,6}))?(?: [A-Z]{2,5})?:? /;
+// Cisco IOS mnemonic, e.g. %LINK-3-UPDOWN
+const CISCO_MNEMONIC = /%([A-Z0-9_]+-\d-[A-Z0-9_]+):/;
+
+/**
+ * Parse one syslog message
+ * @param {string|Buffer} input - The message without transport framing
+ * @param {Date} receivedAt - Used for messages without a (complete) timestamp
+ * @returns {{ format, facility, severity, timestamp, hostname, appName, procId, msgId, structuredData, message }}
+ *   facility is a name from SyslogFacility; severity is the numeric level (0 emerg ... 7 debug)
+ */
+export function parseSyslog(input, receivedAt = new Date()) {
+    const text = (Buffer.isBuffer(input) ? input.toString('utf8') : input).replace(/[\r\n\0]+$/, '');
+
+    const pri = /^<(\d{1,3})>/.exec(text);
+    if (!pri || Number(pri[1]) > 191) {
+        // No priority: RFC 3164 section 4.3.3 says to treat it as user.notice
+        return {
+            format: 'unknown',
+            facility: 'user',
+            severity: 5,
+            timestamp: receivedAt,
+            message: text
+        };
+    }
+
+    const priority = Number(pri[1]);
+    const header = {
+        facility: SyslogFacility[priority >> 3],
+        severity: priority & 7
+    };
+    const rest = text.slice(pri[0].length);
+
+    if (/^1 /.test(rest)) {
+        return { ...header, ...parseRfc5424(rest.slice(2), receivedAt) };
+    }
+    return { ...header, ...parseRfc3164(rest, receivedAt) };
+}
+
+/**
+ * Split a TCP stream into messages. Octet-counted frames ("LEN SP MSG") and
+ * LF-terminated frames can both be used, even within one connection.
+ */
+export class SyslogFramer {
+    constructor({ maxMessageSize = 65536 } = {}) {
+        this.maxMessageSize = maxMessageSize;
+        this.buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * @param {Buffer} chunk - Bytes read from the socket
+     * @returns {Buffer[]} complete messages
+     */
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        const messages = [];
+
+        for (;;) {
+            const counted = /^(\d{1,6}) /.exec(this.buffer.subarray(0, 8).toString('latin1'));
+            if (counted) {
+                const length = Number(counted[1]);
+                if (length > this.maxMessageSize) {
+                    throw new Error(`Syslog frame of ${length} bytes exceeds the limit`);
+                }
+                const start = counted[0].length;
+                if (this.buffer.length < start + length) break;
+                messages.push(this.buffer.subarray(start, start + length));
+                this.buffer = this.buffer.subarray(start + length);
+                continue;
+            }
+
+            const end = this.buffer.indexOf(0x0a);
+            if (end === -1) {
+                if (this.buffer.length > this.maxMessageSize) {
+                    throw new Error('Syslog frame exceeds the limit');
+                }
+                break;
+            }
+            const message = this.buffer.subarray(0, end);
+            this.buffer = this.buffer.subarray(end + 1);
+            if (message.length > 0) messages.push(message);
+        }
+
+        return messages;
+    }
+}
+
+function parseRfc5424(text, receivedAt) {
+    const fields = [];
+    let offset = 0;
+    for (let i = 0; i < 5; i++) {
+        const end = text.indexOf(' ', offset);
+        fields.push(end === -1 ? text.slice(offset) : text.slice(offset, end));
+        offset = end === -1 ? text.length : end + 1;
+    }
+
+    const [timestamp, hostname, appName, procId, msgId] = fields.map(field => (field === NIL ? undefined : field));
+    const { structuredData, next } = parseStructuredData(text, offset);
+    const parsedTime = timestamp ? new Date(timestamp) : null;
+
+    return {
+        format: 'rfc5424',
+        timestamp: parsedTime && !Number.isNaN(parsedTime.getTime()) ? parsedTime : receivedAt,
+        hostname,
+        appName,
+        procId,
+        msgId,
+        structuredData,
+        // A UTF-8 message is marked with a byte order mark
+        message: text.slice(next).replace(/^\uFEFF/, '')
+    };
+}
+
+function parseStructuredData(text, offset) {
+    if (text.startsWith(NIL, offset)) {
+        return { structuredData: undefined, next: skipSpace(text, offset + 1) };
+    }
+
+    const structuredData = {};
+    let position = offset;
+    while (text[position] === '[') {
+        const idEnd = text.slice(position).search(/[ \]]/) + position;
+        if (idEnd < position) break;
+        const params = {};
+        structuredData[text.slice(position + 1, idEnd)] = params;
+        position = idEnd;
+
+        while (text[position] === ' ') {
+            const param = /^ ([^=\s\]"]+)="((?:[^"\\]|\\.)*)"/.exec(text.slice(position));
+            if (!param) break;
+            params[param[1]] = param[2].replace(/\\(["\\\]])/g, '$1');
+            position += param[0].length;
+        }
+
+        if (text[position] !== ']') break;
+        position++;
+    }
+
+    return {
+        structuredData: Object.keys(structuredData).length > 0 ? structuredData : undefined,
+        next: skipSpace(text, position)
+    };
+}
+
+function skipSpace(text, position) {
+    return text[position] === ' ' ? position + 1 : position;
+}
+
+function parseRfc3164(text, receivedAt) {
+    let rest = text;
+    let timestamp = receivedAt;
+    let hostname;
+
+    // Cisco devices prepend a sequence number ("123: ") and sometimes their hostname
+    const sequence = /^\d+: /.exec(rest);
+    if (sequence) rest = rest.slice(sequence[0].length);
+    const ciscoHost = /^([A-Za-z0-9._-]+): (?=[*.]?[A-Z][a-z]{2} )/.exec(rest);
+    if (ciscoHost) {
+        hostname = ciscoHost[1];
+        rest = rest.slice(ciscoHost[0].length);
+    }
+
+    const time = BSD_TIMESTAMP.exec(rest);
+    if (time) {
+        timestamp = bsdTimestamp(time, receivedAt);
+        rest = rest.slice(time[0].length);
+
+        // HOSTNAME follows the timestamp unless the device left it out, in which case the tag does
+        const host = /^([^\s[\]%]+) /.exec(rest);
+        if (!hostname && host && !host[1].endsWith(':')) {
+            hostname = host[1];
+            rest = rest.slice(host[0].length);
+        }
+    }
+
+    let appName;
+    let procId;
+    const tag = /^([^\s:[\]]{1,48})(?:\[([^\]]+)\])?: /.exec(rest);
+    if (tag && !tag[1].startsWith('%')) {
+        appName = tag[1];
+        procId = tag[2];
+        rest = rest.slice(tag[0].length);
+    }
+
+    const mnemonic = CISCO_MNEMONIC.exec(rest);
+
+    return {
+        format: 'rfc3164',
+        timestamp,
+        hostname,
+        appName,
+        procId,
+        msgId: mnemonic ? mnemonic[1] : undefined,
+        message: rest
+    };
+}
+
+// BSD timestamps carry no year or zone: assume the collector's zone and the year that
+// puts the message closest to (and not well after) its arrival
+function bsdTimestamp([, month, day, hours, minutes, seconds, fraction], receivedAt) {
+    const monthIndex = MONTHS.indexOf(month);
+    if (monthIndex === -1) return receivedAt;
+
+    const milliseconds = fraction ? Number(fraction.padEnd(3, '0').slice(0, 3)) : 0;
+    const date = new Date(receivedAt.getFullYear(), monthIndex, Number(day),
+        Number(hours), Number(minutes), Number(seconds), milliseconds);
+    if (date.getTime() - receivedAt.getTime() > 24 * 60 * 60 * 1000) {
+        date.setFullYear(date.getFullYear() - 1);
+    }
+    return date;
+}
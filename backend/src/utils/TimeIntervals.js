@@ -0,0 +1,72 @@
+// Arithmetic on lists of time intervals, e.g. outages minus maintenance windows for SLA reports.
+// Intervals are { start, end } with Dates or millisecond timestamps and are half-open.
+
+/**
+ * Sort and join overlapping or touching intervals
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+export function mergeIntervals(intervals) {
+    const sorted = intervals
+        .map(interval => ({ start: toTime(interval.start), end: toTime(interval.end) }))
+        .filter(interval => interval.end > interval.start)
+        .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const interval of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            last.end = Math.max(last.end, interval.end);
+        } else {
+            merged.push({ ...interval });
+        }
+    }
+    return merged.map(toDates);
+}
+
+/**
+ * Parts of intervals not covered by any of the removed intervals
+ */
+export function subtractIntervals(intervals, removed) {
+    const cuts = mergeIntervals(removed).map(interval => ({ start: toTime(interval.start), end: toTime(interval.end) }));
+    const result = [];
+
+    for (const interval of mergeIntervals(intervals)) {
+        let start = toTime(interval.start);
+        const end = toTime(interval.end);
+        for (const cut of cuts) {
+            if (cut.end <= start || cut.start >= end) continue;
+            if (cut.start > start) result.push({ start, end: cut.start });
+            start = Math.max(start, cut.end);
+            if (start >= end) break;
+        }
+        if (start < end) result.push({ start, end });
+    }
+    return result.map(toDates);
+}
+
+/**
+ * Intervals cut to the range [from, to)
+ */
+export function clipIntervals(intervals, from, to) {
+    const rangeStart = toTime(from);
+    const rangeEnd = toTime(to);
+    return mergeIntervals(intervals.map(interval => ({
+        start: Math.max(toTime(interval.start), rangeStart),
+        end: Math.min(toTime(interval.end), rangeEnd)
+    })));
+}
+
+/**
+ * Total length in milliseconds, counting overlaps once
+ */
+export function totalDuration(intervals) {
+    return mergeIntervals(intervals).reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+}
+
+function toTime(value) {
+    return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+function toDates({ start, end }) {
+    return { start: new Date(start), end: new Date(end) };
+}
@@ -0,0 +1,99 @@
+// Reachability over NetworkTopology connections, for telling outages apart from devices that are
+// only cut off behind them
+
+export class TopologyGraph {
+    /**
+     * @param {Array} connections - [{ sourceDevice, targetDevice }]
+     * @param {Array} anchors - Devices next to the monitoring system. Links work both ways from
+     *   them. Without anchors, links lead from sourceDevice to targetDevice and the devices
+     *   without incoming links are the anchors.
+     */
+    constructor(connections = [], anchors = []) {
+        this.directed = anchors.length === 0;
+        this.next = new Map();
+        this.previous = new Map();
+
+        for (const connection of connections) {
+            const source = String(connection.sourceDevice);
+            const target = String(connection.targetDevice);
+            if (source === target) continue;
+            this._link(source, target);
+            if (!this.directed) this._link(target, source);
+        }
+
+        this.anchors = this.directed
+            ? new Set([...this.next.keys()].filter(node => this.previous.get(node).size === 0))
+            : new Set(anchors.map(String).filter(node => this.next.has(node)));
+    }
+
+    has(deviceId) {
+        return this.next.has(String(deviceId));
+    }
+
+    /**
+     * Down devices that are only down because another down device cuts them off from the anchors
+     * @param {Iterable} down - ids of devices with an active outage
+     * @returns {Map<string, { root: string, path: Array<string> }>} for each such device, the
+     *   outage closest to the anchors that cuts it off, and the path from there to the device
+     */
+    rootCauses(down) {
+        const downSet = new Set([...down].map(String));
+
+        // Everything still reachable without passing a down device
+        const reachable = new Set();
+        const queue = [...this.anchors].filter(node => !downSet.has(node));
+        queue.forEach(node => reachable.add(node));
+        while (queue.length > 0) {
+            for (const node of this.next.get(queue.shift())) {
+                if (!reachable.has(node) && !downSet.has(node)) {
+                    reachable.add(node);
+                    queue.push(node);
+                }
+            }
+        }
+
+        // Down devices with a working way in are outages in their own right
+        const frontier = new Set([...downSet].filter(node => this.has(node) &&
+            (this.anchors.has(node) || [...this.previous.get(node)].some(previous => reachable.has(previous)))));
+
+        const causes = new Map();
+        for (const node of downSet) {
+            if (!this.has(node) || frontier.has(node)) continue;
+            const path = this._pathBack(node, reachable, frontier);
+            if (path) causes.set(node, { root: path[0], path });
+        }
+        return causes;
+    }
+
+    // Walk back from a device through devices nobody can reach to the nearest outage that has a way in
+    _pathBack(node, reachable, frontier) {
+        const from = new Map([[node, null]]);
+        const queue = [node];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (current !== node && frontier.has(current)) {
+                const path = [];
+                for (let step = current; step !== null; step = from.get(step)) path.push(step);
+                return path;
+            }
+            for (const previous of this.previous.get(current)) {
+                if (!from.has(previous) && !reachable.has(previous)) {
+                    from.set(previous, current);
+                    queue.push(previous);
+                }
+            }
+        }
+        return null;
+    }
+
+    _link(source, target) {
+        for (const node of [source, target]) {
+            if (!this.next.has(node)) {
+                this.next.set(node, new Set());
+                this.previous.set(node, new Set());
+            }
+        }
+        this.next.get(source).add(target);
+        this.previous.get(target).add(source);
+    }
+}
@@ -0,0 +1,71 @@
+import { XMLParser } from 'fast-xml-parser';
+
+// XML as NETCONF needs it: elements with their namespaces resolved, and the prefixes in scope
+// kept for values that name identities (RFC 7950 section 9.10.3).
+
+const parser = new XMLParser({
+    preserveOrder: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: true,
+    ignoreDeclaration: true,
+    ignorePiTags: true
+});
+
+/**
+ * @param {string} text
+ * @returns {object} the root element: { name, prefix, namespace, attributes, children, text, scope }
+ *   where scope maps the prefixes in scope ('' for the default namespace) to namespaces
+ */
+export function parseXml(text) {
+    const nodes = parser.parse(text);
+    const root = toElements(nodes, new Map())[0];
+    if (!root) {
+        throw new Error('XML document has no element');
+    }
+    return root;
+}
+
+function toElements(nodes, parentScope) {
+    const elements = [];
+    for (const node of nodes) {
+        const tag = Object.keys(node).find(key => key !== ':@');
+        if (tag === '#text' || tag === undefined) continue;
+
+        const attributes = { ...node[':@'] };
+        const scope = new Map(parentScope);
+        for (const [name, value] of Object.entries(attributes)) {
+            if (name === 'xmlns') scope.set('', value);
+            else if (name.startsWith('xmlns:')) scope.set(name.slice(6), value);
+        }
+        const [prefix, name] = tag.includes(':') ? tag.split(':', 2) : ['', tag];
+        const content = node[tag];
+        elements.push({
+            name,
+            prefix,
+            namespace: scope.get(prefix),
+            attributes,
+            children: toElements(content, scope),
+            text: content.filter(item => '#text' in item).map(item => item['#text']).join(''),
+            scope
+        });
+    }
+    return elements;
+}
+
+/**
+ * Child elements with a local name, and a namespace when one is given
+ */
+export function childrenNamed(element, name, namespace) {
+    return element.children.filter(child => child.name === name && (!namespace || child.namespace === namespace));
+}
+
+export function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,847 @@
+import { escapeXml } from './XmlTree.js';
+
+// YANG modules (RFC 7950) compiled into a schema for configuration data: containers, lists,
+// leaves and leaf-lists with their types, through groupings, typedefs, identities and augments.
+// Instance data is JSON as RFC 7951 encodes it, and XML as NETCONF carries it. Not evaluated:
+// must and when expressions, if-feature (every feature counts as supported), deviations,
+// submodules, and refine or augment inside uses.
+
+const INTEGER_BOUNDS = {
+    int8: [-(2n ** 7n), 2n ** 7n - 1n],
+    int16: [-(2n ** 15n), 2n ** 15n - 1n],
+    int32: [-(2n ** 31n), 2n ** 31n - 1n],
+    int64: [-(2n ** 63n), 2n ** 63n - 1n],
+    uint8: [0n, 2n ** 8n - 1n],
+    uint16: [0n, 2n ** 16n - 1n],
+    uint32: [0n, 2n ** 32n - 1n],
+    uint64: [0n, 2n ** 64n - 1n]
+};
+
+const BUILT_IN_TYPES = new Set([
+    ...Object.keys(INTEGER_BOUNDS), 'decimal64', 'string', 'boolean', 'enumeration', 'bits', 'binary',
+    'leafref', 'identityref', 'empty', 'union', 'instance-identifier'
+]);
+
+// RFC 7951 section 6.1: 64-bit numbers travel as strings
+const JSON_STRING_NUMBERS = new Set(['int64', 'uint64', 'decimal64']);
+
+/**
+ * Split YANG text into statements
+ * @returns {Array<{ keyword: string, argument?: string, children: Array }>}
+ */
+export function parseYang(text) {
+    const tokens = tokenize(text);
+    let i = 0;
+
+    const readStatements = (nested) => {
+        const statements = [];
+        while (i < tokens.length) {
+            const token = tokens[i];
+            if (token.value === '}' && !token.quoted) {
+                if (!nested) throw new Error(`Unexpected } on line ${token.line}`);
+                i++;
+                return statements;
+            }
+            if (token.quoted || token.value === ';' || token.value === '{') {
+                throw new Error(`Expected a keyword on line ${token.line}, found ${token.value}`);
+            }
+            const statement = { keyword: token.value, children: [], line: token.line };
+            i++;
+
+            if (i < tokens.length && (tokens[i].quoted || !';{}'.includes(tokens[i].value))) {
+                statement.argument = tokens[i++].value;
+                // Quoted strings concatenate with +
+                while (tokens[i]?.value === '+' && !tokens[i].quoted && tokens[i + 1]?.quoted) {
+                    statement.argument += tokens[i + 1].value;
+                    i += 2;
+                }
+            }
+
+            const end = tokens[i++];
+            if (end?.value === '{' && !end.quoted) {
+                statement.children = readStatements(true);
+            } else if (end?.value !== ';' || end.quoted) {
+                throw new Error(`Expected ; or { after ${statement.keyword} on line ${statement.line}`);
+            }
+            statements.push(statement);
+        }
+        if (nested) throw new Error('Unexpected end of module: missing }');
+        return statements;
+    };
+
+    return readStatements(false);
+}
+
+function tokenize(text) {
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        if (char === '\n') {
+            line++;
+            i++;
+        } else if (/\s/.test(char)) {
+            i++;
+        } else if (text.startsWith('//', i)) {
+            i = text.indexOf('\n', i);
+            if (i === -1) i = text.length;
+        } else if (text.startsWith('/*', i)) {
+            const end = text.indexOf('*/', i + 2);
+            if (end === -1) throw new Error(`Unterminated comment on line ${line}`);
+            line += text.slice(i, end).split('\n').length - 1;
+            i = end + 2;
+        } else if (char === ';' || char === '{' || char === '}') {
+            tokens.push({ value: char, line });
+            i++;
+        } else if (char === '"' || char === '\'') {
+            let value = '';
+            const start = line;
+            i++;
+            while (i < text.length && text[i] !== char) {
+                if (char === '"' && text[i] === '\\' && i + 1 < text.length) {
+                    const escaped = text[i + 1];
+                    value += { n: '\n', t: '\t', '"': '"', '\\': '\\' }[escaped] ?? `\\${escaped}`;
+                    i += 2;
+                    continue;
+                }
+                if (text[i] === '\n') line++;
+                value += text[i++];
+            }
+            if (i >= text.length) throw new Error(`Unterminated string on line ${start}`);
+            i++;
+            tokens.push({ value, quoted: true, line: start });
+        } else {
+            const start = i;
+            while (i < text.length && !/[\s;{}"']/.test(text[i]) && !text.startsWith('//', i) && !text.startsWith('/*', i)) i++;
+            tokens.push({ value: text.slice(start, i), line });
+        }
+    }
+    return tokens;
+}
+
+const children = (statement, keyword) => statement.children.filter(substatement => substatement.keyword === keyword);
+const child = (statement, keyword) => statement.children.find(substatement => substatement.keyword === keyword);
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+class YangRegistry {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.sources = new Map(); // module name -> { name, namespace, prefix, revision, imports, statement }
+        this._compile();
+    }
+
+    /**
+     * Parse a YANG module and recompile the schema. Modules may be loaded in any order; a module
+     * whose imports are not loaded yet is listed in unresolved until they are.
+     * @returns {{ module, revision, namespace }}
+     */
+    load(text) {
+        const statement = parseYang(text).find(candidate => candidate.keyword === 'module' || candidate.keyword === 'submodule');
+        if (!statement) {
+            throw new Error('Not a YANG module: expected "module <name> { ... }"');
+        }
+        if (statement.keyword === 'submodule') {
+            throw new Error(`Submodule ${statement.argument} is not supported`);
+        }
+        const namespace = child(statement, 'namespace')?.argument;
+        const prefix = child(statement, 'prefix')?.argument;
+        if (!namespace || !prefix) {
+            throw new Error(`Module ${statement.argument} has no namespace or prefix`);
+        }
+
+        const source = {
+            name: statement.argument,
+            namespace,
+            prefix,
+            // Revisions are listed newest first
+            revision: children(statement, 'revision').map(revision => revision.argument).sort().pop(),
+            imports: new Map(children(statement, 'import').map(imported => [child(imported, 'prefix')?.argument, imported.argument])),
+            statement
+        };
+        const previous = this.sources.get(source.name);
+        this.sources.set(source.name, source);
+        try {
+            this._compile();
+        } catch (error) {
+            if (previous) this.sources.set(source.name, previous);
+            else this.sources.delete(source.name);
+            this._compile();
+            throw error;
+        }
+        return { module: source.name, revision: source.revision, namespace };
+    }
+
+    /**
+     * Loaded modules, and those that wait for imports or have augments without a target
+     * @returns {{ modules: Array, unresolved: Array<{ module, missing?, augment? }> }}
+     */
+    getModules() {
+        return {
+            modules: [...this.sources.values()]
+                .filter(source => this.compiled.has(source.name))
+                .map(({ name, revision, namespace, prefix }) => ({ module: name, revision, namespace, prefix }))
+                .sort((a, b) => a.module.localeCompare(b.module)),
+            unresolved: this.unresolved
+        };
+    }
+
+    /**
+     * The top-level configuration nodes, e.g. for a NETCONF subtree filter
+     * @returns {Array<{ module, name, namespace }>}
+     */
+    topLevel() {
+        return [...this.top.values()]
+            .filter(node => node.config)
+            .map(node => ({ module: node.module, name: node.name, namespace: this.compiled.get(node.module).namespace }));
+    }
+
+    /**
+     * Check configuration data against the schema
+     * @param {object} data - RFC 7951 JSON: { "<module>:<top-level node>": ... }
+     * @returns {Array<{ path: string, message: string }>} empty when the data is valid
+     */
+    validate(data) {
+        const errors = [];
+        if (!isObject(data) || Object.keys(data).length === 0) {
+            errors.push({ path: '/', message: 'configuration must be an object of module-qualified top-level nodes' });
+            return errors;
+        }
+        for (const [member, value] of Object.entries(data)) {
+            const node = member.includes(':') ? this.top.get(member) : undefined;
+            if (!node) {
+                errors.push({ path: `/${member}`, message: member.includes(':')
+                    ? 'not defined by any loaded YANG module'
+                    : 'top-level nodes must be qualified with their module name' });
+                continue;
+            }
+            this._validateNode(node, value, `/${member}`, errors, { root: data, ancestors: [data] });
+        }
+        return errors;
+    }
+
+    /**
+     * Configuration data as NETCONF XML, one element per top-level node
+     * @param {object} data - valid RFC 7951 JSON
+     * @param {object} options - { operation }: an nc:operation for the top-level elements; the nc
+     *   prefix must be bound to the NETCONF base namespace by an enclosing element
+     */
+    toXml(data, { operation } = {}) {
+        return Object.entries(data).map(([member, value]) => {
+            const node = this.top.get(member);
+            const attributes = operation ? ` nc:operation="${escapeXml(operation)}"` : '';
+            return this._toXml(node, value, null, attributes);
+        }).join('');
+    }
+
+    /**
+     * Configuration data from NETCONF XML elements, such as the children of <data>. Elements the
+     * schema does not know are left out.
+     * @param {Array<object>} elements - from utils/XmlTree.js
+     * @returns {object} RFC 7951 JSON
+     */
+    fromXml(elements) {
+        const data = {};
+        for (const [key, group] of this._groupElements(elements, null)) {
+            const node = this.top.get(key);
+            if (!node || !node.config) continue;
+            data[key] = this._fromXml(node, group);
+        }
+        return data;
+    }
+
+    // Private helper methods
+    _compile() {
+        this.compiled = new Map();
+        this.top = new Map(); // "module:name" -> node
+        this.identities = new Map(); // "module:name" -> { module, name, bases }
+        this.namespaces = new Map(); // namespace -> module name
+        this.unresolved = [];
+
+        // Only modules whose imports are all available take part
+        let ready = [...this.sources.values()];
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const source of ready) {
+                const missing = [...source.imports.values()].filter(name =>
+                    !this.sources.has(name) || !ready.some(candidate => candidate.name === name));
+                if (missing.length > 0) {
+                    ready = ready.filter(candidate => candidate !== source);
+                    this.unresolved.push({ module: source.name, missing });
+                    changed = true;
+                    break;
+                }
+            }
+        }
+
+        for (const source of ready) {
+            this.compiled.set(source.name, source);
+            this.namespaces.set(source.namespace, source.name);
+            source.groupings = new Map(children(source.statement, 'grouping').map(grouping => [grouping.argument, { statement: grouping, scope: [] }]));
+            source.typedefs = new Map(children(source.statement, 'typedef').map(typedef => [typedef.argument, { statement: typedef, scope: [] }]));
+            for (const identity of children(source.statement, 'identity')) {
+                this.identities.set(`${source.name}:${identity.argument}`, {
+                    module: source.name,
+                    name: identity.argument,
+                    bases: children(identity, 'base').map(base => this._qualify(base.argument, source))
+                });
+            }
+        }
+        for (const source of this.compiled.values()) {
+            const context = { source, module: source.name, scope: [], config: true };
+            for (const [key, node] of this._compileChildren(source.statement.children, context)) {
+                this.top.set(key, node);
+            }
+        }
+
+        // Augments may target nodes that other augments add
+        let augments = [...this.compiled.values()].flatMap(source =>
+            children(source.statement, 'augment').map(statement => ({ source, statement })));
+        let progress = true;
+        while (augments.length > 0 && progress) {
+            progress = false;
+            augments = augments.filter(({ source, statement }) => {
+                const target = this._schemaNode(statement.argument, source);
+                if (!target) return true;
+                const context = { source, module: source.name, scope: [], config: target.config };
+                for (const [key, node] of this._compileChildren(statement.children, context)) {
+                    target.children.set(key, node);
+                }
+                progress = true;
+                return false;
+            });
+        }
+        for (const { source, statement } of augments) {
+            this.unresolved.push({ module: source.name, augment: statement.argument });
+        }
+        for (const node of this.top.values()) {
+            linkParents(node, null);
+        }
+    }
+
+    // "prefix:name" as "module:name", in the scope of a module's imports
+    _qualify(name, source) {
+        if (!name.includes(':')) return `${source.name}:${name}`;
+        const [prefix, local] = name.split(':', 2);
+        if (prefix === source.prefix) return `${source.name}:${local}`;
+        const module = source.imports.get(prefix);
+        if (!module) throw new Error(`Unknown prefix ${prefix} in module ${source.name}`);
+        return `${module}:${local}`;
+    }
+
+    _schemaNode(path, source) {
+        const steps = path.split('/').filter(Boolean).map(step => this._qualify(step.replace(/\[.*$/, ''), source));
+        let node = this.top.get(steps[0]);
+        for (const step of steps.slice(1)) {
+            if (!node) return null;
+            // Choices and cases are not data nodes; their members sit on the parent
+            if (node.choices?.has(step)) continue;
+            node = node.children?.get(step);
+        }
+        return node?.children ? node : null;
+    }
+
+    // Groupings and typedefs are found in the enclosing statements first, then the module
+    _definition(kind, name, context) {
+        if (name.includes(':') && name.split(':')[0] !== context.source.prefix) {
+            const [prefix, local] = name.split(':', 2);
+            const source = this.compiled.get(context.source.imports.get(prefix));
+            const found = source?.[kind].get(local);
+            return found && { ...found, source };
+        }
+        const local = localName(name);
+        for (let i = context.scope.length - 1; i >= 0; i--) {
+            const found = context.scope[i][kind].get(local);
+            if (found) return { ...found, source: context.source };
+        }
+        const found = context.source[kind].get(local);
+        return found && { ...found, source: context.source };
+    }
+
+    // Groupings and typedefs a statement defines for its substatements
+    _enter(statement, context) {
+        const groupings = children(statement, 'grouping');
+        const typedefs = children(statement, 'typedef');
+        if (groupings.length === 0 && typedefs.length === 0) return context.scope;
+        const layer = { groupings: new Map(), typedefs: new Map() };
+        const scope = [...context.scope, layer];
+        for (const grouping of groupings) layer.groupings.set(grouping.argument, { statement: grouping, scope });
+        for (const typedef of typedefs) layer.typedefs.set(typedef.argument, { statement: typedef, scope });
+        return scope;
+    }
+
+    _compileChildren(statements, context, choices) {
+        const nodes = new Map();
+        for (const statement of statements) {
+            const { keyword, argument } = statement;
+            const config = context.config && child(statement, 'config')?.argument !== 'false';
+            const scope = this._enter(statement, context);
+            const inner = { ...context, scope, config };
+            const key = `${context.module}:${argument}`;
+
+            if (keyword === 'container') {
+                const nested = new Set();
+                nodes.set(key, {
+                    kind: 'container',
+                    name: argument,
+                    module: context.module,
+                    config,
+                    children: this._compileChildren(statement.children, inner, nested),
+                    choices: nested
+                });
+            } else if (keyword === 'list') {
+                const nested = new Set();
+                nodes.set(key, {
+                    kind: 'list',
+                    name: argument,
+                    module: context.module,
+                    config,
+                    keys: (child(statement, 'key')?.argument || '').split(/\s+/).filter(Boolean).map(localName),
+                    minElements: parseInt(child(statement, 'min-elements')?.argument) || 0,
+                    maxElements: parseInt(child(statement, 'max-elements')?.argument) || Infinity,
+                    children: this._compileChildren(statement.children, inner, nested),
+                    choices: nested
+                });
+            } else if (keyword === 'leaf' || keyword === 'leaf-list') {
+                nodes.set(key, {
+                    kind: keyword,
+                    name: argument,
+                    module: context.module,
+                    config,
+                    mandatory: child(statement, 'mandatory')?.argument === 'true',
+                    minElements: parseInt(child(statement, 'min-elements')?.argument) || 0,
+                    maxElements: parseInt(child(statement, 'max-elements')?.argument) || Infinity,
+                    type: this._type(child(statement, 'type'), inner)
+                });
+            } else if (keyword === 'anydata' || keyword === 'anyxml') {
+                nodes.set(key, { kind: 'anydata', name: argument, module: context.module, config });
+            } else if (keyword === 'choice' || keyword === 'case') {
+                choices?.add(key);
+                // A choice may hold data nodes directly, as shorthand for cases
+                for (const [name, node] of this._compileChildren(statement.children, inner, choices)) {
+                    nodes.set(name, node);
+                }
+            } else if (keyword === 'uses') {
+                const grouping = this._definition('groupings', argument, context);
+                if (!grouping) {
+                    throw new Error(`Grouping ${argument} not found in module ${context.source.name}`);
+                }
+                // The nodes of a grouping belong to the module that uses it; its names resolve where it is defined
+                const groupingContext = {
+                    source: grouping.source,
+                    module: context.module,
+                    scope: [],
+                    config: context.config
+                };
+                groupingContext.scope = this._enter(grouping.statement, { ...groupingContext, scope: grouping.scope });
+                for (const [name, node] of this._compileChildren(grouping.statement.children, groupingContext, choices)) {
+                    nodes.set(name, node);
+                }
+            }
+        }
+        return nodes;
+    }
+
+    _type(statement, context) {
+        if (!statement) {
+            throw new Error(`Missing type in module ${context.source.name}`);
+        }
+        const name = statement.argument;
+        let type;
+        if (BUILT_IN_TYPES.has(name)) {
+            type = { base: name, ranges: [], lengths: [], patterns: [] };
+        } else {
+            const typedef = this._definition('typedefs', name, context);
+            if (!typedef) {
+                throw new Error(`Type ${name} not found in module ${context.source.name}`);
+            }
+            const typedefContext = { source: typedef.source, module: context.module, scope: typedef.scope, config: true };
+            const base = this._type(child(typedef.statement, 'type'), typedefContext);
+            type = { ...base, ranges: [...base.ranges], lengths: [...base.lengths], patterns: [...base.patterns] };
+        }
+
+        for (const restriction of statement.children) {
+            const { keyword, argument } = restriction;
+            if (keyword === 'range') type.ranges.push(argument);
+            else if (keyword === 'length') type.lengths.push(argument);
+            else if (keyword === 'pattern') {
+                const pattern = compilePattern(argument);
+                if (pattern) type.patterns.push({ pattern, source: argument, invert: child(restriction, 'modifier')?.argument === 'invert-match' });
+            } else if (keyword === 'fraction-digits') type.fractionDigits = parseInt(argument);
+            else if (keyword === 'enum') (type.enums ??= []).push(argument);
+            else if (keyword === 'bit') (type.bits ??= []).push(argument);
+            else if (keyword === 'base') (type.identityBases ??= []).push(this._qualify(argument, context.source));
+            else if (keyword === 'path') type.path = argument;
+            else if (keyword === 'require-instance') type.requireInstance = argument !== 'false';
+            else if (keyword === 'type') (type.members ??= []).push(this._type(restriction, context));
+        }
+        if (type.base === 'enumeration' && statement.children.some(restriction => restriction.keyword === 'enum')) {
+            type.enums = children(statement, 'enum').map(item => item.argument);
+        }
+        return type;
+    }
+
+    _validateNode(node, value, path, errors, context) {
+        if (!node.config) {
+            errors.push({ path, message: 'is state data, not configuration' });
+            return;
+        }
+        if (node.kind === 'container') {
+            if (!isObject(value)) {
+                errors.push({ path, message: 'must be an object' });
+                return;
+            }
+            this._validateChildren(node, value, path, errors, context);
+        } else if (node.kind === 'list') {
+            if (!Array.isArray(value)) {
+                errors.push({ path, message: 'must be an array of list entries' });
+                return;
+            }
+            if (value.length < node.minElements || value.length > node.maxElements) {
+                errors.push({ path, message: `must have between ${node.minElements} and ${node.maxElements} entries` });
+            }
+            const seen = new Set();
+            for (const [index, entry] of value.entries()) {
+                if (!isObject(entry)) {
+                    errors.push({ path: `${path}[${index}]`, message: 'must be an object' });
+                    continue;
+                }
+                const keys = node.keys.map(key => entry[key]);
+                const missing = node.keys.filter(key => entry[key] === undefined);
+                const entryPath = node.keys.length > 0 && missing.length === 0
+                    ? `${path}[${node.keys.map((key, i) => `${key}=${keys[i]}`).join('][')}]`
+                    : `${path}[${index}]`;
+                if (missing.length > 0) {
+                    errors.push({ path: entryPath, message: `is missing the key ${missing.join(', ')}` });
+                } else if (node.keys.length > 0) {
+                    const identity = JSON.stringify(keys);
+                    if (seen.has(identity)) errors.push({ path: entryPath, message: 'is a duplicate list entry' });
+                    seen.add(identity);
+                }
+                this._validateChildren(node, entry, entryPath, errors, context);
+            }
+        } else if (node.kind === 'leaf') {
+            const message = this._checkValue(node, node.type, value, context);
+            if (message) errors.push({ path, message });
+        } else if (node.kind === 'leaf-list') {
+            if (!Array.isArray(value)) {
+                errors.push({ path, message: 'must be an array' });
+                return;
+            }
+            if (value.length < node.minElements || value.length > node.maxElements) {
+                errors.push({ path, message: `must have between ${node.minElements} and ${node.maxElements} values` });
+            }
+            for (const item of value) {
+                const message = this._checkValue(node, node.type, item, context);
+                if (message) errors.push({ path, message });
+            }
+        }
+    }
+
+    _validateChildren(node, object, path, errors, context) {
+        const inner = { ...context, ancestors: [...context.ancestors, object] };
+        for (const [member, value] of Object.entries(object)) {
+            const childNode = this._child(node, member);
+            if (!childNode) {
+                errors.push({ path: `${path}/${member}`, message: 'is not defined by the YANG schema' });
+                continue;
+            }
+            this._validateNode(childNode, value, `${path}/${member}`, errors, inner);
+        }
+        for (const childNode of node.children.values()) {
+            if (childNode.kind !== 'leaf' || !childNode.mandatory || !childNode.config) continue;
+            if (this._member(node, childNode, object) === undefined) {
+                errors.push({ path: `${path}/${this._memberName(node, childNode)}`, message: 'is mandatory' });
+            }
+        }
+    }
+
+    // A JSON member name: qualified only where the module changes (RFC 7951 section 4)
+    _child(parent, member) {
+        return parent.children.get(member.includes(':') ? member : `${parent.module}:${member}`);
+    }
+
+    _memberName(parent, node) {
+        return node.module === parent.module ? node.name : `${node.module}:${node.name}`;
+    }
+
+    _member(parent, node, object) {
+        return object[this._memberName(parent, node)] ?? object[`${node.module}:${node.name}`];
+    }
+
+    /**
+     * @returns {string|null} what is wrong with the value
+     */
+    _checkValue(node, type, value, context) {
+        const base = type.base;
+        if (base === 'leafref') {
+            // Values have the type of the leaf the path leads to
+            const target = this._leafrefTarget(node, type);
+            const message = target && this._checkValue(target, target.type, value, context);
+            return message || this._checkLeafref(type, value, context);
+        }
+        if (base === 'union') {
+            const messages = type.members.map(member => this._checkValue(node, member, value, context));
+            return messages.includes(null) ? null : `matches no member of the union (${messages.join('; ')})`;
+        }
+        if (base === 'empty') {
+            return Array.isArray(value) && value.length === 1 && value[0] === null ? null : 'must be [null]';
+        }
+        if (base === 'boolean') {
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        }
+        if (INTEGER_BOUNDS[base]) {
+            const valid = Number.isInteger(value) || (JSON_STRING_NUMBERS.has(base) && typeof value === 'string' && /^[-+]?\d+$/.test(value));
+            if (!valid) return `must be an ${base}`;
+            const number = BigInt(value);
+            const [min, max] = INTEGER_BOUNDS[base];
+            if (number < min || number > max) return `is out of the ${base} range`;
+            return inRanges(type.ranges, number, base) ? null : `is outside ${type.ranges.join(', ')}`;
+        }
+        if (base === 'decimal64') {
+            const text = typeof value === 'number' ? String(value) : value;
+            if (typeof text !== 'string' || !/^[-+]?\d+(\.\d+)?$/.test(text)) return 'must be a decimal64';
+            if ((text.split('.')[1] || '').length > (type.fractionDigits ?? 18)) return `has more than ${type.fractionDigits} fraction digits`;
+            return inRanges(type.ranges, Number(text), base) ? null : `is outside ${type.ranges.join(', ')}`;
+        }
+        if (typeof value !== 'string') {
+            return `must be a string (${base})`;
+        }
+        if (base === 'string') {
+            if (!inRanges(type.lengths, BigInt([...value].length), 'length')) return `has a length outside ${type.lengths.join(', ')}`;
+            const failed = type.patterns.find(({ pattern, invert }) => pattern.test(value) === invert);
+            return failed ? `does not match the pattern ${failed.source}` : null;
+        }
+        if (base === 'enumeration') {
+            return type.enums?.includes(value) ? null : `must be one of ${(type.enums || []).join(', ')}`;
+        }
+        if (base === 'bits') {
+            const unknown = value.split(/\s+/).filter(bit => bit && !type.bits?.includes(bit));
+            return unknown.length === 0 ? null : `has unknown bits ${unknown.join(', ')}`;
+        }
+        if (base === 'binary') {
+            if (!/^[A-Za-z0-9+/]*={0,2}$/.test(value)) return 'must be base64';
+            return inRanges(type.lengths, BigInt(Buffer.from(value, 'base64').length), 'length') ? null : `has a length outside ${type.lengths.join(', ')}`;
+        }
+        if (base === 'identityref') {
+            const identity = value.includes(':') ? value : `${node.module}:${value}`;
+            if (!this.identities.has(identity)) return `${value} is not a known identity`;
+            return (type.identityBases || []).some(identityBase => this._derivesFrom(identity, identityBase))
+                ? null
+                : `${value} is not derived from ${(type.identityBases || []).join(' or ')}`;
+        }
+        return null;
+    }
+
+    _derivesFrom(identity, base, seen = new Set()) {
+        if (seen.has(identity)) return false;
+        seen.add(identity);
+        const { bases = [] } = this.identities.get(identity) || {};
+        return bases.includes(base) || bases.some(parent => this._derivesFrom(parent, base, seen));
+    }
+
+    _leafrefTarget(node, type, depth = 0) {
+        if (!type.path) return null;
+        const steps = type.path.replace(/\[[^\]]*\]/g, '').split('/').map(step => step.trim());
+        let current = node;
+        if (type.path.startsWith('/')) {
+            steps.shift();
+            const name = localName(steps.shift());
+            current = [...this.top.values()].find(top => top.name === name);
+        }
+        while (steps[0] === '..') {
+            steps.shift();
+            current = current?.parent;
+        }
+        for (const step of steps.map(localName)) {
+            current = current?.children && [...current.children.values()].find(candidate => candidate.name === step);
+        }
+        if (!current || (current.kind !== 'leaf' && current.kind !== 'leaf-list')) return null;
+        if (current.type.base === 'leafref' && depth < 8) return this._leafrefTarget(current, current.type, depth + 1);
+        return current.type.base === 'leafref' ? null : current;
+    }
+
+    // The value must be in the data the path leads to. Absolute paths into nodes the data does
+    // not contain are not checked: the target may already be on the device.
+    _checkLeafref(type, value, context) {
+        if (type.requireInstance === false || !type.path) return null;
+        const steps = type.path.replace(/\[[^\]]*\]/g, '').split('/');
+        let current;
+        if (type.path.startsWith('/')) {
+            steps.shift();
+            const top = Object.entries(context.root).find(([member]) => localName(member) === localName(steps[0]));
+            if (!top) return null;
+            current = [top[1]];
+            steps.shift();
+        } else {
+            // The first .. leads from the leaf to the object that holds it
+            let depth = context.ancestors.length - 1;
+            while (steps[0] === '..') {
+                steps.shift();
+                depth--;
+            }
+            current = depth + 1 < context.ancestors.length && depth >= 0 ? [context.ancestors[depth + 1]] : [];
+        }
+        for (const step of steps.map(localName)) {
+            current = current.flatMap(item => (Array.isArray(item) ? item : [item]))
+                .map(item => (isObject(item) ? Object.entries(item).find(([member]) => localName(member) === step)?.[1] : undefined))
+                .filter(item => item !== undefined);
+        }
+        const values = current.flatMap(item => (Array.isArray(item) ? item : [item])).map(String);
+        return values.includes(String(value)) ? null : `refers to ${type.path}, which has no value ${value}`;
+    }
+
+    _toXml(node, value, parentModule, attributes = '') {
+        const namespace = node.module !== parentModule ? ` xmlns="${escapeXml(this.compiled.get(node.module).namespace)}"` : '';
+        const open = `${node.name}${namespace}${attributes}`;
+
+        if (node.kind === 'container') {
+            return `<${open}>${this._childrenXml(node, value)}</${node.name}>`;
+        }
+        if (node.kind === 'list') {
+            return value.map(entry => `<${open}>${this._childrenXml(node, entry)}</${node.name}>`).join('');
+        }
+        if (node.kind === 'anydata') {
+            return `<${open}>${escapeXml(JSON.stringify(value))}</${node.name}>`;
+        }
+        const values = node.kind === 'leaf-list' ? value : [value];
+        return values.map(item => {
+            if (Array.isArray(item)) return `<${open}/>`;
+            const identity = this._identityValue(node, node.type, item);
+            if (identity) {
+                const source = this.compiled.get(identity.module);
+                return `<${open} xmlns:${source.prefix}="${escapeXml(source.namespace)}">${source.prefix}:${escapeXml(identity.name)}</${node.name}>`;
+            }
+            return `<${open}>${escapeXml(item)}</${node.name}>`;
+        }).join('');
+    }
+
+    _childrenXml(node, object) {
+        const members = Object.entries(object).map(([member, value]) => ({ node: this._child(node, member), value }));
+        // List keys come first, in key order (RFC 7950 section 7.8.5)
+        const keyed = node.kind === 'list'
+            ? [...node.keys.map(key => members.find(member => member.node.name === key && member.node.module === node.module)).filter(Boolean),
+                ...members.filter(member => !(member.node.module === node.module && node.keys.includes(member.node.name)))]
+            : members;
+        return keyed.map(member => this._toXml(member.node, member.value, node.module)).join('');
+    }
+
+    _identityValue(node, type, value) {
+        if (typeof value !== 'string') return null;
+        const types = type.base === 'union' ? type.members : [type];
+        if (!types.some(member => member.base === 'identityref' || member.base === 'union')) return null;
+        const identity = this.identities.get(value.includes(':') ? value : `${node.module}:${value}`);
+        return identity && this._checkValue(node, type, value, { ancestors: [], root: {} }) === null ? identity : null;
+    }
+
+    // Sibling elements by "module:name"; lists repeat their element
+    _groupElements(elements, parentModule) {
+        const groups = new Map();
+        for (const element of elements) {
+            const module = this.namespaces.get(element.namespace) || parentModule;
+            if (!module) continue;
+            const key = `${module}:${element.name}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(element);
+        }
+        return groups;
+    }
+
+    _fromXml(node, elements) {
+        if (node.kind === 'list') {
+            return elements.map(element => this._objectFromXml(node, element));
+        }
+        if (node.kind === 'container') {
+            return this._objectFromXml(node, elements[0]);
+        }
+        if (node.kind === 'leaf-list') {
+            return elements.map(element => this._valueFromXml(node, node.type, element));
+        }
+        if (node.kind === 'anydata') {
+            return elements[0].text;
+        }
+        return this._valueFromXml(node, node.type, elements[0]);
+    }
+
+    _objectFromXml(node, element) {
+        const object = {};
+        for (const [key, group] of this._groupElements(element.children, node.module)) {
+            const childNode = node.children.get(key);
+            if (!childNode || !childNode.config) continue;
+            object[this._memberName(node, childNode)] = this._fromXml(childNode, group);
+        }
+        return object;
+    }
+
+    _valueFromXml(node, type, element) {
+        const text = element.text;
+        const context = { ancestors: [], root: {} };
+        switch (type.base) {
+        case 'union': {
+            for (const member of type.members) {
+                const value = this._valueFromXml(node, member, element);
+                if (member.base === 'leafref' || this._checkValue(node, member, value, context) === null) return value;
+            }
+            return text;
+        }
+        case 'leafref': {
+            const target = this._leafrefTarget(node, type);
+            return target ? this._valueFromXml(target, target.type, element) : element.text;
+        }
+        case 'empty':
+            return [null];
+        case 'boolean':
+            return text === 'true' ? true : text === 'false' ? false : text;
+        case 'identityref': {
+            const [prefix, name] = text.includes(':') ? text.split(':', 2) : ['', text];
+            const module = this.namespaces.get(element.scope.get(prefix));
+            return module ? `${module}:${name}` : text;
+        }
+        default:
+            if (INTEGER_BOUNDS[type.base] && !JSON_STRING_NUMBERS.has(type.base) && /^[-+]?\d+$/.test(text)) {
+                return Number(text);
+            }
+            return text;
+        }
+    }
+}
+
+function linkParents(node, parent) {
+    node.parent = parent;
+    for (const child of node.children?.values() || []) {
+        linkParents(child, node);
+    }
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// YANG patterns are XML Schema regular expressions, which match the whole value
+function compilePattern(source) {
+    try {
+        return new RegExp(`^(?:${source})$`, 'u');
+    } catch (error) {
+        return null;
+    }
+}
+
+// Every restriction in the chain of typedefs must hold: "1..10 | 20..max"
+function inRanges(ranges, value, base) {
+    const [typeMin, typeMax] = INTEGER_BOUNDS[base] || (base === 'length' ? [0n, 2n ** 64n] : [-Infinity, Infinity]);
+    const parse = (bound) => {
+        if (bound === 'min') return typeMin;
+        if (bound === 'max') return typeMax;
+        return typeof value === 'bigint' ? BigInt(bound) : Number(bound);
+    };
+    return ranges.every(range => range.split('|').some(part => {
+        const [low, high = low] = part.trim().split('..').map(bound => parse(bound.trim()));
+        return value >= low && value <= high;
+    }));
+}
+
+export { YangRegistry };
@@ -0,0 +1,99 @@
+// Wall-clock time in IANA time zones using Intl only, e.g. for on-call shifts that hand off at
+// 09:00 local time across daylight saving changes
+
+const DAY = 86400000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = new Map();
+
+export function isValidTimeZone(timeZone) {
+    try {
+        formatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Local date and time of an instant
+ * @returns {{ year, month, day, hour, minute, weekday }} month is 1-12, weekday 0 (Sunday) to 6
+ */
+export function zonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of formatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+/**
+ * Instant of a local date and time. Times skipped by a DST change move forward by the change,
+ * repeated times resolve to their first occurrence.
+ * @param {object} local - { year, month, day, hour, minute }
+ * @returns {Date}
+ */
+export function zonedToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    let instant = wallClock - offset(wallClock, timeZone);
+    // The offset at the guess can differ from the one at the wall-clock time near a DST change
+    const corrected = wallClock - offset(instant, timeZone);
+    if (corrected !== instant && offset(corrected, timeZone) === wallClock - corrected) {
+        instant = corrected;
+    }
+    return new Date(instant);
+}
+
+/**
+ * Days since 1970-01-01 of a local date, for counting calendar days regardless of DST
+ */
+export function dayNumber({ year, month, day }) {
+    return Math.floor(Date.UTC(year, month - 1, day) / DAY);
+}
+
+export function fromDayNumber(days) {
+    const date = new Date(days * DAY);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * @param {string} clock - 'HH:mm'
+ * @returns {number} minutes after midnight
+ */
+export function parseClock(clock) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(clock || '');
+    if (!match) {
+        throw new Error(`Invalid time of day: ${clock}`);
+    }
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+function offset(timestamp, timeZone) {
+    const local = zonedParts(new Date(timestamp), timeZone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+    return asUtc - Math.floor(timestamp / 60000) * 60000;
+}
+
+function formatter(timeZone) {
+    let format = formatters.get(timeZone);
+    if (!format) {
+        format = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        });
+        formatters.set(timeZone, format);
+    }
+    return format;
+}